@@ -12,11 +12,18 @@ const WEB_DIST = resolve(__dirname, "../../web/dist");
 
 // Import routes
 import authRoutes from "./routes/auth.js";
-import storesRoutes from "./routes/stores.js";
+import storesRoutes, { feedUploadRouter } from "./routes/stores.js";
 import productsRoutes from "./routes/products.js";
 import syncRoutes from "./routes/sync.js";
 import aiRoutes from "./routes/ai.js";
 import demoRoutes from "./routes/demo.js";
+import webhooksRoutes from "./routes/webhooks.js";
+import usersRoutes from "./routes/users.js";
+import writebackRoutes from "./routes/writeback.js";
+import reviewsRoutes from "./routes/reviews.js";
+import widgetsRoutes from "./routes/widgets.js";
+import storefrontRoutes from "./routes/storefront.js";
+import merchantRoutes from "./routes/merchant.js";
 
 // Import middleware
 import { errorHandler } from "./middleware/error.js";
@@ -33,6 +40,12 @@ app.use(cors({
   credentials: true
 }));
 app.use(morgan("dev"));
+
+// Webhooks verify signatures over the raw body, so they are mounted before the JSON parser
+app.use("/api/webhooks", webhooksRoutes);
+// Feed uploads read the raw file as well
+app.use("/api/stores", feedUploadRouter);
+
 app.use(express.json());
 
 // Root route — serve frontend directly (handles ?url= params via React)
@@ -50,9 +63,16 @@ app.get("/health", (req, res) => {
 
 // API Routes
 app.use("/api/auth", authRoutes);
+app.use("/api/users", usersRoutes);
 app.use("/api/stores", storesRoutes);
+// Storefront assistant config: /api/stores/:storeId/{stylist,visual-merchandiser}-config
+app.use("/api/stores", storefrontRoutes);
 app.use("/api/products", productsRoutes);
 app.use("/api/sync", syncRoutes);
+app.use("/api/writeback", writebackRoutes);
+app.use("/api/reviews", reviewsRoutes);
+app.use("/api/widgets", widgetsRoutes);
+app.use("/api/merchant", merchantRoutes);
 app.use("/api/ai", aiRoutes);
 app.use("/api/demo", demoRoutes);
 
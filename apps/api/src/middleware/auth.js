@@ -1,4 +1,6 @@
 import jwt from "jsonwebtoken";
+import { dynamodb } from "@runa/core";
+import { ApiError, asyncHandler } from "./error.js";
 
 const JWT_SECRET = process.env.JWT_SECRET || "runa-admin-secret-change-in-production";
 
@@ -34,6 +36,60 @@ export function generateToken(payload, expiresIn = "7d") {
   return jwt.sign(payload, JWT_SECRET, { expiresIn });
 }
 
+/**
+ * Roles, lowest to highest. Each role can do everything the ones below it can:
+ *   viewer     - read the account's stores, products and sync status
+ *   owner      - also add/update/remove stores and start/cancel syncs
+ *   superadmin - also the demo admin endpoints and managing user roles
+ */
+export const ROLES = ["viewer", "owner", "superadmin"];
+
+/**
+ * Normalize a stored role. Accounts registered before roles existed have
+ * role "user", or no role at all (Shopify installs), and own their stores;
+ * anything unknown gets the lowest role.
+ */
+export function normalizeRole(role) {
+  if (role === "user" || role == null) return "owner";
+  return ROLES.includes(role) ? role : "viewer";
+}
+
+/**
+ * Check whether a role includes the permissions of another
+ */
+export function hasRole(role, required) {
+  return ROLES.indexOf(normalizeRole(role)) >= ROLES.indexOf(required);
+}
+
+/**
+ * Role authorization middleware, used after authenticate
+ * The role is read from the user record rather than the token, so promotions
+ * and demotions apply right away.
+ * @param {string} required - Minimum role (see ROLES)
+ */
+export function requireRole(required) {
+  if (!ROLES.includes(required)) {
+    throw new Error(`Unknown role "${required}". Must be one of: ${ROLES.join(", ")}`);
+  }
+
+  return asyncHandler(async (req, res, next) => {
+    if (!req.user?.userId) {
+      throw ApiError.unauthorized("No token provided");
+    }
+
+    const user = await dynamodb.users.getUserById(req.user.userId);
+    if (!user) {
+      throw ApiError.unauthorized("User not found");
+    }
+
+    req.user.role = normalizeRole(user.role);
+    if (!hasRole(req.user.role, required)) {
+      throw ApiError.forbidden(`This action requires the ${required} role`);
+    }
+    next();
+  });
+}
+
 /**
  * Optional authentication - doesn't fail if no token
  */
@@ -56,4 +112,4 @@ export function optionalAuth(req, res, next) {
   next();
 }
 
-export default { authenticate, generateToken, optionalAuth };
+export default { authenticate, generateToken, optionalAuth, requireRole, normalizeRole, hasRole, ROLES };
@@ -64,6 +64,10 @@ export class ApiError extends Error {
   static internal(message = "Internal server error") {
     return new ApiError(500, message);
   }
+
+  static badGateway(message = "Bad gateway") {
+    return new ApiError(502, message);
+  }
 }
 
 /**
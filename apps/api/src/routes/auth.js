@@ -1,8 +1,8 @@
 import { Router } from "express";
 import bcrypt from "bcryptjs";
 import { v4 as uuidv4 } from "uuid";
-import { dynamodb } from "@runa/core";
-import { generateToken, authenticate } from "../middleware/auth.js";
+import { dynamodb, secrets } from "@runa/core";
+import { generateToken, authenticate, normalizeRole } from "../middleware/auth.js";
 import { asyncHandler, ApiError } from "../middleware/error.js";
 
 const router = Router();
@@ -63,7 +63,7 @@ router.post("/register", asyncHandler(async (req, res) => {
     name: name || email.split("@")[0],
     password: hashedPassword,
     platform,
-    role: "user",
+    role: "owner",
     stores: [initialStore],
     createdAt: new Date().toISOString()
   };
@@ -85,7 +85,7 @@ router.post("/register", asyncHandler(async (req, res) => {
       email: user.email,
       name: user.name,
       role: user.role,
-      stores: user.stores
+      stores: user.stores.map(secrets.maskCredentials)
     }
   });
 }));
@@ -117,7 +117,7 @@ router.post("/login", asyncHandler(async (req, res) => {
   const token = generateToken({
     userId: user.id,
     email: user.email,
-    role: user.role || "user"
+    role: normalizeRole(user.role)
   });
 
   res.json({
@@ -126,8 +126,8 @@ router.post("/login", asyncHandler(async (req, res) => {
       id: user.id,
       email: user.email,
       name: user.name,
-      role: user.role || "user",
-      stores: user.stores || []
+      role: normalizeRole(user.role),
+      stores: (user.stores || []).map(secrets.maskCredentials)
     }
   });
 }));
@@ -147,8 +147,8 @@ router.get("/me", authenticate, asyncHandler(async (req, res) => {
     id: user.id,
     email: user.email,
     name: user.name,
-    role: user.role || "user",
-    stores: user.stores || []
+    role: normalizeRole(user.role),
+    stores: (user.stores || []).map(secrets.maskCredentials)
   });
 }));
 
@@ -160,7 +160,7 @@ router.post("/refresh", authenticate, asyncHandler(async (req, res) => {
   const token = generateToken({
     userId: req.user.userId,
     email: req.user.email,
-    role: req.user.role
+    role: normalizeRole(req.user.role)
   });
 
   res.json({ token });
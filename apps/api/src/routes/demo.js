@@ -5,9 +5,13 @@ import { config } from "@runa/config";
 import { BatchGetCommand, DeleteCommand, GetCommand, PutCommand, QueryCommand } from "@aws-sdk/lib-dynamodb";
 import { dynamoClient } from "@runa/core/database/dynamodb";
 import { seedDemoCache } from "../services/demoSeed.js";
+import { authenticate, requireRole } from "../middleware/auth.js";
 
 const router = express.Router();
 
+// Admin endpoints (prompts, lead searches, cache, seeding); /analyze stays public for the demo page
+const superadminOnly = [authenticate, requireRole("superadmin")];
+
 // ─── Prompt Defaults ─────────────────────────────────────────────────
 
 const PROMPTS_KEY = "demo_prompts_config";
@@ -30,7 +34,7 @@ async function loadPrompts() {
 
 // ─── Prompts CRUD ────────────────────────────────────────────────────
 
-router.get("/prompts", async (req, res) => {
+router.get("/prompts", superadminOnly, async (req, res) => {
   try {
     const prompts = await loadPrompts();
     res.json({ prompts });
@@ -39,7 +43,7 @@ router.get("/prompts", async (req, res) => {
   }
 });
 
-router.put("/prompts", async (req, res) => {
+router.put("/prompts", superadminOnly, async (req, res) => {
   try {
     const { prompts } = req.body;
     if (!prompts) return res.status(400).json({ error: "prompts object required" });
@@ -862,7 +866,7 @@ async function fetchLeadsByDomains(domains) {
 
 // ─── List Demo Searches ──────────────────────────────────────────────
 
-router.get("/searches", async (req, res) => {
+router.get("/searches", superadminOnly, async (req, res) => {
   try {
     const docClient = dynamoClient.getDocClient();
     const results = [];
@@ -1000,12 +1004,12 @@ router.get("/searches", async (req, res) => {
 
 // ─── Cache Management ────────────────────────────────────────────────
 
-router.delete("/cache/:domain", async (req, res) => {
+router.delete("/cache/:domain", superadminOnly, async (req, res) => {
   const ok = await deleteCachedResult(req.params.domain);
   res.json({ success: ok, domain: req.params.domain });
 });
 
-router.delete("/cache", async (req, res) => {
+router.delete("/cache", superadminOnly, async (req, res) => {
   try {
     const docClient = dynamoClient.getDocClient();
     const results = [];
@@ -1037,7 +1041,7 @@ router.delete("/cache", async (req, res) => {
 
 // ─── Manual Seed ─────────────────────────────────────────────────────
 
-router.post("/seed", async (req, res) => {
+router.post("/seed", superadminOnly, async (req, res) => {
   try {
     const { input, dryRun } = req.body || {};
     if (!input || typeof input !== "string" || !input.trim()) {
@@ -0,0 +1,43 @@
+import { Router } from "express";
+import { authenticate, requireRole } from "../middleware/auth.js";
+import { asyncHandler, ApiError } from "../middleware/error.js";
+import { getDailyReport, buildDailyReport } from "../services/merchant-trends.js";
+import { getOwnedStore } from "../services/stores.js";
+
+const router = Router();
+
+// All routes require authentication
+router.use(authenticate);
+
+/**
+ * GET /api/merchant/:storeId/report?date=YYYY-MM-DD
+ * Daily trend report: week-over-week spikes and themed collection proposals
+ * Today's report is built on its first request; past days return what was built then.
+ */
+router.get("/:storeId/report", asyncHandler(async (req, res) => {
+  const { date } = req.query;
+  if (date !== undefined && !/^\d{4}-\d{2}-\d{2}$/.test(date)) {
+    throw ApiError.badRequest("date must be YYYY-MM-DD");
+  }
+
+  const { store, shopDomain: shop } = await getOwnedStore(req.user.userId, req.params.storeId);
+
+  const report = await getDailyReport(shop, { date, storeName: store.name });
+  if (!report) {
+    throw ApiError.notFound(`No report for ${date}`);
+  }
+  res.json({ report });
+}));
+
+/**
+ * POST /api/merchant/:storeId/report
+ * Rebuild today's report (new snapshot, analysis and collection names)
+ */
+router.post("/:storeId/report", requireRole("owner"), asyncHandler(async (req, res) => {
+  const { store, shopDomain: shop } = await getOwnedStore(req.user.userId, req.params.storeId);
+
+  const report = await buildDailyReport(shop, { storeName: store.name });
+  res.json({ report });
+}));
+
+export default router;
@@ -1,52 +1,104 @@
 import { Router } from "express";
-import { dynamodb, neo4j } from "@runa/core";
+import { neo4j } from "@runa/core";
 import { authenticate } from "../middleware/auth.js";
 import { asyncHandler, ApiError } from "../middleware/error.js";
+import { getOwnedStore } from "../services/stores.js";
 
 const router = Router();
 
 // All routes require authentication
 router.use(authenticate);
 
+// Comma-separated or repeated query parameter
+const listParam = (value) => [].concat(value ?? [])
+  .flatMap(item => String(item).split(","))
+  .map(item => item.trim())
+  .filter(Boolean);
+
+function booleanParam(query, name) {
+  const value = query[name];
+  if (value == null || value === "") return null;
+  if (value !== "true" && value !== "false") {
+    throw ApiError.badRequest(`${name} must be true or false`);
+  }
+  return value === "true";
+}
+
+function numberParam(query, name) {
+  const value = query[name];
+  if (value == null || value === "") return null;
+  const number = Number(value);
+  if (!Number.isFinite(number) || number < 0) {
+    throw ApiError.badRequest(`${name} must be a number of 0 or more`);
+  }
+  return number;
+}
+
+/**
+ * Validate the list filters (see neo4j.products.listProducts)
+ */
+function parseListFilters(query) {
+  const missing = listParam(query.missing);
+  const unknown = missing.find(field => !neo4j.products.MISSING_FIELDS.includes(field));
+  if (unknown) {
+    throw ApiError.badRequest(`Unknown missing field "${unknown}"; expected ${neo4j.products.MISSING_FIELDS.join(", ")}`);
+  }
+
+  const filters = {
+    category: typeof query.category === "string" && query.category ? query.category : null,
+    descriptionSources: listParam(query.descriptionSource),
+    seoSources: listParam(query.seoSource),
+    missing,
+    descriptionPushed: booleanParam(query, "descriptionPushed"),
+    inStock: booleanParam(query, "inStock"),
+    priceMin: numberParam(query, "priceMin"),
+    priceMax: numberParam(query, "priceMax"),
+    vendors: listParam(query.vendor),
+    demographics: listParam(query.demographic),
+    stylePersonas: listParam(query.stylePersona),
+    notSeenForDays: numberParam(query, "notSeenForDays")
+  };
+  if (filters.priceMin != null && filters.priceMax != null && filters.priceMin > filters.priceMax) {
+    throw ApiError.badRequest("priceMin is above priceMax");
+  }
+  return filters;
+}
+
 /**
  * GET /api/products
- * List products for a store
+ * List products for a store, filtered and sorted
  */
 router.get("/", asyncHandler(async (req, res) => {
-  const { storeId, category, skip = 0, limit = 50 } = req.query;
+  const { storeId, sort = "title", order = "asc", skip = 0, limit = 50 } = req.query;
 
   if (!storeId) {
     throw ApiError.badRequest("storeId query parameter is required");
   }
-
-  // Verify user owns this store
-  const user = await dynamodb.users.getUserById(req.user.userId);
-  const store = (user?.stores || []).find(s => s.id === storeId);
-  if (!store) {
-    throw ApiError.notFound("Store not found");
+  if (!Object.hasOwn(neo4j.products.PRODUCT_SORTS, sort)) {
+    throw ApiError.badRequest(`sort must be one of ${Object.keys(neo4j.products.PRODUCT_SORTS).join(", ")}`);
   }
-
-  let products;
-  if (category) {
-    products = await neo4j.categories.getProductsByCategory(
-      store.domain,
-      category,
-      { skip: parseInt(skip), limit: parseInt(limit) }
-    );
-  } else {
-    products = await neo4j.products.getProductsByStore(
-      store.domain,
-      { skip: parseInt(skip), limit: parseInt(limit) }
-    );
+  if (!["asc", "desc"].includes(order)) {
+    throw ApiError.badRequest("order must be asc or desc");
   }
-
-  const total = await neo4j.products.countProductsByStore(store.domain);
+  const filters = parseListFilters(req.query);
+  const pageSkip = Math.max(parseInt(skip) || 0, 0);
+  const pageLimit = Math.min(Math.max(parseInt(limit) || 50, 1), 100);
+
+  const { store } = await getOwnedStore(req.user.userId, storeId);
+
+  const { products, total } = await neo4j.products.listProducts(store.domain, {
+    filters,
+    sort,
+    order,
+    skip: pageSkip,
+    limit: pageLimit
+  });
 
   res.json({
     products,
     pagination: {
-      skip: parseInt(skip),
-      limit: parseInt(limit),
+      skip: pageSkip,
+      limit: pageLimit,
       total
     }
   });
@@ -64,12 +116,7 @@ router.get("/:productId", asyncHandler(async (req, res) => {
     throw ApiError.badRequest("storeId query parameter is required");
   }
 
-  // Verify user owns this store
-  const user = await dynamodb.users.getUserById(req.user.userId);
-  const store = (user?.stores || []).find(s => s.id === storeId);
-  if (!store) {
-    throw ApiError.notFound("Store not found");
-  }
+  const { store } = await getOwnedStore(req.user.userId, storeId);
 
   const product = await neo4j.products.getProduct(productId);
   if (!product) {
@@ -79,44 +126,105 @@ router.get("/:productId", asyncHandler(async (req, res) => {
   res.json({ product });
 }));
 
+const SEARCH_FILTERS = ["priceMin", "priceMax", "inStock", ...neo4j.search.FACETS];
+
 /**
- * POST /api/products/search
- * Search products by embedding similarity
+ * Validate search filters (see neo4j.search.hybridSearch)
+ * Facet filters take a string or a list of strings.
  */
-router.post("/search", asyncHandler(async (req, res) => {
-  const { storeId, query, limit = 10 } = req.body;
-
-  if (!storeId || !query) {
-    throw ApiError.badRequest("storeId and query are required");
+function parseSearchFilters(filters) {
+  if (filters == null) return {};
+  if (typeof filters !== "object" || Array.isArray(filters)) {
+    throw ApiError.badRequest("filters must be an object");
+  }
+  const unknown = Object.keys(filters).find(key => !SEARCH_FILTERS.includes(key));
+  if (unknown) {
+    throw ApiError.badRequest(`Unknown filter "${unknown}"; expected one of ${SEARCH_FILTERS.join(", ")}`);
   }
 
-  // Verify user owns this store
-  const user = await dynamodb.users.getUserById(req.user.userId);
-  const store = (user?.stores || []).find(s => s.id === storeId);
-  if (!store) {
-    throw ApiError.notFound("Store not found");
+  const parsed = {};
+  for (const key of ["priceMin", "priceMax"]) {
+    if (filters[key] == null || filters[key] === "") continue;
+    const value = Number(filters[key]);
+    if (!Number.isFinite(value) || value < 0) {
+      throw ApiError.badRequest(`filters.${key} must be a number of 0 or more`);
+    }
+    parsed[key] = value;
+  }
+  if (parsed.priceMin != null && parsed.priceMax != null && parsed.priceMin > parsed.priceMax) {
+    throw ApiError.badRequest("filters.priceMin is above filters.priceMax");
+  }
+  if (filters.inStock != null) {
+    if (typeof filters.inStock !== "boolean") {
+      throw ApiError.badRequest("filters.inStock must be true or false");
+    }
+    parsed.inStock = filters.inStock;
+  }
+  for (const facet of neo4j.search.FACETS) {
+    if (filters[facet] == null) continue;
+    const values = Array.isArray(filters[facet]) ? filters[facet] : [filters[facet]];
+    if (!values.every(value => typeof value === "string")) {
+      throw ApiError.badRequest(`filters.${facet} must be a string or a list of strings`);
+    }
+    parsed[facet] = values;
   }
+  return parsed;
+}
 
-  // Generate embedding for query
-  const { ai } = await import("@runa/core");
-  const queryEmbedding = await ai.embeddings.generateEmbedding(query);
+/**
+ * POST /api/products/search
+ * Hybrid search: keyword (full-text) and embedding similarity, fused by rank,
+ * with filters and facet counts. Without a query, browses the filtered store.
+ */
+router.post("/search", asyncHandler(async (req, res) => {
+  const { storeId, query = "", filters, skip = 0, limit = 10 } = req.body;
 
-  if (!queryEmbedding) {
-    throw ApiError.badRequest("Failed to process search query");
+  if (!storeId) {
+    throw ApiError.badRequest("storeId is required");
+  }
+  if (typeof query !== "string") {
+    throw ApiError.badRequest("query must be a string");
+  }
+  const searchFilters = parseSearchFilters(filters);
+  const pageSkip = Math.max(parseInt(skip) || 0, 0);
+  const pageLimit = Math.min(Math.max(parseInt(limit) || 10, 1), 100);
+
+  const { store } = await getOwnedStore(req.user.userId, storeId);
+
+  // Generate embedding for query; keyword matches still come back without it
+  const text = query.trim();
+  let queryEmbedding = null;
+  if (text) {
+    const { ai } = await import("@runa/core");
+    try {
+      queryEmbedding = await ai.embeddings.generateEmbedding(text);
+    } catch (error) {
+      console.warn(`Search embedding failed, keyword results only: ${error.message}`);
+    }
   }
 
-  // Search by embedding
-  const results = await neo4j.products.searchByEmbedding(
-    store.domain,
-    queryEmbedding,
-    parseInt(limit)
-  );
+  const { results, total, facets } = await neo4j.search.hybridSearch(store.domain, {
+    query: text,
+    embedding: queryEmbedding,
+    filters: searchFilters,
+    skip: pageSkip,
+    limit: pageLimit
+  });
 
   res.json({
     results: results.map(r => ({
       ...r.product,
-      score: r.score
-    }))
+      price: r.price,
+      inStock: r.inStock,
+      score: r.score,
+      matchedBy: r.matchedBy
+    })),
+    facets,
+    pagination: {
+      skip: pageSkip,
+      limit: pageLimit,
+      total
+    }
   });
 }));
 
@@ -127,12 +235,7 @@ router.post("/search", asyncHandler(async (req, res) => {
 router.get("/stats/:storeId", asyncHandler(async (req, res) => {
   const { storeId } = req.params;
 
-  // Verify user owns this store
-  const user = await dynamodb.users.getUserById(req.user.userId);
-  const store = (user?.stores || []).find(s => s.id === storeId);
-  if (!store) {
-    throw ApiError.notFound("Store not found");
-  }
+  const { store } = await getOwnedStore(req.user.userId, storeId);
 
   const totalProducts = await neo4j.products.countProductsByStore(store.domain);
   const categories = await neo4j.categories.getCategoriesByStore(store.domain);
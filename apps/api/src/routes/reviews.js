@@ -0,0 +1,162 @@
+import { Router } from "express";
+import { neo4j } from "@runa/core";
+import { REVIEW_STATUS } from "@runa/config/constants";
+import { authenticate, requireRole } from "../middleware/auth.js";
+import { asyncHandler, ApiError } from "../middleware/error.js";
+import { QA_ISSUES, parseQaIssues } from "../sync/utils/copy-qa.js";
+import { getOwnedStore } from "../services/stores.js";
+
+const router = Router();
+
+// All routes require authentication
+router.use(authenticate);
+
+function getReviewer(req) {
+  return { userId: req.user.userId, email: req.user.email };
+}
+
+/**
+ * GET /api/reviews/descriptions?storeId=&status=&source=&search=&skip=&limit=
+ * List AI description drafts with the original platform text
+ */
+router.get("/descriptions", asyncHandler(async (req, res) => {
+  const { storeId, status = REVIEW_STATUS.PENDING, source, search, skip = 0, limit = 20 } = req.query;
+  const { store } = await getOwnedStore(req.user.userId, storeId);
+
+  if (!Object.values(REVIEW_STATUS).includes(status)) {
+    throw ApiError.badRequest(`Invalid status. Must be one of: ${Object.values(REVIEW_STATUS).join(", ")}`);
+  }
+
+  const result = await neo4j.reviews.listDescriptionDrafts(store.domain, {
+    status,
+    source,
+    search,
+    skip: parseInt(skip),
+    limit: Math.min(parseInt(limit) || 20, 100)
+  });
+
+  res.json({
+    drafts: result.drafts,
+    counts: result.counts,
+    sources: result.sources,
+    pagination: {
+      skip: parseInt(skip),
+      limit: parseInt(limit),
+      total: result.total
+    }
+  });
+}));
+
+/**
+ * POST /api/reviews/descriptions/approve
+ * Bulk approve the pending drafts matching a filter
+ * Body: { storeId, source?, search?, productIds? }
+ */
+router.post("/descriptions/approve", requireRole("owner"), asyncHandler(async (req, res) => {
+  const { storeId, source, search, productIds } = req.body;
+  const { store } = await getOwnedStore(req.user.userId, storeId);
+
+  if (productIds !== undefined && !Array.isArray(productIds)) {
+    throw ApiError.badRequest("productIds must be an array");
+  }
+
+  const approved = await neo4j.reviews.approveDescriptionDrafts(
+    store.domain,
+    { source, search, productIds },
+    getReviewer(req)
+  );
+
+  res.json({ message: `${approved} drafts approved`, approved });
+}));
+
+/**
+ * GET /api/reviews/descriptions/:productId?storeId=
+ * Get one draft
+ */
+router.get("/descriptions/:productId", asyncHandler(async (req, res) => {
+  const { store } = await getOwnedStore(req.user.userId, req.query.storeId);
+
+  const draft = await neo4j.reviews.getDescriptionDraft(store.domain, req.params.productId);
+  if (!draft) {
+    throw ApiError.notFound("No AI description draft for this product");
+  }
+
+  res.json({ draft });
+}));
+
+/**
+ * PUT /api/reviews/descriptions/:productId
+ * Approve, edit and approve, or reject a draft
+ * Body: { storeId, status: "approved" | "rejected", description? }
+ */
+router.put("/descriptions/:productId", requireRole("owner"), asyncHandler(async (req, res) => {
+  const { storeId, status, description } = req.body;
+  const { store } = await getOwnedStore(req.user.userId, storeId);
+
+  if (status !== REVIEW_STATUS.APPROVED && status !== REVIEW_STATUS.REJECTED) {
+    throw ApiError.badRequest(`status must be "${REVIEW_STATUS.APPROVED}" or "${REVIEW_STATUS.REJECTED}"`);
+  }
+  if (description !== undefined) {
+    if (status !== REVIEW_STATUS.APPROVED) {
+      throw ApiError.badRequest("An edited description can only be approved");
+    }
+    if (typeof description !== "string" || description.trim() === "") {
+      throw ApiError.badRequest("description must be a non-empty string");
+    }
+  }
+
+  const draft = await neo4j.reviews.reviewDescriptionDraft(store.domain, req.params.productId, {
+    status,
+    description,
+    reviewer: getReviewer(req)
+  });
+  if (!draft) {
+    throw ApiError.notFound("No AI description draft for this product");
+  }
+
+  res.json({ message: `Draft ${status}`, draft });
+}));
+
+/**
+ * GET /api/reviews/qa?storeId=&field=&code=&search=&skip=&limit=
+ * Copy QA report: products whose generated description or SEO failed the
+ * quality gate, with the issues and the rejected text
+ */
+router.get("/qa", asyncHandler(async (req, res) => {
+  const { storeId, field, code, search, skip = 0, limit = 20 } = req.query;
+  const { store } = await getOwnedStore(req.user.userId, storeId);
+
+  if (field && field !== "description" && field !== "seo") {
+    throw ApiError.badRequest('field must be "description" or "seo"');
+  }
+  if (code && !Object.values(QA_ISSUES).includes(code)) {
+    throw ApiError.badRequest(`Invalid code. Must be one of: ${Object.values(QA_ISSUES).join(", ")}`);
+  }
+
+  const result = await neo4j.qa.listQaFlags(store.domain, {
+    field,
+    code,
+    search,
+    skip: parseInt(skip),
+    limit: Math.min(parseInt(limit) || 20, 100)
+  });
+
+  const products = result.products.map((product) => ({
+    ...product,
+    description: product.description && { ...product.description, issues: parseQaIssues(product.description.issues) },
+    seo: product.seo && { ...product.seo, issues: parseQaIssues(product.seo.issues) }
+  }));
+
+  res.json({
+    products,
+    counts: result.counts,
+    codes: result.codes,
+    pagination: {
+      skip: parseInt(skip),
+      limit: parseInt(limit),
+      total: result.total
+    }
+  });
+}));
+
+export default router;
@@ -0,0 +1,277 @@
+import { Router } from "express";
+import { neo4j, jobs } from "@runa/core";
+import { authenticate, requireRole } from "../middleware/auth.js";
+import { asyncHandler, ApiError } from "../middleware/error.js";
+import { SYNC_PLATFORMS, getMissingCredential } from "../sync/store-config.js";
+import {
+  STOREFRONT_CONFIGS,
+  normalizeStorefrontConfig,
+  pickStorefrontConfig,
+  diffStorefrontConfigs,
+  fetchStorefrontChat,
+  saveStorefrontChat
+} from "../services/storefront-config.js";
+import { getOwnedStore } from "../services/stores.js";
+
+const router = Router();
+const { jobStore } = jobs;
+
+const KINDS = Object.keys(STOREFRONT_CONFIGS);
+const MAX_NOTE_LENGTH = 500;
+
+// All routes require authentication
+router.use(authenticate);
+
+function getKind(kind) {
+  if (!KINDS.includes(kind)) {
+    throw ApiError.notFound(`Unknown storefront config "${kind}". Must be one of: ${KINDS.join(", ")}`);
+  }
+  return kind;
+}
+
+async function getLiveConfig(shop, kind) {
+  const chat = await fetchStorefrontChat(shop);
+  if (!chat) {
+    throw ApiError.notFound(`No storefront app record for ${shop}`);
+  }
+  return pickStorefrontConfig(kind, chat);
+}
+
+/**
+ * Resolve a diff side: a version number or "live"
+ */
+async function getConfigAt(shop, kind, ref) {
+  if (ref === "live") {
+    return getLiveConfig(shop, kind);
+  }
+  const version = parseInt(ref);
+  if (!(version > 0)) {
+    throw ApiError.badRequest(`"${ref}" is not a version number or "live"`);
+  }
+  const saved = await neo4j.configVersions.getConfigVersion(shop, kind, version);
+  if (!saved) {
+    throw ApiError.notFound(`Version ${version} not found`);
+  }
+  return saved.config;
+}
+
+/**
+ * Save a config to the app server and record it as a version
+ * The first save records the config it replaces as version 1, so the
+ * pre-history config can be rolled back to.
+ */
+async function saveConfig({ shop, kind, live, config, savedBy, note, rollbackOf = null }) {
+  const [latest] = await neo4j.configVersions.listConfigVersions(shop, kind, 1);
+  if (!latest) {
+    await neo4j.configVersions.saveConfigVersion(shop, kind, live, { savedBy: null, note: "Config before version history" });
+  }
+
+  await saveStorefrontChat(shop, config);
+  const version = await neo4j.configVersions.saveConfigVersion(shop, kind, config, { savedBy, note, rollbackOf });
+
+  const changes = diffStorefrontConfigs(kind, live, config);
+  const regenerationFields = STOREFRONT_CONFIGS[kind].regenerationFields;
+  return {
+    version,
+    config,
+    changes,
+    regenerationSuggested: changes.some(c => regenerationFields.includes(c.field))
+  };
+}
+
+function getNote(note) {
+  if (note === undefined || note === null) return null;
+  if (typeof note !== "string" || note.length > MAX_NOTE_LENGTH) {
+    throw ApiError.badRequest(`note must be a string of at most ${MAX_NOTE_LENGTH} characters`);
+  }
+  return note.trim() || null;
+}
+
+/**
+ * GET /api/stores/:storeId/:kind-config
+ * Live config of the AI Stylist ("stylist") or AI Visual Merchandiser
+ * ("visual-merchandiser"), with its schema and latest version
+ */
+router.get("/:storeId/:kind-config", asyncHandler(async (req, res) => {
+  const kind = getKind(req.params.kind);
+  const { shopDomain: shop } = await getOwnedStore(req.user.userId, req.params.storeId);
+
+  const [config, [latest]] = await Promise.all([
+    getLiveConfig(shop, kind),
+    neo4j.configVersions.listConfigVersions(shop, kind, 1)
+  ]);
+  const { label, fields, defaults, regenerationFields } = STOREFRONT_CONFIGS[kind];
+
+  res.json({
+    kind,
+    label,
+    config,
+    latestVersion: latest || null,
+    fields,
+    defaults,
+    regenerationFields
+  });
+}));
+
+/**
+ * PUT /api/stores/:storeId/:kind-config
+ * Validate and save a config, recording it as a new version
+ * Body: { config, note? } - config may hold only the fields to change
+ * Never regenerates outfits: when an outfit prompt changed the response has
+ * regenerationSuggested, and POST .../visual-merchandiser/regenerate does it.
+ */
+router.put("/:storeId/:kind-config", requireRole("owner"), asyncHandler(async (req, res) => {
+  const kind = getKind(req.params.kind);
+  const note = getNote(req.body.note);
+  const { shopDomain: shop } = await getOwnedStore(req.user.userId, req.params.storeId);
+
+  const live = await getLiveConfig(shop, kind);
+  const { config, errors } = normalizeStorefrontConfig(kind, req.body.config, live);
+  if (errors.length > 0) {
+    throw ApiError.badRequest(`Invalid ${STOREFRONT_CONFIGS[kind].label} config: ${errors.join("; ")}`);
+  }
+
+  const result = await saveConfig({ shop, kind, live, config, savedBy: req.user.userId, note });
+
+  res.json({ message: "Config saved", ...result });
+}));
+
+/**
+ * GET /api/stores/:storeId/:kind-config/versions?limit=50
+ * Version history, newest first
+ */
+router.get("/:storeId/:kind/versions", asyncHandler(async (req, res) => {
+  const kind = getKind(req.params.kind);
+  const limit = Math.min(Math.max(parseInt(req.query.limit) || 50, 1), 200);
+  const { shopDomain: shop } = await getOwnedStore(req.user.userId, req.params.storeId);
+
+  const versions = await neo4j.configVersions.listConfigVersions(shop, kind, limit);
+  res.json({ versions });
+}));
+
+/**
+ * GET /api/stores/:storeId/:kind-config/versions/:version
+ * One version with its config
+ */
+router.get("/:storeId/:kind/versions/:version", asyncHandler(async (req, res) => {
+  const kind = getKind(req.params.kind);
+  const { shopDomain: shop } = await getOwnedStore(req.user.userId, req.params.storeId);
+
+  const version = await neo4j.configVersions.getConfigVersion(shop, kind, parseInt(req.params.version) || 0);
+  if (!version) {
+    throw ApiError.notFound("Version not found");
+  }
+  res.json({ version });
+}));
+
+/**
+ * GET /api/stores/:storeId/:kind-config/diff?from=3&to=live
+ * Fields that differ between two versions, or a version and the live config
+ * (to defaults to "live")
+ */
+router.get("/:storeId/:kind/diff", asyncHandler(async (req, res) => {
+  const kind = getKind(req.params.kind);
+  const { from, to = "live" } = req.query;
+  if (!from) {
+    throw ApiError.badRequest("from is required (a version number or \"live\")");
+  }
+  const { shopDomain: shop } = await getOwnedStore(req.user.userId, req.params.storeId);
+
+  const [fromConfig, toConfig] = await Promise.all([
+    getConfigAt(shop, kind, from),
+    getConfigAt(shop, kind, to)
+  ]);
+
+  res.json({ from, to, changes: diffStorefrontConfigs(kind, fromConfig, toConfig) });
+}));
+
+/**
+ * POST /api/stores/:storeId/:kind-config/versions/:version/rollback
+ * Save a previous version again, as a new version
+ * Body: { note? }
+ */
+router.post("/:storeId/:kind/versions/:version/rollback", requireRole("owner"), asyncHandler(async (req, res) => {
+  const kind = getKind(req.params.kind);
+  const note = getNote(req.body.note);
+  const { shopDomain: shop } = await getOwnedStore(req.user.userId, req.params.storeId);
+
+  const target = await neo4j.configVersions.getConfigVersion(shop, kind, parseInt(req.params.version) || 0);
+  if (!target) {
+    throw ApiError.notFound("Version not found");
+  }
+
+  // Re-validated: the schema may have changed since the version was saved
+  const live = await getLiveConfig(shop, kind);
+  const { config, errors } = normalizeStorefrontConfig(kind, target.config, live);
+  if (errors.length > 0) {
+    throw ApiError.badRequest(`Version ${target.version} is no longer valid: ${errors.join("; ")}`);
+  }
+
+  const result = await saveConfig({
+    shop,
+    kind,
+    live,
+    config,
+    savedBy: req.user.userId,
+    note: note || `Rollback to version ${target.version}`,
+    rollbackOf: target.version
+  });
+
+  res.json({ message: `Rolled back to version ${target.version}`, ...result });
+}));
+
+/**
+ * POST /api/stores/:storeId/visual-merchandiser-config/regenerate
+ * Regenerate every Complete the Look outfit with the saved prompts
+ * Body: { confirm: true } - it rebuilds the widget of every product
+ * Progress: GET /api/sync/jobs/:jobId
+ */
+router.post("/:storeId/visual-merchandiser-config/regenerate", requireRole("owner"), asyncHandler(async (req, res) => {
+  if (req.body.confirm !== true) {
+    throw ApiError.badRequest("Regenerating every outfit must be confirmed: send { confirm: true }");
+  }
+
+  const { user, store, platform, shopDomain: shop } = await getOwnedStore(req.user.userId, req.params.storeId);
+
+  if (!SYNC_PLATFORMS.includes(platform)) {
+    throw ApiError.badRequest(`Widget regeneration is not supported for platform "${platform}"`);
+  }
+  const missingCredential = getMissingCredential(user, store);
+  if (missingCredential) {
+    throw ApiError.badRequest(`Store credentials incomplete (${missingCredential} missing). Please update your store credentials.`);
+  }
+
+  const [existingJob] = await jobStore.getActiveJobs(store.id, { type: "complete-the-look" });
+  if (existingJob) {
+    return res.json({
+      message: "Complete the Look regeneration already in progress",
+      jobId: existingJob.id,
+      status: existingJob.status,
+      alreadyActive: true
+    });
+  }
+
+  const job = await jobStore.enqueue({
+    type: "complete-the-look",
+    storeId: store.id,
+    userId: req.user.userId,
+    data: {
+      storeDomain: shop,
+      platform,
+      region: "us-east-1",
+      scope: "all",
+      category: null,
+      options: {},
+      trigger: "config"
+    }
+  });
+
+  res.status(202).json({
+    message: "Outfit regeneration queued",
+    jobId: job.id,
+    status: job.status,
+    alreadyActive: false
+  });
+}));
+
+export default router;
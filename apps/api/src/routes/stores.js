@@ -1,14 +1,154 @@
-import { Router } from "express";
+import express, { Router } from "express";
+import fs from "fs/promises";
+import path from "path";
 import { v4 as uuidv4 } from "uuid";
-import { dynamodb, neo4j } from "@runa/core";
-import { authenticate } from "../middleware/auth.js";
+import { config } from "@runa/config";
+import { dynamodb, neo4j, secrets, jobs } from "@runa/core";
+import { authenticate, requireRole } from "../middleware/auth.js";
 import { asyncHandler, ApiError } from "../middleware/error.js";
+import { FEED_FORMATS, FEED_FIELDS, detectFeedFormat, parseFeed, mapFeedRecord } from "../sync/utils/feed.js";
+import { BRAND_VOICE_SECTIONS, DEFAULT_BRAND_VOICE, BRAND_VOICE_PRESETS, normalizeBrandVoice } from "../sync/utils/brand-voice.js";
+import { DEFAULT_STYLE_TAXONOMY, STYLE_TAXONOMY_PRESETS, normalizeStyleTaxonomy, resolveStyleTaxonomy } from "../sync/utils/style-taxonomy.js";
+import { DEFAULT_TAG_TAXONOMY, TAG_TAXONOMY_PRESETS, TAGGING_MODES, normalizeTagTaxonomy, resolveTagTaxonomy } from "../sync/utils/product-tags.js";
+import { DEFAULT_MAPPING_RULES, MAPPING_RULE_PRESETS, normalizeMappingRules, resolveMappingRules } from "../sync/utils/mapping-rules.js";
+import { dryRunMapping } from "../sync/mapping.js";
+import { getOwnedStore } from "../services/stores.js";
+import { SYNC_PLATFORMS, TAG_WRITEBACK_PLATFORMS, WIDGET_TYPES, getStaleCleanup, getStoreBrandVoice, getMissingCredential } from "../sync/store-config.js";
+import {
+  generateAIDescription,
+  rewriteDescriptionFromImage,
+  reformatDescriptionWithBrandVoice,
+  generateSEO
+} from "../sync/services/ai-product-description.js";
 
 const router = Router();
+const { jobStore } = jobs;
 
 // All routes require authentication
 router.use(authenticate);
 
+/**
+ * Validate feed settings of a custom store
+ * @returns {Object} - Settings to store (only the ones present in the body)
+ */
+function getFeedSettings({ feedUrl, feedFormat, feedMapping }) {
+  const settings = {};
+
+  if (feedUrl !== undefined) {
+    if (feedUrl && !/^https?:\/\//i.test(feedUrl)) {
+      throw ApiError.badRequest("feedUrl must be an http(s) URL");
+    }
+    settings.feedUrl = feedUrl || null;
+    // A store syncs from one source: a new URL replaces an uploaded file
+    if (feedUrl) Object.assign(settings, { feedFile: null, feedUploadedAt: null });
+  }
+
+  if (feedFormat !== undefined) {
+    if (feedFormat && feedFormat !== "auto" && !FEED_FORMATS.includes(feedFormat)) {
+      throw ApiError.badRequest(`Invalid feedFormat. Must be one of: auto, ${FEED_FORMATS.join(", ")}`);
+    }
+    settings.feedFormat = feedFormat || "auto";
+  }
+
+  if (feedMapping !== undefined) {
+    const mapping = feedMapping || {};
+    if (typeof mapping !== "object" || Array.isArray(mapping)) {
+      throw ApiError.badRequest("feedMapping must be an object of { field: sourceField }");
+    }
+    const unknown = Object.keys(mapping).filter(field => !FEED_FIELDS.includes(field));
+    if (unknown.length > 0) {
+      throw ApiError.badRequest(`Unknown feedMapping fields: ${unknown.join(", ")}. Must be one of: ${FEED_FIELDS.join(", ")}`);
+    }
+    const invalid = Object.entries(mapping).find(([, source]) =>
+      ![].concat(source).every(s => typeof s === "string" && s.trim() !== "")
+    );
+    if (invalid) {
+      throw ApiError.badRequest(`feedMapping.${invalid[0]} must be a source field name or a list of names`);
+    }
+    settings.feedMapping = mapping;
+  }
+
+  return settings;
+}
+
+/**
+ * Validate stale cleanup settings, merged over the store's current ones
+ * @returns {Object} - { enabled, maxDeletePct, quarantineDays }
+ */
+function getStaleCleanupSettings(input, store) {
+  if (!input || typeof input !== "object" || Array.isArray(input)) {
+    throw ApiError.badRequest("staleCleanup must be an object of { enabled, maxDeletePct, quarantineDays }");
+  }
+
+  const settings = getStaleCleanup(store);
+  const { enabled, maxDeletePct, quarantineDays } = input;
+  if (enabled !== undefined) settings.enabled = Boolean(enabled);
+  if (maxDeletePct !== undefined) {
+    if (typeof maxDeletePct !== "number" || !(maxDeletePct >= 0 && maxDeletePct <= 100)) {
+      throw ApiError.badRequest("staleCleanup.maxDeletePct must be a number from 0 to 100");
+    }
+    settings.maxDeletePct = maxDeletePct;
+  }
+  if (quarantineDays !== undefined) {
+    if (!Number.isInteger(quarantineDays) || quarantineDays < 0 || quarantineDays > 90) {
+      throw ApiError.badRequest("staleCleanup.quarantineDays must be a whole number from 0 to 90");
+    }
+    settings.quarantineDays = quarantineDays;
+  }
+  return settings;
+}
+
+/**
+ * Validate a brand voice profile from the request body
+ * @returns {Object} - Cleaned profile
+ */
+function getBrandVoice(input) {
+  const { profile, errors } = normalizeBrandVoice(input);
+  if (errors.length > 0) {
+    throw ApiError.badRequest(`Invalid brand voice: ${errors.join("; ")}`);
+  }
+  return profile;
+}
+
+/**
+ * Validate a style taxonomy from the request body
+ * @returns {Object} - Cleaned taxonomy
+ */
+function getStyleTaxonomy(input) {
+  const { taxonomy, errors } = normalizeStyleTaxonomy(input);
+  if (errors.length > 0) {
+    throw ApiError.badRequest(`Invalid style taxonomy: ${errors.join("; ")}`);
+  }
+  return taxonomy;
+}
+
+/**
+ * Validate a tag taxonomy from the request body
+ * @returns {Object} - Cleaned taxonomy
+ */
+function getTagTaxonomy(input, platform) {
+  const { taxonomy, errors } = normalizeTagTaxonomy(input);
+  if (taxonomy?.writeBack && !TAG_WRITEBACK_PLATFORMS.includes(platform)) {
+    errors.push(`writeBack is not supported for platform "${platform}"`);
+  }
+  if (errors.length > 0) {
+    throw ApiError.badRequest(`Invalid tag taxonomy: ${errors.join("; ")}`);
+  }
+  return taxonomy;
+}
+
+/**
+ * Validate mapping rules from the request body
+ * @returns {Object} - Cleaned rules
+ */
+function getMappingRules(input) {
+  const { mappingRules, errors } = normalizeMappingRules(input);
+  if (errors.length > 0) {
+    throw ApiError.badRequest(`Invalid mapping rules: ${errors.join("; ")}`);
+  }
+  return mappingRules;
+}
+
 /**
  * GET /api/stores
  * List all stores for the current user
@@ -20,14 +160,15 @@ router.get("/", asyncHandler(async (req, res) => {
     throw ApiError.notFound("User not found");
   }
 
-  const stores = user.stores || [];
+  // Credentials are returned masked ("shpat_••••••••1a2b"); they are only decrypted by the sync worker
+  const stores = (user.stores || []).map(secrets.maskCredentials);
 
   // Also return shop field for Lambda API calls (e.g., runa-ai-fashion.myshopify.com)
-  // For Shopify stores, also return the accessToken (for display/editing in admin)
-  res.json({ 
+  // For Shopify stores, also return the masked accessToken (for display in admin)
+  res.json({
     stores,
     shop: user.shop || null,
-    accessToken: user.platform?.toLowerCase() === 'shopify' ? user.accessToken : null
+    accessToken: user.platform?.toLowerCase() === 'shopify' ? secrets.maskSecret(user.accessToken) : null
   });
 }));
 
@@ -35,11 +176,22 @@ router.get("/", asyncHandler(async (req, res) => {
  * POST /api/stores
  * Add a new store
  */
-router.post("/", asyncHandler(async (req, res) => {
-  const { platform, domain, accessToken, name } = req.body;
+router.post("/", requireRole("owner"), asyncHandler(async (req, res) => {
+  const { platform, domain, accessToken, consumerKey, consumerSecret, name } = req.body;
 
-  if (!platform || !domain || !accessToken) {
-    throw ApiError.badRequest("Platform, domain, and accessToken are required");
+  if (!platform || !domain) {
+    throw ApiError.badRequest("Platform and domain are required");
+  }
+
+  // WooCommerce authenticates with a REST API key pair instead of a token;
+  // custom stores sync from a product feed (URL now, or uploaded later)
+  const isWooCommerce = platform.toLowerCase() === "woocommerce";
+  const isCustom = platform.toLowerCase() === "custom";
+  const feedSettings = isCustom ? getFeedSettings(req.body) : {};
+  if (!isCustom && (isWooCommerce ? !(consumerKey && consumerSecret) : !accessToken)) {
+    throw ApiError.badRequest(isWooCommerce
+      ? "consumerKey and consumerSecret are required for WooCommerce stores"
+      : "Platform, domain, and accessToken are required");
   }
 
   // Validate platform
@@ -65,7 +217,9 @@ router.post("/", asyncHandler(async (req, res) => {
     id: uuidv4(),
     platform: platform.toLowerCase(),
     domain,
-    accessToken, // TODO: Encrypt this
+    accessToken, // Encrypted by saveUser
+    ...(isWooCommerce && { consumerKey, consumerSecret }),
+    ...feedSettings,
     name: name || domain,
     status: "pending",
     productsCount: 0,
@@ -104,23 +258,15 @@ router.post("/", asyncHandler(async (req, res) => {
 router.get("/:storeId", asyncHandler(async (req, res) => {
   const { storeId } = req.params;
 
-  const user = await dynamodb.users.getUserById(req.user.userId);
-  if (!user) {
-    throw ApiError.notFound("User not found");
-  }
-
-  const store = (user.stores || []).find(s => s.id === storeId);
-  if (!store) {
-    throw ApiError.notFound("Store not found");
-  }
+  const { store } = await getOwnedStore(req.user.userId, storeId);
 
   // Get product count from Neo4j
   const productCount = await neo4j.products.countProductsByStore(store.domain);
 
   res.json({
-    ...store,
-    productsCount: productCount,
-    accessToken: undefined // Don't expose token
+    ...secrets.maskCredentials(store),
+    staleCleanup: getStaleCleanup(store),
+    productsCount: productCount
   });
 }));
 
@@ -128,33 +274,48 @@ router.get("/:storeId", asyncHandler(async (req, res) => {
  * PUT /api/stores/:storeId
  * Update store settings
  */
-router.put("/:storeId", asyncHandler(async (req, res) => {
+router.put("/:storeId", requireRole("owner"), asyncHandler(async (req, res) => {
   const { storeId } = req.params;
-  const { name, accessToken } = req.body;
-
-  const user = await dynamodb.users.getUserById(req.user.userId);
-  if (!user) {
-    throw ApiError.notFound("User not found");
+  const {
+    name, accessToken, vtexApiKey, vtexToken, consumerKey, consumerSecret,
+    demographic, descriptionLanguage, forceAll, autoRegenerateWidgets, staleCleanup
+  } = req.body;
+
+  const { user, store, platform } = await getOwnedStore(req.user.userId, storeId);
+  // Only custom stores sync from a feed
+  const feedSettings = platform === "custom" ? getFeedSettings(req.body) : {};
+
+  // Update fields. Masked values echoed back by the dashboard mean "unchanged".
+  const credentials = { accessToken, vtexApiKey, vtexToken, consumerKey, consumerSecret };
+  const changed = Object.keys(credentials).filter(field =>
+    credentials[field] && !secrets.isMaskedSecret(credentials[field])
+  );
+  for (const field of changed) store[field] = credentials[field];
+  // Shopify tokens are read from the user root first (Lambda compatibility)
+  if (changed.includes("accessToken") && store.platform === "shopify" && user.accessToken) {
+    user.accessToken = accessToken;
   }
-
-  const storeIndex = (user.stores || []).findIndex(s => s.id === storeId);
-  if (storeIndex === -1) {
-    throw ApiError.notFound("Store not found");
+  if (name) store.name = name;
+  Object.assign(store, feedSettings);
+
+  // Sync settings used by POST /api/sync/start
+  if (demographic !== undefined) store.demographic = demographic || null;
+  if (descriptionLanguage !== undefined) store.descriptionLanguage = descriptionLanguage || null;
+  if (forceAll !== undefined) store.forceAll = Boolean(forceAll);
+  if (autoRegenerateWidgets !== undefined) {
+    if (!Array.isArray(autoRegenerateWidgets) || autoRegenerateWidgets.some(w => !WIDGET_TYPES.includes(w))) {
+      throw ApiError.badRequest(`autoRegenerateWidgets must be an array of: ${WIDGET_TYPES.join(", ")}`);
+    }
+    store.autoRegenerateWidgets = [...new Set(autoRegenerateWidgets)];
   }
-
-  // Update fields
-  if (name) user.stores[storeIndex].name = name;
-  if (accessToken) user.stores[storeIndex].accessToken = accessToken;
-  user.stores[storeIndex].updatedAt = new Date().toISOString();
+  if (staleCleanup !== undefined) store.staleCleanup = getStaleCleanupSettings(staleCleanup, store);
+  store.updatedAt = new Date().toISOString();
 
   await dynamodb.users.saveUser(user);
 
   res.json({
     message: "Store updated successfully",
-    store: {
-      ...user.stores[storeIndex],
-      accessToken: undefined
-    }
+    store: secrets.maskCredentials(store)
   });
 }));
 
@@ -162,23 +323,13 @@ router.put("/:storeId", asyncHandler(async (req, res) => {
  * DELETE /api/stores/:storeId
  * Remove a store
  */
-router.delete("/:storeId", asyncHandler(async (req, res) => {
+router.delete("/:storeId", requireRole("owner"), asyncHandler(async (req, res) => {
   const { storeId } = req.params;
 
-  const user = await dynamodb.users.getUserById(req.user.userId);
-  if (!user) {
-    throw ApiError.notFound("User not found");
-  }
-
-  const storeIndex = (user.stores || []).findIndex(s => s.id === storeId);
-  if (storeIndex === -1) {
-    throw ApiError.notFound("Store not found");
-  }
-
-  const store = user.stores[storeIndex];
+  const { user, store } = await getOwnedStore(req.user.userId, storeId);
 
   // Remove from user's stores
-  user.stores.splice(storeIndex, 1);
+  user.stores.splice(user.stores.indexOf(store), 1);
   await dynamodb.users.saveUser(user);
 
   // Optionally delete from Neo4j (commented out for safety)
@@ -194,19 +345,469 @@ router.delete("/:storeId", asyncHandler(async (req, res) => {
 router.get("/:storeId/categories", asyncHandler(async (req, res) => {
   const { storeId } = req.params;
 
-  const user = await dynamodb.users.getUserById(req.user.userId);
-  if (!user) {
-    throw ApiError.notFound("User not found");
+  const { store } = await getOwnedStore(req.user.userId, storeId);
+
+  const categories = await neo4j.categories.getCategoriesByStore(store.domain);
+
+  res.json({ categories });
+}));
+
+/**
+ * GET /api/stores/:storeId/brand-voice
+ * Get the store's brand voice profile, with the defaults and presets the editor starts from
+ */
+router.get("/:storeId/brand-voice", asyncHandler(async (req, res) => {
+  const { user, store } = await getOwnedStore(req.user.userId, req.params.storeId);
+
+  res.json({
+    brandVoice: store.brandVoice || null,
+    effective: getStoreBrandVoice(user, store),
+    defaults: DEFAULT_BRAND_VOICE,
+    presets: BRAND_VOICE_PRESETS,
+    sections: Object.keys(BRAND_VOICE_SECTIONS)
+  });
+}));
+
+/**
+ * PUT /api/stores/:storeId/brand-voice
+ * Save the store's brand voice profile (null resets to the defaults)
+ * Body: { brandVoice }
+ */
+router.put("/:storeId/brand-voice", requireRole("owner"), asyncHandler(async (req, res) => {
+  const { brandVoice } = req.body;
+  if (brandVoice === undefined) {
+    throw ApiError.badRequest("brandVoice is required (null to reset)");
+  }
+
+  const { user, store } = await getOwnedStore(req.user.userId, req.params.storeId);
+
+  store.brandVoice = brandVoice === null ? null : getBrandVoice(brandVoice);
+  store.updatedAt = new Date().toISOString();
+  await dynamodb.users.saveUser(user);
+
+  res.json({
+    message: "Brand voice saved",
+    brandVoice: store.brandVoice
+  });
+}));
+
+/**
+ * POST /api/stores/:storeId/brand-voice/preview
+ * Generate copy for one synced product with a brand voice, without saving anything
+ * Body: { sku, brandVoice?, mode? }
+ * brandVoice defaults to the saved profile; mode is "generate" (search + images),
+ * "rewrite" (images + current description) or "reformat" (current description only).
+ */
+router.post("/:storeId/brand-voice/preview", requireRole("owner"), asyncHandler(async (req, res) => {
+  const { sku, brandVoice } = req.body;
+
+  const { user, store, platform } = await getOwnedStore(req.user.userId, req.params.storeId);
+
+  // Shopify syncs rewrite from images instead of searching (see ShopifyProvider)
+  const mode = req.body.mode || (platform === "shopify" ? "rewrite" : "generate");
+  if (!["generate", "rewrite", "reformat"].includes(mode)) {
+    throw ApiError.badRequest("mode must be one of: generate, rewrite, reformat");
   }
+  if (!sku || typeof sku !== "string") {
+    throw ApiError.badRequest("sku is required");
+  }
+
+  const voice = getStoreBrandVoice(user, store, brandVoice === undefined ? store.brandVoice : getBrandVoice(brandVoice));
 
-  const store = (user.stores || []).find(s => s.id === storeId);
-  if (!store) {
-    throw ApiError.notFound("Store not found");
+  const product = await neo4j.products.getProductBySku(store.domain, sku.trim());
+  if (!product) {
+    throw ApiError.notFound(`No synced product with SKU "${sku}" in this store`);
   }
 
-  const categories = await neo4j.categories.getCategoriesByStore(store.domain);
+  // The platform text, not an AI description saved by an earlier sync
+  const currentDescription = product.originalDescription ?? product.description ?? "";
+  const images = [].concat(product.images || []).filter(Boolean);
+  const options = { brandVoice: voice };
+
+  let description;
+  if (mode === "reformat") {
+    description = await reformatDescriptionWithBrandVoice(
+      { title: product.title, vendor: product.vendor, currentDescription },
+      options
+    );
+  } else if (mode === "rewrite") {
+    description = await rewriteDescriptionFromImage(
+      { title: product.title, vendor: product.vendor, image: product.image, images, existingDescription: currentDescription },
+      options
+    );
+  } else {
+    description = await generateAIDescription(
+      { title: product.title, sku: sku.trim(), vendor: product.vendor, image: product.image, images },
+      options
+    );
+  }
 
-  res.json({ categories });
+  const seo = voice.seo.enabled
+    ? await generateSEO({
+        title: product.title,
+        vendor: product.vendor,
+        product_type: product.product || product.category,
+        categories: product.category ? [product.category] : [],
+        description: description?.text || currentDescription
+      }, options)
+    : null;
+
+  res.json({
+    product: {
+      id: product.id,
+      title: product.title,
+      handle: product.handle,
+      image: product.image || null,
+      currentDescription
+    },
+    mode,
+    language: voice.language,
+    description: description?.text ? description : null,
+    seo: seo ? { title: seo.title, metaDescription: seo.metaDescription } : null
+  });
+}));
+
+/**
+ * GET /api/stores/:storeId/style-taxonomy
+ * Get the store's style taxonomy, with the defaults and presets the editor starts from
+ */
+router.get("/:storeId/style-taxonomy", asyncHandler(async (req, res) => {
+  const { store } = await getOwnedStore(req.user.userId, req.params.storeId);
+
+  res.json({
+    styleTaxonomy: store.styleTaxonomy || null,
+    effective: resolveStyleTaxonomy(store.styleTaxonomy),
+    defaults: DEFAULT_STYLE_TAXONOMY,
+    presets: STYLE_TAXONOMY_PRESETS
+  });
+}));
+
+/**
+ * PUT /api/stores/:storeId/style-taxonomy
+ * Save the store's style taxonomy (null turns style classification off)
+ * Body: { styleTaxonomy }
+ * Takes effect on the next sync; products keep their style data until they are resynced.
+ */
+router.put("/:storeId/style-taxonomy", requireRole("owner"), asyncHandler(async (req, res) => {
+  const { styleTaxonomy } = req.body;
+  if (styleTaxonomy === undefined) {
+    throw ApiError.badRequest("styleTaxonomy is required (null to reset)");
+  }
+
+  const { user, store } = await getOwnedStore(req.user.userId, req.params.storeId);
+
+  store.styleTaxonomy = styleTaxonomy === null ? null : getStyleTaxonomy(styleTaxonomy);
+  store.updatedAt = new Date().toISOString();
+  await dynamodb.users.saveUser(user);
+
+  res.json({
+    message: "Style taxonomy saved",
+    styleTaxonomy: store.styleTaxonomy
+  });
+}));
+
+/**
+ * GET /api/stores/:storeId/tag-taxonomy
+ * Get the store's occasion / style-lane taxonomy, with the defaults and presets the editor starts from
+ */
+router.get("/:storeId/tag-taxonomy", asyncHandler(async (req, res) => {
+  const { store, platform } = await getOwnedStore(req.user.userId, req.params.storeId);
+
+  res.json({
+    tagTaxonomy: store.tagTaxonomy || null,
+    effective: resolveTagTaxonomy(store.tagTaxonomy),
+    defaults: DEFAULT_TAG_TAXONOMY,
+    presets: TAG_TAXONOMY_PRESETS,
+    writeBackSupported: TAG_WRITEBACK_PLATFORMS.includes(platform)
+  });
+}));
+
+/**
+ * PUT /api/stores/:storeId/tag-taxonomy
+ * Save the store's tag taxonomy (null turns tagging off)
+ * Body: { tagTaxonomy }
+ * Products keep their tags until they are re-tagged (next sync of the product, or a tagging run).
+ */
+router.put("/:storeId/tag-taxonomy", requireRole("owner"), asyncHandler(async (req, res) => {
+  const { tagTaxonomy } = req.body;
+  if (tagTaxonomy === undefined) {
+    throw ApiError.badRequest("tagTaxonomy is required (null to reset)");
+  }
+
+  const { user, store, platform } = await getOwnedStore(req.user.userId, req.params.storeId);
+
+  store.tagTaxonomy = tagTaxonomy === null ? null : getTagTaxonomy(tagTaxonomy, platform);
+  store.updatedAt = new Date().toISOString();
+  await dynamodb.users.saveUser(user);
+
+  res.json({
+    message: "Tag taxonomy saved",
+    tagTaxonomy: store.tagTaxonomy
+  });
+}));
+
+/**
+ * GET /api/stores/:storeId/tags
+ * Tagging coverage: tagged / untagged products, picks, and products per occasion and style lane
+ */
+router.get("/:storeId/tags", asyncHandler(async (req, res) => {
+  const { store } = await getOwnedStore(req.user.userId, req.params.storeId);
+
+  const summary = await neo4j.tags.getTagSummary(store.domain);
+  const [activeJob] = await jobStore.getActiveJobs(store.id, { type: "tagging" });
+
+  res.json({
+    ...summary,
+    activeJob: activeJob ? { jobId: activeJob.id, status: activeJob.status, progress: activeJob.progress, total: activeJob.total } : null
+  });
+}));
+
+/**
+ * POST /api/stores/:storeId/tags/run
+ * Queue a tagging job: { mode: "missing" | "force", handle?, dryRun? }
+ * "missing" tags products never tagged, "force" re-tags every product, a handle
+ * re-tags that product only. A dry run classifies without saving or writing tags.
+ * Progress and outcome: GET /api/sync/jobs/:jobId
+ */
+router.post("/:storeId/tags/run", requireRole("owner"), asyncHandler(async (req, res) => {
+  const { mode = "missing", handle, dryRun = false } = req.body;
+  if (!TAGGING_MODES.includes(mode)) {
+    throw ApiError.badRequest(`mode must be one of: ${TAGGING_MODES.join(", ")}`);
+  }
+  if (handle !== undefined && (typeof handle !== "string" || !handle.trim())) {
+    throw ApiError.badRequest("handle must be a product handle");
+  }
+  if (typeof dryRun !== "boolean") {
+    throw ApiError.badRequest("dryRun must be a boolean");
+  }
+
+  const { user, store, platform, shopDomain } = await getOwnedStore(req.user.userId, req.params.storeId);
+
+  if (!resolveTagTaxonomy(store.tagTaxonomy).enabled) {
+    throw ApiError.badRequest("Tagging is not enabled for this store. Save an enabled tag taxonomy first.");
+  }
+
+  // The worker builds the store's provider, for the AI options and tag writes
+  if (!SYNC_PLATFORMS.includes(platform)) {
+    throw ApiError.badRequest(`Tagging is not supported for platform "${platform}"`);
+  }
+  const missingCredential = getMissingCredential(user, store);
+  if (missingCredential) {
+    throw ApiError.badRequest(`Store credentials incomplete (${missingCredential} missing). Please update your store credentials.`);
+  }
+
+  // One run at a time per store; a new request while one runs returns it
+  const [existingJob] = await jobStore.getActiveJobs(store.id, { type: "tagging" });
+  if (existingJob) {
+    return res.json({
+      message: "Tagging already in progress",
+      jobId: existingJob.id,
+      status: existingJob.status,
+      progress: existingJob.progress,
+      total: existingJob.total
+    });
+  }
+
+
+  const job = await jobStore.enqueue({
+    type: "tagging",
+    storeId: store.id,
+    userId: req.user.userId,
+    data: {
+      storeDomain: shopDomain,
+      platform,
+      region: "us-east-1",
+      mode,
+      handle: handle ? handle.trim() : null,
+      dryRun
+    }
+  });
+
+  res.status(202).json({
+    message: "Tagging queued",
+    jobId: job.id,
+    status: job.status
+  });
+}));
+
+/**
+ * GET /api/stores/:storeId/mapping-rules
+ * Get the store's demographic / category mapping rules, with the presets the editor starts from
+ * `effective` holds the rules syncs apply: the platform's defaults while none are saved.
+ */
+router.get("/:storeId/mapping-rules", asyncHandler(async (req, res) => {
+  const { store, platform } = await getOwnedStore(req.user.userId, req.params.storeId);
+
+  const [activeJob] = await jobStore.getActiveJobs(store.id, { type: "mapping" });
+
+  res.json({
+    mappingRules: store.mappingRules || null,
+    effective: resolveMappingRules(store.mappingRules, platform),
+    defaults: DEFAULT_MAPPING_RULES,
+    presets: MAPPING_RULE_PRESETS,
+    activeJob: activeJob ? { jobId: activeJob.id, status: activeJob.status, progress: activeJob.progress, total: activeJob.total } : null
+  });
+}));
+
+/**
+ * PUT /api/stores/:storeId/mapping-rules
+ * Save the store's mapping rules (null goes back to the platform's defaults)
+ * Body: { mappingRules }
+ * Syncs apply them to the products they enrich; the rest of the catalog moves
+ * with POST /api/stores/:storeId/mapping-rules/apply.
+ */
+router.put("/:storeId/mapping-rules", requireRole("owner"), asyncHandler(async (req, res) => {
+  const { mappingRules } = req.body;
+  if (mappingRules === undefined) {
+    throw ApiError.badRequest("mappingRules is required (null to reset)");
+  }
+
+  const { user, store } = await getOwnedStore(req.user.userId, req.params.storeId);
+
+  store.mappingRules = mappingRules === null ? null : getMappingRules(mappingRules);
+  store.updatedAt = new Date().toISOString();
+  await dynamodb.users.saveUser(user);
+
+  res.json({
+    message: "Mapping rules saved",
+    mappingRules: store.mappingRules
+  });
+}));
+
+/**
+ * POST /api/stores/:storeId/mapping-rules/dry-run
+ * Which stored products rules would move, without changing anything
+ * Body: { mappingRules? } - rules to try; the saved (or default) rules when left out
+ * Products a vision rule covers and not yet filed under one of its categories
+ * are listed as visionPending: their subcategory is only known once applied.
+ */
+router.post("/:storeId/mapping-rules/dry-run", asyncHandler(async (req, res) => {
+  const { store, platform, shopDomain } = await getOwnedStore(req.user.userId, req.params.storeId);
+
+  const profile = req.body.mappingRules ? getMappingRules(req.body.mappingRules) : store.mappingRules;
+  const { rules } = resolveMappingRules(profile, platform);
+
+  const { counts, matches, moves } = await dryRunMapping(shopDomain, rules, { defaultDemographic: store.demographic || "woman" });
+
+  res.json({ counts, matches, moves });
+}));
+
+/**
+ * POST /api/stores/:storeId/mapping-rules/apply
+ * Queue a mapping job that applies the saved rules to every stored product they move
+ * Products a vision rule covers are classified by image in the job.
+ * Progress and outcome: GET /api/sync/jobs/:jobId
+ */
+router.post("/:storeId/mapping-rules/apply", requireRole("owner"), asyncHandler(async (req, res) => {
+  const { user, store, platform, shopDomain } = await getOwnedStore(req.user.userId, req.params.storeId);
+
+  // The worker builds the store's provider, for the image classification
+  if (!SYNC_PLATFORMS.includes(platform)) {
+    throw ApiError.badRequest(`Mapping is not supported for platform "${platform}"`);
+  }
+  const missingCredential = getMissingCredential(user, store);
+  if (missingCredential) {
+    throw ApiError.badRequest(`Store credentials incomplete (${missingCredential} missing). Please update your store credentials.`);
+  }
+
+  // One run at a time per store; a new request while one runs returns it
+  const [existingJob] = await jobStore.getActiveJobs(store.id, { type: "mapping" });
+  if (existingJob) {
+    return res.json({
+      message: "Mapping already in progress",
+      jobId: existingJob.id,
+      status: existingJob.status,
+      progress: existingJob.progress,
+      total: existingJob.total
+    });
+  }
+
+
+  const job = await jobStore.enqueue({
+    type: "mapping",
+    storeId: store.id,
+    userId: req.user.userId,
+    data: {
+      storeDomain: shopDomain,
+      platform,
+      region: "us-east-1"
+    }
+  });
+
+  res.status(202).json({
+    message: "Mapping queued",
+    jobId: job.id,
+    status: job.status
+  });
+}));
+
+/**
+ * Feed uploads read the file as raw text whatever its content type (browsers send
+ * .json files as application/json), so they have their own router, mounted before
+ * express.json() like the webhooks
+ */
+export const feedUploadRouter = Router();
+
+/**
+ * PUT /api/stores/:storeId/feed?format=csv&fileName=products.csv
+ * Upload a product feed file for a custom store (raw request body)
+ * The file is kept under config.feeds.dir, where the worker's FeedProvider reads it.
+ */
+feedUploadRouter.put("/:storeId/feed", authenticate, requireRole("owner"), express.text({ type: () => true, limit: config.feeds.maxUploadBytes }), asyncHandler(async (req, res) => {
+  const { storeId } = req.params;
+  const { format, fileName } = req.query;
+
+  const { user, store } = await getOwnedStore(req.user.userId, storeId);
+  if (store.platform !== "custom") {
+    throw ApiError.badRequest("Feed uploads are only supported for custom stores");
+  }
+
+  const content = typeof req.body === "string" ? req.body : "";
+  if (!content.trim()) {
+    throw ApiError.badRequest("Feed file is empty");
+  }
+
+  const { feedFormat = store.feedFormat || "auto" } = getFeedSettings({ feedFormat: format });
+  const detectedFormat = feedFormat === "auto"
+    ? detectFeedFormat(content, { fileName, contentType: req.headers["content-type"] })
+    : feedFormat;
+
+  // Parse before saving so a broken file never replaces a working one
+  let records;
+  try {
+    records = parseFeed(content, detectedFormat);
+  } catch (error) {
+    throw ApiError.badRequest(`Could not parse ${detectedFormat} feed: ${error.message}`);
+  }
+  if (records.length === 0) {
+    throw ApiError.badRequest(`No products found in ${detectedFormat} feed`);
+  }
+
+  const extension = { google: "xml", csv: "csv", jsonl: "jsonl" }[detectedFormat];
+  const feedFile = path.join(config.feeds.dir, `${storeId}.${extension}`);
+  await fs.mkdir(config.feeds.dir, { recursive: true });
+  await fs.writeFile(feedFile, content, "utf8");
+
+  // The store syncs from one source: an upload replaces the feed URL
+  Object.assign(store, {
+    feedUrl: null,
+    feedFile,
+    feedFormat,
+    feedUploadedAt: new Date().toISOString(),
+    updatedAt: new Date().toISOString()
+  });
+  await dynamodb.users.saveUser(user);
+
+  res.json({
+    message: "Feed uploaded successfully",
+    feed: {
+      format: detectedFormat,
+      records: records.length,
+      columns: Object.keys(records[0]),
+      sample: mapFeedRecord(records[0], store.feedMapping),
+      uploadedAt: store.feedUploadedAt
+    }
+  });
 }));
 
 export default router;
@@ -1,54 +1,63 @@
 import { Router } from "express";
-import { dynamodb } from "@runa/core";
-import { authenticate } from "../middleware/auth.js";
+import { dynamodb, neo4j, jobs } from "@runa/core";
+import { authenticate, requireRole } from "../middleware/auth.js";
 import { asyncHandler, ApiError } from "../middleware/error.js";
+import { SYNC_PLATFORMS, getStaleCleanup, getMissingCredential } from "../sync/store-config.js";
+import { getOwnedStore } from "../services/stores.js";
 
 const router = Router();
+const { jobStore, JOB_STATUS } = jobs;
 
 // All routes require authentication
 router.use(authenticate);
 
-// In-memory job queue (for development - use Redis/BullMQ in production)
-const jobQueue = new Map();
+/**
+ * Shape a job for API responses
+ */
+function formatJob(job) {
+  return {
+    jobId: job.id,
+    type: job.type,
+    storeId: job.storeId,
+    status: job.status,
+    progress: job.progress,
+    total: job.total,
+    attempts: job.attempts,
+    createdAt: job.createdAt,
+    startedAt: job.startedAt,
+    completedAt: job.completedAt,
+    cancelRequestedAt: job.cancelRequestedAt,
+    result: job.result,
+    error: job.error
+  };
+}
 
 /**
  * POST /api/sync/start
- * Start a sync job for a store
+ * Queue a sync job for a store (picked up by apps/worker)
  */
-router.post("/start", asyncHandler(async (req, res) => {
-  const { storeId } = req.body;
+router.post("/start", requireRole("owner"), asyncHandler(async (req, res) => {
+  const { storeId, options = {} } = req.body;
 
   if (!storeId) {
     throw ApiError.badRequest("storeId is required");
   }
 
-  // Get user from database
-  const user = await dynamodb.users.getUserById(req.user.userId);
-  if (!user) {
-    throw ApiError.notFound("User not found");
-  }
-
-  // Verify user owns this store
-  const store = (user?.stores || []).find(s => s.id === storeId);
-  if (!store) {
-    throw ApiError.notFound("Store not found");
-  }
+  const { user, store, platform, shopDomain } = await getOwnedStore(req.user.userId, storeId);
 
-  // Get accessToken from user record based on platform
-  // For Shopify: accessToken is at user root level
-  // For VTEX: vtexApiKey and vtexToken at user root level
-  let accessToken = store.accessToken;
-  if (store.platform?.toLowerCase() === 'shopify' && user.accessToken) {
-    accessToken = user.accessToken;
+  // Providers exist per platform; credentials are looked up the same way the worker does
+  if (!SYNC_PLATFORMS.includes(platform)) {
+    throw ApiError.badRequest(`Sync is not supported for platform "${platform}"`);
   }
 
-  if (!accessToken) {
-    throw ApiError.badRequest("Store access token not configured. Please update your store credentials.");
+  const missingCredential = getMissingCredential(user, store);
+  if (missingCredential) {
+    throw ApiError.badRequest(`Store credentials incomplete (${missingCredential} missing). Please update your store credentials.`);
   }
 
-  // Check if sync is already running
-  const existingJob = jobQueue.get(storeId);
-  if (existingJob && existingJob.status === "running") {
+  // Check if a sync is already queued or running
+  const [existingJob] = await jobStore.getActiveJobs(storeId, { type: "sync" });
+  if (existingJob) {
     return res.json({
       message: "Sync already in progress",
       jobId: existingJob.id,
@@ -58,59 +67,39 @@ router.post("/start", asyncHandler(async (req, res) => {
     });
   }
 
-  // Use shop from user record if available (for Lambda API compatibility)
-  const shopDomain = user.shop || store.domain;
-
-  // Create job
-  const jobId = `sync_${storeId}_${Date.now()}`;
-  const job = {
-    id: jobId,
+  // Credentials are resolved from the user record by the worker, never stored on the job
+  const job = await jobStore.enqueue({
+    type: "sync",
     storeId,
-    storeDomain: shopDomain,
-    platform: store.platform || user.platform,
-    accessToken,
-    status: "queued",
-    progress: 0,
-    total: 0,
-    startedAt: new Date().toISOString(),
     userId: req.user.userId,
-    region: "us-east-1"
-  };
-
-  jobQueue.set(storeId, job);
-
-  // Start sync in background (fire and forget)
-  // In production, this would add to Redis/BullMQ queue
-  startSyncJob(job).catch(err => {
-    console.error(`Sync job ${jobId} failed:`, err);
-    job.status = "failed";
-    job.error = err.message;
-    job.completedAt = new Date().toISOString();
+    data: {
+      storeDomain: shopDomain,
+      platform,
+      region: "us-east-1",
+      options
+    }
   });
 
-  res.json({
-    message: "Sync job started",
-    jobId,
-    status: "queued",
+  res.status(202).json({
+    message: "Sync job queued",
+    jobId: job.id,
+    status: job.status,
     channelId: `${shopDomain}_scan` // PubNub channel for real-time updates
   });
 }));
 
 /**
  * GET /api/sync/status/:storeId
- * Get sync status for a store
+ * Get sync status for a store (active job first, otherwise the latest one)
  */
 router.get("/status/:storeId", asyncHandler(async (req, res) => {
   const { storeId } = req.params;
+  const { store } = await getOwnedStore(req.user.userId, storeId);
 
-  // Verify user owns this store
-  const user = await dynamodb.users.getUserById(req.user.userId);
-  const store = (user?.stores || []).find(s => s.id === storeId);
-  if (!store) {
-    throw ApiError.notFound("Store not found");
-  }
-
-  const job = jobQueue.get(storeId);
+  const activeJobs = await jobStore.getActiveJobs(storeId, { type: "sync" });
+  const [job] = activeJobs.length > 0
+    ? activeJobs
+    : await jobStore.list({ storeId, type: "sync", limit: 1 });
 
   if (!job) {
     return res.json({
@@ -120,40 +109,94 @@ router.get("/status/:storeId", asyncHandler(async (req, res) => {
   }
 
   res.json({
-    jobId: job.id,
-    status: job.status,
-    progress: job.progress,
-    total: job.total,
-    startedAt: job.startedAt,
-    completedAt: job.completedAt,
-    error: job.error
+    ...formatJob(job),
+    lastSync: store.lastSync,
+    activeJobs: activeJobs.map(formatJob)
   });
 }));
 
 /**
- * POST /api/sync/cancel/:storeId
- * Cancel a running sync job
+ * GET /api/sync/jobs?storeId=&status=&limit=
+ * List jobs for a store
  */
-router.post("/cancel/:storeId", asyncHandler(async (req, res) => {
-  const { storeId } = req.params;
+router.get("/jobs", asyncHandler(async (req, res) => {
+  const { storeId, status, limit = 20 } = req.query;
 
-  // Verify user owns this store
-  const user = await dynamodb.users.getUserById(req.user.userId);
-  const store = (user?.stores || []).find(s => s.id === storeId);
-  if (!store) {
-    throw ApiError.notFound("Store not found");
+  if (!storeId) {
+    throw ApiError.badRequest("storeId query parameter is required");
   }
 
-  const job = jobQueue.get(storeId);
+  await getOwnedStore(req.user.userId, storeId);
+
+  const storeJobs = await jobStore.list({
+    storeId,
+    status: status ? status.split(",") : undefined,
+    limit: parseInt(limit)
+  });
+
+  res.json({ jobs: storeJobs.map(formatJob) });
+}));
 
-  if (!job || job.status !== "running") {
+/**
+ * GET /api/sync/jobs/:jobId
+ * Look up a single job
+ */
+router.get("/jobs/:jobId", asyncHandler(async (req, res) => {
+  const job = await jobStore.get(req.params.jobId);
+  if (!job) {
+    throw ApiError.notFound("Job not found");
+  }
+
+  await getOwnedStore(req.user.userId, job.storeId);
+
+  res.json(formatJob(job));
+}));
+
+/**
+ * POST /api/sync/jobs/:jobId/cancel
+ * Cancel a single queued or running job
+ * Running jobs are aborted by the worker at the next product boundary
+ */
+router.post("/jobs/:jobId/cancel", requireRole("owner"), asyncHandler(async (req, res) => {
+  const job = await jobStore.get(req.params.jobId);
+  if (!job) {
+    throw ApiError.notFound("Job not found");
+  }
+
+  await getOwnedStore(req.user.userId, job.storeId);
+
+  if (job.status !== JOB_STATUS.QUEUED && job.status !== JOB_STATUS.RUNNING) {
+    throw ApiError.conflict(`Job is already ${job.status}`);
+  }
+
+  const cancelled = await jobStore.cancel(job.id);
+
+  res.json({ message: "Sync job cancelled", job: formatJob(cancelled) });
+}));
+
+/**
+ * POST /api/sync/cancel/:storeId
+ * Cancel every queued or running sync job for a store
+ */
+router.post("/cancel/:storeId", requireRole("owner"), asyncHandler(async (req, res) => {
+  const { storeId } = req.params;
+  await getOwnedStore(req.user.userId, storeId);
+
+  const activeJobs = await jobStore.getActiveJobs(storeId, { type: "sync" });
+
+  if (activeJobs.length === 0) {
     return res.json({ message: "No running sync job to cancel" });
   }
 
-  job.status = "cancelled";
-  job.cancelledAt = new Date().toISOString();
+  const cancelled = [];
+  for (const job of activeJobs) {
+    cancelled.push(await jobStore.cancel(job.id));
+  }
 
-  res.json({ message: "Sync job cancelled" });
+  res.json({
+    message: "Sync job cancelled",
+    jobs: cancelled.map(formatJob)
+  });
 }));
 
 /**
@@ -164,140 +207,46 @@ router.get("/history/:storeId", asyncHandler(async (req, res) => {
   const { storeId } = req.params;
   const { limit = 10 } = req.query;
 
-  // Verify user owns this store
-  const user = await dynamodb.users.getUserById(req.user.userId);
-  const store = (user?.stores || []).find(s => s.id === storeId);
-  if (!store) {
-    throw ApiError.notFound("Store not found");
-  }
+  const { shopDomain } = await getOwnedStore(req.user.userId, storeId);
 
-  // Get logs from DynamoDB
-  const logs = await dynamodb.logs.getLogsByStore(store.domain, {
+  // Get logs from DynamoDB (written under the shop domain the store syncs as)
+  const logs = await dynamodb.logs.getLogsByStore(shopDomain, {
     limit: parseInt(limit),
-    types: ["sync_start", "sync_complete", "sync_error"]
+    types: ["sync_start", "sync_complete", "sync_error", "sync_cancelled", "stale_cleanup"]
   });
 
   res.json({ history: logs });
 }));
 
 /**
- * Background sync job runner
- * In production, this would be in the worker app
+ * GET /api/sync/quarantine/:storeId
+ * Products the last syncs did not see, restorable until their purgeAt
  */
-async function startSyncJob(job) {
-  console.log(`\n=== Starting sync job ${job.id} for ${job.storeDomain} ===\n`);
-
-  job.status = "running";
-
-  try {
-    // Import the adapters and core dynamically
-    const { ShopifyAdapter } = await import("@runa/adapters");
-    const { SyncPipeline } = await import("@runa/core");
-
-    // Create adapter based on platform
-    let adapter;
-    const platform = (job.platform || "shopify").toLowerCase();
-
-    switch (platform) {
-      case "shopify":
-        console.log(`Creating Shopify adapter for ${job.storeDomain}`);
-        adapter = new ShopifyAdapter(job.storeDomain, job.accessToken);
-        break;
-      default:
-        throw new Error(`Unsupported platform: ${job.platform}. Currently only Shopify is supported.`);
-    }
+router.get("/quarantine/:storeId", asyncHandler(async (req, res) => {
+  const { store, shopDomain } = await getOwnedStore(req.user.userId, req.params.storeId);
 
-    // Get total count
-    console.log("Getting product count...");
-    try {
-      job.total = await adapter.getProductCount();
-      console.log(`Total products to sync: ${job.total}`);
-    } catch (countError) {
-      console.error("Failed to get product count:", countError.message);
-      job.total = 0;
-    }
-
-    // Create pipeline
-    const pipeline = new SyncPipeline({
-      appId: "runa",
-      appName: "Runa",
-      region: job.region || "us-east-1"
-    });
-
-    // Run sync with progress callback
-    console.log("Starting sync pipeline...");
-    const result = await pipeline.syncStore(adapter, {
-      generateEmbeddings: true,
-      classifyProducts: true,
-      onProgress: (processed, total) => {
-        job.progress = processed;
-        job.total = total;
-        if (processed % 10 === 0) {
-          console.log(`Sync progress: ${processed}/${total} products`);
-        }
-      }
-    });
+  const products = await neo4j.quarantine.listQuarantinedProducts(shopDomain);
+  res.json({ products, settings: getStaleCleanup(store) });
+}));
 
-    // Update job status
-    job.status = result.success ? "completed" : "failed";
-    job.completedAt = new Date().toISOString();
-    job.result = {
-      processedCount: result.processedCount,
-      errorCount: result.errorCount,
-      duration: result.duration,
-      costs: result.costs
-    };
-
-    console.log(`\n=== Sync job ${job.id} completed ===`);
-    console.log(`Processed: ${result.processedCount} products`);
-    console.log(`Errors: ${result.errorCount}`);
-    console.log(`Duration: ${Math.round((result.duration || 0) / 1000)}s`);
-
-    // Update store's lastSync in user data
-    const user = await dynamodb.users.getUserById(job.userId);
-    if (user) {
-      // Find store by either domain or id
-      const storeIndex = (user.stores || []).findIndex(s => 
-        s.domain === job.storeDomain || s.id === job.storeId
-      );
-      
-      if (storeIndex !== -1) {
-        user.stores[storeIndex].lastSync = new Date().toISOString();
-        user.stores[storeIndex].productsCount = result.processedCount;
-        user.stores[storeIndex].status = result.success ? "active" : "error";
-        await dynamodb.users.saveUser(user);
-        console.log(`Updated store sync status for user ${user.id}`);
-      }
-    }
+/**
+ * POST /api/sync/quarantine/:storeId/restore
+ * Undo the stale cleanup for quarantined products
+ * Body: { productIds } (omit to restore every quarantined product)
+ */
+router.post("/quarantine/:storeId/restore", requireRole("owner"), asyncHandler(async (req, res) => {
+  const { productIds } = req.body;
+  if (productIds !== undefined && (!Array.isArray(productIds) || productIds.length === 0)) {
+    throw ApiError.badRequest("productIds must be a non-empty array (omit it to restore all)");
+  }
 
-    return result;
-  } catch (error) {
-    console.error(`\n=== Sync job ${job.id} failed ===`);
-    console.error("Error:", error.message);
-
-    job.status = "failed";
-    job.error = error.message;
-    job.completedAt = new Date().toISOString();
-
-    // Update store status to error
-    try {
-      const user = await dynamodb.users.getUserById(job.userId);
-      if (user) {
-        const storeIndex = (user.stores || []).findIndex(s => 
-          s.domain === job.storeDomain || s.id === job.storeId
-        );
-        if (storeIndex !== -1) {
-          user.stores[storeIndex].status = "error";
-          user.stores[storeIndex].lastError = error.message;
-          await dynamodb.users.saveUser(user);
-        }
-      }
-    } catch (updateError) {
-      console.error("Failed to update store error status:", updateError.message);
-    }
+  const { shopDomain } = await getOwnedStore(req.user.userId, req.params.storeId);
 
-    throw error;
-  }
-}
+  const restored = await neo4j.quarantine.restoreProducts(shopDomain, productIds || null);
+  res.json({
+    message: `${restored.length} product(s) restored`,
+    restored
+  });
+}));
 
 export default router;
@@ -0,0 +1,76 @@
+import { Router } from "express";
+import { dynamodb } from "@runa/core";
+import { authenticate, requireRole, normalizeRole, ROLES } from "../middleware/auth.js";
+import { asyncHandler, ApiError } from "../middleware/error.js";
+
+const router = Router();
+
+// User management is reserved to superadmins
+router.use(authenticate, requireRole("superadmin"));
+
+/**
+ * Shape a user for API responses (no password or credentials)
+ */
+function formatUser(user) {
+  return {
+    id: user.id,
+    email: user.email || null,
+    name: user.name || null,
+    shop: user.shop || null,
+    role: normalizeRole(user.role),
+    storesCount: (user.stores || []).length,
+    createdAt: user.createdAt || null
+  };
+}
+
+/**
+ * GET /api/users
+ * List all users with their role
+ */
+router.get("/", asyncHandler(async (req, res) => {
+  const users = [];
+  let lastKey;
+
+  do {
+    const { results, LastEvaluatedKey } = await dynamodb.users.getAllUsers(lastKey);
+    users.push(...results);
+    lastKey = LastEvaluatedKey;
+  } while (lastKey);
+
+  res.json({ users: users.map(formatUser), roles: ROLES });
+}));
+
+/**
+ * PUT /api/users/:userId/role
+ * Promote or demote a user
+ */
+router.put("/:userId/role", asyncHandler(async (req, res) => {
+  const { userId } = req.params;
+  const { role } = req.body;
+
+  if (!ROLES.includes(role)) {
+    throw ApiError.badRequest(`Invalid role. Must be one of: ${ROLES.join(", ")}`);
+  }
+
+  // Keeps at least one superadmin around: nobody can demote themselves
+  if (userId === req.user.userId) {
+    throw ApiError.badRequest("You cannot change your own role");
+  }
+
+  const user = await dynamodb.users.getUserById(userId);
+  if (!user) {
+    throw ApiError.notFound("User not found");
+  }
+
+  user.role = role;
+  user.roleUpdatedAt = new Date().toISOString();
+  user.roleUpdatedBy = req.user.userId;
+  await dynamodb.users.saveUser(user);
+
+  res.json({
+    message: "Role updated successfully",
+    user: formatUser(user)
+  });
+}));
+
+export default router;
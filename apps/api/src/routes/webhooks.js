@@ -0,0 +1,90 @@
+import express, { Router } from "express";
+import { dynamodb, jobs } from "@runa/core";
+import { verifyShopifyWebhook } from "@runa/adapters";
+import { asyncHandler, ApiError } from "../middleware/error.js";
+import { getStorePlatform } from "../sync/store-config.js";
+
+const router = Router();
+const { jobStore } = jobs;
+
+// Signatures are computed over the exact bytes Shopify sent, so this router
+// is mounted before express.json() and reads the raw body itself
+router.use(express.raw({ type: "*/*", limit: "5mb" }));
+
+const PRODUCT_TOPICS = ["products/create", "products/update", "products/delete"];
+const INVENTORY_TOPICS = ["inventory_levels/update"];
+
+/**
+ * Find the Shopify store a webhook belongs to
+ * @returns {Promise<{ user: Object, store: Object }|null>}
+ */
+async function findShopifyStore(shopDomain) {
+  const user = await dynamodb.users.getUserByShop(shopDomain);
+  if (!user) return null;
+
+  const stores = user.stores || [];
+  const store = stores.find(s => s.domain === shopDomain)
+    || stores.find(s => getStorePlatform(user, s) === "shopify");
+
+  return store ? { user, store } : null;
+}
+
+/**
+ * POST /api/webhooks/shopify
+ * Receive product and inventory webhooks and queue a single-product update
+ * Shopify expects a 2xx within a few seconds, so the work is left to the worker.
+ */
+router.post("/shopify", asyncHandler(async (req, res) => {
+  // express.raw leaves an empty body as {}, which has no signature to check
+  if (!Buffer.isBuffer(req.body) || !verifyShopifyWebhook(req.headers, req.body)) {
+    throw ApiError.unauthorized("Invalid webhook signature");
+  }
+
+  const topic = req.get("x-shopify-topic");
+  const shopDomain = req.get("x-shopify-shop-domain");
+  const webhookId = req.get("x-shopify-webhook-id");
+
+  if (!PRODUCT_TOPICS.includes(topic) && !INVENTORY_TOPICS.includes(topic)) {
+    return res.json({ status: "ignored", reason: `Unhandled topic ${topic}` });
+  }
+
+  let payload;
+  try {
+    payload = JSON.parse(req.body.toString("utf8"));
+  } catch {
+    throw ApiError.badRequest("Webhook body is not valid JSON");
+  }
+
+  const owner = await findShopifyStore(shopDomain);
+  if (!owner) {
+    // Acknowledge anyway, otherwise Shopify keeps retrying for a shop we don't serve
+    console.warn(`Webhook ${topic} for unknown shop ${shopDomain}`);
+    return res.json({ status: "ignored", reason: "Unknown shop" });
+  }
+
+  const { user, store } = owner;
+  const data = { topic, shopDomain, storeDomain: user.shop || store.domain, webhookId, region: "us-east-1" };
+  let dedupeKey;
+
+  if (INVENTORY_TOPICS.includes(topic)) {
+    data.inventoryItemId = String(payload.inventory_item_id);
+    dedupeKey = `${store.id}:inventory:${data.inventoryItemId}`;
+  } else {
+    data.productId = String(payload.id);
+    data.deleted = topic === "products/delete";
+    dedupeKey = `${store.id}:product:${data.productId}`;
+  }
+
+  // Bursts of updates for the same product collapse into one queued job
+  const job = await jobStore.enqueue({
+    type: "product",
+    storeId: store.id,
+    userId: user.id,
+    data,
+    dedupeKey
+  });
+
+  res.json({ status: "queued", jobId: job.id });
+}));
+
+export default router;
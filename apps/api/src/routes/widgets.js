@@ -0,0 +1,127 @@
+import { Router } from "express";
+import { neo4j, jobs } from "@runa/core";
+import { authenticate, requireRole } from "../middleware/auth.js";
+import { asyncHandler, ApiError } from "../middleware/error.js";
+import { SYNC_PLATFORMS, WIDGET_TYPES, WIDGET_SCOPES, getMissingCredential } from "../sync/store-config.js";
+import { getOwnedStore } from "../services/stores.js";
+
+const router = Router();
+const { jobStore } = jobs;
+
+const MAX_CANDIDATE_LIMIT = 100;
+
+// All routes require authentication
+router.use(authenticate);
+
+/**
+ * Validate the Lambda options of a regeneration request
+ */
+function getWidgetOptions({ language, skipImages, candidateLimit }) {
+  const options = {};
+  if (language !== undefined) {
+    if (typeof language !== "string" || !/^[a-z]{2}$/.test(language)) {
+      throw ApiError.badRequest("language must be a two-letter language code");
+    }
+    options.language = language;
+  }
+  if (skipImages !== undefined) {
+    options.skipImages = skipImages === true;
+  }
+  if (candidateLimit !== undefined) {
+    const limit = parseInt(candidateLimit);
+    if (!(limit > 0 && limit <= MAX_CANDIDATE_LIMIT)) {
+      throw ApiError.badRequest(`candidateLimit must be between 1 and ${MAX_CANDIDATE_LIMIT}`);
+    }
+    options.candidateLimit = limit;
+  }
+  return options;
+}
+
+/**
+ * GET /api/widgets/:storeId
+ * Widget coverage: products whose Complete the Look / Similar Products widget
+ * was regenerated, is stale (product re-enriched since) or was never generated,
+ * with the regeneration jobs in progress
+ */
+router.get("/:storeId", asyncHandler(async (req, res) => {
+  const { store } = await getOwnedStore(req.user.userId, req.params.storeId);
+
+  const coverage = await neo4j.widgets.getWidgetCoverage(store.domain);
+  const activeJobs = [];
+  for (const widget of WIDGET_TYPES) {
+    const [job] = await jobStore.getActiveJobs(store.id, { type: widget });
+    if (job) {
+      activeJobs.push({ jobId: job.id, widget, status: job.status, scope: job.data?.scope, progress: job.progress, total: job.total });
+    }
+  }
+
+  res.json({
+    ...coverage,
+    autoRegenerate: store.autoRegenerateWidgets || [],
+    activeJobs
+  });
+}));
+
+/**
+ * POST /api/widgets/regenerate
+ * Queue one regeneration job per widget
+ * Body: { storeId, widgets?, scope?, category?, language?, skipImages?, candidateLimit? }
+ * Progress: GET /api/sync/jobs/:jobId, or the "<storeDomain>_widgets" PubNub channel
+ */
+router.post("/regenerate", requireRole("owner"), asyncHandler(async (req, res) => {
+  const { storeId, widgets = WIDGET_TYPES, scope = "changed", category } = req.body;
+
+  if (!storeId) {
+    throw ApiError.badRequest("storeId is required");
+  }
+  if (!Array.isArray(widgets) || widgets.length === 0 || widgets.some(w => !WIDGET_TYPES.includes(w))) {
+    throw ApiError.badRequest(`widgets must be a non-empty array of: ${WIDGET_TYPES.join(", ")}`);
+  }
+  if (!WIDGET_SCOPES.includes(scope)) {
+    throw ApiError.badRequest(`scope must be one of: ${WIDGET_SCOPES.join(", ")}`);
+  }
+  if (scope === "category" && (typeof category !== "string" || !category.trim())) {
+    throw ApiError.badRequest("category is required for the category scope");
+  }
+  const options = getWidgetOptions(req.body);
+
+  const { user, store, platform, shopDomain } = await getOwnedStore(req.user.userId, storeId);
+
+  // The worker builds the store's provider for the store domain and PubNub channel
+  if (!SYNC_PLATFORMS.includes(platform)) {
+    throw ApiError.badRequest(`Widget regeneration is not supported for platform "${platform}"`);
+  }
+  const missingCredential = getMissingCredential(user, store);
+  if (missingCredential) {
+    throw ApiError.badRequest(`Store credentials incomplete (${missingCredential} missing). Please update your store credentials.`);
+  }
+
+
+  const queued = [];
+  for (const widget of [...new Set(widgets)]) {
+    // One job per widget at a time; a new request while one runs returns it
+    const [existingJob] = await jobStore.getActiveJobs(store.id, { type: widget });
+    const job = existingJob || await jobStore.enqueue({
+      type: widget,
+      storeId: store.id,
+      userId: req.user.userId,
+      data: {
+        storeDomain: shopDomain,
+        platform,
+        region: "us-east-1",
+        scope,
+        category: scope === "category" ? category.trim() : null,
+        options,
+        trigger: "manual"
+      }
+    });
+    queued.push({ widget, jobId: job.id, status: job.status, alreadyActive: Boolean(existingJob) });
+  }
+
+  res.status(202).json({
+    message: "Widget regeneration queued",
+    jobs: queued
+  });
+}));
+
+export default router;
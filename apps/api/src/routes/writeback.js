@@ -0,0 +1,122 @@
+import { Router } from "express";
+import { jobs } from "@runa/core";
+import { authenticate, requireRole } from "../middleware/auth.js";
+import { asyncHandler, ApiError } from "../middleware/error.js";
+import { WRITEBACK_PLATFORMS, WRITEBACK_FIELDS, getMissingCredential } from "../sync/store-config.js";
+import { getOwnedStore } from "../services/stores.js";
+
+const router = Router();
+const { jobStore } = jobs;
+
+const MAX_PREVIEW_PRODUCTS = 50;
+
+// All routes require authentication
+router.use(authenticate);
+
+/**
+ * Validate a write-back request and resolve the store it targets
+ * @returns {Promise<Object>} - { user, store, platform, shopDomain, productIds, fields }
+ */
+async function resolveWriteBack(userId, { storeId, productIds, fields }) {
+  if (productIds !== undefined && (!Array.isArray(productIds) || productIds.length === 0)) {
+    throw ApiError.badRequest("productIds must be a non-empty array");
+  }
+  if (fields !== undefined && (!Array.isArray(fields) || fields.length === 0 || fields.some(f => !WRITEBACK_FIELDS.includes(f)))) {
+    throw ApiError.badRequest(`fields must be a non-empty array of: ${WRITEBACK_FIELDS.join(", ")}`);
+  }
+
+  const { user, store, platform, shopDomain } = await getOwnedStore(userId, storeId);
+  if (!WRITEBACK_PLATFORMS.includes(platform)) {
+    throw ApiError.badRequest(`Write-back is not supported for platform "${platform}"`);
+  }
+
+  const missingCredential = getMissingCredential(user, store);
+  if (missingCredential) {
+    throw ApiError.badRequest(`Store credentials incomplete (${missingCredential} missing). Please update your store credentials.`);
+  }
+
+  return {
+    user,
+    store,
+    platform,
+    shopDomain,
+    productIds: productIds ? productIds.map(String) : null,
+    fields: fields || WRITEBACK_FIELDS
+  };
+}
+
+/**
+ * Queue a write-back job (the worker holds the platform credentials)
+ */
+function enqueueWriteBack(userId, { store, platform, shopDomain, productIds, fields }, data) {
+  return jobStore.enqueue({
+    type: "writeback",
+    storeId: store.id,
+    userId,
+    data: {
+      storeDomain: shopDomain,
+      platform,
+      region: "us-east-1",
+      productIds,
+      fields,
+      ...data
+    }
+  });
+}
+
+/**
+ * POST /api/writeback/preview
+ * Diff the AI copy against the live platform values, without writing anything.
+ * Body: { storeId, productIds?, fields?, limit? }
+ * Without productIds, the products whose AI copy was not pushed yet are previewed.
+ * The diff is the job result: poll GET /api/sync/jobs/:jobId
+ */
+router.post("/preview", asyncHandler(async (req, res) => {
+  const target = await resolveWriteBack(req.user.userId, req.body);
+  const limit = Math.min(parseInt(req.body.limit) || 20, MAX_PREVIEW_PRODUCTS);
+
+  const job = await enqueueWriteBack(req.user.userId, target, { mode: "preview", limit });
+
+  res.status(202).json({
+    message: "Write-back preview queued",
+    jobId: job.id,
+    status: job.status
+  });
+}));
+
+/**
+ * POST /api/writeback/push
+ * Push AI descriptions/SEO to the store platform.
+ * Body: { storeId, productIds?, fields?, force? }
+ * Fields edited on the platform by a human are skipped unless force is true.
+ * Progress and outcome: GET /api/sync/jobs/:jobId
+ */
+router.post("/push", requireRole("owner"), asyncHandler(async (req, res) => {
+  const target = await resolveWriteBack(req.user.userId, req.body);
+
+  // One push at a time per store; a new request while one runs returns it
+  const existingJob = (await jobStore.getActiveJobs(target.store.id, { type: "writeback" }))
+    .find(job => job.data?.mode === "push");
+  if (existingJob) {
+    return res.json({
+      message: "Write-back already in progress",
+      jobId: existingJob.id,
+      status: existingJob.status,
+      progress: existingJob.progress,
+      total: existingJob.total
+    });
+  }
+
+  const job = await enqueueWriteBack(req.user.userId, target, {
+    mode: "push",
+    force: req.body.force === true
+  });
+
+  res.status(202).json({
+    message: "Write-back queued",
+    jobId: job.id,
+    status: job.status
+  });
+}));
+
+export default router;
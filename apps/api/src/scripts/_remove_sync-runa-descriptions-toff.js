@@ -22,6 +22,7 @@ import path from "path";
 import { fileURLToPath } from "url";
 import { NEO4J_URI, NEO4J_USER, NEO4J_PASSWORD } from "../sync/services/config.js";
 import { generateAIDescription } from "../sync/services/ai-product-description.js";
+import { BRAND_VOICE_PRESETS } from "../sync/utils/brand-voice.js";
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -206,7 +207,7 @@ async function main() {
     }
 
     try {
-      const aiResult = await generateAIDescription(product);
+      const aiResult = await generateAIDescription(product, { brandVoice: BRAND_VOICE_PRESETS.toff });
 
       if (aiResult) {
         stats.generated++;
@@ -4,7 +4,7 @@
  * Backfill Toff SEO (Title + MetaTagDescription)
  *
  * Scans Neo4j for Toff products that do NOT yet have `seoTitle` populated,
- * generates SEO using the TOFF rules via Gemini (`generateSEO`), and saves
+ * generates SEO using the TOFF brand voice via Gemini (`generateSEO`), and saves
  * the result back into the Neo4j Product node (seoTitle + seoMetaDescription
  * + seoSource).
  *
@@ -48,6 +48,7 @@ dotenv.config({ path: path.resolve(__dirname, "../../../../.env") });
 import neo4j from "neo4j-driver";
 import { NEO4J_URI, NEO4J_USER, NEO4J_PASSWORD } from "../sync/services/config.js";
 import { generateSEO } from "../sync/services/ai-product-description.js";
+import { BRAND_VOICE_PRESETS } from "../sync/utils/brand-voice.js";
 import { mapWithConcurrency } from "../sync/utils/index.js";
 
 // ─── Toff defaults ───────────────────────────────────────────────────
@@ -208,7 +209,7 @@ async function main() {
           description: p.description || "",
         };
 
-        const seoResult = await generateSEO(seoInput, { language: "ro" });
+        const seoResult = await generateSEO(seoInput, { brandVoice: BRAND_VOICE_PRESETS.toff });
 
         if (!seoResult || !seoResult.title || !seoResult.metaDescription) {
           console.log(`${tag} ✗ "${p.title}" — Gemini returned empty SEO`);
@@ -0,0 +1,160 @@
+#!/usr/bin/env node
+
+/**
+ * Benchmark Vector Search — vector index vs exact cosine scan
+ *
+ * Runs the same product searches through the property's vector index and the
+ * exact GDS cosine scan, and reports the latency of both and the recall of the
+ * index (share of the exact top-K it also returns). Queries are the embeddings
+ * of random products of the store, so no embedding API calls are made; the
+ * query product itself is left out of both result lists.
+ *
+ * Needs the vector indexes (create-search-indexes.js) and the GDS plugin.
+ *
+ * Usage:
+ *   node apps/api/src/scripts/benchmark-vector-search.js <store-domain> [--queries N] [--limit K] [--property NAME]
+ *
+ * Options:
+ *   --queries N      Searches to run (default: 50)
+ *   --limit K        Results per search (default: 10)
+ *   --property NAME  contentEmbedding (default), titleEmbedding or characteristicsEmbedding
+ *
+ * Examples:
+ *   node apps/api/src/scripts/benchmark-vector-search.js toffro.vtexcommercestable.com.br
+ *   node apps/api/src/scripts/benchmark-vector-search.js k8xbf0-5t.myshopify.com --queries 200 --property titleEmbedding
+ */
+
+import dotenv from "dotenv";
+import { fileURLToPath } from "url";
+import path from "path";
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+dotenv.config({ path: path.resolve(__dirname, "../../../../.env") });
+
+import { neo4j, neo4jClient } from "@runa/core";
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// CLI ARGS
+// ═══════════════════════════════════════════════════════════════════════════════
+
+const args = process.argv.slice(2);
+const argValue = (name, fallback) => {
+  const i = args.indexOf(name);
+  return i !== -1 && args[i + 1] ? args[i + 1] : fallback;
+};
+const STORE_ID = args.find((a, i) => !a.startsWith("-") && !args[i - 1]?.startsWith("--"));
+const QUERIES = parseInt(argValue("--queries", "50"), 10);
+const LIMIT = parseInt(argValue("--limit", "10"), 10);
+const PROPERTY = argValue("--property", "contentEmbedding");
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// MEASURING
+// ═══════════════════════════════════════════════════════════════════════════════
+
+async function sampleQueries() {
+  const records = await neo4jClient.run(
+    `
+    MATCH (p:Product)
+    WHERE p.storeId = $storeId AND p.deletedAt IS NULL AND p[$property] IS NOT NULL
+    WITH p ORDER BY rand()
+    LIMIT toInteger($queries)
+    RETURN p.id AS id, p[$property] AS embedding
+    `,
+    { storeId: STORE_ID, property: PROPERTY, queries: QUERIES }
+  );
+  return records.map(r => ({ id: r.get("id"), embedding: r.get("embedding") }));
+}
+
+/**
+ * Run a search, timed; one extra result makes up for the query product
+ * @returns {Promise<{ ms: number, ids: string[] }>}
+ */
+async function timed(search, query) {
+  const startedAt = process.hrtime.bigint();
+  const results = await search(query.embedding, LIMIT + 1);
+  const ms = Number(process.hrtime.bigint() - startedAt) / 1e6;
+  const ids = results.map(r => r.product.id).filter(id => id !== query.id).slice(0, LIMIT);
+  return { ms, ids };
+}
+
+function percentile(values, p) {
+  const sorted = [...values].sort((a, b) => a - b);
+  return sorted[Math.min(sorted.length - 1, Math.floor((p / 100) * sorted.length))];
+}
+
+function summarize(label, latencies) {
+  const mean = latencies.reduce((sum, ms) => sum + ms, 0) / latencies.length;
+  console.log(`  ${label.padEnd(14)} mean ${mean.toFixed(1).padStart(8)} ms   p50 ${percentile(latencies, 50).toFixed(1).padStart(8)} ms   p95 ${percentile(latencies, 95).toFixed(1).padStart(8)} ms`);
+  return mean;
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// MAIN
+// ═══════════════════════════════════════════════════════════════════════════════
+
+async function main() {
+  if (!STORE_ID) {
+    console.error("Usage: benchmark-vector-search.js <store-domain> [--queries N] [--limit K] [--property NAME]");
+    process.exit(1);
+  }
+
+  const index = await neo4j.searchIndexes.getOnlineVectorIndex(PROPERTY);
+  if (!index) {
+    console.error(`No online vector index on Product.${PROPERTY}. Run create-search-indexes.js first.`);
+    process.exit(1);
+  }
+
+  const exact = (embedding, limit) => neo4j.products.searchByCosine(STORE_ID, embedding, limit, { property: PROPERTY, idsOnly: true });
+  const indexed = (embedding, limit) => neo4j.products.searchByVectorIndex(index, STORE_ID, embedding, limit, { idsOnly: true });
+
+  const queries = await sampleQueries();
+  if (queries.length === 0) {
+    console.error(`No products with ${PROPERTY} for ${STORE_ID}`);
+    process.exit(1);
+  }
+
+  console.log(`\n═══════════════════════════════════════════════════════════`);
+  console.log(`  Vector Search Benchmark`);
+  console.log(`  Store:    ${STORE_ID}`);
+  console.log(`  Index:    ${index} (Product.${PROPERTY})`);
+  console.log(`  Queries:  ${queries.length}, top ${LIMIT}`);
+  console.log(`═══════════════════════════════════════════════════════════\n`);
+
+  // Warm both paths up (query plans, page cache)
+  await timed(exact, queries[0]);
+  await timed(indexed, queries[0]);
+
+  const exactMs = [];
+  const indexMs = [];
+  const recalls = [];
+  for (const query of queries) {
+    const truth = await timed(exact, query);
+    const approx = await timed(indexed, query);
+    exactMs.push(truth.ms);
+    indexMs.push(approx.ms);
+    if (truth.ids.length > 0) {
+      const found = new Set(approx.ids);
+      recalls.push(truth.ids.filter(id => found.has(id)).length / truth.ids.length);
+    }
+  }
+
+  const exactMean = summarize("Exact scan", exactMs);
+  const indexMean = summarize("Vector index", indexMs);
+  const recall = recalls.reduce((sum, r) => sum + r, 0) / Math.max(recalls.length, 1);
+
+  console.log(`\n  ─────────────────────────────────────────────────────────`);
+  console.log(`  Speedup:        ${(exactMean / indexMean).toFixed(1)}x`);
+  console.log(`  Recall@${LIMIT}:${" ".repeat(Math.max(1, 8 - String(LIMIT).length))}${(recall * 100).toFixed(1)}% (min ${(Math.min(...recalls) * 100).toFixed(1)}%)`);
+  console.log(`═══════════════════════════════════════════════════════════\n`);
+}
+
+main()
+  .then(async () => {
+    await neo4jClient.close();
+    process.exit(0);
+  })
+  .catch(e => {
+    console.error("\nFatal error:", e.message);
+    process.exit(1);
+  });
@@ -28,6 +28,7 @@ dotenv.config({ path: path.resolve(__dirname, "../../../../.env") });
 
 import neo4j from "neo4j-driver";
 import fetch from "node-fetch";
+import { decryptSecret } from "@runa/core/services/secrets";
 import { GraphQLClient, gql } from "graphql-request";
 import { NEO4J_URI, NEO4J_USER, NEO4J_PASSWORD } from "../sync/services/config.js";
 
@@ -61,7 +62,7 @@ async function fetchAccessTokenFromDB(shopDomain) {
   const token = data?.data?.accessToken;
   if (!token) throw new Error(`No accessToken found for "${shopDomain}"`);
   console.log(`  Access token fetched for ${shopDomain}`);
-  return token;
+  return decryptSecret(token);
 }
 
 // ─── Shopify GraphQL ─────────────────────────────────────────────────
@@ -131,7 +132,7 @@ async function getProductTypesWithPicks() {
     const result = await session.run(
       `MATCH (p:Product)
        WHERE p.storeId = $storeId
-         AND p.naomi_pick = true
+         AND p.isPick = true
          AND p.product_type IS NOT NULL AND trim(p.product_type) <> ''
        RETURN p.product_type AS productType, count(p) AS cnt
        ORDER BY cnt DESC`,
@@ -156,7 +157,7 @@ async function getVendorsWithPicks() {
     const result = await session.run(
       `MATCH (p:Product)
        WHERE p.storeId = $storeId
-         AND p.naomi_pick = true
+         AND p.isPick = true
          AND p.vendor IS NOT NULL AND trim(p.vendor) <> ''
        RETURN p.vendor AS vendor, count(p) AS cnt
        ORDER BY cnt DESC`,
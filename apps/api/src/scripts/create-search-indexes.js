@@ -0,0 +1,85 @@
+#!/usr/bin/env node
+
+/**
+ * Create Search Indexes — Neo4j indexes product search queries
+ *
+ * Creates the vector indexes on Product.contentEmbedding, titleEmbedding and
+ * characteristicsEmbedding, and the full-text index on title, sku, vendor and
+ * description (see @runa/core neo4j/search-indexes.js). Indexes that no longer
+ * match their definition (another vector length, say) are dropped and rebuilt;
+ * matching ones are left alone, so the script can run on every deploy. Until
+ * an index is online, search scans the store's products.
+ *
+ * Usage:
+ *   node apps/api/src/scripts/create-search-indexes.js [--dimensions N] [--wait SECONDS] [--dry-run]
+ *
+ * Options:
+ *   --dimensions N   Vector length (default: config.openai.embeddingDimensions)
+ *   --wait SECONDS   Wait up to SECONDS for the indexes to finish populating
+ *   --dry-run        Report what would be created or rebuilt
+ *
+ * Examples:
+ *   node apps/api/src/scripts/create-search-indexes.js
+ *   node apps/api/src/scripts/create-search-indexes.js --wait 600
+ */
+
+import dotenv from "dotenv";
+import { fileURLToPath } from "url";
+import path from "path";
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+dotenv.config({ path: path.resolve(__dirname, "../../../../.env") });
+
+import { config } from "@runa/config";
+import { neo4j, neo4jClient } from "@runa/core";
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// CLI ARGS
+// ═══════════════════════════════════════════════════════════════════════════════
+
+const args = process.argv.slice(2);
+const argValue = (name) => {
+  const i = args.indexOf(name);
+  return i !== -1 ? args[i + 1] : undefined;
+};
+const dimensions = argValue("--dimensions") ? parseInt(argValue("--dimensions"), 10) : config.openai.embeddingDimensions;
+const wait = argValue("--wait") ? parseInt(argValue("--wait"), 10) : 0;
+const dryRun = args.includes("--dry-run");
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// MAIN
+// ═══════════════════════════════════════════════════════════════════════════════
+
+async function main() {
+  console.log(`\n═══════════════════════════════════════════════════════════`);
+  console.log(`  Search Indexes${dryRun ? " (DRY RUN)" : ""}`);
+  console.log(`  Vector dimensions: ${dimensions} (cosine)`);
+  console.log(`═══════════════════════════════════════════════════════════\n`);
+
+  const startedAt = Date.now();
+  const results = await neo4j.searchIndexes.ensureSearchIndexes({ dimensions, wait, dryRun });
+
+  for (const { name, type, properties, action, state, populationPercent } of results) {
+    const status = state ? `${state}${state !== "ONLINE" && populationPercent != null ? ` ${populationPercent.toFixed(1)}%` : ""}` : "-";
+    console.log(`  ${name.padEnd(36)} ${type.padEnd(9)} ${properties.join(", ").padEnd(34)} ${action.padEnd(10)} ${status}`);
+  }
+
+  const pending = results.filter(r => !dryRun && r.state !== "ONLINE");
+  console.log(`\n  Duration: ${((Date.now() - startedAt) / 1000).toFixed(1)}s`);
+  if (pending.length > 0) {
+    console.log(`  ${pending.length} index(es) still populating; search scans products until they are online.`);
+  }
+  if (dryRun) console.log(`\n  DRY RUN — no indexes were changed.`);
+  console.log(`═══════════════════════════════════════════════════════════\n`);
+}
+
+main()
+  .then(async () => {
+    await neo4jClient.close();
+    process.exit(0);
+  })
+  .catch(e => {
+    console.error("\nFatal error:", e.message);
+    process.exit(1);
+  });
@@ -18,6 +18,7 @@ dotenv.config({ path: path.resolve(__dirname, "../../../../.env") });
 
 import neo4j from "neo4j-driver";
 import fetch from "node-fetch";
+import { decryptSecret } from "@runa/core/services/secrets";
 
 const NEO4J_URI = process.env.NEO4J_URI || "neo4j://3.95.143.107:7687";
 const NEO4J_USER = process.env.NEO4J_USER || "neo4j";
@@ -32,7 +33,7 @@ async function fetchAccessToken(shop) {
   const url = `${APP_SERVER_URL}?action=getUser&shop=${shop}`;
   const res = await fetch(url);
   const data = await res.json();
-  return data?.data?.accessToken || null;
+  return (await decryptSecret(data?.data?.accessToken)) || null;
 }
 
 // ─── 1. Check Neo4j ──────────────────────────────────────────────────
@@ -18,6 +18,7 @@ dotenv.config({ path: path.resolve(__dirname, "../../../../.env") });
 
 import neo4j from "neo4j-driver";
 import fetch from "node-fetch";
+import { decryptSecret } from "@runa/core/services/secrets";
 import AWS from "aws-sdk";
 
 const NEO4J_URI = process.env.NEO4J_URI || "neo4j://3.95.143.107:7687";
@@ -37,7 +38,7 @@ async function fetchAccessToken(shop) {
   const url = `${APP_SERVER_URL}?action=getUser&shop=${shop}`;
   const res = await fetch(url);
   const data = await res.json();
-  return data?.data?.accessToken || null;
+  return (await decryptSecret(data?.data?.accessToken)) || null;
 }
 
 // ─── 1. Check Neo4j ──────────────────────────────────────────────────
@@ -251,10 +252,9 @@ async function main() {
   console.log(`\n══ SUMMARY ══`);
   if (refCount > 0) {
     console.log(`  ${refCount} cache entries from OTHER products still reference "${PRODUCT_HANDLE}".`);
-    console.log(`  These need to be regenerated or the cache entries deleted.`);
-    console.log(`  The stale cleanup (sync-cleanup-stale.js) handles this when a product`);
-    console.log(`  is deleted from Neo4j, but if the product is still in Neo4j (just out`);
-    console.log(`  of stock), these caches won't be cleaned.`);
+    console.log(`  The sync drops deleted and out-of-stock products from these entries through`);
+    console.log(`  the widget cache reverse index. Entries cached before the index existed are`);
+    console.log(`  only covered once indexed: node apps/api/src/scripts/index-widget-cache.js ${STORE_ID}`);
   } else {
     console.log(`  No cache entries reference "${PRODUCT_HANDLE}".`);
   }
@@ -0,0 +1,71 @@
+#!/usr/bin/env node
+
+/**
+ * Encrypt Credentials
+ *
+ * Encrypts the platform secrets still stored in plaintext on user records
+ * (root accessToken / VTEX keys and every store's accessToken, vtexApiKey,
+ * vtexToken, consumerKey, consumerSecret). The key comes from
+ * SECRETS_KMS_KEY_ID (AWS KMS) or SECRETS_KEY_FILE (local key, created on
+ * first use).
+ *
+ * Safe to re-run: encrypted values are left alone.
+ *
+ * Usage:
+ *   node apps/api/src/scripts/encrypt-credentials.js
+ *   node apps/api/src/scripts/encrypt-credentials.js --dry-run
+ */
+
+import dotenv from "dotenv";
+import { fileURLToPath } from "url";
+import path from "path";
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+dotenv.config({ path: path.resolve(__dirname, "../../../../.env") });
+
+import { config } from "@runa/config";
+import { dynamodb, secrets } from "@runa/core";
+
+async function main() {
+  const dryRun = process.argv.includes("--dry-run");
+
+  console.log(`\n╔═══════════════════════════════════════════════════════════╗`);
+  console.log(`║  Encrypt Credentials${dryRun ? " (DRY RUN)" : ""}`.padEnd(60) + `║`);
+  console.log(`╚═══════════════════════════════════════════════════════════╝\n`);
+  console.log(`  Key: ${config.secrets.kmsKeyId ? `KMS ${config.secrets.kmsKeyId}` : `local file ${config.secrets.keyFile}`}\n`);
+
+  let scanned = 0;
+  let encrypted = 0;
+  let lastKey;
+
+  do {
+    const { results, LastEvaluatedKey } = await dynamodb.users.getAllUsers(lastKey);
+    lastKey = LastEvaluatedKey;
+
+    for (const user of results) {
+      scanned++;
+      if (!secrets.hasPlaintextSecrets(user)) continue;
+
+      const label = user.shop || user.email || user.id;
+      console.log(`  ${dryRun ? "·" : "✓"} ${label}`);
+      if (!dryRun) {
+        // saveUser encrypts every plaintext secret before writing
+        await dynamodb.users.saveUser(user);
+      }
+      encrypted++;
+    }
+  } while (lastKey);
+
+  console.log(`\n  Users scanned:   ${scanned}`);
+  console.log(`  ${dryRun ? "To encrypt:     " : "Encrypted:      "} ${encrypted}`);
+  if (dryRun) {
+    console.log("\n  Dry run: no changes made.");
+  }
+  console.log();
+}
+
+main().catch(error => {
+  console.error("\n✗ Migration failed:", error.message);
+  process.exit(1);
+});
@@ -14,6 +14,7 @@
 import neo4j from "neo4j-driver";
 import { NEO4J_URI, NEO4J_USER, NEO4J_PASSWORD } from "../sync/services/config.js";
 import { generateAIDescription, isBagProduct } from "../sync/services/ai-product-description.js";
+import { BRAND_VOICE_PRESETS } from "../sync/utils/brand-voice.js";
 import openai from "../sync/services/openai.js";
 
 const STORE_ID = "toffro.vtexcommercestable.com.br";
@@ -110,7 +111,7 @@ async function main() {
           dimensionsText,
         };
 
-        const aiResult = await generateAIDescription(aiProduct);
+        const aiResult = await generateAIDescription(aiProduct, { brandVoice: BRAND_VOICE_PRESETS.toff });
 
         if (aiResult && aiResult.text) {
           stats.generated++;
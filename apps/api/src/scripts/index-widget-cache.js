@@ -0,0 +1,117 @@
+#!/usr/bin/env node
+
+/**
+ * Index Widget Cache — reverse index of the Complete the Look / Similar Products caches
+ *
+ * The sync drops deleted and out-of-stock products from the widget caches through
+ * a reverse index (product → cache entries showing it). Widget jobs index the
+ * entries they regenerate; this script indexes the entries cached before that,
+ * and with --purge-missing drops the products those entries show that are no
+ * longer stored for the store.
+ *
+ * Usage:
+ *   node apps/api/src/scripts/index-widget-cache.js <store-domain> [--purge-missing] [--dry-run]
+ *
+ * Options:
+ *   --purge-missing   Purge products no longer in Neo4j from the widget caches
+ *   --dry-run         With --purge-missing: report what would be purged or rewritten
+ *
+ * Examples:
+ *   node apps/api/src/scripts/index-widget-cache.js k8xbf0-5t.myshopify.com
+ *   node apps/api/src/scripts/index-widget-cache.js wp557k-d1.myshopify.com --purge-missing --dry-run
+ */
+
+import dotenv from "dotenv";
+import { fileURLToPath } from "url";
+import path from "path";
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+dotenv.config({ path: path.resolve(__dirname, "../../../../.env") });
+
+import { dynamodb } from "@runa/core";
+import { neo4jService, invalidateWidgetCaches } from "../sync/index.js";
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// CLI ARGS
+// ═══════════════════════════════════════════════════════════════════════════════
+
+const args = process.argv.slice(2);
+const STORE_ID = args.find(a => !a.startsWith("-"));
+const purgeMissing = args.includes("--purge-missing");
+const dryRun = args.includes("--dry-run");
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// MISSING PRODUCTS
+// ═══════════════════════════════════════════════════════════════════════════════
+
+/**
+ * Products shown by the cache entries that are not stored for the store
+ * Entries reference products by ID when they have one, by handle otherwise.
+ */
+async function findMissingProducts(refs) {
+  const stored = await neo4jService.getWidgetCandidates(STORE_ID, "similar_product_updated_at", { scope: "all" });
+  const storedIds = new Set(stored.map(p => String(p.id)));
+  const storedHandles = new Set(stored.map(p => p.handle.toLowerCase()));
+
+  const missing = new Map();
+  for (const ref of refs) {
+    const isStored = ref.id ? storedIds.has(ref.id) : storedHandles.has(ref.handle);
+    if (!isStored) missing.set(ref.id || `handle:${ref.handle}`, ref);
+  }
+  return [...missing.values()];
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// MAIN
+// ═══════════════════════════════════════════════════════════════════════════════
+
+async function main() {
+  if (!STORE_ID) {
+    console.error("Usage: index-widget-cache.js <store-domain> [--purge-missing] [--dry-run]");
+    process.exit(1);
+  }
+
+  console.log(`\n═══════════════════════════════════════════════════════════`);
+  console.log(`  Index Widget Cache${dryRun ? " (DRY RUN)" : ""}`);
+  console.log(`  Store:  ${STORE_ID}`);
+  console.log(`═══════════════════════════════════════════════════════════`);
+
+  const refs = [];
+  const startedAt = Date.now();
+  const indexed = await dynamodb.widgetCache.indexStore(STORE_ID, (entry) => {
+    refs.push(...dynamodb.widgetCache.extractProductRefs(entry.data));
+  });
+  console.log(`\n  Cache entries:    ${indexed.scanned}`);
+  console.log(`  Indexed:          ${indexed.indexed}`);
+  console.log(`  Duration:         ${((Date.now() - startedAt) / 1000).toFixed(1)}s`);
+
+  if (!purgeMissing) {
+    console.log(`═══════════════════════════════════════════════════════════\n`);
+    return;
+  }
+
+  const missing = await findMissingProducts(refs);
+  console.log(`\n  Products shown but not stored: ${missing.length}`);
+  missing.slice(0, 20).forEach(p => console.log(`    - ${p.handle || "?"} (${p.id || "no id"})`));
+  if (missing.length > 20) console.log(`    ... and ${missing.length - 20} more`);
+
+  const result = dryRun
+    ? await dynamodb.widgetCache.invalidateProducts(STORE_ID, missing, { dryRun: true })
+    : await invalidateWidgetCaches(STORE_ID, missing);
+  const regenerate = Array.isArray(result.regenerate) ? result.regenerate.length : result.regenerate;
+
+  console.log(`\n  ─────────────────────────────────────────────────────────`);
+  console.log(`  Entries purged:     ${result.purged}`);
+  console.log(`  Entries rewritten:  ${result.rewritten}`);
+  console.log(`  To regenerate:      ${regenerate}`);
+  if (dryRun) console.log(`\n  DRY RUN — no cache entries were changed.`);
+  console.log(`═══════════════════════════════════════════════════════════\n`);
+}
+
+main()
+  .then(() => process.exit(0))
+  .catch(e => {
+    console.error("\nFatal error:", e.message);
+    process.exit(1);
+  });
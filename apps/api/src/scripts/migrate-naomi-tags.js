@@ -0,0 +1,132 @@
+#!/usr/bin/env node
+
+/**
+ * Migrate Naomi Tags
+ *
+ * Occasion / style-lane tagging used to be a one-off script for the RUNWAYHER
+ * and RUNWAYHIM shops, saving naomi_* properties on Product nodes. It now runs
+ * from the tag taxonomy saved on the store (store.tagTaxonomy, see
+ * sync/utils/product-tags.js). This:
+ *   1. Saves the "naomi" preset on those stores, unless they already have a taxonomy
+ *   2. Moves naomi_occasions / naomi_style_lane / naomi_pick / naomi_tagged_at to
+ *      occasions / styleLane / isPick / taggedAt, with the tags they were written as
+ *
+ * Products already migrated have no naomi_* properties left, so it is safe to re-run.
+ *
+ * Usage:
+ *   node apps/api/src/scripts/migrate-naomi-tags.js
+ *   node apps/api/src/scripts/migrate-naomi-tags.js --dry-run
+ */
+
+import dotenv from "dotenv";
+import { fileURLToPath } from "url";
+import path from "path";
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+dotenv.config({ path: path.resolve(__dirname, "../../../../.env") });
+
+import { dynamodb, neo4jClient } from "@runa/core";
+import { TAG_TAXONOMY_PRESETS, buildProductTags, resolveTagTaxonomy } from "../sync/utils/product-tags.js";
+
+// Shops the old script was run for (see sync-runwayher-all.sh / sync-runwayhim-all.sh)
+const NAOMI_STORES = ["k8xbf0-5t.myshopify.com", "wp557k-d1.myshopify.com"];
+const WRITE_BATCH_SIZE = 500;
+
+async function migrateStores(dryRun) {
+  let migrated = 0;
+  let lastKey;
+
+  do {
+    const { results, LastEvaluatedKey } = await dynamodb.users.getAllUsers(lastKey);
+    lastKey = LastEvaluatedKey;
+
+    for (const user of results) {
+      let changed = false;
+      for (const store of user.stores || []) {
+        if (!NAOMI_STORES.includes(store.domain) || store.tagTaxonomy) continue;
+
+        console.log(`  ${dryRun ? "·" : "✓"} ${store.domain} → naomi`);
+        store.tagTaxonomy = TAG_TAXONOMY_PRESETS.naomi;
+        store.updatedAt = new Date().toISOString();
+        changed = true;
+        migrated++;
+      }
+      if (changed && !dryRun) {
+        await dynamodb.users.saveUser(user);
+      }
+    }
+  } while (lastKey);
+
+  return migrated;
+}
+
+async function migrateProducts(storeId, dryRun) {
+  const taxonomy = resolveTagTaxonomy(TAG_TAXONOMY_PRESETS.naomi);
+  const records = await neo4jClient.run(
+    `MATCH (p:Product {storeId: $storeId})
+     WHERE p.naomi_tagged_at IS NOT NULL
+     RETURN p.id AS productId, p.naomi_occasions AS occasions, p.naomi_style_lane AS styleLane,
+            p.naomi_pick AS isPick, p.naomi_tagged_at AS taggedAt`,
+    { storeId }
+  );
+
+  const rows = records.map(r => {
+    const tagging = {
+      occasions: r.get("occasions") || [],
+      styleLane: r.get("styleLane"),
+      isPick: Boolean(r.get("isPick"))
+    };
+    return {
+      productId: r.get("productId"),
+      ...tagging,
+      taxonomyTags: buildProductTags(tagging, taxonomy),
+      taggedAt: r.get("taggedAt")
+    };
+  });
+  if (dryRun) return rows.length;
+
+  for (let i = 0; i < rows.length; i += WRITE_BATCH_SIZE) {
+    // The old script wrote tags to Shopify on every run, so they count as pushed
+    await neo4jClient.run(
+      `UNWIND $rows AS row
+       MATCH (p:Product {storeId: $storeId, id: row.productId})
+       SET p.occasions = row.occasions,
+           p.styleLane = row.styleLane,
+           p.isPick = row.isPick,
+           p.taxonomyTags = row.taxonomyTags,
+           p.taggedAt = row.taggedAt,
+           p.tagsPushedAt = row.taggedAt
+       REMOVE p.naomi_occasions, p.naomi_style_lane, p.naomi_pick, p.naomi_tagged_at`,
+      { storeId, rows: rows.slice(i, i + WRITE_BATCH_SIZE) }
+    );
+  }
+  return rows.length;
+}
+
+async function main() {
+  const dryRun = process.argv.includes("--dry-run");
+
+  console.log(`\n╔═══════════════════════════════════════════════════════════╗`);
+  console.log(`║  Migrate Naomi Tags${dryRun ? " (DRY RUN)" : ""}`.padEnd(60) + `║`);
+  console.log(`╚═══════════════════════════════════════════════════════════╝\n`);
+
+  const stores = await migrateStores(dryRun);
+  console.log(`\n  ${dryRun ? "Stores to migrate:  " : "Stores migrated:    "} ${stores}\n`);
+
+  for (const storeId of NAOMI_STORES) {
+    const products = await migrateProducts(storeId, dryRun);
+    console.log(`  ${dryRun ? "·" : "✓"} ${storeId}: ${products} tagged products`);
+  }
+
+  if (dryRun) {
+    console.log("\n  Dry run: no changes made.");
+  }
+  console.log();
+  await neo4jClient.close();
+}
+
+main().catch(error => {
+  console.error("\n✗ Migration failed:", error.message);
+  process.exit(1);
+});
@@ -0,0 +1,168 @@
+#!/usr/bin/env node
+
+/**
+ * Migrate Store Categories
+ *
+ * Splits the shared, global Category nodes ({name} only) into one node per
+ * store, keyed by (storeId, name), and rewires every product to its store's copy.
+ *
+ * Phase 1: Diagnose — count legacy categories and the stores using them
+ * Phase 2: Constraints — drop uniqueness on Category.name, add (storeId, name)
+ * Phase 3: Split — per legacy category, MERGE a store copy for every store whose
+ *          products use it and move the HAS_CATEGORY relationships
+ * Phase 4: Remove legacy nodes (unused ones included: the next sync recreates
+ *          each store's category tree with platform IDs and parents)
+ * Phase 5: Product counts
+ *
+ * Safe to re-run: categories that already have a storeId are left alone.
+ *
+ * Usage:
+ *   node apps/api/src/scripts/migrate-store-categories.js
+ *   node apps/api/src/scripts/migrate-store-categories.js --dry-run
+ */
+
+import dotenv from "dotenv";
+import { fileURLToPath } from "url";
+import path from "path";
+import neo4j from "neo4j-driver";
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+dotenv.config({ path: path.resolve(__dirname, "../../../../.env") });
+
+import { NEO4J_URI, NEO4J_USER, NEO4J_PASSWORD } from "../sync/services/config.js";
+
+const toNumber = (value) => (value?.toNumber ? value.toNumber() : Number(value || 0));
+
+async function main() {
+  const dryRun = process.argv.includes("--dry-run");
+
+  const driver = neo4j.driver(NEO4J_URI, neo4j.auth.basic(NEO4J_USER, NEO4J_PASSWORD));
+  const session = driver.session();
+
+  try {
+    console.log(`\n╔═══════════════════════════════════════════════════════════╗`);
+    console.log(`║  Migrate Store Categories${dryRun ? " (DRY RUN)" : ""}`.padEnd(60) + `║`);
+    console.log(`╚═══════════════════════════════════════════════════════════╝\n`);
+
+    // ═══════════════════════════════════════════════════════════
+    // PHASE 1: Diagnose
+    // ═══════════════════════════════════════════════════════════
+    console.log("── Phase 1: Diagnosis ──\n");
+
+    const diagResult = await session.run(`
+      MATCH (c:Category) WHERE c.storeId IS NULL
+      OPTIONAL MATCH (p:Product)-[:HAS_CATEGORY]->(c)
+      WITH c, collect(DISTINCT p.storeId) AS storeIds
+      RETURN c.name AS name, storeIds
+      ORDER BY size(storeIds) DESC, name
+    `);
+
+    const legacy = diagResult.records.map(r => ({ name: r.get("name"), storeIds: r.get("storeIds") }));
+    const shared = legacy.filter(c => c.storeIds.length > 1);
+    const unused = legacy.filter(c => c.storeIds.length === 0);
+    const copies = legacy.reduce((sum, c) => sum + c.storeIds.length, 0);
+
+    console.log(`  Legacy categories:       ${legacy.length}`);
+    console.log(`  Shared by 2+ stores:     ${shared.length}`);
+    console.log(`  Without products:        ${unused.length}`);
+    console.log(`  Store categories to add: ${copies}`);
+    for (const c of shared.slice(0, 10)) {
+      console.log(`    "${c.name}" → ${c.storeIds.join(", ")}`);
+    }
+    console.log();
+
+    if (dryRun) {
+      console.log("  Dry run: no changes made.\n");
+      return;
+    }
+
+    // ═══════════════════════════════════════════════════════════
+    // PHASE 2: Constraints
+    // ═══════════════════════════════════════════════════════════
+    console.log("── Phase 2: Constraints ──\n");
+
+    const constraints = await session.run(`
+      SHOW CONSTRAINTS YIELD name, labelsOrTypes, properties
+      WHERE labelsOrTypes = ["Category"] AND properties = ["name"]
+      RETURN name
+    `);
+    for (const record of constraints.records) {
+      const name = record.get("name");
+      await session.run(`DROP CONSTRAINT ${name} IF EXISTS`);
+      console.log(`  Dropped constraint ${name} (Category.name)`);
+    }
+
+    // ═══════════════════════════════════════════════════════════
+    // PHASE 3: Split shared categories per store
+    // ═══════════════════════════════════════════════════════════
+    console.log("\n── Phase 3: Split ──\n");
+
+    let created = 0;
+    for (const [idx, category] of legacy.entries()) {
+      if (category.storeIds.length === 0) continue;
+
+      const result = await session.executeWrite(tx => tx.run(`
+        MATCH (legacy:Category {name: $name}) WHERE legacy.storeId IS NULL
+        MATCH (p:Product)-[r:HAS_CATEGORY]->(legacy)
+        WHERE p.storeId IS NOT NULL
+        WITH legacy, p.storeId AS storeId, collect(p) AS products, collect(r) AS rels
+        MERGE (c:Category {storeId: storeId, name: legacy.name})
+        ON CREATE SET c += properties(legacy), c.storeId = storeId, c.title = COALESCE(legacy.title, legacy.name)
+        FOREACH (p IN products | MERGE (p)-[:HAS_CATEGORY]->(c))
+        FOREACH (r IN rels | DELETE r)
+        WITH c, storeId
+        OPTIONAL MATCH (store:Store {id: storeId})
+        FOREACH (s IN CASE WHEN store IS NULL THEN [] ELSE [store] END | MERGE (s)-[:HAS_CATEGORY]->(c))
+        RETURN count(c) AS stores
+      `, { name: category.name }));
+
+      created += toNumber(result.records[0]?.get("stores"));
+      if ((idx + 1) % 50 === 0) {
+        console.log(`  ${idx + 1}/${legacy.length} categories processed`);
+      }
+    }
+    console.log(`  ✓ ${created} store categories linked`);
+
+    await session.run(`
+      CREATE CONSTRAINT category_store_name IF NOT EXISTS
+      FOR (c:Category) REQUIRE (c.storeId, c.name) IS UNIQUE
+    `);
+    console.log("  ✓ Constraint category_store_name on (storeId, name)");
+
+    // ═══════════════════════════════════════════════════════════
+    // PHASE 4: Remove legacy nodes
+    // ═══════════════════════════════════════════════════════════
+    console.log("\n── Phase 4: Remove legacy categories ──\n");
+
+    const removed = await session.run(`
+      MATCH (c:Category) WHERE c.storeId IS NULL
+      DETACH DELETE c
+      RETURN count(*) AS removed
+    `);
+    console.log(`  ✓ Removed ${toNumber(removed.records[0]?.get("removed"))} legacy categories`);
+
+    // ═══════════════════════════════════════════════════════════
+    // PHASE 5: Product counts
+    // ═══════════════════════════════════════════════════════════
+    console.log("\n── Phase 5: Product counts ──\n");
+
+    await session.run(`
+      MATCH (c:Category) WHERE c.storeId IS NOT NULL
+      OPTIONAL MATCH (p:Product)-[:HAS_CATEGORY]->(c)
+      WITH c, count(DISTINCT p) AS productCount
+      SET c.productCount = productCount
+    `);
+    console.log("  ✓ Category.productCount updated");
+
+    console.log("\n  Done. Run a sync per store to restore platform category IDs and parent/child links.\n");
+  } finally {
+    await session.close();
+    await driver.close();
+  }
+}
+
+main().catch(error => {
+  console.error("\n✗ Migration failed:", error.message);
+  process.exit(1);
+});
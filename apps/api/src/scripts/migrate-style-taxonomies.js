@@ -0,0 +1,83 @@
+#!/usr/bin/env node
+
+/**
+ * Migrate Style Taxonomies
+ *
+ * Style classification used to be hard-coded in ShopifyProvider for two
+ * shops. It now runs from the taxonomy saved on the store record
+ * (store.styleTaxonomy), so this saves each of those shops' ruleset, as the
+ * matching preset from sync/utils/style-taxonomy.js, on their stores.
+ *
+ * Stores that already have a taxonomy are left alone, so it is safe to re-run.
+ *
+ * Usage:
+ *   node apps/api/src/scripts/migrate-style-taxonomies.js
+ *   node apps/api/src/scripts/migrate-style-taxonomies.js --dry-run
+ */
+
+import dotenv from "dotenv";
+import { fileURLToPath } from "url";
+import path from "path";
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+dotenv.config({ path: path.resolve(__dirname, "../../../../.env") });
+
+import { dynamodb } from "@runa/core";
+import { STYLE_TAXONOMY_PRESETS } from "../sync/utils/style-taxonomy.js";
+import { getStoreDomain } from "../sync/store-config.js";
+
+// Shop name → preset, as previously branched on in ShopifyProvider.classifyStyle
+// (this.shopName: the shop domain syncs use, see getStoreDomain)
+const LEGACY_TAXONOMIES = {
+  "bogas-com-international.myshopify.com": "bogas",
+  "dyfashion.avanticart.ro": "dyfashion"
+};
+
+async function main() {
+  const dryRun = process.argv.includes("--dry-run");
+
+  console.log(`\n╔═══════════════════════════════════════════════════════════╗`);
+  console.log(`║  Migrate Style Taxonomies${dryRun ? " (DRY RUN)" : ""}`.padEnd(60) + `║`);
+  console.log(`╚═══════════════════════════════════════════════════════════╝\n`);
+
+  let scanned = 0;
+  let migrated = 0;
+  let lastKey;
+
+  do {
+    const { results, LastEvaluatedKey } = await dynamodb.users.getAllUsers(lastKey);
+    lastKey = LastEvaluatedKey;
+
+    for (const user of results) {
+      let changed = false;
+      for (const store of user.stores || []) {
+        scanned++;
+        const shopDomain = getStoreDomain(user, store);
+        const preset = LEGACY_TAXONOMIES[shopDomain];
+        if (!preset || store.styleTaxonomy) continue;
+
+        console.log(`  ${dryRun ? "·" : "✓"} ${shopDomain} → ${preset}`);
+        store.styleTaxonomy = STYLE_TAXONOMY_PRESETS[preset];
+        store.updatedAt = new Date().toISOString();
+        changed = true;
+        migrated++;
+      }
+      if (changed && !dryRun) {
+        await dynamodb.users.saveUser(user);
+      }
+    }
+  } while (lastKey);
+
+  console.log(`\n  Stores scanned:  ${scanned}`);
+  console.log(`  ${dryRun ? "To migrate:     " : "Migrated:       "} ${migrated}`);
+  if (dryRun) {
+    console.log("\n  Dry run: no changes made.");
+  }
+  console.log();
+}
+
+main().catch(error => {
+  console.error("\n✗ Migration failed:", error.message);
+  process.exit(1);
+});
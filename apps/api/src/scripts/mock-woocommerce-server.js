@@ -0,0 +1,303 @@
+#!/usr/bin/env node
+
+/**
+ * Mock WooCommerce REST API (v3) for running the WooCommerce provider locally.
+ * Serves a small fashion catalog with a nested category tree, a variable product
+ * with paginated variations, a product on sale and an out-of-stock product.
+ *
+ * Checks the same auth schemes as WooCommerce: HTTP Basic, consumer_key/secret
+ * query params, and one-legged OAuth 1.0a (HMAC-SHA1/SHA256) over plain HTTP.
+ *
+ * Usage:
+ *   node apps/api/src/scripts/mock-woocommerce-server.js [--port 8089] [--products 45]
+ *
+ *   # In another terminal
+ *   node apps/api/src/scripts/sync-modular.js woocommerce http://localhost:8089 ck_mock cs_mock
+ */
+
+import crypto from "crypto";
+import { createServer } from "http";
+
+const args = process.argv.slice(2);
+const argValue = (flag, fallback) => {
+  const idx = args.indexOf(flag);
+  return idx !== -1 ? args[idx + 1] : fallback;
+};
+
+const PORT = parseInt(argValue("--port", process.env.MOCK_WOO_PORT || "8089"), 10);
+const EXTRA_PRODUCTS = parseInt(argValue("--products", "0"), 10);
+const CONSUMER_KEY = process.env.MOCK_WOO_CONSUMER_KEY || "ck_mock";
+const CONSUMER_SECRET = process.env.MOCK_WOO_CONSUMER_SECRET || "cs_mock";
+
+// ═══════════════════════════════════════════════════════════════════════════
+// FIXTURES
+// ═══════════════════════════════════════════════════════════════════════════
+
+const categories = [
+  { id: 15, name: "Uncategorized", slug: "uncategorized", parent: 0 },
+  { id: 20, name: "Clothing", slug: "clothing", parent: 0 },
+  { id: 21, name: "Dresses", slug: "dresses", parent: 20 },
+  { id: 22, name: "Tops &amp; Blouses", slug: "tops-blouses", parent: 20 },
+  { id: 30, name: "Accessories", slug: "accessories", parent: 0 },
+  { id: 31, name: "Bags", slug: "bags", parent: 30 }
+];
+
+const categoryRef = (id) => {
+  const { name, slug } = categories.find(c => c.id === id);
+  return { id, name, slug };
+};
+
+const image = (id, name) => ({ id, src: `http://localhost:${PORT}/images/${id}.jpg`, name, alt: name });
+
+const baseProduct = {
+  status: "publish",
+  date_created: "2026-01-10T09:00:00",
+  date_created_gmt: "2026-01-10T07:00:00",
+  date_modified: "2026-03-02T12:00:00",
+  date_modified_gmt: "2026-03-02T10:00:00",
+  short_description: "",
+  manage_stock: false,
+  stock_quantity: null,
+  stock_status: "instock",
+  purchasable: true,
+  on_sale: false,
+  tags: [],
+  attributes: [],
+  variations: []
+};
+
+const sizeOptions = ["S", "M", "L"];
+const colorOptions = ["Black", "Ivory"];
+
+const variableVariations = colorOptions.flatMap((color, ci) =>
+  sizeOptions.map((size, si) => ({
+    id: 1100 + ci * 10 + si,
+    status: "publish",
+    sku: `DRS-LIN-${color.toUpperCase()}-${size}`,
+    price: "89.00",
+    regular_price: "89.00",
+    sale_price: "",
+    on_sale: false,
+    purchasable: true,
+    manage_stock: true,
+    stock_quantity: size === "L" ? 0 : 5,
+    stock_status: size === "L" ? "outofstock" : "instock",
+    image: image(900 + ci, `Linen dress ${color}`),
+    attributes: [
+      { id: 1, name: "Color", option: color },
+      { id: 2, name: "Size", option: size }
+    ]
+  }))
+);
+
+const products = [
+  {
+    ...baseProduct,
+    id: 101,
+    name: "Linen Midi Dress",
+    slug: "linen-midi-dress",
+    permalink: `http://localhost:${PORT}/product/linen-midi-dress`,
+    type: "variable",
+    description: "<p>Relaxed linen midi dress with a tie waist.</p>",
+    sku: "DRS-LIN",
+    price: "89.00",
+    regular_price: "",
+    sale_price: "",
+    categories: [categoryRef(20), categoryRef(21)],
+    tags: [{ id: 1, name: "summer", slug: "summer" }, { id: 2, name: "linen", slug: "linen" }],
+    images: [image(900, "Linen dress Black"), image(901, "Linen dress Ivory")],
+    attributes: [
+      { id: 1, name: "Color", variation: true, visible: true, options: colorOptions },
+      { id: 2, name: "Size", variation: true, visible: true, options: sizeOptions },
+      { id: 0, name: "Brand", variation: false, visible: true, options: ["Atelier Runa"] },
+      { id: 0, name: "Material", variation: false, visible: true, options: ["100% linen"] }
+    ],
+    variations: variableVariations.map(v => v.id)
+  },
+  {
+    ...baseProduct,
+    id: 102,
+    name: "Silk Blouse &amp; Scarf Set",
+    slug: "silk-blouse-scarf-set",
+    permalink: `http://localhost:${PORT}/product/silk-blouse-scarf-set`,
+    type: "simple",
+    description: "<p>Silk blouse with a matching scarf.</p>",
+    sku: "TOP-SILK",
+    price: "59.00",
+    regular_price: "79.00",
+    sale_price: "59.00",
+    on_sale: true,
+    manage_stock: true,
+    stock_quantity: 12,
+    categories: [categoryRef(22)],
+    images: [image(910, "Silk blouse")],
+    brands: [{ id: 5, name: "Maison Soie", slug: "maison-soie" }]
+  },
+  {
+    ...baseProduct,
+    id: 103,
+    name: "Leather Tote Bag",
+    slug: "leather-tote-bag",
+    permalink: `http://localhost:${PORT}/product/leather-tote-bag`,
+    type: "simple",
+    description: "<p>Structured leather tote.</p>",
+    sku: "BAG-TOTE",
+    price: "149.00",
+    regular_price: "149.00",
+    sale_price: "",
+    stock_status: "outofstock",
+    categories: [categoryRef(30), categoryRef(31)],
+    images: [image(920, "Leather tote")]
+  },
+  {
+    ...baseProduct,
+    id: 104,
+    name: "Draft Product",
+    slug: "draft-product",
+    status: "draft",
+    type: "simple",
+    description: "",
+    price: "10.00",
+    regular_price: "10.00",
+    sale_price: "",
+    categories: [categoryRef(15)],
+    images: []
+  }
+];
+
+// --products N adds simple products so pagination across several pages can be exercised
+for (let i = 0; i < EXTRA_PRODUCTS; i++) {
+  const id = 2000 + i;
+  products.push({
+    ...baseProduct,
+    id,
+    name: `Basic Tee ${i + 1}`,
+    slug: `basic-tee-${i + 1}`,
+    permalink: `http://localhost:${PORT}/product/basic-tee-${i + 1}`,
+    type: "simple",
+    description: "<p>Cotton crew-neck tee.</p>",
+    sku: `TEE-${i + 1}`,
+    price: "19.00",
+    regular_price: "19.00",
+    sale_price: "",
+    categories: [categoryRef(22)],
+    images: [image(id, `Basic tee ${i + 1}`)]
+  });
+}
+
+const systemStatus = {
+  environment: { site_url: `http://localhost:${PORT}`, version: "9.4.0" },
+  settings: { currency: "EUR", currency_symbol: "&euro;" }
+};
+
+// ═══════════════════════════════════════════════════════════════════════════
+// AUTH
+// ═══════════════════════════════════════════════════════════════════════════
+
+const encode = (value) => encodeURIComponent(value).replace(/[!'()*]/g, c => `%${c.charCodeAt(0).toString(16).toUpperCase()}`);
+
+function verifyOAuth(req, url) {
+  const params = Object.fromEntries(url.searchParams);
+  const { oauth_signature: signature, oauth_signature_method: method } = params;
+  if (params.oauth_consumer_key !== CONSUMER_KEY || !signature) return false;
+
+  const algorithm = { "HMAC-SHA1": "sha1", "HMAC-SHA256": "sha256" }[method];
+  if (!algorithm) return false;
+
+  delete params.oauth_signature;
+  const paramString = Object.keys(params).sort().map(key => `${encode(key)}=${encode(params[key])}`).join("&");
+  const baseUrl = `http://${req.headers.host}${url.pathname}`;
+  const baseString = [req.method, encode(baseUrl), encode(paramString)].join("&");
+  const expected = crypto.createHmac(algorithm, `${CONSUMER_SECRET}&`).update(baseString).digest("base64");
+  return expected === signature;
+}
+
+function isAuthorized(req, url) {
+  const header = req.headers.authorization || "";
+  if (header.startsWith("Basic ")) {
+    const [key, secret] = Buffer.from(header.slice(6), "base64").toString().split(":");
+    return key === CONSUMER_KEY && secret === CONSUMER_SECRET;
+  }
+  if (url.searchParams.has("consumer_key")) {
+    return url.searchParams.get("consumer_key") === CONSUMER_KEY
+      && url.searchParams.get("consumer_secret") === CONSUMER_SECRET;
+  }
+  if (url.searchParams.has("oauth_signature")) {
+    return verifyOAuth(req, url);
+  }
+  return false;
+}
+
+// ═══════════════════════════════════════════════════════════════════════════
+// ROUTES
+// ═══════════════════════════════════════════════════════════════════════════
+
+function sendJson(res, status, body, headers = {}) {
+  res.writeHead(status, { "Content-Type": "application/json", ...headers });
+  res.end(JSON.stringify(body));
+}
+
+function sendPage(res, url, items) {
+  const perPage = Math.min(parseInt(url.searchParams.get("per_page") || "10", 10), 100);
+  const page = Math.max(parseInt(url.searchParams.get("page") || "1", 10), 1);
+  const totalPages = Math.max(Math.ceil(items.length / perPage), 1);
+
+  sendJson(res, 200, items.slice((page - 1) * perPage, page * perPage), {
+    "X-WP-Total": String(items.length),
+    "X-WP-TotalPages": String(totalPages)
+  });
+}
+
+const server = createServer((req, res) => {
+  const url = new URL(req.url, `http://${req.headers.host}`);
+  const path = url.pathname.replace(/^\/wp-json\/wc\/v3/, "");
+  console.log(`${req.method} ${url.pathname}${url.search ? ` (page ${url.searchParams.get("page") || 1})` : ""}`);
+
+  if (!url.pathname.startsWith("/wp-json/wc/v3/")) {
+    return sendJson(res, 404, { code: "rest_no_route", message: "No route was found matching the URL and request method." });
+  }
+
+  if (!isAuthorized(req, url)) {
+    return sendJson(res, 401, { code: "woocommerce_rest_cannot_view", message: "Sorry, you cannot list resources.", data: { status: 401 } });
+  }
+
+  if (req.method !== "GET") {
+    return sendJson(res, 405, { code: "rest_no_route", message: "Mock server is read-only." });
+  }
+
+  if (path === "/system_status") {
+    return sendJson(res, 200, systemStatus);
+  }
+
+  if (path === "/products/categories") {
+    return sendPage(res, url, categories.map(c => ({ ...c, count: 0 })));
+  }
+
+  if (path === "/products") {
+    const status = url.searchParams.get("status");
+    const list = products
+      .filter(p => !status || status === "any" || p.status === status)
+      .sort((a, b) => a.id - b.id);
+    return sendPage(res, url, list);
+  }
+
+  const variationsMatch = path.match(/^\/products\/(\d+)\/variations$/);
+  if (variationsMatch) {
+    const product = products.find(p => p.id === Number(variationsMatch[1]));
+    if (!product) {
+      return sendJson(res, 404, { code: "woocommerce_rest_product_invalid_id", message: "Invalid ID." });
+    }
+    return sendPage(res, url, variableVariations.filter(v => product.variations.includes(v.id)));
+  }
+
+  sendJson(res, 404, { code: "rest_no_route", message: "No route was found matching the URL and request method." });
+});
+
+server.listen(PORT, () => {
+  console.log(`Mock WooCommerce listening on http://localhost:${PORT}`);
+  console.log(`  Consumer key: ${CONSUMER_KEY}  Consumer secret: ${CONSUMER_SECRET}`);
+  console.log(`  ${products.length} products (${products.filter(p => p.status === "publish").length} published), ${categories.length} categories\n`);
+});
+
+process.on("SIGINT", () => server.close(() => process.exit(0)));
+process.on("SIGTERM", () => server.close(() => process.exit(0)));
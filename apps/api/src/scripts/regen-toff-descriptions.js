@@ -6,7 +6,7 @@
  * For each product whose Neo4j `descriptionSource` indicates the description was
  * generated by THIS software (not manually by the TOFF team), this script takes
  * the EXISTING description from Neo4j and asks Gemini to REWRITE it following
- * the new TOFF rules — without doing Google Search or image vision (much faster
+ * the TOFF brand voice (BRAND_VOICE_PRESETS.toff) — without doing Google Search or image vision (much faster
  * and cheaper than full regeneration). Factual details are preserved; only
  * style/wording/banned-words are corrected.
  *
@@ -52,7 +52,8 @@ dotenv.config({ path: path.resolve(__dirname, "../../../../.env") });
 import neo4j from "neo4j-driver";
 import fetch from "node-fetch";
 import { NEO4J_URI, NEO4J_USER, NEO4J_PASSWORD } from "../sync/services/config.js";
-import { reformatDescriptionWithToffRules } from "../sync/services/ai-product-description.js";
+import { reformatDescriptionWithBrandVoice } from "../sync/services/ai-product-description.js";
+import { BRAND_VOICE_PRESETS } from "../sync/utils/brand-voice.js";
 import { mapWithConcurrency } from "../sync/utils/index.js";
 
 // ─── Toff defaults ───────────────────────────────────────────────────
@@ -271,13 +272,13 @@ async function main() {
 
         console.log(`${tag} ⏳ "${p.title}" (id: ${p.id}, source: ${p.descriptionSource})`);
 
-        const aiResult = await reformatDescriptionWithToffRules(
+        const aiResult = await reformatDescriptionWithBrandVoice(
           {
             title: p.title,
             vendor: p.vendor,
             currentDescription: p.description,
           },
-          { language: "ro" }
+          { brandVoice: BRAND_VOICE_PRESETS.toff }
         );
 
         if (!aiResult || !aiResult.text) {
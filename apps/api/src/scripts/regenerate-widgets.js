@@ -0,0 +1,142 @@
+#!/usr/bin/env node
+
+/**
+ * Regenerate Widgets — Complete the Look & Similar Products
+ *
+ * Runs widget regeneration (sync/widgets.js) in-process. The dashboard and
+ * the sync queue the same work as "complete-the-look" / "similar-products"
+ * jobs for the worker (POST /api/widgets/regenerate).
+ *
+ * Usage:
+ *   node apps/api/src/scripts/regenerate-widgets.js <store-domain> [options]
+ *
+ * Options:
+ *   --widget <widget>        complete-the-look | similar-products (default: both)
+ *   --changed                Products never regenerated or re-enriched since (default)
+ *   --missing                Products never regenerated
+ *   --all                    Every product
+ *   --category <name>        Every product of a category
+ *   --language <lang>        Widget language (default: en)
+ *   --gemini-model <model>   Model the Lambdas generate with
+ *   --skip-images            Do not send product images to the Lambdas
+ *   --candidate-limit <n>    Similar Products: max candidates for the AI selection
+ *
+ * Examples:
+ *   node apps/api/src/scripts/regenerate-widgets.js toffro.vtexcommercestable.com.br --missing
+ *   node apps/api/src/scripts/regenerate-widgets.js k8xbf0-5t.myshopify.com --widget similar-products --skip-images --candidate-limit 15
+ */
+
+import dotenv from "dotenv";
+import { fileURLToPath } from "url";
+import path from "path";
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+dotenv.config({ path: path.resolve(__dirname, "../../../../.env") });
+
+import { dynamodb } from "@runa/core";
+import { SyncOrchestrator, WidgetRegenerator, WIDGET_TYPES, buildSyncConfig } from "../sync/index.js";
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// CLI ARGS
+// ═══════════════════════════════════════════════════════════════════════════════
+
+const args = process.argv.slice(2);
+const flagsWithValues = ["--widget", "--category", "--language", "--gemini-model", "--candidate-limit"];
+const positional = args.filter((a, i) => !a.startsWith("-") && !flagsWithValues.includes(args[i - 1]));
+
+function flagValue(flag) {
+  const idx = args.indexOf(flag);
+  return idx !== -1 ? args[idx + 1] : null;
+}
+
+const STORE_DOMAIN = positional[0];
+const widget = flagValue("--widget");
+const category = flagValue("--category");
+const scope = category ? "category"
+  : args.includes("--all") ? "all"
+  : args.includes("--missing") ? "missing"
+  : "changed";
+const options = {
+  language: flagValue("--language") || "en",
+  geminiModel: flagValue("--gemini-model"),
+  skipImages: args.includes("--skip-images"),
+  candidateLimit: flagValue("--candidate-limit") ? parseInt(flagValue("--candidate-limit")) : null
+};
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// STORE LOOKUP
+// ═══════════════════════════════════════════════════════════════════════════════
+
+/**
+ * Find the store record (and its owner) for a domain
+ */
+async function findStore(domain) {
+  let lastKey;
+  do {
+    const { results, LastEvaluatedKey } = await dynamodb.users.getAllUsers(lastKey);
+    lastKey = LastEvaluatedKey;
+    for (const user of results) {
+      const store = (user.stores || []).find(s => s.domain === domain);
+      if (store) return { user, store };
+    }
+  } while (lastKey);
+  return null;
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// MAIN
+// ═══════════════════════════════════════════════════════════════════════════════
+
+async function main() {
+  if (!STORE_DOMAIN) {
+    console.error("Usage: regenerate-widgets.js <store-domain> [--widget <widget>] [--changed | --missing | --all | --category <name>] [--language <lang>] [--gemini-model <model>] [--skip-images] [--candidate-limit <n>]");
+    process.exit(1);
+  }
+  if (widget && !WIDGET_TYPES.includes(widget)) {
+    console.error(`Unknown widget "${widget}". Available: ${WIDGET_TYPES.join(", ")}`);
+    process.exit(1);
+  }
+
+  const found = await findStore(STORE_DOMAIN);
+  if (!found) {
+    throw new Error(`No store with domain "${STORE_DOMAIN}"`);
+  }
+  const { provider } = new SyncOrchestrator(await buildSyncConfig(found));
+
+  console.log(`\n═══════════════════════════════════════════════════════════`);
+  console.log(`  Regenerate Widgets`);
+  console.log(`  Store:     ${STORE_DOMAIN} (${provider.providerType})`);
+  console.log(`  Widgets:   ${widget || WIDGET_TYPES.join(", ")}`);
+  console.log(`  Products:  ${scope}${category ? ` "${category}"` : ""}`);
+  console.log(`═══════════════════════════════════════════════════════════`);
+
+  for (const type of widget ? [widget] : WIDGET_TYPES) {
+    const result = await new WidgetRegenerator(provider, type).run({
+      scope,
+      category,
+      ...options,
+      onProgress: (processed, total) => {
+        if (processed % 50 === 0 || processed === total) console.log(`  ${type}: ${processed}/${total}`);
+      }
+    });
+
+    console.log(`\n  ─────────────────────────────────────────────────────────`);
+    console.log(`  ${type.toUpperCase()}`);
+    console.log(`    Products:     ${result.candidates}`);
+    console.log(`    Regenerated:  ${result.regenerated}`);
+    console.log(`    Failed:       ${result.failed}`);
+    for (const { handle, error } of result.errors) {
+      console.log(`      [${handle}] ${error}`);
+    }
+    console.log(`    Duration:     ${(result.durationMs / 1000).toFixed(1)}s`);
+  }
+  console.log(`═══════════════════════════════════════════════════════════\n`);
+}
+
+main()
+  .then(() => process.exit(0))
+  .catch(e => {
+    console.error("\nFatal error:", e.message);
+    process.exit(1);
+  });
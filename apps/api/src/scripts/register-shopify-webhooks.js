@@ -0,0 +1,87 @@
+#!/usr/bin/env node
+
+/**
+ * Register the product webhooks of a Shopify store
+ * Subscribes config.shopify.webhookTopics to POST /api/webhooks/shopify on this API.
+ * Topics already subscribed for the same URL are left untouched, so it is safe to re-run.
+ *
+ * Usage:
+ *   node apps/api/src/scripts/register-shopify-webhooks.js my-store.myshopify.com [shpat_xxx]
+ *   node apps/api/src/scripts/register-shopify-webhooks.js my-store.myshopify.com --callback-url https://api.example.com/api/webhooks/shopify
+ *   node apps/api/src/scripts/register-shopify-webhooks.js my-store.myshopify.com --list
+ *
+ * Without a token, the one saved on the shop's user record is used.
+ * The callback URL defaults to PUBLIC_API_URL + /api/webhooks/shopify.
+ */
+
+import dotenv from "dotenv";
+import { fileURLToPath } from "url";
+import path from "path";
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+const rootEnv = path.resolve(__dirname, "../../../../.env");
+dotenv.config({ path: rootEnv });
+
+import { config } from "@runa/config";
+import { dynamodb, secrets } from "@runa/core";
+import { createShopifyAdapter } from "@runa/adapters";
+
+async function main() {
+  const args = process.argv.slice(2);
+  const listOnly = args.includes("--list");
+
+  const callbackIdx = args.indexOf("--callback-url");
+  const callbackArg = callbackIdx !== -1 ? args[callbackIdx + 1] : null;
+
+  const filteredArgs = args.filter((a, i) => !a.startsWith("-") && args[i - 1] !== "--callback-url");
+  const [shopDomain, tokenArg] = filteredArgs;
+
+  if (!shopDomain) {
+    console.error("Usage: register-shopify-webhooks.js <shop-domain> [access-token] [--callback-url URL] [--list]");
+    process.exit(1);
+  }
+
+  let accessToken = tokenArg || process.env.ACCESS_TOKEN;
+  if (!accessToken) {
+    const user = await dynamodb.users.getUserByShop(shopDomain);
+    accessToken = await secrets.decryptSecret(user?.accessToken);
+    if (!accessToken) {
+      throw new Error(`No access token given and none saved for shop "${shopDomain}"`);
+    }
+  }
+
+  const adapter = createShopifyAdapter(shopDomain, accessToken);
+
+  if (listOnly) {
+    const webhooks = await adapter.listWebhooks();
+    console.log(`\n  ${webhooks.length} webhook subscription(s) for ${shopDomain}\n`);
+    for (const webhook of webhooks) {
+      console.log(`  ${webhook.topic.padEnd(28)} ${webhook.uri}`);
+    }
+    return;
+  }
+
+  const callbackUrl = callbackArg
+    || (config.server.publicUrl && `${config.server.publicUrl.replace(/\/+$/, "")}/api/webhooks/shopify`);
+  if (!callbackUrl) {
+    throw new Error("Set PUBLIC_API_URL or pass --callback-url");
+  }
+  if (!config.shopify.apiSecret) {
+    console.warn("  ⚠ SHOPIFY_API_SECRET is not set: the API will reject every webhook until it is");
+  }
+
+  console.log(`\n  Store:    ${shopDomain}`);
+  console.log(`  Callback: ${callbackUrl}\n`);
+
+  const results = await adapter.registerWebhooks(callbackUrl);
+  for (const { topic, status } of results) {
+    console.log(`  ${status === "created" ? "✓" : "·"} ${topic.padEnd(28)} ${status}`);
+  }
+  console.log();
+}
+
+main().catch((error) => {
+  console.error(`\n✗ ${error.message}`);
+  process.exit(1);
+});
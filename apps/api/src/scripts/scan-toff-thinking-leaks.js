@@ -97,6 +97,7 @@ const REASONS = [
   { name: "rule_header_piele",          test: t => /\bREGULI PIELE\b/i.test(t) },
   { name: "rule_header_acord",          test: t => /\bACORD GRAMATICAL\b/i.test(t) },
   { name: "rule_header_toff_rules",     test: t => /TOFF (DESCRIPTION|SEO) RULES/i.test(t) },
+  { name: "rule_header_brand_voice",    test: t => /BRAND VOICE RULES|BANNED WORDS\s*\/\s*EXPRESSIONS|REQUIRED STRUCTURE\s*\(in this order/i.test(t) },
 ];
 
 function classifyLeak(text) {
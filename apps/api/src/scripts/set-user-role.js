@@ -0,0 +1,80 @@
+#!/usr/bin/env node
+
+/**
+ * Set a user's role (viewer, owner, superadmin)
+ * Used to bootstrap the first superadmin; after that, superadmins can manage
+ * roles through PUT /api/users/:userId/role.
+ *
+ * Usage:
+ *   node apps/api/src/scripts/set-user-role.js admin@askruna.ai superadmin
+ *   node apps/api/src/scripts/set-user-role.js my-store.myshopify.com viewer
+ *   node apps/api/src/scripts/set-user-role.js --list
+ *
+ * The user is looked up by email, then by shop domain, then by ID.
+ */
+
+import dotenv from "dotenv";
+import { fileURLToPath } from "url";
+import path from "path";
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+dotenv.config({ path: path.resolve(__dirname, "../../../../.env") });
+
+import { dynamodb } from "@runa/core";
+import { ROLES, normalizeRole } from "../middleware/auth.js";
+
+async function findUser(identifier) {
+  if (identifier.includes("@")) {
+    return dynamodb.users.getUserByEmail(identifier);
+  }
+  return (await dynamodb.users.getUserByShop(identifier)) || dynamodb.users.getUserById(identifier);
+}
+
+async function listPrivileged() {
+  let lastKey;
+  console.log();
+  do {
+    const { results, LastEvaluatedKey } = await dynamodb.users.getAllUsers(lastKey);
+    lastKey = LastEvaluatedKey;
+    for (const user of results) {
+      const role = normalizeRole(user.role);
+      if (role !== "owner") {
+        console.log(`  ${role.padEnd(12)} ${user.email || user.shop || user.id}`);
+      }
+    }
+  } while (lastKey);
+  console.log("\n  (owners not listed)\n");
+}
+
+async function main() {
+  const args = process.argv.slice(2);
+
+  if (args.includes("--list")) {
+    return listPrivileged();
+  }
+
+  const [identifier, role] = args;
+  if (!identifier || !ROLES.includes(role)) {
+    console.error(`Usage: set-user-role.js <email|shop|userId> <${ROLES.join("|")}> | --list`);
+    process.exit(1);
+  }
+
+  const user = await findUser(identifier);
+  if (!user) {
+    throw new Error(`No user found for "${identifier}"`);
+  }
+
+  const previous = normalizeRole(user.role);
+  user.role = role;
+  user.roleUpdatedAt = new Date().toISOString();
+  user.roleUpdatedBy = "cli";
+  await dynamodb.users.saveUser(user);
+
+  console.log(`\n  ✓ ${user.email || user.shop || user.id}: ${previous} → ${role}\n`);
+}
+
+main().catch((error) => {
+  console.error(`\n✗ ${error.message}`);
+  process.exit(1);
+});
@@ -3,6 +3,10 @@
 /**
  * Cleanup Stale Products
  * Removes products from Neo4j that are no longer active in the e-commerce platform.
+ *
+ * Completed syncs already quarantine such products and delete them after the
+ * store's quarantine period (staleCleanup store setting). This script deletes
+ * right away, without quarantine, for manual cleanups.
  * 
  * Compares each product's `lastSeenAt` timestamp against the latest sync timestamp
  * for the store. Products with an older `lastSeenAt` were not seen during the most
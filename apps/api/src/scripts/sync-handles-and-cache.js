@@ -36,6 +36,7 @@ const __dirname = path.dirname(__filename);
 dotenv.config({ path: path.resolve(__dirname, "../../../../.env") });
 
 import fetch from "node-fetch";
+import { decryptSecret } from "@runa/core/services/secrets";
 import { GraphQLClient, gql } from "graphql-request";
 import neo4j from "neo4j-driver";
 import AWS from "aws-sdk";
@@ -60,7 +61,7 @@ async function fetchAccessToken(shop) {
   const data = await r.json();
   const token = data?.data?.accessToken;
   if (!token) throw new Error(`No access token for ${shop}`);
-  return token;
+  return decryptSecret(token);
 }
 
 async function fetchAllShopifyHandles(shop) {
@@ -9,15 +9,25 @@
  *   node apps/api/src/scripts/sync-modular.js shopify my-store.myshopify.com shpat_xxx
  *   node apps/api/src/scripts/sync-modular.js shopify my-store.myshopify.com shpat_xxx --force
  *   node apps/api/src/scripts/sync-modular.js shopify my-store.myshopify.com shpat_xxx --demographic woman
+ *   node apps/api/src/scripts/sync-modular.js shopify my-store.myshopify.com shpat_xxx --style-preset bogas
  *   
  *   # VTEX (requires appKey and appToken)
  *   node apps/api/src/scripts/sync-modular.js vtex accountName appKey appToken
  *   node apps/api/src/scripts/sync-modular.js vtex accountName appKey appToken --force
  *   
+ *   # WooCommerce (REST API consumer key/secret)
+ *   node apps/api/src/scripts/sync-modular.js woocommerce https://shop.example.com ck_xxx cs_xxx
+ *   node apps/api/src/scripts/sync-modular.js woocommerce http://localhost:8089 ck_mock cs_mock   # mock server
+ *   
+ *   # Custom store from a product feed (Google Merchant XML, CSV, JSON Lines)
+ *   node apps/api/src/scripts/sync-modular.js custom shop.example.com https://shop.example.com/feed.xml
+ *   node apps/api/src/scripts/sync-modular.js custom shop.example.com ./products.csv --feed-format csv
+ *   
  * Supported providers:
  *   - shopify
  *   - vtex
- *   - woocommerce (coming soon)
+ *   - woocommerce
+ *   - custom (product feed)
  *   - vrex (coming soon)
  */
 
@@ -31,7 +41,9 @@ const rootEnv = path.resolve(__dirname, "../../../../.env");
 dotenv.config({ path: rootEnv });
 
 import fetch from "node-fetch";
+import { decryptSecret } from "@runa/core/services/secrets";
 import { SyncOrchestrator } from "../sync/index.js";
+import { STYLE_TAXONOMY_PRESETS } from "../sync/utils/style-taxonomy.js";
 
 const APP_SERVER_URL = "https://enofvc3o7f.execute-api.us-east-1.amazonaws.com/production/healthiny-app";
 
@@ -44,7 +56,7 @@ async function fetchAccessTokenFromDB(shopDomain) {
     throw new Error(`No accessToken found in database for shop "${shopDomain}"`);
   }
   console.log(`  Access token fetched from database for ${shopDomain}`);
-  return token;
+  return decryptSecret(token);
 }
 
 async function main() {
@@ -58,7 +70,18 @@ async function main() {
   const modelIdx = args.indexOf('--gemini-model');
   const geminiModel = modelIdx !== -1 ? args[modelIdx + 1] : null;
 
-  const flagsWithValues = ['--demographic', '--gemini-model'];
+  const formatIdx = args.indexOf('--feed-format');
+  const feedFormat = formatIdx !== -1 ? args[formatIdx + 1] : 'auto';
+
+  // Dashboard syncs use the store's saved style taxonomy; the CLI can pick a preset
+  const styleIdx = args.indexOf('--style-preset');
+  const stylePreset = styleIdx !== -1 ? args[styleIdx + 1] : null;
+  if (stylePreset && !STYLE_TAXONOMY_PRESETS[stylePreset]) {
+    console.error(`Unknown style preset "${stylePreset}". Available: ${Object.keys(STYLE_TAXONOMY_PRESETS).join(', ')}`);
+    process.exit(1);
+  }
+
+  const flagsWithValues = ['--demographic', '--gemini-model', '--feed-format', '--style-preset'];
   const filteredArgs = args.filter((a, i) => !a.startsWith('-') && !flagsWithValues.includes(args[i - 1]));
   
   const provider = filteredArgs[0] || 'shopify';
@@ -69,6 +92,7 @@ async function main() {
     rewriteDescriptions,
     demographic,
     geminiModel,
+    styleTaxonomy: stylePreset ? STYLE_TAXONOMY_PRESETS[stylePreset] : null,
     region: "us-east-1"
   };
 
@@ -89,7 +113,7 @@ Arguments:
   app-token     X-VTEX-API-AppToken value
 
 Options:
-  --force, -f   Process ALL products (skip existing product check)
+  --force, -f   Process ALL products (re-enrich everything instead of only new and changed products)
 
 Environment variables (alternative):
   VTEX_ACCOUNT_NAME   Account name
@@ -111,6 +135,81 @@ Examples:
       appToken,
       channelId: `${accountName}_scan`
     };
+  } else if (provider === 'woocommerce') {
+    // WooCommerce requires: store URL, consumerKey, consumerSecret
+    const baseUrl = filteredArgs[1] || process.env.WOOCOMMERCE_URL;
+    const consumerKey = filteredArgs[2] || process.env.WOOCOMMERCE_CONSUMER_KEY;
+    const consumerSecret = filteredArgs[3] || process.env.WOOCOMMERCE_CONSUMER_SECRET;
+
+    if (!baseUrl || !consumerKey || !consumerSecret) {
+      console.error(`
+Usage: node sync-modular.js woocommerce <store-url> <consumer-key> <consumer-secret> [--force]
+
+Arguments:
+  store-url        The store URL (e.g., "https://shop.example.com"); https:// is assumed without a scheme
+  consumer-key     REST API consumer key (ck_...)
+  consumer-secret  REST API consumer secret (cs_...)
+
+Options:
+  --force, -f   Process ALL products (re-enrich everything instead of only new and changed products)
+
+Environment variables (alternative):
+  WOOCOMMERCE_URL              Store URL
+  WOOCOMMERCE_CONSUMER_KEY     Consumer key
+  WOOCOMMERCE_CONSUMER_SECRET  Consumer secret
+
+Examples:
+  node sync-modular.js woocommerce https://shop.example.com ck_xxxx cs_xxxx
+  node sync-modular.js woocommerce http://localhost:8089 ck_mock cs_mock   # scripts/mock-woocommerce-server.js
+      `);
+      process.exit(1);
+    }
+
+    const shopName = baseUrl.replace(/^https?:\/\//, '').replace(/\/+$/, '');
+
+    config = {
+      ...config,
+      shopName,
+      baseUrl: /^https?:\/\//.test(baseUrl) ? baseUrl : `https://${shopName}`,
+      consumerKey,
+      consumerSecret,
+      channelId: `${shopName}_scan`
+    };
+  } else if (provider === 'custom' || provider === 'feed') {
+    // Feed stores require: store domain, feed URL or file
+    const shopName = filteredArgs[1] || process.env.SHOP_DOMAIN;
+    const feedSource = filteredArgs[2] || process.env.FEED_URL;
+
+    if (!shopName || !feedSource) {
+      console.error(`
+Usage: node sync-modular.js custom <shop-domain> <feed-url-or-file> [--feed-format <format>] [--force]
+
+Arguments:
+  shop-domain       The store domain (used as the store id)
+  feed-url-or-file  Feed URL (http/https) or local file path
+
+Options:
+  --feed-format <format>  google, csv, jsonl or auto (default: auto)
+  --force, -f             Process ALL products (re-enrich everything instead of only new and changed products)
+
+Environment variables (alternative):
+  SHOP_DOMAIN   Store domain
+  FEED_URL      Feed URL or file path
+
+Examples:
+  node sync-modular.js custom shop.example.com https://shop.example.com/feed/google.xml
+  node sync-modular.js custom shop.example.com ./products.csv --feed-format csv
+      `);
+      process.exit(1);
+    }
+
+    config = {
+      ...config,
+      shopName,
+      feedSource: /^https?:\/\//.test(feedSource) ? feedSource : path.resolve(feedSource),
+      feedFormat,
+      channelId: `${shopName}_scan`
+    };
   } else {
     // Default: Shopify and other providers
     const shopName = filteredArgs[1] || process.env.SHOP_DOMAIN;
@@ -126,9 +225,10 @@ Arguments:
   access-token  The API access token (optional — auto-fetched from database if omitted)
 
 Options:
-  --force, -f              Process ALL products (skip existing product check)
+  --force, -f              Process ALL products (re-enrich everything instead of only new and changed products)
   --demographic <value>    Default demographic for products (woman, man, unisex). Defaults to "woman"
   --rewrite-descriptions   Regenerate AI descriptions for ALL products (even those with existing descriptions)
+  --style-preset <name>    Classify styles with a preset taxonomy (${Object.keys(STYLE_TAXONOMY_PRESETS).join(', ')})
 
 Examples:
   node sync-modular.js shopify my-store.myshopify.com
@@ -36,6 +36,7 @@ dotenv.config({ path: path.resolve(__dirname, "../../../../.env") });
 
 import neo4j from "neo4j-driver";
 import fetch from "node-fetch";
+import { decryptSecret } from "@runa/core/services/secrets";
 import crypto from "crypto";
 import AWS from "aws-sdk";
 import { GraphQLClient, gql } from "graphql-request";
@@ -122,12 +123,12 @@ async function getHeroCandidates(occasion) {
     const result = await session.run(
       `MATCH (p:Product)
        WHERE p.storeId = $storeId
-         AND p.naomi_pick = true
-         AND $tag IN p.naomi_occasions
+         AND p.isPick = true
+         AND $tag IN p.occasions
          AND p.handle IS NOT NULL AND p.handle <> ''
        RETURN p.id AS id, p.title AS title, p.handle AS handle,
               p.vendor AS vendor, p.product_type AS productType,
-              p.naomi_style_lane AS styleLane,
+              p.styleLane AS styleLane,
               p.image AS image, p.price AS price
        ORDER BY p.updated_at DESC
        LIMIT 50`,
@@ -138,11 +139,11 @@ async function getHeroCandidates(occasion) {
       const fallback = await session.run(
         `MATCH (p:Product)
          WHERE p.storeId = $storeId
-           AND $occasionId IN p.naomi_occasions
+           AND $occasionId IN p.occasions
            AND p.handle IS NOT NULL AND p.handle <> ''
          RETURN p.id AS id, p.title AS title, p.handle AS handle,
                 p.vendor AS vendor, p.product_type AS productType,
-                p.naomi_style_lane AS styleLane,
+                p.styleLane AS styleLane,
                 p.image AS image, p.price AS price
          ORDER BY p.updated_at DESC
          LIMIT 50`,
@@ -178,12 +179,12 @@ async function getNaomiPickCandidates(occasionTag) {
     const result = await session.run(
       `MATCH (p:Product)
        WHERE p.storeId = $storeId
-         AND p.naomi_pick = true
-         AND ANY(occ IN p.naomi_occasions WHERE occ = $occasionTag)
+         AND p.isPick = true
+         AND ANY(occ IN p.occasions WHERE occ = $occasionTag)
          AND p.handle IS NOT NULL AND p.handle <> ''
        RETURN p.id AS id, p.title AS title, p.handle AS handle,
               p.vendor AS vendor, p.product_type AS productType,
-              p.naomi_style_lane AS styleLane,
+              p.styleLane AS styleLane,
               p.image AS image, p.price AS price
        ORDER BY rand()
        LIMIT 30`,
@@ -195,11 +196,11 @@ async function getNaomiPickCandidates(occasionTag) {
     const fallback = await session.run(
       `MATCH (p:Product)
        WHERE p.storeId = $storeId
-         AND ANY(occ IN p.naomi_occasions WHERE occ = $occasionTag)
+         AND ANY(occ IN p.occasions WHERE occ = $occasionTag)
          AND p.handle IS NOT NULL AND p.handle <> ''
        RETURN p.id AS id, p.title AS title, p.handle AS handle,
               p.vendor AS vendor, p.product_type AS productType,
-              p.naomi_style_lane AS styleLane,
+              p.styleLane AS styleLane,
               p.image AS image, p.price AS price
        ORDER BY rand()
        LIMIT 30`,
@@ -560,7 +561,7 @@ async function fetchAccessTokenFromDB(shopDomain) {
   const data = await response.json();
   const token = data?.data?.accessToken;
   if (!token) throw new Error(`No accessToken found for "${shopDomain}"`);
-  return token;
+  return decryptSecret(token);
 }
 
 const OCCASION_HANDLES = {
@@ -36,11 +36,11 @@ echo "════════════════════════
 
 # echo ""
 # echo "[Step 3/8] Generating Complete The Look widgets..." | tee -a "$LOG_FILE"
-# node apps/api/src/scripts/sync-lambda-complete-the-look.js "$SHOP_DOMAIN" --missing --gemini-model "$GEMINI_MODEL" --skip-images 2>&1 | tee -a "$LOG_FILE"
+# node apps/api/src/scripts/regenerate-widgets.js "$SHOP_DOMAIN" --widget complete-the-look --missing --gemini-model "$GEMINI_MODEL" --skip-images 2>&1 | tee -a "$LOG_FILE"
 
 # echo ""
 # echo "[Step 4/8] Generating Similar Products widgets..." | tee -a "$LOG_FILE"
-# node apps/api/src/scripts/sync-lambda-similar-products.js "$SHOP_DOMAIN" --missing --gemini-model "$GEMINI_MODEL" --skip-images --candidate-limit 15 2>&1 | tee -a "$LOG_FILE"
+# node apps/api/src/scripts/regenerate-widgets.js "$SHOP_DOMAIN" --widget similar-products --missing --gemini-model "$GEMINI_MODEL" --skip-images --candidate-limit 15 2>&1 | tee -a "$LOG_FILE"
 
 # echo ""
 # echo "[Step 5/8] Pushing descriptions from Neo4j to Shopify..." | tee -a "$LOG_FILE"
@@ -52,7 +52,7 @@ echo "════════════════════════
 
 # echo ""
 # echo "[Step 7/8] Tagging occasions + style lanes (Naomi)..." | tee -a "$LOG_FILE"
-# node apps/api/src/scripts/sync-shopify-naomi-tags.js "$SHOP_DOMAIN" --missing --gemini-model "$GEMINI_MODEL" 2>&1 | tee -a "$LOG_FILE"
+# node apps/api/src/scripts/tag-products.js "$SHOP_DOMAIN" --missing --gemini-model "$GEMINI_MODEL" 2>&1 | tee -a "$LOG_FILE"
 
 # echo ""
 # echo "[Step 8/8] Generating Naomi curated outfits..." | tee -a "$LOG_FILE"
@@ -21,6 +21,7 @@ dotenv.config({ path: path.resolve(__dirname, "../../../../.env") });
 
 import neo4j from "neo4j-driver";
 import fetch from "node-fetch";
+import { decryptSecret } from "@runa/core/services/secrets";
 import { GraphQLClient, gql } from "graphql-request";
 import { NEO4J_URI, NEO4J_USER, NEO4J_PASSWORD } from "../sync/services/config.js";
 
@@ -43,7 +44,7 @@ async function fetchAccessToken(shop) {
   const data = await res.json();
   const token = data?.data?.accessToken;
   if (!token) throw new Error(`No accessToken found for shop "${shop}"`);
-  return token;
+  return decryptSecret(token);
 }
 
 const UPDATE_MUTATION = gql`
@@ -31,6 +31,7 @@ import Pubnub from "pubnub";
 import OpenAI from "openai";
 import AWS from "aws-sdk";
 import fetch from "node-fetch";
+import { decryptSecret } from "@runa/core/services/secrets";
 import Shopify from "shopify-api-node";
 import { v4 as uuidv4 } from "uuid";
 import TurndownService from "turndown";
@@ -732,12 +733,12 @@ async function createApplicationAndStore(storeData, appData) {
   finally { await session.close(); await driver.close(); }
 }
 
-async function createOrUpdateCategories(categories) {
+async function createOrUpdateCategories(storeId, categories) {
   const driver = neo4j.driver(NEO4J_URI, neo4j.auth.basic(NEO4J_USER, NEO4J_PASSWORD));
   const session = driver.session();
   const tx = session.beginTransaction();
   try {
-    await Promise.all(categories.map(c => tx.run(`MERGE (c:Category {name: toLower($title)}) ON CREATE SET c.name = toLower($title)`, { title: c.title })));
+    await Promise.all(categories.map(c => tx.run(`MERGE (c:Category {storeId: $storeId, name: toLower($title)}) ON CREATE SET c.title = $title`, { storeId, title: c.title })));
     await tx.commit();
   } catch (e) { await tx.rollback(); console.error(e); }
   finally { await session.close(); await driver.close(); }
@@ -839,11 +840,11 @@ async function createOrUpdateProductWithVariantsAndStoreApplication(productsData
       MERGE (p)-[:HAS_VARIANT]->(v)
       WITH p, product
       UNWIND product.collections AS collection
-      MERGE (c:Category {name: toLower(collection.title)})
+      MERGE (c:Category {storeId: product.storeId, name: toLower(collection.title)})
       MERGE (p)-[:HAS_CATEGORY]->(c)
       WITH p, product
       UNWIND split(product.tags, ",") AS tag WITH p, product, trim(tag) AS tag WHERE tag <> ""
-      MERGE (c:Category {name: toLower(tag)}) MERGE (p)-[:HAS_CATEGORY]->(c)
+      MERGE (c:Category {storeId: product.storeId, name: toLower(tag)}) MERGE (p)-[:HAS_CATEGORY]->(c)
       WITH p, product
       UNWIND product.demographics AS demographic MERGE (d:Demographic {name: demographic}) MERGE (p)-[:HAS_DEMOGRAPHIC]->(d)
       WITH p, product.storeId AS storeId MATCH (store:Store {id: storeId}) MERGE (store)-[:HAS_PRODUCT]->(p)
@@ -936,7 +937,7 @@ async function processProducts(products, defaultCategories, shopName) {
   if (shopName.includes("dyfashion")) {
     shopData = { currency: "RON" };
   } else {
-    try { shopData = await getShopData(shopName, user?.accessToken); } catch (e) { shopData = { currency: "USD" }; }
+    try { shopData = await getShopData(shopName, await decryptSecret(user?.accessToken)); } catch (e) { shopData = { currency: "USD" }; }
   }
   console.log("shopData", shopData);
 
@@ -1366,7 +1367,7 @@ const saveProducts = async (shopName, shopAccessToken, channelId, region, app, f
   console.log("allCategories", allCategories);
   
   if (allCategories && allCategories.length > 0) {
-    await createOrUpdateCategories(allCategories);
+    await createOrUpdateCategories(shopName, allCategories);
   }
 
   await fetchAllProductsGraph(shopName, shopAccessToken, channelId, region, app, user, forceAll);
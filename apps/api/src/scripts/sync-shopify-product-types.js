@@ -36,6 +36,7 @@ dotenv.config({ path: path.resolve(__dirname, "../../../../.env") });
 
 import neo4j from "neo4j-driver";
 import fetch from "node-fetch";
+import { decryptSecret } from "@runa/core/services/secrets";
 import { GraphQLClient, gql } from "graphql-request";
 import { GoogleGenerativeAI, SchemaType } from "@google/generative-ai";
 import { NEO4J_URI, NEO4J_USER, NEO4J_PASSWORD } from "../sync/services/config.js";
@@ -270,7 +271,7 @@ async function fetchAccessTokenFromDB(shopDomain) {
     throw new Error(`No accessToken found in database for shop "${shopDomain}"`);
   }
   console.log(`  Access token fetched from database for ${shopDomain}`);
-  return token;
+  return decryptSecret(token);
 }
 
 // ─── Shopify GraphQL ─────────────────────────────────────────────────
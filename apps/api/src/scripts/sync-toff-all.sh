@@ -31,11 +31,11 @@ node apps/api/src/scripts/sync-toff-seo.js 2>&1 | tee -a "$LOG_FILE"
 
 echo ""
 echo "[Step 4/5] Generating Complete The Look widgets..." | tee -a "$LOG_FILE"
-node apps/api/src/scripts/sync-lambda-complete-the-look.js toffro.vtexcommercestable.com.br --missing 2>&1 | tee -a "$LOG_FILE"
+node apps/api/src/scripts/regenerate-widgets.js toffro.vtexcommercestable.com.br --widget complete-the-look --missing 2>&1 | tee -a "$LOG_FILE"
 
 echo ""
 echo "[Step 5/5] Generating Similar Products widgets..." | tee -a "$LOG_FILE"
-node apps/api/src/scripts/sync-lambda-similar-products.js toffro.vtexcommercestable.com.br --missing 2>&1 | tee -a "$LOG_FILE"
+node apps/api/src/scripts/regenerate-widgets.js toffro.vtexcommercestable.com.br --widget similar-products --missing 2>&1 | tee -a "$LOG_FILE"
 
 echo ""
 echo "═══════════════════════════════════════════════════════════" | tee -a "$LOG_FILE"
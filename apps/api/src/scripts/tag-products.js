@@ -0,0 +1,156 @@
+#!/usr/bin/env node
+
+/**
+ * Tag Products — Occasions, Style Lanes & Picks
+ *
+ * Runs the tagging stage (sync/tagging.js) on products already synced, with the
+ * tag taxonomy saved on the store. The dashboard queues the same run as a
+ * "tagging" job (POST /api/stores/:storeId/tags/run).
+ *
+ * Usage:
+ *   node apps/api/src/scripts/tag-products.js <store-domain> [options]
+ *
+ * Options:
+ *   --missing               Only products never tagged (default)
+ *   --force                 Re-tag ALL products
+ *   --handle <handle>       Re-tag a single product by handle
+ *   --dry-run               Classify without saving or writing tags
+ *   --preset <name>         Use a preset taxonomy instead of the saved one
+ *   --gemini-model <model>  Override the classification model
+ *
+ * Examples:
+ *   node apps/api/src/scripts/tag-products.js k8xbf0-5t.myshopify.com --dry-run
+ *   node apps/api/src/scripts/tag-products.js k8xbf0-5t.myshopify.com --force
+ *   node apps/api/src/scripts/tag-products.js k8xbf0-5t.myshopify.com --handle alexander-mcqueen-blue-cotton-casual-dress
+ */
+
+import dotenv from "dotenv";
+import { fileURLToPath } from "url";
+import path from "path";
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+dotenv.config({ path: path.resolve(__dirname, "../../../../.env") });
+
+import { dynamodb } from "@runa/core";
+import { SyncOrchestrator, ProductTagger, buildSyncConfig } from "../sync/index.js";
+import { TAG_TAXONOMY_PRESETS } from "../sync/utils/product-tags.js";
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// CLI ARGS
+// ═══════════════════════════════════════════════════════════════════════════════
+
+const args = process.argv.slice(2);
+const flagsWithValues = ["--handle", "--preset", "--gemini-model"];
+const positional = args.filter((a, i) => !a.startsWith("-") && !flagsWithValues.includes(args[i - 1]));
+
+const STORE_DOMAIN = positional[0];
+const dryRun = args.includes("--dry-run");
+const mode = args.includes("--force") ? "force" : "missing";
+
+const handleIdx = args.indexOf("--handle");
+const handle = handleIdx !== -1 ? args[handleIdx + 1] : null;
+
+const presetIdx = args.indexOf("--preset");
+const preset = presetIdx !== -1 ? args[presetIdx + 1] : null;
+
+const modelIdx = args.indexOf("--gemini-model");
+const geminiModel = modelIdx !== -1 ? args[modelIdx + 1] : null;
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// STORE LOOKUP
+// ═══════════════════════════════════════════════════════════════════════════════
+
+/**
+ * Find the store record (and its owner) for a domain
+ */
+async function findStore(domain) {
+  let lastKey;
+  do {
+    const { results, LastEvaluatedKey } = await dynamodb.users.getAllUsers(lastKey);
+    lastKey = LastEvaluatedKey;
+    for (const user of results) {
+      const store = (user.stores || []).find(s => s.domain === domain);
+      if (store) return { user, store };
+    }
+  } while (lastKey);
+  return null;
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// MAIN
+// ═══════════════════════════════════════════════════════════════════════════════
+
+function printCounts(title, counts) {
+  console.log(`  ─────────────────────────────────────────────────────────`);
+  console.log(`  ${title}`);
+  for (const [label, count] of Object.entries(counts).sort((a, b) => b[1] - a[1])) {
+    console.log(`    ${label.padEnd(24)} ${count}`);
+  }
+}
+
+async function main() {
+  if (!STORE_DOMAIN) {
+    console.error("Usage: tag-products.js <store-domain> [--missing | --force | --handle <handle>] [--dry-run] [--preset <name>] [--gemini-model <model>]");
+    process.exit(1);
+  }
+  if (preset && !TAG_TAXONOMY_PRESETS[preset]) {
+    console.error(`Unknown preset "${preset}". Available: ${Object.keys(TAG_TAXONOMY_PRESETS).join(", ")}`);
+    process.exit(1);
+  }
+
+  const found = await findStore(STORE_DOMAIN);
+  if (!found) {
+    throw new Error(`No store with domain "${STORE_DOMAIN}"`);
+  }
+
+  const config = await buildSyncConfig({ ...found, options: { geminiModel } });
+  if (preset) config.tagTaxonomy = TAG_TAXONOMY_PRESETS[preset];
+
+  const { provider } = new SyncOrchestrator(config);
+  if (!provider.tagTaxonomy.enabled) {
+    throw new Error(`Tagging is not enabled for ${STORE_DOMAIN}: save a tag taxonomy or pass --preset`);
+  }
+
+  const tagger = new ProductTagger(provider);
+  console.log(`\n═══════════════════════════════════════════════════════════`);
+  console.log(`  Tag Products — Occasions + Style Lanes${provider.tagTaxonomy.picks.enabled ? " + Picks" : ""}`);
+  console.log(`  Store:     ${STORE_DOMAIN} (${provider.providerType})`);
+  console.log(`  Taxonomy:  ${preset ? `preset "${preset}"` : "saved"} — tags ${provider.tagTaxonomy.prefix}:*, ${provider.tagTaxonomy.lanePrefix}:*`);
+  console.log(`  Mode:      ${dryRun ? "DRY RUN (no updates)" : tagger.writesTags ? "LIVE (Neo4j + platform tags)" : "LIVE (Neo4j only)"}`);
+  console.log(`  Filter:    ${handle ? `handle ${handle}` : mode === "force" ? "ALL (force re-tag)" : "Not yet tagged"}`);
+  console.log(`═══════════════════════════════════════════════════════════`);
+
+  const result = await tagger.run({ mode, handle, dryRun });
+
+  if (dryRun) {
+    for (const product of result.products) {
+      console.log(`  "${product.title}"${product.isPick ? " ★" : ""}`);
+      console.log(`      Occasions: ${product.occasions.join(", ")} | Lane: ${product.styleLane}`);
+      console.log(`      Tags: ${product.tags.join(", ")}`);
+    }
+  }
+
+  console.log(`\n═══════════════════════════════════════════════════════════`);
+  console.log(`  RESULTS${dryRun ? " (DRY RUN)" : ""}`);
+  console.log(`    Products:     ${result.candidates}`);
+  console.log(`    Tagged:       ${result.tagged}`);
+  console.log(`    Picks:        ${result.picks}`);
+  console.log(`    Tags written: ${result.pushed}`);
+  console.log(`    Failed:       ${result.failed}`);
+  for (const { productId, error } of result.errors) {
+    console.log(`      ${productId ? `[${productId}] ` : ""}${error}`);
+  }
+  printCounts("OCCASIONS", result.occasions);
+  printCounts("STYLE LANES", result.styleLanes);
+  console.log(`  ─────────────────────────────────────────────────────────`);
+  console.log(`  COST:  $${result.costs.costs.total.toFixed(6)}`);
+  console.log(`═══════════════════════════════════════════════════════════\n`);
+}
+
+main()
+  .then(() => process.exit(0))
+  .catch(e => {
+    console.error("\nFatal error:", e.message);
+    process.exit(1);
+  });
@@ -5,7 +5,7 @@
  *
  * Fetches the product from VTEX by handle, then calls generateSEO() with the
  * product data and prints the resulting Title and MetaTagDescription so you
- * can verify the new TOFF rules are applied correctly.
+ * can verify the TOFF brand voice SEO rules are applied correctly.
  *
  * With --save, also writes seoTitle and seoMetaDescription into the Neo4j
  * Product node (so that sync-toff-seo.js can subsequently push them to VTEX).
@@ -30,6 +30,7 @@ dotenv.config({ path: path.resolve(__dirname, "../../../../.env") });
 import fetch from "node-fetch";
 import neo4j from "neo4j-driver";
 import { generateSEO } from "../sync/services/ai-product-description.js";
+import { BRAND_VOICE_PRESETS } from "../sync/utils/brand-voice.js";
 import { NEO4J_URI, NEO4J_USER, NEO4J_PASSWORD } from "../sync/services/config.js";
 
 const accountName = process.env.VTEX_ACCOUNT || "toffro";
@@ -110,7 +111,7 @@ async function main() {
     description: product.description || "",
   };
 
-  const seoResult = await generateSEO(seoInput, { language: "ro" });
+  const seoResult = await generateSEO(seoInput, { brandVoice: BRAND_VOICE_PRESETS.toff });
 
   if (!seoResult) {
     console.error(`\n    ✗ generateSEO returned null`);
@@ -0,0 +1,246 @@
+import { dynamodb, neo4j } from "@runa/core";
+import openaiService from "../sync/services/openai.js";
+
+/**
+ * AI Merchant trend engine
+ *
+ * Compares the last 7 days with the 7 before, per category, color and style
+ * lane, on two signals (see @runa/core neo4j/trends.js):
+ *   arrivals   new products
+ *   depletion  stock units gone, from the daily inventory snapshots that
+ *              completed syncs and reports record
+ * A value spikes when this week reaches the signal's minimum and at least
+ * SPIKE_RATIO times last week. The strongest spikes become themed collection
+ * proposals (in-stock products of that value, named by AI), in a report kept
+ * per store and day.
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const WINDOW_DAYS = 7;
+const SPIKE_RATIO = 1.5;
+const MIN_CURRENT = { arrivals: 3, depletion: 5 };
+const MAX_TRENDS = 10;
+const MAX_COLLECTIONS = 5;
+const COLLECTION_SIZE = 24;
+const MIN_COLLECTION_SIZE = 4;
+const LOW_STOCK_UNITS = 3;
+const REPORT_TTL_SECONDS = 90 * 24 * 60 * 60;
+
+const DIMENSION_LABELS = { category: "category", color: "color", styleLane: "style lane" };
+
+// ─── Signals ─────────────────────────────────────────────────────────
+
+function emptyCounts() {
+  return Object.fromEntries(neo4j.trends.TREND_DIMENSIONS.map(d => [d, {}]));
+}
+
+/**
+ * New products per dimension value, arrived in [from, to)
+ */
+function countArrivals(arrivals, from, to) {
+  const counts = emptyCounts();
+  for (const product of arrivals) {
+    if (product.arrivedAt < from || product.arrivedAt >= to) continue;
+    for (const dimension of neo4j.trends.TREND_DIMENSIONS) {
+      for (const value of product[dimension]) {
+        counts[dimension][value] = (counts[dimension][value] || 0) + 1;
+      }
+    }
+  }
+  return counts;
+}
+
+/**
+ * Stock units gone per dimension value, between consecutive snapshots whose
+ * later one falls in [from, to). Restocks count as zero, not as negative.
+ */
+function sumDepletion(snapshots, from, to) {
+  const counts = emptyCounts();
+  for (let i = 1; i < snapshots.length; i++) {
+    const [before, after] = [snapshots[i - 1], snapshots[i]];
+    if (after.date < from || after.date >= to) continue;
+    for (const dimension of neo4j.trends.TREND_DIMENSIONS) {
+      for (const [value, units] of Object.entries(before.units[dimension] || {})) {
+        const gone = units - (after.units[dimension]?.[value] || 0);
+        if (gone > 0) counts[dimension][value] = (counts[dimension][value] || 0) + gone;
+      }
+    }
+  }
+  return counts;
+}
+
+function detectSpikes(current, previous, signal) {
+  const spikes = [];
+  for (const dimension of neo4j.trends.TREND_DIMENSIONS) {
+    for (const [value, count] of Object.entries(current[dimension])) {
+      const before = previous[dimension][value] || 0;
+      if (count < MIN_CURRENT[signal] || count < before * SPIKE_RATIO) continue;
+      spikes.push({
+        dimension,
+        value,
+        signal,
+        current: count,
+        previous: before,
+        growth: before > 0 ? Math.round(((count - before) / before) * 100) / 100 : null,
+        score: count / Math.max(before, 1)
+      });
+    }
+  }
+  return spikes;
+}
+
+/**
+ * Week-over-week spikes of a store
+ * @param {string} storeId - Store ID (shop domain)
+ * @param {Object} options - { now }
+ * @returns {Promise<Object>} - { window, trends, signals }
+ */
+export async function analyzeTrends(storeId, { now = new Date() } = {}) {
+  const end = now.getTime();
+  const currentFrom = new Date(end - WINDOW_DAYS * DAY_MS).toISOString();
+  const previousFrom = new Date(end - 2 * WINDOW_DAYS * DAY_MS).toISOString();
+  const to = new Date(end + DAY_MS).toISOString();
+
+  // Snapshot windows are calendar days: the last 7 (today included) and the 7 before
+  const day = (ms) => new Date(ms).toISOString().slice(0, 10);
+  const currentDay = day(end - (WINDOW_DAYS - 1) * DAY_MS);
+  const previousDay = day(end - (2 * WINDOW_DAYS - 1) * DAY_MS);
+  const nextDay = day(end + DAY_MS);
+
+  const [arrivals, snapshots] = await Promise.all([
+    neo4j.trends.getArrivals(storeId, previousFrom),
+    // One more day back, for the first depletion of the previous week
+    neo4j.trends.getInventorySnapshots(storeId, day(end - 2 * WINDOW_DAYS * DAY_MS))
+  ]);
+
+  const currentSnapshots = snapshots.filter(s => s.date >= currentDay).length;
+  const previousSnapshots = snapshots.filter(s => s.date >= previousDay && s.date < currentDay).length;
+  // Depletion needs snapshots in both weeks, or last week reads as zero
+  const depletionAvailable = currentSnapshots > 0 && previousSnapshots > 0;
+
+  const trends = [
+    ...detectSpikes(countArrivals(arrivals, currentFrom, to), countArrivals(arrivals, previousFrom, currentFrom), "arrivals"),
+    ...(depletionAvailable
+      ? detectSpikes(
+        sumDepletion(snapshots, currentDay, nextDay),
+        sumDepletion(snapshots, previousDay, currentDay),
+        "depletion"
+      )
+      : [])
+  ]
+    .sort((a, b) => b.score - a.score || b.current - a.current)
+    .slice(0, MAX_TRENDS)
+    .map(({ score, ...trend }) => trend);
+
+  return {
+    window: { currentFrom, previousFrom, to: now.toISOString() },
+    trends,
+    signals: {
+      arrivals: {
+        current: arrivals.filter(a => a.arrivedAt >= currentFrom).length,
+        previous: arrivals.filter(a => a.arrivedAt < currentFrom).length
+      },
+      depletion: { available: depletionAvailable, snapshots: snapshots.length }
+    }
+  };
+}
+
+// ─── Collections ─────────────────────────────────────────────────────
+
+const titleCase = (value) => value.replace(/\b\w/g, c => c.toUpperCase());
+
+/**
+ * Themed collection proposals for the strongest trends, one per dimension value
+ * @returns {Promise<{ collections: Array, lowStockExcluded: number }>}
+ */
+async function proposeCollections(storeId, trends, { storeName = null } = {}) {
+  const seen = new Set();
+  const collections = [];
+  let lowStockExcluded = 0;
+
+  for (const trend of trends) {
+    const key = `${trend.dimension}:${trend.value}`;
+    if (seen.has(key) || collections.length >= MAX_COLLECTIONS) continue;
+    seen.add(key);
+
+    const { products, lowStockExcluded: excluded } = await neo4j.trends.getTrendProducts(storeId, trend.dimension, trend.value, {
+      limit: COLLECTION_SIZE,
+      minUnits: LOW_STOCK_UNITS
+    });
+    lowStockExcluded += excluded;
+    if (products.length < MIN_COLLECTION_SIZE) continue;
+
+    collections.push({
+      key,
+      name: `Trending: ${titleCase(trend.value)}`,
+      description: null,
+      namedBy: "default",
+      trend: { dimension: trend.dimension, value: trend.value, signal: trend.signal },
+      products
+    });
+  }
+
+  if (collections.length > 0) {
+    try {
+      const names = await openaiService.nameCollections(collections.map(c => ({
+        key: c.key,
+        theme: `${DIMENSION_LABELS[c.trend.dimension]}: ${c.trend.value}`,
+        signal: c.trend.signal,
+        titles: c.products.slice(0, 8).map(p => p.title)
+      })), { storeName });
+      for (const { key, name, description } of names) {
+        const collection = collections.find(c => c.key === key);
+        if (collection && name) Object.assign(collection, { name, description: description || null, namedBy: "ai" });
+      }
+    } catch (error) {
+      // Keep the default names: the proposals are still useful
+      console.error("Collection naming failed:", error.message);
+    }
+  }
+
+  return { collections, lowStockExcluded };
+}
+
+// ─── Daily report ────────────────────────────────────────────────────
+
+const reportKey = (storeId, date) => `merchant_report_${storeId}_${date}`;
+
+/**
+ * Build today's report: records today's inventory snapshot, then analyzes
+ * @param {string} storeId - Store ID (shop domain)
+ * @param {Object} options - { storeName }
+ * @returns {Promise<Object>} - { storeId, date, generatedAt, window, signals, trends, collections, lowStockExcluded }
+ */
+export async function buildDailyReport(storeId, { storeName = null } = {}) {
+  const now = new Date();
+  await neo4j.trends.recordInventorySnapshot(storeId);
+
+  const { window, trends, signals } = await analyzeTrends(storeId, { now });
+  const { collections, lowStockExcluded } = await proposeCollections(storeId, trends, { storeName });
+
+  const report = {
+    storeId,
+    date: now.toISOString().slice(0, 10),
+    generatedAt: now.toISOString(),
+    window,
+    signals,
+    trends,
+    collections,
+    lowStockExcluded
+  };
+  await dynamodb.cache.set(reportKey(storeId, report.date), report, { ttl: REPORT_TTL_SECONDS });
+  return report;
+}
+
+/**
+ * The report of a day, built on the first request of today
+ * @param {string} storeId - Store ID (shop domain)
+ * @param {Object} options - { date (YYYY-MM-DD, default today), storeName }
+ * @returns {Promise<Object|null>} - null for a past day without a report
+ */
+export async function getDailyReport(storeId, { date = null, storeName = null } = {}) {
+  const today = new Date().toISOString().slice(0, 10);
+  const cached = await dynamodb.cache.get(reportKey(storeId, date || today));
+  if (cached || (date && date !== today)) return cached;
+  return buildDailyReport(storeId, { storeName });
+}
@@ -0,0 +1,238 @@
+import fetch from "node-fetch";
+import { config } from "@runa/config";
+import { ApiError } from "../middleware/error.js";
+
+/**
+ * Storefront assistant config (AI Stylist, AI Visual Merchandiser)
+ *
+ * Both live in the "chat" object of the shop's record on the storefront app
+ * server, which the storefront widgets read. The dashboard reaches it only
+ * through /api/stores/:storeId/{stylist,visual-merchandiser}-config, which
+ * validates each save against the schemas below and records it as a version.
+ */
+
+// ─── Schemas ─────────────────────────────────────────────────────────
+
+const POSITIONS = ["right", "left", "center"];
+const MAX_PROMPT_LENGTH = 10000;
+
+const text = (maxLength) => ({ type: "string", maxLength });
+const margin = { type: "integer", min: 0, max: 500 };
+const color = { type: "color" };
+const flag = { type: "boolean" };
+const prompt = text(MAX_PROMPT_LENGTH);
+
+export const STOREFRONT_CONFIGS = {
+  stylist: {
+    label: "AI Stylist",
+    fields: {
+      name: text(100),
+      description: text(500),
+      message: text(300),
+      suggestions: { type: "list", maxItems: 3, maxLength: 200 },
+      enableChat: flag,
+      chatWidgetPosition: { type: "enum", values: POSITIONS },
+      marginBottom: margin,
+      marginHorizontal: margin,
+      mobileChatWidgetPosition: { type: "enum", values: POSITIONS },
+      mobileMarginBottom: margin,
+      mobileMarginHorizontal: margin,
+      primaryColor: color,
+      chatBackgroundColor: color,
+      secondaryColor: color,
+      chatFloatingButtonDescription: text(300),
+      customContext: prompt,
+      chatPrompt1: prompt,
+      chatPrompt2: prompt,
+      chatPrompt3: prompt
+    },
+    defaults: {
+      name: "AI Stylist",
+      description: "Here to answer every query and tailor suggestions, focusing on your needs and preferences.",
+      message: "How can I help you today?",
+      suggestions: ["", "", ""],
+      enableChat: false,
+      chatWidgetPosition: "right",
+      marginBottom: 25,
+      marginHorizontal: 25,
+      mobileChatWidgetPosition: "right",
+      mobileMarginBottom: 20,
+      mobileMarginHorizontal: 20,
+      primaryColor: "#7846F3",
+      chatBackgroundColor: "#ffffff",
+      secondaryColor: "#F2F2F1",
+      chatFloatingButtonDescription: "Hi there 👋 What brings you to our store today?",
+      customContext: "",
+      chatPrompt1: "",
+      chatPrompt2: "",
+      chatPrompt3: ""
+    },
+    regenerationFields: []
+  },
+  "visual-merchandiser": {
+    label: "AI Visual Merchandiser",
+    fields: {
+      optionsContext: prompt,
+      aiWidgetPersonalization: prompt,
+      aiMainPersonalization: prompt,
+      adminWidgetContext: prompt,
+      adminWidgetContextWithProfile: prompt,
+      adminWidgetContextCategory1: prompt,
+      adminWidgetContextWithProfileCategory1: prompt,
+      shopTheLookPromptOutfit: prompt,
+      contextBody: prompt,
+      contextPersonality: prompt,
+      contextChromatic: prompt,
+      contextCategoryPageWidget: prompt,
+      showContextBody: flag,
+      showContextPersonality: flag,
+      showContextChromatic: flag,
+      showcontextCategoryPageWidget: flag,
+      showShopTheLookPromptOutfit: flag
+    },
+    defaults: {
+      optionsContext: "",
+      aiWidgetPersonalization: "",
+      aiMainPersonalization: "",
+      adminWidgetContext: "",
+      adminWidgetContextWithProfile: "",
+      adminWidgetContextCategory1: "",
+      adminWidgetContextWithProfileCategory1: "",
+      shopTheLookPromptOutfit: "",
+      contextBody: "",
+      contextPersonality: "",
+      contextChromatic: "",
+      contextCategoryPageWidget: "",
+      showContextBody: false,
+      showContextPersonality: false,
+      showContextChromatic: false,
+      showcontextCategoryPageWidget: false,
+      showShopTheLookPromptOutfit: false
+    },
+    // The outfit (Complete the Look) prompts: changing them calls for regenerating outfits
+    regenerationFields: [
+      "aiWidgetPersonalization",
+      "adminWidgetContext",
+      "adminWidgetContextWithProfile",
+      "adminWidgetContextCategory1",
+      "adminWidgetContextWithProfileCategory1",
+      "shopTheLookPromptOutfit"
+    ]
+  }
+};
+
+function checkField(field, schema, value) {
+  switch (schema.type) {
+    case "string":
+      if (typeof value !== "string") return `${field} must be a string`;
+      if (value.length > schema.maxLength) return `${field} must be at most ${schema.maxLength} characters`;
+      return null;
+    case "list":
+      if (!Array.isArray(value) || value.some(v => typeof v !== "string")) return `${field} must be a list of strings`;
+      if (value.length > schema.maxItems) return `${field} accepts at most ${schema.maxItems} entries`;
+      if (value.some(v => v.length > schema.maxLength)) return `${field} entries must be at most ${schema.maxLength} characters`;
+      return null;
+    case "boolean":
+      return typeof value === "boolean" ? null : `${field} must be true or false`;
+    case "integer":
+      return Number.isInteger(value) && value >= schema.min && value <= schema.max
+        ? null
+        : `${field} must be an integer between ${schema.min} and ${schema.max}`;
+    case "enum":
+      return schema.values.includes(value) ? null : `${field} must be one of: ${schema.values.join(", ")}`;
+    case "color":
+      return typeof value === "string" && /^#[0-9a-f]{6}$/i.test(value) ? null : `${field} must be a #rrggbb color`;
+    default:
+      return `${field} has an unknown type`;
+  }
+}
+
+/**
+ * Validate a config against its schema
+ * Missing fields are taken from base (the live config), then the defaults.
+ * @param {string} kind - Key of STOREFRONT_CONFIGS
+ * @param {Object} input - Fields to save
+ * @param {Object} base - Current values
+ * @returns {{ config: Object|null, errors: string[] }}
+ */
+export function normalizeStorefrontConfig(kind, input, base = {}) {
+  const { fields } = STOREFRONT_CONFIGS[kind];
+  if (!input || typeof input !== "object" || Array.isArray(input)) {
+    return { config: null, errors: ["config must be an object"] };
+  }
+
+  const errors = Object.keys(input)
+    .filter(field => !fields[field])
+    .map(field => `unknown field ${field}`);
+  for (const [field, value] of Object.entries(input)) {
+    const error = fields[field] && checkField(field, fields[field], value);
+    if (error) errors.push(error);
+  }
+  if (errors.length > 0) {
+    return { config: null, errors };
+  }
+
+  return { config: { ...pickStorefrontConfig(kind, base), ...input }, errors };
+}
+
+/**
+ * The fields of a config kind from a chat object, with defaults for the
+ * missing ones (stored values are kept as they are, even ones a save would reject)
+ */
+export function pickStorefrontConfig(kind, chat = {}) {
+  const { fields, defaults } = STOREFRONT_CONFIGS[kind];
+  const picked = {};
+  for (const field of Object.keys(fields)) {
+    picked[field] = chat?.[field] ?? defaults[field];
+  }
+  return picked;
+}
+
+/**
+ * Fields that differ between two configs of a kind
+ * @returns {Array<{ field: string, from: any, to: any }>}
+ */
+export function diffStorefrontConfigs(kind, from, to) {
+  return Object.keys(STOREFRONT_CONFIGS[kind].fields)
+    .filter(field => JSON.stringify(from?.[field] ?? null) !== JSON.stringify(to?.[field] ?? null))
+    .map(field => ({ field, from: from?.[field] ?? null, to: to?.[field] ?? null }));
+}
+
+// ─── App server ──────────────────────────────────────────────────────
+
+async function appServerRequest(action, shop, options = {}) {
+  const params = new URLSearchParams({ action, shop, ...options.query });
+  let response;
+  try {
+    response = await fetch(`${config.appServer.url}?${params}`, {
+      method: options.body ? "POST" : "GET",
+      headers: { "Content-Type": "application/json" },
+      body: options.body ? JSON.stringify(options.body) : undefined,
+      signal: AbortSignal.timeout(config.appServer.timeoutMs)
+    });
+  } catch (error) {
+    throw ApiError.badGateway(`Storefront app server unreachable: ${error.message}`);
+  }
+  if (!response.ok) {
+    throw ApiError.badGateway(`Storefront app server error: ${response.status} ${response.statusText}`);
+  }
+  return response.json();
+}
+
+/**
+ * The shop's chat object, null when the shop has no storefront record
+ */
+export async function fetchStorefrontChat(shop) {
+  const result = await appServerRequest("getUser", shop);
+  if (!result?.data) return null;
+  return result.data.chat || {};
+}
+
+/**
+ * Save chat fields (the app server merges them into the stored chat)
+ * Never asks the app server to regenerate outfits: that is the explicit
+ * Complete the Look job.
+ */
+export async function saveStorefrontChat(shop, chat) {
+  await appServerRequest("saveUserChat", shop, { query: { contextUpdated: "0" }, body: { chat } });
+}
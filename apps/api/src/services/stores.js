@@ -0,0 +1,42 @@
+import { dynamodb } from "@runa/core";
+import { ApiError } from "../middleware/error.js";
+import { getStorePlatform, getStoreDomain } from "../sync/store-config.js";
+
+/**
+ * Store lookup for the routes
+ * Stores live on the user record, so every store route reads the signed-in
+ * user and picks the store from it; a store of another account is not found.
+ */
+
+/**
+ * Find a store owned by a user
+ * @param {string} userId - User ID (req.user.userId)
+ * @param {string} storeId - Store ID
+ * @returns {Promise<{ user: Object, store: Object, platform: string, shopDomain: string }>}
+ *   store is the entry of user.stores, so changes to it are saved with the user;
+ *   shopDomain is the domain the store syncs under (also its Neo4j store id)
+ */
+export async function getOwnedStore(userId, storeId) {
+  if (!storeId) {
+    throw ApiError.badRequest("storeId is required");
+  }
+
+  const user = await dynamodb.users.getUserById(userId);
+  if (!user) {
+    throw ApiError.notFound("User not found");
+  }
+
+  const store = (user.stores || []).find(s => s.id === storeId);
+  if (!store) {
+    throw ApiError.notFound("Store not found");
+  }
+
+  return {
+    user,
+    store,
+    platform: getStorePlatform(user, store),
+    shopDomain: getStoreDomain(user, store)
+  };
+}
+
+export default { getOwnedStore };
@@ -19,6 +19,7 @@ import { ShopifyProvider } from "./providers/shopify.js";
 import { WooCommerceProvider } from "./providers/woocommerce.js";
 import { VrexProvider } from "./providers/vrex.js";
 import { VtexProvider } from "./providers/vtex.js";
+import { FeedProvider } from "./providers/feed.js";
 
 export class SyncOrchestrator {
   constructor(config) {
@@ -38,6 +39,9 @@ export class SyncOrchestrator {
         return new VrexProvider(config);
       case 'vtex':
         return new VtexProvider(config);
+      case 'custom':
+      case 'feed':
+        return new FeedProvider(config);
       default:
         throw new Error(`Unknown provider type: ${providerType}`);
     }
@@ -50,7 +54,7 @@ export class SyncOrchestrator {
 ╠═══════════════════════════════════════════════════════════════════╣
 ║  Provider: ${this.provider.providerType.padEnd(53)}║
 ║  Shop: ${this.config.shopName.padEnd(57)}║
-║  Mode: ${this.config.forceAll ? 'FORCE (all products)'.padEnd(57) : 'Normal (new products only)'.padEnd(57)}║
+║  Mode: ${this.config.forceAll ? 'FORCE (all products)'.padEnd(57) : 'Delta (new and changed products)'.padEnd(57)}║
 ║  Demographic: ${(this.provider.demographic || 'woman').padEnd(49)}║
 ║  Rewrite descriptions: ${(this.provider.rewriteDescriptions ? 'YES' : 'no').padEnd(40)}║
 ╚═══════════════════════════════════════════════════════════════════╝
@@ -58,7 +62,25 @@ export class SyncOrchestrator {
 
     await this.provider.sync();
 
-    console.log("\n✓ Sync completed successfully");
+    if (this.provider.cancelled) {
+      console.log("\n✗ Sync cancelled");
+    } else {
+      console.log("\n✓ Sync completed successfully");
+    }
+    return this.provider.syncResult || null;
+  }
+
+  /**
+   * Update a single product after a platform event (webhook jobs)
+   * @param {Object} event - { productId, deleted }
+   * @returns {Promise<Object>} - { productId, action, costs }
+   */
+  async syncProduct({ productId, deleted = false }) {
+    console.log(`\n=== ${this.provider.providerType} product ${productId} (${deleted ? "delete" : "update"}) for ${this.config.shopName} ===`);
+
+    return deleted
+      ? this.provider.deleteProduct(productId)
+      : this.provider.syncProductById(productId);
   }
 }
 
@@ -66,5 +88,10 @@ export class SyncOrchestrator {
 export * from "./providers/index.js";
 export * from "./services/index.js";
 export * from "./utils/index.js";
+export * from "./store-config.js";
+export * from "./writeback.js";
+export * from "./tagging.js";
+export * from "./mapping.js";
+export * from "./widgets.js";
 
 export default SyncOrchestrator;
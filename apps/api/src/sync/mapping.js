@@ -0,0 +1,197 @@
+/**
+ * Product mapping
+ * Applies the store's mapping rules (see utils/mapping-rules.js) to the stored
+ * catalog: demographic, category and subcategory of every product.
+ *
+ * Syncs apply the rules to the products they enrich. Rule changes reach the
+ * rest of the catalog through a "mapping" job queued from the dashboard, after
+ * a dry run (planMapping) shows which products the change moves. Both work on
+ * the platform facts the sync saves on each product (categoryPaths,
+ * platformTags, product_type); products synced before facts were saved are
+ * left alone until their next sync.
+ *
+ * Categories a rule links are remembered on the product (ruleCategories), so
+ * a link is removed again once no rule gives it. Categories from the platform
+ * are never unlinked.
+ */
+
+import { neo4jService } from "./services/index.js";
+import { evaluateMappingRules, findVisionCategory } from "./utils/mapping-rules.js";
+import { mapWithConcurrency, retryOnDeadlock } from "./utils/index.js";
+
+// Products saved per write
+const MAPPING_BATCH_SIZE = 100;
+// Image classifications in flight
+const VISION_CONCURRENCY = 3;
+// Moves returned by a dry run, up to this many
+const MAX_DRY_RUN_MOVES = 200;
+
+const lower = (value) => String(value || "").toLowerCase().trim();
+
+/**
+ * What the rules make of stored products
+ * @param {Object[]} rows - Mapping candidates (see neo4jService.getMappingCandidates)
+ * @param {Array} rules - Resolved rules
+ * @param {Object} options - { defaultDemographic: store demographic, for products no rule gives one }
+ * @returns {Object} - { counts, matches: { [ruleId]: products matched }, plans }
+ *   plans: [{ row, mapping, demographic, category, ruleCategories, visionPending, moved }]
+ */
+export function planMapping(rows, rules, { defaultDemographic = "woman" } = {}) {
+  const counts = { evaluated: 0, moved: 0, demographic: 0, category: 0, visionPending: 0, missingFacts: 0 };
+  const matches = Object.fromEntries(rules.map(rule => [rule.id, 0]));
+  const plans = [];
+
+  for (const row of rows) {
+    if (!row.categoryPaths) {
+      counts.missingFacts++;
+      continue;
+    }
+    counts.evaluated++;
+
+    const mapping = evaluateMappingRules(row, rules);
+    for (const ruleId of mapping.ruleIds) matches[ruleId]++;
+
+    // A product already filed under one of the vision categories keeps it
+    let subcategory = mapping.subcategory;
+    const visionPending = !subcategory && Boolean(mapping.vision)
+      && !(subcategory = findVisionCategory(mapping.vision, row.categories));
+
+    const demographic = mapping.demographic || defaultDemographic;
+    const category = subcategory || mapping.category || row.sourceCategory || row.category;
+    const ruleCategories = [...new Set([mapping.category, subcategory].filter(Boolean))];
+
+    const demographicMoved = row.demographics.length !== 1 || row.demographics[0] !== demographic;
+    const linked = new Set(row.categories.map(lower));
+    const categoryMoved = visionPending
+      || lower(category) !== lower(row.category)
+      || ruleCategories.some(name => !linked.has(lower(name)))
+      || (row.ruleCategories || []).some(name => !ruleCategories.some(c => lower(c) === lower(name)));
+
+    if (demographicMoved) counts.demographic++;
+    if (categoryMoved) counts.category++;
+    if (visionPending) counts.visionPending++;
+    if (demographicMoved || categoryMoved) counts.moved++;
+
+    plans.push({
+      row,
+      mapping,
+      demographic,
+      category: visionPending ? null : category,
+      ruleCategories,
+      visionPending,
+      moved: demographicMoved || categoryMoved
+    });
+  }
+
+  return { counts, matches, plans };
+}
+
+/**
+ * Moves of a plan, as the dashboard lists them
+ */
+function describeMove({ row, mapping, demographic, category, visionPending }) {
+  return {
+    productId: row.id,
+    title: row.title,
+    handle: row.handle,
+    from: { demographics: row.demographics, category: row.category },
+    to: { demographic, category },
+    ruleIds: mapping.ruleIds,
+    visionPending
+  };
+}
+
+/**
+ * Dry run of rules over a store's stored products
+ * @param {string} storeId - Store ID
+ * @param {Array} rules - Resolved rules
+ * @param {Object} options - { defaultDemographic }
+ * @returns {Promise<Object>} - { counts, matches, moves }
+ */
+export async function dryRunMapping(storeId, rules, options = {}) {
+  const rows = await neo4jService.getMappingCandidates(storeId);
+  const { counts, matches, plans } = planMapping(rows, rules, options);
+  return {
+    counts,
+    matches,
+    moves: plans.filter(p => p.moved).slice(0, MAX_DRY_RUN_MOVES).map(describeMove)
+  };
+}
+
+export class ProductMapper {
+  /**
+   * @param {BaseProvider} provider - Provider of the store (mapping rules included)
+   */
+  constructor(provider) {
+    this.provider = provider;
+    this.storeId = provider.shopName;
+    this.rules = provider.mappingRules.rules;
+    this.neo4j = neo4jService;
+  }
+
+  /**
+   * Mapping job: apply the rules to every stored product they move
+   * Products a vision rule covers are classified by image first; when that
+   * fails they keep their category and are counted as failed.
+   * @param {Object} options - { dryRun, onProgress }
+   * @returns {Promise<Object>} - Counts and rule matches, moves on a dry run, plus cancelled when aborted
+   */
+  async run({ dryRun = false, onProgress = null } = {}) {
+    const signal = this.provider.signal;
+    const rows = await this.neo4j.getMappingCandidates(this.storeId);
+    const { counts, matches, plans } = planMapping(rows, this.rules, { defaultDemographic: this.provider.demographic });
+    const moved = plans.filter(p => p.moved);
+
+    const stats = { dryRun, ...counts, matches, applied: 0, classified: 0, failed: 0 };
+    console.log(`\n=== Mapping ${this.storeId}: ${moved.length}/${counts.evaluated} products move (${counts.visionPending} by image${dryRun ? ", dry run" : ""}) ===`);
+
+    if (dryRun) {
+      stats.moves = moved.slice(0, MAX_DRY_RUN_MOVES).map(describeMove);
+      return stats;
+    }
+
+    for (let i = 0; i < moved.length; i += MAPPING_BATCH_SIZE) {
+      if (signal?.aborted) break;
+      const batch = moved.slice(i, i + MAPPING_BATCH_SIZE);
+
+      await mapWithConcurrency(batch.filter(p => p.visionPending), VISION_CONCURRENCY, async (plan) => {
+        const subcategory = await this.provider.classifyCategoryFromImage(
+          { title: plan.row.title, image: plan.row.image, detectedDemographics: [plan.demographic] },
+          plan.mapping.vision
+        );
+        if (subcategory) {
+          plan.category = subcategory;
+          plan.ruleCategories = [...new Set([...plan.ruleCategories, subcategory])];
+          stats.classified++;
+        } else {
+          plan.category = plan.row.category;
+          stats.failed++;
+        }
+      }, { signal });
+      if (signal?.aborted) break;
+
+      const rows = batch.map(p => ({
+        productId: p.row.id,
+        demographic: p.demographic,
+        category: p.category,
+        ruleCategories: p.ruleCategories,
+        mappingRuleIds: p.mapping.ruleIds
+      }));
+      await retryOnDeadlock(() => this.neo4j.saveProductMapping(this.storeId, rows));
+      stats.applied += rows.length;
+      console.log(`  [Batch ${i / MAPPING_BATCH_SIZE + 1}] ${rows.length} mapped`);
+      onProgress?.(Math.min(i + batch.length, moved.length), moved.length);
+    }
+
+    if (signal?.aborted) {
+      stats.cancelled = true;
+    }
+    if (stats.applied > 0) {
+      await this.neo4j.refreshCategoryCounts(this.storeId);
+    }
+    stats.costs = this.provider.costTracker.getSummary();
+    return stats;
+  }
+}
+
+export default ProductMapper;
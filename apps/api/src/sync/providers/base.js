@@ -3,20 +3,46 @@
  * Abstract base class for all e-commerce providers
  * 
  * All providers must implement these methods:
- * - fetchProducts(options): Fetch products from the platform
+ * - fetchProducts(options): Fetch products from the platform. Products it skips
+ *   as not purchasable can be returned as unavailable: [{ id, handle }], so they
+ *   are dropped from the widget caches.
  * - fetchCollections(options): Fetch collections/categories
  * - getShopData(): Get shop metadata (currency, etc.)
  * - transformProduct(rawProduct): Transform to unified format
+ *
+ * Optional, for real-time updates (webhooks):
+ * - fetchProductById(productId): Fetch one product in the unified format
+ *
+ * Optional, for write-back of AI copy (see ../writeback.js):
+ * - writableFields: Copy fields the platform accepts ("description", "seo")
+ * - fetchProductCopy(productId): Live description and SEO values
+ * - updateProduct(productId, fields): Write description and/or SEO values
+ *
+ * Optional, for writing occasion / style-lane tags (see ../tagging.js):
+ * - supportsTagWriteBack: true when updateProductTags is implemented
+ * - updateProductTags(productId, { add, remove }): Add and remove platform tags
  */
 
 import fs from "fs";
 import path from "path";
 import { GoogleGenerativeAI, SchemaType } from "@google/generative-ai";
 import { config } from "@runa/config";
+import { CostTracker, dynamodb as runaDynamodb, neo4j as runaNeo4j } from "@runa/core";
 import { neo4jService, openaiService, pubnubService, dynamodbService } from "../services/index.js";
 import { shopifyCategories } from "../utils/categories.js";
-import { delay, retryOnDeadlock, geminiWithRetry, mapWithConcurrency } from "../utils/index.js";
-import { generateAIDescription, rewriteDescriptionFromImage, generateSEO, isDimensionsOnly, isBagProduct } from "../services/ai-product-description.js";
+import { delay, retryOnDeadlock, geminiWithRetry, mapWithConcurrency, computeProductHashes, isProductUnavailable, hashCopy, extractRelevantFields } from "../utils/index.js";
+import { generateAIDescription, rewriteDescriptionFromImage, generateSEO, withQualityGate, isBagProduct } from "../services/ai-product-description.js";
+import { checkDescription, checkSeo, formatQaIssues, isDimensionsOnly } from "../utils/copy-qa.js";
+import { resolveBrandVoice } from "../utils/brand-voice.js";
+import { resolveStyleTaxonomy } from "../utils/style-taxonomy.js";
+import { resolveTagTaxonomy, stripTaxonomyTags } from "../utils/product-tags.js";
+import { resolveMappingRules, evaluateMappingRules, getProductFacts } from "../utils/mapping-rules.js";
+import { ProductTagger } from "../tagging.js";
+import { invalidateWidgetCaches } from "../widgets.js";
+import { DEFAULT_STALE_CLEANUP } from "../store-config.js";
+
+// Titles listed per sync log entry; the counts cover the rest
+const MAX_CLEANUP_TITLES = 200;
 
 export class BaseProvider {
   constructor(config) {
@@ -27,8 +53,26 @@ export class BaseProvider {
     this.forceAll = config.forceAll || false;
     this.demographic = config.demographic || "woman";
     this.descriptionLanguage = config.descriptionLanguage || "ro";
+    this.brandVoiceProfile = config.brandVoice || null;
+    this.styleTaxonomy = resolveStyleTaxonomy(config.styleTaxonomy);
+    this.tagTaxonomy = resolveTagTaxonomy(config.tagTaxonomy);
+    // Demographic / category rules; stores without saved rules get their platform's defaults
+    this.mappingRules = resolveMappingRules(config.mappingRules, config.provider?.toLowerCase());
     this.rewriteDescriptions = config.rewriteDescriptions || false;
     this.geminiModel = config.geminiModel || null;
+    this.onProgress = config.onProgress || null;
+    // Quarantine of products a completed sync did not see (see buildSyncConfig); off when not set
+    this.staleCleanup = config.staleCleanup || null;
+
+    // Cooperative cancellation: checked between batches and per product
+    this.signal = config.signal || null;
+    this.cancelled = false;
+    this.costTracker = new CostTracker();
+
+    // Delta sync outcome per product (normal mode)
+    this.deltaStats = { new: 0, changed: 0, inventoryOnly: 0, unchanged: 0 };
+    // Products dropped from the widget caches (deleted or out of stock)
+    this.widgetCacheStats = { products: 0, purged: 0, rewritten: 0, regenerate: 0 };
     
     // Services
     this.neo4j = neo4jService;
@@ -65,6 +109,21 @@ export class BaseProvider {
 
   // ==================== SHARED METHODS ====================
 
+  /**
+   * Options passed to every AI call so it can be aborted and billed to this sync
+   */
+  get aiOptions() {
+    return { signal: this.signal, costTracker: this.costTracker };
+  }
+
+  /**
+   * Store brand voice for the description and SEO prompts.
+   * A profile without a language follows descriptionLanguage (Shopify forces "en").
+   */
+  get brandVoice() {
+    return resolveBrandVoice(this.brandVoiceProfile, this.descriptionLanguage);
+  }
+
   async sync() {
     console.log(`\n=== Starting ${this.providerType} Sync for ${this.shopName} ===\n`);
     
@@ -77,6 +136,13 @@ export class BaseProvider {
     // Sync products
     await this.syncProducts();
 
+    if (this.cancelled) {
+      console.log(`\n=== ${this.providerType} Sync Cancelled for ${this.shopName} ===\n`);
+      return;
+    }
+
+    await this.neo4j.refreshCategoryCounts(this.shopName);
+
     // Process context
     await this.processContext();
 
@@ -100,7 +166,7 @@ export class BaseProvider {
     const collections = await this.fetchCollections();
     console.log("allCategories", collections);
     if (collections && collections.length > 0) {
-      await this.neo4j.createOrUpdateCategories(collections);
+      await this.neo4j.createOrUpdateCategories(this.shopName, collections);
     }
 
     // Fetch and process products
@@ -163,14 +229,20 @@ export class BaseProvider {
       countProcessed = savedProgress.countProcessed || 0;
       totalProductsSeen = savedProgress.totalProductsSeen || 0;
       count = savedProgress.count || 0;
+      if (savedProgress.deltaStats) this.deltaStats = { ...savedProgress.deltaStats };
     }
 
     const syncStartedAt = savedProgress?.startedAt || Date.now();
     const syncRunStartedAt = savedProgress?.syncRunStartedAt || new Date().toISOString();
 
     while (hasMore) {
+      if (this.signal?.aborted) {
+        this.cancelled = true;
+        break;
+      }
+
       // Fetch batch of products
-      const { products, nextCursor, hasNextPage } = await this.fetchProducts({ cursor, limit: 20 });
+      const { products, unavailable = [], nextCursor, hasNextPage } = await this.fetchProducts({ cursor, limit: 20 });
       hasMore = hasNextPage;
       cursor = nextCursor;
 
@@ -179,36 +251,71 @@ export class BaseProvider {
 
       console.log(`\n=== Batch: ${products.length} products, Total: ${totalProductsSeen} ===`);
 
+      // Skipped products that were stored (available) until now. They still exist
+      // on the platform, so they are stamped as seen and kept out of the stale cleanup.
+      if (unavailable.length > 0) {
+        const stored = await this.neo4j.getProductSyncState(this.shopName, unavailable.map(p => p.id));
+        const storedUnavailable = unavailable.filter(p => stored.has(String(p.id)));
+        await this.dropFromWidgets(storedUnavailable);
+        if (storedUnavailable.length > 0) {
+          await this.neo4j.stampLastSeenAt(this.shopName, storedUnavailable.map(p => p.id), syncRunStartedAt);
+        }
+      }
+
       if (products.length === 0) continue;
 
       // Stamp lastSeenAt on ALL fetched products (including ones we'll skip)
       const allProductIds = products.map(p => p.id);
       await this.neo4j.stampLastSeenAt(this.shopName, allProductIds, syncRunStartedAt);
 
-      // Filter existing products (unless force mode)
+      // Fingerprint products as fetched, before enrichment rewrites them
+      for (const product of products) {
+        product.tags = stripTaxonomyTags(product.tags, this.tagTaxonomy);
+        Object.assign(product, computeProductHashes(product), getProductFacts(product), { sourceUpdatedAt: product.updated_at || null });
+      }
+      // Unchanged products too, so rule changes can be tried on the whole catalog
+      await this.neo4j.saveMappingFacts(this.shopName, products);
+
+      // Delta mode: only new or changed products are enriched (unless force mode)
       let productsToProcess = products;
+      let stockChecked = products;
       if (!this.forceAll) {
-        const existingIds = await this.neo4j.getExistingProductIds(
-          this.shopName,
-          products.map(p => p.id)
-        );
-        const existingProducts = products.filter(p => existingIds.has(String(p.id)));
-        productsToProcess = products.filter(p => !existingIds.has(String(p.id)));
-        console.log(`  Existing: ${existingProducts.length}, New: ${productsToProcess.length}`);
+        const delta = await this.classifyDelta(products);
+        productsToProcess = [...delta.new, ...delta.changed];
+        stockChecked = [...delta.changed, ...delta.inventoryOnly];
+
+        if (delta.inventoryOnly.length > 0) {
+          delta.inventoryOnly.forEach(p => p.lastSeenAt = syncRunStartedAt);
+          await retryOnDeadlock(() => this.neo4j.updateProductInventory(this.shopName, delta.inventoryOnly));
+        }
+        console.log(`  New: ${delta.new.length}, Changed: ${delta.changed.length}, Price/stock only: ${delta.inventoryOnly.length}, Unchanged: ${delta.unchanged.length}`);
       } else {
         console.log(`  Force mode: processing all ${productsToProcess.length} products`);
       }
+      // Products whose stock changed to nothing leave the widgets of other products
+      await this.dropFromWidgets(stockChecked.filter(isProductUnavailable));
 
       // Process products
       if (productsToProcess.length > 0) {
         const processedProducts = await this.processProducts(productsToProcess, defaultCategories, shopData);
         processedProducts.forEach(p => p.lastSeenAt = syncRunStartedAt);
-        await this.distributeProducts(processedProducts, storeData, appData, demographicsData);
-        countProcessed += productsToProcess.length;
+
+        // On cancellation processProducts only returns the products it finished;
+        // they are already paid for, so save them before stopping
+        if (this.signal?.aborted) {
+          this.cancelled = true;
+          console.log(`  [Cancel] Flushing ${processedProducts.length}/${productsToProcess.length} enriched products`);
+        }
+        if (processedProducts.length > 0) {
+          await this.distributeProducts(processedProducts, storeData, appData, demographicsData);
+          if (!this.cancelled) await this.tagProducts(processedProducts);
+        }
+        countProcessed += processedProducts.length;
         if (countProcessed > count) countProcessed = count;
 
         console.log(`  Progress: ${totalProductsSeen}/${count} (${((totalProductsSeen / count) * 100).toFixed(1)}%)`);
         this.pubnub.publishProgress(this.channelId, countProcessed, count);
+        this.onProgress?.(countProcessed, count);
         await this.dynamodb.updateSyncProgress(this.shopName, countProcessed !== count, countProcessed, count, this.region);
       }
 
@@ -219,8 +326,36 @@ export class BaseProvider {
         countProcessed,
         totalProductsSeen,
         count,
+        deltaStats: this.deltaStats,
         providerState: this.getCursorState ? this.getCursorState() : null
       });
+
+      if (this.cancelled) break;
+    }
+
+    const costs = this.costTracker.getSummary();
+
+    if (this.cancelled) {
+      // Keep the progress file so a forced re-run resumes from here
+      this.pubnub.publishProgress(this.channelId, countProcessed, count);
+      await this.dynamodb.updateSyncProgress(this.shopName, false, countProcessed, count, this.region);
+      this.syncResult = { cancelled: true, processedCount: countProcessed, totalProductsSeen, delta: { ...this.deltaStats }, widgetCache: { ...this.widgetCacheStats }, costs };
+
+      try {
+        await runaDynamodb.logs.logSyncCancelled(this.shopName, {
+          platform: this.providerType,
+          processed: countProcessed,
+          seen: totalProductsSeen,
+          total: count,
+          duration: Date.now() - syncStartedAt,
+          costs: costs.costs
+        });
+      } catch (error) {
+        console.error("Failed to write sync cancelled log:", error.message);
+      }
+
+      console.log(`\n✗ Cancelled after ${countProcessed} products ($${costs.costs.total.toFixed(4)} spent)`);
+      return;
     }
 
     // Sync complete — clean up progress file
@@ -228,11 +363,293 @@ export class BaseProvider {
 
     // Finalize
     this.pubnub.publishProgress(this.channelId, countProcessed, count);
+    this.onProgress?.(countProcessed, count);
     await this.dynamodb.updateSyncProgress(this.shopName, false, countProcessed, count, this.region);
+    this.syncResult = { processedCount: countProcessed, totalProductsSeen, delta: { ...this.deltaStats }, widgetCache: { ...this.widgetCacheStats }, costs };
     console.log(`\n✓ Finalized: ${countProcessed} products`);
+    if (!this.forceAll) {
+      const { new: created, changed, inventoryOnly, unchanged } = this.deltaStats;
+      console.log(`  Delta: ${created} new, ${changed} changed, ${inventoryOnly} price/stock only, ${unchanged} unchanged`);
+    }
+
+    this.syncResult.staleCleanup = await this.cleanupStaleProducts(syncRunStartedAt);
+
+    // Today's stock per category / color / style lane, the AI Merchant's depletion signal
+    try {
+      await runaNeo4j.trends.recordInventorySnapshot(this.shopName);
+    } catch (error) {
+      console.error("Failed to record inventory snapshot:", error.message);
+    }
   }
 
-  // ==================== AI VISION (color detection, beach classification) ====================
+  /**
+   * Split a batch by what changed since the last save (see computeProductHashes)
+   * - new:           not stored yet, or flagged need_update
+   * - changed:       content differs → full enrichment
+   * - inventoryOnly: only price/stock or the platform updatedAt differ → no AI calls.
+   *                  Products saved before delta sync have no fingerprint yet and get
+   *                  one here instead of being re-enriched.
+   * - unchanged:     nothing to do
+   */
+  async classifyDelta(products) {
+    const state = await this.neo4j.getProductSyncState(this.shopName, products.map(p => p.id));
+    const delta = { new: [], changed: [], inventoryOnly: [], unchanged: [] };
+
+    for (const product of products) {
+      const stored = state.get(String(product.id));
+
+      if (!stored || stored.needUpdate) {
+        delta.new.push(product);
+      } else if (!stored.contentHash) {
+        delta.inventoryOnly.push(product);
+      } else if (stored.contentHash !== product.contentHash) {
+        delta.changed.push(product);
+      } else if (stored.inventoryHash !== product.inventoryHash || (stored.sourceUpdatedAt || null) !== product.sourceUpdatedAt) {
+        delta.inventoryOnly.push(product);
+      } else {
+        delta.unchanged.push(product);
+      }
+    }
+
+    for (const key of Object.keys(delta)) {
+      this.deltaStats[key] += delta[key].length;
+    }
+    return delta;
+  }
+
+  // ==================== SINGLE PRODUCT (real-time updates) ====================
+
+  async fetchProductById(productId) {
+    throw new Error(`fetchProductById is not supported by the ${this.providerType} provider`);
+  }
+
+  /**
+   * Bring one product up to date after a platform event
+   * Products that no longer exist or are not active are quarantined; the others go
+   * through the same delta classification as a full sync, so a price or stock
+   * change never triggers AI enrichment.
+   * @param {string} productId - Platform product ID
+   * @returns {Promise<Object>} - { productId, action, costs }
+   *   action: created | updated | inventory | unchanged | quarantined | skipped
+   */
+  async syncProductById(productId) {
+    const product = await this.fetchProductById(productId);
+
+    if (!product || (product.status && product.status !== "active")) {
+      console.log(`  [Product ${productId}] ${product ? `status ${product.status}` : "not found"}, quarantining`);
+      return this.deleteProduct(productId);
+    }
+
+    return this.syncSingleProduct(product);
+  }
+
+  /**
+   * Enrich and save a single product (unified format)
+   */
+  async syncSingleProduct(product) {
+    const appData = { id: "runa", appName: "Runa" };
+    const storeData = { id: this.shopName, storeName: this.shopName };
+    const demographicsData = [this.demographic];
+
+    product.tags = stripTaxonomyTags(product.tags, this.tagTaxonomy);
+    Object.assign(product, computeProductHashes(product), getProductFacts(product), {
+      sourceUpdatedAt: product.updated_at || null,
+      lastSeenAt: new Date().toISOString()
+    });
+
+    const delta = await this.classifyDelta([product]);
+    let action = "unchanged";
+
+    if (delta.inventoryOnly.length > 0) {
+      await retryOnDeadlock(() => this.neo4j.updateProductInventory(this.shopName, [product]));
+      action = "inventory";
+    } else if (delta.new.length > 0 || delta.changed.length > 0) {
+      const user = await this.dynamodb.getUserByShop(this.shopName, this.region);
+      const shopData = await this.getShopData();
+
+      await this.neo4j.createApplicationAndStore(storeData, appData);
+      const processedProducts = await this.processProducts([product], user?.defaultCategories || null, shopData);
+      if (processedProducts.length > 0) {
+        processedProducts.forEach(p => p.lastSeenAt = product.lastSeenAt);
+        await this.distributeProducts(processedProducts, storeData, appData, demographicsData);
+        await this.tagProducts(processedProducts);
+      }
+      action = delta.new.length > 0 ? "created" : "updated";
+    }
+    // The platform has it, so a quarantined product comes back like in a full sync
+    await retryOnDeadlock(() => this.neo4j.stampLastSeenAt(this.shopName, [product.id], product.lastSeenAt));
+    if (action !== "created" && action !== "unchanged" && isProductUnavailable(product)) {
+      await this.dropFromWidgets([product]);
+    }
+
+    console.log(`  [Product ${product.id}] ${action}`);
+    return { productId: String(product.id), action, widgetCache: { ...this.widgetCacheStats }, costs: this.costTracker.getSummary() };
+  }
+
+  /**
+   * Quarantine a product deleted (or unpublished) on the platform
+   * Like the stale cleanup of a full sync, it stays restorable for quarantineDays
+   * and a later event or sync that finds it active again restores it.
+   */
+  async deleteProduct(productId) {
+    const quarantineDays = this.staleCleanup?.quarantineDays ?? DEFAULT_STALE_CLEANUP.quarantineDays;
+    const now = new Date();
+    const quarantined = await retryOnDeadlock(() => runaNeo4j.quarantine.quarantineProducts(this.shopName, [productId], {
+      deletedAt: now.toISOString(),
+      purgeAt: new Date(now.getTime() + quarantineDays * 24 * 60 * 60 * 1000).toISOString()
+    }));
+    // Without the stored product its handle is unknown; widgets may still list it by ID
+    await this.dropFromWidgets(quarantined.length > 0 ? quarantined : [{ id: String(productId), handle: null }]);
+    return {
+      productId: String(productId),
+      action: quarantined.length > 0 ? "quarantined" : "skipped",
+      widgetCache: { ...this.widgetCacheStats },
+      costs: this.costTracker.getSummary()
+    };
+  }
+
+  // ==================== WIDGET CACHE ====================
+
+  /**
+   * Drop products that were deleted or can no longer be bought from the
+   * Complete the Look and Similar Products caches of the store.
+   * Failures are logged: widgets are secondary to the sync.
+   * @param {Array<{ id, handle }>} products - Dropped products
+   */
+  async dropFromWidgets(products) {
+    if (products.length === 0) return;
+
+    try {
+      const result = await invalidateWidgetCaches(this.shopName, products.map(p => ({ id: String(p.id), handle: p.handle || null })));
+      for (const key of Object.keys(this.widgetCacheStats)) {
+        this.widgetCacheStats[key] += result[key];
+      }
+      console.log(`  Widget cache: ${result.products} dropped product(s), ${result.purged} entries purged, ${result.rewritten} rewritten`);
+    } catch (error) {
+      console.error("  Widget cache invalidation failed:", error.message);
+    }
+  }
+
+  // ==================== STALE CLEANUP ====================
+
+  /**
+   * Quarantine the products a completed sync did not see, and delete the ones
+   * whose quarantine is over (see @runa/core neo4j/quarantine.js). Nothing is
+   * quarantined when more than maxDeletePct of the active products went unseen.
+   * The report goes to the sync log; failures are logged, the sync itself succeeded.
+   * @param {string} syncRunStartedAt - Timestamp the run stamped lastSeenAt with
+   * @returns {Promise<Object|null>} - Cleanup report, null when disabled
+   */
+  async cleanupStaleProducts(syncRunStartedAt) {
+    if (!this.staleCleanup?.enabled) return null;
+
+    const { maxDeletePct, quarantineDays } = this.staleCleanup;
+    const now = new Date();
+    const report = {
+      active: 0,
+      stale: 0,
+      stalePct: 0,
+      maxDeletePct,
+      quarantineDays,
+      purgeAt: null,
+      quarantinedCount: 0,
+      purgedCount: 0,
+      quarantined: [],
+      purged: [],
+      skipped: null
+    };
+
+    try {
+      const purged = await runaNeo4j.quarantine.purgeQuarantinedProducts(this.shopName, now.toISOString());
+      report.purgedCount = purged.length;
+      report.purged = purged.slice(0, MAX_CLEANUP_TITLES).map(p => p.title);
+
+      const { active, stale } = await runaNeo4j.quarantine.findStaleProducts(this.shopName, syncRunStartedAt);
+      report.active = active;
+      report.stale = stale.length;
+      report.stalePct = active > 0 ? Math.round((stale.length / active) * 1000) / 10 : 0;
+
+      if (report.stalePct > maxDeletePct) {
+        report.skipped = `${stale.length} of ${active} products (${report.stalePct}%) were not seen, above the ${maxDeletePct}% limit`;
+        console.warn(`  [Stale] Skipped: ${report.skipped}`);
+      } else if (stale.length > 0) {
+        report.purgeAt = new Date(now.getTime() + quarantineDays * 24 * 60 * 60 * 1000).toISOString();
+        const quarantined = await runaNeo4j.quarantine.quarantineProducts(this.shopName, stale.map(p => p.id), {
+          deletedAt: now.toISOString(),
+          purgeAt: report.purgeAt
+        });
+        report.quarantinedCount = quarantined.length;
+        report.quarantined = stale.slice(0, MAX_CLEANUP_TITLES).map(p => p.title);
+        await this.dropFromWidgets(stale);
+        console.log(`  [Stale] ${report.quarantinedCount} product(s) quarantined until ${report.purgeAt}`);
+      }
+      if (purged.length > 0) console.log(`  [Stale] ${purged.length} product(s) deleted after quarantine`);
+    } catch (error) {
+      console.error("Stale cleanup failed:", error.message);
+      report.skipped = `cleanup failed: ${error.message}`;
+    }
+
+    if (report.quarantinedCount > 0 || report.purgedCount > 0 || report.skipped) {
+      try {
+        await runaDynamodb.logs.logStaleCleanup(this.shopName, { platform: this.providerType, ...report });
+      } catch (error) {
+        console.error("Failed to write stale cleanup log:", error.message);
+      }
+    }
+    return report;
+  }
+
+  // ==================== WRITE-BACK (AI copy to the platform) ====================
+
+  /**
+   * Copy fields this provider can write back: "description" and/or "seo"
+   */
+  get writableFields() {
+    return [];
+  }
+
+  /**
+   * Read the copy currently live on the platform
+   * @param {string} productId - Platform product ID
+   * @returns {Promise<Object|null>} - { description, seoTitle, seoMetaDescription }, null if the product is gone
+   */
+  async fetchProductCopy(productId) {
+    throw new Error(`fetchProductCopy is not supported by the ${this.providerType} provider`);
+  }
+
+  /**
+   * Write copy fields to the platform product
+   * @param {string} productId - Platform product ID
+   * @param {Object} fields - Any of { description, seoTitle, seoMetaDescription }
+   */
+  async updateProduct(productId, fields) {
+    throw new Error(`updateProduct is not supported by the ${this.providerType} provider`);
+  }
+
+  // ==================== TAGGING (occasions, style lanes, picks) ====================
+
+  get supportsTagWriteBack() {
+    return false;
+  }
+
+  /**
+   * Add and remove platform tags; tags not listed are left as they are
+   * @param {string} productId - Platform product ID
+   * @param {Object} tags - { add: string[], remove: string[] }
+   */
+  async updateProductTags(productId, tags) {
+    throw new Error(`updateProductTags is not supported by the ${this.providerType} provider`);
+  }
+
+  /**
+   * Tagging stage: classify the products this sync enriched, when the store has an enabled tag taxonomy
+   */
+  async tagProducts(products) {
+    if (!this.tagTaxonomy.enabled || products.length === 0) return;
+    await new ProductTagger(this).tagSyncedProducts(products);
+  }
+
+  // ==================== AI VISION (color detection, category classification) ====================
 
   /**
    * Detect product color from its image using Gemini vision.
@@ -244,7 +661,7 @@ export class BaseProvider {
 
     try {
       const fetch = (await import("node-fetch")).default;
-      const imageResponse = await fetch(imageUrl);
+      const imageResponse = await fetch(imageUrl, { signal: this.signal });
       if (!imageResponse.ok) return null;
 
       const imageBuffer = await imageResponse.buffer();
@@ -266,10 +683,10 @@ export class BaseProvider {
         }
       });
 
-      const result = await geminiWithRetry(() => model.generateContent([
+      const result = await geminiWithRetry((requestOptions) => model.generateContent([
         `You are a fashion stylist analyzing product colors for outfit matching. Look at this product image and describe its colors in detail. Include the dominant color, any secondary colors, patterns (stripes, floral, plaid, etc.), and notable material finishes (metallic, matte, glossy, etc.). This will be used by an AI that combines fashion items into outfits, so be specific. Product title for context: "${product.title}". Return in English, lowercase.`,
         { inlineData: { mimeType: contentType, data: base64Image } }
-      ]));
+      ], requestOptions), 3, { ...this.aiOptions, model: config.gemini.model });
 
       const parsed = JSON.parse(result.response.text());
       const color = parsed.color?.toLowerCase()?.trim();
@@ -284,22 +701,26 @@ export class BaseProvider {
   }
 
   /**
-   * Classify beach products into specific subcategories using Gemini vision.
-   * Only called when a product's category matches "de plajă".
+   * Pick a product's subcategory from its image using Gemini vision.
+   * Called for products a mapping rule with a vision fallback matches.
+   * @param {Object} product - { title, image, detectedDemographics }
+   * @param {Object} vision - { categories: [{ name, description }], instructions }
+   * @returns {Promise<string|null>} - Name of the chosen category
    */
-  async classifyBeachCategory(product) {
+  async classifyCategoryFromImage(product, vision) {
     const imageUrl = product.image || product.images?.[0]?.src || product.images?.[0];
     if (!imageUrl || !config.gemini?.apiKey) return null;
 
     try {
       const fetch = (await import("node-fetch")).default;
-      const imageResponse = await fetch(imageUrl);
+      const imageResponse = await fetch(imageUrl, { signal: this.signal });
       if (!imageResponse.ok) return null;
 
       const imageBuffer = await imageResponse.buffer();
       const base64Image = imageBuffer.toString("base64");
       const contentType = imageResponse.headers.get("content-type") || "image/jpeg";
 
+      const names = vision.categories.map(c => c.name);
       const genAI = new GoogleGenerativeAI(config.gemini.apiKey);
       const model = genAI.getGenerativeModel({
         model: config.gemini.model,
@@ -308,37 +729,36 @@ export class BaseProvider {
           responseSchema: {
             type: SchemaType.OBJECT,
             properties: {
-              category: { type: SchemaType.STRING, description: "One of: slipi de plajă, sutien de plajă, costum de baie, pantaloni de plajă" }
+              category: { type: SchemaType.STRING, format: "enum", enum: names, description: `One of: ${names.join(", ")}` }
             },
             required: ["category"]
           }
         }
       });
 
-      const demographics = product.detectedDemographics || [];
-      const isMan = demographics.includes("man");
+      const demographic = product.detectedDemographics?.[0];
+      const demographicNote = { man: "This is a MEN's product.", woman: "This is a WOMEN's product." }[demographic] || "";
 
-      const result = await geminiWithRetry(() => model.generateContent([
-        `Look at this beach/swimwear product image. Classify it into exactly ONE of these categories:
-- "slipi de plajă" (swim briefs/bikini bottom)
-- "sutien de plajă" (bikini top — only when it's a 2-piece set or just the top)
-- "costum de baie" (full swimsuit / one-piece / complete 2-piece set)
-- "pantaloni de plajă" (beach shorts/trunks${isMan ? " — common for men" : ""})
+      const result = await geminiWithRetry((requestOptions) => model.generateContent([
+        `${vision.instructions ? `${vision.instructions}\n` : ""}Look at this product image. Classify it into exactly ONE of these categories:
+${vision.categories.map(c => `- "${c.name}"${c.description ? ` (${c.description})` : ""}`).join("\n")}
 
 Product title: "${product.title}"
-${isMan ? "This is a MEN's product." : ""}
+${demographicNote}
 Return exactly one category.`,
         { inlineData: { mimeType: contentType, data: base64Image } }
-      ]));
+      ], requestOptions), 3, { ...this.aiOptions, model: config.gemini.model });
 
       const parsed = JSON.parse(result.response.text());
-      const category = parsed.category?.toLowerCase()?.trim();
+      const answer = parsed.category?.toLowerCase()?.trim();
+      // Rule spelling, so the category matches the one the rule names
+      const category = names.find(name => name.toLowerCase() === answer);
       if (category) {
-        console.log(`  [Beach] Classified "${product.title}" → "${category}"`);
+        console.log(`  [Vision] Classified "${product.title}" → "${category}"`);
         return category;
       }
     } catch (error) {
-      console.log(`  [Beach] Classification failed for "${product.title}": ${error.message}`);
+      console.log(`  [Vision] Classification failed for "${product.title}": ${error.message}`);
     }
     return null;
   }
@@ -365,6 +785,17 @@ Return exactly one category.`,
         product.image = product.image.src;
       }
 
+      // Platform description as fetched: shown next to the AI draft in the review
+      // queue, and its hash lets write-back tell it from a later human edit
+      product.originalDescription = product.body_html || "";
+      product.sourceDescriptionHash = hashCopy(product.body_html);
+
+      // Mapping rules decide the demographic now, since SEO copy is written for it
+      if (!product.categoryPaths) Object.assign(product, getProductFacts(product));
+      const mapping = evaluateMappingRules(product, this.mappingRules.rules);
+      product.mappingRuleIds = mapping.ruleIds;
+      if (mapping.demographic) product.detectedDemographics = [mapping.demographic];
+
       // ── Phase 1: Run description + properties in PARALLEL ──
       const hasDimensionsOnly = isDimensionsOnly(product.body_html) && isBagProduct(product.title, product.product_type);
       const needsDescription = !product.body_html || product.body_html.trim() === "" || hasDimensionsOnly;
@@ -380,10 +811,21 @@ Return exactly one category.`,
               existingDescription: hasDimensionsOnly ? "" : (product.body_html || ""),
               dimensionsText: hasDimensionsOnly ? product.body_html.replace(/<[^>]*>/g, "").trim() : null,
             };
-            const aiResult = this.skipGrounding
-              ? await rewriteDescriptionFromImage(descProduct, { language: this.descriptionLanguage, geminiModel: this.geminiModel })
-              : await generateAIDescription(descProduct, { language: this.descriptionLanguage, geminiModel: this.geminiModel });
-            if (aiResult) {
+            const voice = this.brandVoice;
+            const aiResult = await withQualityGate(
+              product.title,
+              (qaIssues) => this.skipGrounding
+                ? rewriteDescriptionFromImage(descProduct, { brandVoice: voice, geminiModel: this.geminiModel, qaIssues, ...this.aiOptions })
+                : generateAIDescription(descProduct, { brandVoice: voice, geminiModel: this.geminiModel, qaIssues, ...this.aiOptions }),
+              (result) => checkDescription(result.text, voice)
+            );
+            if (aiResult?.rejected) {
+              // The platform description stays; the rejected draft is kept for the QA report
+              product.descriptionSource = "rejected";
+              product.descriptionQaIssues = formatQaIssues(aiResult.qaIssues);
+              product.rejectedDescription = aiResult.text;
+              console.log(`  [Sync] ✗ Description for "${product.title}" rejected by QA`);
+            } else if (aiResult) {
               product.body_html = aiResult.text;
               product.descriptionHtml = aiResult.text;
               product.descriptionSource = aiResult.source;
@@ -397,7 +839,7 @@ Return exactly one category.`,
       const productContent = `${product.title} ${product.body_html || ""}`;
       const propertiesPromise = (async () => {
         try {
-          const propsJson = await this.openai.getProductProperties(productContent, defaultCategories, websiteCategories);
+          const propsJson = await this.openai.getProductProperties(productContent, defaultCategories, websiteCategories, 2, this.aiOptions);
           return JSON.parse(propsJson);
         } catch (e) {
           return { product: "unknown", characteristics: "unknown", color: "unknown", demographic: "woman", category: "Clothing" };
@@ -410,8 +852,8 @@ Return exactly one category.`,
       if (!productProperties.characteristics) productProperties.characteristics = "unknown";
       product.properties = productProperties;
 
-      // ── Phase 1.5: Generate SEO (Title + MetaTagDescription) — Romanian only (TOFF) ──
-      if (this.descriptionLanguage === "ro") {
+      // ── Phase 1.5: Generate SEO (Title + MetaTagDescription) — when the brand voice has SEO rules ──
+      if (this.brandVoice.seo.enabled) {
         try {
           const seoInput = {
             title: product.title,
@@ -421,8 +863,18 @@ Return exactly one category.`,
             demographics: product.detectedDemographics,
             description: product.body_html || product.descriptionHtml || "",
           };
-          const seoResult = await generateSEO(seoInput, { language: this.descriptionLanguage, geminiModel: this.geminiModel });
-          if (seoResult) {
+          const voice = this.brandVoice;
+          const seoResult = await withQualityGate(
+            product.title,
+            (qaIssues) => generateSEO(seoInput, { brandVoice: voice, geminiModel: this.geminiModel, qaIssues, ...this.aiOptions }),
+            (result) => checkSeo(result, voice)
+          );
+          if (seoResult?.rejected) {
+            product.seoSource = "rejected";
+            product.seoQaIssues = formatQaIssues(seoResult.qaIssues);
+            product.rejectedSeo = JSON.stringify({ title: seoResult.title, metaDescription: seoResult.metaDescription });
+            console.log(`  [Sync] ✗ SEO for "${product.title}" rejected by QA`);
+          } else if (seoResult) {
             product.seoTitle = seoResult.title;
             product.seoMetaDescription = seoResult.metaDescription;
             product.seoSource = seoResult.source;
@@ -466,19 +918,17 @@ Return exactly one category.`,
         product.collections = [{ title: category }];
       }
 
-      const isBeach = product.collections.some(c =>
-        c.title?.toLowerCase().includes("de plaj")
-      ) || category.toLowerCase().includes("de plaj");
-
-      if (isBeach) {
-        const beachSubcategory = await this.classifyBeachCategory(product);
-        if (beachSubcategory) {
-          if (!product.collections.some(c => c.title?.toLowerCase() === beachSubcategory)) {
-            product.collections.push({ title: beachSubcategory });
-          }
-          product.category = beachSubcategory;
+      // Category and subcategory from mapping rules, linked like platform collections
+      product.sourceCategory = category;
+      const subcategory = mapping.subcategory
+        || (mapping.vision ? await this.classifyCategoryFromImage(product, mapping.vision) : null);
+      product.ruleCategories = [...new Set([mapping.category, subcategory].filter(Boolean))];
+      for (const title of product.ruleCategories) {
+        if (!product.collections.some(c => c.title?.toLowerCase() === title.toLowerCase())) {
+          product.collections.push({ title });
         }
       }
+      product.category = subcategory || mapping.category || category;
 
       const styleResult = await this.classifyStyle(product);
       product.styleData = styleResult;
@@ -493,7 +943,7 @@ Return exactly one category.`,
       const [titleEmb, contentEmb, productEmb, charEmb, catEmb, styleEmb] = await this.openai.generateEmbeddingsBatch([
         product.title, content, productProperties.product,
         productProperties.characteristics, `category: ${category}`, product.styleCode
-      ]);
+      ], this.aiOptions);
 
       product.titleEmbedding = titleEmb;
       product.contentEmbedding = contentEmb;
@@ -511,9 +961,10 @@ Return exactly one category.`,
 
       product.currency = shopData.currency;
       return product;
-    });
+    }, { signal: this.signal });
 
-    return processedProducts;
+    // Products still in flight when the sync was cancelled are left out
+    return processedProducts.filter(Boolean);
   }
 
   async ensureOptions(product, productProperties) {
@@ -618,9 +1069,23 @@ Return exactly one category.`,
     return category;
   }
 
-  // Override in provider subclass for shop-specific style classification
+  /**
+   * Tag a product with the store's style taxonomy (personas, body shapes, seasons)
+   * @returns {Promise<Object|null>} - Style data, null when the store has no enabled taxonomy
+   */
   async classifyStyle(product) {
-    return null;
+    if (!this.styleTaxonomy.enabled) return null;
+
+    try {
+      return await this.openai.classifyStyle(extractRelevantFields(product), this.styleTaxonomy, {
+        image: product.image,
+        ...this.aiOptions
+      });
+    } catch (e) {
+      if (this.signal?.aborted) throw e;
+      console.log(`  [Style] ✗ Classification failed for "${product.title}": ${e.message}`);
+      return null;
+    }
   }
 
 
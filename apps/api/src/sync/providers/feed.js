@@ -0,0 +1,420 @@
+/**
+ * Feed Provider
+ * Implementation of BaseProvider for "custom" stores that only have a product feed
+ *
+ * Supported formats (see ../utils/feed.js):
+ *   - google  Google Merchant XML (RSS 2.0 <item> or Atom <entry>, g: namespace)
+ *   - csv     CSV/TSV with a header row
+ *   - jsonl   JSON Lines (or a JSON array)
+ *
+ * Required config:
+ *
+ * | Parameter   | Description                                         | Example                          |
+ * |-------------|-----------------------------------------------------|----------------------------------|
+ * | feedSource  | Feed URL, or path of an uploaded feed file          | https://shop.ro/feed/google.xml  |
+ * | feedFormat  | google | csv | jsonl | auto (default: auto)         | csv                              |
+ * | feedMapping | { field: "Source Column" } overrides (optional)     | { "title": "Product Name" }      |
+ *
+ * Sync flow:
+ *   1. Download / read the feed once and parse it into flat records
+ *   2. Map records to unified fields (store mapping, then Google Merchant defaults)
+ *   3. Group records by item_group_id → one product with one variant per record
+ *   4. product_type paths ("Apparel > Dresses") become the category tree
+ *   5. fetchProducts() pages over the grouped products; the offset is the resume cursor
+ */
+
+import crypto from "crypto";
+import fs from "fs/promises";
+import fetch from "node-fetch";
+import { BaseProvider } from "./base.js";
+import { detectFeedFormat, parseFeed, parseFeedPrice, mapFeedRecord } from "../utils/feed.js";
+
+const INACTIVE_STATUSES = ["draft", "inactive", "archived", "disabled", "hidden", "false", "0"];
+const OUT_OF_STOCK = ["out of stock", "out_of_stock", "outofstock", "false", "0", "no", "discontinued"];
+
+export class FeedProvider extends BaseProvider {
+  constructor(config) {
+    super(config);
+    this.feedSource = config.feedSource;
+    this.feedFormat = config.feedFormat || "auto";
+    this.feedMapping = config.feedMapping || {};
+
+    // Loaded feed (see loadFeed)
+    this.products = null;
+    this.categories = [];
+    this.currency = null;
+    this.feedHash = null;
+
+    // Cursor state
+    this.offset = 0;
+
+    this.stats = {
+      records: 0,
+      skipped: 0,
+      products: 0,
+      totalVariants: 0
+    };
+  }
+
+  get providerType() {
+    return "Feed";
+  }
+
+  // ==================== FEED LOADING ====================
+
+  /**
+   * Read the raw feed from a URL or a local file
+   * @returns {Promise<{ content: string, contentType: string|null }>}
+   */
+  async readFeedSource() {
+    if (!this.feedSource) {
+      throw new Error("Feed provider requires feedSource (feed URL or uploaded file)");
+    }
+
+    if (/^https?:\/\//i.test(this.feedSource)) {
+      console.log(`  [Feed] Downloading ${this.feedSource}...`);
+      const response = await fetch(this.feedSource, { signal: this.signal || undefined });
+      if (!response.ok) {
+        throw new Error(`Feed download failed: ${response.status} ${response.statusText}`);
+      }
+      return { content: await response.text(), contentType: response.headers.get("content-type") };
+    }
+
+    const filePath = this.feedSource.replace(/^file:\/\//, "");
+    console.log(`  [Feed] Reading ${filePath}...`);
+    return { content: await fs.readFile(filePath, "utf8"), contentType: null };
+  }
+
+  /**
+   * Load, parse and group the feed (once per sync)
+   */
+  async loadFeed() {
+    if (this.products) return this.products;
+
+    const { content, contentType } = await this.readFeedSource();
+    const format = this.feedFormat === "auto"
+      ? detectFeedFormat(content, { fileName: this.feedSource, contentType })
+      : this.feedFormat;
+
+    const records = parseFeed(content, format);
+    this.feedHash = crypto.createHash("sha1").update(content).digest("hex");
+    if (this.restoredFeedHash && this.restoredFeedHash !== this.feedHash) {
+      console.log("  [Feed] Feed changed since the interrupted sync, starting from the first product");
+      this.offset = 0;
+    }
+    this.stats.records = records.length;
+    console.log(`  [Feed] Parsed ${records.length} ${format} records`);
+
+    this.products = this.groupRecords(records.map(record => mapFeedRecord(record, this.feedMapping)));
+    this.categories = this.buildCategories(this.products);
+    this.stats.products = this.products.length;
+    console.log(`  [Feed] ${this.products.length} products, ${this.categories.length} categories (${this.stats.skipped} records skipped)`);
+
+    return this.products;
+  }
+
+  /**
+   * Group mapped records into products (Google Merchant item_group_id convention)
+   * Records without a group id are standalone products; feed order is kept.
+   */
+  groupRecords(records) {
+    const groups = new Map();
+
+    for (const record of records) {
+      const status = String(record.status || "").toLowerCase();
+      if (!record.id || !record.title || INACTIVE_STATUSES.includes(status)) {
+        this.stats.skipped++;
+        continue;
+      }
+
+      if (!this.currency) {
+        this.currency = record.currency || parseFeedPrice(record.price).currency;
+      }
+
+      const groupId = String(record.item_group_id || record.id);
+      if (!groups.has(groupId)) groups.set(groupId, []);
+      groups.get(groupId).push(record);
+    }
+
+    return [...groups.entries()].map(([groupId, group]) => ({ id: groupId, records: group }));
+  }
+
+  /**
+   * Category tree from product_type paths ("Apparel > Women > Dresses")
+   */
+  buildCategories(products) {
+    const byPath = new Map();
+
+    for (const product of products) {
+      for (const segments of categoryPaths(product.records[0].product_type)) {
+        let fullPath = "";
+        let parentId = null;
+        for (const segment of segments) {
+          fullPath = fullPath ? `${fullPath}/${slugify(segment)}` : slugify(segment);
+          if (!byPath.has(fullPath)) {
+            byPath.set(fullPath, { id: fullPath, title: segment, handle: slugify(segment), fullPath, parentId });
+          }
+          parentId = fullPath;
+        }
+      }
+    }
+
+    return [...byPath.values()];
+  }
+
+  // ==================== PROVIDER METHODS ====================
+
+  async fetchProducts(options = {}) {
+    const { cursor, limit = 20 } = options;
+    const products = await this.loadFeed();
+
+    if (cursor) this.offset = parseInt(cursor, 10);
+
+    const page = products.slice(this.offset, this.offset + limit).map(product => this.transformProduct(product));
+    this.offset += page.length;
+    page.forEach(p => { this.stats.totalVariants += p.variants.length; });
+
+    const hasNextPage = this.offset < products.length;
+    console.log(`  [Feed] Products ${this.offset - page.length + 1}-${this.offset} of ${products.length}`);
+
+    return {
+      products: page,
+      nextCursor: hasNextPage ? String(this.offset) : null,
+      hasNextPage
+    };
+  }
+
+  async fetchCollections() {
+    await this.loadFeed();
+    return this.categories;
+  }
+
+  async getShopData() {
+    await this.loadFeed();
+    return {
+      currency: this.currency || "USD",
+      name: this.shopName,
+      domain: this.shopName
+    };
+  }
+
+  // ==================== TRANSFORMATION ====================
+
+  /**
+   * Transform a grouped feed product to the unified format
+   * @param {Object} product - { id, records } from groupRecords()
+   */
+  transformProduct(product) {
+    const [first] = product.records;
+
+    const imageUrls = unique(product.records.flatMap(r => [
+      ...[].concat(r.image_link || []),
+      ...[].concat(r.additional_image_link || []).flatMap(v => String(v).split(/[,|]\s*(?=https?:)/))
+    ]).map(src => String(src).trim()).filter(Boolean));
+    const images = imageUrls.map(src => ({ src, alt: textValue(first.title) }));
+
+    // Only attributes that actually differ between records (or a lone size/color) become options
+    const optionNames = ["color", "size", "material"].filter(attr => {
+      const values = unique(product.records.map(r => textValue(r[attr])).filter(Boolean));
+      return values.length > 1 || (values.length === 1 && attr !== "material" && product.records.length > 1);
+    });
+    const options = optionNames.map((name, idx) => ({ name: capitalize(name), position: idx + 1 }));
+
+    const variants = product.records.map(record => this.transformVariant(record, optionNames, product.records.length === 1));
+
+    const paths = categoryPaths(first.product_type);
+    const collections = paths.map(segments => {
+      const fullPath = segments.map(slugify).join("/");
+      const leaf = segments[segments.length - 1];
+      return { id: fullPath, title: leaf, handle: slugify(leaf), fullPath };
+    });
+
+    const tags = unique([
+      ...[].concat(first.tags || []).flatMap(t => String(t).split(",")),
+      first.gender,
+      first.age_group
+    ].map(t => textValue(t)).filter(Boolean));
+
+    const title = textValue(first.title);
+    const handle = handleFromLink(first.link) || slugify(title);
+
+    return {
+      id: product.id,
+      title: commonTitle(
+        product.records.map(r => textValue(r.title)),
+        product.records.flatMap(r => optionNames.map(name => textValue(r[name]))).filter(Boolean)
+      ) || title,
+      body_html: textValue(first.description),
+      descriptionHtml: textValue(first.description),
+      handle,
+      vendor: textValue(first.brand),
+      product_type: collections[0]?.title || textValue(first.google_product_category).split(">").pop().trim(),
+      status: "active",
+      tags: tags.join(", "),
+      published_at: first.updated_at || null,
+      updated_at: first.updated_at || null,
+      images,
+      image: images[0]?.src || null,
+      variants,
+      options,
+      collections,
+      metafields: ["gender", "age_group", "material", "google_product_category"]
+        .filter(key => first[key])
+        .map(key => ({ key, value: textValue(first[key]), namespace: "feed" })),
+      feed: {
+        link: textValue(first.link) || null
+      }
+    };
+  }
+
+  transformVariant(record, optionNames, isOnlyVariant) {
+    const price = parseFeedPrice(textValue(record.price));
+    const salePrice = parseFeedPrice(textValue(record.sale_price));
+    const onSale = salePrice.amount && price.amount && parseFloat(salePrice.amount) < parseFloat(price.amount);
+
+    const availability = String(textValue(record.availability)).toLowerCase();
+    const quantity = record.quantity !== undefined ? parseInt(record.quantity, 10) : null;
+    const isAvailable = availability
+      ? !OUT_OF_STOCK.includes(availability)
+      : quantity === null || quantity > 0;
+
+    const selected = {};
+    optionNames.forEach((name, idx) => {
+      selected[`option${idx + 1}`] = textValue(record[name]) || null;
+    });
+
+    return {
+      id: String(record.id),
+      title: isOnlyVariant ? "Default Title" : (Object.values(selected).filter(Boolean).join(" / ") || String(record.id)),
+      price: onSale ? salePrice.amount : (price.amount || salePrice.amount || "0"),
+      compare_at_price: onSale ? price.amount : null,
+      sku: textValue(record.sku) || String(record.id),
+      inventory_quantity: Number.isFinite(quantity) ? quantity : (isAvailable ? null : 0),
+      isAvailable,
+      image: textValue([].concat(record.image_link || [])[0]) || null,
+      ...selected
+    };
+  }
+
+  // ==================== CURSOR STATE FOR RESUME ====================
+
+  getCursorState() {
+    return {
+      offset: this.offset,
+      feedHash: this.feedHash,
+      stats: { ...this.stats }
+    };
+  }
+
+  restoreCursorState(state) {
+    if (!state) return;
+    this.offset = state.offset || 0;
+    this.restoredFeedHash = state.feedHash || null;
+    if (state.stats) this.stats.totalVariants = state.stats.totalVariants || 0;
+
+    // Offsets only line up with the same feed content
+    if (this.feedHash && this.restoredFeedHash && this.restoredFeedHash !== this.feedHash) {
+      console.log("  [Feed] Feed changed since the interrupted sync, starting from the first product");
+      this.offset = 0;
+      return;
+    }
+    console.log(`  [Feed] Restored cursor: offset ${this.offset}`);
+  }
+
+  // ==================== SYNC ====================
+
+  async sync() {
+    console.log(`\n=== Starting ${this.providerType} Sync for ${this.shopName} ===`);
+    console.log(`  [Feed] Source: ${this.feedSource} (${this.feedFormat})\n`);
+
+    await this.loadFeed();
+    await super.sync();
+
+    console.log("\n  ════════════════════════════════════════════════════════════");
+    console.log("  [Feed] SYNC STATS:");
+    console.log(`    Feed records:              ${this.stats.records}`);
+    console.log(`    Skipped records:           ${this.stats.skipped}`);
+    console.log(`    Products (grouped):        ${this.stats.products}`);
+    console.log(`    Total variants:            ${this.stats.totalVariants}`);
+    console.log("  ════════════════════════════════════════════════════════════\n");
+  }
+}
+
+// ==================== HELPERS ====================
+
+/**
+ * Text of a feed value (multi-value XML fields and JSON numbers included)
+ */
+function textValue(value) {
+  if (value === undefined || value === null) return "";
+  if (Array.isArray(value)) return textValue(value[0]);
+  if (typeof value === "object") return textValue(value.name ?? value.value ?? value.title);
+  return String(value).trim();
+}
+
+/**
+ * product_type may hold several values (XML repeats, "A, B" lists); each is a "A > B > C" path
+ */
+function categoryPaths(productType) {
+  return [].concat(productType || [])
+    .flatMap(value => {
+      const text = textValue(value);
+      return text.includes(">") ? [text] : text.split(/\s*[,|]\s*/);
+    })
+    .map(path => path.split(/\s*>\s*/).map(s => s.trim()).filter(Boolean))
+    .filter(segments => segments.length > 0);
+}
+
+function slugify(text) {
+  return String(text)
+    .normalize("NFD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, "-")
+    .replace(/^-+|-+$/g, "");
+}
+
+function handleFromLink(link) {
+  const url = textValue(link);
+  if (!url) return null;
+  try {
+    const segments = new URL(url).pathname.split("/").filter(Boolean);
+    const last = segments[segments.length - 1];
+    return last ? slugify(last.replace(/\.html?$/, "")) : null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Variant records often carry titles like "Linen Dress - Black / M";
+ * the product title is the part they all share, minus trailing option values
+ */
+function commonTitle(titles, optionValues = []) {
+  if (titles.length < 2) return titles[0] || "";
+  let prefix = titles[0];
+  for (const title of titles.slice(1)) {
+    while (prefix && !title.startsWith(prefix)) prefix = prefix.slice(0, -1);
+  }
+
+  const values = new Set(optionValues.map(v => v.toLowerCase()));
+  const separators = /[\s\-–,(/|]+$/;
+  prefix = prefix.replace(separators, "");
+  let lastWord;
+  while ((lastWord = prefix.match(/[^\s\-–,(/|]+$/)?.[0]) && values.has(lastWord.toLowerCase())) {
+    prefix = prefix.slice(0, -lastWord.length).replace(separators, "");
+  }
+
+  prefix = prefix.trim();
+  return prefix.length >= 3 ? prefix : titles[0];
+}
+
+function unique(values) {
+  return [...new Set(values)];
+}
+
+function capitalize(text) {
+  return text.charAt(0).toUpperCase() + text.slice(1);
+}
+
+export default FeedProvider;
@@ -8,8 +8,9 @@ import { ShopifyProvider } from "./shopify.js";
 import { WooCommerceProvider } from "./woocommerce.js";
 import { VrexProvider } from "./vrex.js";
 import { VtexProvider } from "./vtex.js";
+import { FeedProvider } from "./feed.js";
 
-export { BaseProvider, ShopifyProvider, WooCommerceProvider, VrexProvider, VtexProvider };
+export { BaseProvider, ShopifyProvider, WooCommerceProvider, VrexProvider, VtexProvider, FeedProvider };
 
 /**
  * Get provider class by type
@@ -19,7 +20,9 @@ export function getProviderClass(providerType) {
     shopify: ShopifyProvider,
     woocommerce: WooCommerceProvider,
     vrex: VrexProvider,
-    vtex: VtexProvider
+    vtex: VtexProvider,
+    custom: FeedProvider,
+    feed: FeedProvider
   };
   
   const Provider = providers[providerType.toLowerCase()];
@@ -10,8 +10,23 @@ import fetch from "node-fetch";
 import { stripHtml } from "string-strip-html";
 import { config as runaConfig } from "@runa/config";
 import { BaseProvider } from "./base.js";
-import { s3Service, openaiService } from "../services/index.js";
-import { convertHtmlToMarkdown, extractRelevantFields, delay } from "../utils/index.js";
+import { s3Service } from "../services/index.js";
+import { convertHtmlToMarkdown, delay } from "../utils/index.js";
+
+const PRODUCT_FIELDS = `
+  id title descriptionHtml handle vendor productType status tags publishedAt updatedAt
+  images(first: 10) { edges { node { src altText } } }
+  variants(first: 100) {
+    edges {
+      node {
+        id title price compareAtPrice sku inventoryQuantity availableForSale
+        selectedOptions { name value }
+      }
+    }
+  }
+  collections(first: 10) { edges { node { id title handle } } }
+  metafields(first: 10) { edges { node { key value namespace } } }
+`;
 
 const GET_PRODUCTS_QUERY = gql`
   query getProducts($first: Int!, $after: String) {
@@ -19,25 +34,57 @@ const GET_PRODUCTS_QUERY = gql`
       pageInfo { hasNextPage endCursor }
       edges {
         cursor
-        node {
-          id title descriptionHtml handle vendor productType status tags publishedAt
-          images(first: 10) { edges { node { src altText } } }
-          variants(first: 100) {
-            edges {
-              node {
-                id title price compareAtPrice sku inventoryQuantity
-                selectedOptions { name value }
-              }
-            }
-          }
-          collections(first: 10) { edges { node { id title handle } } }
-          metafields(first: 10) { edges { node { key value namespace } } }
-        }
+        node { ${PRODUCT_FIELDS} }
       }
     }
   }
 `;
 
+const GET_PRODUCT_QUERY = gql`
+  query getProduct($id: ID!) {
+    product(id: $id) { ${PRODUCT_FIELDS} }
+  }
+`;
+
+const GET_INVENTORY_ITEM_PRODUCT_QUERY = gql`
+  query getInventoryItemProduct($id: ID!) {
+    inventoryItem(id: $id) { variant { product { id } } }
+  }
+`;
+
+const GET_PRODUCT_COPY_QUERY = gql`
+  query getProductCopy($id: ID!) {
+    product(id: $id) { id descriptionHtml seo { title description } }
+  }
+`;
+
+const UPDATE_PRODUCT_MUTATION = gql`
+  mutation productUpdate($input: ProductInput!) {
+    productUpdate(input: $input) {
+      product { id }
+      userErrors { field message }
+    }
+  }
+`;
+
+const TAGS_ADD_MUTATION = gql`
+  mutation tagsAdd($id: ID!, $tags: [String!]!) {
+    tagsAdd(id: $id, tags: $tags) {
+      node { id }
+      userErrors { field message }
+    }
+  }
+`;
+
+const TAGS_REMOVE_MUTATION = gql`
+  mutation tagsRemove($id: ID!, $tags: [String!]!) {
+    tagsRemove(id: $id, tags: $tags) {
+      node { id }
+      userErrors { field message }
+    }
+  }
+`;
+
 export class ShopifyProvider extends BaseProvider {
   constructor(config) {
     super(config);
@@ -103,66 +150,160 @@ export class ShopifyProvider extends BaseProvider {
     };
   }
 
+  /**
+   * Fetch a single product (webhook path)
+   * @returns {Promise<Object|null>} - Unified product, or null if it was deleted
+   */
+  async fetchProductById(productId) {
+    const response = await this.graphQLClient.request(GET_PRODUCT_QUERY, {
+      id: `gid://shopify/Product/${productId}`
+    });
+    if (!response.product) return null;
+
+    const product = this.transformProductNode(response.product);
+    if (this.shopName === "andreearaicu.myshopify.com") {
+      await this.fetchRaicuTranslations([product]);
+    }
+    return product;
+  }
+
+  /**
+   * Map an inventory item (inventory_levels/update webhook) to its product ID
+   * @returns {Promise<string|null>}
+   */
+  async resolveInventoryItemProductId(inventoryItemId) {
+    const response = await this.graphQLClient.request(GET_INVENTORY_ITEM_PRODUCT_QUERY, {
+      id: `gid://shopify/InventoryItem/${inventoryItemId}`
+    });
+    const productGid = response.inventoryItem?.variant?.product?.id;
+    return productGid ? productGid.replace("gid://shopify/Product/", "") : null;
+  }
+
+  get writableFields() {
+    return ["description", "seo"];
+  }
+
+  async fetchProductCopy(productId) {
+    const response = await this.graphQLClient.request(GET_PRODUCT_COPY_QUERY, {
+      id: `gid://shopify/Product/${productId}`
+    });
+    if (!response.product) return null;
+
+    return {
+      description: response.product.descriptionHtml || "",
+      seoTitle: response.product.seo?.title || "",
+      seoMetaDescription: response.product.seo?.description || ""
+    };
+  }
+
+  /**
+   * Write description and/or SEO fields with productUpdate
+   */
+  async updateProduct(productId, fields) {
+    const input = { id: `gid://shopify/Product/${productId}` };
+    if (fields.description !== undefined) {
+      input.descriptionHtml = fields.description;
+    }
+    if (fields.seoTitle !== undefined || fields.seoMetaDescription !== undefined) {
+      input.seo = {};
+      if (fields.seoTitle !== undefined) input.seo.title = fields.seoTitle;
+      if (fields.seoMetaDescription !== undefined) input.seo.description = fields.seoMetaDescription;
+    }
+
+    const { productUpdate } = await this.graphQLClient.request(UPDATE_PRODUCT_MUTATION, { input });
+    if (productUpdate.userErrors.length > 0) {
+      throw new Error(productUpdate.userErrors.map(e => `${e.field}: ${e.message}`).join(", "));
+    }
+    return productUpdate.product;
+  }
+
+  get supportsTagWriteBack() {
+    return true;
+  }
+
+  /**
+   * Remove, then add tags with tagsRemove / tagsAdd (other tags are kept)
+   */
+  async updateProductTags(productId, { add = [], remove = [] }) {
+    const id = `gid://shopify/Product/${productId}`;
+
+    if (remove.length > 0) {
+      const { tagsRemove } = await this.graphQLClient.request(TAGS_REMOVE_MUTATION, { id, tags: remove });
+      if (tagsRemove.userErrors.length > 0) {
+        throw new Error(tagsRemove.userErrors.map(e => `${e.field}: ${e.message}`).join(", "));
+      }
+    }
+    if (add.length > 0) {
+      const { tagsAdd } = await this.graphQLClient.request(TAGS_ADD_MUTATION, { id, tags: add });
+      if (tagsAdd.userErrors.length > 0) {
+        throw new Error(tagsAdd.userErrors.map(e => `${e.field}: ${e.message}`).join(", "));
+      }
+    }
+  }
+
   transformGraphQLResponse(response) {
-    return response.products.edges.map(edge => {
-      const node = edge.node;
-      const id = node.id.replace("gid://shopify/Product/", "");
-
-      const images = node.images?.edges?.map(e => ({ src: e.node.src, alt: e.node.altText })) || [];
-      const variants = node.variants?.edges?.map(e => {
-        const v = e.node;
-        const variantId = v.id.replace("gid://shopify/ProductVariant/", "");
-        const options = {};
-        v.selectedOptions?.forEach((opt, idx) => {
-          options[`option${idx + 1}`] = opt.value;
-        });
-        return {
-          id: variantId,
-          title: v.title,
-          price: v.price,
-          compare_at_price: v.compareAtPrice,
-          sku: v.sku,
-          inventory_quantity: v.inventoryQuantity,
-          ...options
-        };
-      }) || [];
-
-      this.stats.totalFetched++;
-      this.stats.totalVariants += variants.length;
-      if (node.descriptionHtml?.trim()) this.stats.withDescription++;
-      else this.stats.withoutDescription++;
-      if (images.length > 0) this.stats.withImages++;
-      else this.stats.withoutImages++;
-      const totalStock = variants.reduce((sum, v) => sum + (v.inventory_quantity || 0), 0);
-      if (totalStock <= 0) this.stats.zeroInventory++;
+    return response.products.edges.map(edge => this.transformProductNode(edge.node));
+  }
 
+  transformProductNode(node) {
+    const id = node.id.replace("gid://shopify/Product/", "");
+
+    const images = node.images?.edges?.map(e => ({ src: e.node.src, alt: e.node.altText })) || [];
+    const variants = node.variants?.edges?.map(e => {
+      const v = e.node;
+      const variantId = v.id.replace("gid://shopify/ProductVariant/", "");
+      const options = {};
+      v.selectedOptions?.forEach((opt, idx) => {
+        options[`option${idx + 1}`] = opt.value;
+      });
       return {
-        id,
-        title: node.title,
-        body_html: node.descriptionHtml,
-        descriptionHtml: node.descriptionHtml,
-        handle: node.handle,
-        vendor: node.vendor,
-        product_type: node.productType,
-        status: node.status?.toLowerCase(),
-        tags: node.tags?.join(", ") || "",
-        tagsAsCategories: false,
-        published_at: node.publishedAt,
-        images,
-        variants,
-        options: this.extractOptions(node.variants?.edges || []),
-        collections: node.collections?.edges?.map(e => ({
-          id: e.node.id.replace("gid://shopify/Collection/", ""),
-          title: e.node.title,
-          handle: e.node.handle
-        })) || [],
-        metafields: node.metafields?.edges?.map(e => ({
-          key: e.node.key,
-          value: e.node.value,
-          namespace: e.node.namespace
-        })) || []
+        id: variantId,
+        title: v.title,
+        price: v.price,
+        compare_at_price: v.compareAtPrice,
+        sku: v.sku,
+        inventory_quantity: v.inventoryQuantity,
+        isAvailable: v.availableForSale,
+        ...options
       };
-    });
+    }) || [];
+
+    this.stats.totalFetched++;
+    this.stats.totalVariants += variants.length;
+    if (node.descriptionHtml?.trim()) this.stats.withDescription++;
+    else this.stats.withoutDescription++;
+    if (images.length > 0) this.stats.withImages++;
+    else this.stats.withoutImages++;
+    const totalStock = variants.reduce((sum, v) => sum + (v.inventory_quantity || 0), 0);
+    if (totalStock <= 0) this.stats.zeroInventory++;
+
+    return {
+      id,
+      title: node.title,
+      body_html: node.descriptionHtml,
+      descriptionHtml: node.descriptionHtml,
+      handle: node.handle,
+      vendor: node.vendor,
+      product_type: node.productType,
+      status: node.status?.toLowerCase(),
+      tags: node.tags?.join(", ") || "",
+      tagsAsCategories: false,
+      published_at: node.publishedAt,
+      updated_at: node.updatedAt,
+      images,
+      variants,
+      options: this.extractOptions(node.variants?.edges || []),
+      collections: node.collections?.edges?.map(e => ({
+        id: e.node.id.replace("gid://shopify/Collection/", ""),
+        title: e.node.title,
+        handle: e.node.handle
+      })) || [],
+      metafields: node.metafields?.edges?.map(e => ({
+        key: e.node.key,
+        value: e.node.value,
+        namespace: e.node.namespace
+      })) || []
+    };
   }
 
   extractOptions(variantEdges) {
@@ -178,7 +319,7 @@ export class ShopifyProvider extends BaseProvider {
     try {
       const custom = await this.shopifyApi.customCollection.list();
       const smart = await this.shopifyApi.smartCollection.list();
-      return [...custom, ...smart].map(c => ({ title: c.title }));
+      return [...custom, ...smart].map(c => ({ id: String(c.id), title: c.title, handle: c.handle }));
     } catch (e) {
       console.log("Error fetching collections:", e.message);
       return [];
@@ -219,10 +360,6 @@ export class ShopifyProvider extends BaseProvider {
     return null;
   }
 
-  async classifyBeachCategory() {
-    return null;
-  }
-
   // ==================== SHOP-SPECIFIC FEATURES ====================
 
   // Override for DyFashion-specific category handling
@@ -305,249 +442,6 @@ export class ShopifyProvider extends BaseProvider {
     }
   }
 
-  async classifyStyle(product) {
-    // Bogas style classification
-    if (this.shopName === "bogas-com-international.myshopify.com") {
-      console.log("  [BOGAS] Getting style code...");
-      try {
-        const result = await this.getProductStyleBogas(product);
-        console.log("getProductStyleBogasResult", result);
-        return result;
-      } catch (e) {
-        console.log("  [BOGAS] Style error:", e.message);
-        return null;
-      }
-    }
-
-    // DyFashion style classification
-    if (this.shopName === "dyfashion.avanticart.ro") {
-      console.log("  [DYFASHION] Getting style code...");
-      try {
-        const result = await this.getProductStyleDyFashion(product);
-        console.log("getProductStyleDyFashion result", result);
-        return result;
-      } catch (e) {
-        console.log("  [DYFASHION] Style error:", e.message);
-        return null;
-      }
-    }
-
-    return null;
-  }
-
-  async getProductStyleBogas(product) {
-    console.log("getProductStyleBogas", product);
-    const filteredData = extractRelevantFields(product);
-    console.log("filteredData", filteredData);
-
-    const PERSONAS = ["ELEGANT_CHIC", "ADVENTURE_LUXE", "ROMANTIC_SOFT", "URBAN_MINIMAL", "POWER_POLISHED"];
-    const BODY_SHAPES = ["triangle", "inverted_triangle", "rectangle", "hourglass", "oval"];
-    const SEASONS = ["winter", "summer", "autumn", "spring"];
-
-    const messages = [
-      { role: "system", content: "You are a fashion style classifier. Given product info, return a JSON style code with keys: body, personality, chromatic." },
-      {
-        role: "user",
-        content: `
-Product data:
-${JSON.stringify(filteredData, null, 2)}
-
-/* ---------- FULL RULES (learned from bogas.ro) ---------- */
-• ELEGANT_CHIC
-  – Satin, lace, chiffon, velvet or crepe fabrics
-  – Jewel-tone or neutral evening palette (emerald, navy, burgundy, ivory)
-  – Midi & column dresses, mermaid hems, cape sleeves
-  – Formal sets (blazer + midi skirt) for weddings, galas, graduation
-  – Accessories: pearl clutches, stilettos, crystal belts
-• ADVENTURE_LUXE
-  – Technical ski suits, overalls, padded jackets, metallic snow pants
-  – Beach & resort neoprene swim, triangle bikinis, linen cover-ups
-  – Bright primaries or icy metallics; performance zips, waterproof seams
-  – Cross-sell: goggles, fur-trim hoods, sun visors
-• ROMANTIC_SOFT
-  – Ruffle, wrap, tiered or balloon-sleeve silhouettes
-  – Pastel / floral prints, ditsy patterns, broderie anglaise
-  – Day dresses, chiffon skirts, soft-knit cardigans
-  – Accessories: silk scarves, straw hats, dainty belts
-• URBAN_MINIMAL   (absorbs SPORTY_STREET)
-  – Ribbed bodycon dresses, tank midi, cropped racer tanks, hoodie sets
-  – Monochrome (black, white, beige, camel) or bold-stripe logo tracksuits
-  – Straight denim, biker shorts, athleisure with stretch
-  – Clean copy tone; comfort & 24-h wear emphasised
-• POWER_POLISHED   (absorbs GLAM_DIVA)
-  – Tailored blazer dresses, shoulder-padded suits, cigarette trousers
-  – Club-ready vinyl or sequin minis that project confidence
-  – Jewel or stark monochrome palette; waist-cinching belts, plunge necks
-  – Split by occasion in copy ("Boardroom" vs "After-dark")
-
-/* BODY SHAPE NOTES */
-triangle           – shoulders narrower than hips; add volume up top
-inverted_triangle  – broad shoulders; draw eye downward
-rectangle          – little waist definition; add curves / structure
-hourglass          – balanced bust & hips; emphasise waist
-oval               – fuller midsection; elongate torso
-
-/* CHROMATIC SEASONS */
-winter  – cool undertone + high contrast: black, white, jewel, icy brights
-summer  – cool undertone + soft contrast: dusty pastels, powdery blues
-autumn  – warm undertone + muted depth: camel, rust, olive, mustard
-spring  – warm undertone + clear brights: coral, peach, aqua, light gold
-
-/* NEUTRAL COLORS */
-Neutral colors (black, white, grey, beige, navy, cream) can work across multiple seasons:
-- Set "is_neutral" to true if the product's dominant color is neutral
-- Set "neutral_whitelist" to an array of seasons where this neutral color works well; for non-neutral items, set neutral_whitelist to []
-- Provide "color_vec" as a 3-element array [L, a, b] representing the LAB color space values for the dominant color
-
-Example:
-  - Pure white: is_neutral=true, neutral_whitelist=["winter","summer","spring","autumn"], color_vec=[100, 0, 0]
-  - Warm beige: is_neutral=true, neutral_whitelist=["autumn","spring"], color_vec=[80, 5, 20]
-  - Cool grey: is_neutral=true, neutral_whitelist=["winter","summer"], color_vec=[60, 0, -5]
-  - Coral dress: is_neutral=false, neutral_whitelist=[], color_vec=[70, 40, 30]`
-      }
-    ];
-
-    if (product.image) {
-      console.log("product.image", product.image);
-      try {
-        const bytes = await fetch(product.image).then(r => r.arrayBuffer());
-        messages.push({
-          role: "user",
-          content: [{ type: "image_url", image_url: { url: `data:image/jpeg;base64,${Buffer.from(bytes).toString("base64")}`, detail: "low" } }]
-        });
-      } catch (e) {
-        console.warn("Could not fetch image for Bogas");
-      }
-    }
-
-    const jsonSchema = {
-      name: "product_style_classification",
-      strict: true,
-      schema: {
-        type: "object",
-        properties: {
-          body: { type: "array", items: { type: "string", enum: BODY_SHAPES } },
-          personality: { type: "array", items: { type: "string", enum: PERSONAS } },
-          chromatic: { type: "array", items: { type: "string", enum: SEASONS } },
-          is_neutral: { type: "boolean" },
-          neutral_whitelist: { type: "array", items: { type: "string", enum: SEASONS } },
-          color_vec: { type: "array", items: { type: "number" }, minItems: 3, maxItems: 3 }
-        },
-        required: ["body", "personality", "chromatic", "is_neutral", "neutral_whitelist", "color_vec"],
-        additionalProperties: false
-      }
-    };
-
-    const completion = await openaiService.client.chat.completions.create({
-      model: "gpt-4o-mini",
-      temperature: 0,
-      max_tokens: 1000,
-      response_format: { type: "json_schema", json_schema: jsonSchema },
-      messages
-    });
-
-    return JSON.parse(completion.choices[0].message.content);
-  }
-
-  async getProductStyleDyFashion(product) {
-    console.log("getProductStyleDyFashion", product);
-    const filteredData = extractRelevantFields(product);
-    console.log("filteredData", filteredData);
-
-    const PERSONAS = ["classic", "romantic", "creative"];
-    const BODY_SHAPES = ["triangle", "inverted_triangle", "rectangle", "hourglass", "oval"];
-    const SEASONS = ["winter", "spring", "summer", "autumn"];
-
-    const messages = [
-      { role: "system", content: "You are a fashion style classifier. Given product info, return a JSON style code with keys: body, personality, chromatic." },
-      {
-        role: "user",
-        content: `
-Product data:
-${JSON.stringify(filteredData, null, 2)}
-
-Analyze the product for recommended silhouette, personality, and color palette.
-
-## Body Shapes
-- "triangle": shoulders narrower than hips
-- "inverted_triangle": broad shoulders
-- "rectangle": little waist definition
-- "hourglass": balanced bust & hips
-- "oval": fuller midsection
-
-## Personality Types
-- "classic": timeless, elegant, structured pieces
-- "romantic": soft, feminine, flowing silhouettes
-- "creative": bold, artistic, unique designs
-
-## Chromatic Seasons
-- "winter": cool undertone, high contrast (black, white, jewel tones)
-- "summer": cool undertone, soft contrast (dusty pastels, powdery blues)
-- "autumn": warm undertone, muted depth (camel, rust, olive, mustard)
-- "spring": warm undertone, clear brights (coral, peach, aqua)
-
-Make sure the response is valid JSON, with no additional text or formatting beyond the JSON object itself.
-Include at least one value for "body", "personality", and "chromatic" in every response. 
-
-##Neutral Colors Handling
-
-Neutral colors (black, white, grey, beige, navy, cream, tan) can work across multiple seasons:
-- Set "is_neutral" to true if the product's dominant color is neutral (not seasonal colors like coral, emerald, mustard, etc.)
-- Set "neutral_whitelist" to an array of seasons where this neutral color works well
-- Provide "color_vec" as a 3-element array [L, a, b] representing the LAB color space values for the dominant color
-  (L = lightness 0-100, a = green-red axis -128 to 127, b = blue-yellow axis -128 to 127)
-
-Example responses:
-  - Pure white product: is_neutral=true, neutral_whitelist=["winter","summer","spring","autumn"], color_vec=[100, 0, 0]
-  - Warm beige product: is_neutral=true, neutral_whitelist=["autumn","spring"], color_vec=[80, 5, 20]
-  - Cool grey product: is_neutral=true, neutral_whitelist=["winter","summer"], color_vec=[60, 0, -5]
-  - Black product: is_neutral=true, neutral_whitelist=["winter","autumn"], color_vec=[0, 0, 0]
-  - Navy product: is_neutral=true, neutral_whitelist=["winter","summer","autumn"], color_vec=[25, 10, -30]
-  - Coral dress: is_neutral=false (seasonal color - spring), no neutral_whitelist, color_vec=[70, 40, 30]`
-      }
-    ];
-
-    if (product.image) {
-      try {
-        const bytes = await fetch(product.image).then(r => r.arrayBuffer());
-        messages.push({
-          role: "user",
-          content: [{ type: "image_url", image_url: { url: `data:image/jpeg;base64,${Buffer.from(bytes).toString("base64")}`, detail: "low" } }]
-        });
-      } catch (e) {
-        console.warn("Could not fetch image for DyFashion");
-      }
-    }
-
-    const jsonSchema = {
-      name: "product_style_classification_dyfashion",
-      strict: true,
-      schema: {
-        type: "object",
-        properties: {
-          body: { type: "array", items: { type: "string", enum: BODY_SHAPES } },
-          personality: { type: "array", items: { type: "string", enum: PERSONAS } },
-          chromatic: { type: "array", items: { type: "string", enum: SEASONS } },
-          is_neutral: { type: "boolean" },
-          neutral_whitelist: { type: "array", items: { type: "string", enum: SEASONS } },
-          color_vec: { type: "array", items: { type: "number" }, minItems: 3, maxItems: 3 }
-        },
-        required: ["body", "personality", "chromatic", "is_neutral", "neutral_whitelist", "color_vec"],
-        additionalProperties: false
-      }
-    };
-
-    const completion = await openaiService.client.chat.completions.create({
-      model: "gpt-4o-mini",
-      temperature: 0,
-      max_tokens: 1000,
-      response_format: { type: "json_schema", json_schema: jsonSchema },
-      messages
-    });
-
-    return JSON.parse(completion.choices[0].message.content);
-  }
-
   logFinalStats() {
     const pct = (n) => this.stats.totalFetched > 0 ? ((n / this.stats.totalFetched) * 100).toFixed(1) : '0.0';
     console.log("\n  ════════════════════════════════════════════════════════════");
@@ -153,6 +153,7 @@
  * |----------------------------------------------------|----------------------------|
  * | /api/catalog_system/pub/products/search           | Fetch products (paginated) |
  * | /api/catalog_system/pub/category/tree/3           | Fetch category tree        |
+ * | /api/catalog/pvt/product/{productId} (GET, PUT)   | Write-back of AI copy      |
  * 
  * Headers required:
  *   X-VTEX-API-AppKey: {appKey}
@@ -446,6 +447,8 @@ export class VtexProvider extends BaseProvider {
     console.log(`  [VTEX] Fetching ${productIds.length} products (${from}-${to} of ${this.totalProducts ?? '?'}) - ${progressStr}`);
     
     const availableProducts = [];
+    // Skipped products, so the sync can drop the stored ones from the widget caches
+    const unavailable = [];
     
     const BATCH_SIZE = 25;
     const BATCH_DELAY_MS = 300;
@@ -466,6 +469,7 @@ export class VtexProvider extends BaseProvider {
             availableProducts.push(product);
             this.stats.available++;
           } else {
+            unavailable.push({ id: String(product.productId), handle: product.linkText });
             if (!availability.isAvailable) this.stats.outOfStock++;
             if (!availability.hasPrice) this.stats.noPrice++;
           }
@@ -488,6 +492,7 @@ export class VtexProvider extends BaseProvider {
 
     return {
       products: transformedProducts,
+      unavailable,
       nextCursor: hasMore ? String(this.catalogCursor) : null,
       hasNextPage: hasMore
     };
@@ -532,18 +537,23 @@ export class VtexProvider extends BaseProvider {
   }
 
   /**
-   * Flatten nested category tree
+   * Flatten nested category tree, keeping each category's parent
    */
-  flattenCategories(categories, result = []) {
+  flattenCategories(categories, result = [], parentId = null) {
     for (const cat of categories) {
+      const handle = cat.url
+        ? new URL(cat.url, "https://vtex.local").pathname.replace(/^\/|\/$/g, '')
+        : cat.name.toLowerCase().replace(/\s+/g, '-');
       result.push({
         id: String(cat.id),
         title: cat.name,
-        handle: cat.url?.replace(/^\/|\/$/g, '') || cat.name.toLowerCase().replace(/\s+/g, '-')
+        handle,
+        fullPath: handle,
+        parentId
       });
       
       if (cat.children && cat.children.length > 0) {
-        this.flattenCategories(cat.children, result);
+        this.flattenCategories(cat.children, result, String(cat.id));
       }
     }
     return result;
@@ -618,9 +628,6 @@ export class VtexProvider extends BaseProvider {
       });
     }
 
-    // Detect demographic from categories/product data
-    const demographics = this.detectDemographic(product);
-
     return {
       id: String(product.productId),
       title: product.productName,
@@ -638,8 +645,6 @@ export class VtexProvider extends BaseProvider {
       options: this.extractItemOptions(availableItems),
       collections: this.extractCollections(product.categories, product.categoriesIds),
       metafields: this.extractSearchMetafields(product),
-      // Detected demographic (used by base provider for Neo4j)
-      detectedDemographics: demographics,
       // VTEX-specific fields
       vtex: {
         productReference: product.productReference,
@@ -662,34 +667,9 @@ export class VtexProvider extends BaseProvider {
     return lastCategory?.replace(/^\/|\/$/g, '').split('/').pop() || "";
   }
 
-  // ═══════════════════════════════════════════════════════════════════════════════
-  // DEMOGRAPHIC DETECTION
-  // ═══════════════════════════════════════════════════════════════════════════════
-
-  /**
-   * Detect demographic (woman/man/unisex) from the first category path.
-   * Matches top-level /femei/ → woman, /bărbați/ → man, otherwise unisex.
-   * 
-   * @param {Object} product - Raw VTEX product from Search API
-   * @returns {string[]} - Array of demographics: ["woman"], ["man"], or ["unisex"]
-   */
-  detectDemographic(product) {
-    const firstCategory = (product.categories || [])[0]?.toLowerCase() || '';
-    const demographics = [];
-
-    if (firstCategory.startsWith('/femei/')) demographics.push('woman');
-    if (firstCategory.startsWith('/bărbați/')) demographics.push('man');
-    if (demographics.length === 0) demographics.push('unisex');
-
-    if (this.stats.totalFetched <= 5) {
-      console.log(`  [VTEX] Demographic for "${product.productName?.substring(0, 30)}...": ${demographics.join(', ')} (from "${firstCategory}")`);
-    }
-
-    return demographics;
-  }
-
   /**
    * Extract collections from categories
+   * categoriesIds holds ID paths ("/1/5/12/") in the same order as the name paths
    */
   extractCollections(categories, categoryIds) {
     if (!categories) return [];
@@ -697,8 +677,9 @@ export class VtexProvider extends BaseProvider {
     return categories.map((cat, idx) => {
       const cleanPath = cat.replace(/^\/|\/$/g, '');
       const parts = cleanPath.split('/');
+      const categoryId = String(categoryIds?.[idx] || '').replace(/^\/|\/$/g, '').split('/').pop();
       return {
-        id: categoryIds?.[idx] ? String(categoryIds[idx]) : `cat-${idx}`,
+        id: categoryId || `cat-${idx}`,
         title: parts[parts.length - 1], // Last part is the category name
         handle: cleanPath,
         fullPath: cleanPath
@@ -776,6 +757,81 @@ export class VtexProvider extends BaseProvider {
     }));
   }
 
+  // ═══════════════════════════════════════════════════════════════════════════════
+  // WRITE-BACK (CATALOG API)
+  // ═══════════════════════════════════════════════════════════════════════════════
+
+  get writableFields() {
+    return ["description", "seo"];
+  }
+
+  /**
+   * Fetch the catalog product (Description, Title, MetaTagDescription...)
+   * @returns {Promise<Object|null>} - null if the product doesn't exist
+   */
+  async fetchCatalogProduct(productId) {
+    try {
+      return await this.vtexRequest(`/api/catalog/pvt/product/${productId}`);
+    } catch (error) {
+      if (error.message.includes("VTEX API error: 404")) return null;
+      throw error;
+    }
+  }
+
+  async fetchProductCopy(productId) {
+    const product = await this.fetchCatalogProduct(productId);
+    if (!product) return null;
+
+    return {
+      description: product.Description || "",
+      seoTitle: product.Title || "",
+      seoMetaDescription: product.MetaTagDescription || ""
+    };
+  }
+
+  /**
+   * Write description and/or SEO fields
+   * The catalog PUT replaces the whole product (omitted fields are cleared), so
+   * the current product is read first and sent back with the new values.
+   */
+  async updateProduct(productId, fields) {
+    const product = await this.fetchCatalogProduct(productId);
+    if (!product) {
+      throw new Error(`Product ${productId} not found in the VTEX catalog`);
+    }
+
+    const body = { ...product };
+    if (fields.description !== undefined) body.Description = fields.description;
+    if (fields.seoTitle !== undefined) body.Title = fields.seoTitle;
+    if (fields.seoMetaDescription !== undefined) body.MetaTagDescription = fields.seoMetaDescription;
+
+    return this.vtexRequest(`/api/catalog/pvt/product/${productId}`, { method: "PUT", body });
+  }
+
+  get supportsTagWriteBack() {
+    return true;
+  }
+
+  /**
+   * VTEX has no product tags: they are kept in the comma-separated KeyWords
+   * ("similar words") of the catalog product, next to the merchant's own keywords
+   */
+  async updateProductTags(productId, { add = [], remove = [] }) {
+    const product = await this.fetchCatalogProduct(productId);
+    if (!product) {
+      throw new Error(`Product ${productId} not found in the VTEX catalog`);
+    }
+
+    const current = (product.KeyWords || "").split(",").map(k => k.trim()).filter(Boolean);
+    const keywords = [...new Set([...current.filter(k => !remove.includes(k)), ...add])];
+    if (keywords.join(",") === current.join(",")) return;
+
+    return this.vtexRequest(`/api/catalog/pvt/product/${productId}`, {
+      method: "PUT",
+      body: { ...product, KeyWords: keywords.join(", ") }
+    });
+  }
+
   // ═══════════════════════════════════════════════════════════════════════════════
   // CURSOR STATE FOR RESUME
   // ═══════════════════════════════════════════════════════════════════════════════
@@ -1,64 +1,434 @@
 /**
  * WooCommerce Provider
- * Implementation of BaseProvider for WooCommerce stores
- * 
- * TODO: Implement when needed
+ * Implementation of BaseProvider for WooCommerce stores (REST API v3)
+ *
+ * API Documentation: https://woocommerce.github.io/woocommerce-rest-api-docs/
+ *
+ * Required credentials (WooCommerce → Settings → Advanced → REST API):
+ *
+ * | Parameter      | Description                          | Example                   |
+ * |----------------|--------------------------------------|---------------------------|
+ * | baseUrl        | Store URL (defaults to https://shop) | https://shop.example.com  |
+ * | consumerKey    | REST API consumer key                | ck_xxxxxxxx               |
+ * | consumerSecret | REST API consumer secret             | cs_xxxxxxxx               |
+ *
+ * Authentication follows the WooCommerce docs: HTTP Basic over HTTPS, or
+ * one-legged OAuth 1.0a over plain HTTP (local/staging stores, the mock server
+ * in scripts/mock-woocommerce-server.js). Set `queryStringAuth` for HTTPS hosts
+ * that strip the Authorization header.
+ *
+ * Sync flow:
+ *   1. GET /products/categories (all pages)  → flattened category tree
+ *   2. GET /system_status                     → store currency
+ *   3. GET /products?page=N (published only)  → one page per fetchProducts() call
+ *      └─ GET /products/{id}/variations       → variants of variable products
+ *   4. Page number is kept as cursor state so an interrupted sync resumes
  */
 
+import crypto from "crypto";
+import fetch from "node-fetch";
 import { BaseProvider } from "./base.js";
+import { delay } from "../utils/index.js";
+
+const API_PREFIX = "/wp-json/wc/v3";
+const MAX_PER_PAGE = 100;
 
 export class WooCommerceProvider extends BaseProvider {
   constructor(config) {
     super(config);
-    this.baseUrl = config.baseUrl;
+    this.baseUrl = (config.baseUrl || `https://${config.shopName}`).replace(/\/+$/, "");
     this.consumerKey = config.consumerKey;
     this.consumerSecret = config.consumerSecret;
+    this.queryStringAuth = config.queryStringAuth || false;
+
+    // Cursor state
+    this.page = 1;
+    this.totalPages = null;
+    this.totalProducts = null;
+
+    // Category id → { title, handle, fullPath }, filled by fetchCollections()
+    this.categoriesById = new Map();
+
+    this.stats = {
+      totalFetched: 0,
+      variable: 0,
+      totalVariants: 0,
+      outOfStock: 0
+    };
   }
 
   get providerType() {
     return "WooCommerce";
   }
 
+  // ==================== HTTP ====================
+
+  /**
+   * Make an authenticated request to the WooCommerce REST API with retry on 429/5xx
+   * @param {string} endpoint - Path below /wp-json/wc/v3 (e.g. "/products")
+   * @param {Object} options - { query, returnHeaders }
+   */
+  async wooRequest(endpoint, options = {}) {
+    const { query = {}, returnHeaders = false } = options;
+    const url = `${this.baseUrl}${API_PREFIX}${endpoint}`;
+    const maxRetries = 5;
+
+    for (let attempt = 0; attempt <= maxRetries; attempt++) {
+      const { requestUrl, headers } = this.signRequest("GET", url, query);
+
+      let response;
+      try {
+        response = await fetch(requestUrl, { headers: { Accept: "application/json", ...headers } });
+      } catch (error) {
+        if ((error.code === "ECONNRESET" || error.code === "ETIMEDOUT") && attempt < maxRetries) {
+          const backoffMs = Math.min(2000 * Math.pow(2, attempt), 30000);
+          console.log(`  [WooCommerce] Connection error (${error.code}), retrying in ${(backoffMs / 1000).toFixed(1)}s...`);
+          await delay(backoffMs);
+          continue;
+        }
+        throw error;
+      }
+
+      if ((response.status === 429 || response.status >= 500) && attempt < maxRetries) {
+        const retryAfter = parseInt(response.headers.get("retry-after") || "0", 10);
+        const backoffMs = retryAfter > 0 ? retryAfter * 1000 : Math.min(2000 * Math.pow(2, attempt), 60000);
+        console.log(`  [WooCommerce] ${response.status} on ${endpoint}, retrying in ${(backoffMs / 1000).toFixed(1)}s (${attempt + 1}/${maxRetries})...`);
+        await delay(backoffMs);
+        continue;
+      }
+
+      if (!response.ok) {
+        const errorText = await response.text();
+        throw new Error(`WooCommerce API error: ${response.status} - ${errorText.substring(0, 300)}`);
+      }
+
+      const json = await response.json();
+      if (returnHeaders) {
+        return { json, headers: response.headers };
+      }
+      return json;
+    }
+  }
+
+  /**
+   * Add authentication to a request
+   * @returns {{ requestUrl: string, headers: Object }}
+   */
+  signRequest(method, url, query) {
+    const params = Object.fromEntries(
+      Object.entries(query).filter(([, value]) => value !== undefined && value !== null).map(([k, v]) => [k, String(v)])
+    );
+
+    if (url.startsWith("https://")) {
+      if (this.queryStringAuth) {
+        params.consumer_key = this.consumerKey;
+        params.consumer_secret = this.consumerSecret;
+        return { requestUrl: `${url}?${new URLSearchParams(params)}`, headers: {} };
+      }
+      const token = Buffer.from(`${this.consumerKey}:${this.consumerSecret}`).toString("base64");
+      return { requestUrl: `${url}?${new URLSearchParams(params)}`, headers: { Authorization: `Basic ${token}` } };
+    }
+
+    // Plain HTTP: one-legged OAuth 1.0a signed with HMAC-SHA256
+    Object.assign(params, {
+      oauth_consumer_key: this.consumerKey,
+      oauth_nonce: crypto.randomBytes(16).toString("hex"),
+      oauth_signature_method: "HMAC-SHA256",
+      oauth_timestamp: String(Math.floor(Date.now() / 1000))
+    });
+
+    const encode = (value) => encodeURIComponent(value).replace(/[!'()*]/g, c => `%${c.charCodeAt(0).toString(16).toUpperCase()}`);
+    const paramString = Object.keys(params)
+      .sort()
+      .map(key => `${encode(key)}=${encode(params[key])}`)
+      .join("&");
+    const baseString = [method.toUpperCase(), encode(url), encode(paramString)].join("&");
+    params.oauth_signature = crypto
+      .createHmac("sha256", `${this.consumerSecret}&`)
+      .update(baseString)
+      .digest("base64");
+
+    return { requestUrl: `${url}?${new URLSearchParams(params)}`, headers: {} };
+  }
+
+  /**
+   * Fetch every page of a list endpoint
+   */
+  async fetchAllPages(endpoint, query = {}) {
+    const items = [];
+    let page = 1;
+    let totalPages = 1;
+
+    do {
+      const { json, headers } = await this.wooRequest(endpoint, {
+        query: { ...query, page, per_page: MAX_PER_PAGE },
+        returnHeaders: true
+      });
+      items.push(...json);
+      totalPages = parseInt(headers.get("x-wp-totalpages") || "1", 10);
+      page++;
+    } while (page <= totalPages);
+
+    return items;
+  }
+
+  // ==================== PRODUCTS ====================
+
   async fetchProducts(options = {}) {
-    // TODO: Implement WooCommerce REST API product fetching
-    // https://woocommerce.github.io/woocommerce-rest-api-docs/#list-all-products
-    throw new Error("WooCommerce provider not yet implemented");
+    const { cursor, limit = 20 } = options;
+    const perPage = Math.min(limit, MAX_PER_PAGE);
+
+    if (cursor) this.page = parseInt(cursor, 10);
+
+    if (this.totalPages !== null && this.page > this.totalPages) {
+      return { products: [], nextCursor: null, hasNextPage: false };
+    }
+
+    const { json: rawProducts, headers } = await this.wooRequest("/products", {
+      query: { page: this.page, per_page: perPage, status: "publish", orderby: "id", order: "asc" },
+      returnHeaders: true
+    });
+
+    this.totalPages = parseInt(headers.get("x-wp-totalpages") || "1", 10);
+    this.totalProducts = parseInt(headers.get("x-wp-total") || "0", 10) || null;
+
+    console.log(`  [WooCommerce] Page ${this.page}/${this.totalPages}: ${rawProducts.length} products (${this.totalProducts ?? "?"} total)`);
+
+    const products = [];
+    for (const rawProduct of rawProducts) {
+      this.stats.totalFetched++;
+
+      let variations = [];
+      if (rawProduct.type === "variable" && rawProduct.variations?.length > 0) {
+        this.stats.variable++;
+        try {
+          variations = await this.fetchAllPages(`/products/${rawProduct.id}/variations`);
+        } catch (error) {
+          console.log(`  [WooCommerce] Variations error for ${rawProduct.id}: ${error.message}`);
+        }
+      }
+
+      const product = this.transformProduct({ ...rawProduct, variations });
+      this.stats.totalVariants += product.variants.length;
+      if (product.variants.every(v => v.isAvailable === false)) this.stats.outOfStock++;
+      products.push(product);
+    }
+
+    this.page++;
+    const hasNextPage = this.page <= this.totalPages;
+
+    return {
+      products,
+      nextCursor: hasNextPage ? String(this.page) : null,
+      hasNextPage
+    };
   }
 
+  // ==================== COLLECTIONS & SHOP DATA ====================
+
   async fetchCollections() {
-    // TODO: Implement WooCommerce category fetching
-    throw new Error("WooCommerce provider not yet implemented");
+    console.log("  [WooCommerce] Fetching categories...");
+
+    try {
+      const categories = await this.fetchAllPages("/products/categories");
+      const collections = this.flattenCategories(categories);
+      console.log(`  [WooCommerce] Found ${collections.length} categories`);
+      return collections;
+    } catch (error) {
+      console.error("  [WooCommerce] Error fetching categories:", error.message);
+      return [];
+    }
+  }
+
+  /**
+   * Build the category tree from the flat list (each category has a parent id)
+   * and record the full path of every category
+   */
+  flattenCategories(categories) {
+    const byId = new Map(categories.map(c => [c.id, c]));
+
+    const pathOf = (category, seen = new Set()) => {
+      const parent = byId.get(category.parent);
+      if (!parent || seen.has(parent.id)) return category.slug;
+      seen.add(category.id);
+      return `${pathOf(parent, seen)}/${category.slug}`;
+    };
+
+    this.categoriesById.clear();
+    return categories
+      .filter(c => c.slug !== "uncategorized")
+      .map(c => {
+        const collection = {
+          id: String(c.id),
+          title: decodeEntities(c.name),
+          handle: c.slug,
+          fullPath: pathOf(c),
+          parentId: c.parent ? String(c.parent) : null
+        };
+        this.categoriesById.set(c.id, collection);
+        return collection;
+      });
   }
 
   async getShopData() {
-    // TODO: Implement WooCommerce shop data fetching
-    return { currency: "USD" };
+    try {
+      const status = await this.wooRequest("/system_status");
+      return {
+        currency: status.settings?.currency || "USD",
+        name: status.environment?.site_url || this.shopName,
+        domain: this.shopName
+      };
+    } catch (error) {
+      console.log("  [WooCommerce] Error fetching system status:", error.message);
+      return { currency: "USD" };
+    }
   }
 
+  // ==================== TRANSFORMATION ====================
+
+  /**
+   * Transform a WooCommerce product (with its variations) to the unified format
+   */
   transformProduct(rawProduct) {
-    // TODO: Transform WooCommerce product to unified format
+    const images = (rawProduct.images || []).map(img => ({ src: img.src, alt: img.alt || "" }));
+    const options = (rawProduct.attributes || [])
+      .filter(attr => attr.variation)
+      .map((attr, idx) => ({ name: attr.name, position: idx + 1, values: attr.options || [] }));
+
+    const variants = rawProduct.type === "variable" && rawProduct.variations?.length > 0
+      ? rawProduct.variations
+          .filter(v => v.status === undefined || v.status === "publish")
+          .map(v => this.transformVariant(v, options))
+      : [this.transformVariant({ ...rawProduct, attributes: [] }, options, "Default Title")];
+
+    const brand = rawProduct.brands?.[0]?.name
+      || (rawProduct.attributes || []).find(a => /^(brand|marca|brand name)$/i.test(a.name))?.options?.[0]
+      || "";
+
     return {
-      id: rawProduct.id,
-      title: rawProduct.name,
-      body_html: rawProduct.description,
+      id: String(rawProduct.id),
+      title: decodeEntities(rawProduct.name),
+      body_html: rawProduct.description || rawProduct.short_description || "",
+      descriptionHtml: rawProduct.description || "",
       handle: rawProduct.slug,
-      vendor: "",
-      product_type: rawProduct.categories?.[0]?.name || "",
+      vendor: brand,
+      product_type: decodeEntities(this.leafCategory(rawProduct.categories || [])?.name || ""),
       status: rawProduct.status === "publish" ? "active" : "draft",
-      tags: rawProduct.tags?.map(t => t.name).join(", ") || "",
-      images: rawProduct.images?.map(img => ({ src: img.src })) || [],
-      variants: rawProduct.variations?.map(v => ({
-        id: v.id,
-        title: v.name,
-        price: v.regular_price,
-        compare_at_price: v.sale_price,
-        sku: v.sku,
-        inventory_quantity: v.stock_quantity
-      })) || [],
-      options: [],
-      collections: rawProduct.categories?.map(c => ({ id: c.id, title: c.name })) || []
+      tags: (rawProduct.tags || []).map(t => decodeEntities(t.name)).join(", "),
+      published_at: rawProduct.date_created_gmt || rawProduct.date_created,
+      updated_at: rawProduct.date_modified_gmt || rawProduct.date_modified,
+      images,
+      image: images[0]?.src || null,
+      variants,
+      options: options.map(({ name, position }) => ({ name, position })),
+      collections: (rawProduct.categories || []).map(c => {
+        const known = this.categoriesById.get(c.id);
+        return known
+          ? { id: known.id, title: known.title, handle: known.handle, fullPath: known.fullPath }
+          : { id: String(c.id), title: decodeEntities(c.name), handle: c.slug };
+      }),
+      metafields: (rawProduct.attributes || [])
+        .filter(attr => !attr.variation && attr.options?.length > 0)
+        .map(attr => ({ key: attr.name, value: attr.options.join(", "), namespace: "woocommerce" })),
+      woocommerce: {
+        type: rawProduct.type,
+        permalink: rawProduct.permalink,
+        stockStatus: rawProduct.stock_status
+      }
+    };
+  }
+
+  /**
+   * Most specific category of a product: one that is not the parent of another assigned category
+   */
+  leafCategory(categories) {
+    const parentIds = new Set(categories.map(c => Number(this.categoriesById.get(c.id)?.parentId)));
+    return categories.find(c => !parentIds.has(c.id)) || categories[0];
+  }
+
+  /**
+   * Transform a variation (or a simple product) to a unified variant.
+   * WooCommerce `price` is the active price; `regular_price` is the
+   * compare-at price while the item is on sale.
+   */
+  transformVariant(variation, options, defaultTitle = null) {
+    const selected = {};
+    (variation.attributes || []).forEach(attr => {
+      const option = options.find(o => o.name === attr.name);
+      const position = option ? option.position : Object.keys(selected).length + 1;
+      selected[`option${position}`] = attr.option;
+    });
+
+    const isAvailable = variation.stock_status !== "outofstock" && variation.purchasable !== false;
+    const onSale = variation.on_sale || (variation.sale_price && variation.sale_price !== variation.regular_price);
+
+    return {
+      id: String(variation.id),
+      title: defaultTitle || Object.values(selected).join(" / ") || variation.sku || String(variation.id),
+      price: variation.price || variation.sale_price || variation.regular_price || "0",
+      compare_at_price: onSale ? variation.regular_price || null : null,
+      sku: variation.sku || "",
+      inventory_quantity: variation.manage_stock ? (variation.stock_quantity ?? 0) : (isAvailable ? null : 0),
+      isAvailable,
+      image: variation.image?.src || null,
+      ...selected
     };
   }
+
+  // ==================== CURSOR STATE FOR RESUME ====================
+
+  getCursorState() {
+    return {
+      page: this.page,
+      totalPages: this.totalPages,
+      totalProducts: this.totalProducts,
+      stats: { ...this.stats }
+    };
+  }
+
+  restoreCursorState(state) {
+    if (!state) return;
+    this.page = state.page || 1;
+    this.totalPages = state.totalPages ?? null;
+    this.totalProducts = state.totalProducts ?? null;
+    if (state.stats) this.stats = { ...state.stats };
+    console.log(`  [WooCommerce] Restored cursor: page ${this.page}/${this.totalPages ?? "?"}`);
+  }
+
+  // ==================== SYNC ====================
+
+  logFinalStats() {
+    console.log("\n  ════════════════════════════════════════════════════════════");
+    console.log("  [WooCommerce] SYNC STATS:");
+    console.log(`    Total fetched from API:    ${this.stats.totalFetched}`);
+    console.log(`    Variable products:         ${this.stats.variable}`);
+    console.log(`    Total variants:            ${this.stats.totalVariants}`);
+    console.log(`    Out of stock:              ${this.stats.outOfStock}`);
+    console.log("  ════════════════════════════════════════════════════════════\n");
+  }
+
+  async sync() {
+    console.log(`\n=== Starting ${this.providerType} Sync for ${this.shopName} ===`);
+    console.log(`  [WooCommerce] REST API: ${this.baseUrl}${API_PREFIX}\n`);
+
+    await super.sync();
+
+    this.logFinalStats();
+  }
+}
+
+/**
+ * WooCommerce returns names HTML-escaped (e.g. "Rochii &amp; Fuste")
+ */
+function decodeEntities(text) {
+  if (!text) return text;
+  return text
+    .replace(/&amp;/g, "&")
+    .replace(/&#0?39;|&apos;/g, "'")
+    .replace(/&quot;/g, "\"")
+    .replace(/&lt;/g, "<")
+    .replace(/&gt;/g, ">")
+    .replace(/&#8211;/g, "–");
 }
 
 export default WooCommerceProvider;
@@ -2,6 +2,11 @@ import fetch from "node-fetch";
 import { GoogleGenerativeAI, SchemaType } from "@google/generative-ai";
 import { config as runaConfig } from "@runa/config";
 import { geminiWithRetry } from "../utils/index.js";
+import { resolveBrandVoice } from "../utils/brand-voice.js";
+import { looksLikeThinkingLeak } from "../utils/copy-qa.js";
+
+// Re-exported for the scripts that import them from here
+export { looksLikeThinkingLeak, isDimensionsOnly } from "../utils/copy-qa.js";
 
 const GEMINI_MODEL = runaConfig.gemini.model;
 const genAI = new GoogleGenerativeAI(runaConfig.gemini.apiKey);
@@ -12,118 +17,108 @@ const groundingClients = (runaConfig.gemini.groundingApiKeys || []).map((key, i)
 }));
 let groundingRoundRobinIndex = 0;
 
-// ─── Language-specific prompt config ─────────────────────────────────
-
-const LANG_CONFIG = {
-  ro: {
-    featuresLabel: "Caracteristici",
-    compositionLabel: "Compoziție produs",
-    elegantSentences: "2-3 elegant sentences in Romanian — style, versatility, how to wear",
-    languageRule: "The description MUST be written in ROMANIAN language",
-    languageName: "ROMANIAN",
-    systemLangRule: "Your final response (the product description) MUST be written in Romanian language.",
-  },
-  en: {
-    featuresLabel: "Features",
-    compositionLabel: "Material composition",
-    elegantSentences: "2-3 elegant sentences in English — style, versatility, how to wear",
-    languageRule: "The description MUST be written in ENGLISH language",
-    languageName: "ENGLISH",
-    systemLangRule: "Your final response (the product description) MUST be written in English language.",
-  }
+// ─── Brand voice prompt blocks ───────────────────────────────────────
+// Every prompt takes the store's brand voice (see utils/brand-voice.js);
+// callers pass either a profile or just a language for the default voice.
+
+function getLangConfig(voice) {
+  const name = voice.languageName;
+  const lower = name.charAt(0) + name.slice(1).toLowerCase();
+  return {
+    featuresLabel: voice.labels.features,
+    compositionLabel: voice.labels.composition,
+    careLabel: voice.labels.care,
+    elegantSentences: `2-3 sentences in ${lower}, in the brand tone — style, versatility, how to wear`,
+    languageRule: `The description MUST be written in ${name} language`,
+    languageName: name,
+    systemLangRule: `Your final response (the product description) MUST be written in ${lower} language.`,
+  };
+}
+
+const SECTION_STRUCTURE = {
+  intro: () => "Short introduction: product type, brand, style (1-3 sentences)",
+  features: (lang) => `"${lang.featuresLabel}": 6-10 physical details, one per line`,
+  composition: (lang) => `"${lang.compositionLabel}": material composition`,
+  care: (lang) => `"${lang.careLabel}": care instructions, only when known`,
+  styling: () => "Optional: one short sentence about how to wear it / the occasion",
 };
 
-function getLangConfig(language) {
-  return LANG_CONFIG[language] || LANG_CONFIG.ro;
+/**
+ * Rules block of a brand voice: tone, banned words, guidelines, structure and examples
+ */
+export function buildBrandVoiceRules(voice) {
+  const lang = getLangConfig(voice);
+  const blocks = [`BRAND VOICE RULES${voice.name ? ` — ${voice.name}` : ""} (mandatory — ${lang.languageName} language):`];
+
+  if (voice.tone) {
+    blocks.push(`TONE:\n- ${voice.tone}`);
+  }
+  if (voice.bannedWords.length > 0) {
+    const words = voice.bannedWords.map(({ word, replacement }) =>
+      `- "${word}"${replacement ? ` (use "${replacement}" instead)` : ""}`
+    );
+    blocks.push(`BANNED WORDS/EXPRESSIONS (NEVER use):\n${words.join("\n")}`);
+  }
+  if (voice.guidelines.length > 0) {
+    blocks.push(`GUIDELINES:\n${voice.guidelines.map((rule) => `- ${rule}`).join("\n")}`);
+  }
+  blocks.push(`REQUIRED STRUCTURE (in this order):\n${voice.sections.map((id, i) => `${i + 1}. ${SECTION_STRUCTURE[id](lang)}`).join("\n")}`);
+  if (voice.examples.length > 0) {
+    const examples = voice.examples.map((example, i) => `EXAMPLE ${i + 1}:\n---\n${example}\n---`);
+    blocks.push(`GOOD EXAMPLES (follow EXACTLY this style, format and tone):\n\n${examples.join("\n\n")}`);
+  }
+
+  return blocks.join("\n\n");
 }
 
-// ─── TOFF (Romanian) description rules ────────────────────────────────
-
-const TOFF_RULES_RO = `
-TOFF DESCRIPTION RULES (mandatory — Romanian language):
-
-LANGUAGE & TONE:
-- Limbaj natural, fluent, în română corectă. EVITĂ traduceri mot-a-mot și formulări artificiale.
-- Ton elegant, sofisticat, de magazin online de modă.
-
-CUVINTE/EXPRESII INTERZISE (NU folosi NICIODATĂ):
-- "premium" (în orice context)
-- "fuziune" (folosește "combinație")
-- "haute couture" (decât dacă e confirmat de sursă)
-- "piese de croitorie relaxată" (folosește "croială lejeră")
-- "vârf migdalat" (folosește "bot în formă de migdală")
-
-REGULI PIELE:
-- Pentru orice tip de piele de animal folosește DOAR cuvântul "piele".
-- NU menționa: "piele de miel", "piele de vițel", "piele de oaie", "piele de cerf" etc.
-- Pentru piele de crocodil, șarpe sau șopârlă folosește exclusiv "piele exotică".
-
-ACORD GRAMATICAL:
-- Verifică acordul (ex: "acești pantofi SUNT", nu "este"; "aceste sneakers", nu "acești sneakers").
-- Atenție la genul produsului: pantofi/sneakers (m. pl.), sandale/cizme (f. pl.), geantă (f. sg.).
-
-CONȚINUT:
-- NU inventa informații (ex: nu atribui "haute couture" dacă nu e cazul).
-- Descrierea trebuie să reflecte produsul real.
-
-STRUCTURĂ (obligatorie în această ordine):
-1. Introducere scurtă: tip produs, brand, stil (1-3 propoziții elegante)
-2. Caracteristici (6-10 detalii fizice)
-3. Compoziție produs
-4. Opțional: o frază scurtă despre cum poate fi purtat / context
-
-EXEMPLE BUNE (urmează EXACT acest stil, format și tonalitate):
-
-EXEMPLU A — SANDALE:
----
-Sandalele Hibiscus 105mm, Aquazzura, dau un aer refreshing ținutelor tale, fie că le porți pe timp de zi, cu o rochie vaporoasă din in sau cu o pereche de jeans, fie că le integrezi într-un look de seară, cu piese din paiete. Nuanța tonică de verde poate fi asortată cu tonuri complementare de oranj, dar și cu piese albe. <br>
-<br>
-Caracteristici: <br>
-- sandale verzi din piele velur <br>
-- model clasic strappy <br>
-- bot în formă de migdală <br>
-- o baretă subțire pe partea din față <br>
-- șireturi pe gleznă cu elemente în formă de frunză <br>
-- toc înalt subțire (10,5 cm) <br>
-- interior nude din piele cu etichetă cu logo <br>
-<br>
-Compoziție produs: Piele 100%
----
-
-EXEMPLU B — SANDALE STRASS:
----
-Sandalele Vanessa 100mm, Sophia Webster, dau un aer statement oricărei ținute în care le porți, grație dispunerii baretelor subțiri, care pun în valoare linia gleznei, și a fluturilor aplicați, elementul semnătură al brandului. Nuanța puternică de roșu întreține senzualitatea modelului. <br>
-<br>
-Caracteristici: <br>
-- sandale roșii din piele cu efect perlat <br>
-- model strappy clasic <br>
-- multiple barete subțiri pe partea din față <br>
-- baretă tip șiret pe gleznă <br>
-- bot în formă de migdală ascuțită <br>
-- interior roșu din piele cu logo auriu <br>
-- talpă subțire <br>
-- toc înalt subțire (10 cm) <br>
-- fluturi cu pietre aplicați pe barete <br>
-<br>
-Compoziție produs: Piele 100%
----
-
-EXEMPLE GREȘITE (NU folosi astfel de formulări):
-- "piele de cerf premium" → corect: "piele"
-- "Finisaj spălat în nuanță Khaki Green" → corect: "finisaj spălat în nuanță verde kaki"
-- "siluetă relaxată tip boxy", "mâneci raglan ample" (limbaj artificial) → folosește română fluentă: "croială lejeră, oversized"
-- "acești pantofi este" (acord greșit) → "acești pantofi sunt"
-`.trim();
-
-// ─── Dimensions-only detection ────────────────────────────────────────
-
-export function isDimensionsOnly(text) {
-  if (!text) return false;
-  const clean = text.replace(/<[^>]*>/g, "").replace(/\s+/g, " ").trim();
-  if (clean.length === 0 || clean.length > 100) return false;
-  return /^\s*dimensiuni\b/i.test(clean);
+/**
+ * Output template in the brand's section order
+ * @param {Object} hints - Per-section placeholder text, overriding the defaults
+ */
+function buildFormatBlock(voice, hints = {}) {
+  const lang = getLangConfig(voice);
+  const parts = voice.sections.map((id) => {
+    switch (id) {
+      case "intro":
+        return `[${hints.intro || lang.elegantSentences}]`;
+      case "features":
+        return `${lang.featuresLabel}: <br>\n- [feature 1] <br>\n- [feature 2] <br>\n- [${hints.features || "etc — 6-10 physical details"}]`;
+      case "composition":
+        return `${lang.compositionLabel}: [${hints.composition || "material composition"}]`;
+      case "care":
+        return `${lang.careLabel}: [${hints.care || "care instructions — ONLY if known from the source, otherwise OMIT this line"}]`;
+      case "styling":
+        return `[${hints.styling || "optional: one short sentence about how to wear it"}]`;
+    }
+  });
+  return parts.join(" <br>\n<br>\n");
 }
 
+/**
+ * Reminders of the brand rules for the end of a prompt's STRICT RULES
+ * @param {string[]} extra - Prompt-specific rules to number after them
+ * @param {number} start - Number of the first reminder
+ */
+function buildBrandVoiceReminders(voice, start, extra = []) {
+  const reminders = [];
+  if (voice.bannedWords.length > 0) {
+    reminders.push("NEVER use any of the banned words/expressions listed in the brand voice rules above");
+  }
+  if (voice.guidelines.length > 0) {
+    reminders.push("Follow EVERY guideline in the brand voice rules above");
+  }
+  return [...reminders, ...extra].map((rule, i) => `\n${start + i}. ${rule}`).join("");
+}
+
+/**
+ * Rule making a section mandatory, or the generic structure rule when the brand does not use it
+ */
+function sectionRule(voice, id, text) {
+  return voice.sections.includes(id) ? text : "Follow the REQUIRED STRUCTURE of the brand voice rules EXACTLY";
+}
+
+// ─── Product type detection ───────────────────────────────────────────
+
 const BAG_WALLET_PATTERN = /^(geant.|gen.i|borset.|rucsac|portofel|portcard|portofele)/i;
 
 export function isBagProduct(title, productType) {
@@ -132,70 +127,6 @@ export function isBagProduct(title, productType) {
   return BAG_WALLET_PATTERN.test(t) || BAG_WALLET_PATTERN.test(p);
 }
 
-// ─── Thinking-leak detector ──────────────────────────────────────────
-// Detects when Gemini's chain-of-thought leaks into the visible text.
-// Triggered both by suspicious openings (the model "thinking out loud")
-// and by telltale meta phrases / banned-word echoes from the prompt.
-
-const LEAK_START_PATTERNS = [
-  /^thoughtful\b/i,
-  /^okay[,!:\s]/i,
-  /^alright[,!:\s]/i,
-  /^wait[,!:\s]/i,
-  /^let me\b/i,
-  /^the user (wants|asks|needs|provided|gave)/i,
-  /^here(?:'|')?s\b/i,
-  /^based on (?:the|your)\b/i,
-  /^looking at\b/i,
-  /^first[,!:\s]/i,
-  /^so[,!:\s]/i,
-  /^hmm[,!.:\s]/i,
-  /^\*\s*(intro|characteristics|composition|refining|double[\s-]check|final|correction|revised|wait|note)\b/i,
-  /^\*\*\s*(intro|step|note|thought)/i,
-];
-
-const LEAK_PHRASE_PATTERNS = [
-  /\*\s*wait[,\s]/i,
-  /\*\s*refining\b/i,
-  /\*\s*double[\s-]check\b/i,
-  /\*\s*final\s+(check|version|structure|answer)/i,
-  /\*\s*correction\b/i,
-  /\*\s*revised\b/i,
-  /let me re-?read/i,
-  /looking at the (?:source|prompt|rules)/i,
-  /the (?:source|prompt) (?:says|didn'?t|did not|provided)/i,
-  /final check on (?:forbidden|banned)/i,
-  /one (?:more|small|last) (?:check|detail|thing)/i,
-  /example\s+a\b/i,
-  /example\s+b\b/i,
-  /\bcompozi[țt]ie produs:[\s\S]*compozi[țt]ie produs:/i, // header repeated twice
-  // Banned-word echoes from the rules block (these must NEVER appear in output)
-  /piese de croitorie relaxat[ăa]/i,
-  /vârf migdalat/i,
-  /haute couture/i,
-  // Rule-block headers leaking verbatim
-  /CUVINTE\s*\/\s*EXPRESII INTERZISE/i,
-  /STRUCTURĂ\s*\(obligatorie/i,
-  /REGULI PIELE\b/i,
-  /ACORD GRAMATICAL\b/i,
-  /TOFF (?:DESCRIPTION|SEO) RULES/i,
-];
-
-export function looksLikeThinkingLeak(text) {
-  if (!text || typeof text !== "string") return false;
-  const trimmed = text.trim();
-  if (trimmed.length < 30) return false;
-
-  const head = trimmed.slice(0, 120);
-  for (const pat of LEAK_START_PATTERNS) {
-    if (pat.test(head)) return true;
-  }
-  for (const pat of LEAK_PHRASE_PATTERNS) {
-    if (pat.test(trimmed)) return true;
-  }
-  return false;
-}
-
 // Build a generationConfig that disables thinking and pins temperature.
 // Used for the "safe retry" pass after a leak is detected.
 function buildNoThinkConfig({ temperature = 0.2, extra = null } = {}) {
@@ -207,17 +138,61 @@ function buildNoThinkConfig({ temperature = 0.2, extra = null } = {}) {
   return cfg;
 }
 
+// ─── Quality gate ────────────────────────────────────────────────────
+
+/**
+ * Closing block of a retry prompt listing why the previous answer failed QA
+ * @param {Array|null} qaIssues - Issues from utils/copy-qa.js
+ */
+function buildQaFeedback(qaIssues) {
+  if (!qaIssues || qaIssues.length === 0) return "";
+  return `\n\nPREVIOUS ANSWER WAS REJECTED by the quality check. Fix ALL of these problems, and do NOT mention them in your answer:\n${qaIssues.map(({ message }) => `- ${message}`).join("\n")}`;
+}
+
+/**
+ * Run a generator through the copy QA gate. Output failing `check` is
+ * generated once more with the issues appended to the prompt (and thinking
+ * disabled); when the retry fails as well the result comes back with
+ * `rejected: true` and its `qaIssues`, for the caller to flag instead of save.
+ * Empty results (null, or an empty `text`) are returned untouched.
+ * @param {string} label - Product title, for the logs
+ * @param {Function} generate - (qaIssues|null) => Promise<Object|null>
+ * @param {Function} check - (result) => issues
+ * @returns {Promise<Object|null>}
+ */
+export async function withQualityGate(label, generate, check) {
+  const isEmpty = (result) => !result || result.text === "";
+  const first = await generate(null);
+  if (isEmpty(first)) return first;
+
+  const issues = check(first);
+  if (issues.length === 0) return first;
+
+  console.log(`  [AI QA] ⚠ "${label}" failed QA (${issues.map((i) => i.code).join(", ")}), retrying with a stricter prompt…`);
+  const retry = await generate(issues);
+  if (isEmpty(retry)) {
+    return { ...first, rejected: true, qaIssues: issues };
+  }
+
+  const retryIssues = check(retry);
+  if (retryIssues.length === 0) {
+    console.log(`  [AI QA] ✓ Retry passed for "${label}"`);
+    return retry;
+  }
+  console.log(`  [AI QA] ✗ "${label}" rejected: ${retryIssues.map((i) => i.message).join("; ")}`);
+  return { ...retry, rejected: true, qaIssues: retryIssues };
+}
+
 // ─── Gemini: Google Search description ───────────────────────────────
 
-export function buildDescriptionPrompt(sku, { language = "ro", dimensionsText = null } = {}) {
-  console.log(`  [AI Desc] Building prompt for SKU: "${sku}" (lang: ${language})`);
-  const lang = getLangConfig(language);
+export function buildDescriptionPrompt(sku, { brandVoice = null, language = "ro", dimensionsText = null, qaIssues = null } = {}) {
+  const voice = resolveBrandVoice(brandVoice, language);
+  console.log(`  [AI Desc] Building prompt for SKU: "${sku}" (lang: ${voice.language})`);
+  const lang = getLangConfig(voice);
 
   const dimensionsRule = dimensionsText
-    ? `\n11. IMPORTANT: Include these exact product dimensions at the end of the features list: "${dimensionsText}"`
-    : "";
-  
-  const toffRulesBlock = language === "ro" ? `\n${TOFF_RULES_RO}\n\n` : "";
+    ? [`IMPORTANT: Include these exact product dimensions at the end of the features list: "${dimensionsText}"`]
+    : [];
 
   return `Search Google for EXACTLY "${sku}". 
 Search ONLY "${sku}" - do NOT add extra words to the search (no product type, no brand name, no assumptions).
@@ -238,35 +213,29 @@ DESCRIPTION RULES (only when found is true):
 - ${lang.languageRule}
 - Do NOT put any title, heading, "**Name**:", or "Description:". Start DIRECTLY with the descriptive paragraph
 - Use <br> tags as line dividers in the output (HTML format)
-- Maximum 800 characters total
-${toffRulesBlock}EXACT description FORMAT (use <br> for line breaks):
-
-[${lang.elegantSentences}] <br>
-<br>
-${lang.featuresLabel}: <br>
-- [feature 1] <br>
-- [feature 2] <br>
-- [etc — 6-10 physical details] <br>
-<br>
-${lang.compositionLabel}: [material composition — MANDATORY, never omit]
+- Maximum ${voice.maxLength} characters total
+
+${buildBrandVoiceRules(voice)}
+
+EXACT description FORMAT (use <br> for line breaks):
+
+${buildFormatBlock(voice, { composition: "material composition — MANDATORY, never omit" })}
 
 STRICT RULES:
 1. Respond ONLY with the JSON object, nothing else
 2. Do NOT put titles or headings inside the description
 3. Start the description DIRECTLY with the descriptive paragraph
-4. The descriptive paragraph must be ELEGANT, in fluent natural ${lang.languageName} (no word-for-word translations)
+4. The descriptive paragraph must follow the brand tone, in fluent natural ${lang.languageName} (no word-for-word translations)
 5. Features must be DETAILED (6-10 bullet points)
-6. "${lang.compositionLabel}:" is MANDATORY — always include it
+6. ${sectionRule(voice, "composition", `"${lang.compositionLabel}:" is MANDATORY — always include it`)}
 7. Use <br> tags for ALL line breaks in the description
-8. Maximum 800 characters for the description
+8. Maximum ${voice.maxLength} characters for the description
 9. Do NOT fabricate data. If you cannot find the product, set found to false
-10. ${lang.languageRule}${language === "ro" ? `
-11. NEVER use the word "premium" or any of the banned words/expressions listed in the TOFF rules above
-12. For any animal leather, use only the word "piele" (NEVER "piele de miel/vițel/oaie/cerf"); for crocodile/snake/lizard use "piele exotică"` : ""}${dimensionsRule}`;
+10. ${lang.languageRule}${buildBrandVoiceReminders(voice, 11, dimensionsRule)}${buildQaFeedback(qaIssues)}`;
 }
 
-export async function searchWithGrounding(prompt, maxRetries = 3, { aiClient = genAI, keyLabel = "primary", language = "ro", geminiModel = null } = {}) {
-  const lang = getLangConfig(language);
+export async function searchWithGrounding(prompt, maxRetries = 3, { aiClient = genAI, keyLabel = "primary", brandVoice = null, language = "ro", geminiModel = null, signal = null, costTracker = null } = {}) {
+  const lang = getLangConfig(resolveBrandVoice(brandVoice, language));
   const systemInstruction = `You are a product search assistant specialized in finding products on the internet.
 
 CRITICAL RULES:
@@ -290,7 +259,11 @@ CRITICAL RULES:
       finalPrompt = `IMPORTANT: You MUST use Google Search now. Search ONLY the exact product code, do NOT add extra words. Do NOT answer from memory. Do NOT assume the product type.\n\n${prompt}\n\nYou MUST search Google for ONLY the exact code. Use the Google Search tool NOW.`;
     }
 
-    const result = await geminiWithRetry(() => model.generateContent(finalPrompt), 2);
+    const result = await geminiWithRetry(
+      (requestOptions) => model.generateContent(finalPrompt, requestOptions),
+      2,
+      { signal, costTracker, model: geminiModel || GEMINI_MODEL }
+    );
     const response = result.response;
     const text = response.text();
 
@@ -345,7 +318,7 @@ CRITICAL RULES:
 
 // ─── Gemini: Parse & validate search result (structured JSON) ────────
 
-export async function parseSearchResult(product, rawSearchText, { geminiModel = null } = {}) {
+export async function parseSearchResult(product, rawSearchText, { geminiModel = null, signal = null, costTracker = null } = {}) {
   const { title, vendor, image, images } = product;
   const rawImgs = images;
   const imgUrls = Array.isArray(rawImgs)
@@ -405,7 +378,11 @@ Look at ALL the product images carefully and determine if the Google search resu
     const imageCount = contentParts.length - 1;
     console.log(`  [AI Parse] Validating Google description against ${imageCount} image(s) + title`);
 
-    const result = await geminiWithRetry(() => model.generateContent(contentParts));
+    const result = await geminiWithRetry(
+      (requestOptions) => model.generateContent(contentParts, requestOptions),
+      3,
+      { signal, costTracker, model: geminiModel || GEMINI_MODEL }
+    );
     const json = JSON.parse(result.response.text());
 
     console.log(`  [AI Parse] "${title}" → descriptionAccurate: ${json.descriptionAccurate}`);
@@ -418,7 +395,7 @@ Look at ALL the product images carefully and determine if the Google search resu
 
 // ─── Gemini: Description from image ──────────────────────────────────
 
-export async function generateDescriptionFromImage(title, imageUrls, { language = "ro", geminiModel = null, dimensionsText = null } = {}) {
+export async function generateDescriptionFromImage(title, imageUrls, { brandVoice = null, language = "ro", geminiModel = null, dimensionsText = null, qaIssues = null, signal = null, costTracker = null } = {}) {
   if (!imageUrls || imageUrls.length === 0) {
     console.log(`  [AI Vision] No images available for "${title}"`);
     return null;
@@ -431,7 +408,7 @@ export async function generateDescriptionFromImage(title, imageUrls, { language
     const maxImages = 3;
     for (const url of imageUrls.slice(0, maxImages)) {
       try {
-        const imageResponse = await fetch(url);
+        const imageResponse = await fetch(url, { signal });
         if (!imageResponse.ok) {
           console.log(`  [AI Vision] Failed to fetch image: ${imageResponse.status} — ${url}`);
           continue;
@@ -452,29 +429,35 @@ export async function generateDescriptionFromImage(title, imageUrls, { language
 
     console.log(`  [AI Vision] Loaded ${imageParts.length} image(s)`);
 
-    const lang = getLangConfig(language);
-    const model = genAI.getGenerativeModel({ model: geminiModel || GEMINI_MODEL });
+    const voice = resolveBrandVoice(brandVoice, language);
+    const lang = getLangConfig(voice);
+    const model = genAI.getGenerativeModel({
+      model: geminiModel || GEMINI_MODEL,
+      ...(qaIssues ? { generationConfig: buildNoThinkConfig() } : {})
+    });
 
-    const toffRulesBlock = language === "ro" ? `\n${TOFF_RULES_RO}\n\n` : "";
+    const dimensionsRule = dimensionsText
+      ? [`IMPORTANT: Include these exact product dimensions at the end of the features list: "${dimensionsText}"`]
+      : [];
 
-    const prompt = `You are a luxury fashion copywriter. Look at ALL the product images and use the product title to write an elegant product description.
+    const prompt = `You are a fashion copywriter${voice.name ? ` for ${voice.name}` : ""}. Look at ALL the product images and use the product title to write a product description in the brand voice.
 
 Product title: "${title}"
 
 IMPORTANT: The response MUST be written in ${lang.languageName} language.
 IMPORTANT: Do NOT put any title, heading, "**Name**:", or "Description:". Start DIRECTLY with the descriptive paragraph.
 IMPORTANT: Use <br> tags as line dividers in the output (HTML format).
-IMPORTANT: Maximum 800 characters total.
-${toffRulesBlock}EXACT FORMAT (use <br> for line breaks):
-
-[${lang.elegantSentences}. Describe what you SEE across ALL images.] <br>
-<br>
-${lang.featuresLabel}: <br>
-- [feature 1 — material, color, cut, design] <br>
-- [feature 2] <br>
-- [etc — 6-10 visible physical details from ALL images] <br>
-<br>
-${lang.compositionLabel}: [ONLY if you can clearly read the material from a label/tag in the images, or if the product title mentions the material. If you are NOT sure, OMIT this line entirely — do NOT guess.]
+IMPORTANT: Maximum ${voice.maxLength} characters total.
+
+${buildBrandVoiceRules(voice)}
+
+EXACT FORMAT (use <br> for line breaks):
+
+${buildFormatBlock(voice, {
+  intro: `${lang.elegantSentences}. Describe what you SEE across ALL images.`,
+  features: "etc — 6-10 visible physical details from ALL images",
+  composition: "ONLY if you can clearly read the material from a label/tag in the images, or if the product title mentions the material. If you are NOT sure, OMIT this line entirely — do NOT guess."
+})}
 
 STRICT RULES:
 1. Do NOT put titles or headings
@@ -483,13 +466,15 @@ STRICT RULES:
 4. Do NOT guess or invent material composition — include "${lang.compositionLabel}" ONLY if a label/tag is clearly visible OR the product title mentions the material; otherwise OMIT
 5. Do NOT invent specific measurements or precise percentages you cannot see
 6. The ENTIRE response must be in ${lang.languageName} language
-7. Be elegant and sophisticated, in fluent natural ${lang.languageName}
+7. Follow the brand tone, in fluent natural ${lang.languageName}
 8. Use <br> tags for ALL line breaks
-9. Maximum 800 characters total${language === "ro" ? `
-10. NEVER use the word "premium" or any of the banned words/expressions listed in the TOFF rules above
-11. For any animal leather, use only the word "piele" (NEVER specify the animal); for crocodile/snake/lizard use "piele exotică"` : ""}${dimensionsText ? `\n${language === "ro" ? "12" : "10"}. IMPORTANT: Include these exact product dimensions at the end of the features list: "${dimensionsText}"` : ""}`;
+9. Maximum ${voice.maxLength} characters total${buildBrandVoiceReminders(voice, 10, dimensionsRule)}${buildQaFeedback(qaIssues)}`;
 
-    const result = await geminiWithRetry(() => model.generateContent([prompt, ...imageParts]));
+    const result = await geminiWithRetry(
+      (requestOptions) => model.generateContent([prompt, ...imageParts], requestOptions),
+      3,
+      { signal, costTracker, model: geminiModel || GEMINI_MODEL }
+    );
 
     const text = result.response.text();
 
@@ -508,7 +493,7 @@ STRICT RULES:
 
 // ─── Shopify: Rewrite description from images + existing description ─
 
-export async function rewriteDescriptionFromImage(product, { language = "en", geminiModel = null } = {}) {
+export async function rewriteDescriptionFromImage(product, { brandVoice = null, language = "en", geminiModel = null, qaIssues = null, signal = null, costTracker = null } = {}) {
   const { title, vendor } = product;
   const existingDescription = product.existingDescription || "";
 
@@ -529,7 +514,7 @@ export async function rewriteDescriptionFromImage(product, { language = "en", ge
     const imageParts = [];
     for (const url of imageList.slice(0, 3)) {
       try {
-        const imageResponse = await fetch(url);
+        const imageResponse = await fetch(url, { signal });
         if (!imageResponse.ok) continue;
         const imageBuffer = await imageResponse.buffer();
         imageParts.push({
@@ -541,7 +526,8 @@ export async function rewriteDescriptionFromImage(product, { language = "en", ge
       } catch {}
     }
 
-    const lang = getLangConfig(language);
+    const voice = resolveBrandVoice(brandVoice, language);
+    const lang = getLangConfig(voice);
     const activeModel = geminiModel || GEMINI_MODEL;
 
     const hasExisting = existingDescription && existingDescription.trim().length > 20;
@@ -549,9 +535,7 @@ export async function rewriteDescriptionFromImage(product, { language = "en", ge
       ? `\nExisting product description (use as reference for facts, materials, and details — but rewrite completely):\n"""\n${existingDescription.substring(0, 1500)}\n"""\n`
       : "";
 
-    const toffRulesBlock = language === "ro" ? `\n${TOFF_RULES_RO}\n\n` : "";
-
-    const prompt = `You are a luxury fashion copywriter. Write an elegant product description for a high-end online store.
+    const prompt = `You are a fashion copywriter${voice.name ? ` for ${voice.name}` : ""}. Write a product description in the brand voice.
 
 Product title: "${title}"
 Brand: "${vendor || "unknown"}"
@@ -561,26 +545,23 @@ ${imageParts.length > 0 ? "Look at the product images to understand the product'
 IMPORTANT: ${lang.languageRule}
 IMPORTANT: Do NOT put any title, heading, or "Description:". Start DIRECTLY with the descriptive paragraph.
 IMPORTANT: Use <br> tags for line breaks (HTML format).
-IMPORTANT: Maximum 800 characters total.
-${toffRulesBlock}FORMAT (use <br> for line breaks):
-
-[${lang.elegantSentences}] <br>
-<br>
-${lang.featuresLabel}: <br>
-- [feature 1 — material, color, cut, design] <br>
-- [feature 2] <br>
-- [etc — 6-10 details] <br>
-<br>
-${lang.compositionLabel}: [material composition if known from the existing description or clearly visible in images. Otherwise OMIT — do NOT guess.]
+IMPORTANT: Maximum ${voice.maxLength} characters total.
+
+${buildBrandVoiceRules(voice)}
+
+FORMAT (use <br> for line breaks):
+
+${buildFormatBlock(voice, {
+  features: "etc — 6-10 details: material, color, cut, design",
+  composition: "material composition if known from the existing description or clearly visible in images. Otherwise OMIT — do NOT guess."
+})}
 
 RULES:
 1. Start DIRECTLY with the descriptive paragraph
-2. Be elegant and sophisticated, in fluent natural ${lang.languageName}
+2. Follow the brand tone, in fluent natural ${lang.languageName}
 3. ${lang.languageRule}
 4. Use <br> for ALL line breaks
-5. Maximum 800 characters${language === "ro" ? `
-6. NEVER use the word "premium" or any of the banned words/expressions listed in the TOFF rules above
-7. For any animal leather, use only the word "piele" (NEVER specify the animal); for crocodile/snake/lizard use "piele exotică"` : ""}`;
+5. Maximum ${voice.maxLength} characters${buildBrandVoiceReminders(voice, 6)}${buildQaFeedback(qaIssues)}`;
 
     const contentParts = [prompt, ...imageParts];
 
@@ -588,11 +569,15 @@ RULES:
       const modelOpts = { model: activeModel };
       if (generationConfig) modelOpts.generationConfig = generationConfig;
       const m = genAI.getGenerativeModel(modelOpts);
-      const result = await geminiWithRetry(() => m.generateContent(contentParts));
+      const result = await geminiWithRetry(
+        (requestOptions) => m.generateContent(contentParts, requestOptions),
+        3,
+        { signal, costTracker, model: activeModel }
+      );
       return (result.response.text() || "").trim();
     }
 
-    let text = await callOnce();
+    let text = await callOnce(qaIssues ? buildNoThinkConfig() : null);
 
     if (looksLikeThinkingLeak(text)) {
       console.log(`  [AI Rewrite] ⚠ Thinking leak detected for "${title}" (head: "${text.slice(0, 60).replace(/\s+/g, " ")}…"), retrying with thinkingBudget=0…`);
@@ -621,11 +606,12 @@ RULES:
   }
 }
 
-// ─── TOFF reformat: rewrite an existing description using TOFF rules ─
+// ─── Reformat: rewrite an existing description in the brand voice ───
 
-export async function reformatDescriptionWithToffRules(product, { language = "ro", geminiModel = null } = {}) {
+export async function reformatDescriptionWithBrandVoice(product, { brandVoice = null, language = "ro", geminiModel = null, qaIssues = null, signal = null, costTracker = null } = {}) {
   const activeModel = geminiModel || GEMINI_MODEL;
-  const lang = getLangConfig(language);
+  const voice = resolveBrandVoice(brandVoice, language);
+  const lang = getLangConfig(voice);
 
   const title = product.title || "";
   const vendor = product.vendor || "";
@@ -636,9 +622,7 @@ export async function reformatDescriptionWithToffRules(product, { language = "ro
     return null;
   }
 
-  const rulesBlock = language === "ro" ? `\n${TOFF_RULES_RO}\n\n` : "";
-
-  const prompt = `You are a luxury fashion copywriter for TOFF.ro. You will be given an EXISTING product description and you must REWRITE it to follow the new TOFF style rules. Do NOT lose any factual product detail (material, color, model name, distinguishing features). Do NOT invent new facts that are not in the existing description. Just rewrite the style/wording so it follows the new TOFF rules below.
+  const prompt = `You are a fashion copywriter${voice.name ? ` for ${voice.name}` : ""}. You will be given an EXISTING product description and you must REWRITE it to follow the brand voice rules. Do NOT lose any factual product detail (material, color, model name, distinguishing features). Do NOT invent new facts that are not in the existing description. Just rewrite the style/wording so it follows the brand voice rules below.
 
 Product title: "${title}"
 Brand: "${vendor}"
@@ -648,41 +632,41 @@ EXISTING product description (use this as the SOURCE OF TRUTH for product facts
 ${currentDescription.substring(0, 2500)}
 """
 
-${rulesBlock}OUTPUT FORMAT (use <br> for line breaks — same format as the EXISTING description):
+${buildBrandVoiceRules(voice)}
 
-[${lang.elegantSentences}] <br>
-<br>
-${lang.featuresLabel}: <br>
-- [feature 1] <br>
-- [feature 2] <br>
-- [etc — keep ALL the details from the existing description, but rewritten in fluent natural Romanian] <br>
-<br>
-${lang.compositionLabel}: [keep the EXACT material composition from the existing description — do NOT change percentages or materials]
+OUTPUT FORMAT (use <br> for line breaks):
+
+${buildFormatBlock(voice, {
+  features: `etc — keep ALL the details from the existing description, but rewritten in fluent natural ${lang.languageName}`,
+  composition: "keep the EXACT material composition from the existing description — do NOT change percentages or materials"
+})}
 
 STRICT RULES:
 1. Do NOT put any title, heading, "**Name**:", or "Description:". Start DIRECTLY with the descriptive paragraph.
 2. Preserve EVERY factual detail from the existing description (material, color, cut, hardware, dimensions, model name).
 3. Do NOT invent new facts that are not in the existing description.
-4. Apply ALL the TOFF rules above (banned words, leather rule, agreement rule, structure).
-5. Keep the EXACT material composition from "${lang.compositionLabel}:" line — do NOT alter percentages or materials.
-6. Maximum 800 characters total.
+4. Apply ALL the brand voice rules above (tone, banned words, guidelines, structure).
+5. Keep the EXACT material composition from the existing description — do NOT alter percentages or materials.
+6. Maximum ${voice.maxLength} characters total.
 7. Use <br> for ALL line breaks.
-8. ${lang.languageRule}${language === "ro" ? `
-9. NEVER use the word "premium" or any other banned words from the TOFF rules above.
-10. For any animal leather, use only "piele" (NEVER "piele de miel/vițel/oaie/cerf"); for crocodile/snake/lizard use "piele exotică".` : ""}
+8. ${lang.languageRule}
 
-Respond with ONLY the rewritten description, nothing else.`;
+Respond with ONLY the rewritten description, nothing else.${buildQaFeedback(qaIssues)}`;
 
   async function callOnce(generationConfig = null) {
     const modelOpts = { model: activeModel };
     if (generationConfig) modelOpts.generationConfig = generationConfig;
     const model = genAI.getGenerativeModel(modelOpts);
-    const result = await geminiWithRetry(() => model.generateContent(prompt));
+    const result = await geminiWithRetry(
+      (requestOptions) => model.generateContent(prompt, requestOptions),
+      3,
+      { signal, costTracker, model: activeModel }
+    );
     return (result.response.text() || "").trim();
   }
 
   try {
-    let text = await callOnce();
+    let text = await callOnce(qaIssues ? buildNoThinkConfig() : null);
 
     if (looksLikeThinkingLeak(text)) {
       console.log(`  [AI Reformat] ⚠ Thinking leak detected for "${title}" (head: "${text.slice(0, 60).replace(/\s+/g, " ")}…"), retrying with thinkingBudget=0…`);
@@ -711,49 +695,57 @@ Respond with ONLY the rewritten description, nothing else.`;
   }
 }
 
-// ─── TOFF SEO generation (Title + MetaTagDescription) ────────────────
-
-const TOFF_SEO_RULES_RO = `
-TOFF SEO RULES (mandatory — Romanian language):
-
-TITLE (page title — VTEX field "Title", maximum 50 characters TOTAL including the suffix):
-- Format: "<Tip produs> <Model SAU caracteristică distinctivă>| TOFF.ro"
-- The suffix "| TOFF.ro" is MANDATORY at the end (no space before "|", one space after "|").
-- Include: product type ALWAYS; model OR a distinctive feature; brand ONLY if it fits in 50 chars total.
-- Examples (follow EXACTLY this style):
-  • "Pantofi sport Satin Crystal 10| TOFF.ro"
-  • "Borsetă din piele| TOFF.ro"
-  • "Botine cu toc din piele | TOFF.ro"
-  • "Pantofi sport cu inserții lână| TOFF.ro"
-- HARD limit: 50 characters total. If too long, drop the brand first, then shorten the model.
-- NEVER use the word "premium" or other banned words from TOFF rules.
-- For any animal leather use only "piele" (NEVER specify the animal). For crocodile/snake/lizard use "piele exotică".
-
-META DESCRIPTION (VTEX field "MetaTagDescription", between 120 and 160 characters):
-- Start with a verb: "Descoperă" / "Descopera".
-- Include: product type, a benefit, optional brand, optional demographic ("pentru femei" / "pentru bărbați").
-- Include at least one ⭐ separator. You may also use ✓ and ✈ as separators.
-- Use 2-3 benefits from this rotating list (vary across products, do NOT always use the same combo):
-  • Produs original de la TOFF.ro
-  • Produs de lux
-  • Livrare gratuită
-  • Livrare în 1-2 zile lucrătoare
-  • Plată sigură online
-  • Retur gratuit
-  • Eleganță casual
-- HARD limits: between 120 and 160 characters.
-- AVOID generic, repetitive phrasing. Make each meta description feel specific to the product (mention the actual type/feature).
-- Examples (follow this style):
-  • "Descoperă colecția Amina Muaddi pentru femei la TOFF ⭐Produse de lux ✓Pantofi cu toc, sandale ✈Livrare gratuită ✓Plată sigură online"
-  • "Descopera pantofi sport cu pietre pentru femei ⭐Produs original de la TOFF.ro ⭐Produs de lux ⭐Livrare in 1-2 zile lucratoare"
-  • "Balerini și espadrile Gianvito Rossi la TOFF ⭐Eleganță casual ✈Livrare și retur gratuite ✓Plată sigură online"
-  • "Descopera geanta impletita pentru barbati ⭐Produs original de la TOFF.ro ⭐Produs de lux ⭐Livrare in 1-2 zile lucratoare"
-- NEVER use "premium" or other banned words from TOFF rules.
-`.trim();
-
-export async function generateSEO(product, { language = "ro", geminiModel = null } = {}) {
+// ─── SEO generation (Title + MetaTagDescription) ─────────────────────
+
+function bulletList(items, indent = "  • ") {
+  return items.map((item) => `${indent}${item}`).join("\n");
+}
+
+/**
+ * SEO rules block of a brand voice: title format and limits, meta description
+ * guidelines, rotating benefits and examples
+ */
+export function buildSeoRules(voice) {
+  const { seo } = voice;
+  const title = [
+    `TITLE (page title, maximum ${seo.titleMaxLength} characters TOTAL${seo.titleSuffix ? " including the suffix" : ""}):`,
+    ...(seo.titleSuffix ? [`- The suffix "${seo.titleSuffix}" is MANDATORY at the end.`] : []),
+    ...seo.titleGuidelines.map((rule) => `- ${rule}`),
+    ...(seo.titleExamples.length > 0 ? [`- Examples (follow EXACTLY this style):\n${bulletList(seo.titleExamples.map((t) => `"${t}"`))}`] : []),
+    `- HARD limit: ${seo.titleMaxLength} characters total.`
+  ];
+  const meta = [
+    `META DESCRIPTION (between ${seo.metaMinLength} and ${seo.metaMaxLength} characters):`,
+    ...seo.metaGuidelines.map((rule) => `- ${rule}`),
+    ...(seo.benefits.length > 0 ? [`- Use 2-3 benefits from this rotating list (vary across products, do NOT always use the same combo):\n${bulletList(seo.benefits)}`] : []),
+    `- HARD limits: between ${seo.metaMinLength} and ${seo.metaMaxLength} characters.`,
+    "- AVOID generic, repetitive phrasing. Make each meta description feel specific to the product (mention the actual type/feature).",
+    ...(seo.metaExamples.length > 0 ? [`- Examples (follow this style):\n${bulletList(seo.metaExamples.map((m) => `"${m}"`))}`] : [])
+  ];
+  const brand = [
+    ...(voice.bannedWords.length > 0 ? [`- NEVER use these words/expressions: ${voice.bannedWords.map(({ word }) => `"${word}"`).join(", ")}`] : []),
+    ...voice.guidelines.map((rule) => `- ${rule}`)
+  ];
+
+  return [
+    `SEO RULES${voice.name ? ` — ${voice.name}` : ""} (mandatory — ${voice.languageName} language):`,
+    title.join("\n"),
+    meta.join("\n"),
+    ...(brand.length > 0 ? [`BRAND RULES (title and meta description):\n${brand.join("\n")}`] : [])
+  ].join("\n\n");
+}
+
+// Compared without whitespace: "Title| TOFF.ro" and "Title | TOFF.ro" both end with "| TOFF.ro"
+function endsWithSuffix(text, suffix) {
+  const squash = (value) => value.replace(/\s+/g, "").toLowerCase();
+  return squash(text).endsWith(squash(suffix));
+}
+
+export async function generateSEO(product, { brandVoice = null, language = "ro", geminiModel = null, qaIssues = null, signal = null, costTracker = null } = {}) {
   const activeModel = geminiModel || GEMINI_MODEL;
-  const lang = getLangConfig(language);
+  const voice = resolveBrandVoice(brandVoice, language);
+  const lang = getLangConfig(voice);
+  const { titleSuffix, titleMaxLength, metaMinLength, metaMaxLength } = voice.seo;
 
   const title = product.title || "";
   const vendor = product.vendor || "";
@@ -762,11 +754,9 @@ export async function generateSEO(product, { language = "ro", geminiModel = null
   const demographic = Array.isArray(product.demographics) ? product.demographics[0] : (product.demographic || "");
   const descriptionExcerpt = (product.description || "").replace(/<[^>]*>/g, " ").replace(/\s+/g, " ").trim().slice(0, 600);
 
-  const demographicLabel = demographic === "woman" ? "femei" : (demographic === "man" ? "bărbați" : "");
-
-  const rulesBlock = language === "ro" ? TOFF_SEO_RULES_RO : "";
+  const demographicLabel = voice.demographics[demographic] || "";
 
-  const prompt = `You are an SEO copywriter for TOFF.ro, a Romanian luxury fashion online store.
+  const prompt = `You are an SEO copywriter for ${voice.name || "a fashion online store"}.
 
 Generate the SEO Title and Meta Description for this product.
 
@@ -778,9 +768,9 @@ Product data:
 - Demographic: "${demographicLabel || "—"}"
 - Existing description (for context, do NOT copy verbatim): "${descriptionExcerpt}"
 
-${rulesBlock}
+${buildSeoRules(voice)}
 
-Output: respond ONLY with a JSON object matching the schema. Romanian language. Respect the character limits STRICTLY.`;
+Output: respond ONLY with a JSON object matching the schema. ${lang.languageName} language. Respect the character limits STRICTLY.${buildQaFeedback(qaIssues)}`;
 
   const seoSchema = {
     responseMimeType: "application/json",
@@ -789,11 +779,11 @@ Output: respond ONLY with a JSON object matching the schema. Romanian language.
       properties: {
         title: {
           type: SchemaType.STRING,
-          description: "SEO page title in Romanian, max 50 chars total, MUST end with '| TOFF.ro'"
+          description: `SEO page title in ${lang.languageName}, max ${titleMaxLength} chars total${titleSuffix ? `, MUST end with '${titleSuffix}'` : ""}`
         },
         metaDescription: {
           type: SchemaType.STRING,
-          description: "Meta description in Romanian, between 120 and 160 chars, with at least one ⭐ separator"
+          description: `Meta description in ${lang.languageName}, between ${metaMinLength} and ${metaMaxLength} chars`
         }
       },
       required: ["title", "metaDescription"]
@@ -803,7 +793,11 @@ Output: respond ONLY with a JSON object matching the schema. Romanian language.
   async function callOnce(extraConfig = null) {
     const generationConfig = { ...seoSchema, ...(extraConfig || {}) };
     const m = genAI.getGenerativeModel({ model: activeModel, generationConfig });
-    const result = await geminiWithRetry(() => m.generateContent(prompt));
+    const result = await geminiWithRetry(
+      (requestOptions) => m.generateContent(prompt, requestOptions),
+      3,
+      { signal, costTracker, model: activeModel }
+    );
     const raw = result.response.text();
     let parsed;
     try {
@@ -815,7 +809,7 @@ Output: respond ONLY with a JSON object matching the schema. Romanian language.
   }
 
   try {
-    let { title: seoTitle, metaDescription: seoMeta, _raw: rawText } = await callOnce();
+    let { title: seoTitle, metaDescription: seoMeta, _raw: rawText } = await callOnce(qaIssues ? buildNoThinkConfig() : null);
 
     const seoLeak = looksLikeThinkingLeak(seoTitle) || looksLikeThinkingLeak(seoMeta) || looksLikeThinkingLeak(rawText);
     if (seoLeak) {
@@ -836,20 +830,19 @@ Output: respond ONLY with a JSON object matching the schema. Romanian language.
       console.log(`  [AI SEO] ✓ Retry succeeded for "${title}"`);
     }
 
-    if (seoTitle && !/\|\s*TOFF\.ro$/i.test(seoTitle)) {
-      seoTitle = `${seoTitle.replace(/[\s|]+$/, "")}| TOFF.ro`;
+    if (seoTitle && titleSuffix && !endsWithSuffix(seoTitle, titleSuffix)) {
+      seoTitle = `${seoTitle.replace(/[\s|]+$/, "")}${titleSuffix}`;
     }
-    if (seoTitle.length > 50) {
+    if (seoTitle.length > titleMaxLength) {
       console.log(`  [AI SEO] ⚠ Title too long (${seoTitle.length}), truncating: "${seoTitle}"`);
-      const suffix = "| TOFF.ro";
-      seoTitle = seoTitle.slice(0, 50 - suffix.length).replace(/[\s|]+$/, "") + suffix;
+      seoTitle = seoTitle.slice(0, titleMaxLength - titleSuffix.length).replace(/[\s|]+$/, "") + titleSuffix;
     }
 
-    if (seoMeta.length > 160) {
-      console.log(`  [AI SEO] ⚠ Meta too long (${seoMeta.length}), truncating to 160`);
-      seoMeta = seoMeta.slice(0, 160).trim();
+    if (seoMeta.length > metaMaxLength) {
+      console.log(`  [AI SEO] ⚠ Meta too long (${seoMeta.length}), truncating to ${metaMaxLength}`);
+      seoMeta = seoMeta.slice(0, metaMaxLength).trim();
     }
-    if (seoMeta.length < 120) {
+    if (seoMeta.length < metaMinLength) {
       console.log(`  [AI SEO] ⚠ Meta too short (${seoMeta.length}) for "${title}"`);
     }
 
@@ -877,8 +870,9 @@ function isGrounding429Error(error) {
     || msg.includes("quota");
 }
 
-export async function generateAIDescription(product, { language = "ro", geminiModel = null } = {}) {
+export async function generateAIDescription(product, { brandVoice = null, language = "ro", geminiModel = null, qaIssues = null, signal = null, costTracker = null } = {}) {
   const activeModel = geminiModel || GEMINI_MODEL;
+  const voice = resolveBrandVoice(brandVoice, language);
   const sku = product.sku || null;
 
   const rawImages = product.images;
@@ -894,7 +888,7 @@ export async function generateAIDescription(product, { language = "ro", geminiMo
 
   // ── Step 1: Google Search + validate against product images ──
   if (sku && groundingClients.length > 0) {
-    const prompt = buildDescriptionPrompt(sku, { language, dimensionsText: product.dimensionsText });
+    const prompt = buildDescriptionPrompt(sku, { brandVoice: voice, dimensionsText: product.dimensionsText, qaIssues });
     const totalKeys = groundingClients.length;
     const startIdx = groundingRoundRobinIndex;
     groundingRoundRobinIndex = (groundingRoundRobinIndex + 1) % totalKeys;
@@ -904,13 +898,13 @@ export async function generateAIDescription(product, { language = "ro", geminiMo
       console.log(`  [AI Desc] Searching Google for "${product.title}" using SKU: ${sku} [${label}]`);
 
       try {
-        const result = await searchWithGrounding(prompt, 2, { aiClient: client, keyLabel: label, language, geminiModel: activeModel });
+        const result = await searchWithGrounding(prompt, 2, { aiClient: client, keyLabel: label, brandVoice: voice, geminiModel: activeModel, signal, costTracker });
 
         if (result.grounded && result.found && result.text) {
           console.log(`  [AI Desc] Google found product (${result.text.length} chars), validating...`);
           console.log(`  [AI Desc] Google description:\n${result.text}`);
 
-          const parsed = await parseSearchResult(product, result.text, { geminiModel: activeModel });
+          const parsed = await parseSearchResult(product, result.text, { geminiModel: activeModel, signal, costTracker });
 
           if (parsed.descriptionAccurate) {
             console.log(`  [AI Desc] ✓ Google Search description accepted for "${product.title}" [${label}]`);
@@ -925,6 +919,7 @@ export async function generateAIDescription(product, { language = "ro", geminiMo
         }
         break;
       } catch (error) {
+        if (signal?.aborted) throw error;
         if (isGrounding429Error(error)) {
           keys429Count++;
           console.log(`  [AI Desc] ⚠ Grounding 429 on ${label} (${keys429Count}/${totalKeys}): ${error.message}`);
@@ -946,7 +941,8 @@ export async function generateAIDescription(product, { language = "ro", geminiMo
   }
 
   // ── Step 2: Generate description from images (fallback) ──
-  const imageDescription = await generateDescriptionFromImage(product.title, imageList, { language, geminiModel: activeModel, dimensionsText: product.dimensionsText });
+  signal?.throwIfAborted();
+  const imageDescription = await generateDescriptionFromImage(product.title, imageList, { brandVoice: voice, geminiModel: activeModel, dimensionsText: product.dimensionsText, qaIssues, signal, costTracker });
   if (imageDescription) {
     const source = groundingError429 ? "ai_image_grounding_429" : "ai_image";
     console.log(`  [AI Desc] ✓ Using image-based description for "${product.title}" (source: ${source})`);
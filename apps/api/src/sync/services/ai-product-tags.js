@@ -0,0 +1,137 @@
+import { GoogleGenerativeAI, SchemaType } from "@google/generative-ai";
+import { config as runaConfig } from "@runa/config";
+import { geminiWithRetry } from "../utils/index.js";
+
+const GEMINI_MODEL = runaConfig.gemini.liteModel || runaConfig.gemini.model;
+const genAI = new GoogleGenerativeAI(runaConfig.gemini.apiKey);
+
+// ─── Prompt ──────────────────────────────────────────────────────────
+
+function formatOptions(options) {
+  return options
+    .map(({ label, description }) => `   - "${label}"${description ? ` — ${description}` : ""}`)
+    .join("\n");
+}
+
+function buildTaggingPrompt(products, taxonomy) {
+  const numbered = products
+    .map((p, i) => {
+      let line = `${i + 1}. "${p.title}"`;
+      if (p.vendor) line += ` [${p.vendor}]`;
+      if (p.productType) line += ` (${p.productType})`;
+      return line;
+    })
+    .join("\n");
+
+  const picks = taxonomy.picks.enabled
+    ? `
+
+3. **Pick strength** (0-10): Is this a standout piece for a curated "${taxonomy.picks.label}" selection?
+   10 = hero piece, 0 = basic item. Be selective: only about ${taxonomy.picks.quota}% of products are picks.`
+    : "";
+
+  return `${taxonomy.instructions ? `${taxonomy.instructions}\n\n` : ""}Classify each product below.
+
+For each product, determine:
+
+1. **Occasions** (1-${taxonomy.maxOccasions}): When would someone wear/use this piece?
+${formatOptions(taxonomy.occasions)}
+
+2. **Style Lane** (exactly 1): The product's aesthetic world.
+${formatOptions(taxonomy.styleLanes)}${picks}
+
+Products:
+${numbered}`;
+}
+
+function buildResponseSchema(taxonomy) {
+  const properties = {
+    index: {
+      type: SchemaType.INTEGER,
+      description: "1-based index of the product in the input list"
+    },
+    occasions: {
+      type: SchemaType.ARRAY,
+      description: `1 to ${taxonomy.maxOccasions} occasions this product is best suited for`,
+      items: { type: SchemaType.STRING, format: "enum", enum: taxonomy.occasions.map(o => o.label) }
+    },
+    style_lane: {
+      type: SchemaType.STRING,
+      format: "enum",
+      enum: taxonomy.styleLanes.map(l => l.label),
+      description: "The primary style lane this product belongs to"
+    }
+  };
+  if (taxonomy.picks.enabled) {
+    properties.pick_strength = {
+      type: SchemaType.INTEGER,
+      description: "0-10, how strong a candidate for the curated selection this product is"
+    };
+  }
+
+  return {
+    type: SchemaType.ARRAY,
+    items: {
+      type: SchemaType.OBJECT,
+      properties,
+      required: Object.keys(properties)
+    }
+  };
+}
+
+// ─── Classification ──────────────────────────────────────────────────
+
+/**
+ * Classify a batch of products against a tag taxonomy (see utils/product-tags.js)
+ * Unknown labels are dropped and occasions are capped at maxOccasions; products
+ * missing from the response are left out of the result.
+ * @param {Object[]} products - [{ id, title, vendor, productType }]
+ * @param {Object} taxonomy - Resolved tag taxonomy
+ * @returns {Promise<Map<string, Object>>} - Product ID → { occasions, styleLane, pickStrength }
+ */
+export async function classifyProductTags(products, taxonomy, { geminiModel = null, signal = null, costTracker = null } = {}) {
+  const activeModel = geminiModel || GEMINI_MODEL;
+  const prompt = buildTaggingPrompt(products, taxonomy);
+
+  const model = genAI.getGenerativeModel({
+    model: activeModel,
+    generationConfig: {
+      responseMimeType: "application/json",
+      responseSchema: buildResponseSchema(taxonomy)
+    }
+  });
+  const result = await geminiWithRetry(
+    (requestOptions) => model.generateContent(prompt, requestOptions),
+    3,
+    { signal, costTracker, model: activeModel }
+  );
+
+  const text = result.response.text().trim();
+  let parsed;
+  try {
+    parsed = JSON.parse(text);
+  } catch (e) {
+    throw new Error(`Unparseable tagging response (${e.message}): ${text.substring(0, 200)}`);
+  }
+
+  const occasionLabels = new Set(taxonomy.occasions.map(o => o.label));
+  const laneLabels = new Set(taxonomy.styleLanes.map(l => l.label));
+  const classifications = new Map();
+
+  for (const item of Array.isArray(parsed) ? parsed : []) {
+    const product = products[item.index - 1];
+    if (!product || !laneLabels.has(item.style_lane)) continue;
+
+    const occasions = [...new Set(item.occasions || [])]
+      .filter(label => occasionLabels.has(label))
+      .slice(0, taxonomy.maxOccasions);
+    if (occasions.length === 0) continue;
+
+    classifications.set(String(product.id), {
+      occasions,
+      styleLane: item.style_lane,
+      pickStrength: taxonomy.picks.enabled ? Math.max(0, Math.min(10, item.pick_strength || 0)) : 0
+    });
+  }
+  return classifications;
+}
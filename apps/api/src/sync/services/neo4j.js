@@ -45,15 +45,52 @@ export class Neo4jService {
     }
   }
 
-  async createOrUpdateCategories(categories) {
+  /**
+   * Save a store's category tree
+   * Categories are keyed by (storeId, name) so tenants never share a node.
+   * @param {string} storeId - Store ID
+   * @param {Array} categories - [{ id, title, handle, fullPath, parentId }] from fetchCollections()
+   */
+  async createOrUpdateCategories(storeId, categories) {
     const driver = this.getDriver();
     const session = driver.session();
     const tx = session.beginTransaction();
+
+    // Parents are referenced by platform ID; nodes are matched by name
+    const nameById = new Map(categories.map(c => [String(c.id), c.title.toLowerCase()]));
+    const rows = categories.map(c => ({
+      name: c.title.toLowerCase(),
+      title: c.title,
+      sourceId: c.id != null ? String(c.id) : null,
+      handle: c.handle || null,
+      fullPath: c.fullPath || null,
+      parentName: c.parentId != null ? nameById.get(String(c.parentId)) || null : null
+    }));
+
     try {
-      await Promise.all(
-        categories.map(c =>
-          tx.run(`MERGE (c:Category {name: toLower($title)}) ON CREATE SET c.name = toLower($title)`, { title: c.title })
-        )
+      await tx.run(
+        `MATCH (store:Store {id: $storeId})
+         UNWIND $rows AS row
+         MERGE (c:Category {storeId: $storeId, name: row.name})
+         SET c.title = row.title, c.sourceId = row.sourceId, c.handle = row.handle,
+             c.fullPath = row.fullPath, c.updated_at = $nowIso
+         MERGE (store)-[:HAS_CATEGORY]->(c)`,
+        { storeId, rows, nowIso: new Date().toISOString() }
+      );
+
+      // Rebuild the hierarchy (parents may have moved since the last sync)
+      await tx.run(
+        `MATCH (:Category {storeId: $storeId})-[r:HAS_SUBCATEGORY]->(:Category)
+         DELETE r`,
+        { storeId }
+      );
+      await tx.run(
+        `UNWIND $rows AS row
+         WITH row WHERE row.parentName IS NOT NULL AND row.parentName <> row.name
+         MATCH (c:Category {storeId: $storeId, name: row.name})
+         MATCH (parent:Category {storeId: $storeId, name: row.parentName})
+         MERGE (parent)-[:HAS_SUBCATEGORY]->(c)`,
+        { storeId, rows }
       );
       await tx.commit();
     } catch (e) {
@@ -65,6 +102,26 @@ export class Neo4jService {
     }
   }
 
+  /**
+   * Recompute Category.productCount for a store (after a sync or a cleanup)
+   */
+  async refreshCategoryCounts(storeId) {
+    const driver = this.getDriver();
+    const session = driver.session();
+    try {
+      await session.run(
+        `MATCH (c:Category {storeId: $storeId})
+         OPTIONAL MATCH (p:Product)-[:HAS_CATEGORY]->(c)
+         WITH c, count(DISTINCT p) AS productCount
+         SET c.productCount = productCount`,
+        { storeId }
+      );
+    } finally {
+      await session.close();
+      await driver.close();
+    }
+  }
+
   async getExistingProductIds(storeId, productIds) {
     const driver = this.getDriver();
     const session = driver.session();
@@ -80,6 +137,84 @@ export class Neo4jService {
     }
   }
 
+  /**
+   * Delta sync state of stored products: platform updatedAt and the hashes
+   * recorded at the last save
+   * @returns {Promise<Map<string, Object>>} - productId → { needUpdate, sourceUpdatedAt, contentHash, inventoryHash }
+   */
+  async getProductSyncState(storeId, productIds) {
+    const driver = this.getDriver();
+    const session = driver.session();
+    try {
+      const result = await session.run(
+        `MATCH (p:Product)
+         WHERE p.storeId = $storeId AND p.id IN $productIds
+         RETURN p.id AS id, p.need_update AS needUpdate, p.sourceUpdatedAt AS sourceUpdatedAt,
+                p.contentHash AS contentHash, p.inventoryHash AS inventoryHash`,
+        { storeId, productIds: productIds.map(id => String(id)) }
+      );
+      return new Map(result.records.map(r => [String(r.get("id")), {
+        needUpdate: r.get("needUpdate") === true,
+        sourceUpdatedAt: r.get("sourceUpdatedAt"),
+        contentHash: r.get("contentHash"),
+        inventoryHash: r.get("inventoryHash")
+      }]));
+    } finally {
+      await session.close();
+      await driver.close();
+    }
+  }
+
+  /**
+   * Cheap delta update: variant price/stock and the sync fingerprint, without
+   * touching enrichment (descriptions, embeddings, style data)
+   */
+  async updateProductInventory(storeId, products) {
+    const driver = this.getDriver();
+    const session = driver.session();
+    const toPrice = (value) => {
+      const price = parseFloat(value);
+      return Number.isFinite(price) ? price : null;
+    };
+
+    const rows = products.map(p => ({
+      productId: String(p.id),
+      sourceUpdatedAt: p.sourceUpdatedAt || null,
+      contentHash: p.contentHash,
+      inventoryHash: p.inventoryHash,
+      lastSeenAt: p.lastSeenAt || null,
+      variants: (p.variants || []).map(v => ({
+        id: String(v.id),
+        title: v.title || null,
+        price: toPrice(v.price),
+        compare_at_price: toPrice(v.compare_at_price),
+        inventory_quantity: v.inventory_quantity ?? null
+      }))
+    }));
+
+    try {
+      await session.run(
+        `UNWIND $rows AS row
+         MATCH (p:Product {id: row.productId})
+         WHERE p.storeId = $storeId
+         SET p.sourceUpdatedAt = row.sourceUpdatedAt, p.contentHash = row.contentHash,
+             p.inventoryHash = row.inventoryHash, p.inventory_updated_at = $nowIso,
+             p.lastSeenAt = COALESCE(row.lastSeenAt, p.lastSeenAt)
+         WITH p, row
+         UNWIND row.variants AS variant
+         MERGE (v:Variant {id: variant.id})
+         SET v.price = variant.price, v.price_old = variant.compare_at_price,
+             v.inventoryQuantity = variant.inventory_quantity,
+             v.title = COALESCE(variant.title, v.title)
+         MERGE (p)-[:HAS_VARIANT]->(v)`,
+        { rows, storeId, nowIso: new Date().toISOString() }
+      );
+    } finally {
+      await session.close();
+      await driver.close();
+    }
+  }
+
   async saveProducts(productsData, storeData, appData, demographicsData) {
     console.log("saving products", productsData.length);
     
@@ -111,13 +246,24 @@ export class Neo4jService {
 
       const productProps = `{
            id: product.productId, need_update: null, title: product.title, titleEmbedding: product.titleEmbedding,
-           description: product.description, descriptionSource: product.descriptionSource, content: product.content, product: product.product,
+           description: product.description, descriptionSource: product.descriptionSource, sourceDescriptionHash: product.sourceDescriptionHash,
+           descriptionDraft: product.descriptionDraft, originalDescription: product.originalDescription,
+           descriptionReviewStatus: CASE WHEN product.descriptionDraft IS NOT NULL THEN "pending" ELSE p.descriptionReviewStatus END,
+           descriptionReviewedBy: CASE WHEN product.descriptionDraft IS NOT NULL THEN null ELSE p.descriptionReviewedBy END,
+           descriptionReviewedByEmail: CASE WHEN product.descriptionDraft IS NOT NULL THEN null ELSE p.descriptionReviewedByEmail END,
+           descriptionReviewedAt: CASE WHEN product.descriptionDraft IS NOT NULL THEN null ELSE p.descriptionReviewedAt END,
+           descriptionEdited: CASE WHEN product.descriptionDraft IS NOT NULL THEN null ELSE p.descriptionEdited END,
+           content: product.content, product: product.product,
            seoTitle: product.seoTitle, seoMetaDescription: product.seoMetaDescription, seoSource: product.seoSource,
+           descriptionQaIssues: product.descriptionQaIssues, rejectedDescription: product.rejectedDescription,
+           seoQaIssues: product.seoQaIssues, rejectedSeo: product.rejectedSeo,
            characteristics: product.characteristics, styleCode: product.styleCode, styleData: product.styleData,
            styleBody: product.styleBody, stylePersonality: product.stylePersonality, styleChromatic: product.styleChromatic,
            is_neutral: product.is_neutral, neutral_whitelist: product.neutral_whitelist, color_vec: product.color_vec,
            image: product.image, images: product.images, vendor: product.vendor, currency: product.currency,
            category: product.category, handle: product.handle, status: product.status, storeId: product.storeId,
+           sourceCategory: product.sourceCategory, ruleCategories: product.ruleCategories, mappingRuleIds: product.mappingRuleIds,
+           categoryPaths: product.categoryPaths, platformTags: product.platformTags, product_type: product.productType,
            contentEmbedding: product.contentEmbedding, productEmbedding: product.productEmbedding,
            characteristicsEmbedding: product.characteristicsEmbedding, categoryEmbedding: product.categoryEmbedding,
            styleCodeEmbedding: product.styleCodeEmbedding, searchAttributesText: product.searchAttributesText,
@@ -128,20 +274,39 @@ export class Neo4jService {
            en_title: product.en_title, en_price: product.en_price, en_price_currency: product.en_price_currency,
            en_url: product.en_url, en_product_type: product.en_product_type, en_description: product.en_description, en_json: product.en_json,
            sku: product.sku,
-           lastSeenAt: COALESCE(product.lastSeenAt, p.lastSeenAt)
+           sourceUpdatedAt: product.sourceUpdatedAt, contentHash: product.contentHash, inventoryHash: product.inventoryHash,
+           lastSeenAt: COALESCE(product.lastSeenAt, p.lastSeenAt), publishedAt: product.publishedAt
          }`;
 
+      // Query 0: Unlink the categories mapping rules gave last time and no longer give
+      // (runs before Query 1 overwrites p.ruleCategories)
+      await tx.run(
+        `UNWIND $newProducts AS product
+         MATCH (p:Product {id: product.productId})
+         WHERE p.ruleCategories IS NOT NULL
+         WITH p, [collection IN product.collections | toLower(collection.title)] AS keep
+         MATCH (p)-[link:HAS_CATEGORY]->(c:Category)
+         WHERE c.name IN [name IN p.ruleCategories | toLower(name)] AND NOT c.name IN keep
+         DELETE link`,
+        { newProducts }
+      );
+
       // Query 1: Create/update products + Store relationship + Demographics
       // These are isolated from optional UNWINDs so they always execute
+      // Demographics are replaced: the ones the product no longer has are unlinked
       await tx.run(
         `UNWIND $newProducts AS product
          MERGE (p:Product {id: product.productId})
-         ON CREATE SET p += ${productProps}
+         ON CREATE SET p += ${productProps}, p.firstSeenAt = $nowIso
          ON MATCH SET p += ${productProps}
          WITH p, product
          MATCH (store:Store {id: product.storeId})
          MERGE (store)-[:HAS_PRODUCT]->(p)
          WITH p, product
+         OPTIONAL MATCH (p)-[old:HAS_DEMOGRAPHIC]->(d:Demographic)
+         WHERE NOT d.name IN product.demographics
+         WITH p, product, collect(old) AS stale
+         FOREACH (link IN stale | DELETE link)
          FOREACH (demographic IN product.demographics |
            MERGE (d:Demographic {name: demographic})
            MERGE (p)-[:HAS_DEMOGRAPHIC]->(d)
@@ -170,8 +335,12 @@ export class Neo4jService {
          MATCH (p:Product {id: product.productId})
          WITH p, product
          UNWIND product.collections AS collection
-         MERGE (c:Category {name: toLower(collection.title)})
-         MERGE (p)-[:HAS_CATEGORY]->(c)`,
+         MERGE (c:Category {storeId: product.storeId, name: toLower(collection.title)})
+         ON CREATE SET c.title = collection.title, c.sourceId = toString(collection.id)
+         MERGE (p)-[:HAS_CATEGORY]->(c)
+         WITH c, product
+         MATCH (store:Store {id: product.storeId})
+         MERGE (store)-[:HAS_CATEGORY]->(c)`,
         { newProducts }
       );
 
@@ -184,9 +353,13 @@ export class Neo4jService {
            MATCH (p:Product {id: product.productId})
            WITH p, product
            UNWIND split(product.tags, ",") AS tag
-           WITH p, trim(tag) AS tag WHERE tag <> ""
-           MERGE (c:Category {name: toLower(tag)})
-           MERGE (p)-[:HAS_CATEGORY]->(c)`,
+           WITH p, product, trim(tag) AS tag WHERE tag <> ""
+           MERGE (c:Category {storeId: product.storeId, name: toLower(tag)})
+           ON CREATE SET c.title = tag
+           MERGE (p)-[:HAS_CATEGORY]->(c)
+           WITH c, product
+           MATCH (store:Store {id: product.storeId})
+           MERGE (store)-[:HAS_CATEGORY]->(c)`,
           { newProducts }
         );
       }
@@ -224,19 +397,37 @@ export class Neo4jService {
 
     let description = p.body_html || "";
     let descriptionSource = p.descriptionSource || "original";
+    // A new AI description goes back to the review queue as a draft; the
+    // product keeps serving the platform text until the draft is approved
+    const isDraft = description.trim() !== "" && !["original", "none", "rejected"].includes(descriptionSource);
 
     return {
       productId: p.id.toString(),
       storeId: storeData.id,
       title: p.title,
       titleEmbedding: p.titleEmbedding || null,
-      description,
+      description: isDraft ? p.originalDescription || "" : description,
       descriptionSource,
+      descriptionDraft: isDraft ? description : null,
+      originalDescription: p.originalDescription ?? null,
+      sourceDescriptionHash: p.sourceDescriptionHash || null,
       seoTitle: p.seoTitle || null,
       seoMetaDescription: p.seoMetaDescription || null,
       seoSource: p.seoSource || null,
+      // Copy QA: why the AI output was rejected (cleared once a later sync passes)
+      descriptionQaIssues: p.descriptionQaIssues || null,
+      rejectedDescription: p.rejectedDescription || null,
+      seoQaIssues: p.seoQaIssues || null,
+      rejectedSeo: p.rejectedSeo || null,
       vendor: p.vendor,
       category: p.category,
+      // Mapping rules: what they match on and what they gave (see utils/mapping-rules.js)
+      sourceCategory: p.sourceCategory || null,
+      ruleCategories: p.ruleCategories || null,
+      mappingRuleIds: p.mappingRuleIds || null,
+      categoryPaths: p.categoryPaths || null,
+      platformTags: p.platformTags || null,
+      productType: p.productType || p.product_type || null,
       handle: p.handle,
       status: p.status,
       variants: p.variants || [],
@@ -278,10 +469,19 @@ export class Neo4jService {
       en_description: p.en_description || null,
       en_json: p.en_json || null,
       sku: p.sku || p.vtex?.productReference || null,
-      lastSeenAt: p.lastSeenAt || null
+      sourceUpdatedAt: p.sourceUpdatedAt || null,
+      contentHash: p.contentHash || null,
+      inventoryHash: p.inventoryHash || null,
+      lastSeenAt: p.lastSeenAt || null,
+      publishedAt: p.published_at || null
     };
   }
 
+  /**
+   * Record that a sync run saw products on the platform
+   * Quarantined products seen again are restored (see @runa/core neo4j/quarantine.js);
+   * their widgets were dropped, so the widget timestamps are cleared too.
+   */
   async stampLastSeenAt(storeId, productIds, timestamp) {
     const driver = this.getDriver();
     const session = driver.session();
@@ -290,7 +490,10 @@ export class Neo4jService {
         `UNWIND $productIds AS productId
          MATCH (p:Product {id: productId})
          WHERE p.storeId = $storeId
-         SET p.lastSeenAt = $timestamp`,
+         SET p.lastSeenAt = $timestamp
+         WITH p WHERE p.deletedAt IS NOT NULL
+         SET p.complete_the_look_updated_at = NULL, p.similar_product_updated_at = NULL
+         REMOVE p.deletedAt, p.purgeAt`,
         { productIds: productIds.map(id => String(id)), storeId, timestamp }
       );
     } finally {
@@ -299,31 +502,313 @@ export class Neo4jService {
     }
   }
 
-  async deleteStaleProducts(storeId, syncRunStartedAt) {
+  /**
+   * Products with AI copy that can be written back to the platform, along with
+   * what was last pushed for them.
+   * Description candidates have an AI (not "original") description approved in
+   * the review queue, SEO candidates an SEO title.
+   * @param {Object} options - { productIds, fields: ["description", "seo"] }
+   * @returns {Promise<Object[]>}
+   */
+  async getWriteBackCandidates(storeId, { productIds = null, fields = ["description", "seo"] } = {}) {
     const driver = this.getDriver();
     const session = driver.session();
     try {
       const result = await session.run(
-        `MATCH (store:Store {id: $storeId})-[:HAS_PRODUCT]->(p:Product)
-         WHERE p.lastSeenAt IS NOT NULL AND p.lastSeenAt < $syncRunStartedAt
-         RETURN count(p) AS staleCount, collect(p.title)[0..20] AS sampleTitles`,
-        { storeId, syncRunStartedAt }
+        `MATCH (p:Product)
+         WHERE p.storeId = $storeId AND ($productIds IS NULL OR p.id IN $productIds)
+         WITH p,
+              ("description" IN $fields AND trim(coalesce(p.description, "")) <> ""
+                AND p.descriptionSource IS NOT NULL AND NOT p.descriptionSource IN ["original", "none", "rejected"]
+                AND p.descriptionReviewStatus = "approved") AS hasDescription,
+              ("seo" IN $fields AND trim(coalesce(p.seoTitle, "")) <> "") AS hasSeo
+         WHERE hasDescription OR hasSeo
+         RETURN p.id AS id, p.title AS title, p.handle AS handle,
+                CASE WHEN hasDescription THEN p.description END AS description,
+                p.descriptionSource AS descriptionSource, p.sourceDescriptionHash AS sourceDescriptionHash,
+                p.descriptionPushedHash AS descriptionPushedHash, p.descriptionPushedAt AS descriptionPushedAt,
+                CASE WHEN hasSeo THEN p.seoTitle END AS seoTitle,
+                CASE WHEN hasSeo THEN p.seoMetaDescription END AS seoMetaDescription,
+                p.seoSource AS seoSource, p.seoPushedHash AS seoPushedHash, p.seoPushedAt AS seoPushedAt
+         ORDER BY p.updated_at DESC`,
+        { storeId, fields, productIds: productIds ? productIds.map(id => String(id)) : null }
       );
+      return result.records.map(r => r.toObject());
+    } finally {
+      await session.close();
+      await driver.close();
+    }
+  }
 
-      const record = result.records[0];
-      const staleCount = record ? (record.get('staleCount').toNumber ? record.get('staleCount').toNumber() : Number(record.get('staleCount'))) : 0;
-      const sampleTitles = record ? record.get('sampleTitles') || [] : [];
+  /**
+   * Record a write-back on the product node
+   * @param {Object} props - e.g. { descriptionPushedAt, descriptionPushedHash, lastWriteBackJobId }
+   */
+  async recordWriteBack(storeId, productId, props) {
+    const driver = this.getDriver();
+    const session = driver.session();
+    try {
+      await session.run(
+        `MATCH (p:Product {id: $productId})
+         WHERE p.storeId = $storeId
+         SET p += $props`,
+        { storeId, productId: String(productId), props }
+      );
+    } finally {
+      await session.close();
+      await driver.close();
+    }
+  }
 
-      if (staleCount > 0) {
-        await session.run(
-          `MATCH (store:Store {id: $storeId})-[:HAS_PRODUCT]->(p:Product)
-           WHERE p.lastSeenAt IS NOT NULL AND p.lastSeenAt < $syncRunStartedAt
-           DETACH DELETE p`,
-          { storeId, syncRunStartedAt }
-        );
-      }
+  /**
+   * Products to classify with the store's tag taxonomy
+   * @param {Object} options - { force: every product, handle: that product only }
+   *   Without either, only products never tagged are returned.
+   * @returns {Promise<Object[]>} - [{ id, title, handle, vendor, productType, taxonomyTags, tagsPushedAt }]
+   */
+  async getTaggingCandidates(storeId, { force = false, handle = null } = {}) {
+    const driver = this.getDriver();
+    const session = driver.session();
+    try {
+      const result = await session.run(
+        `MATCH (p:Product)
+         WHERE p.storeId = $storeId AND p.deletedAt IS NULL
+           AND ($handle IS NULL OR p.handle = $handle)
+           AND ($force OR $handle IS NOT NULL OR p.taggedAt IS NULL)
+         RETURN p.id AS id, p.title AS title, p.handle AS handle,
+                p.vendor AS vendor, p.product_type AS productType,
+                p.taxonomyTags AS taxonomyTags, p.tagsPushedAt AS tagsPushedAt
+         ORDER BY p.updated_at DESC`,
+        { storeId, force, handle }
+      );
+      return result.records.map(r => r.toObject());
+    } finally {
+      await session.close();
+      await driver.close();
+    }
+  }
+
+  /**
+   * Save tag classifications on the product nodes
+   * tagsPushedAt is null unless these tags were just written to the platform.
+   * @param {Object[]} rows - [{ productId, occasions, styleLane, isPick, taxonomyTags, taggedAt, tagsPushedAt }]
+   */
+  async saveProductTags(storeId, rows) {
+    const driver = this.getDriver();
+    const session = driver.session();
+    try {
+      await session.run(
+        `UNWIND $rows AS row
+         MATCH (p:Product {id: row.productId})
+         WHERE p.storeId = $storeId
+         SET p.occasions = row.occasions, p.styleLane = row.styleLane, p.isPick = row.isPick,
+             p.taxonomyTags = row.taxonomyTags, p.taggedAt = row.taggedAt,
+             p.tagsPushedAt = row.tagsPushedAt`,
+        { storeId, rows: rows.map(row => ({ ...row, productId: String(row.productId) })) }
+      );
+    } finally {
+      await session.close();
+      await driver.close();
+    }
+  }
+
+  /**
+   * Save what mapping rules match on for stored products, as fetched this run
+   * (see getProductFacts in utils/mapping-rules.js). New products get them when saved.
+   * @param {Object[]} products - Unified products with categoryPaths, platformTags, productType
+   */
+  async saveMappingFacts(storeId, products) {
+    const driver = this.getDriver();
+    const session = driver.session();
+    try {
+      await session.run(
+        `UNWIND $rows AS row
+         MATCH (p:Product {id: row.productId})
+         WHERE p.storeId = $storeId
+         SET p.categoryPaths = row.categoryPaths, p.platformTags = row.platformTags,
+             p.product_type = row.productType`,
+        {
+          storeId,
+          rows: products.map(p => ({
+            productId: String(p.id),
+            categoryPaths: p.categoryPaths,
+            platformTags: p.platformTags,
+            productType: p.productType
+          }))
+        }
+      );
+    } finally {
+      await session.close();
+      await driver.close();
+    }
+  }
+
+  /**
+   * Stored products with what mapping rules match on and what they set
+   * categoryPaths is null for products not synced since facts were saved.
+   * @returns {Promise<Object[]>} - [{ id, title, handle, vendor, productType, image, categoryPaths,
+   *   platformTags, category, sourceCategory, ruleCategories, demographics, categories }]
+   */
+  async getMappingCandidates(storeId) {
+    const driver = this.getDriver();
+    const session = driver.session();
+    try {
+      const result = await session.run(
+        `MATCH (p:Product)
+         WHERE p.storeId = $storeId AND p.deletedAt IS NULL
+         OPTIONAL MATCH (p)-[:HAS_DEMOGRAPHIC]->(d:Demographic)
+         WITH p, collect(DISTINCT d.name) AS demographics
+         OPTIONAL MATCH (p)-[:HAS_CATEGORY]->(c:Category)
+         RETURN p.id AS id, p.title AS title, p.handle AS handle, p.vendor AS vendor,
+                p.product_type AS productType, p.image AS image,
+                p.categoryPaths AS categoryPaths, p.platformTags AS platformTags,
+                p.category AS category, p.sourceCategory AS sourceCategory,
+                p.ruleCategories AS ruleCategories,
+                demographics, collect(DISTINCT c.name) AS categories
+         ORDER BY p.updated_at DESC`,
+        { storeId }
+      );
+      return result.records.map(r => r.toObject());
+    } finally {
+      await session.close();
+      await driver.close();
+    }
+  }
+
+  /**
+   * Save the demographic and categories mapping rules give products
+   * The demographic replaces the product's others. Rule categories are linked
+   * (created when missing) and the ones rules no longer give are unlinked,
+   * unless the platform files the product under them too.
+   * @param {Object[]} rows - [{ productId, demographic, category, ruleCategories, mappingRuleIds }]
+   */
+  async saveProductMapping(storeId, rows) {
+    const driver = this.getDriver();
+    const session = driver.session();
+    const tx = session.beginTransaction();
+    try {
+      const params = {
+        storeId,
+        mappedAt: new Date().toISOString(),
+        rows: rows.map(row => ({ ...row, productId: String(row.productId) }))
+      };
+
+      await tx.run(
+        `UNWIND $rows AS row
+         MATCH (p:Product {id: row.productId})
+         WHERE p.storeId = $storeId
+         OPTIONAL MATCH (p)-[old:HAS_DEMOGRAPHIC]->(d:Demographic)
+         WHERE d.name <> row.demographic
+         DELETE old`,
+        params
+      );
+      await tx.run(
+        `UNWIND $rows AS row
+         MATCH (p:Product {id: row.productId})
+         WHERE p.storeId = $storeId
+         MERGE (d:Demographic {name: row.demographic})
+         MERGE (p)-[:HAS_DEMOGRAPHIC]->(d)
+         WITH p, row, [name IN row.ruleCategories | toLower(name)] AS keep
+         OPTIONAL MATCH (p)-[link:HAS_CATEGORY]->(c:Category)
+         WHERE c.name IN [name IN coalesce(p.ruleCategories, []) | toLower(name)] AND NOT c.name IN keep
+           AND NOT "/" + c.name + "/" IN coalesce(p.categoryPaths, [])
+         DELETE link`,
+        params
+      );
+      await tx.run(
+        `UNWIND $rows AS row
+         MATCH (p:Product {id: row.productId})
+         WHERE p.storeId = $storeId
+         SET p.category = row.category, p.ruleCategories = row.ruleCategories,
+             p.mappingRuleIds = row.mappingRuleIds, p.mappedAt = $mappedAt
+         WITH p, row
+         UNWIND row.ruleCategories AS name
+         MERGE (c:Category {storeId: $storeId, name: toLower(name)})
+         ON CREATE SET c.title = name
+         MERGE (p)-[:HAS_CATEGORY]->(c)
+         WITH c
+         MATCH (store:Store {id: $storeId})
+         MERGE (store)-[:HAS_CATEGORY]->(c)`,
+        params
+      );
+      await tx.commit();
+    } catch (error) {
+      await tx.rollback();
+      throw error;
+    } finally {
+      await session.close();
+      await driver.close();
+    }
+  }
+
+  /**
+   * Products a widget regeneration covers (see WIDGET_SCOPES in store-config.js)
+   * Products without a handle (widgets are keyed by handle) and quarantined
+   * products are skipped.
+   * @param {string} timestampField - Product property the widget's regeneration time is saved in
+   * @param {Object} options - { scope, category }
+   * @returns {Promise<Object[]>} - [{ id, title, handle }], most recently updated first
+   */
+  async getWidgetCandidates(storeId, timestampField, { scope = "changed", category = null } = {}) {
+    const scopeFilter = {
+      changed: `AND (p.${timestampField} IS NULL OR p.${timestampField} < p.updated_at)`,
+      missing: `AND p.${timestampField} IS NULL`,
+      category: "AND (p)-[:HAS_CATEGORY]->(:Category {storeId: $storeId, name: $category})",
+      all: ""
+    }[scope];
 
-      return { staleCount, sampleTitles };
+    const driver = this.getDriver();
+    const session = driver.session();
+    try {
+      const result = await session.run(
+        `MATCH (p:Product)
+         WHERE p.storeId = $storeId AND p.deletedAt IS NULL
+           AND p.handle IS NOT NULL AND p.handle <> ''
+           ${scopeFilter}
+         RETURN p.id AS id, p.title AS title, p.handle AS handle
+         ORDER BY p.updated_at DESC`,
+        { storeId, category: category ? category.toLowerCase().trim() : null }
+      );
+      return result.records.map(r => r.toObject());
+    } finally {
+      await session.close();
+      await driver.close();
+    }
+  }
+
+  /**
+   * Record when a widget was regenerated for products
+   */
+  async stampWidgetRegenerated(storeId, timestampField, productIds, timestamp) {
+    const driver = this.getDriver();
+    const session = driver.session();
+    try {
+      await session.run(
+        `MATCH (p:Product)
+         WHERE p.storeId = $storeId AND p.id IN $productIds
+         SET p.${timestampField} = $timestamp`,
+        { storeId, productIds: productIds.map(String), timestamp }
+      );
+    } finally {
+      await session.close();
+      await driver.close();
+    }
+  }
+
+  /**
+   * Forget that a widget was generated for products whose cached widget was
+   * purged, so the "changed" and "missing" scopes regenerate it
+   */
+  async clearWidgetRegenerated(storeId, timestampField, handles) {
+    const driver = this.getDriver();
+    const session = driver.session();
+    try {
+      await session.run(
+        `MATCH (p:Product)
+         WHERE p.storeId = $storeId AND toLower(p.handle) IN $handles
+         SET p.${timestampField} = NULL`,
+        { storeId, handles: handles.map(h => h.toLowerCase()) }
+      );
     } finally {
       await session.close();
       await driver.close();
@@ -359,7 +844,7 @@ export class Neo4jService {
     const session = driver.session();
     try {
       const result = await session.run(
-        `MATCH (store:Store {id: $storeId})-[:HAS_PRODUCT]->(p:Product)-[:HAS_CATEGORY]->(c:Category) RETURN DISTINCT c.name AS name`,
+        `MATCH (:Product)-[:HAS_CATEGORY]->(c:Category {storeId: $storeId}) RETURN DISTINCT c.name AS name`,
         { storeId }
       );
       return result.records.map(r => r.get("name"));
@@ -14,6 +14,53 @@ import OpenAI from "openai";
 import fetch from "node-fetch";
 import { OPENAI_API_KEY } from "./config.js";
 
+const STANDARD_SEASONS = ["winter", "summer", "autumn", "spring"];
+
+// Taxonomy options as a prompt list; multi-line descriptions become sub-bullets
+function formatStyleOptions(options) {
+  return options.map(({ id, description }) => {
+    const lines = description ? description.split("\n").map(l => l.trim()).filter(Boolean) : [];
+    if (lines.length === 0) return `- "${id}"`;
+    if (lines.length === 1) return `- "${id}": ${lines[0]}`;
+    return `- "${id}"\n${lines.map(l => `  – ${l}`).join("\n")}`;
+  }).join("\n");
+}
+
+function buildStylePrompt(productData, taxonomy) {
+  // The LAB examples name the four classic seasons; custom seasons get the rules only
+  const standardSeasons = taxonomy.seasons.length === STANDARD_SEASONS.length
+    && taxonomy.seasons.every(s => STANDARD_SEASONS.includes(s.id));
+
+  return `
+Product data:
+${JSON.stringify(productData, null, 2)}
+
+Analyze the product for recommended silhouette, personality, and color palette.
+
+## Personality Types
+${formatStyleOptions(taxonomy.personas)}
+
+## Body Shapes
+${formatStyleOptions(taxonomy.bodyShapes)}
+
+## Chromatic Seasons
+${formatStyleOptions(taxonomy.seasons)}
+${taxonomy.rules ? `\n## Rules\n${taxonomy.rules}\n` : ""}
+## Neutral Colors
+Neutral colors (black, white, grey, beige, navy, cream, tan) can work across multiple seasons:
+- Set "is_neutral" to true if the product's dominant color is neutral
+- Set "neutral_whitelist" to an array of seasons where this neutral color works well; for non-neutral items, set neutral_whitelist to []
+- Provide "color_vec" as a 3-element array [L, a, b] representing the LAB color space values for the dominant color
+  (L = lightness 0-100, a = green-red axis -128 to 127, b = blue-yellow axis -128 to 127)
+${standardSeasons ? `
+Example:
+  - Pure white: is_neutral=true, neutral_whitelist=["winter","summer","spring","autumn"], color_vec=[100, 0, 0]
+  - Warm beige: is_neutral=true, neutral_whitelist=["autumn","spring"], color_vec=[80, 5, 20]
+  - Cool grey: is_neutral=true, neutral_whitelist=["winter","summer"], color_vec=[60, 0, -5]
+  - Black: is_neutral=true, neutral_whitelist=["winter","autumn"], color_vec=[0, 0, 0]
+  - Coral dress: is_neutral=false, neutral_whitelist=[], color_vec=[70, 40, 30]` : ""}`;
+}
+
 class OpenAIService {
   constructor() {
     this.apiKey = OPENAI_API_KEY || process.env.OPENAI_API_KEY;
@@ -41,7 +88,7 @@ class OpenAIService {
     }
   }
 
-  async generateEmbeddingsBatch(texts) {
+  async generateEmbeddingsBatch(texts, { signal = null, costTracker = null } = {}) {
     const validEntries = texts.map((t, i) => ({ text: t, index: i })).filter(e => e.text);
     if (validEntries.length === 0) return texts.map(() => null);
 
@@ -50,9 +97,11 @@ class OpenAIService {
       const response = await fetch(url, {
         method: "POST",
         headers: { "Content-Type": "application/json", Authorization: `Bearer ${this.apiKey}` },
-        body: JSON.stringify({ model: "text-embedding-3-small", input: validEntries.map(e => e.text) })
+        body: JSON.stringify({ model: "text-embedding-3-small", input: validEntries.map(e => e.text) }),
+        signal
       });
       const data = await response.json();
+      if (data?.usage) costTracker?.addEmbeddingCost(data.usage.total_tokens || 0);
       const results = new Array(texts.length).fill(null);
       for (const item of (data?.data || [])) {
         results[validEntries[item.index].index] = item.embedding;
@@ -64,7 +113,7 @@ class OpenAIService {
     }
   }
 
-  async getProductProperties(aggregatedContent, defaultCategories, websiteCategories, maxRetries = 2) {
+  async getProductProperties(aggregatedContent, defaultCategories, websiteCategories, maxRetries = 2, { signal = null, costTracker = null } = {}) {
     let retries = 0;
     const categories = defaultCategories || websiteCategories;
 
@@ -123,10 +172,11 @@ class OpenAIService {
               }
             }
           }
-        });
+        }, { signal });
+        costTracker?.addOpenAIChatCost(response.usage);
         return response.choices[0].message.content;
       } catch (error) {
-        if (retries < maxRetries) {
+        if (retries < maxRetries && !signal?.aborted) {
           retries++;
           return requestSummary();
         }
@@ -166,6 +216,116 @@ class OpenAIService {
     return response.choices[0].message.content;
   }
 
+  /**
+   * Classify a product against a store's style taxonomy (see utils/style-taxonomy.js)
+   * @param {Object} productData - { title, description, product_type, tags, vendor }
+   * @param {Object} taxonomy - Resolved style taxonomy
+   * @param {Object} options - { image, signal, costTracker }; image is only sent when the taxonomy uses it
+   * @returns {Promise<Object>} - { body, personality, chromatic, is_neutral, neutral_whitelist, color_vec }
+   */
+  async classifyStyle(productData, taxonomy, { image = null, signal = null, costTracker = null } = {}) {
+    const personas = taxonomy.personas.map(o => o.id);
+    const bodyShapes = taxonomy.bodyShapes.map(o => o.id);
+    const seasons = taxonomy.seasons.map(o => o.id);
+
+    const messages = [
+      { role: "system", content: "You are a fashion style classifier. Given product info, return a JSON style code with keys: body, personality, chromatic." },
+      { role: "user", content: buildStylePrompt(productData, taxonomy) }
+    ];
+
+    if (taxonomy.useImage && image) {
+      try {
+        const bytes = await fetch(image, { signal }).then(r => r.arrayBuffer());
+        messages.push({
+          role: "user",
+          content: [{ type: "image_url", image_url: { url: `data:image/jpeg;base64,${Buffer.from(bytes).toString("base64")}`, detail: "low" } }]
+        });
+      } catch (e) {
+        console.warn("  [Style] Could not fetch image:", e.message);
+      }
+    }
+
+    const response = await this.client.chat.completions.create({
+      model: "gpt-4o-mini",
+      temperature: 0,
+      max_tokens: 1000,
+      response_format: {
+        type: "json_schema",
+        json_schema: {
+          name: "product_style_classification",
+          strict: true,
+          schema: {
+            type: "object",
+            properties: {
+              body: { type: "array", items: { type: "string", enum: bodyShapes } },
+              personality: { type: "array", items: { type: "string", enum: personas } },
+              chromatic: { type: "array", items: { type: "string", enum: seasons } },
+              is_neutral: { type: "boolean" },
+              neutral_whitelist: { type: "array", items: { type: "string", enum: seasons } },
+              color_vec: { type: "array", items: { type: "number" }, minItems: 3, maxItems: 3 }
+            },
+            required: ["body", "personality", "chromatic", "is_neutral", "neutral_whitelist", "color_vec"],
+            additionalProperties: false
+          }
+        }
+      },
+      messages
+    }, { signal });
+    costTracker?.addOpenAIChatCost(response.usage);
+
+    return JSON.parse(response.choices[0].message.content);
+  }
+
+  /**
+   * Name themed collections built around trends (AI Merchant)
+   * @param {Array} proposals - [{ key, theme, signal, titles }]; theme is e.g. "color: red"
+   * @param {Object} options - { storeName, signal }
+   * @returns {Promise<Array>} - [{ key, name, description }]
+   */
+  async nameCollections(proposals, { storeName = null, signal = null } = {}) {
+    const response = await this.client.chat.completions.create({
+      model: "gpt-4o-mini",
+      temperature: 0.8,
+      max_tokens: 2000,
+      response_format: {
+        type: "json_schema",
+        json_schema: {
+          name: "themed_collections",
+          strict: true,
+          schema: {
+            type: "object",
+            properties: {
+              collections: {
+                type: "array",
+                items: {
+                  type: "object",
+                  properties: {
+                    key: { type: "string" },
+                    name: { type: "string" },
+                    description: { type: "string" }
+                  },
+                  required: ["key", "name", "description"],
+                  additionalProperties: false
+                }
+              }
+            },
+            required: ["collections"],
+            additionalProperties: false
+          }
+        }
+      },
+      messages: [
+        {
+          role: "system",
+          content: `You are a fashion merchandiser naming storefront collections${storeName ? ` for ${storeName}` : ""}. Each collection groups products around a trend: a category, color or style lane with a spike in new arrivals ("arrivals") or in stock sold ("depletion"). For each one return its key, a catchy name of 2-5 words and a one-sentence description for shoppers. Do not mention stock, sales or data. Answer in the language of the product titles.`
+        },
+        { role: "user", content: JSON.stringify(proposals) }
+      ]
+    }, { signal });
+
+    return JSON.parse(response.choices[0].message.content).collections;
+  }
+
   getCachedEmbedding(key) {
     return this.embeddingCache.find(e => e.id === key)?.value;
   }
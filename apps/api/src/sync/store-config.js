@@ -0,0 +1,178 @@
+/**
+ * Store Config
+ * Maps a store record (and the user that owns it) to SyncOrchestrator config.
+ * Shared by the API (to validate credentials before queueing) and the worker
+ * (to build the provider for a claimed job).
+ */
+
+import { decryptCredentials } from "@runa/core/services/secrets";
+import { resolveBrandVoice } from "./utils/brand-voice.js";
+
+/**
+ * Platforms that can be synced from the dashboard.
+ * Each one must have a provider in getProviderClass(). This module imports no
+ * providers or sync services, only the secrets helpers and the brand voice
+ * utils, so the API can use it without loading the sync pipeline.
+ */
+export const SYNC_PLATFORMS = ["shopify", "vtex", "woocommerce", "custom"];
+
+/**
+ * Platforms whose provider implements write-back (fetchProductCopy / updateProduct),
+ * and the copy fields that can be written back.
+ */
+export const WRITEBACK_PLATFORMS = ["shopify", "vtex"];
+export const WRITEBACK_FIELDS = ["description", "seo"];
+
+/**
+ * Platforms whose provider can write occasion / style-lane tags (updateProductTags)
+ */
+export const TAG_WRITEBACK_PLATFORMS = ["shopify", "vtex"];
+
+/**
+ * Storefront widgets the worker regenerates (job types of the same name), and
+ * which products a regeneration job covers:
+ *   changed   never regenerated, or re-enriched by a sync since
+ *   missing   never regenerated
+ *   category  every product of one category
+ *   all       every product of the store
+ */
+export const WIDGET_TYPES = ["complete-the-look", "similar-products"];
+export const WIDGET_SCOPES = ["changed", "missing", "category", "all"];
+
+/**
+ * Stale product cleanup at the end of a completed sync (see @runa/core neo4j/quarantine.js)
+ *   enabled         quarantine products the sync did not see
+ *   maxDeletePct    skip the cleanup when more than this % of the active products
+ *                   would go, which usually means the platform returned a partial catalog
+ *   quarantineDays  days a product stays restorable before it is deleted
+ */
+export const DEFAULT_STALE_CLEANUP = { enabled: true, maxDeletePct: 10, quarantineDays: 7 };
+
+/**
+ * Stale cleanup settings of a store, defaults filled in
+ * @returns {Object} - { enabled, maxDeletePct, quarantineDays }
+ */
+export function getStaleCleanup(store) {
+  return { ...DEFAULT_STALE_CLEANUP, ...(store.staleCleanup || {}) };
+}
+
+/**
+ * Get the sync platform for a store
+ * @returns {string} - Lowercase platform name
+ */
+export function getStorePlatform(user, store) {
+  return (store.platform || user.platform || "shopify").toLowerCase();
+}
+
+/**
+ * Shop domain a store syncs under (also its Neo4j store id)
+ * Shopify stores use the shop of the user record (Lambda compatibility).
+ * @returns {string}
+ */
+export function getStoreDomain(user, store) {
+  return getStorePlatform(user, store) === "shopify" && user.shop ? user.shop : store.domain;
+}
+
+/**
+ * Resolve platform credentials for a store
+ * Shopify tokens live at the user root level (Lambda compatibility);
+ * VTEX keys live on the store, with the user root as fallback.
+ * WooCommerce REST keys live on the store.
+ * Custom stores have no credentials, only a feed URL or an uploaded feed file.
+ * @param {Object} user - User record
+ * @param {Object} store - Store entry from user.stores
+ * @returns {Object} - Platform specific credentials
+ */
+export function getStoreCredentials(user, store) {
+  const platform = getStorePlatform(user, store);
+
+  switch (platform) {
+    case "shopify":
+      return { accessToken: user.accessToken || store.accessToken };
+    case "vtex":
+      return {
+        appKey: store.vtexApiKey || user.vtexApiKey,
+        appToken: store.vtexToken || user.vtexToken
+      };
+    case "woocommerce":
+      return {
+        consumerKey: store.consumerKey,
+        consumerSecret: store.consumerSecret
+      };
+    case "custom":
+      return { feedSource: store.feedUrl || store.feedFile };
+    default:
+      return { accessToken: store.accessToken };
+  }
+}
+
+/**
+ * Get the first missing credential for a store, if any
+ * @returns {string|null} - Missing credential name or null when complete
+ */
+export function getMissingCredential(user, store) {
+  const credentials = getStoreCredentials(user, store);
+  const missing = Object.keys(credentials).find((key) => !credentials[key]);
+  return missing || null;
+}
+
+/**
+ * Brand voice the sync uses for a store
+ * The Shopify provider always writes English, so a profile without a language follows it.
+ * @param {Object} profile - Profile to resolve, defaults to the saved one (pass a draft to preview it)
+ * @returns {Object} - Resolved brand voice
+ */
+export function getStoreBrandVoice(user, store, profile = store.brandVoice) {
+  const language = getStorePlatform(user, store) === "shopify" ? "en" : store.descriptionLanguage;
+  return resolveBrandVoice(profile || null, language);
+}
+
+/**
+ * Build SyncOrchestrator config for a store
+ * Job options override the per-store sync settings.
+ * Credentials are decrypted here, so only the worker ever holds them in plaintext.
+ * @param {Object} params - { user, store, storeDomain, region, options }
+ * @returns {Promise<Object>} - Config accepted by SyncOrchestrator / providers
+ */
+export async function buildSyncConfig({ user, store, storeDomain, region = "us-east-1", options = {} }) {
+  const provider = getStorePlatform(user, store);
+  if (!SYNC_PLATFORMS.includes(provider)) {
+    throw new Error(`Sync is not supported for platform "${provider}"`);
+  }
+
+  const domain = storeDomain || store.domain;
+  // Store domains are saved without a scheme, except WooCommerce stores that may run on http
+  const shopName = domain.replace(/^https?:\/\//, "").replace(/\/+$/, "");
+  const config = {
+    provider,
+    shopName,
+    channelId: `${shopName}_scan`,
+    region,
+    forceAll: options.forceAll ?? store.forceAll ?? false,
+    demographic: options.demographic || store.demographic || null,
+    descriptionLanguage: options.descriptionLanguage || store.descriptionLanguage || null,
+    rewriteDescriptions: options.rewriteDescriptions ?? store.rewriteDescriptions ?? false,
+    brandVoice: store.brandVoice || null,
+    styleTaxonomy: store.styleTaxonomy || null,
+    tagTaxonomy: store.tagTaxonomy || null,
+    mappingRules: store.mappingRules || null,
+    staleCleanup: getStaleCleanup(store),
+    geminiModel: options.geminiModel || null,
+    ...(await decryptCredentials(getStoreCredentials(user, store)))
+  };
+
+  if (provider === "vtex") {
+    config.accountName = store.vtexAccountName || shopName.split(".")[0];
+  }
+
+  if (provider === "woocommerce") {
+    config.baseUrl = /^https?:\/\//.test(domain) ? domain.replace(/\/+$/, "") : `https://${shopName}`;
+  }
+
+  if (provider === "custom") {
+    config.feedFormat = store.feedFormat || "auto";
+    config.feedMapping = store.feedMapping || {};
+  }
+
+  return config;
+}
@@ -0,0 +1,237 @@
+/**
+ * Product tagging
+ * Classifies products with the store's tag taxonomy (see utils/product-tags.js)
+ * into occasions, a style lane and, optionally, a pick flag.
+ *
+ * It runs as the last stage of a sync, for the products the sync enriched, and
+ * as a "tagging" job queued from the dashboard: products never tagged
+ * ("missing"), every product ("force") or a single handle.
+ *
+ * Classifications are saved on the Product node (occasions, styleLane, isPick,
+ * taxonomyTags, taggedAt). When the taxonomy has writeBack set they are also
+ * written to the platform as tags; taxonomy tags the product no longer gets are
+ * removed there, other tags are never touched.
+ */
+
+import { neo4jService } from "./services/index.js";
+import { classifyProductTags } from "./services/ai-product-tags.js";
+import { buildProductTags, getTaxonomyTags } from "./utils/product-tags.js";
+import { mapWithConcurrency, retryOnDeadlock } from "./utils/index.js";
+
+// Titles per classification request
+const TAGGING_BATCH_SIZE = 20;
+// Tag writes run with low concurrency: VTEX reads and rewrites the whole product
+const TAG_WRITE_CONCURRENCY = 2;
+// Below this strength a product is never a pick, even when the quota has room
+const MIN_PICK_STRENGTH = 7;
+// Dry runs return their classifications, up to this many
+const MAX_DRY_RUN_PRODUCTS = 50;
+
+/**
+ * Picks of a batch: its strongest products, up to the taxonomy's quota
+ * @returns {Set<string>} - Product IDs
+ */
+function selectPicks(classifications, taxonomy) {
+  if (!taxonomy.picks.enabled) return new Set();
+
+  const maxPicks = Math.ceil(classifications.size * taxonomy.picks.quota / 100);
+  return new Set(
+    [...classifications]
+      .filter(([, c]) => c.pickStrength >= MIN_PICK_STRENGTH)
+      .sort((a, b) => b[1].pickStrength - a[1].pickStrength)
+      .slice(0, maxPicks)
+      .map(([productId]) => productId)
+  );
+}
+
+function sameTags(a, b) {
+  return a.length === b.length && a.every(tag => b.includes(tag));
+}
+
+export class ProductTagger {
+  /**
+   * @param {BaseProvider} provider - Provider of the store (tag taxonomy and credentials included)
+   */
+  constructor(provider) {
+    this.provider = provider;
+    this.storeId = provider.shopName;
+    this.taxonomy = provider.tagTaxonomy;
+    this.neo4j = neo4jService;
+  }
+
+  get writesTags() {
+    return this.taxonomy.writeBack && this.provider.supportsTagWriteBack;
+  }
+
+  /**
+   * Tag products the sync just enriched and saved
+   * Failures are logged per batch and a cancelled sync stops here; either way
+   * the products stay untagged until a "missing" run.
+   * @param {Object[]} products - Unified products
+   */
+  async tagSyncedProducts(products) {
+    const candidates = products.map(p => ({
+      id: String(p.id),
+      title: p.title,
+      handle: p.handle,
+      vendor: p.vendor,
+      productType: p.product_type
+    }));
+
+    for (let i = 0; i < candidates.length; i += TAGGING_BATCH_SIZE) {
+      if (this.provider.signal?.aborted) return;
+      const batch = candidates.slice(i, i + TAGGING_BATCH_SIZE);
+      try {
+        const results = await this.tagBatch(batch);
+        console.log(`  [Tags] ${results.length}/${batch.length} tagged${this.writesTags ? ` (${results.filter(r => r.pushed).length} written to ${this.provider.providerType})` : ""}`);
+      } catch (error) {
+        if (this.provider.signal?.aborted) return;
+        console.log(`  [Tags] ✗ Batch failed: ${error.message}`);
+      }
+    }
+  }
+
+  /**
+   * Tagging job: classify the products a mode selects, batch by batch
+   * @param {Object} options - { mode: "missing" | "force", handle, dryRun, onProgress }
+   * @returns {Promise<Object>} - Counts, occasion and lane totals, plus cancelled when aborted
+   */
+  async run({ mode = "missing", handle = null, dryRun = false, onProgress = null } = {}) {
+    const signal = this.provider.signal;
+    const candidates = await this.neo4j.getTaggingCandidates(this.storeId, { force: mode === "force", handle });
+
+    const stats = {
+      mode,
+      handle,
+      dryRun,
+      writeBack: this.writesTags,
+      candidates: candidates.length,
+      tagged: 0,
+      picks: 0,
+      pushed: 0,
+      failed: 0,
+      occasions: {},
+      styleLanes: {},
+      errors: []
+    };
+    if (dryRun) stats.products = [];
+
+    console.log(`\n=== Tagging ${this.storeId}: ${candidates.length} products (${handle ? `handle ${handle}` : mode}${dryRun ? ", dry run" : ""}) ===`);
+
+    for (let i = 0; i < candidates.length; i += TAGGING_BATCH_SIZE) {
+      if (signal?.aborted) break;
+      const batch = candidates.slice(i, i + TAGGING_BATCH_SIZE);
+
+      try {
+        const results = await this.tagBatch(batch, { dryRun });
+        for (const result of results) {
+          stats.tagged++;
+          if (result.isPick) stats.picks++;
+          if (result.pushed) stats.pushed++;
+          for (const occasion of result.occasions) {
+            stats.occasions[occasion] = (stats.occasions[occasion] || 0) + 1;
+          }
+          stats.styleLanes[result.styleLane] = (stats.styleLanes[result.styleLane] || 0) + 1;
+          if (result.error) this.recordError(stats, result.productId, result.error);
+          if (dryRun && stats.products.length < MAX_DRY_RUN_PRODUCTS) stats.products.push(result);
+        }
+        stats.failed += batch.length - results.length;
+        console.log(`  [Batch ${i / TAGGING_BATCH_SIZE + 1}] ${results.length}/${batch.length} tagged`);
+      } catch (error) {
+        if (signal?.aborted) break;
+        stats.failed += batch.length;
+        this.recordError(stats, null, error.message);
+        console.log(`  [Batch ${i / TAGGING_BATCH_SIZE + 1}] ✗ ${error.message}`);
+      }
+      onProgress?.(Math.min(i + batch.length, candidates.length), candidates.length);
+    }
+
+    if (signal?.aborted) {
+      stats.cancelled = true;
+    }
+    stats.costs = this.provider.costTracker.getSummary();
+    return stats;
+  }
+
+  recordError(stats, productId, error) {
+    if (stats.errors.length < 20) {
+      stats.errors.push({ productId, error });
+    }
+  }
+
+  /**
+   * Classify one batch, then save and write back each product's tags
+   * Products the classifier skipped are left out of the result. A failed
+   * platform write is reported on the product; its classification is still saved.
+   * @param {Object[]} products - [{ id, title, handle, vendor, productType, taxonomyTags?, tagsPushedAt? }]
+   * @returns {Promise<Object[]>} - [{ productId, title, handle, occasions, styleLane, isPick, tags, pushed, error? }]
+   */
+  async tagBatch(products, { dryRun = false } = {}) {
+    const classifications = await classifyProductTags(products, this.taxonomy, { geminiModel: this.provider.geminiModel, ...this.provider.aiOptions });
+    const picks = selectPicks(classifications, this.taxonomy);
+
+    const results = products
+      .filter(p => classifications.has(String(p.id)))
+      .map(p => {
+        const productId = String(p.id);
+        const { occasions, styleLane } = classifications.get(productId);
+        const tagging = { occasions, styleLane, isPick: picks.has(productId) };
+        return {
+          productId,
+          title: p.title,
+          handle: p.handle,
+          ...tagging,
+          tags: buildProductTags(tagging, this.taxonomy),
+          pushed: false,
+          previousTags: p.taxonomyTags || null,
+          alreadyPushed: Boolean(p.tagsPushedAt)
+        };
+      });
+    if (dryRun || results.length === 0) return results.map(stripInternal);
+
+    const taggedAt = new Date().toISOString();
+    if (this.writesTags) {
+      await mapWithConcurrency(results, TAG_WRITE_CONCURRENCY, async (result) => {
+        try {
+          await this.pushTags(result);
+        } catch (error) {
+          result.error = `Tag write failed: ${error.message}`;
+        }
+      }, { signal: this.provider.signal });
+    }
+
+    await retryOnDeadlock(() => this.neo4j.saveProductTags(this.storeId, results.map(r => ({
+      productId: r.productId,
+      occasions: r.occasions,
+      styleLane: r.styleLane,
+      isPick: r.isPick,
+      taxonomyTags: r.tags,
+      taggedAt,
+      tagsPushedAt: r.pushed ? taggedAt : null
+    }))));
+
+    return results.map(stripInternal);
+  }
+
+  /**
+   * Write a product's tags to the platform, removing the taxonomy tags it lost
+   * Products whose tags did not change since the last write are not touched.
+   */
+  async pushTags(result) {
+    if (result.alreadyPushed && result.previousTags && sameTags(result.previousTags, result.tags)) {
+      result.pushed = true;
+      return;
+    }
+
+    const remove = [...new Set([...(result.previousTags || []), ...getTaxonomyTags(this.taxonomy)])]
+      .filter(tag => !result.tags.includes(tag));
+    await this.provider.updateProductTags(result.productId, { add: result.tags, remove });
+    result.pushed = true;
+  }
+}
+
+function stripInternal({ previousTags, alreadyPushed, ...result }) {
+  return result;
+}
+
+export default ProductTagger;
@@ -0,0 +1,335 @@
+/**
+ * Brand Voice
+ * Per-store copy rules used by the AI description and SEO prompts
+ *
+ * A profile is saved on the store record (`store.brandVoice`) and edited from
+ * the dashboard. Missing fields fall back to DEFAULT_BRAND_VOICE, so an empty
+ * profile gives a neutral fashion-store voice in the store's language.
+ *
+ * Profile shape:
+ *   {
+ *     name: "TOFF.ro",                // Store / brand name the copywriter writes for
+ *     language: "ro",                 // ISO 639-1; empty = the store's descriptionLanguage
+ *     tone: "...",
+ *     bannedWords: [{ word, replacement }],
+ *     guidelines: ["..."],            // Any other rule (materials, grammar, facts)
+ *     sections: ["intro", "features", "composition"],
+ *     labels: { features, composition, care },
+ *     examples: ["<description html>"],
+ *     maxLength: 800,
+ *     seo: { enabled, titleSuffix, titleMaxLength, metaMinLength, metaMaxLength,
+ *            titleGuidelines, metaGuidelines, benefits, titleExamples, metaExamples }
+ *   }
+ *
+ * This module is prompt-free so the API can validate profiles without loading
+ * the AI services.
+ */
+
+// ─── Sections ─────────────────────────────────────────────────────────
+
+// Description sections in the order they may appear; labeled ones start with "<label>:"
+export const BRAND_VOICE_SECTIONS = {
+  intro: { labeled: false },
+  features: { labeled: true },
+  composition: { labeled: true },
+  care: { labeled: true },
+  styling: { labeled: false }
+};
+
+// ─── Languages ────────────────────────────────────────────────────────
+
+const LANGUAGE_DEFAULTS = {
+  ro: {
+    labels: { features: "Caracteristici", composition: "Compoziție produs", care: "Instrucțiuni de întreținere" },
+    demographics: { woman: "femei", man: "bărbați" }
+  },
+  en: {
+    labels: { features: "Features", composition: "Material composition", care: "Care instructions" },
+    demographics: { woman: "women", man: "men" }
+  }
+};
+
+/**
+ * English name of a language code, e.g. "ro" → "ROMANIAN"
+ */
+export function getLanguageName(code) {
+  try {
+    return new Intl.DisplayNames(["en"], { type: "language" }).of(code).toUpperCase();
+  } catch {
+    return code.toUpperCase();
+  }
+}
+
+// ─── Defaults & presets ───────────────────────────────────────────────
+
+export const DEFAULT_BRAND_VOICE = {
+  name: "",
+  language: "",
+  tone: "Elegant and sophisticated, like a fashion online store. Natural, fluent language — no word-for-word translations or artificial phrasing.",
+  bannedWords: [],
+  guidelines: [
+    "Do NOT invent information: the description must reflect the real product."
+  ],
+  sections: ["intro", "features", "composition"],
+  labels: {},
+  examples: [],
+  maxLength: 800,
+  seo: {
+    enabled: false,
+    titleSuffix: "",
+    titleMaxLength: 60,
+    metaMinLength: 120,
+    metaMaxLength: 160,
+    titleGuidelines: [],
+    metaGuidelines: [],
+    benefits: [],
+    titleExamples: [],
+    metaExamples: []
+  }
+};
+
+// Starting points offered by the editor; "toff" is the voice TOFF.ro launched with
+export const BRAND_VOICE_PRESETS = {
+  toff: {
+    name: "TOFF.ro",
+    language: "ro",
+    tone: "Limbaj natural, fluent, în română corectă. Ton elegant, sofisticat, de magazin online de modă. EVITĂ traduceri mot-a-mot și formulări artificiale.",
+    bannedWords: [
+      { word: "premium", replacement: null },
+      { word: "fuziune", replacement: "combinație" },
+      { word: "haute couture", replacement: null },
+      { word: "piese de croitorie relaxată", replacement: "croială lejeră" },
+      { word: "vârf migdalat", replacement: "bot în formă de migdală" },
+      { word: "piele de miel", replacement: "piele" },
+      { word: "piele de vițel", replacement: "piele" },
+      { word: "piele de oaie", replacement: "piele" },
+      { word: "piele de cerf", replacement: "piele" }
+    ],
+    guidelines: [
+      "Pentru orice tip de piele de animal folosește DOAR cuvântul \"piele\". Pentru piele de crocodil, șarpe sau șopârlă folosește exclusiv \"piele exotică\".",
+      "Verifică acordul gramatical (ex: \"acești pantofi SUNT\", nu \"este\"; \"aceste sneakers\", nu \"acești sneakers\").",
+      "Atenție la genul produsului: pantofi/sneakers (m. pl.), sandale/cizme (f. pl.), geantă (f. sg.).",
+      "NU inventa informații (ex: nu atribui \"haute couture\" dacă nu e confirmat de sursă). Descrierea trebuie să reflecte produsul real.",
+      "Scrie culorile și finisajele în română fluentă: \"finisaj spălat în nuanță verde kaki\", nu \"Finisaj spălat în nuanță Khaki Green\"; \"croială lejeră, oversized\", nu \"siluetă relaxată tip boxy\"."
+    ],
+    sections: ["intro", "features", "composition", "styling"],
+    labels: {},
+    examples: [
+      "Sandalele Hibiscus 105mm, Aquazzura, dau un aer refreshing ținutelor tale, fie că le porți pe timp de zi, cu o rochie vaporoasă din in sau cu o pereche de jeans, fie că le integrezi într-un look de seară, cu piese din paiete. Nuanța tonică de verde poate fi asortată cu tonuri complementare de oranj, dar și cu piese albe. <br>\n<br>\nCaracteristici: <br>\n- sandale verzi din piele velur <br>\n- model clasic strappy <br>\n- bot în formă de migdală <br>\n- o baretă subțire pe partea din față <br>\n- șireturi pe gleznă cu elemente în formă de frunză <br>\n- toc înalt subțire (10,5 cm) <br>\n- interior nude din piele cu etichetă cu logo <br>\n<br>\nCompoziție produs: Piele 100%",
+      "Sandalele Vanessa 100mm, Sophia Webster, dau un aer statement oricărei ținute în care le porți, grație dispunerii baretelor subțiri, care pun în valoare linia gleznei, și a fluturilor aplicați, elementul semnătură al brandului. Nuanța puternică de roșu întreține senzualitatea modelului. <br>\n<br>\nCaracteristici: <br>\n- sandale roșii din piele cu efect perlat <br>\n- model strappy clasic <br>\n- multiple barete subțiri pe partea din față <br>\n- baretă tip șiret pe gleznă <br>\n- bot în formă de migdală ascuțită <br>\n- interior roșu din piele cu logo auriu <br>\n- talpă subțire <br>\n- toc înalt subțire (10 cm) <br>\n- fluturi cu pietre aplicați pe barete <br>\n<br>\nCompoziție produs: Piele 100%"
+    ],
+    maxLength: 800,
+    seo: {
+      enabled: true,
+      titleSuffix: "| TOFF.ro",
+      titleMaxLength: 50,
+      metaMinLength: 120,
+      metaMaxLength: 160,
+      titleGuidelines: [
+        "Format: \"<Tip produs> <Model SAU caracteristică distinctivă>| TOFF.ro\" (no space before \"|\", one space after it).",
+        "Include: product type ALWAYS; model OR a distinctive feature; brand ONLY if it fits in the limit.",
+        "If too long, drop the brand first, then shorten the model."
+      ],
+      metaGuidelines: [
+        "Start with a verb: \"Descoperă\" / \"Descopera\".",
+        "Include: product type, a benefit, optional brand, optional demographic (\"pentru femei\" / \"pentru bărbați\").",
+        "Include at least one ⭐ separator. You may also use ✓ and ✈ as separators."
+      ],
+      benefits: [
+        "Produs original de la TOFF.ro",
+        "Produs de lux",
+        "Livrare gratuită",
+        "Livrare în 1-2 zile lucrătoare",
+        "Plată sigură online",
+        "Retur gratuit",
+        "Eleganță casual"
+      ],
+      titleExamples: [
+        "Pantofi sport Satin Crystal 10| TOFF.ro",
+        "Borsetă din piele| TOFF.ro",
+        "Botine cu toc din piele | TOFF.ro",
+        "Pantofi sport cu inserții lână| TOFF.ro"
+      ],
+      metaExamples: [
+        "Descoperă colecția Amina Muaddi pentru femei la TOFF ⭐Produse de lux ✓Pantofi cu toc, sandale ✈Livrare gratuită ✓Plată sigură online",
+        "Descopera pantofi sport cu pietre pentru femei ⭐Produs original de la TOFF.ro ⭐Produs de lux ⭐Livrare in 1-2 zile lucratoare",
+        "Balerini și espadrile Gianvito Rossi la TOFF ⭐Eleganță casual ✈Livrare și retur gratuite ✓Plată sigură online",
+        "Descopera geanta impletita pentru barbati ⭐Produs original de la TOFF.ro ⭐Produs de lux ⭐Livrare in 1-2 zile lucratoare"
+      ]
+    }
+  }
+};
+
+// ─── Validation ───────────────────────────────────────────────────────
+
+const LIMITS = {
+  text: 2000,
+  listItems: 50,
+  examples: 5,
+  exampleLength: 3000
+};
+
+function cleanList(value, field, errors) {
+  if (value === undefined || value === null) return undefined;
+  if (!Array.isArray(value)) {
+    errors.push(`${field} must be an array`);
+    return undefined;
+  }
+  if (value.length > LIMITS.listItems) {
+    errors.push(`${field} can have at most ${LIMITS.listItems} entries`);
+  }
+  return value
+    .filter((item) => typeof item === "string" && item.trim() !== "")
+    .map((item) => item.trim());
+}
+
+function cleanLength(value, field, errors, { min = 1, max = 5000 } = {}) {
+  if (value === undefined || value === null || value === "") return undefined;
+  const n = Number(value);
+  if (!Number.isInteger(n) || n < min || n > max) {
+    errors.push(`${field} must be an integer between ${min} and ${max}`);
+    return undefined;
+  }
+  return n;
+}
+
+/**
+ * Validate and clean a profile from the dashboard
+ * Unknown fields are dropped; empty fields are left out so the defaults apply.
+ * @param {Object} input - Profile as sent by the client
+ * @returns {{ profile: Object, errors: string[] }}
+ */
+export function normalizeBrandVoice(input) {
+  const errors = [];
+  if (!input || typeof input !== "object" || Array.isArray(input)) {
+    return { profile: null, errors: ["brandVoice must be an object"] };
+  }
+
+  const profile = {};
+
+  for (const field of ["name", "tone"]) {
+    if (input[field] === undefined || input[field] === null) continue;
+    if (typeof input[field] !== "string" || input[field].length > LIMITS.text) {
+      errors.push(`${field} must be a string of at most ${LIMITS.text} characters`);
+    } else if (input[field].trim()) {
+      profile[field] = input[field].trim();
+    }
+  }
+
+  if (input.language) {
+    if (typeof input.language !== "string" || !/^[a-z]{2}$/.test(input.language)) {
+      errors.push("language must be a two-letter ISO 639-1 code, e.g. \"ro\"");
+    } else {
+      profile.language = input.language;
+    }
+  }
+
+  if (input.bannedWords !== undefined && input.bannedWords !== null) {
+    if (!Array.isArray(input.bannedWords)) {
+      errors.push("bannedWords must be an array of { word, replacement }");
+    } else {
+      profile.bannedWords = input.bannedWords
+        .map((entry) => (typeof entry === "string" ? { word: entry } : entry || {}))
+        .filter((entry) => typeof entry.word === "string" && entry.word.trim() !== "")
+        .map((entry) => ({
+          word: entry.word.trim(),
+          replacement: typeof entry.replacement === "string" && entry.replacement.trim() ? entry.replacement.trim() : null
+        }));
+      if (profile.bannedWords.length > LIMITS.listItems) {
+        errors.push(`bannedWords can have at most ${LIMITS.listItems} entries`);
+      }
+    }
+  }
+
+  const guidelines = cleanList(input.guidelines, "guidelines", errors);
+  if (guidelines) profile.guidelines = guidelines;
+
+  const sections = cleanList(input.sections, "sections", errors);
+  if (sections) {
+    const unknown = sections.filter((id) => !BRAND_VOICE_SECTIONS[id]);
+    if (unknown.length > 0) {
+      errors.push(`Unknown sections: ${unknown.join(", ")}. Must be any of: ${Object.keys(BRAND_VOICE_SECTIONS).join(", ")}`);
+    } else if (new Set(sections).size !== sections.length) {
+      errors.push("sections must not repeat");
+    } else if (sections.length > 0) {
+      profile.sections = sections;
+    }
+  }
+
+  if (input.labels !== undefined && input.labels !== null) {
+    if (typeof input.labels !== "object" || Array.isArray(input.labels)) {
+      errors.push("labels must be an object of { section: label }");
+    } else {
+      profile.labels = Object.fromEntries(
+        Object.entries(input.labels)
+          .filter(([id, label]) => BRAND_VOICE_SECTIONS[id]?.labeled && typeof label === "string" && label.trim())
+          .map(([id, label]) => [id, label.trim()])
+      );
+    }
+  }
+
+  const examples = cleanList(input.examples, "examples", errors);
+  if (examples) {
+    if (examples.length > LIMITS.examples) {
+      errors.push(`examples can have at most ${LIMITS.examples} entries`);
+    }
+    if (examples.some((example) => example.length > LIMITS.exampleLength)) {
+      errors.push(`Each example can have at most ${LIMITS.exampleLength} characters`);
+    }
+    profile.examples = examples;
+  }
+
+  const maxLength = cleanLength(input.maxLength, "maxLength", errors, { min: 100, max: 5000 });
+  if (maxLength) profile.maxLength = maxLength;
+
+  if (input.seo !== undefined && input.seo !== null) {
+    if (typeof input.seo !== "object" || Array.isArray(input.seo)) {
+      errors.push("seo must be an object");
+    } else {
+      const seo = { enabled: Boolean(input.seo.enabled) };
+      if (typeof input.seo.titleSuffix === "string" && input.seo.titleSuffix.trim()) {
+        // Kept verbatim: "| TOFF.ro" is appended without a space, " - Brand" with one
+        seo.titleSuffix = input.seo.titleSuffix.replace(/\s+$/, "");
+      }
+      for (const [field, max] of [["titleMaxLength", 200], ["metaMinLength", 500], ["metaMaxLength", 500]]) {
+        const n = cleanLength(input.seo[field], `seo.${field}`, errors, { min: 10, max });
+        if (n) seo[field] = n;
+      }
+      for (const field of ["titleGuidelines", "metaGuidelines", "benefits", "titleExamples", "metaExamples"]) {
+        const list = cleanList(input.seo[field], `seo.${field}`, errors);
+        if (list) seo[field] = list;
+      }
+      if (seo.metaMinLength && seo.metaMaxLength && seo.metaMinLength > seo.metaMaxLength) {
+        errors.push("seo.metaMinLength must not exceed seo.metaMaxLength");
+      }
+      if (seo.titleSuffix && seo.titleSuffix.length >= (seo.titleMaxLength || DEFAULT_BRAND_VOICE.seo.titleMaxLength)) {
+        errors.push("seo.titleSuffix must be shorter than seo.titleMaxLength");
+      }
+      profile.seo = seo;
+    }
+  }
+
+  return { profile, errors };
+}
+
+// ─── Resolution ───────────────────────────────────────────────────────
+
+/**
+ * Merge a stored profile with the defaults
+ * @param {Object|null} profile - store.brandVoice
+ * @param {string|null} fallbackLanguage - store.descriptionLanguage, used when the profile has none
+ * @returns {Object} - Complete profile, plus `languageName`, `labels` and `demographics` for the prompts
+ */
+export function resolveBrandVoice(profile, fallbackLanguage = null) {
+  const voice = { ...DEFAULT_BRAND_VOICE, ...(profile || {}) };
+  voice.seo = { ...DEFAULT_BRAND_VOICE.seo, ...(profile?.seo || {}) };
+  voice.language = voice.language || fallbackLanguage || "ro";
+
+  const languageDefaults = LANGUAGE_DEFAULTS[voice.language] || LANGUAGE_DEFAULTS.en;
+  voice.languageName = getLanguageName(voice.language);
+  voice.labels = { ...languageDefaults.labels, ...(profile?.labels || {}) };
+  voice.demographics = languageDefaults.demographics;
+
+  return voice;
+}
+
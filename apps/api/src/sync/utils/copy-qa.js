@@ -0,0 +1,323 @@
+/**
+ * Copy QA
+ * Quality gate for generated descriptions and SEO copy
+ *
+ * Every check returns a list of issues `{ code, message }`; an empty list
+ * means the copy can be saved. The pipeline (see withQualityGate in
+ * services/ai-product-description.js) regenerates failing copy once with the
+ * issues in the prompt and flags it `"rejected"` when the retry fails too.
+ *
+ * Like brand-voice.js this module is prompt-free, so the API and the scripts
+ * can run the checks without loading the AI services.
+ */
+
+import { resolveBrandVoice, getLanguageName } from "./brand-voice.js";
+
+export const QA_ISSUES = {
+  THINKING_LEAK: "thinking_leak",
+  BANNED_WORD: "banned_word",
+  BROKEN_HTML: "broken_html",
+  FORMATTING: "formatting",
+  WRONG_LANGUAGE: "wrong_language",
+  TOO_LONG: "too_long",
+  TOO_SHORT: "too_short",
+  NON_ANSWER: "non_answer"
+};
+
+// Descriptions may overshoot the brand's maxLength by this much before they fail
+const LENGTH_TOLERANCE = 1.1;
+const MIN_DESCRIPTION_LENGTH = 50;
+
+function issue(code, message) {
+  return { code, message };
+}
+
+function visibleText(html) {
+  return (html || "").replace(/<[^>]*>/g, " ").replace(/&nbsp;/g, " ").replace(/\s+/g, " ").trim();
+}
+
+// ─── Dimensions-only detection ────────────────────────────────────────
+
+export function isDimensionsOnly(text) {
+  if (!text) return false;
+  const clean = text.replace(/<[^>]*>/g, "").replace(/\s+/g, " ").trim();
+  if (clean.length === 0 || clean.length > 100) return false;
+  return /^\s*dimensiuni\b/i.test(clean);
+}
+
+// ─── Thinking-leak detector ──────────────────────────────────────────
+// Detects when Gemini's chain-of-thought leaks into the visible text.
+// Triggered both by suspicious openings (the model "thinking out loud")
+// and by telltale meta phrases / banned-word echoes from the prompt.
+
+const LEAK_START_PATTERNS = [
+  /^thoughtful\b/i,
+  /^okay[,!:\s]/i,
+  /^alright[,!:\s]/i,
+  /^wait[,!:\s]/i,
+  /^let me\b/i,
+  /^the user (wants|asks|needs|provided|gave)/i,
+  /^here(?:'|')?s\b/i,
+  /^based on (?:the|your)\b/i,
+  /^looking at\b/i,
+  /^first[,!:\s]/i,
+  /^so[,!:\s]/i,
+  /^hmm[,!.:\s]/i,
+  /^\*\s*(intro|characteristics|composition|refining|double[\s-]check|final|correction|revised|wait|note)\b/i,
+  /^\*\*\s*(intro|step|note|thought)/i,
+];
+
+const LEAK_PHRASE_PATTERNS = [
+  /\*\s*wait[,\s]/i,
+  /\*\s*refining\b/i,
+  /\*\s*double[\s-]check\b/i,
+  /\*\s*final\s+(check|version|structure|answer)/i,
+  /\*\s*correction\b/i,
+  /\*\s*revised\b/i,
+  /let me re-?read/i,
+  /looking at the (?:source|prompt|rules)/i,
+  /the (?:source|prompt) (?:says|didn'?t|did not|provided)/i,
+  /final check on (?:forbidden|banned)/i,
+  /one (?:more|small|last) (?:check|detail|thing)/i,
+  /example\s+a\b/i,
+  /example\s+b\b/i,
+  /\bexample\s+\d+\s*:/i,
+  /\bcompozi[țt]ie produs:[\s\S]*compozi[țt]ie produs:/i, // header repeated twice
+  // Banned-word lines echoed from the rules block
+  /\(use "[^"]+" instead\)/i,
+  // Rule-block headers leaking verbatim
+  /BRAND VOICE RULES\b/i,
+  /BANNED WORDS\s*\/\s*EXPRESSIONS/i,
+  /REQUIRED STRUCTURE\s*\(in this order/i,
+  /GOOD EXAMPLES\s*\(follow/i,
+  /SEO RULES\s*\(mandatory/i,
+  /PREVIOUS ANSWER WAS REJECTED/i,
+];
+
+export function looksLikeThinkingLeak(text) {
+  if (!text || typeof text !== "string") return false;
+  const trimmed = text.trim();
+  if (trimmed.length < 30) return false;
+
+  const head = trimmed.slice(0, 120);
+  for (const pat of LEAK_START_PATTERNS) {
+    if (pat.test(head)) return true;
+  }
+  for (const pat of LEAK_PHRASE_PATTERNS) {
+    if (pat.test(trimmed)) return true;
+  }
+  return false;
+}
+
+// ─── Banned words ─────────────────────────────────────────────────────
+
+function escapeRegExp(value) {
+  return value.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+}
+
+/**
+ * Banned words of the brand voice found in the text, matched as whole words
+ * @returns {string[]}
+ */
+export function findBannedWords(text, voice) {
+  const clean = visibleText(text);
+  return voice.bannedWords
+    .map(({ word }) => word)
+    .filter((word) => new RegExp(`(?<![\\p{L}\\p{N}])${escapeRegExp(word)}(?![\\p{L}\\p{N}])`, "iu").test(clean));
+}
+
+// ─── HTML & formatting ────────────────────────────────────────────────
+
+const VOID_TAGS = new Set(["br", "hr", "img", "wbr", "meta", "link", "input", "source", "col", "area"]);
+
+/**
+ * Unclosed, stray or truncated HTML tags
+ * @returns {string[]} - One message per problem
+ */
+export function findHtmlProblems(html) {
+  const problems = [];
+  const stack = [];
+  const tagPattern = /<(\/?)([a-z][a-z0-9]*)\b[^>]*?(\/?)>/gi;
+  let match;
+  while ((match = tagPattern.exec(html)) !== null) {
+    const [, closing, rawName, selfClosing] = match;
+    const name = rawName.toLowerCase();
+    if (VOID_TAGS.has(name) || selfClosing) continue;
+    if (!closing) {
+      stack.push(name);
+    } else if (stack[stack.length - 1] === name) {
+      stack.pop();
+    } else {
+      problems.push(`Unexpected </${name}>`);
+    }
+  }
+  for (const name of stack) {
+    problems.push(`Unclosed <${name}>`);
+  }
+  if (/<[a-z/][^>]*$/i.test(html)) {
+    problems.push("Truncated tag at the end");
+  }
+  if (/&lt;\/?[a-z]+/i.test(html)) {
+    problems.push("Escaped tags (&lt;…&gt;)");
+  }
+  return problems;
+}
+
+const FORMATTING_PATTERNS = [
+  { pattern: /^\s*\{\s*"(?:found|description|title)"/, message: "Raw JSON instead of copy" },
+  { pattern: /```/, message: "Markdown code fence" },
+  { pattern: /\*\*[^*\n]+\*\*/, message: "Markdown bold (**…**)" },
+  { pattern: /^\s*#{1,6}\s/m, message: "Markdown heading" },
+  { pattern: /\[(?:feature\s*\d+|etc\b)[^\]]*\]/i, message: "Template placeholder left in the text" },
+  { pattern: /\\n/, message: "Literal \\n instead of a line break" },
+];
+
+// ─── Language ─────────────────────────────────────────────────────────
+// Function-word heuristic: enough to tell a Romanian description from an
+// English one, not a general-purpose language detector. Languages without a
+// word list are never flagged.
+
+const STOPWORDS = {
+  ro: ["și", "si", "cu", "din", "pentru", "este", "sunt", "care", "această", "acest", "sau", "într", "foarte", "pe", "unei", "unui", "ale", "lui", "fără", "oricărei"],
+  en: ["the", "and", "with", "for", "is", "are", "this", "that", "from", "your", "its", "of", "to", "it", "an", "or", "which"],
+  fr: ["le", "les", "et", "avec", "pour", "est", "une", "des", "du", "ce", "cette", "dans", "sur", "votre"],
+  de: ["der", "die", "das", "und", "mit", "für", "ist", "ein", "eine", "aus", "den", "dem", "zu", "ihr", "auf"],
+  it: ["il", "lo", "gli", "e", "con", "per", "è", "della", "del", "questo", "questa", "che", "di"],
+  es: ["el", "los", "las", "y", "para", "es", "del", "este", "esta", "que", "su", "muy"]
+};
+
+const MIN_LANGUAGE_HITS = 6;
+
+/**
+ * Best guess at the language of a text
+ * @returns {{language: string, scores: Object}|null} - Best language code and per-language
+ *   function-word counts, or null when the text is too short to tell
+ */
+export function detectLanguage(text) {
+  const words = visibleText(text).toLowerCase().split(/[^\p{L}]+/u).filter(Boolean);
+  const scores = Object.fromEntries(Object.keys(STOPWORDS).map((code) => [code, 0]));
+  for (const word of words) {
+    for (const [code, list] of Object.entries(STOPWORDS)) {
+      if (list.includes(word)) scores[code]++;
+    }
+  }
+
+  const [best, bestScore] = Object.entries(scores).sort((a, b) => b[1] - a[1])[0];
+  return bestScore >= MIN_LANGUAGE_HITS ? { language: best, scores } : null;
+}
+
+function checkLanguage(text, voice) {
+  if (!STOPWORDS[voice.language]) return [];
+  const detected = detectLanguage(text);
+  if (!detected || detected.language === voice.language) return [];
+  // Brand names and borrowed fashion terms add a few foreign words; only a clear majority counts
+  if (detected.scores[voice.language] * 2 > detected.scores[detected.language]) return [];
+  return [issue(QA_ISSUES.WRONG_LANGUAGE, `Looks like ${getLanguageName(detected.language)}, expected ${voice.languageName}`)];
+}
+
+// ─── Non-answers ──────────────────────────────────────────────────────
+
+const NON_ANSWER_PATTERNS = [
+  /nu am (?:putut )?g[ăa]si(?:t)?\b/i,
+  /produsul nu (?:a (?:putut )?fi|a fost) g[ăa]sit/i,
+  /nu exist[ăa] (?:suficiente )?informa[țt]ii/i,
+  /(?:îmi|ne) pare r[ăa]u/i,
+  /\bI (?:could not|couldn'?t|cannot|can'?t|was unable to|am unable to) find\b/i,
+  /\bno (?:product )?information (?:is )?available\b/i,
+  /\b(?:product|item) (?:was )?not found\b/i,
+  /\bas an ai\b/i,
+];
+
+function checkNonAnswer(text) {
+  const clean = visibleText(text);
+  if (NON_ANSWER_PATTERNS.some((pattern) => pattern.test(clean))) {
+    return [issue(QA_ISSUES.NON_ANSWER, "Says the product could not be found instead of describing it")];
+  }
+  if (isDimensionsOnly(text)) {
+    return [issue(QA_ISSUES.NON_ANSWER, "Only lists dimensions")];
+  }
+  return [];
+}
+
+// ─── Checks ───────────────────────────────────────────────────────────
+
+function checkCopy(text, voice) {
+  const issues = [];
+  if (looksLikeThinkingLeak(text)) {
+    issues.push(issue(QA_ISSUES.THINKING_LEAK, "Contains model reasoning or prompt text"));
+  }
+  const banned = findBannedWords(text, voice);
+  if (banned.length > 0) {
+    issues.push(issue(QA_ISSUES.BANNED_WORD, `Uses banned ${banned.length === 1 ? "word" : "words"}: ${banned.map((word) => `"${word}"`).join(", ")}`));
+  }
+  for (const { pattern, message } of FORMATTING_PATTERNS) {
+    if (pattern.test(text)) issues.push(issue(QA_ISSUES.FORMATTING, message));
+  }
+  return [...issues, ...checkNonAnswer(text)];
+}
+
+/**
+ * Check a generated description against the brand voice
+ * @param {string} text - Description HTML
+ * @param {Object} voice - Brand voice (profile or resolved)
+ * @returns {Array<{code: string, message: string}>} - Empty when the description passes
+ */
+export function checkDescription(text, voice) {
+  voice = resolveBrandVoice(voice);
+  const issues = checkCopy(text || "", voice);
+
+  for (const problem of findHtmlProblems(text || "")) {
+    issues.push(issue(QA_ISSUES.BROKEN_HTML, problem));
+  }
+
+  const length = visibleText(text).length;
+  if (length > Math.round(voice.maxLength * LENGTH_TOLERANCE)) {
+    issues.push(issue(QA_ISSUES.TOO_LONG, `${length} characters, the limit is ${voice.maxLength}`));
+  } else if (length < MIN_DESCRIPTION_LENGTH) {
+    issues.push(issue(QA_ISSUES.TOO_SHORT, `${length} characters`));
+  }
+
+  return [...issues, ...checkLanguage(text || "", voice)];
+}
+
+/**
+ * Check generated SEO copy against the brand voice's SEO limits
+ * @param {Object} seo - { title, metaDescription }
+ * @param {Object} voice - Brand voice (profile or resolved)
+ * @returns {Array<{code: string, message: string}>} - Empty when the copy passes
+ */
+export function checkSeo({ title = "", metaDescription = "" }, voice) {
+  voice = resolveBrandVoice(voice);
+  const { titleMaxLength, metaMinLength, metaMaxLength } = voice.seo;
+  const issues = checkCopy(`${title}\n${metaDescription}`, voice);
+
+  if (!title) {
+    issues.push(issue(QA_ISSUES.TOO_SHORT, "Empty title"));
+  } else if (title.length > titleMaxLength) {
+    issues.push(issue(QA_ISSUES.TOO_LONG, `Title has ${title.length} characters, the limit is ${titleMaxLength}`));
+  }
+  if (metaDescription.length > metaMaxLength) {
+    issues.push(issue(QA_ISSUES.TOO_LONG, `Meta description has ${metaDescription.length} characters, the limit is ${metaMaxLength}`));
+  } else if (metaDescription.length < metaMinLength) {
+    issues.push(issue(QA_ISSUES.TOO_SHORT, `Meta description has ${metaDescription.length} characters, the minimum is ${metaMinLength}`));
+  }
+
+  return [...issues, ...checkLanguage(metaDescription, voice)];
+}
+
+/**
+ * Issues as "code: message" strings, the form they are stored in on the Product node
+ */
+export function formatQaIssues(issues) {
+  return issues.map(({ code, message }) => `${code}: ${message}`);
+}
+
+/**
+ * Inverse of formatQaIssues
+ */
+export function parseQaIssues(lines) {
+  return (lines || []).map((line) => {
+    const index = line.indexOf(": ");
+    return index === -1 ? { code: line, message: "" } : { code: line.slice(0, index), message: line.slice(index + 2) };
+  });
+}
@@ -0,0 +1,267 @@
+/**
+ * Feed Utilities
+ * Parse product feeds (Google Merchant XML/RSS/Atom, CSV, JSON Lines) into flat records
+ *
+ * Every parser returns an array of plain objects keyed by the feed's own field
+ * names (XML namespace prefixes such as `g:` are dropped). Fields that occur
+ * more than once in an XML item (e.g. `additional_image_link`) become arrays.
+ */
+
+import { JSDOM } from "jsdom";
+
+export const FEED_FORMATS = ["google", "csv", "jsonl"];
+
+/**
+ * Guess the feed format from a file name / content type and the content itself
+ * @param {string} content - Raw feed content
+ * @param {Object} hints - { fileName, contentType }
+ * @returns {string} - google | csv | jsonl
+ */
+export function detectFeedFormat(content, hints = {}) {
+  const name = (hints.fileName || "").toLowerCase();
+  const type = (hints.contentType || "").toLowerCase();
+
+  if (/\.(xml|rss|atom)$/.test(name) || type.includes("xml")) return "google";
+  if (/\.(jsonl|ndjson|json)$/.test(name) || type.includes("json")) return "jsonl";
+  if (/\.(csv|tsv|txt)$/.test(name) || type.includes("csv")) return "csv";
+
+  const start = content.replace(/^\uFEFF/, "").trimStart();
+  if (start.startsWith("<")) return "google";
+  if (start.startsWith("{") || start.startsWith("[")) return "jsonl";
+  return "csv";
+}
+
+/**
+ * Parse a feed into flat records
+ * @param {string} content - Raw feed content
+ * @param {string} format - google | csv | jsonl
+ * @returns {Array<Object>}
+ */
+export function parseFeed(content, format) {
+  switch (format) {
+    case "google":
+      return parseGoogleMerchantXml(content);
+    case "csv":
+      return parseCsv(content);
+    case "jsonl":
+      return parseJsonLines(content);
+    default:
+      throw new Error(`Unsupported feed format "${format}" (expected one of: ${FEED_FORMATS.join(", ")})`);
+  }
+}
+
+/**
+ * Google Merchant feed: RSS 2.0 (<channel><item>) or Atom (<feed><entry>)
+ */
+export function parseGoogleMerchantXml(content) {
+  const { document } = new JSDOM(content.replace(/^\uFEFF/, ""), { contentType: "text/xml" }).window;
+
+  const parserError = document.getElementsByTagName("parsererror")[0];
+  if (parserError) {
+    throw new Error(`Invalid XML feed: ${parserError.textContent.trim().substring(0, 200)}`);
+  }
+
+  const items = [...document.getElementsByTagName("item")];
+  const entries = items.length > 0 ? items : [...document.getElementsByTagName("entry")];
+
+  return entries.map(item => {
+    const record = {};
+    for (const child of item.children) {
+      const key = child.localName;
+      // Atom links carry the URL in href
+      const value = (key === "link" && child.getAttribute("href")) || child.textContent.trim();
+      if (!value) continue;
+
+      if (record[key] === undefined) {
+        record[key] = value;
+      } else {
+        record[key] = [].concat(record[key], value);
+      }
+    }
+    return record;
+  });
+}
+
+/**
+ * CSV / TSV with a header row (RFC 4180 quoting, delimiter sniffed from the header)
+ */
+export function parseCsv(content) {
+  const text = content.replace(/^\uFEFF/, "");
+  const firstLine = text.slice(0, text.search(/\r?\n|$/));
+  const delimiter = [",", ";", "\t", "|"]
+    .map(d => ({ d, count: firstLine.split(d).length }))
+    .sort((a, b) => b.count - a.count)[0].d;
+
+  const rows = [];
+  let row = [];
+  let field = "";
+  let inQuotes = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+
+    if (inQuotes) {
+      if (char === "\"") {
+        if (text[i + 1] === "\"") {
+          field += "\"";
+          i++;
+        } else {
+          inQuotes = false;
+        }
+      } else {
+        field += char;
+      }
+    } else if (char === "\"" && field === "") {
+      inQuotes = true;
+    } else if (char === delimiter) {
+      row.push(field);
+      field = "";
+    } else if (char === "\n" || char === "\r") {
+      if (char === "\r" && text[i + 1] === "\n") i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = "";
+    } else {
+      field += char;
+    }
+  }
+  if (field !== "" || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  const [header = [], ...dataRows] = rows.filter(r => r.some(cell => cell.trim() !== ""));
+  const columns = header.map(h => h.trim());
+
+  return dataRows.map(cells => {
+    const record = {};
+    columns.forEach((column, idx) => {
+      const value = (cells[idx] ?? "").trim();
+      if (column && value !== "") record[column] = value;
+    });
+    return record;
+  });
+}
+
+/**
+ * JSON Lines (one object per line); a plain JSON array or { products: [...] } is accepted too
+ */
+export function parseJsonLines(content) {
+  const text = content.replace(/^\uFEFF/, "").trim();
+
+  if (text.startsWith("[") || (text.startsWith("{") && !text.includes("\n"))) {
+    try {
+      const data = JSON.parse(text);
+      if (Array.isArray(data)) return data;
+      if (Array.isArray(data.products)) return data.products;
+      if (Array.isArray(data.items)) return data.items;
+      return [data];
+    } catch {
+      // Fall through to line-by-line parsing
+    }
+  }
+
+  return text
+    .split(/\r?\n/)
+    .map((line, idx) => ({ line: line.trim(), idx }))
+    .filter(({ line }) => line)
+    .map(({ line, idx }) => {
+      try {
+        return JSON.parse(line);
+      } catch (error) {
+        throw new Error(`Invalid JSON on feed line ${idx + 1}: ${error.message}`);
+      }
+    });
+}
+
+/**
+ * Split a feed price such as "89.00 EUR", "EUR 89,00" or "89.00" into amount and currency
+ * @returns {{ amount: string|null, currency: string|null }}
+ */
+export function parseFeedPrice(value) {
+  if (value === undefined || value === null || value === "") return { amount: null, currency: null };
+  if (typeof value === "number") return { amount: value.toFixed(2), currency: null };
+
+  const text = String(value).trim();
+  const currency = text.match(/\b([A-Z]{3})\b/)?.[1] || null;
+  let number = text.replace(/[^\d.,-]/g, "");
+
+  // "1.234,56" / "89,00" → decimal comma
+  if (/,\d{1,2}$/.test(number)) {
+    number = number.replace(/\./g, "").replace(",", ".");
+  } else {
+    number = number.replace(/,/g, "");
+  }
+
+  const amount = parseFloat(number);
+  return { amount: Number.isFinite(amount) ? amount.toFixed(2) : null, currency };
+}
+
+/**
+ * Unified feed fields and the source fields tried for each one, in order.
+ * Defaults follow the Google Merchant spec plus common CSV export headers;
+ * a store's `feedMapping` ({ field: "Source Column" | ["A", "B"] }) takes precedence.
+ */
+export const DEFAULT_FEED_MAPPING = {
+  id: ["id", "sku", "product_id", "variant_id"],
+  item_group_id: ["item_group_id", "parent_id", "group_id", "handle"],
+  title: ["title", "name", "product_name"],
+  description: ["description", "body_html", "summary", "content"],
+  link: ["link", "url", "product_url"],
+  image_link: ["image_link", "image", "image_url", "main_image"],
+  additional_image_link: ["additional_image_link", "additional_images", "images"],
+  price: ["price", "regular_price"],
+  sale_price: ["sale_price", "special_price"],
+  currency: ["currency"],
+  availability: ["availability", "stock_status", "in_stock"],
+  quantity: ["quantity", "stock", "inventory_quantity", "stock_quantity"],
+  brand: ["brand", "vendor", "manufacturer"],
+  product_type: ["product_type", "category", "categories"],
+  google_product_category: ["google_product_category"],
+  color: ["color", "colour"],
+  size: ["size"],
+  material: ["material"],
+  gender: ["gender"],
+  age_group: ["age_group"],
+  sku: ["mpn", "sku", "gtin"],
+  tags: ["tags", "keywords", "custom_label_0"],
+  status: ["status"],
+  updated_at: ["updated_at", "last_modified", "modified"]
+};
+
+export const FEED_FIELDS = Object.keys(DEFAULT_FEED_MAPPING);
+
+/**
+ * Resolve the unified fields of a feed record
+ * Source fields are matched case-insensitively, ignoring spaces, dashes and a `g:` prefix.
+ * @param {Object} record - Raw record from parseFeed()
+ * @param {Object} mapping - Store field mapping
+ * @returns {Object} - { [field]: value } (multi-value fields stay arrays)
+ */
+export function mapFeedRecord(record, mapping = {}) {
+  const normalize = (key) => String(key).toLowerCase().replace(/^g:/, "").replace(/[\s-]+/g, "_");
+  const byKey = new Map(Object.entries(record).map(([key, value]) => [normalize(key), value]));
+
+  const resolved = {};
+  for (const field of FEED_FIELDS) {
+    const candidates = mapping[field] !== undefined
+      ? [].concat(mapping[field])
+      : DEFAULT_FEED_MAPPING[field];
+
+    for (const candidate of candidates) {
+      // Exact key first (nested JSON paths like "brand.name" are not flattened by the parsers)
+      const value = record[candidate] ?? byKey.get(normalize(candidate)) ?? getPath(record, candidate);
+      if (value !== undefined && value !== null && value !== "") {
+        resolved[field] = value;
+        break;
+      }
+    }
+  }
+  return resolved;
+}
+
+function getPath(record, path) {
+  if (!path.includes(".")) return undefined;
+  return path.split(".").reduce((value, key) => (value == null ? undefined : value[key]), record);
+}
@@ -2,6 +2,9 @@
  * Utils Index
  */
 
+import crypto from "crypto";
+import { stripHtmlTags } from "./html.js";
+
 export { shopifyCategories } from "./categories.js";
 export { convertHtmlToMarkdown, stripHtmlTags } from "./html.js";
 
@@ -35,16 +38,116 @@ export function extractRelevantFields(product) {
   };
 }
 
+// ─── Delta sync ──────────────────────────────────────────────────────
+
+function hashValue(value) {
+  return crypto.createHash("sha1").update(JSON.stringify(value)).digest("hex");
+}
+
+function toPrice(value) {
+  const price = parseFloat(value);
+  return Number.isFinite(price) ? price : null;
+}
+
+/**
+ * Fingerprint a product as fetched from the platform (before AI enrichment).
+ * contentHash covers what the enrichment reads (texts, images, categories, variant
+ * structure); inventoryHash covers variant price and stock, which can be updated
+ * without any AI call.
+ * @returns {{ contentHash: string, inventoryHash: string }}
+ */
+export function computeProductHashes(product) {
+  const variants = [...(product.variants || [])].sort((a, b) => String(a.id).localeCompare(String(b.id)));
+
+  const contentHash = hashValue({
+    title: product.title || "",
+    description: product.body_html || "",
+    vendor: product.vendor || "",
+    productType: product.product_type || "",
+    tags: product.tags || "",
+    images: (product.images || []).map(img => img?.src || img),
+    collections: (product.collections || []).map(c => c.title),
+    options: (product.options || []).map(o => o.name),
+    variants: variants.map(v => [String(v.id), v.title || "", v.sku || "", v.option1 ?? null, v.option2 ?? null, v.option3 ?? null])
+  });
+
+  const inventoryHash = hashValue(variants.map(v => [
+    String(v.id),
+    toPrice(v.price),
+    toPrice(v.compare_at_price),
+    v.inventory_quantity ?? null,
+    v.isAvailable ?? null
+  ]));
+
+  return { contentHash, inventoryHash };
+}
+
+/**
+ * A product none of whose variants can be bought.
+ * Only variants that report availability (isAvailable) count: an unknown stock
+ * level never makes a product unavailable.
+ */
+export function isProductUnavailable(product) {
+  const variants = product.variants || [];
+  return variants.length > 0 && variants.every(v => v.isAvailable === false);
+}
+
+// ─── Write-back ──────────────────────────────────────────────────────
+
+/**
+ * Fingerprint of a copy field (description, SEO title...) as shown to shoppers.
+ * Markup and whitespace are ignored, since platforms re-serialize the HTML they store.
+ * @returns {string|null} - null when the text is empty
+ */
+export function hashCopy(value) {
+  const text = stripHtmlTags(String(value || "")).replace(/\s+/g, " ").trim();
+  return text ? hashValue(text) : null;
+}
+
+// ─── Cancellation ────────────────────────────────────────────────────
+
+export function isAbortError(error) {
+  return error?.name === "AbortError";
+}
+
+/**
+ * Settle with the promise, or reject with the signal's reason as soon as it aborts.
+ * The underlying work keeps running; pass the signal to it as well to stop it.
+ */
+export function abortable(promise, signal) {
+  if (!signal) return promise;
+  if (signal.aborted) return Promise.reject(signal.reason);
+
+  return new Promise((resolve, reject) => {
+    const onAbort = () => reject(signal.reason);
+    signal.addEventListener("abort", onAbort, { once: true });
+    promise.then(resolve, reject).finally(() => signal.removeEventListener("abort", onAbort));
+  });
+}
+
 // ─── Concurrency pool ────────────────────────────────────────────────
 
-export async function mapWithConcurrency(items, concurrency, fn) {
+/**
+ * Map items with at most `concurrency` calls in flight.
+ * Once `signal` aborts no new items are started and items still in flight are
+ * dropped, so the result only holds items that finished before the abort
+ * (the others are left undefined).
+ */
+export async function mapWithConcurrency(items, concurrency, fn, { signal = null } = {}) {
   const results = new Array(items.length);
   let nextIndex = 0;
 
   async function worker() {
-    while (nextIndex < items.length) {
+    while (nextIndex < items.length && !signal?.aborted) {
       const i = nextIndex++;
-      results[i] = await fn(items[i], i, items.length);
+      try {
+        const result = await fn(items[i], i, items.length);
+        if (signal?.aborted) return;
+        results[i] = result;
+      } catch (error) {
+        if (signal?.aborted) return;
+        throw error;
+      }
     }
   }
 
@@ -92,16 +195,24 @@ function isRateLimitError(error) {
     || msg.includes("quota");
 }
 
-export async function geminiWithRetry(fn, maxRetries = 3) {
+/**
+ * Call Gemini with rate limiting and 429 retries.
+ * `fn` receives request options ({ signal }) to pass to generateContent so an
+ * abort cancels the HTTP request; usage is added to `costTracker` when given.
+ */
+export async function geminiWithRetry(fn, maxRetries = 3, { signal = null, costTracker = null, model } = {}) {
   for (let attempt = 1; attempt <= maxRetries; attempt++) {
-    await geminiLimiter.acquire();
+    await abortable(geminiLimiter.acquire(), signal);
     try {
-      return await fn();
+      const result = await abortable(fn(signal ? { signal } : undefined), signal);
+      costTracker?.addGeminiCost(result?.response?.usageMetadata, model);
+      return result;
     } catch (error) {
+      if (signal?.aborted) throw signal.reason;
       if (isRateLimitError(error) && attempt < maxRetries) {
         const backoffMs = Math.pow(2, attempt) * 2000 + Math.floor(Math.random() * 1000);
         console.log(`  [Rate Limit] 429 on attempt ${attempt}/${maxRetries}, retrying in ${(backoffMs / 1000).toFixed(1)}s...`);
-        await delay(backoffMs);
+        await abortable(delay(backoffMs), signal);
         continue;
       }
       throw error;
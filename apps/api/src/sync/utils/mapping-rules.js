@@ -0,0 +1,348 @@
+/**
+ * Mapping Rules
+ * Per-store declarative rules that assign a product's demographic, category
+ * and subcategory from what the platform says about it (see ../mapping.js).
+ *
+ * Rules are saved on the store record (`store.mappingRules`) and edited from
+ * the dashboard. Stores without saved rules keep the behaviour the sync had
+ * before rules existed (see resolveMappingRules).
+ *
+ * Rules shape:
+ *   {
+ *     rules: [{
+ *       id: "women",
+ *       match: {
+ *         categoryPath: ["/femei/"],     // "/a/b/" matches paths starting with it, "de plaj" anywhere in a path
+ *         tags: ["beach"],               // platform tags
+ *         title: "\\bbikini\\b",         // regular expression, case-insensitive
+ *         vendor: ["Nike"],
+ *         productType: ["Swimwear"]
+ *       },
+ *       set: { demographic: "woman", category: "Swimwear", subcategory: "Bikini" },
+ *       vision: {                        // AI fallback for the subcategory, from the product image
+ *         categories: [{ name: "costum de baie", description: "one-piece swimsuit" }],
+ *         instructions: "..."
+ *       }
+ *     }]
+ *   }
+ *
+ * A rule matches when every condition it has holds; the values of one
+ * condition are alternatives. A rule without conditions matches every product.
+ * Rules run in order and the first rule that gives a field wins it, so
+ * catch-all rules go last. Texts are compared case-insensitively.
+ *
+ * This module is prompt-free so the API can validate and evaluate rules
+ * without loading the AI services.
+ */
+
+// ─── Defaults & presets ───────────────────────────────────────────────
+
+export const DEMOGRAPHICS = ["woman", "man", "unisex"];
+
+// Beach products split into swimwear subcategories by image (Romanian catalogs)
+const BEACH_VISION_RULE = {
+  id: "beach-subcategory",
+  match: { categoryPath: ["de plaj"] },
+  set: {},
+  vision: {
+    categories: [
+      { name: "slipi de plajă", description: "swim briefs/bikini bottom" },
+      { name: "sutien de plajă", description: "bikini top — only when it's a 2-piece set or just the top" },
+      { name: "costum de baie", description: "full swimsuit / one-piece / complete 2-piece set" },
+      { name: "pantaloni de plajă", description: "beach shorts/trunks" }
+    ],
+    instructions: "This is a beach/swimwear product."
+  }
+};
+
+// Top-level VTEX category trees of Romanian fashion stores
+const ROMANIAN_DEMOGRAPHIC_RULES = [
+  { id: "women", match: { categoryPath: ["/femei/"] }, set: { demographic: "woman" } },
+  { id: "men", match: { categoryPath: ["/bărbați/"] }, set: { demographic: "man" } },
+  { id: "unisex", match: {}, set: { demographic: "unisex" } }
+];
+
+export const DEFAULT_MAPPING_RULES = { rules: [] };
+
+// Starting points offered by the editor
+export const MAPPING_RULE_PRESETS = {
+  "romanian-fashion": { rules: [...ROMANIAN_DEMOGRAPHIC_RULES, BEACH_VISION_RULE] },
+  "beach-subcategories": { rules: [BEACH_VISION_RULE] }
+};
+
+// What the sync did per platform before stores had rules: VTEX read the
+// demographic from the category tree, and every platform but Shopify sorted
+// beach products by image
+const PLATFORM_DEFAULT_RULES = {
+  shopify: [],
+  vtex: MAPPING_RULE_PRESETS["romanian-fashion"].rules
+};
+
+// ─── Validation ───────────────────────────────────────────────────────
+
+const ID_PATTERN = /^[a-z0-9]+(?:-[a-z0-9]+)*$/;
+const MAX_RULES = 100;
+const MAX_VALUES = 50;
+const MAX_VALUE = 200;
+const MAX_PATTERN = 200;
+const MAX_VISION_CATEGORIES = 20;
+const MAX_INSTRUCTIONS = 2000;
+
+// Conditions that take a list of values
+const LIST_CONDITIONS = ["categoryPath", "tags", "vendor", "productType"];
+const SET_FIELDS = ["demographic", "category", "subcategory"];
+
+function normalizeText(value) {
+  return typeof value === "string" ? value.normalize("NFC").trim() : "";
+}
+
+function normalizeValues(label, value, errors) {
+  const values = [].concat(value).map(normalizeText);
+  if (values.length === 0 || values.some(v => !v)) {
+    errors.push(`${label} must be a non-empty string or list of strings`);
+    return null;
+  }
+  if (values.length > MAX_VALUES) {
+    errors.push(`${label} can have at most ${MAX_VALUES} values`);
+  }
+  if (values.some(v => v.length > MAX_VALUE)) {
+    errors.push(`${label} values can be at most ${MAX_VALUE} characters`);
+  }
+  return [...new Set(values)];
+}
+
+function normalizeMatch(label, input, errors) {
+  if (input === undefined) return {};
+  if (!input || typeof input !== "object" || Array.isArray(input)) {
+    errors.push(`${label}.match must be an object`);
+    return {};
+  }
+
+  const match = {};
+  for (const field of Object.keys(input)) {
+    if (field === "title") {
+      const pattern = normalizeText(input.title);
+      if (!pattern || pattern.length > MAX_PATTERN) {
+        errors.push(`${label}.match.title must be a regular expression of 1-${MAX_PATTERN} characters`);
+        continue;
+      }
+      try {
+        new RegExp(pattern, "iu");
+        match.title = pattern;
+      } catch (error) {
+        errors.push(`${label}.match.title is not a valid regular expression: ${error.message}`);
+      }
+    } else if (LIST_CONDITIONS.includes(field)) {
+      const values = normalizeValues(`${label}.match.${field}`, input[field], errors);
+      if (values) match[field] = values;
+    } else {
+      errors.push(`Unknown condition ${label}.match.${field}. Must be one of: ${[...LIST_CONDITIONS, "title"].join(", ")}`);
+    }
+  }
+  return match;
+}
+
+function normalizeSet(label, input, errors) {
+  if (input === undefined) return {};
+  if (!input || typeof input !== "object" || Array.isArray(input)) {
+    errors.push(`${label}.set must be an object`);
+    return {};
+  }
+
+  const set = {};
+  for (const field of Object.keys(input)) {
+    if (!SET_FIELDS.includes(field)) {
+      errors.push(`Unknown field ${label}.set.${field}. Must be one of: ${SET_FIELDS.join(", ")}`);
+      continue;
+    }
+    const value = normalizeText(input[field]);
+    if (field === "demographic" && !DEMOGRAPHICS.includes(value)) {
+      errors.push(`${label}.set.demographic must be one of: ${DEMOGRAPHICS.join(", ")}`);
+    } else if (!value || value.length > MAX_VALUE) {
+      errors.push(`${label}.set.${field} must be 1-${MAX_VALUE} characters`);
+    } else {
+      set[field] = value;
+    }
+  }
+  return set;
+}
+
+function normalizeVision(label, input, errors) {
+  if (!input || typeof input !== "object" || Array.isArray(input)) {
+    errors.push(`${label}.vision must be an object`);
+    return null;
+  }
+  if (!Array.isArray(input.categories) || input.categories.length < 2 || input.categories.length > MAX_VISION_CATEGORIES) {
+    errors.push(`${label}.vision.categories must list 2-${MAX_VISION_CATEGORIES} categories`);
+    return null;
+  }
+
+  const names = new Set();
+  const categories = [];
+  for (const entry of input.categories) {
+    const name = normalizeText(typeof entry === "string" ? entry : entry?.name);
+    const description = normalizeText(entry?.description);
+    if (!name || name.length > MAX_VALUE) {
+      errors.push(`${label}.vision category names must be 1-${MAX_VALUE} characters`);
+    } else if (names.has(name.toLowerCase())) {
+      errors.push(`Duplicate ${label}.vision category "${name}"`);
+    } else if (description.length > MAX_VALUE) {
+      errors.push(`${label}.vision category "${name}" description is longer than ${MAX_VALUE} characters`);
+    }
+    names.add(name.toLowerCase());
+    categories.push({ name, description });
+  }
+
+  const instructions = normalizeText(input.instructions);
+  if (instructions.length > MAX_INSTRUCTIONS) {
+    errors.push(`${label}.vision.instructions can be at most ${MAX_INSTRUCTIONS} characters`);
+  }
+  return { categories, instructions };
+}
+
+/**
+ * Validate and clean mapping rules from the API
+ * @param {Object} input - { rules: [...] } from the request body
+ * @returns {{ mappingRules: Object, errors: string[] }}
+ */
+export function normalizeMappingRules(input) {
+  const errors = [];
+  if (!input || typeof input !== "object" || !Array.isArray(input.rules)) {
+    return { mappingRules: null, errors: ["mappingRules must be an object of { rules: [...] }"] };
+  }
+  if (input.rules.length > MAX_RULES) {
+    errors.push(`At most ${MAX_RULES} rules`);
+  }
+
+  const ids = new Set();
+  const rules = input.rules.map((entry, i) => {
+    const id = normalizeText(entry?.id);
+    const label = `rules[${i}]`;
+    if (!ID_PATTERN.test(id)) {
+      errors.push(`Invalid rule id "${id}" (${label}): lowercase letters and digits, separated by single dashes`);
+    } else if (ids.has(id)) {
+      errors.push(`Duplicate rule id "${id}"`);
+    }
+    ids.add(id);
+
+    const rule = {
+      id,
+      match: normalizeMatch(label, entry?.match, errors),
+      set: normalizeSet(label, entry?.set, errors)
+    };
+    if (entry?.vision !== undefined && entry.vision !== null) {
+      rule.vision = normalizeVision(label, entry.vision, errors);
+      if (rule.set.subcategory) {
+        errors.push(`${label} sets a subcategory and classifies one by image; keep one of them`);
+      }
+    }
+    if (Object.keys(entry?.set || {}).length === 0 && !entry?.vision) {
+      errors.push(`${label} needs something to set (demographic, category, subcategory) or a vision fallback`);
+    }
+    return rule;
+  });
+
+  return { mappingRules: { rules }, errors };
+}
+
+// ─── Resolution ───────────────────────────────────────────────────────
+
+/**
+ * Rules the sync applies for a store
+ * @param {Object|null} profile - store.mappingRules
+ * @param {string} platform - Store platform; picks the rules of stores without saved ones
+ * @returns {Object} - { rules, custom }
+ */
+export function resolveMappingRules(profile, platform) {
+  if (profile) return { ...DEFAULT_MAPPING_RULES, ...profile, custom: true };
+  return { rules: PLATFORM_DEFAULT_RULES[platform] ?? [BEACH_VISION_RULE], custom: false };
+}
+
+// ─── Evaluation ───────────────────────────────────────────────────────
+
+const lower = (value) => normalizeText(String(value ?? "")).toLowerCase();
+
+/**
+ * Category path in the form rules match on: "/femei/îmbrăcăminte/rochii/"
+ */
+export function normalizeCategoryPath(path) {
+  const segments = lower(path).split("/").map(s => s.trim()).filter(Boolean);
+  return segments.length > 0 ? `/${segments.join("/")}/` : null;
+}
+
+/**
+ * What rules match on, from a product as fetched (unified format). Saved on
+ * the product so rule changes can be evaluated on the stored catalog.
+ * @returns {Object} - { categoryPaths, platformTags, productType }
+ *   categoryPaths holds every collection's full path and its title as a path of its own
+ */
+export function getProductFacts(product) {
+  const tags = Array.isArray(product.tags) ? product.tags : String(product.tags || "").split(",");
+  return {
+    // Collection titles too: some platforms build full paths from slugs
+    categoryPaths: [...new Set((product.collections || [])
+      .flatMap(c => [c.fullPath, c.title].map(normalizeCategoryPath))
+      .filter(Boolean))],
+    platformTags: [...new Set(tags.map(t => normalizeText(t)).filter(Boolean))],
+    productType: normalizeText(product.product_type) || null
+  };
+}
+
+function matchesRule(rule, product) {
+  const { match } = rule;
+  if (match.categoryPath) {
+    const paths = product.categoryPaths || [];
+    const hit = match.categoryPath.some(value => {
+      const needle = lower(value);
+      return needle.startsWith("/")
+        ? paths.some(p => p.startsWith(normalizeCategoryPath(needle) || "/"))
+        : paths.some(p => p.includes(needle));
+    });
+    if (!hit) return false;
+  }
+  if (match.tags) {
+    const tags = new Set((product.platformTags || []).map(lower));
+    if (!match.tags.some(t => tags.has(lower(t)))) return false;
+  }
+  if (match.vendor && !match.vendor.some(v => lower(v) === lower(product.vendor))) return false;
+  if (match.productType && !match.productType.some(v => lower(v) === lower(product.productType))) return false;
+  if (match.title && !new RegExp(match.title, "iu").test(normalizeText(product.title))) return false;
+  return true;
+}
+
+/**
+ * Evaluate rules for a product
+ * @param {Object} product - { title, vendor, categoryPaths, platformTags, productType }
+ * @param {Array} rules - Resolved rules
+ * @returns {Object} - { demographic, category, subcategory, vision, ruleIds }
+ *   vision is the vision fallback that decides the subcategory, when a rule gives one
+ */
+export function evaluateMappingRules(product, rules) {
+  const result = { demographic: null, category: null, subcategory: null, vision: null, ruleIds: [] };
+  let subcategoryDecided = false;
+
+  for (const rule of rules) {
+    if (!matchesRule(rule, product)) continue;
+    result.ruleIds.push(rule.id);
+
+    if (!result.demographic && rule.set?.demographic) result.demographic = rule.set.demographic;
+    if (!result.category && rule.set?.category) result.category = rule.set.category;
+    if (!subcategoryDecided && (rule.set?.subcategory || rule.vision)) {
+      result.subcategory = rule.set?.subcategory || null;
+      result.vision = rule.set?.subcategory ? null : rule.vision;
+      subcategoryDecided = true;
+    }
+  }
+  return result;
+}
+
+/**
+ * A vision category the product is already filed under, so no image classification is needed
+ * @param {Object} vision - Rule vision fallback
+ * @param {string[]} categories - Category names of the product
+ * @returns {string|null}
+ */
+export function findVisionCategory(vision, categories) {
+  const names = new Set(categories.map(lower));
+  return vision.categories.find(c => names.has(lower(c.name)))?.name || null;
+}
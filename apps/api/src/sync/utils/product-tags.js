@@ -0,0 +1,331 @@
+/**
+ * Product Tag Taxonomy
+ * Per-store occasion / style-lane tagging: every product gets 1..maxOccasions
+ * occasions, exactly one style lane and, optionally, a "pick" flag for
+ * standout pieces. The result is saved on the Product node and, when
+ * writeBack is set, written to the platform as tags (see ../tagging.js).
+ *
+ * A taxonomy is saved on the store record (`store.tagTaxonomy`) and edited
+ * from the dashboard. Tagging only runs when it is enabled.
+ *
+ * Taxonomy shape:
+ *   {
+ *     enabled: true,
+ *     prefix: "naomi",          // Occasion and pick tags: "naomi:date-night", "naomi:pick"
+ *     lanePrefix: "style",      // Style lane tags: "style:minimalist"
+ *     occasions: [{ id: "date-night", label: "Date Night", description: "..." }],
+ *     styleLanes: [{ id: "minimalist", label: "Minimalist Modern", description: "..." }],
+ *     maxOccasions: 3,
+ *     picks: { enabled: true, label: "Naomi's Pick", quota: 15 },   // quota: % of products
+ *     instructions: "...",      // Persona and brand hints for the classifier
+ *     writeBack: true           // Shopify tags / VTEX keywords
+ *   }
+ *
+ * Labels are what the classifier picks from and what is stored on the product
+ * (occasions, styleLane); ids only make up the platform tags.
+ */
+
+// ─── Defaults & presets ───────────────────────────────────────────────
+
+const OCCASIONS = [
+  { id: "date-night", label: "Date Night", description: "romantic dinner, cocktails, intimate evening" },
+  { id: "office-ready", label: "Office Ready", description: "professional, business meetings, workwear" },
+  { id: "vacation", label: "Vacation & Resort", description: "beach, poolside, tropical getaway, travel" },
+  { id: "casual", label: "Casual Everyday", description: "weekend brunch, errands, relaxed daily wear" },
+  { id: "evening", label: "Evening & Events", description: "gala, party, red carpet, formal events" },
+  { id: "weekend", label: "Weekend", description: "leisure, park, friends gathering, laid-back outings" }
+];
+
+const STYLE_LANES = [
+  { id: "classic-tailoring", label: "Classic Tailoring", description: "" },
+  { id: "evening", label: "Evening / Going Out", description: "" },
+  { id: "minimalist", label: "Minimalist Modern", description: "" },
+  { id: "athleisure", label: "Athleisure / Sporty", description: "" },
+  { id: "bohemian", label: "Bohemian / Romantic", description: "" },
+  { id: "streetwear", label: "Streetwear / Urban", description: "" },
+  { id: "resort", label: "Resort / Vacation", description: "" },
+  { id: "rock-edgy", label: "Rock / Edgy", description: "" },
+  { id: "preppy", label: "Preppy / Smart Casual", description: "" }
+];
+
+export const DEFAULT_TAG_TAXONOMY = {
+  enabled: false,
+  prefix: "occasion",
+  lanePrefix: "style",
+  occasions: OCCASIONS,
+  styleLanes: STYLE_LANES,
+  maxOccasions: 3,
+  picks: { enabled: false, label: "Editor's Pick", quota: 15 },
+  instructions: "",
+  writeBack: false
+};
+
+// The RUNWAYHER / RUNWAYHIM ruleset, as tagged before taxonomies existed
+const NAOMI_LANE_BRANDS = {
+  "classic-tailoring": "Max Mara, The Row, Brunello Cucinelli",
+  evening: "Saint Laurent evening, Tom Ford gowns",
+  minimalist: "Jil Sander, Lemaire, Totême",
+  athleisure: "Marine Serre, Palm Angels, Moncler sport",
+  bohemian: "Zimmermann, Etro, Chloé",
+  streetwear: "Off-White, Balenciaga casual, Vetements",
+  resort: "Cult Gaia, Johanna Ortiz, resort lines",
+  "rock-edgy": "Saint Laurent rock, Alexander McQueen, Balmain",
+  preppy: "Ralph Lauren, Thom Browne, Gant"
+};
+
+export const TAG_TAXONOMY_PRESETS = {
+  naomi: {
+    enabled: true,
+    prefix: "naomi",
+    lanePrefix: "style",
+    occasions: OCCASIONS,
+    styleLanes: STYLE_LANES.map(lane => ({ ...lane, description: NAOMI_LANE_BRANDS[lane.id] })),
+    maxOccasions: 3,
+    picks: { enabled: true, label: "Naomi's Pick", quota: 15 },
+    instructions: [
+      "You are Naomi, a luxury fashion AI stylist for RUNWAYHER / RUNWAYHIM.",
+      "Use brand identity as the strongest signal for the style lane.",
+      "A pick has strong styling potential: a hero piece from a prestigious brand or a statement item."
+    ].join("\n"),
+    writeBack: true
+  }
+};
+
+// ─── Validation ───────────────────────────────────────────────────────
+
+// Tagging job modes: products never tagged, or every product (re-tag)
+export const TAGGING_MODES = ["missing", "force"];
+
+const SLUG_PATTERN = /^[a-z0-9]+(?:-[a-z0-9]+)*$/;
+const PREFIX_PATTERN = /^[a-z0-9]+(?:[-_][a-z0-9]+)*$/;
+const MAX_OPTIONS = 20;
+const MAX_LABEL = 60;
+const MAX_DESCRIPTION = 500;
+const MAX_INSTRUCTIONS = 4000;
+const MAX_OCCASIONS_LIMIT = 5;
+const MAX_PICK_QUOTA = 50;
+
+const AXES = {
+  occasions: "occasion",
+  styleLanes: "style lane"
+};
+
+function normalizeOptions(field, value, errors) {
+  const noun = AXES[field];
+  if (!Array.isArray(value)) {
+    errors.push(`${field} must be an array`);
+    return [];
+  }
+  if (value.length > MAX_OPTIONS) {
+    errors.push(`${field} can have at most ${MAX_OPTIONS} entries`);
+  }
+
+  const ids = new Set();
+  const labels = new Set();
+  const options = [];
+  for (const entry of value) {
+    const id = typeof entry?.id === "string" ? entry.id.trim() : "";
+    const label = typeof entry?.label === "string" ? entry.label.trim() : "";
+    const description = typeof entry?.description === "string" ? entry.description.trim() : "";
+    if (!id && !label) continue;
+
+    if (!SLUG_PATTERN.test(id)) {
+      errors.push(`Invalid ${noun} id "${id}": lowercase letters and digits, separated by single dashes`);
+    } else if (ids.has(id)) {
+      errors.push(`Duplicate ${noun} id "${id}"`);
+    }
+    if (!label) {
+      errors.push(`${noun} "${id}" needs a label`);
+    } else if (label.length > MAX_LABEL) {
+      errors.push(`${noun} label "${label}" is longer than ${MAX_LABEL} characters`);
+    } else if (labels.has(label.toLowerCase())) {
+      errors.push(`Duplicate ${noun} label "${label}"`);
+    }
+    if (description.length > MAX_DESCRIPTION) {
+      errors.push(`${noun} "${id}" description is longer than ${MAX_DESCRIPTION} characters`);
+    }
+
+    ids.add(id);
+    labels.add(label.toLowerCase());
+    options.push({ id, label, description });
+  }
+  return options;
+}
+
+function normalizePicks(value, errors) {
+  if (!value || typeof value !== "object" || Array.isArray(value)) {
+    errors.push("picks must be an object");
+    return undefined;
+  }
+
+  const picks = {};
+  if (value.enabled !== undefined) {
+    if (typeof value.enabled !== "boolean") errors.push("picks.enabled must be a boolean");
+    else picks.enabled = value.enabled;
+  }
+  if (value.label !== undefined) {
+    const label = typeof value.label === "string" ? value.label.trim() : "";
+    if (!label || label.length > MAX_LABEL) errors.push(`picks.label must be 1-${MAX_LABEL} characters`);
+    else picks.label = label;
+  }
+  if (value.quota !== undefined) {
+    if (typeof value.quota !== "number" || !(value.quota > 0 && value.quota <= MAX_PICK_QUOTA)) {
+      errors.push(`picks.quota must be a percentage between 0 and ${MAX_PICK_QUOTA}`);
+    } else {
+      picks.quota = value.quota;
+    }
+  }
+  return picks;
+}
+
+/**
+ * Validate and clean a tag taxonomy from the API
+ * Unknown fields are dropped; missing ones are left out so they follow the defaults.
+ * @param {Object} input - Taxonomy from the request body
+ * @returns {{ taxonomy: Object, errors: string[] }}
+ */
+export function normalizeTagTaxonomy(input) {
+  const errors = [];
+  if (!input || typeof input !== "object" || Array.isArray(input)) {
+    return { taxonomy: null, errors: ["tagTaxonomy must be an object"] };
+  }
+
+  const taxonomy = {};
+
+  for (const field of ["enabled", "writeBack"]) {
+    if (input[field] === undefined) continue;
+    if (typeof input[field] !== "boolean") {
+      errors.push(`${field} must be a boolean`);
+    } else {
+      taxonomy[field] = input[field];
+    }
+  }
+
+  for (const field of ["prefix", "lanePrefix"]) {
+    if (input[field] === undefined) continue;
+    const prefix = typeof input[field] === "string" ? input[field].trim() : "";
+    if (!PREFIX_PATTERN.test(prefix)) {
+      errors.push(`Invalid ${field} "${prefix}": lowercase letters and digits, separated by dashes or underscores`);
+    } else {
+      taxonomy[field] = prefix;
+    }
+  }
+
+  for (const field of Object.keys(AXES)) {
+    if (input[field] === undefined) continue;
+    taxonomy[field] = normalizeOptions(field, input[field], errors);
+  }
+
+  if (input.maxOccasions !== undefined) {
+    if (!Number.isInteger(input.maxOccasions) || input.maxOccasions < 1 || input.maxOccasions > MAX_OCCASIONS_LIMIT) {
+      errors.push(`maxOccasions must be an integer between 1 and ${MAX_OCCASIONS_LIMIT}`);
+    } else {
+      taxonomy.maxOccasions = input.maxOccasions;
+    }
+  }
+
+  if (input.picks !== undefined) {
+    const picks = normalizePicks(input.picks, errors);
+    if (picks) taxonomy.picks = picks;
+  }
+
+  if (input.instructions !== undefined) {
+    if (typeof input.instructions !== "string") {
+      errors.push("instructions must be a string");
+    } else if (input.instructions.length > MAX_INSTRUCTIONS) {
+      errors.push(`instructions can be at most ${MAX_INSTRUCTIONS} characters`);
+    } else {
+      taxonomy.instructions = input.instructions.trim();
+    }
+  }
+
+  const resolved = resolveTagTaxonomy(taxonomy);
+  if (resolved.enabled) {
+    for (const field of Object.keys(AXES)) {
+      if (resolved[field].length === 0) {
+        errors.push(`An enabled taxonomy needs at least one ${AXES[field]}`);
+      }
+    }
+  }
+
+  // Occasions and the pick tag share a prefix, and so may the lanes
+  const tags = getTaxonomyTags(resolved);
+  const duplicate = tags.find((tag, i) => tags.indexOf(tag) !== i);
+  if (duplicate) {
+    errors.push(`Tag "${duplicate}" would be used twice; change an id or a prefix`);
+  }
+
+  return { taxonomy, errors };
+}
+
+// ─── Resolution ───────────────────────────────────────────────────────
+
+/**
+ * Merge a stored taxonomy with the defaults
+ * @param {Object|null} profile - store.tagTaxonomy
+ * @returns {Object} - Complete taxonomy
+ */
+export function resolveTagTaxonomy(profile) {
+  const stored = profile || {};
+  return {
+    ...DEFAULT_TAG_TAXONOMY,
+    ...stored,
+    picks: { ...DEFAULT_TAG_TAXONOMY.picks, ...(stored.picks || {}) }
+  };
+}
+
+// ─── Tags ─────────────────────────────────────────────────────────────
+
+function occasionTag(taxonomy, option) {
+  return `${taxonomy.prefix}:${option.id}`;
+}
+
+function laneTag(taxonomy, option) {
+  return `${taxonomy.lanePrefix}:${option.id}`;
+}
+
+function pickTag(taxonomy) {
+  return `${taxonomy.prefix}:pick`;
+}
+
+/**
+ * Every tag a taxonomy can write, the pick tag included
+ * @returns {string[]}
+ */
+export function getTaxonomyTags(taxonomy) {
+  return [
+    ...taxonomy.occasions.map(o => occasionTag(taxonomy, o)),
+    ...taxonomy.styleLanes.map(l => laneTag(taxonomy, l)),
+    ...(taxonomy.picks.enabled ? [pickTag(taxonomy)] : [])
+  ];
+}
+
+/**
+ * Platform tags for a classification
+ * @param {Object} tagging - { occasions: [label], styleLane: label, isPick: boolean }
+ * @returns {string[]}
+ */
+export function buildProductTags(tagging, taxonomy) {
+  const tags = [];
+  for (const label of tagging.occasions) {
+    const option = taxonomy.occasions.find(o => o.label === label);
+    if (option) tags.push(occasionTag(taxonomy, option));
+  }
+  const lane = taxonomy.styleLanes.find(l => l.label === tagging.styleLane);
+  if (lane) tags.push(laneTag(taxonomy, lane));
+  if (tagging.isPick && taxonomy.picks.enabled) tags.push(pickTag(taxonomy));
+  return tags;
+}
+
+/**
+ * Drop the tags a taxonomy writes from a comma-separated tag list
+ * Products are fingerprinted without them, so writing tags back does not make
+ * the next sync (or the update webhook it triggers) re-enrich the product.
+ * @param {string} tags - Platform tags, "a, b, c"
+ * @returns {string}
+ */
+export function stripTaxonomyTags(tags, taxonomy) {
+  if (!tags || !taxonomy.enabled || !taxonomy.writeBack) return tags;
+  const managed = new Set(getTaxonomyTags(taxonomy));
+  return tags.split(",").map(t => t.trim()).filter(t => t && !managed.has(t)).join(", ");
+}
@@ -0,0 +1,235 @@
+/**
+ * Style Taxonomy
+ * Per-store style classification: the personas, body shapes and chromatic
+ * seasons a product is tagged with during sync (Product.styleData / styleCode)
+ *
+ * A taxonomy is saved on the store record (`store.styleTaxonomy`) and edited
+ * from the dashboard. Classification only runs when it is enabled.
+ *
+ * Taxonomy shape:
+ *   {
+ *     enabled: true,
+ *     personas: [{ id: "ELEGANT_CHIC", description: "..." }],
+ *     bodyShapes: [{ id: "hourglass", description: "..." }],
+ *     seasons: [{ id: "winter", description: "..." }],
+ *     rules: "...",        // Extra instructions for the classifier
+ *     useImage: true       // Send the main product image with the product data
+ *   }
+ *
+ * Ids are the values stored on the product, so renaming one needs a resync.
+ * This module is prompt-free so the API can validate taxonomies without
+ * loading the AI services.
+ */
+
+// ─── Defaults & presets ───────────────────────────────────────────────
+
+const BODY_SHAPES = [
+  { id: "triangle", description: "shoulders narrower than hips; add volume up top" },
+  { id: "inverted_triangle", description: "broad shoulders; draw eye downward" },
+  { id: "rectangle", description: "little waist definition; add curves / structure" },
+  { id: "hourglass", description: "balanced bust & hips; emphasise waist" },
+  { id: "oval", description: "fuller midsection; elongate torso" }
+];
+
+const SEASONS = [
+  { id: "winter", description: "cool undertone + high contrast: black, white, jewel, icy brights" },
+  { id: "summer", description: "cool undertone + soft contrast: dusty pastels, powdery blues" },
+  { id: "autumn", description: "warm undertone + muted depth: camel, rust, olive, mustard" },
+  { id: "spring", description: "warm undertone + clear brights: coral, peach, aqua, light gold" }
+];
+
+export const DEFAULT_STYLE_TAXONOMY = {
+  enabled: false,
+  personas: [],
+  bodyShapes: BODY_SHAPES,
+  seasons: SEASONS,
+  rules: "",
+  useImage: true
+};
+
+// Starting points offered by the editor: the rulesets Bogas and DyFashion launched with
+export const STYLE_TAXONOMY_PRESETS = {
+  bogas: {
+    enabled: true,
+    personas: [
+      {
+        id: "ELEGANT_CHIC",
+        description: [
+          "Satin, lace, chiffon, velvet or crepe fabrics",
+          "Jewel-tone or neutral evening palette (emerald, navy, burgundy, ivory)",
+          "Midi & column dresses, mermaid hems, cape sleeves",
+          "Formal sets (blazer + midi skirt) for weddings, galas, graduation",
+          "Accessories: pearl clutches, stilettos, crystal belts"
+        ].join("\n")
+      },
+      {
+        id: "ADVENTURE_LUXE",
+        description: [
+          "Technical ski suits, overalls, padded jackets, metallic snow pants",
+          "Beach & resort neoprene swim, triangle bikinis, linen cover-ups",
+          "Bright primaries or icy metallics; performance zips, waterproof seams",
+          "Cross-sell: goggles, fur-trim hoods, sun visors"
+        ].join("\n")
+      },
+      {
+        id: "ROMANTIC_SOFT",
+        description: [
+          "Ruffle, wrap, tiered or balloon-sleeve silhouettes",
+          "Pastel / floral prints, ditsy patterns, broderie anglaise",
+          "Day dresses, chiffon skirts, soft-knit cardigans",
+          "Accessories: silk scarves, straw hats, dainty belts"
+        ].join("\n")
+      },
+      {
+        id: "URBAN_MINIMAL",
+        description: [
+          "Absorbs SPORTY_STREET",
+          "Ribbed bodycon dresses, tank midi, cropped racer tanks, hoodie sets",
+          "Monochrome (black, white, beige, camel) or bold-stripe logo tracksuits",
+          "Straight denim, biker shorts, athleisure with stretch",
+          "Clean copy tone; comfort & 24-h wear emphasised"
+        ].join("\n")
+      },
+      {
+        id: "POWER_POLISHED",
+        description: [
+          "Absorbs GLAM_DIVA",
+          "Tailored blazer dresses, shoulder-padded suits, cigarette trousers",
+          "Club-ready vinyl or sequin minis that project confidence",
+          "Jewel or stark monochrome palette; waist-cinching belts, plunge necks",
+          "Split by occasion in copy (\"Boardroom\" vs \"After-dark\")"
+        ].join("\n")
+      }
+    ],
+    bodyShapes: BODY_SHAPES,
+    seasons: SEASONS,
+    rules: "",
+    useImage: true
+  },
+  dyfashion: {
+    enabled: true,
+    personas: [
+      { id: "classic", description: "timeless, elegant, structured pieces" },
+      { id: "romantic", description: "soft, feminine, flowing silhouettes" },
+      { id: "creative", description: "bold, artistic, unique designs" }
+    ],
+    bodyShapes: [
+      { id: "triangle", description: "shoulders narrower than hips" },
+      { id: "inverted_triangle", description: "broad shoulders" },
+      { id: "rectangle", description: "little waist definition" },
+      { id: "hourglass", description: "balanced bust & hips" },
+      { id: "oval", description: "fuller midsection" }
+    ],
+    seasons: [
+      { id: "winter", description: "cool undertone, high contrast (black, white, jewel tones)" },
+      { id: "summer", description: "cool undertone, soft contrast (dusty pastels, powdery blues)" },
+      { id: "autumn", description: "warm undertone, muted depth (camel, rust, olive, mustard)" },
+      { id: "spring", description: "warm undertone, clear brights (coral, peach, aqua)" }
+    ],
+    rules: "Include at least one value for \"body\", \"personality\", and \"chromatic\" in every response.",
+    useImage: true
+  }
+};
+
+// ─── Validation ───────────────────────────────────────────────────────
+
+const ID_PATTERN = /^[A-Za-z][A-Za-z0-9_]*$/;
+const MAX_OPTIONS = 20;
+const MAX_DESCRIPTION = 1000;
+const MAX_RULES = 4000;
+
+const AXES = {
+  personas: "persona",
+  bodyShapes: "body shape",
+  seasons: "season"
+};
+
+function normalizeOptions(field, value, errors) {
+  const noun = AXES[field];
+  if (!Array.isArray(value)) {
+    errors.push(`${field} must be an array`);
+    return [];
+  }
+  if (value.length > MAX_OPTIONS) {
+    errors.push(`${field} can have at most ${MAX_OPTIONS} entries`);
+  }
+
+  const seen = new Set();
+  const options = [];
+  for (const entry of value) {
+    const id = typeof entry === "string" ? entry.trim() : (typeof entry?.id === "string" ? entry.id.trim() : "");
+    const description = typeof entry?.description === "string" ? entry.description.trim() : "";
+    if (!id) continue;
+    if (!ID_PATTERN.test(id)) {
+      errors.push(`Invalid ${noun} id "${id}": letters, digits and underscores, starting with a letter`);
+    } else if (seen.has(id)) {
+      errors.push(`Duplicate ${noun} "${id}"`);
+    } else if (description.length > MAX_DESCRIPTION) {
+      errors.push(`${noun} "${id}" description is longer than ${MAX_DESCRIPTION} characters`);
+    }
+    seen.add(id);
+    options.push({ id, description });
+  }
+  return options;
+}
+
+/**
+ * Validate and clean a style taxonomy from the API
+ * Unknown fields are dropped; missing ones are left out so they follow the defaults.
+ * @param {Object} input - Taxonomy from the request body
+ * @returns {{ taxonomy: Object, errors: string[] }}
+ */
+export function normalizeStyleTaxonomy(input) {
+  const errors = [];
+  if (!input || typeof input !== "object" || Array.isArray(input)) {
+    return { taxonomy: null, errors: ["styleTaxonomy must be an object"] };
+  }
+
+  const taxonomy = {};
+
+  for (const field of ["enabled", "useImage"]) {
+    if (input[field] === undefined) continue;
+    if (typeof input[field] !== "boolean") {
+      errors.push(`${field} must be a boolean`);
+    } else {
+      taxonomy[field] = input[field];
+    }
+  }
+
+  for (const field of Object.keys(AXES)) {
+    if (input[field] === undefined) continue;
+    taxonomy[field] = normalizeOptions(field, input[field], errors);
+  }
+
+  if (input.rules !== undefined) {
+    if (typeof input.rules !== "string") {
+      errors.push("rules must be a string");
+    } else if (input.rules.length > MAX_RULES) {
+      errors.push(`rules can be at most ${MAX_RULES} characters`);
+    } else {
+      taxonomy.rules = input.rules.trim();
+    }
+  }
+
+  const resolved = resolveStyleTaxonomy(taxonomy);
+  if (resolved.enabled) {
+    for (const field of Object.keys(AXES)) {
+      if (resolved[field].length === 0) {
+        errors.push(`An enabled taxonomy needs at least one ${AXES[field]}`);
+      }
+    }
+  }
+
+  return { taxonomy, errors };
+}
+
+// ─── Resolution ───────────────────────────────────────────────────────
+
+/**
+ * Merge a stored taxonomy with the defaults
+ * @param {Object|null} profile - store.styleTaxonomy
+ * @returns {Object} - Complete taxonomy
+ */
+export function resolveStyleTaxonomy(profile) {
+  return { ...DEFAULT_STYLE_TAXONOMY, ...(profile || {}) };
+}
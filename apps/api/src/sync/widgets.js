@@ -0,0 +1,243 @@
+/**
+ * Widget regeneration
+ * Rebuilds the storefront widgets served from the DynamoDB cache: Complete the
+ * Look (outfits) and Similar Products. For each product the cached widget is
+ * deleted, then its Lambda is called, which generates it and caches it again.
+ *
+ * Runs as the worker's "complete-the-look" / "similar-products" jobs, queued
+ * from the dashboard or after a sync that enriched products. Progress is
+ * published on the store's "<storeId>_widgets" PubNub channel, and the time each
+ * product was regenerated is saved on its Product node, which the dashboard
+ * reports as widget coverage.
+ *
+ * Every regenerated entry is added to the widget cache's reverse index, which
+ * the sync uses to purge products that are deleted or go out of stock from the
+ * widgets showing them (invalidateWidgetCaches).
+ */
+
+import crypto from "crypto";
+import fetch from "node-fetch";
+import { config } from "@runa/config";
+import { dynamodb } from "@runa/core";
+import { neo4jService } from "./services/index.js";
+import { delay, mapWithConcurrency } from "./utils/index.js";
+import { WIDGET_TYPES } from "./store-config.js";
+
+// Requests start this far apart, so a batch does not hit the Lambda all at once
+const REQUEST_STAGGER_MS = 100;
+// Progress is published every this many products (and at the end)
+const PROGRESS_EVERY = 10;
+
+// Shopper profile the default look is generated for
+const OUTFIT_PROFILE = {
+  userId: "default-2",
+  personality: "classic, romantic",
+  chromatic: "autumn",
+  isNeutral: 0,
+  action: "gpt-4",
+  tokens: 1024,
+  temperature: 1
+};
+
+const WIDGETS = {
+  "complete-the-look": {
+    label: "Complete the Look",
+    timestampField: "complete_the_look_updated_at",
+    cacheKey: (storeId, handle, language) => `${storeId}_${handle}_${language}`,
+    buildUrl(storeId, product, { language, geminiModel, skipImages }) {
+      const params = new URLSearchParams({
+        ...OUTFIT_PROFILE,
+        domain: storeId,
+        productId: product.id,
+        productHandle: product.handle,
+        channelId: `runa_${storeId}_${crypto.randomUUID()}-outfit`,
+        actionId: crypto.randomUUID(),
+        model1: "",
+        model2: "",
+        skipCaching: false,
+        profileId: "",
+        language,
+        ...(geminiModel ? { geminiModel } : {}),
+        ...(skipImages ? { skipImages: "true" } : {})
+      });
+      return `${config.widgets.completeTheLookUrl}?${params}`;
+    }
+  },
+  "similar-products": {
+    label: "Similar Products",
+    timestampField: "similar_product_updated_at",
+    cacheKey: (storeId, handle, language) => `${storeId.toLowerCase()}_similar_products_${handle.toLowerCase()}_${language}`,
+    buildUrl(storeId, product, { geminiModel, skipImages, candidateLimit }) {
+      const params = new URLSearchParams({
+        domain: storeId,
+        productHandle: product.handle,
+        mode: "similar",
+        ...(geminiModel ? { geminiModel } : {}),
+        ...(skipImages ? { skipImages: "true" } : {}),
+        ...(candidateLimit ? { candidateLimit: String(candidateLimit) } : {})
+      });
+      return `${config.widgets.similarProductsUrl}?${params}`;
+    }
+  }
+};
+
+export function getWidgetChannelId(storeId) {
+  return `${storeId}_widgets`;
+}
+
+/**
+ * Purge products that were deleted or went out of stock from the widget caches
+ * Widgets of other products that had to be deleted lose their regeneration
+ * timestamp, so the next "changed" or "missing" job rebuilds them.
+ * @param {string} storeId - Store ID
+ * @param {Array<{ id, handle }>} products - Dropped products
+ * @returns {Promise<Object>} - { products, purged, rewritten, regenerate }
+ */
+export async function invalidateWidgetCaches(storeId, products) {
+  if (products.length === 0) {
+    return { products: 0, purged: 0, rewritten: 0, regenerate: 0 };
+  }
+
+  const result = await dynamodb.widgetCache.invalidateProducts(storeId, products);
+  for (const widget of WIDGET_TYPES) {
+    const handles = result.regenerate.filter(r => r.widget === widget).map(r => r.handle);
+    if (handles.length > 0) {
+      await neo4jService.clearWidgetRegenerated(storeId, WIDGETS[widget].timestampField, handles);
+    }
+  }
+
+  return {
+    products: products.length,
+    purged: result.purged,
+    rewritten: result.rewritten,
+    regenerate: result.regenerate.length
+  };
+}
+
+export class WidgetRegenerator {
+  /**
+   * @param {BaseProvider} provider - Provider of the store (PubNub, signal)
+   * @param {string} widget - One of WIDGET_TYPES
+   */
+  constructor(provider, widget) {
+    if (!WIDGET_TYPES.includes(widget)) {
+      throw new Error(`Unknown widget "${widget}"`);
+    }
+    this.provider = provider;
+    this.storeId = provider.shopName;
+    this.widget = widget;
+    this.definition = WIDGETS[widget];
+    this.neo4j = neo4jService;
+  }
+
+  /**
+   * Regenerate the widget for the products a scope selects
+   * Each product is stamped as soon as its widget is rebuilt, so a retried or
+   * re-queued "changed" job skips the products already done.
+   * @param {Object} options - { scope, category, language, geminiModel, skipImages, candidateLimit, jobId, onProgress }
+   * @returns {Promise<Object>} - Counts and errors, plus cancelled when aborted
+   */
+  async run({ scope = "changed", category = null, language = "en", geminiModel = null, skipImages = false, candidateLimit = null, jobId = null, onProgress = null } = {}) {
+    const signal = this.provider.signal;
+    const startedAt = Date.now();
+    const products = await this.neo4j.getWidgetCandidates(this.storeId, this.definition.timestampField, { scope, category });
+
+    const stats = {
+      widget: this.widget,
+      scope,
+      category,
+      candidates: products.length,
+      regenerated: 0,
+      failed: 0,
+      errors: []
+    };
+    const requestOptions = { language, geminiModel, skipImages, candidateLimit };
+    let processed = 0;
+
+    console.log(`\n=== ${this.definition.label} for ${this.storeId}: ${products.length} products (${scope}${category ? ` "${category}"` : ""}) ===`);
+    this.publish({ jobId, status: "running", processed, total: products.length });
+
+    await mapWithConcurrency(products, config.widgets.concurrency, async (product, i) => {
+      if (i < config.widgets.concurrency) await delay(i * REQUEST_STAGGER_MS);
+      if (signal?.aborted) return;
+
+      try {
+        await this.regenerate(product, requestOptions);
+        await this.neo4j.stampWidgetRegenerated(this.storeId, this.definition.timestampField, [product.id], new Date().toISOString());
+        stats.regenerated++;
+      } catch (error) {
+        if (signal?.aborted) return;
+        stats.failed++;
+        if (stats.errors.length < 20) {
+          stats.errors.push({ productId: product.id, handle: product.handle, error: error.message });
+        }
+        console.log(`  [${product.handle}] ✗ ${error.message}`);
+      }
+
+      processed++;
+      onProgress?.(processed, products.length);
+      if (processed % PROGRESS_EVERY === 0) {
+        this.publish({ jobId, status: "running", processed, total: products.length });
+      }
+    }, { signal });
+
+    if (signal?.aborted) {
+      stats.cancelled = true;
+    }
+    stats.durationMs = Date.now() - startedAt;
+    this.publish({
+      jobId,
+      status: stats.cancelled ? "cancelled" : "completed",
+      processed,
+      total: products.length,
+      regenerated: stats.regenerated,
+      failed: stats.failed
+    });
+    console.log(`  ${this.definition.label}: ${stats.regenerated} regenerated, ${stats.failed} failed${stats.cancelled ? " (cancelled)" : ""}`);
+    return stats;
+  }
+
+  /**
+   * Drop a product's cached widget and have the Lambda rebuild it
+   */
+  async regenerate(product, options) {
+    const key = this.definition.cacheKey(this.storeId, product.handle, options.language);
+    await dynamodb.cache.del(key);
+
+    const timeout = AbortSignal.timeout(config.widgets.requestTimeoutMs);
+    const signal = this.provider.signal ? AbortSignal.any([this.provider.signal, timeout]) : timeout;
+    const response = await fetch(this.definition.buildUrl(this.storeId, product, options), {
+      method: "GET",
+      headers: { "Content-Type": "application/json" },
+      signal
+    });
+    if (!response.ok) {
+      throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+    }
+    await response.json();
+
+    // Record the products the new entry shows; a failure only costs precision
+    // when one of them is dropped later
+    try {
+      const entry = await dynamodb.widgetCache.getEntry(key);
+      if (entry?.data) await dynamodb.widgetCache.indexEntry(this.storeId, key, entry.data);
+    } catch (error) {
+      console.log(`  [${product.handle}] Widget cache index update failed: ${error.message}`);
+    }
+  }
+
+  publish(progress) {
+    try {
+      this.provider.pubnub.publish(getWidgetChannelId(this.storeId), {
+        type: "widget_progress",
+        widget: this.widget,
+        ...progress,
+        timestamp: new Date().toISOString()
+      });
+    } catch (error) {
+      console.error("Failed to publish widget progress:", error.message);
+    }
+  }
+}
+
+export default WidgetRegenerator;
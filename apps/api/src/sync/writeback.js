@@ -0,0 +1,248 @@
+/**
+ * Write-back
+ * Pushes AI copy (descriptions and SEO) from the Product nodes back to the
+ * source platform, through the provider's fetchProductCopy / updateProduct.
+ *
+ * A field is only overwritten when the live value is empty, is what we pushed
+ * last time, or (descriptions) is still the text the sync read from the
+ * platform. Anything else was edited by a human and is left alone unless
+ * `force` is set.
+ *
+ * Every push is recorded on the Product node right away
+ * (descriptionPushedAt/Hash, seoPushedAt/Hash), so an interrupted push can be
+ * queued again and only the products still pending are sent.
+ */
+
+import { neo4jService } from "./services/index.js";
+import { hashCopy, mapWithConcurrency, retryOnDeadlock } from "./utils/index.js";
+import { WRITEBACK_FIELDS } from "./store-config.js";
+
+export const WRITEBACK_STATUS = {
+  CHANGED: "changed",
+  UNCHANGED: "unchanged",
+  HUMAN_EDITED: "human-edited"
+};
+
+// Platform calls run with low concurrency: each product is a read plus a write
+const WRITEBACK_CONCURRENCY = 2;
+
+/**
+ * AI copy of a candidate for one field
+ */
+function proposedCopy(candidate, field) {
+  if (field === "description") {
+    return candidate.description ? { description: candidate.description } : null;
+  }
+  return candidate.seoTitle
+    ? { seoTitle: candidate.seoTitle, seoMetaDescription: candidate.seoMetaDescription || "" }
+    : null;
+}
+
+/**
+ * Fingerprint of one field of a copy object ({ description } or { seoTitle, seoMetaDescription })
+ */
+function copyHash(copy, field) {
+  if (field === "description") {
+    return hashCopy(copy.description);
+  }
+  return hashCopy(`${copy.seoTitle || ""}\n${copy.seoMetaDescription || ""}`);
+}
+
+/**
+ * Whether the current AI copy of a field was already pushed
+ */
+function isPushed(candidate, field) {
+  const proposed = proposedCopy(candidate, field);
+  return !proposed || copyHash(proposed, field) === candidate[`${field}PushedHash`];
+}
+
+/**
+ * Compare the live value of a field with the AI copy
+ * @returns {string} - One of WRITEBACK_STATUS
+ */
+export function getFieldStatus(candidate, field, live) {
+  const proposedHash = copyHash(proposedCopy(candidate, field), field);
+  const liveHash = copyHash(live, field);
+  const pushedHash = candidate[`${field}PushedHash`] || null;
+
+  if (liveHash === proposedHash) return WRITEBACK_STATUS.UNCHANGED;
+  if (!liveHash || liveHash === pushedHash) return WRITEBACK_STATUS.CHANGED;
+  // Never pushed: the platform text is still the one the AI description replaced
+  if (field === "description" && !pushedHash && liveHash === candidate.sourceDescriptionHash) {
+    return WRITEBACK_STATUS.CHANGED;
+  }
+  return WRITEBACK_STATUS.HUMAN_EDITED;
+}
+
+export class WriteBack {
+  /**
+   * @param {BaseProvider} provider - Provider of the store (credentials included)
+   */
+  constructor(provider) {
+    this.provider = provider;
+    this.storeId = provider.shopName;
+    this.neo4j = neo4jService;
+  }
+
+  /**
+   * Keep the requested fields the provider can write
+   * @returns {string[]}
+   */
+  resolveFields(fields = WRITEBACK_FIELDS) {
+    const supported = this.provider.writableFields;
+    const resolved = fields.filter(field => supported.includes(field));
+    if (resolved.length === 0) {
+      throw new Error(`Write-back of ${fields.join(", ")} is not supported by the ${this.provider.providerType} provider`);
+    }
+    return resolved;
+  }
+
+  /**
+   * Candidates whose AI copy was not pushed yet (all candidates when specific
+   * products are requested)
+   */
+  async getPending({ productIds = null, fields }) {
+    const candidates = await this.neo4j.getWriteBackCandidates(this.storeId, { productIds, fields });
+    const pending = productIds
+      ? candidates
+      : candidates.filter(c => fields.some(field => !isPushed(c, field)));
+    return { candidates, pending };
+  }
+
+  /**
+   * Diff the AI copy against the live platform values, without writing anything
+   * @param {Object} options - { productIds, fields, limit }
+   * @returns {Promise<Object>} - { fields, candidates, pending, products }
+   */
+  async preview({ productIds = null, fields, limit = 20, signal = null } = {}) {
+    fields = this.resolveFields(fields);
+    const { candidates, pending } = await this.getPending({ productIds, fields });
+    const selected = pending.slice(0, limit);
+
+    const products = await mapWithConcurrency(selected, WRITEBACK_CONCURRENCY, async (candidate) => {
+      const live = await this.provider.fetchProductCopy(candidate.id);
+      const diff = {
+        productId: String(candidate.id),
+        title: candidate.title,
+        handle: candidate.handle,
+        missing: !live,
+        fields: {}
+      };
+      if (!live) return diff;
+
+      for (const field of fields) {
+        const proposed = proposedCopy(candidate, field);
+        if (!proposed) continue;
+        diff.fields[field] = {
+          status: getFieldStatus(candidate, field, live),
+          live: field === "description"
+            ? live.description
+            : { seoTitle: live.seoTitle, seoMetaDescription: live.seoMetaDescription },
+          proposed: field === "description" ? proposed.description : proposed,
+          source: field === "description" ? candidate.descriptionSource : candidate.seoSource,
+          pushedAt: candidate[`${field}PushedAt`] || null
+        };
+      }
+      return diff;
+    }, { signal });
+
+    return {
+      fields,
+      candidates: candidates.length,
+      pending: pending.length,
+      products: products.filter(Boolean)
+    };
+  }
+
+  /**
+   * Push pending AI copy to the platform
+   * @param {Object} options - { productIds, fields, force, jobId, signal, onProgress }
+   * @returns {Promise<Object>} - Counts per outcome, plus cancelled when aborted
+   */
+  async push({ productIds = null, fields, force = false, jobId = null, signal = null, onProgress = null } = {}) {
+    fields = this.resolveFields(fields);
+    const { candidates, pending } = await this.getPending({ productIds, fields });
+
+    const stats = {
+      fields,
+      candidates: candidates.length,
+      alreadyPushed: candidates.length - pending.length,
+      pushed: 0,
+      unchanged: 0,
+      humanEdited: 0,
+      missing: 0,
+      failed: 0,
+      errors: []
+    };
+    let done = 0;
+
+    console.log(`\n=== Write-back for ${this.storeId}: ${pending.length} products (${fields.join(", ")}${force ? ", force" : ""}) ===`);
+
+    await mapWithConcurrency(pending, WRITEBACK_CONCURRENCY, async (candidate) => {
+      try {
+        const outcome = await this.pushProduct(candidate, fields, { force, jobId, onlyPending: !productIds });
+        stats[outcome]++;
+        console.log(`  [Product ${candidate.id}] ${outcome}`);
+      } catch (error) {
+        stats.failed++;
+        if (stats.errors.length < 20) {
+          stats.errors.push({ productId: String(candidate.id), error: error.message });
+        }
+        console.log(`  [Product ${candidate.id}] ✗ ${error.message}`);
+      }
+      onProgress?.(++done, pending.length);
+    }, { signal });
+
+    if (signal?.aborted) {
+      stats.cancelled = true;
+    }
+    return stats;
+  }
+
+  /**
+   * Push the fields of one product that are safe to overwrite
+   * @param {Object} options - { force, jobId, onlyPending: skip fields already pushed }
+   * @returns {Promise<string>} - pushed | unchanged | humanEdited | missing
+   */
+  async pushProduct(candidate, fields, { force = false, jobId = null, onlyPending = true } = {}) {
+    const live = await this.provider.fetchProductCopy(candidate.id);
+    if (!live) return "missing";
+
+    const update = {};
+    const record = {};
+    const now = new Date().toISOString();
+    let humanEdited = false;
+
+    for (const field of fields) {
+      const proposed = proposedCopy(candidate, field);
+      if (!proposed || (onlyPending && isPushed(candidate, field))) continue;
+
+      const status = getFieldStatus(candidate, field, live);
+      if (status === WRITEBACK_STATUS.HUMAN_EDITED && !force) {
+        humanEdited = true;
+        continue;
+      }
+      if (status === WRITEBACK_STATUS.UNCHANGED) {
+        if (isPushed(candidate, field)) continue;
+      } else {
+        Object.assign(update, proposed);
+      }
+      // Copy that is already live is recorded too, so it no longer counts as pending
+      record[`${field}PushedAt`] = now;
+      record[`${field}PushedHash`] = copyHash(proposed, field);
+    }
+
+    if (Object.keys(update).length > 0) {
+      await this.provider.updateProduct(candidate.id, update);
+    }
+    if (Object.keys(record).length > 0) {
+      record.lastWriteBackJobId = jobId;
+      await retryOnDeadlock(() => this.neo4j.recordWriteBack(this.storeId, candidate.id, record));
+    }
+
+    if (Object.keys(update).length > 0) return "pushed";
+    return humanEdited ? "humanEdited" : "unchanged";
+  }
+}
+
+export default WriteBack;
@@ -9,6 +9,11 @@ import Dashboard from './pages/Dashboard';
 import Stores from './pages/Stores';
 import StoreDetail from './pages/StoreDetail';
 import Products from './pages/Products';
+import Reviews from './pages/Reviews';
+import BrandVoice from './pages/BrandVoice';
+import StyleTaxonomy from './pages/StyleTaxonomy';
+import ProductTags from './pages/ProductTags';
+import MappingRules from './pages/MappingRules';
 import Settings from './pages/Settings';
 import Demo from './pages/Demo';
 import DemoPrompts from './pages/DemoPrompts';
@@ -26,7 +31,10 @@ import DemoSearches from './pages/DemoSearches';
 // Layout
 import Layout from './components/Layout';
 
-function ProtectedRoute({ children }) {
+/**
+ * Requires a signed-in user, and optionally a role (checked again by the API)
+ */
+function ProtectedRoute({ children, role }) {
   const { user, loading } = useAuth();
 
   if (loading) {
@@ -41,6 +49,10 @@ function ProtectedRoute({ children }) {
     return <Navigate to="/login" replace />;
   }
 
+  if (role === 'superadmin' && user.role !== 'superadmin') {
+    return <Navigate to="/" replace />;
+  }
+
   return children;
 }
 
@@ -55,9 +67,11 @@ function App() {
       <Route path="/demo" element={<Demo />} />
       <Route path="/demo/:domain" element={<Demo />} />
       <Route path="/d/:domain" element={<Demo />} />
-      <Route path="/demo-searches" element={<DemoSearches />} />
-      <Route path="/demo-prompts" element={<DemoPrompts />} />
-      <Route path="/demo-manual" element={<DemoManual />} />
+
+      {/* Demo admin (superadmin only) */}
+      <Route path="/demo-searches" element={<ProtectedRoute role="superadmin"><DemoSearches /></ProtectedRoute>} />
+      <Route path="/demo-prompts" element={<ProtectedRoute role="superadmin"><DemoPrompts /></ProtectedRoute>} />
+      <Route path="/demo-manual" element={<ProtectedRoute role="superadmin"><DemoManual /></ProtectedRoute>} />
 
       {isDemoHost ? (
         <>
@@ -82,6 +96,11 @@ function App() {
             <Route path="stores" element={<Stores />} />
             <Route path="stores/:storeId" element={<StoreDetail />} />
             <Route path="products" element={<Products />} />
+            <Route path="reviews" element={<Reviews />} />
+            <Route path="brand-voice" element={<BrandVoice />} />
+            <Route path="style-taxonomy" element={<StyleTaxonomy />} />
+            <Route path="product-tags" element={<ProductTags />} />
+            <Route path="mapping-rules" element={<MappingRules />} />
             <Route path="settings" element={<Settings />} />
             <Route path="ai-merchant" element={<AIMerchant />} />
             <Route path="ai-visual-merchandiser" element={<AIVisualMerchandiser />} />
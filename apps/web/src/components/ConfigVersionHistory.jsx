@@ -0,0 +1,127 @@
+import { useState } from 'react';
+import { useQuery, useMutation, useQueryClient } from '@tanstack/react-query';
+import { apiEndpoints } from '../services/api';
+
+/**
+ * Saved versions of a storefront config (AI Stylist, AI Visual Merchandiser):
+ * compare any version with the live config and roll back to it
+ */
+export default function ConfigVersionHistory({ storeId, kind, onRollback }) {
+  const queryClient = useQueryClient();
+  const [compared, setCompared] = useState(null);
+
+  const { data, isLoading } = useQuery({
+    queryKey: ['storefront-config-versions', storeId, kind],
+    queryFn: () => apiEndpoints.getStorefrontConfigVersions(storeId, kind),
+    enabled: !!storeId
+  });
+  const versions = data?.data?.versions || [];
+
+  const { data: diffData, isFetching: diffLoading } = useQuery({
+    queryKey: ['storefront-config-diff', storeId, kind, compared],
+    queryFn: () => apiEndpoints.diffStorefrontConfig(storeId, kind, compared),
+    enabled: !!storeId && compared !== null
+  });
+  const changes = diffData?.data?.changes || [];
+
+  const rollbackMutation = useMutation({
+    mutationFn: (version) => apiEndpoints.rollbackStorefrontConfig(storeId, kind, version),
+    onSuccess: (response) => {
+      queryClient.invalidateQueries({ queryKey: ['storefront-config-versions', storeId, kind] });
+      queryClient.invalidateQueries({ queryKey: ['storefront-config-diff', storeId, kind] });
+      setCompared(null);
+      onRollback?.(response.data);
+    },
+    onError: (error) => alert('Rollback failed: ' + error.message)
+  });
+
+  const handleRollback = (version) => {
+    if (window.confirm(`Roll back to version ${version}? The storefront will use it immediately.`)) {
+      rollbackMutation.mutate(version);
+    }
+  };
+
+  if (isLoading) return null;
+
+  return (
+    <section className="mb-8">
+      <h2 className="section-title">Version History</h2>
+      {versions.length === 0 ? (
+        <p className="text-sm text-neutral-500">No saved versions yet. Every save from this page is kept here.</p>
+      ) : (
+        <div className="border border-neutral-100 p-6">
+          <table className="w-full text-sm">
+            <thead>
+              <tr className="text-left text-xs text-neutral-500 uppercase tracking-widest">
+                <th className="py-2 font-normal">Version</th>
+                <th className="py-2 font-normal">Saved</th>
+                <th className="py-2 font-normal">Note</th>
+                <th className="py-2 font-normal"></th>
+              </tr>
+            </thead>
+            <tbody>
+              {versions.map((v, i) => (
+                <tr key={v.version} className="border-t border-neutral-100 align-top">
+                  <td className="py-2 pr-4">
+                    v{v.version}{i === 0 && <span className="text-xs text-neutral-500"> (current)</span>}
+                  </td>
+                  <td className="py-2 pr-4 text-neutral-600">{new Date(v.savedAt).toLocaleString()}</td>
+                  <td className="py-2 pr-4 text-neutral-600">{v.note || '—'}</td>
+                  <td className="py-2 text-right whitespace-nowrap">
+                    <button
+                      type="button"
+                      onClick={() => setCompared(compared === v.version ? null : v.version)}
+                      className="btn btn-secondary btn-sm mr-2"
+                    >
+                      {compared === v.version ? 'Hide' : 'Compare'}
+                    </button>
+                    {i > 0 && (
+                      <button
+                        type="button"
+                        onClick={() => handleRollback(v.version)}
+                        disabled={rollbackMutation.isPending}
+                        className="btn btn-secondary btn-sm"
+                      >
+                        Roll back
+                      </button>
+                    )}
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+
+          {compared !== null && (
+            <div className="mt-6">
+              <p className="text-xs text-neutral-500 uppercase tracking-widest mb-2">
+                v{compared} → live
+              </p>
+              {diffLoading ? (
+                <div className="spinner"></div>
+              ) : changes.length === 0 ? (
+                <p className="text-sm text-neutral-500">Identical to the live config.</p>
+              ) : (
+                <div className="space-y-4">
+                  {changes.map((c) => (
+                    <div key={c.field}>
+                      <p className="text-sm font-medium text-neutral-900">{c.field}</p>
+                      <div className="grid grid-cols-2 gap-4 mt-1">
+                        <pre className="text-xs bg-neutral-50 p-2 whitespace-pre-wrap break-words">{formatValue(c.from)}</pre>
+                        <pre className="text-xs bg-neutral-50 p-2 whitespace-pre-wrap break-words">{formatValue(c.to)}</pre>
+                      </div>
+                    </div>
+                  ))}
+                </div>
+              )}
+            </div>
+          )}
+        </div>
+      )}
+    </section>
+  );
+}
+
+function formatValue(value) {
+  if (value === null || value === '') return '(empty)';
+  return typeof value === 'string' ? value : JSON.stringify(value);
+}
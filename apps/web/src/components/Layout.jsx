@@ -58,9 +58,55 @@ const aiToolsNavigation = [
       </svg>
     )
   },
+  {
+    name: 'Description Review',
+    path: '/reviews',
+    icon: (
+      <svg className="w-5 h-5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+        <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={1.5} d="M9 5H7a2 2 0 00-2 2v12a2 2 0 002 2h10a2 2 0 002-2V7a2 2 0 00-2-2h-2M9 5a2 2 0 002 2h2a2 2 0 002-2M9 5a2 2 0 012-2h2a2 2 0 012 2m-6 9l2 2 4-4" />
+      </svg>
+    )
+  },
+  {
+    name: 'Brand Voice',
+    path: '/brand-voice',
+    icon: (
+      <svg className="w-5 h-5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+        <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={1.5} d="M7 8h10M7 12h4m1 8l-4-4H5a2 2 0 01-2-2V6a2 2 0 012-2h14a2 2 0 012 2v8a2 2 0 01-2 2h-3l-4 4z" />
+      </svg>
+    )
+  },
+  {
+    name: 'Style Taxonomy',
+    path: '/style-taxonomy',
+    icon: (
+      <svg className="w-5 h-5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+        <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={1.5} d="M7 7h.01M7 3h5c.512 0 1.024.195 1.414.586l7 7a2 2 0 010 2.828l-7 7a2 2 0 01-2.828 0l-7-7A1.994 1.994 0 013 12V7a4 4 0 014-4z" />
+      </svg>
+    )
+  },
+  {
+    name: 'Product Tags',
+    path: '/product-tags',
+    icon: (
+      <svg className="w-5 h-5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+        <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={1.5} d="M8 7V3m8 4V3m-9 8h10M5 21h14a2 2 0 002-2V7a2 2 0 00-2-2H5a2 2 0 00-2 2v12a2 2 0 002 2z" />
+      </svg>
+    )
+  },
+  {
+    name: 'Mapping Rules',
+    path: '/mapping-rules',
+    icon: (
+      <svg className="w-5 h-5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+        <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={1.5} d="M8 7h12m0 0l-4-4m4 4l-4 4m0 6H4m0 0l4 4m-4-4l4-4" />
+      </svg>
+    )
+  },
   {
     name: 'Demo Searches',
     path: '/demo-searches',
+    superadminOnly: true,
     icon: (
       <svg className="w-5 h-5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
         <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={1.5} d="M15 12a3 3 0 11-6 0 3 3 0 016 0z" />
@@ -94,7 +140,8 @@ const settingsNavigation = [
 export default function Layout() {
   const { user, logout } = useAuth();
   const location = useLocation();
-  const { isSuperAdmin, disableSuperAdmin } = useSuperAdmin();
+  const { isSuperAdmin, canSuperAdmin, disableSuperAdmin } = useSuperAdmin();
+  const aiTools = aiToolsNavigation.filter((item) => !item.superadminOnly || canSuperAdmin);
 
   return (
     <div className="min-h-screen bg-white flex flex-col">
@@ -138,7 +185,7 @@ export default function Layout() {
               AI Tools
             </p>
             <nav className="space-y-1">
-              {aiToolsNavigation.map((item) => {
+              {aiTools.map((item) => {
                 const isActive = location.pathname === item.path ||
                   location.pathname.startsWith(item.path + '/');
 
@@ -195,7 +242,7 @@ export default function Layout() {
         {/* Mobile Sidebar - Horizontal scroll */}
         <div className="lg:hidden border-b border-neutral-100 overflow-x-auto flex-shrink-0 w-full absolute">
           <nav className="flex px-4 py-3 space-x-4">
-            {[...aiToolsNavigation, ...settingsNavigation].map((item) => {
+            {[...aiTools, ...settingsNavigation].map((item) => {
               const isActive = item.path === '/' 
                 ? location.pathname === '/'
                 : location.pathname === item.path || location.pathname.startsWith(item.path + '/');
@@ -1,35 +1,44 @@
 import { createContext, useContext, useState, useEffect } from 'react';
 import { useLocation } from 'react-router-dom';
+import { useAuth } from './AuthContext';
 
 const SuperAdminContext = createContext(null);
 
 const STORAGE_KEY = 'runa_superadmin';
 
+/**
+ * Superadmin mode: extra tools shown to users whose server-side role is
+ * "superadmin" (see GET /api/auth/me). The ?superadmin=true toggle only
+ * switches the mode on for them; the API enforces the role on every request.
+ */
 export function SuperAdminProvider({ children }) {
   const location = useLocation();
-  const [isSuperAdmin, setIsSuperAdmin] = useState(() => {
+  const { user } = useAuth();
+  const canSuperAdmin = user?.role === 'superadmin';
+  const [enabled, setEnabled] = useState(() => {
     return localStorage.getItem(STORAGE_KEY) === 'true';
   });
+  const isSuperAdmin = canSuperAdmin && enabled;
 
   // Check URL param on location change
   useEffect(() => {
     const params = new URLSearchParams(location.search);
-    if (params.get('superadmin') === 'true') {
-      setIsSuperAdmin(true);
+    if (params.get('superadmin') === 'true' && canSuperAdmin) {
+      setEnabled(true);
       localStorage.setItem(STORAGE_KEY, 'true');
       // Remove the param from URL without reload
       const newUrl = window.location.pathname;
       window.history.replaceState({}, '', newUrl);
     }
-  }, [location]);
+  }, [location, canSuperAdmin]);
 
   const disableSuperAdmin = () => {
-    setIsSuperAdmin(false);
+    setEnabled(false);
     localStorage.removeItem(STORAGE_KEY);
   };
 
   return (
-    <SuperAdminContext.Provider value={{ isSuperAdmin, disableSuperAdmin }}>
+    <SuperAdminContext.Provider value={{ isSuperAdmin, canSuperAdmin, disableSuperAdmin }}>
       {children}
     </SuperAdminContext.Provider>
   );
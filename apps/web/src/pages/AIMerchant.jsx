@@ -1,4 +1,30 @@
+import { useState } from 'react';
+import { useQuery, useMutation, useQueryClient } from '@tanstack/react-query';
+import { useSearchParams } from 'react-router-dom';
+import { useAuth } from '../context/AuthContext';
+import { apiEndpoints } from '../services/api';
+
+const DIMENSION_LABELS = { category: 'Category', color: 'Color', styleLane: 'Style lane' };
+const SIGNAL_LABELS = { arrivals: 'New arrivals', depletion: 'Units sold' };
+
 export default function AIMerchant() {
+  const { user } = useAuth();
+  const [searchParams, setSearchParams] = useSearchParams();
+  const [selectedStore, setSelectedStore] = useState(searchParams.get('storeId') || '');
+  const canEdit = user?.role === 'owner' || user?.role === 'superadmin';
+
+  const { data: storesData } = useQuery({
+    queryKey: ['stores'],
+    queryFn: apiEndpoints.getStores
+  });
+  const stores = storesData?.data?.stores || [];
+
+  function handleStoreChange(e) {
+    const newStoreId = e.target.value;
+    setSelectedStore(newStoreId);
+    setSearchParams(newStoreId ? { storeId: newStoreId } : {});
+  }
+
   return (
     <div className="animate-fade-in">
       <div className="page-header">
@@ -8,6 +34,20 @@ export default function AIMerchant() {
         </p>
       </div>
 
+      <div className="border border-neutral-100 p-6 mb-8">
+        <div className="max-w-md">
+          <label className="label">Store</label>
+          <select className="input" value={selectedStore} onChange={handleStoreChange}>
+            <option value="">Select a store</option>
+            {stores.map((store) => (
+              <option key={store.id} value={store.id}>{store.name}</option>
+            ))}
+          </select>
+        </div>
+      </div>
+
+      {selectedStore && <DailyReport key={selectedStore} storeId={selectedStore} canEdit={canEdit} />}
+
       {/* Feature Cards */}
       <div className="grid gap-6 md:grid-cols-2 lg:grid-cols-3">
         <div className="card">
@@ -85,3 +125,137 @@ export default function AIMerchant() {
     </div>
   );
 }
+
+function DailyReport({ storeId, canEdit }) {
+  const queryClient = useQueryClient();
+
+  const { data, isLoading, error } = useQuery({
+    queryKey: ['merchant-report', storeId],
+    queryFn: () => apiEndpoints.getMerchantReport(storeId)
+  });
+  const report = data?.data?.report;
+
+  const rebuildMutation = useMutation({
+    mutationFn: () => apiEndpoints.rebuildMerchantReport(storeId),
+    onSuccess: (response) => queryClient.setQueryData(['merchant-report', storeId], response),
+    onError: (err) => alert('Failed to rebuild the report: ' + err.message)
+  });
+
+  if (isLoading) {
+    return (
+      <div className="flex items-center justify-center h-64">
+        <div className="spinner"></div>
+      </div>
+    );
+  }
+
+  if (error) {
+    return <p className="text-sm text-red-600 mb-8">Failed to load the daily report: {error.message}</p>;
+  }
+
+  const { signals, trends, collections } = report;
+
+  return (
+    <div className="space-y-8 mb-12">
+      <section>
+        <div className="flex items-center justify-between mb-4">
+          <h2 className="section-title mb-0">Daily Report · {report.date}</h2>
+          {canEdit && (
+            <button
+              type="button"
+              onClick={() => rebuildMutation.mutate()}
+              disabled={rebuildMutation.isPending}
+              className="btn btn-secondary btn-sm"
+            >
+              {rebuildMutation.isPending ? 'Rebuilding...' : 'Rebuild'}
+            </button>
+          )}
+        </div>
+        <div className="grid gap-6 md:grid-cols-3">
+          <div className="card">
+            <p className="text-xs text-neutral-500 uppercase tracking-widest mb-2">New arrivals (7 days)</p>
+            <p className="text-2xl font-light">{signals.arrivals.current}</p>
+            <p className="text-xs text-neutral-500 mt-1">{signals.arrivals.previous} the week before</p>
+          </div>
+          <div className="card">
+            <p className="text-xs text-neutral-500 uppercase tracking-widest mb-2">Stock movement</p>
+            <p className="text-2xl font-light">{signals.depletion.available ? 'Tracked' : 'Collecting'}</p>
+            <p className="text-xs text-neutral-500 mt-1">
+              {signals.depletion.available
+                ? `${signals.depletion.snapshots} daily snapshots`
+                : 'Needs inventory snapshots from two weeks of syncs'}
+            </p>
+          </div>
+          <div className="card">
+            <p className="text-xs text-neutral-500 uppercase tracking-widest mb-2">Low stock excluded</p>
+            <p className="text-2xl font-light">{report.lowStockExcluded}</p>
+            <p className="text-xs text-neutral-500 mt-1">products left out of proposals</p>
+          </div>
+        </div>
+      </section>
+
+      <section>
+        <h2 className="section-title">Trends</h2>
+        {trends.length === 0 ? (
+          <p className="text-sm text-neutral-500">No week-over-week spikes in categories, colors or style lanes.</p>
+        ) : (
+          <div className="border border-neutral-100 p-6">
+            <table className="w-full text-sm">
+              <thead>
+                <tr className="text-left text-xs text-neutral-500 uppercase tracking-widest">
+                  <th className="py-2 font-normal">Trend</th>
+                  <th className="py-2 font-normal">Signal</th>
+                  <th className="py-2 font-normal text-right">This week</th>
+                  <th className="py-2 font-normal text-right">Last week</th>
+                  <th className="py-2 font-normal text-right">Change</th>
+                </tr>
+              </thead>
+              <tbody>
+                {trends.map((t) => (
+                  <tr key={`${t.signal}-${t.dimension}-${t.value}`} className="border-t border-neutral-100">
+                    <td className="py-2 pr-4">
+                      <span className="text-neutral-500">{DIMENSION_LABELS[t.dimension]}:</span> {t.value}
+                    </td>
+                    <td className="py-2 pr-4 text-neutral-600">{SIGNAL_LABELS[t.signal]}</td>
+                    <td className="py-2 text-right">{t.current}</td>
+                    <td className="py-2 text-right text-neutral-600">{t.previous}</td>
+                    <td className="py-2 text-right">{t.growth === null ? 'new' : `+${Math.round(t.growth * 100)}%`}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        )}
+      </section>
+
+      <section>
+        <h2 className="section-title">Proposed Collections</h2>
+        {collections.length === 0 ? (
+          <p className="text-sm text-neutral-500">No trend has enough in-stock products for a collection yet.</p>
+        ) : (
+          <div className="space-y-6">
+            {collections.map((c) => (
+              <div key={c.key} className="border border-neutral-100 p-6">
+                <h3 className="text-sm font-medium text-neutral-900">{c.name}</h3>
+                {c.description && <p className="text-sm text-neutral-500 mt-1">{c.description}</p>}
+                <p className="text-xs text-neutral-500 mt-1">
+                  {DIMENSION_LABELS[c.trend.dimension]}: {c.trend.value} · {SIGNAL_LABELS[c.trend.signal]} · {c.products.length} products
+                </p>
+                <div className="grid grid-cols-4 md:grid-cols-8 gap-3 mt-4">
+                  {c.products.map((p) => (
+                    <div key={p.id} title={p.title}>
+                      {p.image
+                        ? <img src={p.image} alt={p.title} className="w-full aspect-square object-cover bg-neutral-50" />
+                        : <div className="w-full aspect-square bg-neutral-50" />}
+                      <p className="text-xs text-neutral-600 mt-1 truncate">{p.title}</p>
+                    </div>
+                  ))}
+                </div>
+              </div>
+            ))}
+          </div>
+        )}
+      </section>
+    </div>
+  );
+}
@@ -1,21 +1,20 @@
 import { useState, useEffect } from 'react';
-import { useAuth } from '../context/AuthContext';
+import { useQueryClient } from '@tanstack/react-query';
 import { useSuperAdmin } from '../context/SuperAdminContext';
-import { api } from '../services/api';
-
-const APP_SERVER_URL = "https://enofvc3o7f.execute-api.us-east-1.amazonaws.com/production/healthiny-app";
+import { api, apiEndpoints } from '../services/api';
+import ConfigVersionHistory from '../components/ConfigVersionHistory';
 
 const DEFAULT_PRIMARY_COLOR = "#7846F3";
 const DEFAULT_CHAT_BACKGROUND_COLOR = "#ffffff";
 const DEFAULT_SECONDARY_COLOR = "#F2F2F1";
 
 export default function AIStylist() {
-  const { user } = useAuth();
   const { isSuperAdmin } = useSuperAdmin();
+  const queryClient = useQueryClient();
   const [loading, setLoading] = useState(true);
   const [saving, setSaving] = useState(false);
   const [showToast, setShowToast] = useState(false);
-  const [shop, setShop] = useState(null);
+  const [storeId, setStoreId] = useState(null);
   const [config, setConfig] = useState({
     name: "AI Stylist",
     description: "Here to answer every query and tailor suggestions, focusing on your needs and preferences.",
@@ -57,41 +56,11 @@ export default function AIStylist() {
       const stores = response.data?.stores || [];
       const store = stores[0];
       
-      let shopName = response.data?.shop || user?.shop || store?.shop || store?.domain;
-      
-      if (shopName) {
-        setShop(shopName);
-        
-        const url = `${APP_SERVER_URL}?action=getUser&shop=${shopName}`;
-        const userResponse = await fetch(url);
-        if (userResponse.ok) {
-          const userData = await userResponse.json();
-          if (userData.data?.chat) {
-            const chatConfig = userData.data.chat;
-            setConfig(prev => ({
-              ...prev,
-              name: chatConfig.name || prev.name,
-              description: chatConfig.description || prev.description,
-              message: chatConfig.message || prev.message,
-              suggestions: chatConfig.suggestions || prev.suggestions,
-              enableChat: chatConfig.enableChat || prev.enableChat,
-              chatWidgetPosition: chatConfig.chatWidgetPosition || prev.chatWidgetPosition,
-              marginBottom: chatConfig.marginBottom || prev.marginBottom,
-              marginHorizontal: chatConfig.marginHorizontal || prev.marginHorizontal,
-              mobileChatWidgetPosition: chatConfig.mobileChatWidgetPosition || prev.mobileChatWidgetPosition,
-              mobileMarginBottom: chatConfig.mobileMarginBottom || prev.mobileMarginBottom,
-              mobileMarginHorizontal: chatConfig.mobileMarginHorizontal || prev.mobileMarginHorizontal,
-              primaryColor: chatConfig.primaryColor || prev.primaryColor,
-              chatBackgroundColor: chatConfig.chatBackgroundColor || prev.chatBackgroundColor,
-              secondaryColor: chatConfig.secondaryColor || prev.secondaryColor,
-              chatFloatingButtonDescription: chatConfig.chatFloatingButtonDescription || prev.chatFloatingButtonDescription,
-              customContext: chatConfig.customContext || prev.customContext,
-              chatPrompt1: chatConfig.chatPrompt1 || prev.chatPrompt1,
-              chatPrompt2: chatConfig.chatPrompt2 || prev.chatPrompt2,
-              chatPrompt3: chatConfig.chatPrompt3 || prev.chatPrompt3
-            }));
-          }
-        }
+      if (store) {
+        setStoreId(store.id);
+
+        const configResponse = await apiEndpoints.getStorefrontConfig(store.id, 'stylist');
+        setConfig(configResponse.data.config);
       }
     } catch (error) {
       console.error('Error loading config:', error);
@@ -127,8 +96,8 @@ export default function AIStylist() {
   };
 
   const handleSave = async () => {
-    if (!shop) {
-      alert('No shop configured. Please check your store settings.');
+    if (!storeId) {
+      alert('No store configured. Please check your store settings.');
       return;
     }
 
@@ -157,19 +126,9 @@ export default function AIStylist() {
         chatPrompt3: config.chatPrompt3
       };
 
-      const url = `${APP_SERVER_URL}?action=saveUserChat&shop=${shop}&contextUpdated=0`;
-
-      const response = await fetch(url, {
-        method: "POST",
-        headers: {
-          "Content-Type": "application/json"
-        },
-        body: JSON.stringify({ chat: chatUpdate })
-      });
-
-      if (!response.ok) {
-        throw new Error(`HTTP error! Status: ${response.status}`);
-      }
+      const response = await apiEndpoints.updateStorefrontConfig(storeId, 'stylist', chatUpdate);
+      setConfig(response.data.config);
+      queryClient.invalidateQueries({ queryKey: ['storefront-config-versions', storeId, 'stylist'] });
 
       setShowToast(true);
       setTimeout(() => setShowToast(false), 3000);
@@ -525,6 +484,14 @@ export default function AIStylist() {
           {saving ? 'Saving...' : 'Save Changes'}
         </button>
       </div>
+
+      <div className="mt-12">
+        <ConfigVersionHistory
+          storeId={storeId}
+          kind="stylist"
+          onRollback={(result) => setConfig(result.config)}
+        />
+      </div>
     </div>
   );
 }
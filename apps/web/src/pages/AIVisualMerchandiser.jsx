@@ -1,13 +1,12 @@
 import { useState, useEffect } from 'react';
-import { useAuth } from '../context/AuthContext';
+import { useQueryClient } from '@tanstack/react-query';
 import { useSuperAdmin } from '../context/SuperAdminContext';
-import { api } from '../services/api';
-
-const APP_SERVER_URL = "https://enofvc3o7f.execute-api.us-east-1.amazonaws.com/production/healthiny-app";
+import { api, apiEndpoints } from '../services/api';
+import ConfigVersionHistory from '../components/ConfigVersionHistory';
 
 export default function AIVisualMerchandiser() {
-  const { user } = useAuth();
   const { isSuperAdmin } = useSuperAdmin();
+  const queryClient = useQueryClient();
   const [loading, setLoading] = useState(true);
   const [saving, setSaving] = useState(false);
   const [showToast, setShowToast] = useState(false);
@@ -35,8 +34,7 @@ export default function AIVisualMerchandiser() {
 
   // Toggle states for collapsible sections
   const [expandedSections, setExpandedSections] = useState({});
-  const [shop, setShop] = useState(null);
-  const [originalConfig, setOriginalConfig] = useState(null);
+  const [storeId, setStoreId] = useState(null);
   const [showAdvanced, setShowAdvanced] = useState(false);
 
   useEffect(() => {
@@ -49,24 +47,11 @@ export default function AIVisualMerchandiser() {
       const stores = response.data?.stores || [];
       const store = stores[0];
       
-      let shopName = response.data?.shop || user?.shop || store?.shop || store?.domain;
-      
-      if (shopName) {
-        setShop(shopName);
-        
-        const url = `${APP_SERVER_URL}?action=getUser&shop=${shopName}`;
-        const userResponse = await fetch(url);
-        if (userResponse.ok) {
-          const userData = await userResponse.json();
-          if (userData.data?.chat) {
-            const chatConfig = userData.data.chat;
-            setConfig(prev => ({
-              ...prev,
-              ...chatConfig
-            }));
-            setOriginalConfig(chatConfig);
-          }
-        }
+      if (store) {
+        setStoreId(store.id);
+
+        const configResponse = await apiEndpoints.getStorefrontConfig(store.id, 'visual-merchandiser');
+        setConfig(configResponse.data.config);
       }
     } catch (error) {
       console.error('Error loading config:', error);
@@ -86,20 +71,6 @@ export default function AIVisualMerchandiser() {
     }));
   };
 
-  // Check if context fields have changed (triggers regeneration warning)
-  const hasContextChanged = () => {
-    if (!originalConfig) return false;
-
-    return (
-      config.aiWidgetPersonalization !== originalConfig.aiWidgetPersonalization ||
-      config.adminWidgetContext !== originalConfig.adminWidgetContext ||
-      config.adminWidgetContextWithProfile !== originalConfig.adminWidgetContextWithProfile ||
-      config.adminWidgetContextCategory1 !== originalConfig.adminWidgetContextCategory1 ||
-      config.adminWidgetContextWithProfileCategory1 !== originalConfig.adminWidgetContextWithProfileCategory1 ||
-      config.shopTheLookPromptOutfit !== originalConfig.shopTheLookPromptOutfit
-    );
-  };
-
   // Extract only the AI instruction params to save
   const extractChatParams = (obj) => {
     return {
@@ -123,46 +94,26 @@ export default function AIVisualMerchandiser() {
     };
   };
 
+  // Outfits are not rebuilt on save: when an outfit prompt changed, the
+  // API suggests it and regeneration runs as a confirmed widget job
   const handleSave = async () => {
-    if (!shop) {
-      alert('No shop configured. Please check your store settings.');
+    if (!storeId) {
+      alert('No store configured. Please check your store settings.');
       return;
     }
 
-    // Check for context updates and show warning
-    const contextUpdated = hasContextChanged();
-    if (contextUpdated) {
-      const confirmed = window.confirm(
-        "You have modified AI instructions that will trigger regeneration of all outfit recommendations. Do you want to continue?"
-      );
-      if (!confirmed) {
-        return;
-      }
-    }
-
     setSaving(true);
     try {
-      const chat = extractChatParams(config);
-      const contextUpdatedParam = contextUpdated ? 1 : 0;
-      const url = `${APP_SERVER_URL}?action=saveUserChat&shop=${shop}&contextUpdated=${contextUpdatedParam}`;
-
-      const response = await fetch(url, {
-        method: "POST",
-        headers: {
-          "Content-Type": "application/json"
-        },
-        body: JSON.stringify({ chat })
-      });
-
-      if (!response.ok) {
-        throw new Error(`HTTP error! Status: ${response.status}`);
-      }
+      const response = await apiEndpoints.updateStorefrontConfig(storeId, 'visual-merchandiser', extractChatParams(config));
+      setConfig(response.data.config);
+      queryClient.invalidateQueries({ queryKey: ['storefront-config-versions', storeId, 'visual-merchandiser'] });
 
-      // Update original config to track future changes
-      setOriginalConfig(chat);
-      
       setShowToast(true);
       setTimeout(() => setShowToast(false), 3000);
+
+      if (response.data.regenerationSuggested) {
+        await confirmRegeneration();
+      }
     } catch (error) {
       console.error('Error saving config:', error);
       alert('Failed to save configuration: ' + error.message);
@@ -171,6 +122,22 @@ export default function AIVisualMerchandiser() {
     }
   };
 
+  const confirmRegeneration = async () => {
+    const confirmed = window.confirm(
+      "You have modified outfit instructions. Regenerate all outfit recommendations now? This rebuilds the Complete the Look widget of every product."
+    );
+    if (!confirmed) return;
+
+    try {
+      const response = await apiEndpoints.regenerateOutfits(storeId);
+      alert(response.data.alreadyActive
+        ? 'An outfit regeneration is already running.'
+        : 'Outfit regeneration started. Follow its progress on the store page.');
+    } catch (error) {
+      alert('Failed to start outfit regeneration: ' + error.message);
+    }
+  };
+
   if (loading) {
     return (
       <div className="flex items-center justify-center h-64">
@@ -398,6 +365,19 @@ export default function AIVisualMerchandiser() {
           {saving ? 'Saving...' : 'Save Changes'}
         </button>
       </div>
+
+      <div className="mt-12">
+        <ConfigVersionHistory
+          storeId={storeId}
+          kind="visual-merchandiser"
+          onRollback={async (result) => {
+            setConfig(result.config);
+            if (result.regenerationSuggested) {
+              await confirmRegeneration();
+            }
+          }}
+        />
+      </div>
     </div>
   );
 }
@@ -0,0 +1,447 @@
+import { useState } from 'react';
+import { useQuery, useMutation, useQueryClient } from '@tanstack/react-query';
+import { useSearchParams } from 'react-router-dom';
+import { useAuth } from '../context/AuthContext';
+import { apiEndpoints } from '../services/api';
+
+const SECTION_NAMES = {
+  intro: 'Introduction',
+  features: 'Features list',
+  composition: 'Composition',
+  care: 'Care instructions',
+  styling: 'How to wear (optional)'
+};
+
+const LABELED_SECTIONS = ['features', 'composition', 'care'];
+
+// List fields are edited one entry per line; empty lines are dropped by the API
+const toLines = (list) => (list || []).join('\n');
+const fromLines = (text) => text.split('\n');
+
+// Generated copy uses <br> line breaks; show it as plain lines
+const toPlainText = (html) => (html || '').replace(/<br\s*\/?>/gi, '\n').replace(/<[^>]*>/g, '').replace(/\n{3,}/g, '\n\n').trim();
+
+export default function BrandVoice() {
+  const { user } = useAuth();
+  const [searchParams, setSearchParams] = useSearchParams();
+  const [selectedStore, setSelectedStore] = useState(searchParams.get('storeId') || '');
+  const canEdit = user?.role === 'owner' || user?.role === 'superadmin';
+
+  const { data: storesData } = useQuery({
+    queryKey: ['stores'],
+    queryFn: apiEndpoints.getStores
+  });
+
+  const { data, isLoading } = useQuery({
+    queryKey: ['brand-voice', selectedStore],
+    queryFn: () => apiEndpoints.getBrandVoice(selectedStore),
+    enabled: !!selectedStore
+  });
+
+  const stores = storesData?.data?.stores || [];
+
+  function handleStoreChange(e) {
+    const newStoreId = e.target.value;
+    setSelectedStore(newStoreId);
+    setSearchParams(newStoreId ? { storeId: newStoreId } : {});
+  }
+
+  return (
+    <div className="animate-fade-in">
+      {/* Header */}
+      <div className="page-header">
+        <h1 className="page-title">Brand Voice</h1>
+        <p className="page-subtitle">Tone, vocabulary and structure of the AI descriptions and SEO for each store</p>
+      </div>
+
+      <div className="border border-neutral-100 p-6 mb-8">
+        <div className="max-w-md">
+          <label className="label">Store</label>
+          <select className="input" value={selectedStore} onChange={handleStoreChange}>
+            <option value="">Select a store</option>
+            {stores.map((store) => (
+              <option key={store.id} value={store.id}>{store.name}</option>
+            ))}
+          </select>
+        </div>
+      </div>
+
+      {!selectedStore ? (
+        <div className="border border-neutral-100 p-16 text-center">
+          <div className="empty-state-icon">↑</div>
+          <p className="empty-state-title">Select a store</p>
+          <p className="empty-state-text">Choose a store to edit its brand voice</p>
+        </div>
+      ) : isLoading || !data ? (
+        <div className="flex items-center justify-center h-64">
+          <div className="spinner"></div>
+        </div>
+      ) : (
+        <BrandVoiceEditor key={selectedStore} storeId={selectedStore} voice={data.data} canEdit={canEdit} />
+      )}
+    </div>
+  );
+}
+
+function BrandVoiceEditor({ storeId, voice, canEdit }) {
+  const queryClient = useQueryClient();
+  const { defaults, presets, sections: allSections, effective } = voice;
+  const [form, setForm] = useState(() => ({
+    ...defaults,
+    ...(voice.brandVoice || {}),
+    seo: { ...defaults.seo, ...(voice.brandVoice?.seo || {}) }
+  }));
+  const [dirty, setDirty] = useState(false);
+
+  const saveMutation = useMutation({
+    mutationFn: (brandVoice) => apiEndpoints.updateBrandVoice(storeId, brandVoice),
+    onSuccess: () => {
+      setDirty(false);
+      queryClient.invalidateQueries({ queryKey: ['brand-voice', storeId] });
+    },
+    onError: (err) => alert('Failed to save brand voice: ' + err.message)
+  });
+
+  const update = (field, value) => {
+    setForm((f) => ({ ...f, [field]: value }));
+    setDirty(true);
+  };
+  const updateSeo = (field, value) => update('seo', { ...form.seo, [field]: value });
+
+  function loadProfile(profile) {
+    if (dirty && !confirm('Discard your unsaved changes?')) return;
+    setForm({ ...defaults, ...profile, seo: { ...defaults.seo, ...(profile.seo || {}) } });
+    setDirty(true);
+  }
+
+  function moveSection(index, offset) {
+    const next = [...form.sections];
+    [next[index], next[index + offset]] = [next[index + offset], next[index]];
+    update('sections', next);
+  }
+
+  function toggleSection(id) {
+    update('sections', form.sections.includes(id)
+      ? form.sections.filter((s) => s !== id)
+      : [...form.sections, id]);
+  }
+
+  function updateBannedWord(index, field, value) {
+    update('bannedWords', form.bannedWords.map((entry, i) => (i === index ? { ...entry, [field]: value } : entry)));
+  }
+
+  return (
+    <div className="grid grid-cols-1 xl:grid-cols-3 gap-8">
+      <div className="xl:col-span-2 space-y-8">
+        {/* Actions */}
+        <div className="flex flex-wrap items-center justify-between gap-4">
+          <p className="text-xs text-neutral-500">
+            {voice.brandVoice ? 'Custom brand voice' : 'Using the default brand voice'} · writes in {effective.languageName.toLowerCase()}
+          </p>
+          {canEdit && (
+            <div className="flex gap-2">
+              <select
+                className="input py-1 w-auto"
+                value=""
+                onChange={(e) => e.target.value && loadProfile(e.target.value === 'default' ? defaults : presets[e.target.value])}
+              >
+                <option value="">Start from...</option>
+                <option value="default">Defaults</option>
+                {Object.keys(presets).map((key) => (
+                  <option key={key} value={key}>{presets[key].name || key}</option>
+                ))}
+              </select>
+              {voice.brandVoice && (
+                <button
+                  className="btn btn-ghost btn-sm"
+                  disabled={saveMutation.isPending}
+                  onClick={() => confirm('Remove the custom brand voice and use the defaults?') && saveMutation.mutate(null)}
+                >
+                  Reset
+                </button>
+              )}
+              <button
+                className="btn btn-primary btn-sm"
+                disabled={!dirty || saveMutation.isPending}
+                onClick={() => saveMutation.mutate(form)}
+              >
+                {saveMutation.isPending ? 'Saving...' : 'Save'}
+              </button>
+            </div>
+          )}
+        </div>
+
+        <fieldset disabled={!canEdit} className="space-y-8">
+          {/* Voice */}
+          <section>
+            <h2 className="section-title">Voice</h2>
+            <div className="border border-neutral-100 p-6 space-y-6">
+              <div className="grid grid-cols-1 md:grid-cols-3 gap-6">
+                <div>
+                  <label className="label">Store name</label>
+                  <input className="input" value={form.name} placeholder="e.g. TOFF.ro" onChange={(e) => update('name', e.target.value)} />
+                </div>
+                <div>
+                  <label className="label">Language</label>
+                  <input
+                    className="input"
+                    value={form.language}
+                    maxLength={2}
+                    placeholder={`Store language (${effective.language})`}
+                    onChange={(e) => update('language', e.target.value.toLowerCase())}
+                  />
+                </div>
+                <div>
+                  <label className="label">Max length (characters)</label>
+                  <input
+                    type="number"
+                    className="input"
+                    value={form.maxLength}
+                    onChange={(e) => update('maxLength', e.target.value === '' ? '' : parseInt(e.target.value))}
+                  />
+                </div>
+              </div>
+              <div>
+                <label className="label">Tone</label>
+                <textarea className="input" rows={3} value={form.tone} onChange={(e) => update('tone', e.target.value)} />
+              </div>
+              <div>
+                <label className="label">Guidelines (one per line)</label>
+                <textarea
+                  className="input"
+                  rows={5}
+                  value={toLines(form.guidelines)}
+                  placeholder="e.g. For any animal leather use only the word &quot;leather&quot;"
+                  onChange={(e) => update('guidelines', fromLines(e.target.value))}
+                />
+              </div>
+            </div>
+          </section>
+
+          {/* Banned words */}
+          <section>
+            <h2 className="section-title">Banned words</h2>
+            <div className="border border-neutral-100 p-6 space-y-3">
+              {form.bannedWords.length === 0 && (
+                <p className="text-sm text-neutral-400">No banned words</p>
+              )}
+              {form.bannedWords.map((entry, i) => (
+                <div key={i} className="flex gap-3 items-center">
+                  <input className="input" value={entry.word} placeholder="Word or expression" onChange={(e) => updateBannedWord(i, 'word', e.target.value)} />
+                  <span className="text-neutral-400">→</span>
+                  <input className="input" value={entry.replacement || ''} placeholder="Replacement (optional)" onChange={(e) => updateBannedWord(i, 'replacement', e.target.value)} />
+                  <button className="btn btn-ghost btn-sm" onClick={() => update('bannedWords', form.bannedWords.filter((_, j) => j !== i))}>
+                    ×
+                  </button>
+                </div>
+              ))}
+              <button className="btn btn-secondary btn-sm" onClick={() => update('bannedWords', [...form.bannedWords, { word: '', replacement: '' }])}>
+                Add word
+              </button>
+            </div>
+          </section>
+
+          {/* Structure */}
+          <section>
+            <h2 className="section-title">Structure</h2>
+            <div className="border border-neutral-100 p-6 space-y-6">
+              <div className="space-y-2">
+                {form.sections.map((id, i) => (
+                  <div key={id} className="flex items-center gap-3">
+                    <span className="text-xs text-neutral-400 w-4">{i + 1}</span>
+                    <span className="text-sm text-neutral-900 flex-1">{SECTION_NAMES[id] || id}</span>
+                    <button className="btn btn-ghost btn-sm" disabled={i === 0} onClick={() => moveSection(i, -1)}>↑</button>
+                    <button className="btn btn-ghost btn-sm" disabled={i === form.sections.length - 1} onClick={() => moveSection(i, 1)}>↓</button>
+                    <button className="btn btn-ghost btn-sm" disabled={form.sections.length === 1} onClick={() => toggleSection(id)}>×</button>
+                  </div>
+                ))}
+              </div>
+              {allSections.some((id) => !form.sections.includes(id)) && (
+                <div className="flex flex-wrap gap-2">
+                  {allSections.filter((id) => !form.sections.includes(id)).map((id) => (
+                    <button key={id} className="btn btn-secondary btn-sm" onClick={() => toggleSection(id)}>
+                      + {SECTION_NAMES[id] || id}
+                    </button>
+                  ))}
+                </div>
+              )}
+              <div className="grid grid-cols-1 md:grid-cols-3 gap-6">
+                {LABELED_SECTIONS.map((id) => (
+                  <div key={id}>
+                    <label className="label">{SECTION_NAMES[id]} label</label>
+                    <input
+                      className="input"
+                      value={form.labels?.[id] || ''}
+                      placeholder={effective.labels[id]}
+                      onChange={(e) => update('labels', { ...form.labels, [id]: e.target.value })}
+                    />
+                  </div>
+                ))}
+              </div>
+            </div>
+          </section>
+
+          {/* Examples */}
+          <section>
+            <h2 className="section-title">Example descriptions</h2>
+            <div className="border border-neutral-100 p-6 space-y-4">
+              {form.examples.map((example, i) => (
+                <div key={i} className="flex gap-3 items-start">
+                  <textarea
+                    className="input font-mono text-xs"
+                    rows={6}
+                    value={example}
+                    onChange={(e) => update('examples', form.examples.map((ex, j) => (j === i ? e.target.value : ex)))}
+                  />
+                  <button className="btn btn-ghost btn-sm" onClick={() => update('examples', form.examples.filter((_, j) => j !== i))}>
+                    ×
+                  </button>
+                </div>
+              ))}
+              <button className="btn btn-secondary btn-sm" disabled={form.examples.length >= 5} onClick={() => update('examples', [...form.examples, ''])}>
+                Add example
+              </button>
+            </div>
+          </section>
+
+          {/* SEO */}
+          <section>
+            <h2 className="section-title">SEO</h2>
+            <div className="border border-neutral-100 p-6 space-y-6">
+              <label className="flex items-center gap-3 text-sm text-neutral-900">
+                <input type="checkbox" checked={form.seo.enabled} onChange={(e) => updateSeo('enabled', e.target.checked)} />
+                Generate SEO title and meta description during sync
+              </label>
+              {form.seo.enabled && (
+                <>
+                  <div className="grid grid-cols-1 md:grid-cols-4 gap-6">
+                    <div>
+                      <label className="label">Title suffix</label>
+                      <input className="input" value={form.seo.titleSuffix} placeholder="e.g. | TOFF.ro" onChange={(e) => updateSeo('titleSuffix', e.target.value)} />
+                    </div>
+                    {[['titleMaxLength', 'Title max'], ['metaMinLength', 'Meta min'], ['metaMaxLength', 'Meta max']].map(([field, label]) => (
+                      <div key={field}>
+                        <label className="label">{label}</label>
+                        <input
+                          type="number"
+                          className="input"
+                          value={form.seo[field]}
+                          onChange={(e) => updateSeo(field, e.target.value === '' ? '' : parseInt(e.target.value))}
+                        />
+                      </div>
+                    ))}
+                  </div>
+                  {[
+                    ['titleGuidelines', 'Title guidelines'],
+                    ['titleExamples', 'Title examples'],
+                    ['metaGuidelines', 'Meta description guidelines'],
+                    ['benefits', 'Benefits to rotate in meta descriptions'],
+                    ['metaExamples', 'Meta description examples']
+                  ].map(([field, label]) => (
+                    <div key={field}>
+                      <label className="label">{label} (one per line)</label>
+                      <textarea
+                        className="input"
+                        rows={4}
+                        value={toLines(form.seo[field])}
+                        onChange={(e) => updateSeo(field, fromLines(e.target.value))}
+                      />
+                    </div>
+                  ))}
+                </>
+              )}
+            </div>
+          </section>
+        </fieldset>
+      </div>
+
+      <div>
+        <PreviewPanel storeId={storeId} form={form} canEdit={canEdit} />
+      </div>
+    </div>
+  );
+}
+
+function PreviewPanel({ storeId, form, canEdit }) {
+  const [sku, setSku] = useState('');
+  const [mode, setMode] = useState('');
+
+  const previewMutation = useMutation({
+    mutationFn: () => apiEndpoints.previewBrandVoice(storeId, {
+      sku: sku.trim(),
+      brandVoice: form,
+      ...(mode && { mode })
+    })
+  });
+
+  const result = previewMutation.data?.data;
+
+  return (
+    <section className="xl:sticky xl:top-8">
+      <h2 className="section-title">Test on a SKU</h2>
+      <div className="border border-neutral-100 p-6 space-y-4">
+        <p className="text-xs text-neutral-500">
+          Generates copy for a synced product with the settings on this page, saved or not. Nothing is written to the product.
+        </p>
+        <div>
+          <label className="label">SKU</label>
+          <input className="input" value={sku} placeholder="e.g. A20937-DLC" onChange={(e) => setSku(e.target.value)} />
+        </div>
+        <div>
+          <label className="label">Mode</label>
+          <select className="input" value={mode} onChange={(e) => setMode(e.target.value)}>
+            <option value="">Same as sync</option>
+            <option value="generate">Search + images</option>
+            <option value="rewrite">Images + current description</option>
+            <option value="reformat">Restyle current description</option>
+          </select>
+        </div>
+        <button
+          className="btn btn-primary btn-sm w-full"
+          disabled={!canEdit || !sku.trim() || previewMutation.isPending}
+          onClick={() => previewMutation.mutate()}
+        >
+          {previewMutation.isPending ? 'Generating...' : 'Test on this SKU'}
+        </button>
+
+        {previewMutation.isError && (
+          <p className="text-sm text-red-600">{previewMutation.error.message}</p>
+        )}
+
+        {result && (
+          <div className="space-y-4 pt-4 border-t border-neutral-100">
+            <div className="flex items-center gap-3">
+              {result.product.image && <img src={result.product.image} alt={result.product.title} className="w-12 h-12 object-cover" />}
+              <div className="min-w-0">
+                <p className="text-sm text-neutral-900 truncate">{result.product.title}</p>
+                <p className="text-xs text-neutral-400">{result.mode} · {result.language}</p>
+              </div>
+            </div>
+            <div>
+              <p className="label">Generated description</p>
+              {result.description ? (
+                <>
+                  <p className="text-sm text-neutral-900 whitespace-pre-line leading-relaxed">{toPlainText(result.description.text)}</p>
+                  <p className="text-xs text-neutral-400 mt-2">{result.description.text.length} characters · {result.description.source}</p>
+                </>
+              ) : (
+                <p className="text-sm text-neutral-400">No description could be generated for this product</p>
+              )}
+            </div>
+            {result.seo && (
+              <div>
+                <p className="label">SEO</p>
+                <p className="text-sm text-neutral-900">{result.seo.title}</p>
+                <p className="text-xs text-neutral-600 mt-1">{result.seo.metaDescription}</p>
+              </div>
+            )}
+            <div>
+              <p className="label">Current description</p>
+              <p className="text-xs text-neutral-500 whitespace-pre-line">{toPlainText(result.product.currentDescription) || 'Empty'}</p>
+            </div>
+          </div>
+        )}
+      </div>
+    </section>
+  );
+}
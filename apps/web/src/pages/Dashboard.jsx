@@ -3,7 +3,6 @@ import { useQuery, useMutation, useQueryClient } from '@tanstack/react-query';
 import { Link } from 'react-router-dom';
 import { apiEndpoints } from '../services/api';
 
-const APP_SERVER_URL = "https://enofvc3o7f.execute-api.us-east-1.amazonaws.com/production/healthiny-app";
 
 export default function Dashboard() {
   const queryClient = useQueryClient();
@@ -50,7 +49,7 @@ export default function Dashboard() {
       setSyncStatus(status);
 
       // Stop polling if sync is complete or failed
-      if (status.status === 'completed' || status.status === 'failed' || status.status === 'idle') {
+      if (status.status === 'completed' || status.status === 'failed' || status.status === 'cancelled' || status.status === 'idle') {
         stopPolling();
         // Refresh stores data
         queryClient.invalidateQueries(['stores']);
@@ -231,7 +230,7 @@ export default function Dashboard() {
 
       {/* Shopify Credentials Section - only for Shopify stores */}
       {store?.platform?.toLowerCase() === 'shopify' && (
-        <ShopifyCredentials store={store} accessToken={storesData?.data?.accessToken} />
+        <ShopifyCredentials store={store} accessToken={storesData?.data?.accessToken || store.accessToken} />
       )}
 
     </div>
@@ -306,27 +305,20 @@ function StoreCard({ store, syncStatus }) {
 function VtexCredentials({ store }) {
   const queryClient = useQueryClient();
   const [isEditing, setIsEditing] = useState(false);
-  const [vtexApiKey, setVtexApiKey] = useState(store.vtexApiKey || '');
-  const [vtexToken, setVtexToken] = useState(store.vtexToken || '');
+  // Saved credentials only come back masked; blank fields keep them
+  const [vtexApiKey, setVtexApiKey] = useState('');
+  const [vtexToken, setVtexToken] = useState('');
   const [saving, setSaving] = useState(false);
   const [showToast, setShowToast] = useState(false);
 
   const handleSave = async () => {
     setSaving(true);
     try {
-      // Save to Lambda database - credentials at root level
-      const url = `${APP_SERVER_URL}?action=saveUserChat&shop=${store.domain}&contextUpdated=0`;
-      await fetch(url, {
-        method: "POST",
-        headers: {
-          "Content-Type": "application/json"
-        },
-        body: JSON.stringify({
-          vtexApiKey,
-          vtexToken
-        })
-      });
+      // Saved on the store; the API encrypts credentials before storing them
+      await apiEndpoints.updateStore(store.id, { vtexApiKey, vtexToken });
 
+      setVtexApiKey('');
+      setVtexToken('');
       setIsEditing(false);
       setShowToast(true);
       setTimeout(() => setShowToast(false), 3000);
@@ -340,8 +332,8 @@ function VtexCredentials({ store }) {
   };
 
   const handleCancel = () => {
-    setVtexApiKey(store.vtexApiKey || '');
-    setVtexToken(store.vtexToken || '');
+    setVtexApiKey('');
+    setVtexToken('');
     setIsEditing(false);
   };
 
@@ -364,7 +356,7 @@ function VtexCredentials({ store }) {
                 className="input"
                 value={vtexApiKey}
                 onChange={(e) => setVtexApiKey(e.target.value)}
-                placeholder="Your VTEX API Key"
+                placeholder={store.vtexApiKey ? 'Leave blank to keep the current key' : 'Your VTEX API Key'}
               />
             </div>
             <div>
@@ -374,7 +366,7 @@ function VtexCredentials({ store }) {
                 className="input"
                 value={vtexToken}
                 onChange={(e) => setVtexToken(e.target.value)}
-                placeholder="Your VTEX Token"
+                placeholder={store.vtexToken ? 'Leave blank to keep the current token' : 'Your VTEX Token'}
               />
             </div>
             <div className="flex gap-3 pt-4">
@@ -401,13 +393,13 @@ function VtexCredentials({ store }) {
               <div>
                 <p className="text-xs text-neutral-500 uppercase tracking-wide mb-1">API Key</p>
                 <p className="text-sm font-medium text-neutral-900 font-mono">
-                  {store.vtexApiKey ? `${store.vtexApiKey.substring(0, 20)}...` : 'Not configured'}
+                  {store.vtexApiKey || 'Not configured'}
                 </p>
               </div>
               <div>
                 <p className="text-xs text-neutral-500 uppercase tracking-wide mb-1">Token</p>
-                <p className="text-sm font-medium text-neutral-900">
-                  {store.vtexToken ? '••••••••••••••••' : 'Not configured'}
+                <p className="text-sm font-medium text-neutral-900 font-mono">
+                  {store.vtexToken || 'Not configured'}
                 </p>
               </div>
             </div>
@@ -428,25 +420,18 @@ function VtexCredentials({ store }) {
 function ShopifyCredentials({ store, accessToken }) {
   const queryClient = useQueryClient();
   const [isEditing, setIsEditing] = useState(false);
-  const [token, setToken] = useState(accessToken || '');
+  // The saved token only comes back masked; a blank field keeps it
+  const [token, setToken] = useState('');
   const [saving, setSaving] = useState(false);
   const [showToast, setShowToast] = useState(false);
 
   const handleSave = async () => {
     setSaving(true);
     try {
-      // Save to Lambda database - credentials at root level
-      const url = `${APP_SERVER_URL}?action=saveUserChat&shop=${store.domain}&contextUpdated=0`;
-      await fetch(url, {
-        method: "POST",
-        headers: {
-          "Content-Type": "application/json"
-        },
-        body: JSON.stringify({
-          accessToken: token
-        })
-      });
+      // The API encrypts the token and also replaces the one on the user record
+      await apiEndpoints.updateStore(store.id, { accessToken: token });
 
+      setToken('');
       setIsEditing(false);
       setShowToast(true);
       setTimeout(() => setShowToast(false), 3000);
@@ -460,7 +445,7 @@ function ShopifyCredentials({ store, accessToken }) {
   };
 
   const handleCancel = () => {
-    setToken(accessToken || '');
+    setToken('');
     setIsEditing(false);
   };
 
@@ -483,7 +468,7 @@ function ShopifyCredentials({ store, accessToken }) {
                 className="input font-mono"
                 value={token}
                 onChange={(e) => setToken(e.target.value)}
-                placeholder="shpat_xxxxxxxxxxxxxxxxxxxx"
+                placeholder={accessToken ? 'Leave blank to keep the current token' : 'shpat_xxxxxxxxxxxxxxxxxxxx'}
               />
               <p className="text-xs text-neutral-500 mt-1">
                 Your Shopify Admin API access token
@@ -512,7 +497,7 @@ function ShopifyCredentials({ store, accessToken }) {
             <div className="mb-6">
               <p className="text-xs text-neutral-500 uppercase tracking-wide mb-1">Access Token</p>
               <p className="text-sm font-medium text-neutral-900 font-mono">
-                {accessToken ? `${accessToken.substring(0, 12)}...${accessToken.substring(accessToken.length - 4)}` : 'Not configured'}
+                {accessToken || 'Not configured'}
               </p>
             </div>
             <button
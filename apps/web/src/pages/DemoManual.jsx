@@ -1,5 +1,6 @@
 import { useState } from 'react';
 import DemoNav from '../components/DemoNav';
+import { apiEndpoints } from '../services/api';
 import { formatPrice } from '../utils/formatPrice';
 
 const PLACEHOLDER = `Outfit 1:
@@ -28,13 +29,7 @@ export default function DemoManual() {
     setResult(null);
     setError('');
     try {
-      const res = await fetch('/api/demo/seed', {
-        method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({ input, dryRun }),
-      });
-      const data = await res.json();
-      if (!res.ok) throw new Error(data.error || 'Request failed');
+      const { data } = await apiEndpoints.seedDemo({ input, dryRun });
       setResult(data);
     } catch (err) {
       setError(err.message);
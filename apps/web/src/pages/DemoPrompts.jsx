@@ -1,5 +1,6 @@
 import { useState, useEffect } from 'react';
 import DemoNav from '../components/DemoNav';
+import { apiEndpoints } from '../services/api';
 
 export default function DemoPrompts() {
   const [prompts, setPrompts] = useState(null);
@@ -12,9 +13,7 @@ export default function DemoPrompts() {
   useEffect(() => {
     async function load() {
       try {
-        const res = await fetch('/api/demo/prompts');
-        if (!res.ok) throw new Error('Failed to load prompts');
-        const data = await res.json();
+        const { data } = await apiEndpoints.getDemoPrompts();
         setPrompts(data.prompts);
       } catch (err) {
         setError(err.message);
@@ -30,12 +29,7 @@ export default function DemoPrompts() {
     setSaved(false);
     setError('');
     try {
-      const res = await fetch('/api/demo/prompts', {
-        method: 'PUT',
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({ prompts }),
-      });
-      if (!res.ok) throw new Error('Failed to save');
+      await apiEndpoints.saveDemoPrompts(prompts);
       setSaved(true);
       setTimeout(() => setSaved(false), 3000);
     } catch (err) {
@@ -1,5 +1,6 @@
 import { useState, useEffect } from 'react';
 import DemoNav from '../components/DemoNav';
+import { apiEndpoints } from '../services/api';
 import { formatPrice } from '../utils/formatPrice';
 
 function formatUSD(value) {
@@ -163,9 +164,8 @@ export default function DemoSearches() {
   useEffect(() => {
     async function load() {
       try {
-        const res = await fetch('/api/demo/searches');
-        if (!res.ok) throw new Error('Failed to fetch');
-        setData(await res.json());
+        const { data } = await apiEndpoints.getDemoSearches();
+        setData(data);
       } catch (err) {
         setError(err.message);
       } finally {
@@ -348,7 +348,7 @@ export default function DemoSearches() {
                     <button
                       onClick={async () => {
                         if (!confirm(`Delete cached result for ${store.domain}?`)) return;
-                        await fetch(`/api/demo/cache/${store.domain}`, { method: 'DELETE' });
+                        await apiEndpoints.deleteDemoCache(store.domain);
                         window.location.reload();
                       }}
                       className="px-3 py-2 text-xs text-red-500 hover:bg-red-50 rounded-md transition-colors whitespace-nowrap"
@@ -0,0 +1,371 @@
+import { useState, useEffect } from 'react';
+import { useQuery, useMutation, useQueryClient } from '@tanstack/react-query';
+import { useSearchParams } from 'react-router-dom';
+import { useAuth } from '../context/AuthContext';
+import { apiEndpoints } from '../services/api';
+
+const PRESET_NAMES = {
+  'romanian-fashion': 'Romanian fashion (femei / bărbați, beach subcategories)',
+  'beach-subcategories': 'Beach subcategories by image'
+};
+
+const EXAMPLE_RULE = {
+  id: 'new-rule',
+  match: { categoryPath: ['/women/'] },
+  set: { demographic: 'woman' }
+};
+
+const ACTIVE_JOB_STATUSES = ['queued', 'running'];
+
+const toJson = (value) => JSON.stringify(value, null, 2);
+
+export default function MappingRules() {
+  const { user } = useAuth();
+  const [searchParams, setSearchParams] = useSearchParams();
+  const [selectedStore, setSelectedStore] = useState(searchParams.get('storeId') || '');
+  const canEdit = user?.role === 'owner' || user?.role === 'superadmin';
+
+  const { data: storesData } = useQuery({
+    queryKey: ['stores'],
+    queryFn: apiEndpoints.getStores
+  });
+
+  const { data, isLoading } = useQuery({
+    queryKey: ['mapping-rules', selectedStore],
+    queryFn: () => apiEndpoints.getMappingRules(selectedStore),
+    enabled: !!selectedStore
+  });
+
+  const stores = storesData?.data?.stores || [];
+
+  function handleStoreChange(e) {
+    const newStoreId = e.target.value;
+    setSelectedStore(newStoreId);
+    setSearchParams(newStoreId ? { storeId: newStoreId } : {});
+  }
+
+  return (
+    <div className="animate-fade-in">
+      {/* Header */}
+      <div className="page-header">
+        <h1 className="page-title">Mapping Rules</h1>
+        <p className="page-subtitle">Demographic, category and subcategory of products, from what the platform says about them</p>
+      </div>
+
+      <div className="border border-neutral-100 p-6 mb-8">
+        <div className="max-w-md">
+          <label className="label">Store</label>
+          <select className="input" value={selectedStore} onChange={handleStoreChange}>
+            <option value="">Select a store</option>
+            {stores.map((store) => (
+              <option key={store.id} value={store.id}>{store.name}</option>
+            ))}
+          </select>
+        </div>
+      </div>
+
+      {!selectedStore ? (
+        <div className="border border-neutral-100 p-16 text-center">
+          <div className="empty-state-icon">↑</div>
+          <p className="empty-state-title">Select a store</p>
+          <p className="empty-state-text">Choose a store to edit and try its mapping rules</p>
+        </div>
+      ) : isLoading || !data ? (
+        <div className="flex items-center justify-center h-64">
+          <div className="spinner"></div>
+        </div>
+      ) : (
+        <MappingRulesEditor key={selectedStore} storeId={selectedStore} rules={data.data} canEdit={canEdit} />
+      )}
+    </div>
+  );
+}
+
+function MappingRulesEditor({ storeId, rules, canEdit }) {
+  const queryClient = useQueryClient();
+  const { presets, effective } = rules;
+  const [text, setText] = useState(() => toJson({ rules: effective.rules }));
+  const [dirty, setDirty] = useState(false);
+  const [parseError, setParseError] = useState(null);
+  const [dryRun, setDryRun] = useState(null);
+  const [jobId, setJobId] = useState(rules.activeJob?.jobId || null);
+
+  const { data: jobData } = useQuery({
+    queryKey: ['job', jobId],
+    queryFn: () => apiEndpoints.getJob(jobId),
+    enabled: !!jobId,
+    refetchInterval: (query) => (ACTIVE_JOB_STATUSES.includes(query.state.data?.data?.status) || !query.state.data ? 2000 : false)
+  });
+  const job = jobData?.data;
+  const running = job && ACTIVE_JOB_STATUSES.includes(job.status);
+
+  useEffect(() => {
+    if (job && !ACTIVE_JOB_STATUSES.includes(job.status)) setDryRun(null);
+  }, [job?.status]);
+
+  function parse() {
+    try {
+      const parsed = JSON.parse(text);
+      setParseError(null);
+      return parsed;
+    } catch (err) {
+      setParseError(`Invalid JSON: ${err.message}`);
+      return null;
+    }
+  }
+
+  const saveMutation = useMutation({
+    mutationFn: (mappingRules) => apiEndpoints.updateMappingRules(storeId, mappingRules),
+    onSuccess: (res) => {
+      setDirty(false);
+      if (res.data.mappingRules) setText(toJson(res.data.mappingRules));
+      queryClient.invalidateQueries({ queryKey: ['mapping-rules', storeId] });
+    },
+    onError: (err) => alert('Failed to save mapping rules: ' + err.message)
+  });
+
+  const dryRunMutation = useMutation({
+    mutationFn: (mappingRules) => apiEndpoints.dryRunMappingRules(storeId, mappingRules),
+    onSuccess: (res) => setDryRun(res.data),
+    onError: (err) => alert('Dry run failed: ' + err.message)
+  });
+
+  const applyMutation = useMutation({
+    mutationFn: () => apiEndpoints.applyMappingRules(storeId),
+    onSuccess: (res) => setJobId(res.data.jobId),
+    onError: (err) => alert('Failed to apply mapping rules: ' + err.message)
+  });
+
+  function update(value) {
+    setText(value);
+    setDirty(true);
+    setDryRun(null);
+  }
+
+  function loadRules(profile) {
+    if (dirty && !confirm('Discard your unsaved changes?')) return;
+    update(toJson(profile));
+  }
+
+  function handleSave() {
+    const parsed = parse();
+    if (parsed) saveMutation.mutate(parsed);
+  }
+
+  function handleDryRun() {
+    const parsed = parse();
+    if (parsed) dryRunMutation.mutate(parsed);
+  }
+
+  function handleApply() {
+    if (confirm('Apply the saved rules to every product they move? Products covered by a vision rule are classified by image.')) {
+      applyMutation.mutate();
+    }
+  }
+
+  const result = job?.result;
+
+  return (
+    <div className="max-w-5xl space-y-8">
+      {/* Actions */}
+      <div className="flex flex-wrap items-center justify-between gap-4">
+        <p className="text-xs text-neutral-500">
+          {effective.custom
+            ? `${effective.rules.length} rules saved for this store`
+            : `No rules saved: syncs apply the platform's defaults (${effective.rules.length} rules)`}
+          {' · '}syncs apply the rules to the products they enrich
+        </p>
+        {canEdit && (
+          <div className="flex gap-2">
+            <select
+              className="input py-1 w-auto"
+              value=""
+              onChange={(e) => e.target.value && loadRules(presets[e.target.value])}
+            >
+              <option value="">Start from...</option>
+              {Object.keys(presets).map((key) => (
+                <option key={key} value={key}>{PRESET_NAMES[key] || key}</option>
+              ))}
+            </select>
+            {rules.mappingRules && (
+              <button
+                className="btn btn-ghost btn-sm"
+                disabled={saveMutation.isPending}
+                onClick={() => confirm("Remove the saved rules and go back to the platform's defaults?") && saveMutation.mutate(null)}
+              >
+                Reset
+              </button>
+            )}
+            <button
+              className="btn btn-primary btn-sm"
+              disabled={!dirty || saveMutation.isPending}
+              onClick={handleSave}
+            >
+              {saveMutation.isPending ? 'Saving...' : 'Save'}
+            </button>
+          </div>
+        )}
+      </div>
+
+      {/* Rules */}
+      <section>
+        <h2 className="section-title">Rules</h2>
+        <div className="border border-neutral-100 p-6 space-y-4">
+          <textarea
+            className="input font-mono text-xs"
+            rows={24}
+            spellCheck={false}
+            value={text}
+            readOnly={!canEdit}
+            onChange={(e) => update(e.target.value)}
+          />
+          {parseError && <p className="text-sm text-red-600">{parseError}</p>}
+          <div className="text-xs text-neutral-400 space-y-1">
+            <p>
+              A rule matches when all of its conditions hold: <span className="font-mono">categoryPath</span> ("/women/" from
+              the top of the tree, any other text anywhere in a path), <span className="font-mono">tags</span>,{' '}
+              <span className="font-mono">vendor</span>, <span className="font-mono">productType</span> and{' '}
+              <span className="font-mono">title</span> (a regular expression).
+            </p>
+            <p>
+              Rules run in order and the first one that sets a field wins it. A <span className="font-mono">vision</span> fallback
+              picks the subcategory among its categories from the product image.
+            </p>
+          </div>
+          {canEdit && (
+            <button
+              className="btn btn-secondary btn-sm"
+              onClick={() => {
+                const parsed = parse();
+                if (parsed) update(toJson({ ...parsed, rules: [...(parsed.rules || []), EXAMPLE_RULE] }));
+              }}
+            >
+              Add rule
+            </button>
+          )}
+        </div>
+      </section>
+
+      {/* Dry run & apply */}
+      <section>
+        <h2 className="section-title">Try and apply</h2>
+        <div className="border border-neutral-100 p-6 space-y-4">
+          <div className="flex flex-wrap items-center gap-4">
+            <button className="btn btn-secondary btn-sm" disabled={dryRunMutation.isPending} onClick={handleDryRun}>
+              {dryRunMutation.isPending ? 'Running...' : 'Dry run'}
+            </button>
+            {canEdit && (
+              <button className="btn btn-primary btn-sm" disabled={dirty || running || applyMutation.isPending} onClick={handleApply}>
+                {running ? 'Applying...' : 'Apply saved rules'}
+              </button>
+            )}
+            <p className="text-xs text-neutral-500">
+              {dirty ? 'The dry run tries the rules above; save them to apply.' : 'The dry run changes nothing.'}
+            </p>
+          </div>
+
+          {running && (
+            <div>
+              <div className="flex items-center justify-between mb-2 text-xs text-neutral-500">
+                <span>{job.status === 'queued' ? 'Queued' : 'Mapping products...'}</span>
+                <span>{job.progress || 0} / {job.total || '?'}</span>
+              </div>
+              <div className="w-full bg-neutral-100 h-1">
+                <div
+                  className="bg-neutral-900 h-1 transition-all duration-300"
+                  style={{ width: job.total ? `${(job.progress / job.total) * 100}%` : '10%' }}
+                />
+              </div>
+            </div>
+          )}
+
+          {job?.status === 'failed' && (
+            <p className="text-sm text-red-600">Mapping failed: {job.error}</p>
+          )}
+
+          {result && !running && !dryRun && (
+            <p className="text-sm text-neutral-900">
+              {result.applied} of {result.evaluated} products mapped
+              {result.classified > 0 && ` · ${result.classified} classified by image`}
+              {result.failed > 0 && ` · ${result.failed} image classifications failed`}
+              {result.cancelled && ' · cancelled'}
+            </p>
+          )}
+
+          {dryRun && <DryRunResult result={dryRun} />}
+        </div>
+      </section>
+    </div>
+  );
+}
+
+function DryRunResult({ result }) {
+  const { counts, matches, moves } = result;
+  return (
+    <div className="space-y-4">
+      <div className="grid grid-cols-2 lg:grid-cols-4 gap-px bg-neutral-100 border border-neutral-100">
+        <div className="bg-white p-4">
+          <p className="text-xs text-neutral-500 uppercase tracking-widest mb-2">Would move</p>
+          <p className="text-2xl font-light">{counts.moved} / {counts.evaluated}</p>
+        </div>
+        <div className="bg-white p-4">
+          <p className="text-xs text-neutral-500 uppercase tracking-widest mb-2">Demographic</p>
+          <p className="text-2xl font-light">{counts.demographic}</p>
+        </div>
+        <div className="bg-white p-4">
+          <p className="text-xs text-neutral-500 uppercase tracking-widest mb-2">Category</p>
+          <p className="text-2xl font-light">{counts.category}</p>
+        </div>
+        <div className="bg-white p-4">
+          <p className="text-xs text-neutral-500 uppercase tracking-widest mb-2">By image</p>
+          <p className="text-2xl font-light">{counts.visionPending}</p>
+        </div>
+      </div>
+      {counts.missingFacts > 0 && (
+        <p className="text-xs text-neutral-500">
+          {counts.missingFacts} products were not synced since rules were introduced and are left out; the next sync covers them.
+        </p>
+      )}
+
+      <div>
+        <p className="text-xs text-neutral-500 uppercase tracking-widest mb-2">Products matched per rule</p>
+        {Object.entries(matches).map(([ruleId, count]) => (
+          <div key={ruleId} className="flex justify-between text-sm py-1 border-b border-neutral-100">
+            <span className="font-mono">{ruleId}</span>
+            <span className="text-neutral-500">{count}</span>
+          </div>
+        ))}
+      </div>
+
+      {moves.length > 0 && (
+        <table className="w-full text-sm">
+          <thead>
+            <tr className="text-left text-xs text-neutral-500 uppercase tracking-widest">
+              <th className="py-2 font-normal">Product</th>
+              <th className="py-2 font-normal">Demographic</th>
+              <th className="py-2 font-normal">Category</th>
+              <th className="py-2 font-normal">Rules</th>
+            </tr>
+          </thead>
+          <tbody>
+            {moves.map((move) => (
+              <tr key={move.productId} className="border-t border-neutral-100 align-top">
+                <td className="py-2 pr-4">{move.title}</td>
+                <td className="py-2 pr-4 text-neutral-600">
+                  {move.from.demographics.join(', ') || '—'} → {move.to.demographic}
+                </td>
+                <td className="py-2 pr-4 text-neutral-600">
+                  {move.from.category || '—'} → {move.visionPending ? 'by image' : move.to.category}
+                </td>
+                <td className="py-2 font-mono text-xs text-neutral-500">{move.ruleIds.join(', ')}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
+      {counts.moved > moves.length && (
+        <p className="text-xs text-neutral-400">Showing {moves.length} of {counts.moved} products that would move.</p>
+      )}
+    </div>
+  );
+}
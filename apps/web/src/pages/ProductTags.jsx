@@ -0,0 +1,482 @@
+import { useState, useEffect } from 'react';
+import { useQuery, useMutation, useQueryClient } from '@tanstack/react-query';
+import { useSearchParams } from 'react-router-dom';
+import { useAuth } from '../context/AuthContext';
+import { apiEndpoints } from '../services/api';
+
+const AXES = [
+  { field: 'occasions', title: 'Occasions', noun: 'occasion', prefixField: 'prefix', placeholder: 'e.g. date-night' },
+  { field: 'styleLanes', title: 'Style lanes', noun: 'style lane', prefixField: 'lanePrefix', placeholder: 'e.g. minimalist' }
+];
+
+const PRESET_NAMES = {
+  naomi: 'Naomi (RUNWAYHER / RUNWAYHIM)'
+};
+
+const ACTIVE_JOB_STATUSES = ['queued', 'running'];
+
+export default function ProductTags() {
+  const { user } = useAuth();
+  const [searchParams, setSearchParams] = useSearchParams();
+  const [selectedStore, setSelectedStore] = useState(searchParams.get('storeId') || '');
+  const canEdit = user?.role === 'owner' || user?.role === 'superadmin';
+
+  const { data: storesData } = useQuery({
+    queryKey: ['stores'],
+    queryFn: apiEndpoints.getStores
+  });
+
+  const { data, isLoading } = useQuery({
+    queryKey: ['tag-taxonomy', selectedStore],
+    queryFn: () => apiEndpoints.getTagTaxonomy(selectedStore),
+    enabled: !!selectedStore
+  });
+
+  const stores = storesData?.data?.stores || [];
+
+  function handleStoreChange(e) {
+    const newStoreId = e.target.value;
+    setSelectedStore(newStoreId);
+    setSearchParams(newStoreId ? { storeId: newStoreId } : {});
+  }
+
+  return (
+    <div className="animate-fade-in">
+      {/* Header */}
+      <div className="page-header">
+        <h1 className="page-title">Product Tags</h1>
+        <p className="page-subtitle">Occasions, style lanes and picks products are tagged with</p>
+      </div>
+
+      <div className="border border-neutral-100 p-6 mb-8">
+        <div className="max-w-md">
+          <label className="label">Store</label>
+          <select className="input" value={selectedStore} onChange={handleStoreChange}>
+            <option value="">Select a store</option>
+            {stores.map((store) => (
+              <option key={store.id} value={store.id}>{store.name}</option>
+            ))}
+          </select>
+        </div>
+      </div>
+
+      {!selectedStore ? (
+        <div className="border border-neutral-100 p-16 text-center">
+          <div className="empty-state-icon">↑</div>
+          <p className="empty-state-title">Select a store</p>
+          <p className="empty-state-text">Choose a store to configure and run product tagging</p>
+        </div>
+      ) : isLoading || !data ? (
+        <div className="flex items-center justify-center h-64">
+          <div className="spinner"></div>
+        </div>
+      ) : (
+        <div className="max-w-4xl space-y-8">
+          <TagRunPanel key={`run-${selectedStore}`} storeId={selectedStore} enabled={data.data.effective.enabled} canEdit={canEdit} />
+          <TagTaxonomyEditor key={selectedStore} storeId={selectedStore} taxonomy={data.data} canEdit={canEdit} />
+        </div>
+      )}
+    </div>
+  );
+}
+
+function TagRunPanel({ storeId, enabled, canEdit }) {
+  const queryClient = useQueryClient();
+  const [mode, setMode] = useState('missing');
+  const [handle, setHandle] = useState('');
+  const [dryRun, setDryRun] = useState(false);
+  const [jobId, setJobId] = useState(null);
+
+  const { data: summaryData } = useQuery({
+    queryKey: ['product-tags', storeId],
+    queryFn: () => apiEndpoints.getTagSummary(storeId)
+  });
+  const summary = summaryData?.data;
+
+  // Pick up a run started elsewhere (another tab, the CLI queue)
+  useEffect(() => {
+    if (!jobId && summary?.activeJob) setJobId(summary.activeJob.jobId);
+  }, [jobId, summary?.activeJob]);
+
+  const { data: jobData } = useQuery({
+    queryKey: ['job', jobId],
+    queryFn: () => apiEndpoints.getJob(jobId),
+    enabled: !!jobId,
+    refetchInterval: (query) => (ACTIVE_JOB_STATUSES.includes(query.state.data?.data?.status) || !query.state.data ? 2000 : false)
+  });
+  const job = jobData?.data;
+  const running = job && ACTIVE_JOB_STATUSES.includes(job.status);
+
+  useEffect(() => {
+    if (job && !ACTIVE_JOB_STATUSES.includes(job.status)) {
+      queryClient.invalidateQueries({ queryKey: ['product-tags', storeId] });
+    }
+  }, [job?.status, queryClient, storeId]);
+
+  const runMutation = useMutation({
+    mutationFn: () => apiEndpoints.runTagging(storeId, {
+      mode,
+      dryRun,
+      ...(handle.trim() ? { handle: handle.trim() } : {})
+    }),
+    onSuccess: (res) => setJobId(res.data.jobId),
+    onError: (err) => alert('Failed to start tagging: ' + err.message)
+  });
+
+  const result = job?.result;
+
+  return (
+    <>
+      {/* Coverage */}
+      <section>
+        <h2 className="section-title">Coverage</h2>
+        <div className="grid grid-cols-2 lg:grid-cols-4 gap-px bg-neutral-100 border border-neutral-100">
+          <div className="bg-white p-6">
+            <p className="text-xs text-neutral-500 uppercase tracking-widest mb-2">Tagged</p>
+            <p className="text-2xl font-light">{summary ? `${summary.tagged} / ${summary.total}` : '—'}</p>
+          </div>
+          <div className="bg-white p-6">
+            <p className="text-xs text-neutral-500 uppercase tracking-widest mb-2">Untagged</p>
+            <p className="text-2xl font-light">{summary?.untagged ?? '—'}</p>
+          </div>
+          <div className="bg-white p-6">
+            <p className="text-xs text-neutral-500 uppercase tracking-widest mb-2">Picks</p>
+            <p className="text-2xl font-light">{summary?.picks ?? '—'}</p>
+          </div>
+          <div className="bg-white p-6">
+            <p className="text-xs text-neutral-500 uppercase tracking-widest mb-2">Last Tagged</p>
+            <p className="text-2xl font-light">
+              {summary?.lastTaggedAt ? new Date(summary.lastTaggedAt).toLocaleDateString() : '—'}
+            </p>
+          </div>
+        </div>
+        {summary && summary.tagged > 0 && (
+          <div className="grid grid-cols-1 md:grid-cols-2 gap-8 mt-6">
+            <TagCounts title="Occasions" counts={summary.occasions} />
+            <TagCounts title="Style lanes" counts={summary.styleLanes} />
+          </div>
+        )}
+      </section>
+
+      {/* Run */}
+      {canEdit && (
+        <section>
+          <h2 className="section-title">Run tagging</h2>
+          <div className="border border-neutral-100 p-6 space-y-4">
+            {!enabled && (
+              <p className="text-sm text-neutral-500">Enable and save a taxonomy below to tag products.</p>
+            )}
+            <div className="flex flex-wrap items-end gap-4">
+              <div>
+                <label className="label">Products</label>
+                <select className="input w-auto" value={mode} disabled={!!handle.trim()} onChange={(e) => setMode(e.target.value)}>
+                  <option value="missing">Not yet tagged</option>
+                  <option value="force">All (re-tag)</option>
+                </select>
+              </div>
+              <div className="flex-1 min-w-48">
+                <label className="label">Single product handle (optional)</label>
+                <input className="input font-mono" value={handle} placeholder="e.g. blue-cotton-dress" onChange={(e) => setHandle(e.target.value)} />
+              </div>
+              <label className="flex items-center gap-3 text-sm text-neutral-900 pb-2">
+                <input type="checkbox" checked={dryRun} onChange={(e) => setDryRun(e.target.checked)} />
+                Dry run
+              </label>
+              <button
+                className="btn btn-primary btn-sm"
+                disabled={!enabled || running || runMutation.isPending}
+                onClick={() => runMutation.mutate()}
+              >
+                {running ? 'Tagging...' : 'Run'}
+              </button>
+            </div>
+
+            {running && (
+              <div>
+                <div className="flex items-center justify-between mb-2 text-xs text-neutral-500">
+                  <span>{job.status === 'queued' ? 'Queued' : 'Tagging products...'}</span>
+                  <span>{job.progress || 0} / {job.total || '?'}</span>
+                </div>
+                <div className="w-full bg-neutral-100 h-1">
+                  <div
+                    className="bg-neutral-900 h-1 transition-all duration-300"
+                    style={{ width: job.total ? `${(job.progress / job.total) * 100}%` : '10%' }}
+                  />
+                </div>
+              </div>
+            )}
+
+            {job?.status === 'failed' && (
+              <p className="text-sm text-red-600">Tagging failed: {job.error}</p>
+            )}
+
+            {result && !running && (
+              <div className="space-y-3">
+                <p className="text-sm text-neutral-900">
+                  {result.dryRun ? 'Dry run: ' : ''}{result.tagged} of {result.candidates} products tagged
+                  {' · '}{result.picks} picks
+                  {result.writeBack && !result.dryRun && ` · ${result.pushed} written to ${result.platform}`}
+                  {result.failed > 0 && ` · ${result.failed} failed`}
+                  {result.cancelled && ' · cancelled'}
+                </p>
+                {result.errors?.length > 0 && (
+                  <ul className="text-xs text-red-600 space-y-1">
+                    {result.errors.map((e, i) => (
+                      <li key={i}>{e.productId ? `[${e.productId}] ` : ''}{e.error}</li>
+                    ))}
+                  </ul>
+                )}
+                {result.products?.length > 0 && (
+                  <table className="w-full text-sm">
+                    <thead>
+                      <tr className="text-left text-xs text-neutral-500 uppercase tracking-widest">
+                        <th className="py-2 font-normal">Product</th>
+                        <th className="py-2 font-normal">Tags</th>
+                      </tr>
+                    </thead>
+                    <tbody>
+                      {result.products.map((p) => (
+                        <tr key={p.productId} className="border-t border-neutral-100 align-top">
+                          <td className="py-2 pr-4">{p.title}{p.isPick && ' ★'}</td>
+                          <td className="py-2 font-mono text-xs text-neutral-600">{p.tags.join(', ')}</td>
+                        </tr>
+                      ))}
+                    </tbody>
+                  </table>
+                )}
+              </div>
+            )}
+          </div>
+        </section>
+      )}
+    </>
+  );
+}
+
+function TagCounts({ title, counts }) {
+  const entries = Object.entries(counts || {}).sort((a, b) => b[1] - a[1]);
+  return (
+    <div>
+      <p className="text-xs text-neutral-500 uppercase tracking-widest mb-2">{title}</p>
+      {entries.map(([label, count]) => (
+        <div key={label} className="flex justify-between text-sm py-1 border-b border-neutral-100">
+          <span>{label}</span>
+          <span className="text-neutral-500">{count}</span>
+        </div>
+      ))}
+    </div>
+  );
+}
+
+function TagTaxonomyEditor({ storeId, taxonomy, canEdit }) {
+  const queryClient = useQueryClient();
+  const { defaults, presets, writeBackSupported } = taxonomy;
+  const [form, setForm] = useState(() => ({ ...defaults, ...(taxonomy.tagTaxonomy || {}) }));
+  const [dirty, setDirty] = useState(false);
+
+  const saveMutation = useMutation({
+    mutationFn: (tagTaxonomy) => apiEndpoints.updateTagTaxonomy(storeId, tagTaxonomy),
+    onSuccess: () => {
+      setDirty(false);
+      queryClient.invalidateQueries({ queryKey: ['tag-taxonomy', storeId] });
+    },
+    onError: (err) => alert('Failed to save tag taxonomy: ' + err.message)
+  });
+
+  const update = (field, value) => {
+    setForm((f) => ({ ...f, [field]: value }));
+    setDirty(true);
+  };
+
+  function loadTaxonomy(profile) {
+    if (dirty && !confirm('Discard your unsaved changes?')) return;
+    setForm({ ...defaults, ...profile });
+    setDirty(true);
+  }
+
+  function updateOption(field, index, key, value) {
+    update(field, form[field].map((option, i) => (i === index ? { ...option, [key]: value } : option)));
+  }
+
+  return (
+    <div className="space-y-8">
+      {/* Actions */}
+      <div className="flex flex-wrap items-center justify-between gap-4">
+        <p className="text-xs text-neutral-500">
+          {taxonomy.effective.enabled
+            ? `Tagging with ${taxonomy.effective.occasions.length} occasions and ${taxonomy.effective.styleLanes.length} style lanes`
+            : 'Tagging is off for this store'}
+          {' · '}changes apply to products tagged after saving
+        </p>
+        {canEdit && (
+          <div className="flex gap-2">
+            <select
+              className="input py-1 w-auto"
+              value=""
+              onChange={(e) => e.target.value && loadTaxonomy(e.target.value === 'default' ? defaults : presets[e.target.value])}
+            >
+              <option value="">Start from...</option>
+              <option value="default">Defaults</option>
+              {Object.keys(presets).map((key) => (
+                <option key={key} value={key}>{PRESET_NAMES[key] || key}</option>
+              ))}
+            </select>
+            {taxonomy.tagTaxonomy && (
+              <button
+                className="btn btn-ghost btn-sm"
+                disabled={saveMutation.isPending}
+                onClick={() => confirm('Remove the tag taxonomy and stop tagging products?') && saveMutation.mutate(null)}
+              >
+                Reset
+              </button>
+            )}
+            <button
+              className="btn btn-primary btn-sm"
+              disabled={!dirty || saveMutation.isPending}
+              onClick={() => saveMutation.mutate({ ...form, writeBack: writeBackSupported && form.writeBack })}
+            >
+              {saveMutation.isPending ? 'Saving...' : 'Save'}
+            </button>
+          </div>
+        )}
+      </div>
+
+      <fieldset disabled={!canEdit} className="space-y-8">
+        {/* Tagging */}
+        <section>
+          <h2 className="section-title">Tagging</h2>
+          <div className="border border-neutral-100 p-6 space-y-4">
+            <label className="flex items-center gap-3 text-sm text-neutral-900">
+              <input type="checkbox" checked={form.enabled} onChange={(e) => update('enabled', e.target.checked)} />
+              Tag products after each sync
+            </label>
+            {writeBackSupported && (
+              <label className="flex items-center gap-3 text-sm text-neutral-900">
+                <input type="checkbox" checked={form.writeBack} onChange={(e) => update('writeBack', e.target.checked)} />
+                Write the tags to the store platform
+              </label>
+            )}
+            <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+              <div>
+                <label className="label">Occasion tag prefix</label>
+                <input className="input font-mono" value={form.prefix} onChange={(e) => update('prefix', e.target.value)} />
+              </div>
+              <div>
+                <label className="label">Style lane tag prefix</label>
+                <input className="input font-mono" value={form.lanePrefix} onChange={(e) => update('lanePrefix', e.target.value)} />
+              </div>
+              <div>
+                <label className="label">Occasions per product</label>
+                <select className="input" value={form.maxOccasions} onChange={(e) => update('maxOccasions', Number(e.target.value))}>
+                  {[1, 2, 3, 4, 5].map((n) => (
+                    <option key={n} value={n}>Up to {n}</option>
+                  ))}
+                </select>
+              </div>
+            </div>
+          </div>
+        </section>
+
+        {AXES.map(({ field, title, noun, prefixField, placeholder }) => (
+          <section key={field}>
+            <h2 className="section-title">{title}</h2>
+            <div className="border border-neutral-100 p-6 space-y-4">
+              {form[field].length === 0 && (
+                <p className="text-sm text-neutral-400">No {noun}s</p>
+              )}
+              {form[field].map((option, i) => (
+                <div key={i} className="flex gap-3 items-start">
+                  <div className="w-56 shrink-0 space-y-2">
+                    <input
+                      className="input"
+                      value={option.label}
+                      placeholder="Label"
+                      onChange={(e) => updateOption(field, i, 'label', e.target.value)}
+                    />
+                    <input
+                      className="input font-mono"
+                      value={option.id}
+                      placeholder={placeholder}
+                      onChange={(e) => updateOption(field, i, 'id', e.target.value)}
+                    />
+                    <p className="text-xs text-neutral-400 font-mono">{form[prefixField]}:{option.id || '…'}</p>
+                  </div>
+                  <textarea
+                    className="input"
+                    rows={3}
+                    value={option.description}
+                    placeholder="What products fit it"
+                    onChange={(e) => updateOption(field, i, 'description', e.target.value)}
+                  />
+                  <button className="btn btn-ghost btn-sm" onClick={() => update(field, form[field].filter((_, j) => j !== i))}>
+                    ×
+                  </button>
+                </div>
+              ))}
+              <button
+                className="btn btn-secondary btn-sm"
+                disabled={form[field].length >= 20}
+                onClick={() => update(field, [...form[field], { id: '', label: '', description: '' }])}
+              >
+                Add {noun}
+              </button>
+            </div>
+          </section>
+        ))}
+
+        {/* Picks */}
+        <section>
+          <h2 className="section-title">Picks</h2>
+          <div className="border border-neutral-100 p-6 space-y-4">
+            <label className="flex items-center gap-3 text-sm text-neutral-900">
+              <input
+                type="checkbox"
+                checked={form.picks.enabled}
+                onChange={(e) => update('picks', { ...form.picks, enabled: e.target.checked })}
+              />
+              Flag standout products as picks ({form.prefix}:pick)
+            </label>
+            <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+              <div>
+                <label className="label">Label</label>
+                <input
+                  className="input"
+                  value={form.picks.label}
+                  onChange={(e) => update('picks', { ...form.picks, label: e.target.value })}
+                />
+              </div>
+              <div>
+                <label className="label">Quota (% of products)</label>
+                <input
+                  type="number"
+                  min={1}
+                  max={50}
+                  className="input"
+                  value={form.picks.quota}
+                  onChange={(e) => update('picks', { ...form.picks, quota: Number(e.target.value) })}
+                />
+              </div>
+            </div>
+          </div>
+        </section>
+
+        {/* Instructions */}
+        <section>
+          <h2 className="section-title">Instructions</h2>
+          <div className="border border-neutral-100 p-6">
+            <textarea
+              className="input"
+              rows={5}
+              value={form.instructions}
+              placeholder="e.g. Use brand identity as the strongest signal for the style lane"
+              onChange={(e) => update('instructions', e.target.value)}
+            />
+            <p className="text-xs text-neutral-400 mt-2">
+              Labels are stored on the products: renaming one only applies to products tagged afterwards.
+            </p>
+          </div>
+        </section>
+      </fieldset>
+    </div>
+  );
+}
@@ -1,40 +1,81 @@
 import { useState } from 'react';
-import { useQuery } from '@tanstack/react-query';
+import { useQuery, keepPreviousData } from '@tanstack/react-query';
 import { useSearchParams } from 'react-router-dom';
 import { apiEndpoints } from '../services/api';
 
+const FACET_GROUPS = [
+  { key: 'demographics', title: 'Demographic' },
+  { key: 'categories', title: 'Category' },
+  { key: 'colors', title: 'Color' },
+  { key: 'sizes', title: 'Size' },
+  { key: 'vendors', title: 'Vendor' }
+];
+
+const EMPTY_FILTERS = {
+  priceMin: '',
+  priceMax: '',
+  inStock: false,
+  demographics: [],
+  categories: [],
+  colors: [],
+  sizes: [],
+  vendors: []
+};
+
+// Filters as the search endpoint takes them: unset ones left out
+function toSearchFilters(filters) {
+  const searchFilters = {};
+  if (filters.priceMin !== '') searchFilters.priceMin = Number(filters.priceMin);
+  if (filters.priceMax !== '') searchFilters.priceMax = Number(filters.priceMax);
+  if (filters.inStock) searchFilters.inStock = true;
+  for (const { key } of FACET_GROUPS) {
+    if (filters[key].length > 0) searchFilters[key] = filters[key];
+  }
+  return searchFilters;
+}
+
 export default function Products() {
   const [searchParams, setSearchParams] = useSearchParams();
   const storeId = searchParams.get('storeId');
   const [selectedStore, setSelectedStore] = useState(storeId || '');
+  const [searchInput, setSearchInput] = useState('');
   const [searchQuery, setSearchQuery] = useState('');
+  const [filters, setFilters] = useState(EMPTY_FILTERS);
   const [page, setPage] = useState(0);
   const limit = 20;
 
+  const searchFilters = toSearchFilters(filters);
+  const filterCount = Object.values(searchFilters).flat().length;
+
   // Get stores for dropdown
   const { data: storesData } = useQuery({
     queryKey: ['stores'],
     queryFn: apiEndpoints.getStores
   });
 
-  // Get products
-  const { data: productsData, isLoading } = useQuery({
-    queryKey: ['products', selectedStore, page],
-    queryFn: () => apiEndpoints.getProducts({
+  // Search products (keyword + semantic), with facets for the sidebar
+  const { data: searchData, isLoading, isFetching } = useQuery({
+    queryKey: ['product-search', selectedStore, searchQuery, searchFilters, page],
+    queryFn: () => apiEndpoints.searchProducts({
       storeId: selectedStore,
+      query: searchQuery,
+      filters: searchFilters,
       skip: page * limit,
       limit
     }),
-    enabled: !!selectedStore
+    enabled: !!selectedStore,
+    placeholderData: keepPreviousData
   });
 
   const stores = storesData?.data?.stores || [];
-  const products = productsData?.data?.products || [];
-  const pagination = productsData?.data?.pagination || {};
+  const products = searchData?.data?.results || [];
+  const facets = searchData?.data?.facets;
+  const pagination = searchData?.data?.pagination || {};
 
   function handleStoreChange(e) {
     const newStoreId = e.target.value;
     setSelectedStore(newStoreId);
+    setFilters(EMPTY_FILTERS);
     setPage(0);
     if (newStoreId) {
       setSearchParams({ storeId: newStoreId });
@@ -43,6 +84,24 @@ export default function Products() {
     }
   }
 
+  function handleSearch(e) {
+    e.preventDefault();
+    setSearchQuery(searchInput.trim());
+    setPage(0);
+  }
+
+  function updateFilters(changes) {
+    setFilters(f => ({ ...f, ...changes }));
+    setPage(0);
+  }
+
+  function toggleValue(key, value) {
+    const values = filters[key].includes(value)
+      ? filters[key].filter(v => v !== value)
+      : [...filters[key], value];
+    updateFilters({ [key]: values });
+  }
+
   return (
     <div className="animate-fade-in">
       {/* Header */}
@@ -70,16 +129,16 @@ export default function Products() {
             </select>
           </div>
 
-          <div>
+          <form onSubmit={handleSearch}>
             <label className="label">Search</label>
             <input
               type="text"
               className="input"
-              placeholder="Search products..."
-              value={searchQuery}
-              onChange={(e) => setSearchQuery(e.target.value)}
+              placeholder="Title, SKU, brand or what you're looking for — Enter to search"
+              value={searchInput}
+              onChange={(e) => setSearchInput(e.target.value)}
             />
-          </div>
+          </form>
         </div>
       </div>
 
@@ -94,56 +153,174 @@ export default function Products() {
         <div className="flex items-center justify-center h-64">
           <div className="spinner"></div>
         </div>
-      ) : products.length === 0 ? (
-        <div className="border border-neutral-100 p-16 text-center">
-          <div className="empty-state-icon">∅</div>
-          <p className="empty-state-title">No products found</p>
-          <p className="empty-state-text">Try syncing your store to import products</p>
-        </div>
       ) : (
-        <>
-          {/* Product Count */}
-          <div className="flex items-center justify-between mb-6">
-            <p className="text-xs text-neutral-500">
-              {pagination.total?.toLocaleString()} products
-            </p>
-          </div>
+        <div className="flex flex-col lg:flex-row gap-8">
+          <FilterSidebar
+            key={selectedStore}
+            facets={facets}
+            filters={filters}
+            filterCount={filterCount}
+            onToggle={toggleValue}
+            onChange={updateFilters}
+            onClear={() => updateFilters(EMPTY_FILTERS)}
+          />
 
-          {/* Grid */}
-          <div className="grid grid-cols-2 md:grid-cols-3 lg:grid-cols-4 gap-px bg-neutral-100 border border-neutral-100 mb-8">
-            {products.map((product) => (
-              <ProductCard key={product.id} product={product} />
-            ))}
-          </div>
+          <div className={`flex-1 min-w-0 ${isFetching ? 'opacity-60' : ''}`}>
+            {products.length === 0 ? (
+              <div className="border border-neutral-100 p-16 text-center">
+                <div className="empty-state-icon">∅</div>
+                <p className="empty-state-title">No products found</p>
+                <p className="empty-state-text">
+                  {searchQuery || filterCount > 0
+                    ? 'Try another search or fewer filters'
+                    : 'Try syncing your store to import products'}
+                </p>
+              </div>
+            ) : (
+              <>
+                {/* Product Count */}
+                <div className="flex items-center justify-between mb-6">
+                  <p className="text-xs text-neutral-500">
+                    {pagination.total?.toLocaleString()} products
+                    {searchQuery && <> matching “{searchQuery}”</>}
+                  </p>
+                </div>
 
-          {/* Pagination */}
-          <div className="flex items-center justify-between">
-            <p className="text-xs text-neutral-500">
-              Showing {page * limit + 1} - {Math.min((page + 1) * limit, pagination.total)} of {pagination.total}
-            </p>
-            <div className="flex gap-2">
-              <button
-                className="btn btn-secondary btn-sm"
-                disabled={page === 0}
-                onClick={() => setPage(p => p - 1)}
-              >
-                Previous
-              </button>
-              <button
-                className="btn btn-secondary btn-sm"
-                disabled={(page + 1) * limit >= pagination.total}
-                onClick={() => setPage(p => p + 1)}
-              >
-                Next
-              </button>
-            </div>
+                {/* Grid */}
+                <div className="grid grid-cols-2 md:grid-cols-3 xl:grid-cols-4 gap-px bg-neutral-100 border border-neutral-100 mb-8">
+                  {products.map((product) => (
+                    <ProductCard key={product.id} product={product} />
+                  ))}
+                </div>
+
+                {/* Pagination */}
+                <div className="flex items-center justify-between">
+                  <p className="text-xs text-neutral-500">
+                    Showing {page * limit + 1} - {Math.min((page + 1) * limit, pagination.total)} of {pagination.total}
+                  </p>
+                  <div className="flex gap-2">
+                    <button
+                      className="btn btn-secondary btn-sm"
+                      disabled={page === 0}
+                      onClick={() => setPage(p => p - 1)}
+                    >
+                      Previous
+                    </button>
+                    <button
+                      className="btn btn-secondary btn-sm"
+                      disabled={(page + 1) * limit >= pagination.total}
+                      onClick={() => setPage(p => p + 1)}
+                    >
+                      Next
+                    </button>
+                  </div>
+                </div>
+              </>
+            )}
           </div>
-        </>
+        </div>
       )}
     </div>
   );
 }
 
+function FilterSidebar({ facets, filters, filterCount, onToggle, onChange, onClear }) {
+  const [price, setPrice] = useState({ min: filters.priceMin, max: filters.priceMax });
+
+  function applyPrice(e) {
+    e.preventDefault();
+    onChange({ priceMin: price.min, priceMax: price.max });
+  }
+
+  function clear() {
+    setPrice({ min: '', max: '' });
+    onClear();
+  }
+
+  return (
+    <aside className="lg:w-56 shrink-0 space-y-6">
+      <div className="flex items-center justify-between">
+        <p className="text-xs font-medium text-neutral-900 uppercase tracking-wider">Filters</p>
+        {filterCount > 0 && (
+          <button className="text-xs text-neutral-500 hover:text-neutral-900" onClick={clear}>
+            Clear ({filterCount})
+          </button>
+        )}
+      </div>
+
+      {/* Price */}
+      <form onSubmit={applyPrice}>
+        <p className="label">
+          Price
+          {facets?.price?.min != null && (
+            <span className="text-neutral-400 normal-case tracking-normal"> · {facets.price.min} – {facets.price.max}</span>
+          )}
+        </p>
+        <div className="flex items-center gap-2">
+          <input
+            type="number"
+            min="0"
+            className="input"
+            placeholder="Min"
+            value={price.min}
+            onChange={(e) => setPrice(p => ({ ...p, min: e.target.value }))}
+          />
+          <input
+            type="number"
+            min="0"
+            className="input"
+            placeholder="Max"
+            value={price.max}
+            onChange={(e) => setPrice(p => ({ ...p, max: e.target.value }))}
+          />
+        </div>
+        {(price.min !== filters.priceMin || price.max !== filters.priceMax) && (
+          <button type="submit" className="btn btn-secondary btn-sm mt-2">Apply</button>
+        )}
+      </form>
+
+      {/* Availability */}
+      <div>
+        <p className="label">Availability</p>
+        <label className="flex items-center gap-3 text-sm text-neutral-900">
+          <input
+            type="checkbox"
+            checked={filters.inStock}
+            onChange={(e) => onChange({ inStock: e.target.checked })}
+          />
+          In stock
+          {facets?.availability && (
+            <span className="ml-auto text-xs text-neutral-400">{facets.availability.inStock}</span>
+          )}
+        </label>
+      </div>
+
+      {FACET_GROUPS.map(({ key, title }) => {
+        const values = facets?.[key] || [];
+        if (values.length === 0) return null;
+        return (
+          <div key={key}>
+            <p className="label">{title}</p>
+            <div className="space-y-2 max-h-56 overflow-y-auto">
+              {values.map(({ value, label, count }) => (
+                <label key={value} className="flex items-center gap-3 text-sm text-neutral-900">
+                  <input
+                    type="checkbox"
+                    checked={filters[key].includes(value)}
+                    onChange={() => onToggle(key, value)}
+                  />
+                  <span className="truncate capitalize" title={label}>{label}</span>
+                  <span className="ml-auto text-xs text-neutral-400">{count}</span>
+                </label>
+              ))}
+            </div>
+          </div>
+        );
+      })}
+    </aside>
+  );
+}
+
 function ProductCard({ product }) {
   return (
     <div className="bg-white p-4 group">
@@ -168,12 +345,17 @@ function ProductCard({ product }) {
       <h3 className="text-xs font-medium text-neutral-900 mb-1 line-clamp-2" title={product.title}>
         {product.title}
       </h3>
+      {product.vendor && (
+        <p className="text-xs text-neutral-400 truncate">{product.vendor}</p>
+      )}
 
       <div className="flex items-center justify-between mt-3">
         <span className="text-sm text-neutral-900">
-          {product.currency} {product.minPrice || 0}
+          {product.currency} {product.price ?? product.minPrice ?? 0}
         </span>
-        {product.hasVariants && product.variants?.length > 0 && (
+        {product.inStock === false ? (
+          <span className="text-xs text-neutral-400">Out of stock</span>
+        ) : product.hasVariants && product.variants?.length > 0 && (
           <span className="text-xs text-neutral-400">
             {product.variants.length} variants
           </span>
@@ -0,0 +1,327 @@
+import { useState } from 'react';
+import { useQuery, useMutation, useQueryClient } from '@tanstack/react-query';
+import { useSearchParams } from 'react-router-dom';
+import { useAuth } from '../context/AuthContext';
+import { apiEndpoints } from '../services/api';
+import { htmlToText, diffWords } from '../utils/textDiff';
+
+const STATUSES = [
+  { id: 'pending', label: 'Pending' },
+  { id: 'approved', label: 'Approved' },
+  { id: 'rejected', label: 'Rejected' }
+];
+
+export default function Reviews() {
+  const { user } = useAuth();
+  const queryClient = useQueryClient();
+  const [searchParams, setSearchParams] = useSearchParams();
+  const [selectedStore, setSelectedStore] = useState(searchParams.get('storeId') || '');
+  const [status, setStatus] = useState('pending');
+  const [source, setSource] = useState('');
+  const [search, setSearch] = useState('');
+  const [page, setPage] = useState(0);
+  const [openId, setOpenId] = useState(null);
+  const limit = 20;
+  const canReview = user?.role === 'owner' || user?.role === 'superadmin';
+
+  const { data: storesData } = useQuery({
+    queryKey: ['stores'],
+    queryFn: apiEndpoints.getStores
+  });
+
+  const { data: draftsData, isLoading } = useQuery({
+    queryKey: ['description-drafts', selectedStore, status, source, search, page],
+    queryFn: () => apiEndpoints.getDescriptionDrafts({
+      storeId: selectedStore,
+      status,
+      ...(source && { source }),
+      ...(search && { search }),
+      skip: page * limit,
+      limit
+    }),
+    enabled: !!selectedStore
+  });
+
+  const invalidate = () => queryClient.invalidateQueries({ queryKey: ['description-drafts'] });
+
+  const reviewMutation = useMutation({
+    mutationFn: ({ productId, ...data }) => apiEndpoints.reviewDescription(productId, { storeId: selectedStore, ...data }),
+    onSuccess: () => {
+      setOpenId(null);
+      invalidate();
+    },
+    onError: (err) => alert('Failed to save review: ' + err.message)
+  });
+
+  const bulkApproveMutation = useMutation({
+    mutationFn: () => apiEndpoints.approveDescriptions({
+      storeId: selectedStore,
+      ...(source && { source }),
+      ...(search && { search })
+    }),
+    onSuccess: invalidate,
+    onError: (err) => alert('Failed to approve drafts: ' + err.message)
+  });
+
+  const stores = storesData?.data?.stores || [];
+  const drafts = draftsData?.data?.drafts || [];
+  const counts = draftsData?.data?.counts || {};
+  const sources = draftsData?.data?.sources || [];
+  const total = draftsData?.data?.pagination?.total || 0;
+
+  function handleStoreChange(e) {
+    const newStoreId = e.target.value;
+    setSelectedStore(newStoreId);
+    setPage(0);
+    setSource('');
+    setSearchParams(newStoreId ? { storeId: newStoreId } : {});
+  }
+
+  function handleBulkApprove() {
+    const filters = [source && `source "${source}"`, search && `matching "${search}"`].filter(Boolean);
+    const scope = filters.length > 0 ? ` (${filters.join(', ')})` : '';
+    if (confirm(`Approve all ${counts.pending || 0} pending drafts${scope}? They become eligible for write-back to the store.`)) {
+      bulkApproveMutation.mutate();
+    }
+  }
+
+  return (
+    <div className="animate-fade-in">
+      {/* Header */}
+      <div className="page-header">
+        <h1 className="page-title">Description Review</h1>
+        <p className="page-subtitle">Check AI descriptions before they are written back to your store</p>
+      </div>
+
+      {/* Filters */}
+      <div className="border border-neutral-100 p-6 mb-8">
+        <div className="grid grid-cols-1 md:grid-cols-3 gap-6">
+          <div>
+            <label className="label">Store</label>
+            <select className="input" value={selectedStore} onChange={handleStoreChange}>
+              <option value="">Select a store</option>
+              {stores.map((store) => (
+                <option key={store.id} value={store.id}>{store.name}</option>
+              ))}
+            </select>
+          </div>
+          <div>
+            <label className="label">Source</label>
+            <select
+              className="input"
+              value={source}
+              onChange={(e) => { setSource(e.target.value); setPage(0); }}
+            >
+              <option value="">All sources</option>
+              {sources.map((s) => (
+                <option key={s} value={s}>{s}</option>
+              ))}
+            </select>
+          </div>
+          <div>
+            <label className="label">Search</label>
+            <input
+              type="text"
+              className="input"
+              placeholder="Title or handle..."
+              value={search}
+              onChange={(e) => { setSearch(e.target.value); setPage(0); }}
+            />
+          </div>
+        </div>
+      </div>
+
+      {!selectedStore ? (
+        <div className="border border-neutral-100 p-16 text-center">
+          <div className="empty-state-icon">↑</div>
+          <p className="empty-state-title">Select a store</p>
+          <p className="empty-state-text">Choose a store to review its AI descriptions</p>
+        </div>
+      ) : (
+        <>
+          {/* Status tabs + bulk approve */}
+          <div className="flex items-center justify-between border-b border-neutral-100 mb-6">
+            <div className="flex gap-6">
+              {STATUSES.map((s) => (
+                <button
+                  key={s.id}
+                  onClick={() => { setStatus(s.id); setPage(0); setOpenId(null); }}
+                  className={`pb-3 text-xs uppercase tracking-wide transition-colors ${
+                    status === s.id
+                      ? 'text-neutral-900 border-b-2 border-neutral-900'
+                      : 'text-neutral-400 hover:text-neutral-900'
+                  }`}
+                >
+                  {s.label} <span className="text-neutral-400">({counts[s.id] || 0})</span>
+                </button>
+              ))}
+            </div>
+            {canReview && status === 'pending' && counts.pending > 0 && (
+              <button
+                className="btn btn-secondary btn-sm mb-2"
+                disabled={bulkApproveMutation.isPending}
+                onClick={handleBulkApprove}
+              >
+                {bulkApproveMutation.isPending ? 'Approving...' : `Approve all ${counts.pending}`}
+              </button>
+            )}
+          </div>
+
+          {isLoading ? (
+            <div className="flex items-center justify-center h-64">
+              <div className="spinner"></div>
+            </div>
+          ) : drafts.length === 0 ? (
+            <div className="border border-neutral-100 p-16 text-center">
+              <div className="empty-state-icon">∅</div>
+              <p className="empty-state-title">Nothing to review</p>
+              <p className="empty-state-text">No {status} AI descriptions for these filters</p>
+            </div>
+          ) : (
+            <>
+              <div className="border border-neutral-100 divide-y divide-neutral-100 mb-8">
+                {drafts.map((draft) => (
+                  <DraftRow
+                    key={draft.productId}
+                    draft={draft}
+                    open={openId === draft.productId}
+                    onToggle={() => setOpenId(openId === draft.productId ? null : draft.productId)}
+                    canReview={canReview}
+                    saving={reviewMutation.isPending}
+                    onReview={(data) => reviewMutation.mutate({ productId: draft.productId, ...data })}
+                  />
+                ))}
+              </div>
+
+              {/* Pagination */}
+              <div className="flex items-center justify-between">
+                <p className="text-xs text-neutral-500">
+                  Showing {page * limit + 1} - {Math.min((page + 1) * limit, total)} of {total}
+                </p>
+                <div className="flex gap-2">
+                  <button className="btn btn-secondary btn-sm" disabled={page === 0} onClick={() => setPage(p => p - 1)}>
+                    Previous
+                  </button>
+                  <button className="btn btn-secondary btn-sm" disabled={(page + 1) * limit >= total} onClick={() => setPage(p => p + 1)}>
+                    Next
+                  </button>
+                </div>
+              </div>
+            </>
+          )}
+        </>
+      )}
+    </div>
+  );
+}
+
+function DraftRow({ draft, open, onToggle, canReview, saving, onReview }) {
+  const [editing, setEditing] = useState(false);
+  const [text, setText] = useState(draft.description);
+
+  return (
+    <div>
+      <button onClick={onToggle} className="w-full flex items-center gap-4 p-4 text-left hover:bg-neutral-50">
+        <div className="w-12 h-12 bg-neutral-50 flex-shrink-0 overflow-hidden">
+          {draft.image && <img src={draft.image} alt={draft.title} className="w-full h-full object-cover" />}
+        </div>
+        <div className="flex-1 min-w-0">
+          <p className="text-sm text-neutral-900 truncate">{draft.title}</p>
+          <p className="text-xs text-neutral-400">
+            {draft.source}
+            {draft.edited && ' · edited'}
+            {draft.reviewedBy && ` · ${draft.status} by ${draft.reviewedBy} on ${new Date(draft.reviewedAt).toLocaleDateString()}`}
+            {draft.pushedAt && ` · pushed ${new Date(draft.pushedAt).toLocaleDateString()}`}
+          </p>
+        </div>
+        <span className="text-neutral-400 text-xs">{open ? '−' : '+'}</span>
+      </button>
+
+      {open && (
+        <div className="px-4 pb-6">
+          <div className="grid grid-cols-1 md:grid-cols-2 gap-6 mb-6">
+            <div>
+              <p className="label">Original</p>
+              <div className="border border-neutral-100 p-4 text-sm text-neutral-600 leading-relaxed min-h-[8rem]">
+                {htmlToText(draft.originalDescription) || (
+                  <span className="text-neutral-400">
+                    {draft.originalDescription === null ? 'Not recorded (synced before reviews existed)' : 'Empty'}
+                  </span>
+                )}
+              </div>
+            </div>
+            <div>
+              <p className="label">AI draft</p>
+              {editing ? (
+                <textarea
+                  className="input min-h-[8rem] font-mono text-xs"
+                  rows={10}
+                  value={text}
+                  onChange={(e) => setText(e.target.value)}
+                />
+              ) : (
+                <div className="border border-neutral-100 p-4 text-sm leading-relaxed min-h-[8rem]">
+                  <DiffText before={htmlToText(draft.originalDescription)} after={htmlToText(draft.description)} />
+                </div>
+              )}
+            </div>
+          </div>
+
+          {canReview && (
+            <div className="flex gap-2 justify-end">
+              {editing ? (
+                <>
+                  <button className="btn btn-ghost btn-sm" onClick={() => { setEditing(false); setText(draft.description); }}>
+                    Cancel
+                  </button>
+                  <button
+                    className="btn btn-primary btn-sm"
+                    disabled={saving || !text.trim()}
+                    onClick={() => onReview({ status: 'approved', description: text })}
+                  >
+                    Save & Approve
+                  </button>
+                </>
+              ) : (
+                <>
+                  {draft.status !== 'rejected' && (
+                    <button className="btn btn-danger btn-sm" disabled={saving} onClick={() => onReview({ status: 'rejected' })}>
+                      Reject
+                    </button>
+                  )}
+                  <button className="btn btn-secondary btn-sm" onClick={() => setEditing(true)}>
+                    Edit
+                  </button>
+                  {draft.status !== 'approved' && (
+                    <button className="btn btn-primary btn-sm" disabled={saving} onClick={() => onReview({ status: 'approved' })}>
+                      Approve
+                    </button>
+                  )}
+                </>
+              )}
+            </div>
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
+
+/**
+ * AI text with the words it added highlighted and the removed original words struck through
+ */
+function DiffText({ before, after }) {
+  if (!before) {
+    return <span className="text-neutral-900">{after}</span>;
+  }
+
+  return diffWords(before, after).map((part, i) => {
+    if (part.type === 'added') {
+      return <span key={i} className="bg-green-50 text-green-800">{part.text} </span>;
+    }
+    if (part.type === 'removed') {
+      return <span key={i} className="text-red-400 line-through">{part.text} </span>;
+    }
+    return <span key={i} className="text-neutral-900">{part.text} </span>;
+  });
+}
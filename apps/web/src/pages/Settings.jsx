@@ -1,4 +1,6 @@
+import { useQuery, useMutation, useQueryClient } from '@tanstack/react-query';
 import { useAuth } from '../context/AuthContext';
+import { apiEndpoints } from '../services/api';
 
 export default function Settings() {
   const { user } = useAuth();
@@ -42,6 +44,9 @@ export default function Settings() {
         </div>
       </section>
 
+      {/* User roles - superadmin only */}
+      {user?.role === 'superadmin' && <UserRoles currentUserId={user.id} />}
+
       {/* Danger Zone */}
       <section>
         <h2 className="section-title text-red-600">Danger Zone</h2>
@@ -60,3 +65,70 @@ export default function Settings() {
     </div>
   );
 }
+
+function UserRoles({ currentUserId }) {
+  const queryClient = useQueryClient();
+
+  const { data, isLoading, error } = useQuery({
+    queryKey: ['users'],
+    queryFn: apiEndpoints.getUsers
+  });
+
+  const updateRoleMutation = useMutation({
+    mutationFn: ({ userId, role }) => apiEndpoints.updateUserRole(userId, role),
+    onSuccess: () => queryClient.invalidateQueries({ queryKey: ['users'] }),
+    onError: (err) => alert('Failed to update role: ' + err.message)
+  });
+
+  const users = data?.data?.users || [];
+  const roles = data?.data?.roles || ['viewer', 'owner', 'superadmin'];
+
+  return (
+    <section className="mb-12">
+      <h2 className="section-title">Users</h2>
+      <div className="border border-neutral-100 p-8">
+        <p className="text-sm text-neutral-600 mb-6">
+          Viewers can only read their stores, owners can also manage stores and run syncs, superadmins can also manage the demo and user roles.
+        </p>
+        {isLoading ? (
+          <p className="text-sm text-neutral-400">Loading users...</p>
+        ) : error ? (
+          <p className="text-sm text-red-600">{error.message}</p>
+        ) : (
+          <table className="w-full text-sm">
+            <thead>
+              <tr className="text-left text-xs text-neutral-500 uppercase tracking-wide">
+                <th className="pb-3 font-medium">User</th>
+                <th className="pb-3 font-medium">Stores</th>
+                <th className="pb-3 font-medium">Role</th>
+              </tr>
+            </thead>
+            <tbody>
+              {users.map((u) => (
+                <tr key={u.id} className="border-t border-neutral-100">
+                  <td className="py-3">
+                    <p className="text-neutral-900">{u.name || u.email || u.shop}</p>
+                    <p className="text-xs text-neutral-400">{u.email || u.shop}</p>
+                  </td>
+                  <td className="py-3 text-neutral-600">{u.storesCount}</td>
+                  <td className="py-3">
+                    <select
+                      className="input py-1"
+                      value={u.role}
+                      disabled={u.id === currentUserId || updateRoleMutation.isPending}
+                      onChange={(e) => updateRoleMutation.mutate({ userId: u.id, role: e.target.value })}
+                    >
+                      {roles.map((role) => (
+                        <option key={role} value={role}>{role}</option>
+                      ))}
+                    </select>
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        )}
+      </div>
+    </section>
+  );
+}
@@ -42,7 +42,7 @@ export default function StoreDetail() {
           progress: status.progress,
           total: status.total
         });
-      } else if (status.status === 'completed' || status.status === 'failed') {
+      } else if (status.status === 'completed' || status.status === 'failed' || status.status === 'cancelled') {
         setSyncProgress(null);
         queryClient.invalidateQueries(['store', storeId]);
         queryClient.invalidateQueries(['store-stats', storeId]);
@@ -174,7 +174,7 @@ export default function StoreDetail() {
                   key={cat.name}
                   className="px-3 py-1.5 bg-neutral-50 text-xs text-neutral-700"
                 >
-                  {cat.name} <span className="text-neutral-400">({cat.productCount})</span>
+                  {cat.title || cat.name} <span className="text-neutral-400">({cat.productCount})</span>
                 </span>
               ))}
             </div>
@@ -182,6 +182,15 @@ export default function StoreDetail() {
         </section>
       )}
 
+      {/* Product feed (custom stores) */}
+      {store.platform === 'custom' && <FeedSection store={store} />}
+
+      {/* Storefront widgets */}
+      <WidgetsSection store={store} />
+
+      {/* Stale product cleanup */}
+      <StaleCleanupSection store={store} />
+
       {/* Actions */}
       <section>
         <h2 className="section-title">Actions</h2>
@@ -203,3 +212,351 @@ export default function StoreDetail() {
     </div>
   );
 }
+
+function FeedSection({ store }) {
+  const queryClient = useQueryClient();
+  const [result, setResult] = useState(null);
+
+  const uploadMutation = useMutation({
+    mutationFn: (file) => apiEndpoints.uploadStoreFeed(store.id, file),
+    onSuccess: (response) => {
+      setResult(response.data.feed);
+      queryClient.invalidateQueries(['store', store.id]);
+    }
+  });
+
+  function handleFileChange(e) {
+    const file = e.target.files?.[0];
+    if (file) uploadMutation.mutate(file);
+    e.target.value = '';
+  }
+
+  return (
+    <section className="mb-12">
+      <h2 className="section-title">Product Feed</h2>
+      <div className="border border-neutral-100 p-6 space-y-4">
+        <div className="text-sm text-neutral-600">
+          {store.feedUrl ? (
+            <p>Feed URL: <span className="text-neutral-900 break-all">{store.feedUrl}</span></p>
+          ) : store.feedUploadedAt ? (
+            <p>Uploaded feed ({store.feedFormat}) · {new Date(store.feedUploadedAt).toLocaleString()}</p>
+          ) : (
+            <p>No feed yet. Upload a Google Merchant XML, CSV or JSON Lines file to enable sync.</p>
+          )}
+        </div>
+
+        {uploadMutation.isError && (
+          <div className="p-4 border border-red-200 bg-red-50 text-red-700 text-sm">
+            {uploadMutation.error.message}
+          </div>
+        )}
+
+        {result && (
+          <p className="text-sm text-neutral-600">
+            {result.records} records ({result.format}) · columns: {result.columns.join(', ')}
+          </p>
+        )}
+
+        <label className="btn btn-secondary inline-flex cursor-pointer">
+          {uploadMutation.isPending ? (
+            <span className="flex items-center">
+              <span className="spinner mr-2"></span>
+              Uploading
+            </span>
+          ) : (
+            'Upload Feed File'
+          )}
+          <input
+            type="file"
+            accept=".xml,.rss,.csv,.tsv,.txt,.jsonl,.ndjson,.json"
+            className="hidden"
+            onChange={handleFileChange}
+            disabled={uploadMutation.isPending}
+          />
+        </label>
+      </div>
+    </section>
+  );
+}
+
+const WIDGETS = [
+  { id: 'complete-the-look', label: 'Complete the Look' },
+  { id: 'similar-products', label: 'Similar Products' }
+];
+
+const WIDGET_SCOPES = [
+  { id: 'changed', label: 'New or changed products' },
+  { id: 'missing', label: 'Products without widgets' },
+  { id: 'category', label: 'One category' },
+  { id: 'all', label: 'All products' }
+];
+
+function WidgetsSection({ store }) {
+  const queryClient = useQueryClient();
+  const [widgets, setWidgets] = useState(WIDGETS.map((w) => w.id));
+  const [scope, setScope] = useState('changed');
+  const [category, setCategory] = useState('');
+
+  const { data: coverageData } = useQuery({
+    queryKey: ['widget-coverage', store.id],
+    queryFn: () => apiEndpoints.getWidgetCoverage(store.id),
+    refetchInterval: (query) => (query.state.data?.data?.activeJobs?.length ? 3000 : false)
+  });
+
+  const { data: categoriesData } = useQuery({
+    queryKey: ['store-categories', store.id],
+    queryFn: () => apiEndpoints.getStoreCategories(store.id),
+    enabled: scope === 'category'
+  });
+
+  const regenerateMutation = useMutation({
+    mutationFn: () => apiEndpoints.regenerateWidgets({
+      storeId: store.id,
+      widgets,
+      scope,
+      ...(scope === 'category' ? { category } : {})
+    }),
+    onSuccess: () => queryClient.invalidateQueries({ queryKey: ['widget-coverage', store.id] })
+  });
+
+  const autoMutation = useMutation({
+    mutationFn: (autoRegenerateWidgets) => apiEndpoints.updateStore(store.id, { autoRegenerateWidgets }),
+    onSuccess: () => {
+      queryClient.invalidateQueries({ queryKey: ['widget-coverage', store.id] });
+      queryClient.invalidateQueries({ queryKey: ['store', store.id] });
+    }
+  });
+
+  const coverage = coverageData?.data;
+  const activeJobs = coverage?.activeJobs || [];
+  const autoRegenerate = coverage?.autoRegenerate || [];
+  const categories = categoriesData?.data?.categories || [];
+
+  function toggle(list, id) {
+    return list.includes(id) ? list.filter((w) => w !== id) : [...list, id];
+  }
+
+  return (
+    <section className="mb-12">
+      <h2 className="section-title">Storefront Widgets</h2>
+      <div className="border border-neutral-100 p-6 space-y-6">
+        {/* Coverage */}
+        <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
+          {WIDGETS.map(({ id, label }) => {
+            const widget = coverage?.widgets?.[id];
+            const job = activeJobs.find((j) => j.widget === id);
+            const current = widget ? widget.regenerated - widget.stale : 0;
+            return (
+              <div key={id}>
+                <div className="flex items-center justify-between mb-2">
+                  <span className="text-sm text-neutral-900">{label}</span>
+                  <span className="text-xs text-neutral-500">
+                    {widget ? `${current} / ${coverage.total} up to date` : '—'}
+                  </span>
+                </div>
+                <div className="w-full bg-neutral-100 h-1 mb-2">
+                  <div
+                    className="bg-neutral-900 h-1 transition-all duration-300"
+                    style={{ width: coverage?.total ? `${(current / coverage.total) * 100}%` : '0%' }}
+                  />
+                </div>
+                <p className="text-xs text-neutral-500">
+                  {widget && `${widget.stale} stale · ${widget.missing} missing`}
+                  {widget?.lastRegeneratedAt && ` · last ${new Date(widget.lastRegeneratedAt).toLocaleString()}`}
+                </p>
+                {job && (
+                  <p className="text-xs text-blue-700 mt-1">
+                    {job.status === 'queued' ? 'Queued' : `Regenerating ${job.progress || 0} / ${job.total || '?'}`} ({job.scope})
+                  </p>
+                )}
+                <label className="flex items-center gap-2 text-xs text-neutral-600 mt-3">
+                  <input
+                    type="checkbox"
+                    checked={autoRegenerate.includes(id)}
+                    disabled={autoMutation.isPending}
+                    onChange={() => autoMutation.mutate(toggle(autoRegenerate, id))}
+                  />
+                  Regenerate after each sync for new and changed products
+                </label>
+              </div>
+            );
+          })}
+        </div>
+
+        {/* Regenerate */}
+        <div className="flex flex-wrap items-end gap-4 pt-6 border-t border-neutral-100">
+          <div className="flex gap-4 pb-2">
+            {WIDGETS.map(({ id, label }) => (
+              <label key={id} className="flex items-center gap-2 text-sm text-neutral-900">
+                <input type="checkbox" checked={widgets.includes(id)} onChange={() => setWidgets(toggle(widgets, id))} />
+                {label}
+              </label>
+            ))}
+          </div>
+          <div>
+            <label className="label">Products</label>
+            <select className="input w-auto" value={scope} onChange={(e) => setScope(e.target.value)}>
+              {WIDGET_SCOPES.map(({ id, label }) => (
+                <option key={id} value={id}>{label}</option>
+              ))}
+            </select>
+          </div>
+          {scope === 'category' && (
+            <div>
+              <label className="label">Category</label>
+              <select className="input w-auto" value={category} onChange={(e) => setCategory(e.target.value)}>
+                <option value="">Select a category</option>
+                {categories.map((cat) => (
+                  <option key={cat.name} value={cat.name}>{cat.title || cat.name} ({cat.productCount})</option>
+                ))}
+              </select>
+            </div>
+          )}
+          <button
+            className="btn btn-secondary"
+            disabled={widgets.length === 0 || (scope === 'category' && !category) || regenerateMutation.isPending}
+            onClick={() => regenerateMutation.mutate()}
+          >
+            {regenerateMutation.isPending ? 'Queueing...' : 'Regenerate'}
+          </button>
+        </div>
+
+        {regenerateMutation.isError && (
+          <div className="p-4 border border-red-200 bg-red-50 text-red-700 text-sm">
+            {regenerateMutation.error.message}
+          </div>
+        )}
+      </div>
+    </section>
+  );
+}
+
+function StaleCleanupSection({ store }) {
+  const queryClient = useQueryClient();
+  const [settings, setSettings] = useState(null);
+
+  const { data: quarantineData } = useQuery({
+    queryKey: ['quarantine', store.id],
+    queryFn: () => apiEndpoints.getQuarantine(store.id)
+  });
+
+  const saveMutation = useMutation({
+    mutationFn: (staleCleanup) => apiEndpoints.updateStore(store.id, { staleCleanup }),
+    onSuccess: () => {
+      setSettings(null);
+      queryClient.invalidateQueries({ queryKey: ['quarantine', store.id] });
+      queryClient.invalidateQueries({ queryKey: ['store', store.id] });
+    }
+  });
+
+  const restoreMutation = useMutation({
+    mutationFn: (productIds) => apiEndpoints.restoreQuarantined(store.id, productIds),
+    onSuccess: () => {
+      queryClient.invalidateQueries({ queryKey: ['quarantine', store.id] });
+      queryClient.invalidateQueries({ queryKey: ['store-stats', store.id] });
+    }
+  });
+
+  const products = quarantineData?.data?.products || [];
+  const saved = quarantineData?.data?.settings || store.staleCleanup;
+  const form = settings || saved;
+
+  return (
+    <section className="mb-12">
+      <h2 className="section-title">Stale Product Cleanup</h2>
+      <div className="border border-neutral-100 p-6 space-y-6">
+        <p className="text-sm text-neutral-600">
+          Products a completed sync no longer finds on the platform are hidden and kept restorable for the
+          quarantine period, then deleted. The cleanup is skipped when too many products are missing at once.
+        </p>
+
+        {form && (
+          <div className="flex flex-wrap items-end gap-4">
+            <label className="flex items-center gap-2 text-sm text-neutral-900 pb-2">
+              <input
+                type="checkbox"
+                checked={form.enabled}
+                onChange={(e) => setSettings({ ...form, enabled: e.target.checked })}
+              />
+              Clean up after each sync
+            </label>
+            <div>
+              <label className="label">Max missing (%)</label>
+              <input
+                type="number"
+                min="0"
+                max="100"
+                className="input w-24"
+                value={form.maxDeletePct}
+                onChange={(e) => setSettings({ ...form, maxDeletePct: Number(e.target.value) })}
+              />
+            </div>
+            <div>
+              <label className="label">Quarantine (days)</label>
+              <input
+                type="number"
+                min="0"
+                max="90"
+                className="input w-24"
+                value={form.quarantineDays}
+                onChange={(e) => setSettings({ ...form, quarantineDays: Number(e.target.value) })}
+              />
+            </div>
+            <button
+              className="btn btn-secondary"
+              disabled={!settings || saveMutation.isPending}
+              onClick={() => saveMutation.mutate(settings)}
+            >
+              {saveMutation.isPending ? 'Saving...' : 'Save'}
+            </button>
+          </div>
+        )}
+
+        {(saveMutation.isError || restoreMutation.isError) && (
+          <div className="p-4 border border-red-200 bg-red-50 text-red-700 text-sm">
+            {(saveMutation.error || restoreMutation.error).message}
+          </div>
+        )}
+
+        <div className="pt-6 border-t border-neutral-100">
+          <div className="flex items-center justify-between mb-3">
+            <span className="text-sm text-neutral-900">In quarantine ({products.length})</span>
+            {products.length > 0 && (
+              <button
+                className="btn btn-secondary"
+                disabled={restoreMutation.isPending}
+                onClick={() => restoreMutation.mutate(undefined)}
+              >
+                Restore All
+              </button>
+            )}
+          </div>
+          {products.length === 0 ? (
+            <p className="text-xs text-neutral-500">No products in quarantine</p>
+          ) : (
+            <ul className="divide-y divide-neutral-100">
+              {products.map((product) => (
+                <li key={product.id} className="flex items-center justify-between py-2">
+                  <div>
+                    <p className="text-sm text-neutral-900">{product.title || product.handle || product.id}</p>
+                    <p className="text-xs text-neutral-500">
+                      Last seen {product.lastSeenAt ? new Date(product.lastSeenAt).toLocaleDateString() : '—'}
+                      {' · '}restorable until {new Date(product.purgeAt).toLocaleDateString()}
+                    </p>
+                  </div>
+                  <button
+                    className="text-xs text-neutral-500 hover:text-neutral-900 uppercase tracking-wide"
+                    disabled={restoreMutation.isPending}
+                    onClick={() => restoreMutation.mutate([product.id])}
+                  >
+                    Restore
+                  </button>
+                </li>
+              ))}
+            </ul>
+          )}
+        </div>
+      </div>
+    </section>
+  );
+}
@@ -124,6 +124,9 @@ function AddStoreModal({ onClose, onSuccess }) {
   const [platform, setPlatform] = useState('shopify');
   const [domain, setDomain] = useState('');
   const [accessToken, setAccessToken] = useState('');
+  const [consumerKey, setConsumerKey] = useState('');
+  const [consumerSecret, setConsumerSecret] = useState('');
+  const [feedUrl, setFeedUrl] = useState('');
   const [name, setName] = useState('');
   const [error, setError] = useState('');
 
@@ -136,7 +139,11 @@ function AddStoreModal({ onClose, onSuccess }) {
   function handleSubmit(e) {
     e.preventDefault();
     setError('');
-    mutation.mutate({ platform, domain, accessToken, name: name || domain });
+    const credentials = {
+      woocommerce: { consumerKey, consumerSecret },
+      custom: { feedUrl: feedUrl || undefined }
+    }[platform] || { accessToken };
+    mutation.mutate({ platform, domain, ...credentials, name: name || domain });
   }
 
   return (
@@ -186,17 +193,59 @@ function AddStoreModal({ onClose, onSuccess }) {
             />
           </div>
 
-          <div>
-            <label className="label">Access Token</label>
-            <input
-              type="password"
-              className="input"
-              value={accessToken}
-              onChange={(e) => setAccessToken(e.target.value)}
-              required
-              placeholder="API key or access token"
-            />
-          </div>
+          {platform === 'custom' ? (
+            <div>
+              <label className="label">Product Feed URL (Optional)</label>
+              <input
+                type="url"
+                className="input"
+                value={feedUrl}
+                onChange={(e) => setFeedUrl(e.target.value)}
+                placeholder="https://mystore.com/feed.xml"
+              />
+              <p className="text-xs text-neutral-400 mt-2">
+                Google Merchant XML, CSV or JSON Lines. You can also upload a feed file later.
+              </p>
+            </div>
+          ) : platform === 'woocommerce' ? (
+            <>
+              <div>
+                <label className="label">Consumer Key</label>
+                <input
+                  type="text"
+                  className="input"
+                  value={consumerKey}
+                  onChange={(e) => setConsumerKey(e.target.value)}
+                  required
+                  placeholder="ck_..."
+                />
+              </div>
+
+              <div>
+                <label className="label">Consumer Secret</label>
+                <input
+                  type="password"
+                  className="input"
+                  value={consumerSecret}
+                  onChange={(e) => setConsumerSecret(e.target.value)}
+                  required
+                  placeholder="cs_..."
+                />
+              </div>
+            </>
+          ) : (
+            <div>
+              <label className="label">Access Token</label>
+              <input
+                type="password"
+                className="input"
+                value={accessToken}
+                onChange={(e) => setAccessToken(e.target.value)}
+                required
+                placeholder="API key or access token"
+              />
+            </div>
+          )}
 
           <div>
             <label className="label">Store Name (Optional)</label>
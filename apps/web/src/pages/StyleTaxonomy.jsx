@@ -0,0 +1,226 @@
+import { useState } from 'react';
+import { useQuery, useMutation, useQueryClient } from '@tanstack/react-query';
+import { useSearchParams } from 'react-router-dom';
+import { useAuth } from '../context/AuthContext';
+import { apiEndpoints } from '../services/api';
+
+const AXES = [
+  { field: 'personas', title: 'Personas', noun: 'persona', placeholder: 'e.g. ELEGANT_CHIC' },
+  { field: 'bodyShapes', title: 'Body shapes', noun: 'body shape', placeholder: 'e.g. hourglass' },
+  { field: 'seasons', title: 'Chromatic seasons', noun: 'season', placeholder: 'e.g. winter' }
+];
+
+const PRESET_NAMES = {
+  bogas: 'Bogas (5 personas)',
+  dyfashion: 'DyFashion (3 personas)'
+};
+
+export default function StyleTaxonomy() {
+  const { user } = useAuth();
+  const [searchParams, setSearchParams] = useSearchParams();
+  const [selectedStore, setSelectedStore] = useState(searchParams.get('storeId') || '');
+  const canEdit = user?.role === 'owner' || user?.role === 'superadmin';
+
+  const { data: storesData } = useQuery({
+    queryKey: ['stores'],
+    queryFn: apiEndpoints.getStores
+  });
+
+  const { data, isLoading } = useQuery({
+    queryKey: ['style-taxonomy', selectedStore],
+    queryFn: () => apiEndpoints.getStyleTaxonomy(selectedStore),
+    enabled: !!selectedStore
+  });
+
+  const stores = storesData?.data?.stores || [];
+
+  function handleStoreChange(e) {
+    const newStoreId = e.target.value;
+    setSelectedStore(newStoreId);
+    setSearchParams(newStoreId ? { storeId: newStoreId } : {});
+  }
+
+  return (
+    <div className="animate-fade-in">
+      {/* Header */}
+      <div className="page-header">
+        <h1 className="page-title">Style Taxonomy</h1>
+        <p className="page-subtitle">Personas, body shapes and chromatic seasons the sync tags each product with</p>
+      </div>
+
+      <div className="border border-neutral-100 p-6 mb-8">
+        <div className="max-w-md">
+          <label className="label">Store</label>
+          <select className="input" value={selectedStore} onChange={handleStoreChange}>
+            <option value="">Select a store</option>
+            {stores.map((store) => (
+              <option key={store.id} value={store.id}>{store.name}</option>
+            ))}
+          </select>
+        </div>
+      </div>
+
+      {!selectedStore ? (
+        <div className="border border-neutral-100 p-16 text-center">
+          <div className="empty-state-icon">↑</div>
+          <p className="empty-state-title">Select a store</p>
+          <p className="empty-state-text">Choose a store to edit its style taxonomy</p>
+        </div>
+      ) : isLoading || !data ? (
+        <div className="flex items-center justify-center h-64">
+          <div className="spinner"></div>
+        </div>
+      ) : (
+        <StyleTaxonomyEditor key={selectedStore} storeId={selectedStore} taxonomy={data.data} canEdit={canEdit} />
+      )}
+    </div>
+  );
+}
+
+function StyleTaxonomyEditor({ storeId, taxonomy, canEdit }) {
+  const queryClient = useQueryClient();
+  const { defaults, presets } = taxonomy;
+  const [form, setForm] = useState(() => ({ ...defaults, ...(taxonomy.styleTaxonomy || {}) }));
+  const [dirty, setDirty] = useState(false);
+
+  const saveMutation = useMutation({
+    mutationFn: (styleTaxonomy) => apiEndpoints.updateStyleTaxonomy(storeId, styleTaxonomy),
+    onSuccess: () => {
+      setDirty(false);
+      queryClient.invalidateQueries({ queryKey: ['style-taxonomy', storeId] });
+    },
+    onError: (err) => alert('Failed to save style taxonomy: ' + err.message)
+  });
+
+  const update = (field, value) => {
+    setForm((f) => ({ ...f, [field]: value }));
+    setDirty(true);
+  };
+
+  function loadTaxonomy(profile) {
+    if (dirty && !confirm('Discard your unsaved changes?')) return;
+    setForm({ ...defaults, ...profile });
+    setDirty(true);
+  }
+
+  function updateOption(field, index, key, value) {
+    update(field, form[field].map((option, i) => (i === index ? { ...option, [key]: value } : option)));
+  }
+
+  return (
+    <div className="max-w-4xl space-y-8">
+      {/* Actions */}
+      <div className="flex flex-wrap items-center justify-between gap-4">
+        <p className="text-xs text-neutral-500">
+          {taxonomy.effective.enabled
+            ? `Classifying with ${taxonomy.effective.personas.length} personas`
+            : 'Style classification is off for this store'}
+          {' · '}changes apply to products synced after saving
+        </p>
+        {canEdit && (
+          <div className="flex gap-2">
+            <select
+              className="input py-1 w-auto"
+              value=""
+              onChange={(e) => e.target.value && loadTaxonomy(e.target.value === 'default' ? defaults : presets[e.target.value])}
+            >
+              <option value="">Start from...</option>
+              <option value="default">Defaults</option>
+              {Object.keys(presets).map((key) => (
+                <option key={key} value={key}>{PRESET_NAMES[key] || key}</option>
+              ))}
+            </select>
+            {taxonomy.styleTaxonomy && (
+              <button
+                className="btn btn-ghost btn-sm"
+                disabled={saveMutation.isPending}
+                onClick={() => confirm('Remove the style taxonomy and stop classifying styles?') && saveMutation.mutate(null)}
+              >
+                Reset
+              </button>
+            )}
+            <button
+              className="btn btn-primary btn-sm"
+              disabled={!dirty || saveMutation.isPending}
+              onClick={() => saveMutation.mutate(form)}
+            >
+              {saveMutation.isPending ? 'Saving...' : 'Save'}
+            </button>
+          </div>
+        )}
+      </div>
+
+      <fieldset disabled={!canEdit} className="space-y-8">
+        {/* Classification */}
+        <section>
+          <h2 className="section-title">Classification</h2>
+          <div className="border border-neutral-100 p-6 space-y-4">
+            <label className="flex items-center gap-3 text-sm text-neutral-900">
+              <input type="checkbox" checked={form.enabled} onChange={(e) => update('enabled', e.target.checked)} />
+              Classify product styles during sync
+            </label>
+            <label className="flex items-center gap-3 text-sm text-neutral-900">
+              <input type="checkbox" checked={form.useImage} onChange={(e) => update('useImage', e.target.checked)} />
+              Send the main product image with the product data
+            </label>
+          </div>
+        </section>
+
+        {AXES.map(({ field, title, noun, placeholder }) => (
+          <section key={field}>
+            <h2 className="section-title">{title}</h2>
+            <div className="border border-neutral-100 p-6 space-y-4">
+              {form[field].length === 0 && (
+                <p className="text-sm text-neutral-400">No {noun}s</p>
+              )}
+              {form[field].map((option, i) => (
+                <div key={i} className="flex gap-3 items-start">
+                  <input
+                    className="input font-mono w-56 shrink-0"
+                    value={option.id}
+                    placeholder={placeholder}
+                    onChange={(e) => updateOption(field, i, 'id', e.target.value)}
+                  />
+                  <textarea
+                    className="input"
+                    rows={Math.min(Math.max((option.description || '').split('\n').length, 1), 6)}
+                    value={option.description}
+                    placeholder="What products fit it (one rule per line)"
+                    onChange={(e) => updateOption(field, i, 'description', e.target.value)}
+                  />
+                  <button className="btn btn-ghost btn-sm" onClick={() => update(field, form[field].filter((_, j) => j !== i))}>
+                    ×
+                  </button>
+                </div>
+              ))}
+              <button
+                className="btn btn-secondary btn-sm"
+                disabled={form[field].length >= 20}
+                onClick={() => update(field, [...form[field], { id: '', description: '' }])}
+              >
+                Add {noun}
+              </button>
+            </div>
+          </section>
+        ))}
+
+        {/* Rules */}
+        <section>
+          <h2 className="section-title">Extra rules</h2>
+          <div className="border border-neutral-100 p-6">
+            <textarea
+              className="input"
+              rows={5}
+              value={form.rules}
+              placeholder="e.g. Include at least one value for every axis"
+              onChange={(e) => update('rules', e.target.value)}
+            />
+            <p className="text-xs text-neutral-400 mt-2">
+              Ids are stored on the products: renaming one only applies to products synced afterwards.
+            </p>
+          </div>
+        </section>
+      </fieldset>
+    </div>
+  );
+}
@@ -18,15 +18,21 @@ class ApiClient {
     return headers;
   }
 
-  async request(method, path, data = null) {
+  async request(method, path, data = null, { contentType } = {}) {
     const url = `${this.baseUrl}${path}`;
     const options = {
       method,
       headers: this.getHeaders()
     };
 
+    // Raw bodies (file uploads) are sent as-is with their own content type
     if (data && method !== 'GET') {
-      options.body = JSON.stringify(data);
+      if (contentType) {
+        options.headers['Content-Type'] = contentType;
+        options.body = data;
+      } else {
+        options.body = JSON.stringify(data);
+      }
     }
 
     let response;
@@ -74,6 +80,10 @@ class ApiClient {
   delete(path) {
     return this.request('DELETE', path);
   }
+
+  upload(path, file) {
+    return this.request('PUT', path, file, { contentType: file.type || 'application/octet-stream' });
+  }
 }
 
 export const api = new ApiClient(API_URL);
@@ -92,6 +102,20 @@ export const apiEndpoints = {
   updateStore: (id, data) => api.put(`/stores/${id}`, data),
   deleteStore: (id) => api.delete(`/stores/${id}`),
   getStoreCategories: (id) => api.get(`/stores/${id}/categories`),
+  uploadStoreFeed: (id, file) => api.upload(`/stores/${id}/feed?fileName=${encodeURIComponent(file.name)}`, file),
+  getBrandVoice: (id) => api.get(`/stores/${id}/brand-voice`),
+  updateBrandVoice: (id, brandVoice) => api.put(`/stores/${id}/brand-voice`, { brandVoice }),
+  previewBrandVoice: (id, data) => api.post(`/stores/${id}/brand-voice/preview`, data),
+  getStyleTaxonomy: (id) => api.get(`/stores/${id}/style-taxonomy`),
+  updateStyleTaxonomy: (id, styleTaxonomy) => api.put(`/stores/${id}/style-taxonomy`, { styleTaxonomy }),
+  getTagTaxonomy: (id) => api.get(`/stores/${id}/tag-taxonomy`),
+  updateTagTaxonomy: (id, tagTaxonomy) => api.put(`/stores/${id}/tag-taxonomy`, { tagTaxonomy }),
+  getTagSummary: (id) => api.get(`/stores/${id}/tags`),
+  runTagging: (id, data) => api.post(`/stores/${id}/tags/run`, data),
+  getMappingRules: (id) => api.get(`/stores/${id}/mapping-rules`),
+  updateMappingRules: (id, mappingRules) => api.put(`/stores/${id}/mapping-rules`, { mappingRules }),
+  dryRunMappingRules: (id, mappingRules) => api.post(`/stores/${id}/mapping-rules/dry-run`, mappingRules ? { mappingRules } : {}),
+  applyMappingRules: (id) => api.post(`/stores/${id}/mapping-rules/apply`, {}),
 
   // Products
   getProducts: (params) => {
@@ -107,10 +131,53 @@ export const apiEndpoints = {
   getSyncStatus: (storeId) => api.get(`/sync/status/${storeId}`),
   cancelSync: (storeId) => api.post(`/sync/cancel/${storeId}`),
   getSyncHistory: (storeId) => api.get(`/sync/history/${storeId}`),
+  getJob: (jobId) => api.get(`/sync/jobs/${jobId}`),
+  getQuarantine: (storeId) => api.get(`/sync/quarantine/${storeId}`),
+  restoreQuarantined: (storeId, productIds) => api.post(`/sync/quarantine/${storeId}/restore`, productIds ? { productIds } : {}),
+
+  // Storefront widgets (Complete the Look, Similar Products)
+  getWidgetCoverage: (storeId) => api.get(`/widgets/${storeId}`),
+  regenerateWidgets: (data) => api.post('/widgets/regenerate', data),
+
+  // Storefront assistant config (kind: "stylist" | "visual-merchandiser")
+  getStorefrontConfig: (storeId, kind) => api.get(`/stores/${storeId}/${kind}-config`),
+  updateStorefrontConfig: (storeId, kind, config, note) => api.put(`/stores/${storeId}/${kind}-config`, { config, note }),
+  getStorefrontConfigVersions: (storeId, kind) => api.get(`/stores/${storeId}/${kind}-config/versions`),
+  getStorefrontConfigVersion: (storeId, kind, version) => api.get(`/stores/${storeId}/${kind}-config/versions/${version}`),
+  diffStorefrontConfig: (storeId, kind, from, to = 'live') => api.get(`/stores/${storeId}/${kind}-config/diff?from=${from}&to=${to}`),
+  rollbackStorefrontConfig: (storeId, kind, version) => api.post(`/stores/${storeId}/${kind}-config/versions/${version}/rollback`, {}),
+  regenerateOutfits: (storeId) => api.post(`/stores/${storeId}/visual-merchandiser-config/regenerate`, { confirm: true }),
+
+  // AI Merchant trend report
+  getMerchantReport: (storeId, date) => api.get(`/merchant/${storeId}/report${date ? `?date=${date}` : ''}`),
+  rebuildMerchantReport: (storeId) => api.post(`/merchant/${storeId}/report`, {}),
+
+  // Review queue (AI description drafts)
+  getDescriptionDrafts: (params) => {
+    const query = new URLSearchParams(params).toString();
+    return api.get(`/reviews/descriptions?${query}`);
+  },
+  reviewDescription: (productId, data) => api.put(`/reviews/descriptions/${productId}`, data),
+  approveDescriptions: (data) => api.post('/reviews/descriptions/approve', data),
+
+  // Write-back (AI copy to the store platform)
+  previewWriteBack: (data) => api.post('/writeback/preview', data),
+  pushWriteBack: (data) => api.post('/writeback/push', data),
 
   // AI Custom
   getProductDescription: (data) => api.post('/ai/product-description', data),
-  getProductDescriptionBatch: (data) => api.post('/ai/product-description-batch', data)
+  getProductDescriptionBatch: (data) => api.post('/ai/product-description-batch', data),
+
+  // Users (superadmin)
+  getUsers: () => api.get('/users'),
+  updateUserRole: (userId, role) => api.put(`/users/${userId}/role`, { role }),
+
+  // Demo admin (superadmin)
+  getDemoPrompts: () => api.get('/demo/prompts'),
+  saveDemoPrompts: (prompts) => api.put('/demo/prompts', { prompts }),
+  getDemoSearches: () => api.get('/demo/searches'),
+  deleteDemoCache: (domain) => api.delete(`/demo/cache/${domain}`),
+  seedDemo: (data) => api.post('/demo/seed', data)
 };
 
 export default api;
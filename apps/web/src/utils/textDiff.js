@@ -0,0 +1,62 @@
+// Word-level diff used to show an AI description next to the text it replaced.
+// Plain LCS: descriptions are a few hundred words, so the table stays small;
+// past MAX_CELLS the texts are shown as one removal and one addition.
+const MAX_CELLS = 400000;
+
+/**
+ * Visible text of an HTML description (entities decoded, whitespace collapsed)
+ */
+export function htmlToText(html) {
+  if (!html) return '';
+  const doc = new DOMParser().parseFromString(html, 'text/html');
+  return (doc.body.textContent || '').replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * Diff two texts word by word
+ * @returns {Array<{ type: 'same' | 'removed' | 'added', text: string }>}
+ */
+export function diffWords(before, after) {
+  const a = before ? before.split(' ') : [];
+  const b = after ? after.split(' ') : [];
+
+  if (a.length * b.length > MAX_CELLS) {
+    return [
+      ...(before ? [{ type: 'removed', text: before }] : []),
+      ...(after ? [{ type: 'added', text: after }] : [])
+    ];
+  }
+
+  // lcs[i][j] = length of the longest common subsequence of a[i..] and b[j..]
+  const lcs = Array.from({ length: a.length + 1 }, () => new Uint16Array(b.length + 1));
+  for (let i = a.length - 1; i >= 0; i--) {
+    for (let j = b.length - 1; j >= 0; j--) {
+      lcs[i][j] = a[i] === b[j] ? lcs[i + 1][j + 1] + 1 : Math.max(lcs[i + 1][j], lcs[i][j + 1]);
+    }
+  }
+
+  const parts = [];
+  const push = (type, word) => {
+    const last = parts[parts.length - 1];
+    if (last?.type === type) last.text += ` ${word}`;
+    else parts.push({ type, text: word });
+  };
+
+  let i = 0;
+  let j = 0;
+  while (i < a.length && j < b.length) {
+    if (a[i] === b[j]) {
+      push('same', a[i]);
+      i++;
+      j++;
+    } else if (lcs[i + 1][j] >= lcs[i][j + 1]) {
+      push('removed', a[i++]);
+    } else {
+      push('added', b[j++]);
+    }
+  }
+  while (i < a.length) push('removed', a[i++]);
+  while (j < b.length) push('added', b[j++]);
+
+  return parts;
+}
@@ -1,125 +1,456 @@
 /**
  * RUNA Admin Worker
  *
- * Background job processor for long-running tasks like product sync.
- * In production, this would connect to Redis/BullMQ for job queue.
- * For now, it provides a simple in-memory queue for development.
+ * Background job processor for long-running tasks like product sync,
+ * single-product updates queued by the webhook receiver, write-back of
+ * AI copy to the store platform, occasion / style-lane tagging, demographic /
+ * category mapping rules and the regeneration of storefront widgets (Complete the Look, Similar Products).
+ * Jobs are queued by the API in the shared job store (@runa/core/jobs);
+ * this process claims them under a lease, heartbeats while running and
+ * records the outcome, so a restart never loses queued or running work.
  */
 
+import os from "os";
 import { config } from "@runa/config";
-import { SyncPipeline, dynamodb, neo4jClient } from "@runa/core";
-import { ShopifyAdapter } from "@runa/adapters";
-
-// Simple in-memory job queue for development
-// In production, replace with Redis/BullMQ
-class JobQueue {
-  constructor() {
-    this.jobs = new Map();
-    this.processing = false;
-  }
-
-  async add(job) {
-    this.jobs.set(job.id, {
-      ...job,
-      status: "queued",
-      createdAt: new Date().toISOString()
-    });
-    console.log(`Job ${job.id} added to queue`);
-    this.processNext();
-    return job.id;
+import { dynamodb, neo4jClient, jobStore } from "@runa/core";
+import { JOB_STATUS } from "@runa/core/jobs";
+import { SyncOrchestrator, WriteBack, ProductTagger, ProductMapper, WidgetRegenerator, WIDGET_TYPES, buildSyncConfig } from "@runa/api/sync";
+
+const WORKER_ID = process.env.WORKER_ID || `${os.hostname()}_${process.pid}`;
+const WORKER_CONCURRENCY = parseInt(process.env.WORKER_CONCURRENCY || "1", 10);
+
+class JobWorker {
+  constructor(store, options = {}) {
+    this.store = store;
+    this.workerId = options.workerId || WORKER_ID;
+    this.concurrency = options.concurrency || WORKER_CONCURRENCY;
+    this.pollIntervalMs = options.pollIntervalMs || config.jobs.pollIntervalMs;
+    this.heartbeatMs = Math.max(1000, Math.floor(config.jobs.leaseMs / 3));
+    this.running = new Map();
+    this.stopped = false;
   }
 
-  async processNext() {
-    if (this.processing) return;
+  start() {
+    console.log(`Worker ${this.workerId} polling for jobs every ${this.pollIntervalMs}ms`);
+    this.poll();
+  }
 
-    // Find next queued job
-    const queuedJob = Array.from(this.jobs.values())
-      .find(j => j.status === "queued");
+  async stop() {
+    this.stopped = true;
+    clearTimeout(this.pollTimer);
+  }
 
-    if (!queuedJob) return;
+  async poll() {
+    if (this.stopped) return;
 
-    this.processing = true;
-    queuedJob.status = "processing";
-    queuedJob.startedAt = new Date().toISOString();
+    try {
+      while (this.running.size < this.concurrency) {
+        const job = await this.store.claim(this.workerId, { types: ["sync", "product", "writeback", "tagging", "mapping", ...WIDGET_TYPES] });
+        if (!job) break;
+        // runJob records the outcome itself; this only catches a failure to record
+        // it (the job's lease then runs out and the job is claimed again)
+        this.runJob(job).catch(error => {
+          console.error(`Failed to record job ${job.id}:`, error.message);
+        });
+      }
+    } catch (error) {
+      console.error("Failed to claim job:", error.message);
+    }
 
-    console.log(`Processing job ${queuedJob.id}...`);
+    this.pollTimer = setTimeout(() => this.poll(), this.pollIntervalMs);
+  }
+
+  async runJob(job) {
+    console.log(`Processing job ${job.id} (attempt ${job.attempts})...`);
 
+    const state = {
+      job,
+      progress: job.progress || 0,
+      total: job.total || 0,
+      controller: new AbortController(),
+      leaseLost: false
+    };
+    this.running.set(job.id, state);
+
+    // Keep the lease alive, and check for cancellation more often than that
+    const heartbeat = setInterval(() => this.heartbeat(state), this.heartbeatMs);
+    const cancelWatch = setInterval(() => this.checkCancellation(state), this.pollIntervalMs);
+
+    try {
+      const result = await this.executeJob(job, state);
+      if (state.leaseLost) return;
+      const status = result?.cancelled ? JOB_STATUS.CANCELLED : JOB_STATUS.COMPLETED;
+      await this.store.finish(job.id, this.workerId, status, {
+        progress: state.progress,
+        total: state.total,
+        result
+      });
+      console.log(`Job ${job.id} ${status}`);
+    } catch (error) {
+      if (state.leaseLost) {
+        console.log(`Job ${job.id} stopped after losing its lease`);
+        return;
+      }
+      const cancelled = state.controller.signal.aborted;
+      await this.store.finish(job.id, this.workerId, cancelled ? JOB_STATUS.CANCELLED : JOB_STATUS.FAILED, {
+        progress: state.progress,
+        total: state.total,
+        error: cancelled ? undefined : error.message
+      });
+      if (cancelled) {
+        console.log(`Job ${job.id} cancelled`);
+      } else {
+        console.error(`Job ${job.id} failed:`, error.message);
+      }
+    } finally {
+      clearInterval(heartbeat);
+      clearInterval(cancelWatch);
+      this.running.delete(job.id);
+    }
+  }
+
+  /**
+   * Abort a running job once the API recorded a cancellation request
+   */
+  abortIfRequested(state, job) {
+    if (!job?.cancelRequestedAt || state.controller.signal.aborted) return;
+    console.log(`Cancellation requested for job ${state.job.id}, stopping...`);
+    state.controller.abort();
+  }
+
+  async checkCancellation(state) {
     try {
-      await this.executeJob(queuedJob);
-      queuedJob.status = "completed";
-      queuedJob.completedAt = new Date().toISOString();
-      console.log(`Job ${queuedJob.id} completed`);
+      this.abortIfRequested(state, await this.store.get(state.job.id));
     } catch (error) {
-      queuedJob.status = "failed";
-      queuedJob.error = error.message;
-      queuedJob.failedAt = new Date().toISOString();
-      console.error(`Job ${queuedJob.id} failed:`, error.message);
+      console.error(`Cancellation check failed for job ${state.job.id}:`, error.message);
     }
+  }
 
-    this.processing = false;
-    this.processNext(); // Process next job
+  async heartbeat(state) {
+    try {
+      const updated = await this.store.heartbeat(state.job.id, this.workerId, {
+        progress: state.progress,
+        total: state.total
+      });
+      if (!updated) {
+        // The job was requeued (or finished) without us: stop, or it runs twice at once
+        if (!state.leaseLost) {
+          console.warn(`Lost lease on job ${state.job.id}, stopping...`);
+          state.leaseLost = true;
+          state.controller.abort();
+        }
+        return;
+      }
+      state.job = updated;
+      this.abortIfRequested(state, updated);
+    } catch (error) {
+      console.error(`Heartbeat failed for job ${state.job.id}:`, error.message);
+    }
   }
 
-  async executeJob(job) {
+  async executeJob(job, state) {
     switch (job.type) {
       case "sync":
-        return this.executeSyncJob(job);
+        return this.executeSyncJob(job, state);
+      case "product":
+        return this.executeProductJob(job, state);
+      case "writeback":
+        return this.executeWriteBackJob(job, state);
+      case "tagging":
+        return this.executeTaggingJob(job, state);
+      case "mapping":
+        return this.executeMappingJob(job, state);
+      case "complete-the-look":
+      case "similar-products":
+        return this.executeWidgetJob(job, state);
       default:
         throw new Error(`Unknown job type: ${job.type}`);
     }
   }
 
-  async executeSyncJob(job) {
-    const { storeDomain, accessToken, platform, options = {} } = job.data;
+  async executeSyncJob(job, state) {
+    const { storeDomain, region = "us-east-1", options = {} } = job.data;
 
-    // Create adapter
-    let adapter;
-    switch (platform) {
-      case "shopify":
-        adapter = new ShopifyAdapter(storeDomain, accessToken);
-        break;
-      default:
-        throw new Error(`Unsupported platform: ${platform}`);
+    console.log(`\n=== Starting sync job ${job.id} for ${storeDomain} ===\n`);
+
+    const { user, store } = await this.loadStore(job);
+
+    try {
+      // Provider is picked from the store platform via the provider registry
+      const sync = new SyncOrchestrator({
+        ...(await buildSyncConfig({ user, store, storeDomain, region, options })),
+        signal: state.controller.signal,
+        onProgress: (processed, total) => {
+          state.progress = processed;
+          state.total = total;
+        }
+      });
+
+      const result = await sync.run();
+      const processedCount = result?.processedCount ?? state.progress;
+
+      if (result?.cancelled) {
+        return {
+          cancelled: true,
+          platform: sync.provider.providerType,
+          processedCount,
+          totalProductsSeen: result.totalProductsSeen,
+          delta: result.delta,
+          costs: result.costs
+        };
+      }
+
+      await this.updateStoreRecord(job, {
+        lastSync: new Date().toISOString(),
+        productsCount: processedCount,
+        status: "active"
+      });
+      if (processedCount > 0 || result?.widgetCache?.regenerate > 0) {
+        await this.queueWidgetRegeneration(job, store, sync.provider.providerType);
+      }
+
+      return {
+        platform: sync.provider.providerType,
+        processedCount,
+        totalProductsSeen: result?.totalProductsSeen ?? state.total,
+        delta: result?.delta,
+        widgetCache: result?.widgetCache,
+        staleCleanup: result?.staleCleanup,
+        costs: result?.costs
+      };
+    } catch (error) {
+      if (!state.controller.signal.aborted) {
+        await this.updateStoreRecord(job, { status: "error", lastError: error.message });
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Apply a single product event (queued by the webhook receiver)
+   */
+  async executeProductJob(job, state) {
+    const { storeDomain, region = "us-east-1", topic, inventoryItemId, deleted = false } = job.data;
+
+    const { user, store } = await this.loadStore(job);
+
+    const sync = new SyncOrchestrator({
+      ...(await buildSyncConfig({ user, store, storeDomain, region })),
+      signal: state.controller.signal
+    });
+
+    // inventory_levels/update only identifies the inventory item
+    let { productId } = job.data;
+    if (!productId && inventoryItemId) {
+      productId = await sync.provider.resolveInventoryItemProductId(inventoryItemId);
+      if (!productId) {
+        return { topic, inventoryItemId, action: "skipped" };
+      }
+    }
+
+    const result = await sync.syncProduct({ productId, deleted });
+    state.progress = state.total = 1;
+    if (result.widgetCache?.regenerate > 0) {
+      await this.queueWidgetRegeneration(job, store, sync.provider.providerType);
     }
 
-    // Create pipeline
-    const pipeline = new SyncPipeline({
-      appId: options.appId || "runa",
-      appName: options.appName || "Runa",
-      region: options.region || "us-east-1"
+    return {
+      platform: sync.provider.providerType,
+      topic,
+      ...result
+    };
+  }
+
+  /**
+   * Preview or push AI descriptions/SEO to the store platform (queued by /api/writeback)
+   * A retried push only sends the products still pending, so it resumes where
+   * the previous attempt stopped.
+   */
+  async executeWriteBackJob(job, state) {
+    const { storeDomain, region = "us-east-1", mode = "push", productIds = null, fields, force = false, limit } = job.data;
+
+    const { user, store } = await this.loadStore(job);
+
+    const sync = new SyncOrchestrator({
+      ...(await buildSyncConfig({ user, store, storeDomain, region })),
+      signal: state.controller.signal
+    });
+    const writeBack = new WriteBack(sync.provider);
+
+    if (mode === "preview") {
+      const preview = await writeBack.preview({ productIds, fields, limit, signal: state.controller.signal });
+      state.progress = state.total = preview.products.length;
+      return { platform: sync.provider.providerType, mode, ...preview };
+    }
+
+    const result = await writeBack.push({
+      productIds,
+      fields,
+      force,
+      jobId: job.id,
+      signal: state.controller.signal,
+      onProgress: (processed, total) => {
+        state.progress = processed;
+        state.total = total;
+      }
+    });
+    return { platform: sync.provider.providerType, mode, ...result };
+  }
+
+  /**
+   * Tag products with the store's tag taxonomy (queued by /api/stores/:storeId/tags/run)
+   * A retried job only picks up where it stopped in "missing" mode, since
+   * products tagged by the first attempt are no longer missing.
+   */
+  async executeTaggingJob(job, state) {
+    const { storeDomain, region = "us-east-1", mode = "missing", handle = null, dryRun = false } = job.data;
+
+    const { user, store } = await this.loadStore(job);
+
+    const sync = new SyncOrchestrator({
+      ...(await buildSyncConfig({ user, store, storeDomain, region })),
+      signal: state.controller.signal
+    });
+    if (!sync.provider.tagTaxonomy.enabled) {
+      throw new Error("Tagging is not enabled for this store");
+    }
+
+    const result = await new ProductTagger(sync.provider).run({
+      mode,
+      handle,
+      dryRun,
+      onProgress: (processed, total) => {
+        state.progress = processed;
+        state.total = total;
+      }
+    });
+    return { platform: sync.provider.providerType, ...result };
+  }
+
+  /**
+   * Apply the store's mapping rules to its stored products (queued by /api/stores/:storeId/mapping-rules/apply)
+   * A retried job plans again, so products the first attempt mapped no longer move.
+   */
+  async executeMappingJob(job, state) {
+    const { storeDomain, region = "us-east-1", dryRun = false } = job.data;
+
+    const { user, store } = await this.loadStore(job);
+
+    const sync = new SyncOrchestrator({
+      ...(await buildSyncConfig({ user, store, storeDomain, region })),
+      signal: state.controller.signal
     });
 
-    // Run sync
-    const result = await pipeline.syncStore(adapter, {
-      generateEmbeddings: options.generateEmbeddings !== false,
-      classifyProducts: options.classifyProducts !== false,
+    const result = await new ProductMapper(sync.provider).run({
+      dryRun,
       onProgress: (processed, total) => {
-        job.progress = { processed, total };
+        state.progress = processed;
+        state.total = total;
       }
     });
+    return { platform: sync.provider.providerType, ...result };
+  }
 
-    job.result = result;
-    return result;
+  /**
+   * Regenerate a storefront widget (queued by /api/widgets/regenerate or after a sync)
+   */
+  async executeWidgetJob(job, state) {
+    const { storeDomain, region = "us-east-1", scope = "changed", category = null, options = {} } = job.data;
+
+    const { user, store } = await this.loadStore(job);
+
+    const sync = new SyncOrchestrator({
+      ...(await buildSyncConfig({ user, store, storeDomain, region })),
+      signal: state.controller.signal
+    });
+
+    const result = await new WidgetRegenerator(sync.provider, job.type).run({
+      scope,
+      category,
+      ...options,
+      jobId: job.id,
+      onProgress: (processed, total) => {
+        state.progress = processed;
+        state.total = total;
+      }
+    });
+    return { platform: sync.provider.providerType, ...result };
   }
 
-  getJob(id) {
-    return this.jobs.get(id);
+  /**
+   * After a sync that enriched products, queue the widgets the store regenerates
+   * automatically for them ("changed" scope: new products, products the sync
+   * re-enriched and products whose widget was purged because it showed a dropped
+   * product). A job still queued from an earlier sync is reused.
+   */
+  async queueWidgetRegeneration(job, store, platform) {
+    for (const widget of store.autoRegenerateWidgets || []) {
+      try {
+        const queued = await this.store.enqueue({
+          type: widget,
+          storeId: job.storeId,
+          userId: job.userId,
+          data: {
+            storeDomain: job.data.storeDomain,
+            platform,
+            region: job.data.region,
+            scope: "changed",
+            trigger: "sync"
+          },
+          dedupeKey: `${job.storeId}:${widget}:changed`
+        });
+        console.log(`Queued ${widget} job ${queued.id} after sync ${job.id}`);
+      } catch (error) {
+        console.error(`Failed to queue ${widget} after sync ${job.id}:`, error.message);
+      }
+    }
+  }
+
+  /**
+   * Load the store a job runs for from its owner's user record
+   * @returns {Promise<{ user: Object, store: Object }>}
+   */
+  async loadStore(job) {
+    const user = await dynamodb.users.getUserById(job.userId);
+    const store = (user?.stores || []).find(s => s.id === job.storeId);
+    if (!store) {
+      throw new Error(`Store ${job.storeId} not found for user ${job.userId}`);
+    }
+    return { user, store };
   }
 
-  getStats() {
-    const jobs = Array.from(this.jobs.values());
+  /**
+   * Update the store entry in the owner's user record
+   */
+  async updateStoreRecord(job, fields) {
+    try {
+      const { user, store } = await this.loadStore(job);
+      Object.assign(store, fields);
+      await dynamodb.users.saveUser(user);
+    } catch (error) {
+      console.error("Failed to update store status:", error.message);
+    }
+  }
+
+  async getStats() {
+    const jobs = await this.store.list({ limit: Infinity });
+    const count = (status) => jobs.filter(j => j.status === status).length;
     return {
+      workerId: this.workerId,
+      running: Array.from(this.running.keys()),
       total: jobs.length,
-      queued: jobs.filter(j => j.status === "queued").length,
-      processing: jobs.filter(j => j.status === "processing").length,
-      completed: jobs.filter(j => j.status === "completed").length,
-      failed: jobs.filter(j => j.status === "failed").length
+      queued: count(JOB_STATUS.QUEUED),
+      processing: count(JOB_STATUS.RUNNING),
+      completed: count(JOB_STATUS.COMPLETED),
+      failed: count(JOB_STATUS.FAILED),
+      cancelled: count(JOB_STATUS.CANCELLED)
     };
   }
 }
 
-// Create queue instance
-const queue = new JobQueue();
+// Create worker instance
+const worker = new JobWorker(jobStore);
+worker.start();
 
 // Simple HTTP server for job management (optional)
 import { createServer } from "http";
@@ -133,7 +464,7 @@ const server = createServer(async (req, res) => {
 
   // Health check
   if (url.pathname === "/health") {
-    res.end(JSON.stringify({ status: "ok", stats: queue.getStats() }));
+    res.end(JSON.stringify({ status: "ok", stats: await worker.getStats() }));
     return;
   }
 
@@ -143,13 +474,9 @@ const server = createServer(async (req, res) => {
     req.on("data", chunk => body += chunk);
     req.on("end", async () => {
       try {
-        const job = JSON.parse(body);
-        const jobId = await queue.add({
-          id: `job_${Date.now()}`,
-          ...job
-        });
+        const job = await jobStore.enqueue(JSON.parse(body));
         res.statusCode = 201;
-        res.end(JSON.stringify({ jobId }));
+        res.end(JSON.stringify({ jobId: job.id }));
       } catch (error) {
         res.statusCode = 400;
         res.end(JSON.stringify({ error: error.message }));
@@ -161,7 +488,7 @@ const server = createServer(async (req, res) => {
   // Get job status
   if (req.method === "GET" && url.pathname.startsWith("/jobs/")) {
     const jobId = url.pathname.replace("/jobs/", "");
-    const job = queue.getJob(jobId);
+    const job = await jobStore.get(jobId);
     if (job) {
       res.end(JSON.stringify(job));
     } else {
@@ -194,12 +521,13 @@ server.listen(WORKER_PORT, () => {
   `);
 });
 
-// Graceful shutdown
+// Graceful shutdown — running jobs keep their lease and are re-queued once it expires
 process.on("SIGTERM", async () => {
   console.log("Shutting down worker...");
+  await worker.stop();
   server.close();
   await neo4jClient.close();
   process.exit(0);
 });
 
-export { queue };
+export { worker };
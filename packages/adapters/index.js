@@ -1,5 +1,9 @@
 /**
  * Platform adapters - barrel export
  */
-export { ShopifyAdapter, createAdapter as createShopifyAdapter } from "./shopify/index.js";
+export {
+  ShopifyAdapter,
+  createAdapter as createShopifyAdapter,
+  verifyWebhook as verifyShopifyWebhook
+} from "./shopify/index.js";
 export * from "./types.js";
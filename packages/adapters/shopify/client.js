@@ -227,6 +227,42 @@ export const queries = {
         }
       }
     }
+  `,
+
+  // List webhook subscriptions
+  listWebhooks: `
+    query WebhookSubscriptions($first: Int!, $after: String) {
+      webhookSubscriptions(first: $first, after: $after) {
+        pageInfo {
+          hasNextPage
+          endCursor
+        }
+        edges {
+          node {
+            id
+            topic
+            uri
+          }
+        }
+      }
+    }
+  `,
+
+  // Subscribe to a webhook topic
+  createWebhook: `
+    mutation WebhookSubscriptionCreate($topic: WebhookSubscriptionTopic!, $webhookSubscription: WebhookSubscriptionInput!) {
+      webhookSubscriptionCreate(topic: $topic, webhookSubscription: $webhookSubscription) {
+        webhookSubscription {
+          id
+          topic
+          uri
+        }
+        userErrors {
+          field
+          message
+        }
+      }
+    }
   `
 };
 
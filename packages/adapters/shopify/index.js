@@ -1,3 +1,4 @@
+import crypto from "crypto";
 import { createShopifyClient, queries, executeQuery } from "./client.js";
 import {
   transformProduct,
@@ -232,6 +233,72 @@ export class ShopifyAdapter {
     };
   }
 
+  /**
+   * List webhook subscriptions of the store
+   * @returns {Promise<Array<{ id: string, topic: string, uri: string }>>}
+   */
+  async listWebhooks() {
+    const webhooks = [];
+    let cursor = null;
+    let hasNextPage = true;
+
+    while (hasNextPage) {
+      const data = await executeQuery(this.client, queries.listWebhooks, {
+        first: 100,
+        after: cursor
+      });
+
+      webhooks.push(...data.webhookSubscriptions.edges.map((edge) => edge.node));
+      hasNextPage = data.webhookSubscriptions.pageInfo.hasNextPage;
+      cursor = data.webhookSubscriptions.pageInfo.endCursor;
+    }
+
+    return webhooks;
+  }
+
+  /**
+   * Register webhooks for real-time updates
+   * Topics already subscribed for the same callback URL are left as they are.
+   * @param {string} callbackUrl - Public URL receiving the webhooks
+   * @param {Array<string>} topics - GraphQL topics (default: config.shopify.webhookTopics)
+   * @returns {Promise<Array<{ topic: string, id: string, status: string }>>}
+   */
+  async registerWebhooks(callbackUrl, topics = config.shopify.webhookTopics) {
+    const existing = await this.listWebhooks();
+    const results = [];
+
+    for (const topic of topics) {
+      const current = existing.find((w) => w.topic === topic && w.uri === callbackUrl);
+      if (current) {
+        results.push({ topic, id: current.id, status: "exists" });
+        continue;
+      }
+
+      const data = await executeQuery(this.client, queries.createWebhook, {
+        topic,
+        webhookSubscription: { uri: callbackUrl, format: "JSON" }
+      });
+
+      const { webhookSubscription, userErrors } = data.webhookSubscriptionCreate;
+      if (userErrors?.length > 0) {
+        throw new Error(`Failed to register ${topic}: ${userErrors.map((e) => e.message).join(", ")}`);
+      }
+      results.push({ topic, id: webhookSubscription.id, status: "created" });
+    }
+
+    return results;
+  }
+
+  /**
+   * Verify webhook signature
+   * @param {Object} headers - Request headers
+   * @param {Buffer|string} body - Raw request body
+   * @returns {boolean}
+   */
+  verifyWebhook(headers, body) {
+    return verifyWebhook(headers, body);
+  }
+
   /**
    * Build aggregated content for a product (for AI processing)
    * @param {Object} product - Transformed product
@@ -254,6 +321,24 @@ export class ShopifyAdapter {
   }
 }
 
+/**
+ * Verify a Shopify webhook: base64 HMAC-SHA256 of the raw body with the app secret
+ * @param {Object} headers - Request headers (lowercase keys, as in Express)
+ * @param {Buffer|string} body - Raw request body, exactly as received
+ * @param {string} secret - App secret (default: config.shopify.apiSecret)
+ * @returns {boolean}
+ */
+export function verifyWebhook(headers, body, secret = config.shopify.apiSecret) {
+  const signature = headers["x-shopify-hmac-sha256"];
+  if (!secret || !signature || body === undefined || body === null) {
+    return false;
+  }
+
+  const digest = crypto.createHmac("sha256", secret).update(body).digest();
+  const received = Buffer.from(signature, "base64");
+  return received.length === digest.length && crypto.timingSafeEqual(received, digest);
+}
+
 /**
  * Create a Shopify adapter instance
  * @param {string} shopDomain - Shop domain
@@ -73,6 +73,26 @@ export const SYNC_STATUS = {
   FAILED: "failed"
 };
 
+/**
+ * Job queue states
+ */
+export const JOB_STATUS = {
+  QUEUED: "queued",
+  RUNNING: "running",
+  COMPLETED: "completed",
+  FAILED: "failed",
+  CANCELLED: "cancelled"
+};
+
+/**
+ * Review states of an AI description draft
+ */
+export const REVIEW_STATUS = {
+  PENDING: "pending",
+  APPROVED: "approved",
+  REJECTED: "rejected"
+};
+
 /**
  * Rate limits
  */
@@ -92,5 +112,7 @@ export default {
   SHOPIFY_CATEGORIES,
   PLATFORMS,
   SYNC_STATUS,
+  JOB_STATUS,
+  REVIEW_STATUS,
   RATE_LIMITS
 };
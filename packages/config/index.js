@@ -55,6 +55,8 @@ export const config = {
   openai: {
     apiKey: process.env.OPENAI_API_KEY,
     embeddingModel: "text-embedding-3-small",
+    // Length of embeddingModel vectors; Neo4j vector indexes are created with it
+    embeddingDimensions: parseInt(process.env.OPENAI_EMBEDDING_DIMENSIONS || "1536", 10),
     chatModel: "gpt-4o-mini"
   },
 
@@ -69,12 +71,17 @@ export const config = {
   // Server
   server: {
     port: parseInt(process.env.PORT || "3001", 10),
-    env: process.env.NODE_ENV || "development"
+    env: process.env.NODE_ENV || "development",
+    // Public base URL of the API, used for webhook callbacks
+    publicUrl: process.env.PUBLIC_API_URL || null
   },
 
   // Shopify API
   shopify: {
-    apiVersion: "2025-10"
+    apiVersion: "2025-10",
+    // App secret used to sign webhooks (X-Shopify-Hmac-Sha256)
+    apiSecret: process.env.SHOPIFY_API_SECRET,
+    webhookTopics: ["PRODUCTS_CREATE", "PRODUCTS_UPDATE", "PRODUCTS_DELETE", "INVENTORY_LEVELS_UPDATE"]
   },
 
   // Sync Settings
@@ -83,6 +90,51 @@ export const config = {
     concurrency: 5,
     retryAttempts: 3,
     retryDelay: 1000
+  },
+
+  // Sync job queue (file-backed store shared by the API and the worker)
+  jobs: {
+    filePath: process.env.JOB_STORE_PATH || resolve(__dirname, "../../.data/sync-jobs.json"),
+    leaseMs: parseInt(process.env.JOB_LEASE_MS || "300000", 10),
+    maxAttempts: parseInt(process.env.JOB_MAX_ATTEMPTS || "3", 10),
+    maxConcurrentPerStore: parseInt(process.env.JOB_MAX_CONCURRENT_PER_STORE || "1", 10),
+    pollIntervalMs: parseInt(process.env.JOB_POLL_INTERVAL_MS || "2000", 10),
+    // Finished jobs are dropped after retentionDays, and beyond the newest keepFinished per store and type
+    retentionDays: parseInt(process.env.JOB_RETENTION_DAYS || "7", 10),
+    keepFinished: parseInt(process.env.JOB_KEEP_FINISHED || "50", 10)
+  },
+
+  // Storefront widget Lambdas, regenerated by the worker's widget jobs
+  widgets: {
+    completeTheLookUrl: process.env.COMPLETE_THE_LOOK_LAMBDA_URL || "https://7gduqkaho5pvkb6rfvfcfeg6ca0ymnid.lambda-url.us-east-1.on.aws/",
+    similarProductsUrl: process.env.SIMILAR_PRODUCTS_LAMBDA_URL || "https://ztqjtsoqzv5jgmv2v55jnrqokq0klhwg.lambda-url.us-east-1.on.aws/",
+    concurrency: parseInt(process.env.WIDGET_CONCURRENCY || "10", 10),
+    requestTimeoutMs: parseInt(process.env.WIDGET_REQUEST_TIMEOUT_MS || "180000", 10)
+  },
+
+  // Storefront app server: holds the AI Stylist / Visual Merchandiser config ("chat")
+  appServer: {
+    url: process.env.APP_SERVER_URL || "https://enofvc3o7f.execute-api.us-east-1.amazonaws.com/production/healthiny-app",
+    timeoutMs: parseInt(process.env.APP_SERVER_TIMEOUT_MS || "15000", 10)
+  },
+
+  // Hybrid product search
+  search: {
+    // Cosine similarity a product needs to enter the semantic ranking: the
+    // nearest neighbours are returned however weak, and would pad every result
+    minSemanticScore: parseFloat(process.env.SEARCH_MIN_SEMANTIC_SCORE || "0.3")
+  },
+
+  // Uploaded product feeds for "custom" stores (read by the worker's FeedProvider)
+  feeds: {
+    dir: process.env.FEED_UPLOAD_DIR || resolve(__dirname, "../../.data/feeds"),
+    maxUploadBytes: parseInt(process.env.FEED_MAX_UPLOAD_BYTES || String(50 * 1024 * 1024), 10)
+  },
+
+  // Platform credentials encryption (KMS key when set, local key file otherwise)
+  secrets: {
+    kmsKeyId: process.env.SECRETS_KMS_KEY_ID || null,
+    keyFile: process.env.SECRETS_KEY_FILE || resolve(__dirname, "../../.data/secrets.key")
   }
 };
 
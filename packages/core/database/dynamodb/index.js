@@ -4,4 +4,5 @@
 export { dynamoClient, default as client } from "./client.js";
 export * as users from "./users.js";
 export * as cache from "./cache.js";
+export * as widgetCache from "./widget-cache.js";
 export * as logs from "./logs.js";
@@ -27,6 +27,8 @@ export const LOG_TYPES = {
   SYNC_PROGRESS: "sync_progress",
   SYNC_COMPLETE: "sync_complete",
   SYNC_ERROR: "sync_error",
+  SYNC_CANCELLED: "sync_cancelled",
+  STALE_CLEANUP: "stale_cleanup",
   PRODUCT_PROCESSED: "product_processed",
   PRODUCT_ERROR: "product_error",
   API_CALL: "api_call",
@@ -131,6 +133,43 @@ export async function logSyncError(storeId, error, context = {}) {
   });
 }
 
+/**
+ * Log sync cancellation with what was done before it stopped
+ * @param {string} storeId - Store ID
+ * @param {Object} stats - { processed, total, duration, costs, ... }
+ */
+export async function logSyncCancelled(storeId, stats = {}) {
+  const { processed = 0, total = 0, duration = 0 } = stats;
+  return createLog({
+    type: LOG_TYPES.SYNC_CANCELLED,
+    level: LOG_LEVELS.WARN,
+    storeId,
+    totalProcessed: processed,
+    duration,
+    durationFormatted: formatDuration(duration),
+    stats,
+    message: `Sync cancelled for ${storeId}: ${processed}/${total} products in ${formatDuration(duration)}`
+  });
+}
+
+/**
+ * Log the stale product cleanup that ends a completed sync
+ * @param {string} storeId - Store ID
+ * @param {Object} report - { quarantinedCount, purgedCount, quarantined: [titles], purged: [titles], skipped, stalePct, maxDeletePct, purgeAt, ... }
+ */
+export async function logStaleCleanup(storeId, report = {}) {
+  const { quarantinedCount = 0, purgedCount = 0, skipped = null } = report;
+  return createLog({
+    type: LOG_TYPES.STALE_CLEANUP,
+    level: skipped ? LOG_LEVELS.WARN : LOG_LEVELS.INFO,
+    storeId,
+    ...report,
+    message: skipped
+      ? `Stale cleanup skipped for ${storeId}: ${skipped}`
+      : `Stale cleanup for ${storeId}: ${quarantinedCount} product(s) quarantined, ${purgedCount} deleted`
+  });
+}
+
 /**
  * Log product processing error
  * @param {string} storeId - Store ID
@@ -246,6 +285,8 @@ export default {
   logSyncProgress,
   logSyncComplete,
   logSyncError,
+  logSyncCancelled,
+  logStaleCleanup,
   logProductError,
   getLogsByStore,
   saveCrawlerLog
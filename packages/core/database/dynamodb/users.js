@@ -1,5 +1,6 @@
 import { GetCommand, PutCommand, QueryCommand, ScanCommand } from "@aws-sdk/lib-dynamodb";
 import dynamoClient from "./client.js";
+import { encryptUserSecrets } from "../../services/secrets/credentials.js";
 
 const TABLE_NAME = dynamoClient.getTables().users;
 
@@ -80,6 +81,8 @@ export async function getUserByEmail(email, region = "us-east-1") {
 
 /**
  * Save/update user
+ * Platform secrets (root and per store) are encrypted before writing;
+ * the passed object is left as is.
  * @param {Object} item - User object
  * @param {string} region - AWS region
  * @returns {Promise<Object>} - DynamoDB put result
@@ -90,7 +93,7 @@ export async function saveUser(item, region = "us-east-1") {
   return docClient.send(
     new PutCommand({
       TableName: TABLE_NAME,
-      Item: item
+      Item: await encryptUserSecrets(item)
     })
   );
 }
@@ -0,0 +1,278 @@
+import { GetCommand, PutCommand, DeleteCommand, UpdateCommand, QueryCommand, BatchGetCommand } from "@aws-sdk/lib-dynamodb";
+import dynamoClient from "./client.js";
+
+const TABLE_NAME = dynamoClient.getTables().cache;
+const STORE_INDEX = "storeId-index";
+
+/**
+ * Storefront widget cache
+ *
+ * The Complete the Look and Similar Products Lambdas cache one entry per
+ * product and language in the cache table ({ id, storeId, data }):
+ *   <storeId>_<handle>_<lang>                   Complete the Look
+ *   <storeId>_similar_products_<handle>_<lang>  Similar Products (lowercased)
+ *   <storeId>_userOptions_<handle>_<lang>       Shopper options
+ *
+ * Entries show other products (data.products, data.outfits[].products_for_outfit),
+ * so a product that is deleted or goes out of stock keeps appearing in the
+ * widgets of other products. A reverse index, kept in the same table under
+ * "widgetref:<storeId>:<id|handle>" items without a storeId (so store queries
+ * never return them), lists the entries that show or belong to each product.
+ */
+
+// Fewer similar products than this left after a rewrite → the entry is purged
+const MIN_SIMILAR_PRODUCTS = 4;
+// BatchGetItem accepts at most 100 keys
+const BATCH_GET_SIZE = 100;
+
+// ─── Entries ─────────────────────────────────────────────────────────
+
+/**
+ * Get a raw cache entry
+ * @param {string} key - Cache key
+ * @returns {Promise<Object|null>} - { id, storeId, data, ... } or null
+ */
+export async function getEntry(key) {
+  const docClient = dynamoClient.getDocClient();
+  const result = await docClient.send(
+    new GetCommand({
+      TableName: TABLE_NAME,
+      Key: { id: key }
+    })
+  );
+  return result.Item || null;
+}
+
+/**
+ * Owner and widget of a cache key
+ * @param {string} storeId - Store ID
+ * @param {string} key - Cache key
+ * @returns {{ ownerHandle: string, widget: string|null }|null} - null for keys of other stores
+ */
+export function parseCacheKey(storeId, key) {
+  const prefix = `${storeId.toLowerCase()}_`;
+  if (!key || !key.toLowerCase().startsWith(prefix)) return null;
+
+  let rest = key.slice(prefix.length).replace(/_[a-z]{2}$/i, "");
+  let widget = "complete-the-look";
+  if (rest.startsWith("similar_products_")) {
+    rest = rest.slice("similar_products_".length);
+    widget = "similar-products";
+  } else if (rest.startsWith("userOptions_")) {
+    rest = rest.slice("userOptions_".length);
+    widget = null;
+  }
+  return rest ? { ownerHandle: rest.toLowerCase(), widget } : null;
+}
+
+/**
+ * Products shown by a widget entry
+ * @param {Object} data - Entry data
+ * @returns {Array<{ id: string|null, handle: string|null }>}
+ */
+export function extractProductRefs(data) {
+  const refs = [];
+  const add = (p) => {
+    if (!p || (p.id == null && !p.handle)) return;
+    refs.push({ id: p.id != null ? String(p.id) : null, handle: p.handle ? String(p.handle).toLowerCase() : null });
+  };
+
+  (data?.products || []).forEach(add);
+  (data?.outfits || []).forEach(outfit => (outfit.products_for_outfit || []).forEach(add));
+  return refs;
+}
+
+// ─── Reverse index ───────────────────────────────────────────────────
+
+function refTokens({ id, handle }) {
+  const tokens = [];
+  if (id != null && id !== "") tokens.push(`id:${id}`);
+  if (handle) tokens.push(`handle:${String(handle).toLowerCase()}`);
+  return tokens;
+}
+
+function refItemId(storeId, token) {
+  return `widgetref:${storeId}:${token}`;
+}
+
+async function addRef(storeId, token, key) {
+  const docClient = dynamoClient.getDocClient();
+  await docClient.send(
+    new UpdateCommand({
+      TableName: TABLE_NAME,
+      Key: { id: refItemId(storeId, token) },
+      UpdateExpression: "ADD #keys :keys SET updatedAt = :now",
+      ExpressionAttributeNames: { "#keys": "keys" },
+      ExpressionAttributeValues: { ":keys": new Set([key]), ":now": new Date().toISOString() }
+    })
+  );
+}
+
+/**
+ * Record an entry under its owner and every product it shows
+ * Products are indexed by ID when the entry has it, by handle otherwise.
+ * @param {string} storeId - Store ID
+ * @param {string} key - Cache key
+ * @param {Object} data - Entry data
+ * @returns {Promise<number>} - Number of products indexed
+ */
+export async function indexEntry(storeId, key, data) {
+  const tokens = new Set();
+  const owner = parseCacheKey(storeId, key);
+  if (owner) tokens.add(`handle:${owner.ownerHandle}`);
+  for (const ref of extractProductRefs(data)) {
+    tokens.add(refTokens(ref)[0]);
+  }
+
+  await Promise.all([...tokens].map(token => addRef(storeId, token, key)));
+  return tokens.size;
+}
+
+/**
+ * Cache keys recorded for products
+ * @param {string} storeId - Store ID
+ * @param {Array<{ id, handle }>} products - Products to look up
+ * @returns {Promise<Set<string>>}
+ */
+export async function getReferencingKeys(storeId, products) {
+  const docClient = dynamoClient.getDocClient();
+  const ids = [...new Set(products.flatMap(refTokens))].map(token => refItemId(storeId, token));
+  const keys = new Set();
+
+  for (let i = 0; i < ids.length; i += BATCH_GET_SIZE) {
+    let request = { [TABLE_NAME]: { Keys: ids.slice(i, i + BATCH_GET_SIZE).map(id => ({ id })) } };
+    while (request && Object.keys(request).length > 0) {
+      const result = await docClient.send(new BatchGetCommand({ RequestItems: request }));
+      for (const item of result.Responses?.[TABLE_NAME] || []) {
+        (item.keys || []).forEach(key => keys.add(key));
+      }
+      request = result.UnprocessedKeys;
+    }
+  }
+  return keys;
+}
+
+/**
+ * Build the reverse index of a store from its cache entries
+ * Needed once for entries cached before the index existed.
+ * @param {string} storeId - Store ID
+ * @param {Function} onEntry - Optional (entry) => void, called for every entry
+ * @returns {Promise<Object>} - { scanned, indexed }
+ */
+export async function indexStore(storeId, onEntry = null) {
+  const docClient = dynamoClient.getDocClient();
+  const stats = { scanned: 0, indexed: 0 };
+  let lastKey;
+
+  do {
+    const result = await docClient.send(
+      new QueryCommand({
+        TableName: TABLE_NAME,
+        IndexName: STORE_INDEX,
+        KeyConditionExpression: "storeId = :storeId",
+        ExpressionAttributeValues: { ":storeId": storeId },
+        ExclusiveStartKey: lastKey
+      })
+    );
+    lastKey = result.LastEvaluatedKey;
+
+    for (const item of result.Items || []) {
+      stats.scanned++;
+      onEntry?.(item);
+      if (!item.data) continue;
+      await indexEntry(storeId, item.id, item.data);
+      stats.indexed++;
+    }
+  } while (lastKey);
+
+  return stats;
+}
+
+// ─── Invalidation ────────────────────────────────────────────────────
+
+/**
+ * Remove dropped products from the widget cache
+ * - Entries of a dropped product are deleted.
+ * - Similar Products entries showing it are rewritten without it, or deleted
+ *   when fewer than MIN_SIMILAR_PRODUCTS would be left.
+ * - Complete the Look entries lose the outfits containing it, or are deleted
+ *   when no outfit is left.
+ * Deleted entries of other products are returned so their widget can be
+ * regenerated.
+ * @param {string} storeId - Store ID
+ * @param {Array<{ id, handle }>} products - Products deleted or out of stock
+ * @param {Object} options - { dryRun }
+ * @returns {Promise<Object>} - { checked, purged, rewritten, regenerate: [{ handle, widget }] }
+ */
+export async function invalidateProducts(storeId, products, { dryRun = false } = {}) {
+  const docClient = dynamoClient.getDocClient();
+  const dropped = new Set(products.flatMap(refTokens));
+  const isDropped = (product) => refTokens(product).some(token => dropped.has(token));
+  const stats = { checked: 0, purged: 0, rewritten: 0, regenerate: [] };
+  if (dropped.size === 0) return stats;
+
+  const keys = await getReferencingKeys(storeId, products);
+
+  for (const key of keys) {
+    const entry = await getEntry(key);
+    if (!entry?.data) continue;
+    stats.checked++;
+
+    const owner = parseCacheKey(storeId, key);
+    const data = entry.data;
+    let purge = Boolean(owner && dropped.has(`handle:${owner.ownerHandle}`));
+    let changed = false;
+
+    if (!purge && Array.isArray(data.products)) {
+      const kept = data.products.filter(p => !isDropped(p));
+      if (kept.length !== data.products.length) {
+        changed = true;
+        purge = kept.length < MIN_SIMILAR_PRODUCTS;
+        data.products = kept;
+      }
+    }
+    if (!purge && Array.isArray(data.outfits)) {
+      const kept = data.outfits.filter(outfit =>
+        !(outfit.products_for_outfit || []).some(isDropped)
+      );
+      if (kept.length !== data.outfits.length) {
+        changed = true;
+        purge = kept.length === 0;
+        data.outfits = kept;
+      }
+    }
+
+    if (purge) {
+      stats.purged++;
+      if (owner?.widget && !dropped.has(`handle:${owner.ownerHandle}`)) {
+        stats.regenerate.push({ handle: owner.ownerHandle, widget: owner.widget });
+      }
+      if (!dryRun) {
+        await docClient.send(new DeleteCommand({ TableName: TABLE_NAME, Key: { id: key } }));
+      }
+    } else if (changed) {
+      stats.rewritten++;
+      if (!dryRun) {
+        await docClient.send(new PutCommand({ TableName: TABLE_NAME, Item: { ...entry, data } }));
+      }
+    }
+  }
+
+  // Entries no longer show the dropped products: forget them
+  if (!dryRun) {
+    const refIds = [...dropped].map(token => refItemId(storeId, token));
+    await Promise.all(refIds.map(id => docClient.send(new DeleteCommand({ TableName: TABLE_NAME, Key: { id } }))));
+  }
+
+  return stats;
+}
+
+export default {
+  getEntry,
+  parseCacheKey,
+  extractProductRefs,
+  indexEntry,
+  getReferencingKeys,
+  indexStore,
+  invalidateProducts
+};
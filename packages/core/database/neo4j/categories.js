@@ -2,46 +2,58 @@ import neo4jClient from "./client.js";
 
 /**
  * Category node operations in Neo4j
+ *
+ * Categories belong to one store and are keyed by (storeId, name), where name
+ * is the lowercased title:
+ *   (store:Store)-[:HAS_CATEGORY]->(c:Category {storeId, name, title, sourceId, productCount})
+ *   (parent:Category)-[:HAS_SUBCATEGORY]->(child:Category)
+ *   (p:Product)-[:HAS_CATEGORY]->(c:Category)
  */
 
 /**
  * Create or update a category
+ * @param {string} storeId - Store ID
  * @param {string} name - Category name
- * @param {Object} metadata - Optional metadata
+ * @param {Object} metadata - Optional metadata (title, sourceId, ...)
  */
-export async function upsertCategory(name, metadata = {}) {
+export async function upsertCategory(storeId, name, metadata = {}) {
   const normalizedName = name.toLowerCase().trim();
 
   await neo4jClient.run(
     `
-    MERGE (c:Category {name: $name})
-    ON CREATE SET c.createdAt = datetime()
+    MATCH (store:Store {id: $storeId})
+    MERGE (c:Category {storeId: $storeId, name: $name})
+    ON CREATE SET c.createdAt = datetime(), c.title = $title
     ON MATCH SET c.updatedAt = datetime()
     SET c += $metadata
+    MERGE (store)-[:HAS_CATEGORY]->(c)
     `,
-    { name: normalizedName, metadata }
+    { storeId, name: normalizedName, title: name.trim(), metadata }
   );
 }
 
 /**
  * Bulk create categories
+ * @param {string} storeId - Store ID
  * @param {Array<string>} names - Array of category names
  */
-export async function bulkCreateCategories(names) {
-  const normalizedNames = names.map((n) => n.toLowerCase().trim());
+export async function bulkCreateCategories(storeId, names) {
+  const categories = names.map((n) => ({ name: n.toLowerCase().trim(), title: n.trim() }));
 
   await neo4jClient.run(
     `
-    UNWIND $names AS name
-    MERGE (c:Category {name: name})
-    ON CREATE SET c.createdAt = datetime()
+    MATCH (store:Store {id: $storeId})
+    UNWIND $categories AS category
+    MERGE (c:Category {storeId: $storeId, name: category.name})
+    ON CREATE SET c.createdAt = datetime(), c.title = category.title
+    MERGE (store)-[:HAS_CATEGORY]->(c)
     `,
-    { names: normalizedNames }
+    { storeId, categories }
   );
 }
 
 /**
- * Get all categories
+ * Get all categories, across stores
  * @returns {Promise<Array>} - Array of category objects
  */
 export async function getAllCategories() {
@@ -49,12 +61,13 @@ export async function getAllCategories() {
     `
     MATCH (c:Category)
     OPTIONAL MATCH (p:Product)-[:HAS_CATEGORY]->(c)
-    RETURN c.name as name, count(p) as productCount
+    RETURN c.storeId as storeId, c.name as name, count(p) as productCount
     ORDER BY productCount DESC
     `
   );
 
   return records.map((record) => ({
+    storeId: record.get("storeId"),
     name: record.get("name"),
     productCount: record.get("productCount").toNumber()
   }));
@@ -63,20 +76,31 @@ export async function getAllCategories() {
 /**
  * Get categories for a specific store
  * @param {string} storeId - Store ID
- * @returns {Promise<Array>} - Categories with product counts
+ * @param {Object} options - { includeEmpty } (categories without products are skipped by default)
+ * @returns {Promise<Array>} - Categories with product counts and their parent
  */
-export async function getCategoriesByStore(storeId) {
+export async function getCategoriesByStore(storeId, options = {}) {
+  const { includeEmpty = false } = options;
+
   const records = await neo4jClient.run(
     `
-    MATCH (store:Store {id: $storeId})-[:HAS_PRODUCT]->(p:Product)-[:HAS_CATEGORY]->(c:Category)
-    RETURN c.name as name, count(DISTINCT p) as productCount
+    MATCH (c:Category {storeId: $storeId})
+    OPTIONAL MATCH (p:Product)-[:HAS_CATEGORY]->(c)
+    WITH c, count(DISTINCT p) as productCount
+    WHERE $includeEmpty OR productCount > 0
+    OPTIONAL MATCH (parent:Category {storeId: $storeId})-[:HAS_SUBCATEGORY]->(c)
+    RETURN c.name as name, c.title as title, c.sourceId as sourceId,
+           collect(parent.name)[0] as parent, productCount
     ORDER BY productCount DESC
     `,
-    { storeId }
+    { storeId, includeEmpty }
   );
 
   return records.map((record) => ({
     name: record.get("name"),
+    title: record.get("title") || record.get("name"),
+    sourceId: record.get("sourceId"),
+    parent: record.get("parent"),
     productCount: record.get("productCount").toNumber()
   }));
 }
@@ -94,7 +118,7 @@ export async function getProductsByCategory(storeId, categoryName, options = {})
 
   const records = await neo4jClient.run(
     `
-    MATCH (store:Store {id: $storeId})-[:HAS_PRODUCT]->(p:Product)-[:HAS_CATEGORY]->(c:Category {name: $categoryName})
+    MATCH (store:Store {id: $storeId})-[:HAS_PRODUCT]->(p:Product)-[:HAS_CATEGORY]->(c:Category {storeId: $storeId, name: $categoryName})
     RETURN p
     ORDER BY p.title
     SKIP $skip
@@ -107,36 +131,38 @@ export async function getProductsByCategory(storeId, categoryName, options = {})
 }
 
 /**
- * Delete a category (removes relationships but not products)
+ * Delete a store's category (removes relationships but not products)
+ * @param {string} storeId - Store ID
  * @param {string} name - Category name
  */
-export async function deleteCategory(name) {
+export async function deleteCategory(storeId, name) {
   const normalizedName = name.toLowerCase().trim();
 
   await neo4jClient.run(
     `
-    MATCH (c:Category {name: $name})
+    MATCH (c:Category {storeId: $storeId, name: $name})
     DETACH DELETE c
     `,
-    { name: normalizedName }
+    { storeId, name: normalizedName }
   );
 }
 
 /**
- * Rename a category
+ * Rename a store's category
+ * @param {string} storeId - Store ID
  * @param {string} oldName - Current category name
  * @param {string} newName - New category name
  */
-export async function renameCategory(oldName, newName) {
+export async function renameCategory(storeId, oldName, newName) {
   const normalizedOld = oldName.toLowerCase().trim();
   const normalizedNew = newName.toLowerCase().trim();
 
   await neo4jClient.run(
     `
-    MATCH (c:Category {name: $oldName})
-    SET c.name = $newName, c.updatedAt = datetime()
+    MATCH (c:Category {storeId: $storeId, name: $oldName})
+    SET c.name = $newName, c.title = $newTitle, c.updatedAt = datetime()
     `,
-    { oldName: normalizedOld, newName: normalizedNew }
+    { storeId, oldName: normalizedOld, newName: normalizedNew, newTitle: newName.trim() }
   );
 }
 
@@ -0,0 +1,105 @@
+import crypto from "crypto";
+import neo4jClient from "./client.js";
+
+/**
+ * Storefront config versions
+ *
+ * Every save of a store's AI Stylist or Visual Merchandiser config is kept as
+ *   (:Store)-[:HAS_CONFIG_VERSION]->(:ConfigVersion { kind, version, config, savedAt, savedBy, note, rollbackOf })
+ * config is the saved JSON; versions are numbered from 1 per store and kind.
+ */
+
+function toVersion(node, withConfig = false) {
+  const props = node.properties;
+  return {
+    version: props.version.toNumber(),
+    savedAt: props.savedAt,
+    savedBy: props.savedBy || null,
+    note: props.note || null,
+    rollbackOf: props.rollbackOf?.toNumber?.() ?? null,
+    ...(withConfig ? { config: JSON.parse(props.config) } : {})
+  };
+}
+
+/**
+ * Record a saved config as the next version
+ * The Store node is locked while the version number is picked, so concurrent
+ * saves get distinct numbers.
+ * @param {string} storeId - Store ID
+ * @param {string} kind - Config kind ("stylist", "visual-merchandiser")
+ * @param {Object} config - Saved config
+ * @param {Object} meta - { savedBy, note, rollbackOf }
+ * @returns {Promise<Object>} - { version, savedAt, savedBy, note, rollbackOf }
+ */
+export async function saveConfigVersion(storeId, kind, config, { savedBy = null, note = null, rollbackOf = null } = {}) {
+  const records = await neo4jClient.run(
+    `
+    MERGE (s:Store {id: $storeId})
+    SET s.configVersionLock = $savedAt
+    WITH s
+    OPTIONAL MATCH (s)-[:HAS_CONFIG_VERSION]->(prev:ConfigVersion {kind: $kind})
+    WITH s, coalesce(max(prev.version), 0) + 1 AS version
+    CREATE (s)-[:HAS_CONFIG_VERSION]->(v:ConfigVersion {
+      id: $id, kind: $kind, version: version, config: $config,
+      savedAt: $savedAt, savedBy: $savedBy, note: $note, rollbackOf: toInteger($rollbackOf)
+    })
+    RETURN v
+    `,
+    {
+      storeId,
+      kind,
+      id: crypto.randomUUID(),
+      config: JSON.stringify(config),
+      savedAt: new Date().toISOString(),
+      savedBy,
+      note,
+      rollbackOf
+    }
+  );
+  return toVersion(records[0].get("v"));
+}
+
+/**
+ * Version history of a config, newest first, without the configs
+ * @param {string} storeId - Store ID
+ * @param {string} kind - Config kind
+ * @param {number} limit - Max versions
+ * @returns {Promise<Array>}
+ */
+export async function listConfigVersions(storeId, kind, limit = 50) {
+  const records = await neo4jClient.run(
+    `
+    MATCH (:Store {id: $storeId})-[:HAS_CONFIG_VERSION]->(v:ConfigVersion {kind: $kind})
+    RETURN v
+    ORDER BY v.version DESC
+    LIMIT toInteger($limit)
+    `,
+    { storeId, kind, limit }
+  );
+  return records.map(r => toVersion(r.get("v")));
+}
+
+/**
+ * One version with its config
+ * @param {string} storeId - Store ID
+ * @param {string} kind - Config kind
+ * @param {number} version - Version number
+ * @returns {Promise<Object|null>}
+ */
+export async function getConfigVersion(storeId, kind, version) {
+  const records = await neo4jClient.run(
+    `
+    MATCH (:Store {id: $storeId})-[:HAS_CONFIG_VERSION]->(v:ConfigVersion {kind: $kind})
+    WHERE v.version = toInteger($version)
+    RETURN v
+    `,
+    { storeId, kind, version }
+  );
+  return records[0] ? toVersion(records[0].get("v"), true) : null;
+}
+
+export default {
+  saveConfigVersion,
+  listConfigVersions,
+  getConfigVersion
+};
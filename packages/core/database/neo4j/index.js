@@ -5,3 +5,12 @@ export { neo4jClient, default as client } from "./client.js";
 export * as applications from "./applications.js";
 export * as products from "./products.js";
 export * as categories from "./categories.js";
+export * as reviews from "./reviews.js";
+export * as qa from "./qa.js";
+export * as tags from "./tags.js";
+export * as widgets from "./widgets.js";
+export * as configVersions from "./config-versions.js";
+export * as trends from "./trends.js";
+export * as quarantine from "./quarantine.js";
+export * as searchIndexes from "./search-indexes.js";
+export * as search from "./search.js";
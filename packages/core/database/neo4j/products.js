@@ -1,4 +1,5 @@
 import neo4jClient from "./client.js";
+import { getOnlineVectorIndex, clearSearchIndexStatus } from "./search-indexes.js";
 
 /**
  * Product node operations in Neo4j
@@ -133,11 +134,13 @@ export async function upsertProduct(storeId, product) {
     for (const categoryName of categories) {
       await tx.run(
         `
-        MATCH (p:Product {id: $productId})
-        MERGE (c:Category {name: $categoryName})
+        MATCH (store:Store {id: $storeId})-[:HAS_PRODUCT]->(p:Product {id: $productId})
+        MERGE (c:Category {storeId: $storeId, name: $categoryName})
+        ON CREATE SET c.title = $categoryTitle
         MERGE (p)-[:HAS_CATEGORY]->(c)
+        MERGE (store)-[:HAS_CATEGORY]->(c)
         `,
-        { productId: id, categoryName: categoryName.toLowerCase() }
+        { storeId, productId: id, categoryName: categoryName.toLowerCase(), categoryTitle: categoryName }
       );
     }
 
@@ -200,6 +203,29 @@ export async function getProduct(productId) {
   return product;
 }
 
+/**
+ * Find a store's product by its SKU or the SKU of one of its variants
+ * @param {string} storeId - Store ID
+ * @param {string} sku - SKU
+ * @returns {Promise<Object|null>} - Product properties or null
+ */
+export async function getProductBySku(storeId, sku) {
+  const records = await neo4jClient.run(
+    `
+    MATCH (store:Store {id: $storeId})-[:HAS_PRODUCT]->(p:Product)
+    WHERE p.deletedAt IS NULL
+    OPTIONAL MATCH (p)-[:HAS_VARIANT]->(v:Variant {sku: $sku})
+    WITH p, v
+    WHERE p.sku = $sku OR v IS NOT NULL
+    RETURN p
+    LIMIT 1
+    `,
+    { storeId, sku }
+  );
+
+  return records.length > 0 ? records[0].get("p").properties : null;
+}
+
 /**
  * Get all products for a store
  * @param {string} storeId - Store ID
@@ -212,6 +238,7 @@ export async function getProductsByStore(storeId, options = {}) {
   const records = await neo4jClient.run(
     `
     MATCH (store:Store {id: $storeId})-[:HAS_PRODUCT]->(p:Product)
+    WHERE p.deletedAt IS NULL
     RETURN p
     ORDER BY p.title
     SKIP $skip
@@ -223,6 +250,168 @@ export async function getProductsByStore(storeId, options = {}) {
   return records.map((record) => record.get("p").properties);
 }
 
+// Descriptions and SEO copy the AI did not write
+const NON_AI_SOURCES = ["original", "none", "rejected", "error"];
+
+/**
+ * Lowest variant price and stock of p, for queries that filter on them
+ * A product is in stock when a variant has units, or when none of its
+ * variants tracks inventory.
+ */
+export const VARIANT_FACTS = `
+    CALL {
+      WITH p
+      OPTIONAL MATCH (p)-[:HAS_VARIANT]->(v:Variant)
+      RETURN min(toFloat(v.price)) AS price,
+             count(v.inventoryQuantity) = 0 OR sum(CASE WHEN v.inventoryQuantity > 0 THEN 1 ELSE 0 END) > 0 AS inStock
+    }`;
+
+const MISSING_CONDITIONS = {
+  embedding: "p.contentEmbedding IS NULL",
+  image: `trim(coalesce(p.image, "")) = ""`,
+  seo: `trim(coalesce(p.seoTitle, "")) = ""`,
+  description: `trim(coalesce(p.description, "")) = ""`
+};
+
+export const MISSING_FIELDS = Object.keys(MISSING_CONDITIONS);
+
+// Only approved drafts are written back, and approving (or editing) a draft
+// stamps descriptionReviewedAt; a new draft resets the review
+const DESCRIPTION_PUSHED = `(p.descriptionPushedAt IS NOT NULL
+      AND coalesce(p.descriptionReviewStatus, "") = "approved"
+      AND p.descriptionPushedAt >= coalesce(p.descriptionReviewedAt, ""))`;
+
+// Sort keys of listProducts
+export const PRODUCT_SORTS = {
+  title: "toLower(p.title)",
+  price: "price",
+  updated_at: "p.updated_at",
+  lastSeenAt: "p.lastSeenAt"
+};
+
+const normalizeList = (values = []) => values.map(value => String(value).trim().toLowerCase()).filter(Boolean);
+
+/**
+ * Cypher conditions for listProducts filters
+ * @returns {Object} - { conditions on p, variantConditions on price / inStock, params }
+ */
+function productFilterConditions(filters) {
+  const conditions = ["p.storeId = $storeId", "p.deletedAt IS NULL"];
+  const variantConditions = [];
+  const params = { nonAiSources: NON_AI_SOURCES };
+
+  if (filters.category) {
+    conditions.push("EXISTS { (p)-[:HAS_CATEGORY]->(:Category {name: $category}) }");
+    params.category = filters.category.toLowerCase().trim();
+  }
+  // "ai" stands for any source the AI wrote
+  for (const [property, key] of [["descriptionSource", "descriptionSources"], ["seoSource", "seoSources"]]) {
+    if (!filters[key]?.length) continue;
+    conditions.push(`(p.${property} IN $${key}
+      OR ("ai" IN $${key} AND p.${property} IS NOT NULL AND NOT p.${property} IN $nonAiSources))`);
+    params[key] = filters[key];
+  }
+  for (const field of filters.missing || []) {
+    conditions.push(MISSING_CONDITIONS[field]);
+  }
+  if (filters.descriptionPushed != null) {
+    conditions.push(filters.descriptionPushed ? DESCRIPTION_PUSHED : `NOT ${DESCRIPTION_PUSHED}`);
+  }
+  if (filters.vendors?.length) {
+    conditions.push(`toLower(trim(coalesce(p.vendor, ""))) IN $vendors`);
+    params.vendors = normalizeList(filters.vendors);
+  }
+  if (filters.demographics?.length) {
+    conditions.push("EXISTS { (p)-[:HAS_DEMOGRAPHIC]->(d:Demographic) WHERE d.name IN $demographics }");
+    params.demographics = normalizeList(filters.demographics);
+  }
+  if (filters.stylePersonas?.length) {
+    conditions.push("any(persona IN coalesce(p.stylePersonality, []) WHERE toLower(persona) IN $stylePersonas)");
+    params.stylePersonas = normalizeList(filters.stylePersonas);
+  }
+  // Products the sync never stamped are left out, as in quarantine
+  if (filters.notSeenForDays != null) {
+    conditions.push("p.lastSeenAt < $seenBefore");
+    params.seenBefore = new Date(Date.now() - filters.notSeenForDays * 24 * 60 * 60 * 1000).toISOString();
+  }
+  if (filters.inStock != null) {
+    variantConditions.push("inStock = $inStock");
+    params.inStock = filters.inStock;
+  }
+  if (filters.priceMin != null) {
+    variantConditions.push("price >= $priceMin");
+    params.priceMin = filters.priceMin;
+  }
+  if (filters.priceMax != null) {
+    variantConditions.push("price <= $priceMax");
+    params.priceMax = filters.priceMax;
+  }
+
+  return { conditions, variantConditions, params };
+}
+
+/**
+ * Product properties without the embedding vectors
+ */
+export function withoutEmbeddings(properties) {
+  return Object.fromEntries(Object.entries(properties).filter(([key]) => !key.endsWith("Embedding")));
+}
+
+/**
+ * List a store's products with filters and sorting
+ * @param {string} storeId - Store ID
+ * @param {Object} options
+ *   filters  { category, descriptionSources, seoSources, missing (MISSING_FIELDS), descriptionPushed,
+ *              inStock, priceMin, priceMax, vendors, demographics, stylePersonas, notSeenForDays }
+ *            lists match any of their values, filters all apply
+ *   sort     a PRODUCT_SORTS key; order "asc" | "desc"; products without the value come last
+ *   skip, limit
+ * @returns {Promise<{ products: Array, total: number }>} - products with price and inStock, without embeddings
+ */
+export async function listProducts(storeId, { filters = {}, sort = "title", order = "asc", skip = 0, limit = 50 } = {}) {
+  const sortKey = PRODUCT_SORTS[sort];
+  if (!sortKey) {
+    throw new Error(`Unknown sort "${sort}"`);
+  }
+
+  const { conditions, variantConditions, params } = productFilterConditions(filters);
+  const match = `
+    MATCH (p:Product)
+    WHERE ${conditions.join("\n      AND ")}
+    ${VARIANT_FACTS}
+    WITH p, price, inStock
+    ${variantConditions.length > 0 ? `WHERE ${variantConditions.join(" AND ")}` : ""}
+  `;
+
+  const records = await neo4jClient.run(
+    `
+    ${match}
+    RETURN p, price, inStock
+    ORDER BY ${sortKey} IS NULL, ${sortKey} ${order === "desc" ? "DESC" : "ASC"}, p.id
+    SKIP toInteger($skip)
+    LIMIT toInteger($limit)
+    `,
+    { storeId, ...params, skip, limit }
+  );
+
+  const countRecords = await neo4jClient.run(
+    `
+    ${match}
+    RETURN count(p) AS total
+    `,
+    { storeId, ...params }
+  );
+
+  return {
+    products: records.map(record => ({
+      ...withoutEmbeddings(record.get("p").properties),
+      price: record.get("price"),
+      inStock: record.get("inStock")
+    })),
+    total: countRecords[0]?.get("total")?.toNumber() || 0
+  };
+}
+
 /**
  * Count products in a store
  * @param {string} storeId - Store ID
@@ -232,6 +421,7 @@ export async function countProductsByStore(storeId) {
   const records = await neo4jClient.run(
     `
     MATCH (store:Store {id: $storeId})-[:HAS_PRODUCT]->(p:Product)
+    WHERE p.deletedAt IS NULL
     RETURN count(p) as count
     `,
     { storeId }
@@ -255,38 +445,114 @@ export async function deleteProduct(productId) {
   );
 }
 
+// Neighbours asked of a vector index per result wanted, and at most: the
+// index spans all stores, so the store's products are only part of them
+const VECTOR_OVERSAMPLE = 10;
+const MIN_VECTOR_CANDIDATES = 100;
+const MAX_VECTOR_CANDIDATES = 10000;
+
 /**
  * Search products by embedding similarity (cosine)
+ * Uses the property's vector index when it is online (see search-indexes.js),
+ * the exact scan otherwise.
  * @param {string} storeId - Store ID
  * @param {Array} embedding - Query embedding vector
  * @param {number} limit - Max results
+ * @param {Object} options - { property: embedding property, mode: "auto" | "index" | "exact", idsOnly }
+ *   "index" fails instead of falling back when the index cannot be used;
+ *   idsOnly returns { product: { id } } instead of every product property
+ * @returns {Promise<Array>} - Matching products with scores
+ */
+export async function searchByEmbedding(storeId, embedding, limit = 10, { property = "contentEmbedding", mode = "auto", idsOnly = false } = {}) {
+  if (mode === "exact") return searchByCosine(storeId, embedding, limit, { property, idsOnly });
+
+  const index = await getOnlineVectorIndex(property);
+  if (!index) {
+    if (mode === "index") throw new Error(`No online vector index on Product.${property}`);
+    return searchByCosine(storeId, embedding, limit, { property, idsOnly });
+  }
+
+  try {
+    return await searchByVectorIndex(index, storeId, embedding, limit, { idsOnly });
+  } catch (error) {
+    if (mode === "index") throw error;
+    // Dropped or rebuilt since its status was read
+    clearSearchIndexStatus();
+    console.warn(`Vector index ${index} failed, using the exact scan: ${error.message}`);
+    return searchByCosine(storeId, embedding, limit, { property, idsOnly });
+  }
+}
+
+/**
+ * Nearest products of a store from a vector index
+ * Asks for more neighbours until the store has limit of them or the index
+ * has no more. Index scores are (1 + cosine) / 2; they are returned as cosine.
+ * @param {string} index - Vector index name
  * @returns {Promise<Array>} - Matching products with scores
  */
-export async function searchByEmbedding(storeId, embedding, limit = 10) {
+export async function searchByVectorIndex(index, storeId, embedding, limit = 10, { idsOnly = false } = {}) {
+  let candidates = Math.min(Math.max(limit * VECTOR_OVERSAMPLE, MIN_VECTOR_CANDIDATES), MAX_VECTOR_CANDIDATES);
+
+  for (;;) {
+    const records = await neo4jClient.run(
+      `
+      CALL db.index.vector.queryNodes($index, toInteger($candidates), $embedding) YIELD node, score
+      WITH collect({ node: node, score: score }) AS hits
+      RETURN size(hits) AS found,
+             [hit IN hits WHERE hit.node.storeId = $storeId AND hit.node.deletedAt IS NULL | {
+               product: CASE WHEN $idsOnly THEN { id: hit.node.id } ELSE properties(hit.node) END,
+               score: hit.score
+             }][0..toInteger($limit)] AS matches
+      `,
+      { index, candidates, embedding, storeId, limit, idsOnly }
+    );
+
+    const found = Number(records[0]?.get("found") || 0);
+    const matches = records[0]?.get("matches") || [];
+    if (matches.length >= limit || found < candidates || candidates >= MAX_VECTOR_CANDIDATES) {
+      return matches.map(hit => ({ product: hit.product, score: 2 * hit.score - 1 }));
+    }
+    candidates = Math.min(candidates * 4, MAX_VECTOR_CANDIDATES);
+  }
+}
+
+/**
+ * Nearest products of a store by scoring every one of them (needs the GDS plugin)
+ * @returns {Promise<Array>} - Matching products with scores
+ */
+export async function searchByCosine(storeId, embedding, limit = 10, { property = "contentEmbedding", idsOnly = false } = {}) {
   const records = await neo4jClient.run(
     `
     MATCH (store:Store {id: $storeId})-[:HAS_PRODUCT]->(p:Product)
-    WHERE p.contentEmbedding IS NOT NULL
-    WITH p, gds.similarity.cosine(p.contentEmbedding, $embedding) AS score
+    WHERE p[$property] IS NOT NULL AND p.deletedAt IS NULL
+    WITH p, gds.similarity.cosine(p[$property], $embedding) AS score
     ORDER BY score DESC
-    LIMIT $limit
-    RETURN p, score
+    LIMIT toInteger($limit)
+    RETURN CASE WHEN $idsOnly THEN { id: p.id } ELSE properties(p) END AS product, score
     `,
-    { storeId, embedding, limit }
+    { storeId, embedding, limit, property, idsOnly }
   );
 
   return records.map((record) => ({
-    product: record.get("p").properties,
+    product: record.get("product"),
     score: record.get("score")
   }));
 }
 
 export default {
+  VARIANT_FACTS,
+  MISSING_FIELDS,
+  PRODUCT_SORTS,
   upsertProduct,
   bulkUpsertProducts,
   getProduct,
+  getProductBySku,
   getProductsByStore,
+  listProducts,
+  withoutEmbeddings,
   countProductsByStore,
   deleteProduct,
-  searchByEmbedding
+  searchByEmbedding,
+  searchByVectorIndex,
+  searchByCosine
 };
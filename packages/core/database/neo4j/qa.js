@@ -0,0 +1,128 @@
+import neo4jClient from "./client.js";
+
+/**
+ * Copy QA report
+ *
+ * The sync runs generated descriptions and SEO copy through a quality gate.
+ * Output that still fails after a stricter retry is not saved: the product is
+ * flagged descriptionSource / seoSource = "rejected" and keeps
+ *   descriptionQaIssues, rejectedDescription   (description)
+ *   seoQaIssues, rejectedSeo                   (SEO, rejectedSeo is JSON)
+ * where the issues are "code: message" strings. A later sync that passes QA
+ * clears them.
+ */
+
+const FLAGS = `CASE WHEN ($field IS NULL OR $field = "description") AND p.descriptionSource = "rejected"
+         THEN coalesce(p.descriptionQaIssues, []) END AS descriptionIssues,
+       CASE WHEN ($field IS NULL OR $field = "seo") AND p.seoSource = "rejected"
+         THEN coalesce(p.seoQaIssues, []) END AS seoIssues`;
+
+const FILTER_CONDITION = `(descriptionIssues IS NOT NULL OR seoIssues IS NOT NULL)
+  AND ($code IS NULL OR any(line IN coalesce(descriptionIssues, []) + coalesce(seoIssues, []) WHERE line STARTS WITH $code + ":"))
+  AND ($search IS NULL OR toLower(p.title) CONTAINS toLower($search) OR p.handle CONTAINS toLower($search))`;
+
+function parseRejectedSeo(json) {
+  try {
+    return json ? JSON.parse(json) : null;
+  } catch {
+    return null;
+  }
+}
+
+function toFlag(p, descriptionIssues, seoIssues) {
+  return {
+    productId: p.id,
+    title: p.title,
+    handle: p.handle,
+    image: p.image || null,
+    updatedAt: p.updated_at || null,
+    description: descriptionIssues
+      ? { issues: descriptionIssues, rejected: p.rejectedDescription || null, current: p.description || null }
+      : null,
+    seo: seoIssues
+      ? { issues: seoIssues, rejected: parseRejectedSeo(p.rejectedSeo) }
+      : null
+  };
+}
+
+/**
+ * List the products of a store whose generated copy was rejected, and why
+ * @param {string} storeId - Store ID
+ * @param {Object} options - { field: "description" | "seo", code, search, skip, limit }
+ * @returns {Promise<Object>} - { products, total, counts: { description, seo },
+ *   codes: { description: { [code]: products }, seo: { [code]: products } } }
+ */
+export async function listQaFlags(storeId, options = {}) {
+  const { field = null, code = null, search = null, skip = 0, limit = 20 } = options;
+  const params = { storeId, field, code: code || null, search: search || null, skip, limit };
+
+  const records = await neo4jClient.run(
+    `
+    MATCH (p:Product)
+    WHERE p.storeId = $storeId
+    WITH p, ${FLAGS}
+    WHERE ${FILTER_CONDITION}
+    RETURN p { .id, .title, .handle, .image, .description, .rejectedDescription, .rejectedSeo, .updated_at } AS p,
+           descriptionIssues, seoIssues
+    ORDER BY p.updated_at DESC
+    SKIP toInteger($skip)
+    LIMIT toInteger($limit)
+    `,
+    params
+  );
+
+  const totalRecords = await neo4jClient.run(
+    `
+    MATCH (p:Product)
+    WHERE p.storeId = $storeId
+    WITH p, ${FLAGS}
+    WHERE ${FILTER_CONDITION}
+    RETURN count(p) AS total
+    `,
+    params
+  );
+
+  // Summary over the whole store, ignoring the filters
+  const codeRecords = await neo4jClient.run(
+    `
+    MATCH (p:Product)
+    WHERE p.storeId = $storeId AND (p.descriptionSource = "rejected" OR p.seoSource = "rejected")
+    UNWIND [["description", p.descriptionSource, p.descriptionQaIssues], ["seo", p.seoSource, p.seoQaIssues]] AS flag
+    WITH p, flag
+    WHERE flag[1] = "rejected"
+    UNWIND coalesce(flag[2], []) AS line
+    RETURN flag[0] AS field, split(line, ":")[0] AS code, count(DISTINCT p) AS count
+    `,
+    { storeId }
+  );
+
+  const countRecords = await neo4jClient.run(
+    `
+    MATCH (p:Product)
+    WHERE p.storeId = $storeId
+    RETURN sum(CASE WHEN p.descriptionSource = "rejected" THEN 1 ELSE 0 END) AS description,
+           sum(CASE WHEN p.seoSource = "rejected" THEN 1 ELSE 0 END) AS seo
+    `,
+    { storeId }
+  );
+
+  const counts = {
+    description: countRecords[0]?.get("description")?.toNumber() || 0,
+    seo: countRecords[0]?.get("seo")?.toNumber() || 0
+  };
+  const codes = { description: {}, seo: {} };
+  for (const record of codeRecords) {
+    codes[record.get("field")][record.get("code")] = record.get("count").toNumber();
+  }
+
+  return {
+    products: records.map((record) => toFlag(record.get("p"), record.get("descriptionIssues"), record.get("seoIssues"))),
+    total: totalRecords[0]?.get("total")?.toNumber() || 0,
+    counts,
+    codes
+  };
+}
+
+export default {
+  listQaFlags
+};
@@ -0,0 +1,143 @@
+import neo4jClient from "./client.js";
+
+/**
+ * Stale product quarantine
+ *
+ * A completed sync stamps lastSeenAt on every product the platform returned.
+ * Products it did not see are soft-deleted first:
+ *   deletedAt   when the sync quarantined them
+ *   purgeAt     when a later sync may DETACH DELETE them (with their variants)
+ * Until then they can be restored, and a sync or webhook that sees them again
+ * restores them on its own. Products a webhook reports deleted or unpublished
+ * are quarantined the same way. Quarantined products are hidden from product reads.
+ */
+
+const toProduct = (record) => ({
+  id: record.get("id"),
+  handle: record.get("handle"),
+  title: record.get("title")
+});
+
+/**
+ * Active products a sync run did not see
+ * Products never stamped with lastSeenAt are left alone.
+ * @param {string} storeId - Store ID
+ * @param {string} syncRunStartedAt - ISO timestamp the run stamped its products with
+ * @returns {Promise<{ active: number, stale: Array<{ id, handle, title }> }>}
+ */
+export async function findStaleProducts(storeId, syncRunStartedAt) {
+  const records = await neo4jClient.run(
+    `
+    MATCH (p:Product)
+    WHERE p.storeId = $storeId AND p.deletedAt IS NULL
+    WITH count(p) AS active,
+         collect(CASE WHEN p.lastSeenAt < $syncRunStartedAt
+           THEN { id: p.id, handle: p.handle, title: p.title } END) AS stale
+    RETURN active, stale
+    `,
+    { storeId, syncRunStartedAt }
+  );
+
+  const record = records[0];
+  return {
+    active: Number(record?.get("active") || 0),
+    stale: record?.get("stale") || []
+  };
+}
+
+/**
+ * Soft-delete products until purgeAt
+ * @param {string} storeId - Store ID
+ * @param {string[]} productIds - Product IDs
+ * @param {Object} options - { deletedAt, purgeAt } ISO timestamps
+ * @returns {Promise<Array<{ id, handle, title }>>} - Products quarantined
+ */
+export async function quarantineProducts(storeId, productIds, { deletedAt, purgeAt }) {
+  const records = await neo4jClient.run(
+    `
+    MATCH (p:Product)
+    WHERE p.storeId = $storeId AND p.id IN $productIds AND p.deletedAt IS NULL
+    SET p.deletedAt = $deletedAt, p.purgeAt = $purgeAt
+    RETURN p.id AS id, p.handle AS handle, p.title AS title
+    `,
+    { storeId, productIds: productIds.map(String), deletedAt, purgeAt }
+  );
+  return records.map(toProduct);
+}
+
+/**
+ * Permanently delete products whose quarantine is over, with their variants
+ * @param {string} storeId - Store ID
+ * @param {string} now - ISO timestamp
+ * @returns {Promise<Array<{ id, handle, title }>>} - Products deleted
+ */
+export async function purgeQuarantinedProducts(storeId, now = new Date().toISOString()) {
+  const records = await neo4jClient.run(
+    `
+    MATCH (p:Product)
+    WHERE p.storeId = $storeId AND p.deletedAt IS NOT NULL AND p.purgeAt <= $now
+    OPTIONAL MATCH (p)-[:HAS_VARIANT]->(v:Variant)
+    WITH p, p.id AS id, p.handle AS handle, p.title AS title, collect(v) AS variants
+    DETACH DELETE p
+    FOREACH (v IN variants | DETACH DELETE v)
+    RETURN id, handle, title
+    `,
+    { storeId, now }
+  );
+  return records.map(toProduct);
+}
+
+/**
+ * Products in quarantine, most recently quarantined first
+ * @param {string} storeId - Store ID
+ * @returns {Promise<Array<{ id, handle, title, deletedAt, purgeAt, lastSeenAt }>>}
+ */
+export async function listQuarantinedProducts(storeId) {
+  const records = await neo4jClient.run(
+    `
+    MATCH (p:Product)
+    WHERE p.storeId = $storeId AND p.deletedAt IS NOT NULL
+    RETURN p.id AS id, p.handle AS handle, p.title AS title,
+           p.deletedAt AS deletedAt, p.purgeAt AS purgeAt, p.lastSeenAt AS lastSeenAt
+    ORDER BY p.deletedAt DESC, p.title
+    `,
+    { storeId }
+  );
+  return records.map(r => ({
+    ...toProduct(r),
+    deletedAt: r.get("deletedAt"),
+    purgeAt: r.get("purgeAt"),
+    lastSeenAt: r.get("lastSeenAt")
+  }));
+}
+
+/**
+ * Take products out of quarantine
+ * Their widgets were dropped when they were quarantined, so the widget
+ * timestamps are cleared for the next regeneration to rebuild them.
+ * @param {string} storeId - Store ID
+ * @param {string[]|null} productIds - Product IDs, null for all quarantined products
+ * @returns {Promise<Array<{ id, handle, title }>>} - Products restored
+ */
+export async function restoreProducts(storeId, productIds = null) {
+  const records = await neo4jClient.run(
+    `
+    MATCH (p:Product)
+    WHERE p.storeId = $storeId AND p.deletedAt IS NOT NULL
+      AND ($productIds IS NULL OR p.id IN $productIds)
+    REMOVE p.deletedAt, p.purgeAt
+    SET p.complete_the_look_updated_at = NULL, p.similar_product_updated_at = NULL
+    RETURN p.id AS id, p.handle AS handle, p.title AS title
+    `,
+    { storeId, productIds: productIds ? productIds.map(String) : null }
+  );
+  return records.map(toProduct);
+}
+
+export default {
+  findStaleProducts,
+  quarantineProducts,
+  purgeQuarantinedProducts,
+  listQuarantinedProducts,
+  restoreProducts
+};
@@ -0,0 +1,210 @@
+import neo4jClient from "./client.js";
+import { REVIEW_STATUS } from "@runa/config/constants";
+
+/**
+ * Review queue for AI description drafts
+ *
+ * A draft is a Product whose description was written by the AI
+ * (descriptionSource other than "original"/"none"/"rejected" — rejected output
+ * failed the copy QA gate and is listed by qa.js instead). The sync keeps the
+ * AI text in descriptionDraft and the platform text in description and
+ * originalDescription, and resets descriptionReviewStatus to "pending"
+ * whenever it saves a new draft. Approving copies the draft into description
+ * (so search, widgets and the storefront serve it); rejecting puts the
+ * platform text back. Drafts saved before descriptionDraft existed have the
+ * AI text in description only.
+ * Reviews are stored on the node:
+ *   descriptionReviewStatus, descriptionReviewedBy, descriptionReviewedByEmail,
+ *   descriptionReviewedAt, descriptionEdited
+ * Only approved drafts are written back to the platform.
+ */
+
+const DRAFT_TEXT = "coalesce(p.descriptionDraft, p.description)";
+
+const DRAFT_CONDITION = `trim(coalesce(${DRAFT_TEXT}, "")) <> ""
+  AND p.descriptionSource IS NOT NULL AND NOT p.descriptionSource IN ["original", "none", "rejected"]`;
+
+// Drafts saved before reviews existed have no status and count as pending
+const STATUS_EXPRESSION = `coalesce(p.descriptionReviewStatus, "${REVIEW_STATUS.PENDING}")`;
+
+const FILTER_CONDITION = `($source IS NULL OR p.descriptionSource = $source)
+  AND ($search IS NULL OR toLower(p.title) CONTAINS toLower($search) OR p.handle CONTAINS toLower($search))
+  AND ($productIds IS NULL OR p.id IN $productIds)`;
+
+function filterParams({ source = null, search = null, productIds = null } = {}) {
+  return {
+    source: source || null,
+    search: search || null,
+    productIds: productIds ? productIds.map(String) : null
+  };
+}
+
+function toDraft(p, status) {
+  return {
+    productId: p.id,
+    title: p.title,
+    handle: p.handle,
+    image: p.image || null,
+    status,
+    source: p.descriptionSource,
+    description: p.descriptionDraft ?? p.description,
+    originalDescription: p.originalDescription ?? null,
+    edited: p.descriptionEdited === true,
+    reviewedBy: p.descriptionReviewedByEmail || p.descriptionReviewedBy || null,
+    reviewedAt: p.descriptionReviewedAt || null,
+    pushedAt: p.descriptionPushedAt || null,
+    updatedAt: p.updated_at || null
+  };
+}
+
+/**
+ * List description drafts of a store
+ * @param {string} storeId - Store ID
+ * @param {Object} options - { status, source, search, skip, limit }
+ * @returns {Promise<Object>} - { drafts, total, counts: { pending, approved, rejected }, sources }
+ */
+export async function listDescriptionDrafts(storeId, options = {}) {
+  const { status = REVIEW_STATUS.PENDING, skip = 0, limit = 20 } = options;
+  const params = { storeId, status, skip, limit, ...filterParams(options) };
+
+  const records = await neo4jClient.run(
+    `
+    MATCH (p:Product)
+    WHERE p.storeId = $storeId AND ${DRAFT_CONDITION} AND ${FILTER_CONDITION}
+    WITH p, ${STATUS_EXPRESSION} AS status
+    WHERE status = $status
+    RETURN p { .id, .title, .handle, .image, .description, .descriptionDraft, .originalDescription, .descriptionSource,
+               .descriptionEdited, .descriptionReviewedBy, .descriptionReviewedByEmail, .descriptionReviewedAt,
+               .descriptionPushedAt, .updated_at } AS p, status
+    ORDER BY p.updated_at DESC
+    SKIP toInteger($skip)
+    LIMIT toInteger($limit)
+    `,
+    params
+  );
+
+  const countRecords = await neo4jClient.run(
+    `
+    MATCH (p:Product)
+    WHERE p.storeId = $storeId AND ${DRAFT_CONDITION}
+    RETURN ${STATUS_EXPRESSION} AS status, p.descriptionSource AS source,
+           (${FILTER_CONDITION}) AS matches, count(p) AS count
+    `,
+    params
+  );
+
+  const counts = Object.fromEntries(Object.values(REVIEW_STATUS).map((s) => [s, 0]));
+  const sources = new Set();
+  let total = 0;
+  for (const record of countRecords) {
+    const count = record.get("count").toNumber();
+    sources.add(record.get("source"));
+    if (!record.get("matches")) continue;
+    counts[record.get("status")] = (counts[record.get("status")] || 0) + count;
+    if (record.get("status") === status) total += count;
+  }
+
+  return {
+    drafts: records.map((record) => toDraft(record.get("p"), record.get("status"))),
+    total,
+    counts,
+    sources: [...sources].sort()
+  };
+}
+
+/**
+ * Get one description draft
+ * @returns {Promise<Object|null>}
+ */
+export async function getDescriptionDraft(storeId, productId) {
+  const records = await neo4jClient.run(
+    `
+    MATCH (p:Product {id: $productId})
+    WHERE p.storeId = $storeId AND ${DRAFT_CONDITION}
+    RETURN p, ${STATUS_EXPRESSION} AS status
+    `,
+    { storeId, productId: String(productId) }
+  );
+
+  return records.length > 0 ? toDraft(records[0].get("p").properties, records[0].get("status")) : null;
+}
+
+/**
+ * Approve or reject a draft. Passing a description replaces the draft with the
+ * reviewer's edit before approving it. Approving serves the draft as the
+ * product description; rejecting serves the platform text again (empty when it
+ * was not recorded).
+ * @param {Object} review - { status, description, reviewer: { userId, email } }
+ * @returns {Promise<Object|null>} - Updated draft, null if the product has no draft
+ */
+export async function reviewDescriptionDraft(storeId, productId, { status, description, reviewer }) {
+  const records = await neo4jClient.run(
+    `
+    MATCH (p:Product {id: $productId})
+    WHERE p.storeId = $storeId AND ${DRAFT_CONDITION}
+    SET p.descriptionReviewStatus = $status,
+        p.descriptionReviewedBy = $reviewedBy,
+        p.descriptionReviewedByEmail = $reviewedByEmail,
+        p.descriptionReviewedAt = $reviewedAt,
+        p.descriptionDraft = coalesce($description, ${DRAFT_TEXT})
+    SET p.description = CASE WHEN $status = $approved THEN p.descriptionDraft ELSE coalesce(p.originalDescription, "") END
+    FOREACH (_ IN CASE WHEN $description IS NULL THEN [] ELSE [1] END |
+      SET p.descriptionEdited = true
+    )
+    RETURN p, p.descriptionReviewStatus AS status
+    `,
+    {
+      storeId,
+      productId: String(productId),
+      status,
+      approved: REVIEW_STATUS.APPROVED,
+      description: description ?? null,
+      reviewedBy: reviewer.userId,
+      reviewedByEmail: reviewer.email || null,
+      reviewedAt: new Date().toISOString()
+    }
+  );
+
+  return records.length > 0 ? toDraft(records[0].get("p").properties, records[0].get("status")) : null;
+}
+
+/**
+ * Approve every pending draft matching a filter
+ * @param {Object} filter - { source, search, productIds }
+ * @param {Object} reviewer - { userId, email }
+ * @returns {Promise<number>} - Number of drafts approved
+ */
+export async function approveDescriptionDrafts(storeId, filter, reviewer) {
+  const records = await neo4jClient.run(
+    `
+    MATCH (p:Product)
+    WHERE p.storeId = $storeId AND ${DRAFT_CONDITION} AND ${FILTER_CONDITION}
+      AND ${STATUS_EXPRESSION} = $pending
+    SET p.descriptionReviewStatus = $approved,
+        p.descriptionReviewedBy = $reviewedBy,
+        p.descriptionReviewedByEmail = $reviewedByEmail,
+        p.descriptionReviewedAt = $reviewedAt,
+        p.descriptionDraft = ${DRAFT_TEXT}
+    SET p.description = p.descriptionDraft
+    RETURN count(p) AS count
+    `,
+    {
+      storeId,
+      ...filterParams(filter),
+      pending: REVIEW_STATUS.PENDING,
+      approved: REVIEW_STATUS.APPROVED,
+      reviewedBy: reviewer.userId,
+      reviewedByEmail: reviewer.email || null,
+      reviewedAt: new Date().toISOString()
+    }
+  );
+
+  return records[0]?.get("count")?.toNumber() || 0;
+}
+
+export default {
+  listDescriptionDrafts,
+  getDescriptionDraft,
+  reviewDescriptionDraft,
+  approveDescriptionDrafts
+};
@@ -0,0 +1,197 @@
+import { config } from "@runa/config";
+import neo4jClient from "./client.js";
+
+/**
+ * Product search indexes
+ *
+ * Vector indexes on the embeddings, which product search queries with
+ * db.index.vector.queryNodes instead of scoring every product of the store
+ * (see products.searchByEmbedding), and a full-text index for the keyword
+ * side of hybrid search (see search.js). They are created and kept in line
+ * with the embedding model by the create-search-indexes.js script; search
+ * falls back to scanning the store while an index is missing or still
+ * populating.
+ *
+ * Indexes span all stores: search asks them for more hits than it needs and
+ * keeps the store's products.
+ */
+
+export const VECTOR_INDEXES = [
+  { name: "product_content_embedding", property: "contentEmbedding" },
+  { name: "product_title_embedding", property: "titleEmbedding" },
+  { name: "product_characteristics_embedding", property: "characteristicsEmbedding" }
+];
+
+export const FULLTEXT_INDEX = {
+  name: "product_search_text",
+  properties: ["title", "sku", "vendor", "description"],
+  // Folds diacritics, so "rosie" finds "roșie"
+  analyzer: "standard-folding"
+};
+
+const SIMILARITY_FUNCTION = "cosine";
+// How long search trusts what it last read about the indexes
+const STATUS_TTL_MS = 60 * 1000;
+
+let statusCache = null;
+
+/**
+ * Vector and full-text indexes in the database, by name
+ * @returns {Promise<Map<string, Object>>}
+ *   name → { type, label, properties, state, populationPercent, dimensions, similarity, analyzer }
+ */
+export async function getSearchIndexStatus() {
+  const records = await neo4jClient.run(
+    `
+    SHOW INDEXES
+    YIELD name, type, state, populationPercent, labelsOrTypes, properties, options
+    WHERE type IN ["VECTOR", "FULLTEXT"]
+    RETURN name, type, state, populationPercent, labelsOrTypes, properties, options
+    `
+  );
+
+  return new Map(records.map(record => {
+    const indexConfig = record.get("options")?.indexConfig || {};
+    const dimensions = indexConfig["vector.dimensions"];
+    return [record.get("name"), {
+      type: record.get("type"),
+      label: record.get("labelsOrTypes")?.[0] || null,
+      properties: record.get("properties") || [],
+      state: record.get("state"),
+      populationPercent: Number(record.get("populationPercent") || 0),
+      dimensions: dimensions == null ? null : Number(dimensions),
+      similarity: indexConfig["vector.similarity_function"] || null,
+      analyzer: indexConfig["fulltext.analyzer"] || null
+    }];
+  }));
+}
+
+async function getCachedStatus() {
+  if (!statusCache || Date.now() - statusCache.readAt > STATUS_TTL_MS) {
+    statusCache = { readAt: Date.now(), indexes: await getSearchIndexStatus() };
+  }
+  return statusCache.indexes;
+}
+
+/**
+ * Name of the online vector index over a Product property, cached for STATUS_TTL_MS
+ * @param {string} property - Embedding property
+ * @returns {Promise<string|null>} - null when the index is missing or not online yet
+ */
+export async function getOnlineVectorIndex(property) {
+  const definition = VECTOR_INDEXES.find(index => index.property === property);
+  if (!definition) return null;
+
+  const index = (await getCachedStatus()).get(definition.name);
+  return index?.state === "ONLINE" && index.properties[0] === property ? definition.name : null;
+}
+
+/**
+ * Name of the product full-text index when it is online, cached for STATUS_TTL_MS
+ * @returns {Promise<string|null>}
+ */
+export async function getOnlineFulltextIndex() {
+  const index = (await getCachedStatus()).get(FULLTEXT_INDEX.name);
+  return index?.state === "ONLINE" && index.type === "FULLTEXT" ? FULLTEXT_INDEX.name : null;
+}
+
+/**
+ * Forget the cached index status (after an index failed a query, or was changed)
+ */
+export function clearSearchIndexStatus() {
+  statusCache = null;
+}
+
+const sameProperties = (a, b) => a.length === b.length && a.every((property, i) => property === b[i]);
+
+function isCurrent(current, definition, dimensions) {
+  if (!current || current.label !== "Product") return false;
+  if (definition.type === "FULLTEXT") {
+    return current.type === "FULLTEXT"
+      && sameProperties(current.properties, definition.properties)
+      && current.analyzer === definition.analyzer;
+  }
+  return current.type === "VECTOR"
+    && sameProperties(current.properties, definition.properties)
+    && current.dimensions === dimensions
+    && current.similarity?.toLowerCase() === SIMILARITY_FUNCTION;
+}
+
+// Index options do not take parameters; names, properties and dimensions are ours
+function createIndexCypher(definition, dimensions) {
+  if (definition.type === "FULLTEXT") {
+    return `
+      CREATE FULLTEXT INDEX ${definition.name} IF NOT EXISTS
+      FOR (p:Product) ON EACH [${definition.properties.map(property => `p.${property}`).join(", ")}]
+      OPTIONS { indexConfig: { \`fulltext.analyzer\`: "${definition.analyzer}" } }
+      `;
+  }
+  return `
+    CREATE VECTOR INDEX ${definition.name} IF NOT EXISTS
+    FOR (p:Product) ON (p.${definition.properties[0]})
+    OPTIONS { indexConfig: {
+      \`vector.dimensions\`: ${dimensions},
+      \`vector.similarity_function\`: "${SIMILARITY_FUNCTION}"
+    } }
+    `;
+}
+
+/**
+ * Create the product search indexes, or recreate the ones that no longer match
+ * their definition (vector length, similarity function, properties or analyzer)
+ * New indexes populate in the background; pass wait to block until they are online.
+ * @param {Object} options - { dimensions, wait: seconds to wait for population, dryRun }
+ * @returns {Promise<Array<{ name, type, properties, action, state, populationPercent }>>}
+ *   action: created | recreated | unchanged
+ */
+export async function ensureSearchIndexes({
+  dimensions = config.openai.embeddingDimensions,
+  wait = 0,
+  dryRun = false
+} = {}) {
+  if (!Number.isInteger(dimensions) || dimensions < 1 || dimensions > 4096) {
+    throw new Error(`Invalid embedding dimensions: ${dimensions}`);
+  }
+
+  const definitions = [
+    ...VECTOR_INDEXES.map(({ name, property }) => ({ name, type: "VECTOR", properties: [property] })),
+    { ...FULLTEXT_INDEX, type: "FULLTEXT" }
+  ];
+  const existing = await getSearchIndexStatus();
+  const results = [];
+
+  for (const definition of definitions) {
+    const current = existing.get(definition.name);
+    let action = "unchanged";
+    if (!isCurrent(current, definition, dimensions)) {
+      action = current ? "recreated" : "created";
+      if (!dryRun) {
+        if (current) await neo4jClient.run(`DROP INDEX ${definition.name} IF EXISTS`);
+        await neo4jClient.run(createIndexCypher(definition, dimensions));
+      }
+    }
+    results.push({ name: definition.name, type: definition.type, properties: definition.properties, action });
+  }
+
+  if (!dryRun && wait > 0) {
+    await neo4jClient.run("CALL db.awaitIndexes(toInteger($wait))", { wait });
+  }
+  clearSearchIndexStatus();
+
+  const status = dryRun ? existing : await getSearchIndexStatus();
+  return results.map(result => ({
+    ...result,
+    state: status.get(result.name)?.state || null,
+    populationPercent: status.get(result.name)?.populationPercent ?? null
+  }));
+}
+
+export default {
+  VECTOR_INDEXES,
+  FULLTEXT_INDEX,
+  getSearchIndexStatus,
+  getOnlineVectorIndex,
+  getOnlineFulltextIndex,
+  clearSearchIndexStatus,
+  ensureSearchIndexes
+};
@@ -0,0 +1,377 @@
+import { config } from "@runa/config";
+import neo4jClient from "./client.js";
+import { searchByEmbedding, withoutEmbeddings, VARIANT_FACTS } from "./products.js";
+import { getOnlineFulltextIndex, clearSearchIndexStatus } from "./search-indexes.js";
+
+/**
+ * Hybrid product search
+ *
+ * Two rankings of a store's products, fused with reciprocal rank fusion
+ * (score = Σ 1 / (RRF_K + rank)):
+ *   keyword   the product_search_text full-text index over title, sku, vendor
+ *             and description, so exact SKUs and brand names come first
+ *   semantic  embedding similarity on contentEmbedding (products.searchByEmbedding),
+ *             nearest neighbours at or above config.search.minSemanticScore, so a
+ *             query matching nothing does not bring back the closest 200 anyway
+ *
+ * Filters and facets apply to the fused candidates, or to the whole store when
+ * there is neither query nor embedding; then the page is read with SKIP / LIMIT.
+ * Both run in Cypher, facets as one aggregation per facet. A facet counts the
+ * products that match every filter but its own, so picking a color still lists
+ * the others.
+ */
+
+export const FACETS = ["demographics", "categories", "colors", "sizes", "vendors"];
+
+const RRF_K = 60;
+// Candidates each ranking contributes
+const CANDIDATES_PER_RANKING = 200;
+// Values listed per facet (selected values are always listed)
+const FACET_LIMIT = 30;
+
+const LUCENE_SPECIAL = /[+\-&|!(){}[\]^"~*?:\\/]/g;
+
+// Facet values are compared lowercased: "Red" and "red" are one color
+const normalizeValue = (value) => (typeof value === "string" ? value.trim().toLowerCase() : "");
+
+/**
+ * Lucene query for free text: its terms, plus the whole text as a boosted
+ * phrase so "TS-001-S" ranks the product with that SKU above ones sharing a part
+ */
+function toLuceneQuery(text) {
+  // Lowercased so AND / OR / NOT are terms, not operators
+  const terms = text.toLowerCase().split(/\s+/).filter(Boolean);
+  const phrase = terms.join(" ").replace(/["\\]/g, "\\$&");
+  return `"${phrase}"^2 ${terms.map(term => term.replace(LUCENE_SPECIAL, "\\$&")).join(" ")}`;
+}
+
+/**
+ * Store products matching free text, best first
+ * Uses the full-text index when it is online, a substring scan otherwise.
+ * @param {string} storeId - Store ID
+ * @param {string} text - Search text
+ * @param {number} limit - Max results
+ * @returns {Promise<Array<{ id: string, score: number }>>}
+ */
+export async function searchByKeyword(storeId, text, limit = CANDIDATES_PER_RANKING) {
+  const index = await getOnlineFulltextIndex();
+  if (index) {
+    try {
+      const records = await neo4jClient.run(
+        `
+        CALL db.index.fulltext.queryNodes($index, $query) YIELD node, score
+        WHERE node.storeId = $storeId AND node.deletedAt IS NULL
+        RETURN node.id AS id, score
+        LIMIT toInteger($limit)
+        `,
+        { index, query: toLuceneQuery(text), storeId, limit }
+      );
+      return records.map(record => ({ id: record.get("id"), score: record.get("score") }));
+    } catch (error) {
+      clearSearchIndexStatus();
+      console.warn(`Full-text index ${index} failed, scanning products: ${error.message}`);
+    }
+  }
+
+  const records = await neo4jClient.run(
+    `
+    MATCH (p:Product)
+    WHERE p.storeId = $storeId AND p.deletedAt IS NULL
+    WITH p, toLower(coalesce(p.sku, "")) AS sku, toLower(coalesce(p.title, "")) AS title,
+         toLower(coalesce(p.vendor, "")) AS vendor, toLower(coalesce(p.description, "")) AS description
+    WITH p, CASE
+      WHEN sku = $text THEN 4
+      WHEN title CONTAINS $text THEN 3
+      WHEN vendor CONTAINS $text OR sku CONTAINS $text THEN 2
+      WHEN description CONTAINS $text THEN 1
+      ELSE 0
+    END AS score
+    WHERE score > 0
+    RETURN p.id AS id, score
+    ORDER BY score DESC, p.title
+    LIMIT toInteger($limit)
+    `,
+    { storeId, text: text.trim().toLowerCase(), limit }
+  );
+  return records.map(record => ({ id: record.get("id"), score: Number(record.get("score")) }));
+}
+
+/**
+ * Reciprocal rank fusion
+ * @param {Object} rankings - source → product ids, best first
+ * @returns {Map<string, { score: number, matchedBy: string[] }>}
+ */
+function fuseRankings(rankings) {
+  const fused = new Map();
+  for (const [source, ids] of Object.entries(rankings)) {
+    ids.forEach((id, i) => {
+      const entry = fused.get(id) || { score: 0, matchedBy: [] };
+      entry.score += 1 / (RRF_K + i + 1);
+      entry.matchedBy.push(source);
+      fused.set(id, entry);
+    });
+  }
+  return fused;
+}
+
+// Filter of each facet; values are compared lowercased (see normalizeValue)
+const FACET_CONDITIONS = {
+  demographics: "EXISTS { (p)-[:HAS_DEMOGRAPHIC]->(d:Demographic) WHERE toLower(trim(d.name)) IN $demographics }",
+  categories: "EXISTS { (p)-[:HAS_CATEGORY]->(c:Category) WHERE toLower(trim(c.name)) IN $categories }",
+  colors: `toLower(trim(coalesce(p.color, ""))) IN $colors`,
+  sizes: "any(s IN coalesce(p.sizes, []) WHERE toLower(trim(s)) IN $sizes)",
+  vendors: `toLower(trim(coalesce(p.vendor, ""))) IN $vendors`
+};
+
+// Values of each facet for a product, with the spelling they are listed under
+const FACET_VALUES = {
+  demographics: "[(p)-[:HAS_DEMOGRAPHIC]->(d:Demographic) | { value: d.name, label: d.name }]",
+  categories: "[(p)-[:HAS_CATEGORY]->(c:Category) | { value: c.name, label: coalesce(c.title, c.name) }]",
+  colors: "[{ value: p.color, label: p.color }]",
+  sizes: "[s IN coalesce(p.sizes, []) | { value: s, label: s }]",
+  vendors: "[{ value: p.vendor, label: p.vendor }]"
+};
+
+function normalizeFilters(filters = {}) {
+  const normalized = {
+    priceMin: filters.priceMin ?? null,
+    priceMax: filters.priceMax ?? null,
+    inStock: filters.inStock ?? null
+  };
+  for (const facet of FACETS) {
+    normalized[facet] = [...new Set((filters[facet] || []).map(normalizeValue).filter(Boolean))];
+  }
+  return normalized;
+}
+
+/**
+ * Store products (of filters.ids, when given) passing the filters, leaving one out:
+ * a facet, "price" or "availability". Binds p, and price / inStock
+ * (products.VARIANT_FACTS) when they are filtered on or withFacts is set.
+ */
+function matchFiltered(filters, { except = null, withFacts = false } = {}) {
+  const conditions = ["p.storeId = $storeId", "p.deletedAt IS NULL"];
+  if (filters.ids) conditions.push("p.id IN $ids");
+  for (const facet of FACETS) {
+    if (facet !== except && filters[facet].length > 0) conditions.push(FACET_CONDITIONS[facet]);
+  }
+
+  const factConditions = [];
+  if (except !== "price") {
+    if (filters.priceMin !== null) factConditions.push("price >= $priceMin");
+    if (filters.priceMax !== null) factConditions.push("price <= $priceMax");
+  }
+  if (except !== "availability" && filters.inStock !== null) factConditions.push("inStock = $inStock");
+
+  if (!withFacts && factConditions.length === 0) {
+    return `
+    MATCH (p:Product)
+    WHERE ${conditions.join(" AND ")}
+    `;
+  }
+  return `
+    MATCH (p:Product)
+    WHERE ${conditions.join(" AND ")}
+    ${VARIANT_FACTS}
+    WITH p, price, inStock
+    ${factConditions.length > 0 ? `WHERE ${factConditions.join(" AND ")}` : ""}
+    `;
+}
+
+/**
+ * Counts of a facet's values among the products matching every filter but its
+ * own, so picking a color still lists the others. The FACET_LIMIT most common
+ * values are listed, and the selected ones always.
+ */
+async function getFacetCounts(facet, filters, params) {
+  const records = await neo4jClient.run(
+    `
+    ${matchFiltered(filters, { except: facet })}
+    UNWIND ${FACET_VALUES[facet]} AS entry
+    WITH p, entry WHERE entry.value IS NOT NULL
+    WITH p, toLower(trim(entry.value)) AS value, trim(coalesce(entry.label, entry.value)) AS label
+    WHERE value <> ""
+    WITH value, count(DISTINCT p) AS products, collect(label)[0] AS label
+    ORDER BY products DESC, label
+    WITH collect({ value: value, label: label, count: products }) AS entries
+    RETURN entries[0..toInteger($facetLimit)]
+      + [entry IN entries[toInteger($facetLimit)..] WHERE entry.value IN $selected] AS listed
+    `,
+    { ...params, facetLimit: FACET_LIMIT, selected: filters[facet] }
+  );
+
+  const listed = (records[0]?.get("listed") || []).map(entry => ({
+    value: entry.value,
+    label: entry.label || entry.value,
+    count: Number(entry.count)
+  }));
+  for (const value of filters[facet]) {
+    if (!listed.some(entry => entry.value === value)) listed.push({ value, label: value, count: 0 });
+  }
+  return listed;
+}
+
+async function getPriceRange(filters, params) {
+  const records = await neo4jClient.run(
+    `
+    ${matchFiltered(filters, { except: "price", withFacts: true })}
+    WITH price WHERE price IS NOT NULL
+    RETURN min(price) AS min, max(price) AS max
+    `,
+    params
+  );
+  return { min: records[0]?.get("min") ?? null, max: records[0]?.get("max") ?? null };
+}
+
+async function getAvailability(filters, params) {
+  const records = await neo4jClient.run(
+    `
+    ${matchFiltered(filters, { except: "availability", withFacts: true })}
+    RETURN sum(CASE WHEN inStock THEN 1 ELSE 0 END) AS inStock,
+           sum(CASE WHEN inStock THEN 0 ELSE 1 END) AS outOfStock
+    `,
+    params
+  );
+  return {
+    inStock: Number(records[0]?.get("inStock") || 0),
+    outOfStock: Number(records[0]?.get("outOfStock") || 0)
+  };
+}
+
+async function getFacets(filters, params) {
+  const [counts, price, availability] = await Promise.all([
+    Promise.all(FACETS.map(facet => getFacetCounts(facet, filters, params))),
+    getPriceRange(filters, params),
+    getAvailability(filters, params)
+  ]);
+  const facets = Object.fromEntries(FACETS.map((facet, i) => [facet, counts[i]]));
+  return { ...facets, price, availability };
+}
+
+/**
+ * A page of the filtered products by title, read with SKIP / LIMIT, and their total
+ */
+async function browseProducts(filters, params, skip, limit) {
+  const match = matchFiltered(filters, { withFacts: true });
+  const [records, countRecords] = await Promise.all([
+    neo4jClient.run(
+      `
+      ${match}
+      RETURN p, price, inStock
+      ORDER BY toLower(coalesce(p.title, "")), p.id
+      SKIP toInteger($skip)
+      LIMIT toInteger($limit)
+      `,
+      { ...params, skip, limit }
+    ),
+    neo4jClient.run(
+      `
+      ${matchFiltered(filters)}
+      RETURN count(p) AS total
+      `,
+      params
+    )
+  ]);
+
+  return {
+    results: records.map(record => ({
+      product: withoutEmbeddings(record.get("p").properties),
+      price: record.get("price"),
+      inStock: record.get("inStock"),
+      score: null,
+      matchedBy: []
+    })),
+    total: Number(countRecords[0]?.get("total") || 0)
+  };
+}
+
+/**
+ * A page of the fused candidates passing the filters, by fused score, and their total
+ */
+async function rankCandidates(fused, filters, params, skip, limit) {
+  const records = await neo4jClient.run(
+    `
+    ${matchFiltered(filters, { withFacts: true })}
+    RETURN p.id AS id, price, inStock
+    `,
+    params
+  );
+  const matched = records
+    .map(record => ({ id: record.get("id"), price: record.get("price"), inStock: record.get("inStock") }))
+    .sort((a, b) => fused.get(b.id).score - fused.get(a.id).score);
+
+  const page = matched.slice(skip, skip + limit);
+  const productRecords = page.length === 0 ? [] : await neo4jClient.run(
+    `
+    MATCH (p:Product)
+    WHERE p.storeId = $storeId AND p.id IN $ids
+    RETURN p
+    `,
+    { storeId: params.storeId, ids: page.map(hit => hit.id) }
+  );
+  const products = new Map(productRecords.map(record => {
+    const product = record.get("p").properties;
+    return [product.id, withoutEmbeddings(product)];
+  }));
+
+  return {
+    results: page.filter(hit => products.has(hit.id)).map(hit => ({
+      product: products.get(hit.id),
+      price: hit.price,
+      inStock: hit.inStock,
+      score: fused.get(hit.id).score,
+      matchedBy: fused.get(hit.id).matchedBy
+    })),
+    total: matched.length
+  };
+}
+
+/**
+ * Keyword + semantic product search with filters and facets
+ * @param {string} storeId - Store ID
+ * @param {Object} options
+ *   query      free text for the keyword ranking
+ *   embedding  query embedding for the semantic ranking
+ *   filters    { priceMin, priceMax, inStock, demographics, categories, colors, sizes, vendors }
+ *              lists match any of their values, filters all apply
+ *   skip, limit
+ * @returns {Promise<Object>} - { results: [{ product, price, inStock, score, matchedBy }], total, facets }
+ *   results are by fused score, or by title without query and embedding;
+ *   product leaves out the embeddings
+ */
+export async function hybridSearch(storeId, { query = "", embedding = null, filters = {}, skip = 0, limit = 20 } = {}) {
+  const text = (query || "").trim();
+  const normalized = normalizeFilters(filters);
+
+  let fused = null;
+  if (text || embedding) {
+    const [keyword, semantic] = await Promise.all([
+      text ? searchByKeyword(storeId, text, CANDIDATES_PER_RANKING) : [],
+      embedding ? searchByEmbedding(storeId, embedding, CANDIDATES_PER_RANKING, { idsOnly: true }) : []
+    ]);
+    fused = fuseRankings({
+      keyword: keyword.map(hit => hit.id),
+      semantic: semantic
+        .filter(hit => hit.score >= config.search.minSemanticScore)
+        .map(hit => hit.product.id)
+    });
+  }
+
+  // Without query or embedding, the whole store
+  normalized.ids = fused ? [...fused.keys()] : null;
+  const params = { storeId, ...normalized };
+  const [page, facets] = await Promise.all([
+    fused
+      ? rankCandidates(fused, normalized, params, skip, limit)
+      : browseProducts(normalized, params, skip, limit),
+    getFacets(normalized, params)
+  ]);
+
+  return { ...page, facets };
+}
+
+export default {
+  FACETS,
+  searchByKeyword,
+  hybridSearch
+};
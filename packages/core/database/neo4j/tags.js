@@ -0,0 +1,77 @@
+import neo4jClient from "./client.js";
+
+/**
+ * Occasion / style-lane tags
+ *
+ * The tagging stage of the sync (and the tagging job) saves on each product
+ *   occasions, styleLane, isPick   labels from the store's tag taxonomy
+ *   taxonomyTags                   the platform tags they map to
+ *   taggedAt, tagsPushedAt         when it was classified / written to the platform
+ */
+
+function toCounts(records) {
+  const counts = {};
+  for (const record of records) {
+    counts[record.get("label")] = record.get("count").toNumber();
+  }
+  return counts;
+}
+
+/**
+ * Tagging coverage of a store
+ * @param {string} storeId - Store ID
+ * @returns {Promise<Object>} - { total, tagged, untagged, picks, pushed, lastTaggedAt,
+ *   occasions: { [label]: products }, styleLanes: { [label]: products } }
+ */
+export async function getTagSummary(storeId) {
+  const countRecords = await neo4jClient.run(
+    `
+    MATCH (p:Product)
+    WHERE p.storeId = $storeId AND p.deletedAt IS NULL
+    RETURN count(p) AS total,
+           sum(CASE WHEN p.taggedAt IS NOT NULL THEN 1 ELSE 0 END) AS tagged,
+           sum(CASE WHEN p.isPick = true THEN 1 ELSE 0 END) AS picks,
+           sum(CASE WHEN p.tagsPushedAt IS NOT NULL THEN 1 ELSE 0 END) AS pushed,
+           max(p.taggedAt) AS lastTaggedAt
+    `,
+    { storeId }
+  );
+
+  const occasionRecords = await neo4jClient.run(
+    `
+    MATCH (p:Product)
+    WHERE p.storeId = $storeId AND p.deletedAt IS NULL AND p.taggedAt IS NOT NULL
+    UNWIND p.occasions AS label
+    RETURN label, count(DISTINCT p) AS count
+    `,
+    { storeId }
+  );
+
+  const laneRecords = await neo4jClient.run(
+    `
+    MATCH (p:Product)
+    WHERE p.storeId = $storeId AND p.deletedAt IS NULL AND p.taggedAt IS NOT NULL AND p.styleLane IS NOT NULL
+    RETURN p.styleLane AS label, count(p) AS count
+    `,
+    { storeId }
+  );
+
+  const record = countRecords[0];
+  const total = record?.get("total")?.toNumber() || 0;
+  const tagged = record?.get("tagged")?.toNumber() || 0;
+
+  return {
+    total,
+    tagged,
+    untagged: total - tagged,
+    picks: record?.get("picks")?.toNumber() || 0,
+    pushed: record?.get("pushed")?.toNumber() || 0,
+    lastTaggedAt: record?.get("lastTaggedAt") || null,
+    occasions: toCounts(occasionRecords),
+    styleLanes: toCounts(laneRecords)
+  };
+}
+
+export default {
+  getTagSummary
+};
@@ -0,0 +1,174 @@
+import neo4jClient from "./client.js";
+
+/**
+ * Merchandising trends (AI Merchant)
+ *
+ * Two signals, per category, color and style lane:
+ *   arrivals   products whose arrival date (platform publishedAt, else the
+ *              firstSeenAt the sync sets when it creates the product) falls in a window
+ *   depletion  stock units gone between consecutive inventory snapshots
+ *
+ * Snapshots hold the stock units per dimension value, one per store and day
+ * (the latest of the day wins):
+ *   (:Store)-[:HAS_INVENTORY_SNAPSHOT]->(:InventorySnapshot { date, takenAt, units })
+ * units is JSON: { category: { [name]: units }, color: {...}, styleLane: {...} }
+ */
+
+export const TREND_DIMENSIONS = ["category", "color", "styleLane"];
+
+// Labels are compared lowercased: "Red" and "red" are one color
+const normalizeLabel = (value) => (typeof value === "string" ? value.trim().toLowerCase() : "");
+
+function productDimensions(record) {
+  const color = normalizeLabel(record.get("color"));
+  const styleLane = normalizeLabel(record.get("styleLane"));
+  return {
+    category: [...new Set((record.get("categories") || []).map(normalizeLabel).filter(Boolean))],
+    color: color ? [color] : [],
+    styleLane: styleLane ? [styleLane] : []
+  };
+}
+
+/**
+ * Record today's stock units per dimension value
+ * Products without tracked inventory are left out.
+ * @param {string} storeId - Store ID
+ * @returns {Promise<Object>} - { date, products, units }
+ */
+export async function recordInventorySnapshot(storeId) {
+  const records = await neo4jClient.run(
+    `
+    MATCH (p:Product)-[:HAS_VARIANT]->(v:Variant)
+    WHERE p.storeId = $storeId AND p.deletedAt IS NULL AND v.inventoryQuantity IS NOT NULL
+    WITH p, sum(CASE WHEN v.inventoryQuantity > 0 THEN v.inventoryQuantity ELSE 0 END) AS units
+    OPTIONAL MATCH (p)-[:HAS_CATEGORY]->(c:Category)
+    RETURN p.color AS color, p.styleLane AS styleLane, units, collect(c.name) AS categories
+    `,
+    { storeId }
+  );
+
+  const units = Object.fromEntries(TREND_DIMENSIONS.map(d => [d, {}]));
+  for (const record of records) {
+    const productUnits = Number(record.get("units")) || 0;
+    for (const [dimension, values] of Object.entries(productDimensions(record))) {
+      for (const value of values) {
+        units[dimension][value] = (units[dimension][value] || 0) + productUnits;
+      }
+    }
+  }
+
+  const takenAt = new Date().toISOString();
+  const date = takenAt.slice(0, 10);
+  await neo4jClient.run(
+    `
+    MERGE (s:Store {id: $storeId})
+    MERGE (s)-[:HAS_INVENTORY_SNAPSHOT]->(snap:InventorySnapshot {storeId: $storeId, date: $date})
+    SET snap.takenAt = $takenAt, snap.units = $units
+    `,
+    { storeId, date, takenAt, units: JSON.stringify(units) }
+  );
+
+  return { date, products: records.length, units };
+}
+
+/**
+ * Inventory snapshots since a date, oldest first
+ * @param {string} storeId - Store ID
+ * @param {string} since - ISO date (YYYY-MM-DD)
+ * @returns {Promise<Array<{ date: string, takenAt: string, units: Object }>>}
+ */
+export async function getInventorySnapshots(storeId, since) {
+  const records = await neo4jClient.run(
+    `
+    MATCH (:Store {id: $storeId})-[:HAS_INVENTORY_SNAPSHOT]->(snap:InventorySnapshot)
+    WHERE snap.date >= $since
+    RETURN snap.date AS date, snap.takenAt AS takenAt, snap.units AS units
+    ORDER BY snap.date
+    `,
+    { storeId, since }
+  );
+  return records.map(r => ({ date: r.get("date"), takenAt: r.get("takenAt"), units: JSON.parse(r.get("units")) }));
+}
+
+/**
+ * Products that arrived since a date, with their dimension values
+ * firstSeenAt within a day of the store's earliest one is the back catalogue
+ * of its first sync, not an arrival.
+ * @param {string} storeId - Store ID
+ * @param {string} since - ISO timestamp
+ * @returns {Promise<Array<{ id: string, arrivedAt: string, category: string[], color: string[], styleLane: string[] }>>}
+ */
+export async function getArrivals(storeId, since) {
+  const records = await neo4jClient.run(
+    `
+    MATCH (first:Product)
+    WHERE first.storeId = $storeId AND first.firstSeenAt IS NOT NULL
+    WITH min(first.firstSeenAt) AS firstSync
+    MATCH (p:Product)
+    WHERE p.storeId = $storeId AND p.deletedAt IS NULL
+    WITH p, CASE
+      WHEN p.publishedAt IS NOT NULL THEN p.publishedAt
+      WHEN firstSync IS NOT NULL AND datetime(p.firstSeenAt) > datetime(firstSync) + duration({days: 1}) THEN p.firstSeenAt
+      ELSE null
+    END AS arrivedAt
+    WHERE arrivedAt >= $since
+    OPTIONAL MATCH (p)-[:HAS_CATEGORY]->(c:Category)
+    RETURN p.id AS id, arrivedAt, p.color AS color, p.styleLane AS styleLane, collect(c.name) AS categories
+    `,
+    { storeId, since }
+  );
+  return records.map(r => ({ id: r.get("id"), arrivedAt: r.get("arrivedAt"), ...productDimensions(r) }));
+}
+
+/**
+ * In-stock products of a dimension value, newest arrivals first
+ * Products with tracked stock below minUnits are left out; untracked ones are kept.
+ * @param {string} storeId - Store ID
+ * @param {string} dimension - One of TREND_DIMENSIONS
+ * @param {string} value - Dimension value (lowercase)
+ * @param {Object} options - { limit, minUnits }
+ * @returns {Promise<{ products: Array, lowStockExcluded: number }>}
+ */
+export async function getTrendProducts(storeId, dimension, value, { limit = 24, minUnits = 3 } = {}) {
+  const match = {
+    category: "(p)-[:HAS_CATEGORY]->(:Category {name: $value})",
+    color: "toLower(trim(p.color)) = $value",
+    styleLane: "toLower(trim(p.styleLane)) = $value"
+  }[dimension];
+  if (!match) {
+    throw new Error(`Unknown trend dimension "${dimension}"`);
+  }
+
+  const records = await neo4jClient.run(
+    `
+    MATCH (p:Product)
+    WHERE p.storeId = $storeId AND p.deletedAt IS NULL AND ${match}
+    OPTIONAL MATCH (p)-[:HAS_VARIANT]->(v:Variant)
+    WITH p, min(v.price) AS price, count(v.inventoryQuantity) AS tracked,
+         sum(CASE WHEN v.inventoryQuantity > 0 THEN v.inventoryQuantity ELSE 0 END) AS units
+    WITH p, price, CASE WHEN tracked > 0 THEN units ELSE null END AS units
+    WITH collect({
+      id: p.id, title: p.title, handle: p.handle, image: p.image, price: price, currency: p.currency,
+      units: units, arrivedAt: coalesce(p.publishedAt, p.firstSeenAt)
+    }) AS products
+    RETURN [x IN products WHERE x.units IS NULL OR x.units >= $minUnits] AS kept,
+           size([x IN products WHERE x.units IS NOT NULL AND x.units < $minUnits]) AS lowStock
+    `,
+    { storeId, value, minUnits }
+  );
+
+  const kept = records[0]?.get("kept") || [];
+  const products = kept
+    .map(p => ({ ...p, price: p.price === null ? null : Number(p.price), units: p.units === null ? null : Number(p.units) }))
+    .sort((a, b) => (b.arrivedAt || "").localeCompare(a.arrivedAt || ""))
+    .slice(0, limit);
+  return { products, lowStockExcluded: Number(records[0]?.get("lowStock") || 0) };
+}
+
+export default {
+  TREND_DIMENSIONS,
+  recordInventorySnapshot,
+  getInventorySnapshots,
+  getArrivals,
+  getTrendProducts
+};
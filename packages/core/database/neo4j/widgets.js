@@ -0,0 +1,57 @@
+import neo4jClient from "./client.js";
+
+/**
+ * Storefront widgets
+ *
+ * The worker's widget jobs save on each product when its widget was last
+ * regenerated:
+ *   complete_the_look_updated_at   Complete the Look
+ *   similar_product_updated_at     Similar Products
+ * A widget is stale when the product was re-enriched (updated_at) afterwards.
+ */
+
+const WIDGET_FIELDS = {
+  "complete-the-look": "complete_the_look_updated_at",
+  "similar-products": "similar_product_updated_at"
+};
+
+/**
+ * Widget coverage of a store
+ * Only products with a handle count: widgets are keyed by handle.
+ * @param {string} storeId - Store ID
+ * @returns {Promise<Object>} - { total, widgets: { [widget]: { regenerated, stale, missing, lastRegeneratedAt } } }
+ */
+export async function getWidgetCoverage(storeId) {
+  const columns = Object.entries(WIDGET_FIELDS).map(([widget, field], i) => `
+           sum(CASE WHEN p.${field} IS NOT NULL THEN 1 ELSE 0 END) AS regenerated${i},
+           sum(CASE WHEN p.${field} < p.updated_at THEN 1 ELSE 0 END) AS stale${i},
+           max(p.${field}) AS last${i}`).join(",");
+
+  const records = await neo4jClient.run(
+    `
+    MATCH (p:Product)
+    WHERE p.storeId = $storeId AND p.deletedAt IS NULL AND p.handle IS NOT NULL AND p.handle <> ''
+    RETURN count(p) AS total,${columns}
+    `,
+    { storeId }
+  );
+
+  const record = records[0];
+  const total = record?.get("total")?.toNumber() || 0;
+  const widgets = {};
+  Object.keys(WIDGET_FIELDS).forEach((widget, i) => {
+    const regenerated = record?.get(`regenerated${i}`)?.toNumber() || 0;
+    widgets[widget] = {
+      regenerated,
+      stale: record?.get(`stale${i}`)?.toNumber() || 0,
+      missing: total - regenerated,
+      lastRegeneratedAt: record?.get(`last${i}`) || null
+    };
+  });
+
+  return { total, widgets };
+}
+
+export default {
+  getWidgetCoverage
+};
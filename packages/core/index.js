@@ -13,6 +13,7 @@ export { dynamoClient } from "./database/dynamodb/client.js";
 // Services
 export * as ai from "./services/ai/index.js";
 export * as storage from "./services/storage/s3.js";
+export * as secrets from "./services/secrets/credentials.js";
 export * as realtime from "./services/realtime/pubnub.js";
 export { CostTracker } from "./services/ai/cost-tracker.js";
 export { SyncBroadcaster } from "./services/realtime/pubnub.js";
@@ -20,6 +21,10 @@ export { SyncBroadcaster } from "./services/realtime/pubnub.js";
 // Sync Pipeline
 export { SyncPipeline, createPipeline } from "./sync/pipeline.js";
 
+// Job Queue
+export * as jobs from "./jobs/index.js";
+export { jobStore } from "./jobs/index.js";
+
 // Utils
 export * as utils from "./utils/index.js";
 
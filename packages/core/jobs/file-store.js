@@ -0,0 +1,368 @@
+import fs from "fs/promises";
+import { dirname } from "path";
+import { v4 as uuidv4 } from "uuid";
+import { config } from "@runa/config";
+import { JOB_STATUS } from "@runa/config/constants";
+
+/**
+ * File-backed job store
+ * Durable queue for sync jobs, shared by the API (enqueue/inspect) and the
+ * worker (claim/heartbeat/finish). Every mutation runs under an exclusive
+ * lock file so both processes can safely use the same JSON file.
+ *
+ * Every operation reads (and mutations rewrite) the whole file, so finished
+ * jobs are pruned on each mutation: the ones finished more than retentionDays
+ * ago, and beyond the newest keepFinished per store and job type, so a burst of
+ * webhook product jobs does not push the store's syncs out of the history.
+ */
+
+const LOCK_RETRY_MS = 25;
+const LOCK_TIMEOUT_MS = 10000;
+const STALE_LOCK_MS = 30000;
+const ACTIVE_STATUSES = [JOB_STATUS.QUEUED, JOB_STATUS.RUNNING];
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function delay(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+export class FileJobStore {
+  /**
+   * Create a file job store
+   * @param {Object} options - { filePath, leaseMs, maxAttempts, maxConcurrentPerStore, retentionDays, keepFinished }
+   */
+  constructor(options = {}) {
+    this.filePath = options.filePath || config.jobs.filePath;
+    this.lockPath = `${this.filePath}.lock`;
+    this.leaseMs = options.leaseMs || config.jobs.leaseMs;
+    this.maxAttempts = options.maxAttempts || config.jobs.maxAttempts;
+    this.maxConcurrentPerStore = options.maxConcurrentPerStore || config.jobs.maxConcurrentPerStore;
+    this.retentionDays = options.retentionDays || config.jobs.retentionDays;
+    this.keepFinished = options.keepFinished || config.jobs.keepFinished;
+  }
+
+  // ==================== STORAGE ====================
+
+  async read() {
+    try {
+      const data = JSON.parse(await fs.readFile(this.filePath, "utf8"));
+      return { jobs: data.jobs || {} };
+    } catch (error) {
+      if (error.code === "ENOENT") return { jobs: {} };
+      throw error;
+    }
+  }
+
+  async write(data) {
+    await fs.mkdir(dirname(this.filePath), { recursive: true });
+    const tmpPath = `${this.filePath}.${process.pid}.tmp`;
+    await fs.writeFile(tmpPath, JSON.stringify(data, null, 2), "utf8");
+    await fs.rename(tmpPath, this.filePath);
+  }
+
+  async acquireLock() {
+    await fs.mkdir(dirname(this.lockPath), { recursive: true });
+    const startedAt = Date.now();
+
+    while (true) {
+      try {
+        const handle = await fs.open(this.lockPath, "wx");
+        await handle.close();
+        return;
+      } catch (error) {
+        if (error.code !== "EEXIST") throw error;
+      }
+
+      // A crashed process can leave the lock behind
+      try {
+        const stat = await fs.stat(this.lockPath);
+        if (Date.now() - stat.mtimeMs > STALE_LOCK_MS) {
+          await fs.unlink(this.lockPath).catch(() => {});
+          continue;
+        }
+      } catch {}
+
+      if (Date.now() - startedAt > LOCK_TIMEOUT_MS) {
+        throw new Error(`Timed out waiting for job store lock ${this.lockPath}`);
+      }
+      await delay(LOCK_RETRY_MS);
+    }
+  }
+
+  /**
+   * Drop finished jobs past retentionDays, and beyond keepFinished per store and type
+   * @param {Object} data - Store data, pruned in place
+   */
+  prune(data) {
+    const cutoff = new Date(Date.now() - this.retentionDays * DAY_MS).toISOString();
+    const finished = {};
+
+    for (const job of Object.values(data.jobs)) {
+      if (ACTIVE_STATUSES.includes(job.status)) continue;
+      if ((job.completedAt || job.updatedAt) < cutoff) {
+        delete data.jobs[job.id];
+        continue;
+      }
+      const key = `${job.storeId}:${job.type}`;
+      finished[key] = finished[key] || [];
+      finished[key].push(job);
+    }
+
+    for (const jobs of Object.values(finished)) {
+      if (jobs.length <= this.keepFinished) continue;
+      jobs.sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+      for (const job of jobs.slice(this.keepFinished)) {
+        delete data.jobs[job.id];
+      }
+    }
+  }
+
+  /**
+   * Run a read-modify-write cycle under the store lock
+   * Finished jobs past retention are pruned before the write.
+   * @param {Function} work - Receives the store data; may mutate it and return a value
+   * @returns {Promise<any>} - Result of the work function
+   */
+  async mutate(work) {
+    await this.acquireLock();
+    try {
+      const data = await this.read();
+      const result = await work(data);
+      this.prune(data);
+      await this.write(data);
+      return result;
+    } finally {
+      await fs.unlink(this.lockPath).catch(() => {});
+    }
+  }
+
+  // ==================== QUEUE OPERATIONS ====================
+
+  /**
+   * Add a job to the queue
+   * With a dedupeKey, a still-queued job with the same key is reused (its data
+   * replaced by the newer one) instead of queueing a duplicate.
+   * @param {Object} jobData - { type, storeId, userId, data, dedupeKey }
+   * @returns {Promise<Object>} - Created (or reused) job
+   */
+  async enqueue(jobData) {
+    const { type = "sync", storeId, userId, data = {}, dedupeKey } = jobData;
+    if (!storeId) {
+      throw new Error("storeId is required to enqueue a job");
+    }
+
+    const now = new Date().toISOString();
+    const job = {
+      id: `${type}_${uuidv4()}`,
+      type,
+      storeId,
+      userId: userId || null,
+      data,
+      status: JOB_STATUS.QUEUED,
+      progress: 0,
+      total: 0,
+      attempts: 0,
+      createdAt: now,
+      updatedAt: now
+    };
+    if (dedupeKey) {
+      job.dedupeKey = dedupeKey;
+    }
+
+    return this.mutate((store) => {
+      const duplicate = dedupeKey && Object.values(store.jobs).find((existing) =>
+        existing.dedupeKey === dedupeKey && existing.status === JOB_STATUS.QUEUED
+      );
+      if (duplicate) {
+        Object.assign(duplicate, { data, updatedAt: now });
+        return { ...duplicate };
+      }
+
+      store.jobs[job.id] = job;
+      return job;
+    });
+  }
+
+  /**
+   * Get a job by ID
+   * @param {string} jobId - Job ID
+   * @returns {Promise<Object|null>}
+   */
+  async get(jobId) {
+    const { jobs } = await this.read();
+    return jobs[jobId] || null;
+  }
+
+  /**
+   * List jobs, newest first
+   * @param {Object} options - { storeId, status, type, limit }
+   * @returns {Promise<Array>}
+   */
+  async list(options = {}) {
+    const { storeId, status, type, limit = 50 } = options;
+    const statuses = status ? [].concat(status) : null;
+    const { jobs } = await this.read();
+
+    return Object.values(jobs)
+      .filter((job) => !storeId || job.storeId === storeId)
+      .filter((job) => !type || job.type === type)
+      .filter((job) => !statuses || statuses.includes(job.status))
+      .sort((a, b) => b.createdAt.localeCompare(a.createdAt))
+      .slice(0, limit);
+  }
+
+  /**
+   * Get queued and running jobs for a store
+   * @param {string} storeId - Store ID
+   * @param {Object} options - { type }
+   * @returns {Promise<Array>}
+   */
+  async getActiveJobs(storeId, options = {}) {
+    return this.list({ storeId, type: options.type, status: ACTIVE_STATUSES });
+  }
+
+  /**
+   * Claim the oldest runnable job and lease it to a worker.
+   * Running jobs whose lease expired are put back in the queue (or failed once
+   * they exhausted maxAttempts). Stores already at maxConcurrentPerStore are skipped.
+   * @param {string} workerId - Worker identifier
+   * @param {Object} options - { types }
+   * @returns {Promise<Object|null>} - Claimed job or null
+   */
+  async claim(workerId, options = {}) {
+    const { types } = options;
+
+    return this.mutate((store) => {
+      const now = Date.now();
+      const nowIso = new Date(now).toISOString();
+      const jobs = Object.values(store.jobs);
+
+      for (const job of jobs) {
+        if (job.status !== JOB_STATUS.RUNNING) continue;
+        if (new Date(job.leaseExpiresAt).getTime() > now) continue;
+
+        console.log(`Job ${job.id} lease expired (worker ${job.workerId})`);
+        if (job.attempts >= this.maxAttempts) {
+          Object.assign(job, {
+            status: JOB_STATUS.FAILED,
+            error: `Lease expired after ${job.attempts} attempt(s)`,
+            completedAt: nowIso
+          });
+        } else {
+          Object.assign(job, { status: JOB_STATUS.QUEUED, workerId: null, leaseExpiresAt: null });
+        }
+        job.updatedAt = nowIso;
+      }
+
+      const runningPerStore = {};
+      for (const job of jobs) {
+        if (job.status === JOB_STATUS.RUNNING) {
+          runningPerStore[job.storeId] = (runningPerStore[job.storeId] || 0) + 1;
+        }
+      }
+
+      const next = jobs
+        .filter((job) => job.status === JOB_STATUS.QUEUED)
+        .filter((job) => !types || types.includes(job.type))
+        .filter((job) => (runningPerStore[job.storeId] || 0) < this.maxConcurrentPerStore)
+        .sort((a, b) => a.createdAt.localeCompare(b.createdAt))[0];
+
+      if (!next) return null;
+
+      Object.assign(next, {
+        status: JOB_STATUS.RUNNING,
+        workerId,
+        attempts: (next.attempts || 0) + 1,
+        startedAt: next.startedAt || nowIso,
+        leaseExpiresAt: new Date(now + this.leaseMs).toISOString(),
+        updatedAt: nowIso
+      });
+
+      return { ...next };
+    });
+  }
+
+  /**
+   * Extend a job's lease and record progress
+   * @param {string} jobId - Job ID
+   * @param {string} workerId - Worker holding the lease
+   * @param {Object} patch - Fields to update (progress, total, ...)
+   * @returns {Promise<Object|null>} - Updated job, or null if the lease was lost
+   */
+  async heartbeat(jobId, workerId, patch = {}) {
+    return this.mutate((store) => {
+      const job = store.jobs[jobId];
+      if (!job || job.status !== JOB_STATUS.RUNNING || job.workerId !== workerId) {
+        return null;
+      }
+
+      Object.assign(job, patch, {
+        leaseExpiresAt: new Date(Date.now() + this.leaseMs).toISOString(),
+        updatedAt: new Date().toISOString()
+      });
+      return { ...job };
+    });
+  }
+
+  /**
+   * Mark a leased job as finished
+   * @param {string} jobId - Job ID
+   * @param {string} workerId - Worker holding the lease
+   * @param {string} status - completed | failed | cancelled
+   * @param {Object} fields - Extra fields (result, error)
+   * @returns {Promise<Object|null>}
+   */
+  async finish(jobId, workerId, status, fields = {}) {
+    return this.mutate((store) => {
+      const job = store.jobs[jobId];
+      if (!job || job.workerId !== workerId) return null;
+
+      const nowIso = new Date().toISOString();
+      Object.assign(job, fields, {
+        status,
+        leaseExpiresAt: null,
+        completedAt: nowIso,
+        updatedAt: nowIso
+      });
+      return { ...job };
+    });
+  }
+
+  /**
+   * Mark a job as completed
+   */
+  async complete(jobId, workerId, result) {
+    return this.finish(jobId, workerId, JOB_STATUS.COMPLETED, { result });
+  }
+
+  /**
+   * Mark a job as failed
+   */
+  async fail(jobId, workerId, error) {
+    return this.finish(jobId, workerId, JOB_STATUS.FAILED, { error: error?.message || String(error) });
+  }
+
+  /**
+   * Cancel a job. Queued jobs are cancelled immediately; running jobs get a
+   * cancellation request that the worker picks up on its next heartbeat.
+   * @param {string} jobId - Job ID
+   * @returns {Promise<Object|null>} - Updated job or null if not found
+   */
+  async cancel(jobId) {
+    return this.mutate((store) => {
+      const job = store.jobs[jobId];
+      if (!job) return null;
+
+      const nowIso = new Date().toISOString();
+      if (job.status === JOB_STATUS.QUEUED) {
+        Object.assign(job, { status: JOB_STATUS.CANCELLED, cancelledAt: nowIso, completedAt: nowIso });
+      } else if (job.status === JOB_STATUS.RUNNING) {
+        job.cancelRequestedAt = job.cancelRequestedAt || nowIso;
+      }
+      job.updatedAt = nowIso;
+      return { ...job };
+    });
+  }
+}
+
+export default FileJobStore;
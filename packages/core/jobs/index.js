@@ -0,0 +1,11 @@
+/**
+ * Job queue - barrel export
+ */
+import { FileJobStore } from "./file-store.js";
+
+export { FileJobStore };
+export { JOB_STATUS } from "@runa/config/constants";
+
+// Shared store instance (API and worker resolve the same file from config)
+export const jobStore = new FileJobStore();
+export default jobStore;
@@ -30,19 +30,19 @@ function getGemini() {
  * Classify a product into categories
  * @param {Object} product - Product object with title, description
  * @param {Array<string>} availableCategories - Categories to choose from
- * @param {Object} options - { provider: "openai" | "gemini" }
+ * @param {Object} options - { provider: "openai" | "gemini", signal: AbortSignal }
  * @returns {Promise<Object>} - { categories: string[], confidence: number }
  */
 export async function classifyProduct(product, availableCategories = SHOPIFY_CATEGORIES, options = {}) {
-  const { provider = "openai" } = options;
+  const { provider = "openai", signal } = options;
 
   const prompt = buildClassificationPrompt(product, availableCategories);
 
   if (provider === "gemini") {
-    return classifyWithGemini(prompt);
+    return classifyWithGemini(prompt, signal);
   }
 
-  return classifyWithOpenAI(prompt);
+  return classifyWithOpenAI(prompt, signal);
 }
 
 /**
@@ -84,7 +84,7 @@ Respond ONLY with valid JSON, no other text.`;
 /**
  * Classify using OpenAI
  */
-async function classifyWithOpenAI(prompt) {
+async function classifyWithOpenAI(prompt, signal) {
   const openai = getOpenAI();
 
   try {
@@ -99,11 +99,12 @@ async function classifyWithOpenAI(prompt) {
       ],
       temperature: 0.3,
       max_tokens: 500
-    });
+    }, { signal });
 
     const content = response.choices[0].message.content.trim();
     return parseClassificationResponse(content, response.usage);
   } catch (error) {
+    if (signal?.aborted) throw error;
     console.error("OpenAI classification error:", error);
     return getDefaultClassification();
   }
@@ -112,15 +113,16 @@ async function classifyWithOpenAI(prompt) {
 /**
  * Classify using Gemini
  */
-async function classifyWithGemini(prompt) {
+async function classifyWithGemini(prompt, signal) {
   const gemini = getGemini();
   const model = gemini.getGenerativeModel({ model: config.gemini.model });
 
   try {
-    const result = await model.generateContent(prompt);
+    const result = await model.generateContent(prompt, { signal });
     const content = result.response.text().trim();
     return parseClassificationResponse(content, result.response.usageMetadata);
   } catch (error) {
+    if (signal?.aborted) throw error;
     console.error("Gemini classification error:", error);
     return getDefaultClassification();
   }
@@ -20,11 +20,11 @@ function getOpenAI() {
 /**
  * Generate embedding for text with caching
  * @param {string} text - Text to embed
- * @param {Object} options - { useCache: boolean, cacheTTL: seconds }
+ * @param {Object} options - { useCache: boolean, cacheTTL: seconds, signal: AbortSignal }
  * @returns {Promise<Array<number>>} - Embedding vector
  */
 export async function generateEmbedding(text, options = {}) {
-  const { useCache = true, cacheTTL = 86400 * 30 } = options;
+  const { useCache = true, cacheTTL = 86400 * 30, signal } = options;
 
   if (!text || text.trim().length === 0) {
     return null;
@@ -45,7 +45,7 @@ export async function generateEmbedding(text, options = {}) {
   const response = await openai.embeddings.create({
     model: config.openai.embeddingModel,
     input: normalizedText
-  });
+  }, { signal });
 
   const embedding = response.data[0].embedding;
 
@@ -140,9 +140,10 @@ export async function generateProductContentEmbedding(product) {
  * Focuses on attributes like color, material, style
  * @param {Object} product - Product object
  * @param {Object} characteristics - Extracted characteristics
+ * @param {Object} options - Options passed to generateEmbedding
  * @returns {Promise<Array<number>>} - Embedding vector
  */
-export async function generateProductCharacteristicsEmbedding(product, characteristics) {
+export async function generateProductCharacteristicsEmbedding(product, characteristics, options = {}) {
   const parts = [];
 
   if (characteristics.color) parts.push(`color: ${characteristics.color}`);
@@ -153,7 +154,7 @@ export async function generateProductCharacteristicsEmbedding(product, character
 
   if (parts.length === 0) return null;
 
-  return generateEmbedding(parts.join(", "));
+  return generateEmbedding(parts.join(", "), options);
 }
 
 export default {
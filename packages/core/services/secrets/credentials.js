@@ -0,0 +1,271 @@
+import crypto from "crypto";
+import fs from "fs";
+import { dirname } from "path";
+import { KMSClient, GenerateDataKeyCommand, DecryptCommand } from "@aws-sdk/client-kms";
+import config from "@runa/config";
+
+/**
+ * Envelope encryption for platform credentials in the user record
+ *
+ * Every secret is encrypted with its own AES-256-GCM data key, and the data key
+ * is wrapped by the key encryption key: an AWS KMS key when
+ * config.secrets.kmsKeyId is set, otherwise a local key file.
+ * Encrypted values are stored as objects:
+ *   { encrypted: "v1", keyProvider, dataKey, iv, authTag, ciphertext, masked }
+ * `masked` is the display form, so the API never needs to decrypt.
+ */
+
+// Secret fields, on the user root (Lambda compatibility) and on each store
+export const SECRET_FIELDS = ["accessToken", "vtexApiKey", "vtexToken", "consumerKey", "consumerSecret"];
+
+const ENVELOPE_VERSION = "v1";
+const MASK = "••••••••";
+
+let kmsClient = null;
+const kmsDataKeyCache = new Map();
+
+function getKmsClient() {
+  if (!kmsClient) {
+    kmsClient = new KMSClient({
+      region: config.aws.region,
+      credentials: config.aws.accessKeyId
+        ? {
+            accessKeyId: config.aws.accessKeyId,
+            secretAccessKey: config.aws.secretAccessKey
+          }
+        : undefined
+    });
+  }
+  return kmsClient;
+}
+
+/**
+ * Read the local key encryption key (32 bytes, base64)
+ * @param {boolean} create - Generate the key file when it doesn't exist yet
+ */
+function getLocalKey(create = false) {
+  const keyFile = config.secrets.keyFile;
+
+  if (!fs.existsSync(keyFile)) {
+    if (!create) {
+      throw new Error(`Secrets key file not found: ${keyFile}`);
+    }
+    fs.mkdirSync(dirname(keyFile), { recursive: true });
+    fs.writeFileSync(keyFile, crypto.randomBytes(32).toString("base64"), { mode: 0o600 });
+    console.log(`Created secrets key file ${keyFile}`);
+  }
+
+  const key = Buffer.from(fs.readFileSync(keyFile, "utf8").trim(), "base64");
+  if (key.length !== 32) {
+    throw new Error(`Secrets key file ${keyFile} must contain a base64 encoded 32-byte key`);
+  }
+  return key;
+}
+
+function aesEncrypt(key, plaintext) {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv("aes-256-gcm", key, iv);
+  const ciphertext = Buffer.concat([cipher.update(plaintext), cipher.final()]);
+  return { iv, authTag: cipher.getAuthTag(), ciphertext };
+}
+
+function aesDecrypt(key, { iv, authTag, ciphertext }) {
+  const decipher = crypto.createDecipheriv("aes-256-gcm", key, iv);
+  decipher.setAuthTag(authTag);
+  return Buffer.concat([decipher.update(ciphertext), decipher.final()]);
+}
+
+// ─── Data keys ───
+
+async function generateDataKey() {
+  if (config.secrets.kmsKeyId) {
+    const result = await getKmsClient().send(new GenerateDataKeyCommand({
+      KeyId: config.secrets.kmsKeyId,
+      KeySpec: "AES_256"
+    }));
+    return {
+      keyProvider: "kms",
+      plaintextKey: Buffer.from(result.Plaintext),
+      wrappedKey: Buffer.from(result.CiphertextBlob).toString("base64")
+    };
+  }
+
+  const plaintextKey = crypto.randomBytes(32);
+  const wrapped = aesEncrypt(getLocalKey(true), plaintextKey);
+  return {
+    keyProvider: "local",
+    plaintextKey,
+    wrappedKey: Buffer.concat([wrapped.iv, wrapped.authTag, wrapped.ciphertext]).toString("base64")
+  };
+}
+
+async function unwrapDataKey(keyProvider, wrappedKey) {
+  if (keyProvider === "kms") {
+    if (!kmsDataKeyCache.has(wrappedKey)) {
+      const result = await getKmsClient().send(new DecryptCommand({
+        CiphertextBlob: Buffer.from(wrappedKey, "base64")
+      }));
+      kmsDataKeyCache.set(wrappedKey, Buffer.from(result.Plaintext));
+    }
+    return kmsDataKeyCache.get(wrappedKey);
+  }
+
+  if (keyProvider === "local") {
+    const raw = Buffer.from(wrappedKey, "base64");
+    return aesDecrypt(getLocalKey(), {
+      iv: raw.subarray(0, 12),
+      authTag: raw.subarray(12, 28),
+      ciphertext: raw.subarray(28)
+    });
+  }
+
+  throw new Error(`Unknown secrets key provider "${keyProvider}"`);
+}
+
+// ─── Single values ───
+
+/**
+ * Check whether a stored value is an encrypted envelope
+ */
+export function isEncrypted(value) {
+  return Boolean(value && typeof value === "object" && value.encrypted === ENVELOPE_VERSION);
+}
+
+/**
+ * Check whether a value is a masked secret echoed back by a client
+ */
+export function isMaskedSecret(value) {
+  return typeof value === "string" && value.includes(MASK);
+}
+
+/**
+ * Display form of a secret: "shpat_••••••••1a2b"
+ * @param {string|Object} value - Plaintext or encrypted envelope
+ * @returns {string|null}
+ */
+export function maskSecret(value) {
+  if (!value) return null;
+  if (isEncrypted(value)) return value.masked || MASK;
+
+  const text = String(value);
+  return text.length > 12 ? `${text.slice(0, 6)}${MASK}${text.slice(-4)}` : MASK;
+}
+
+/**
+ * Encrypt a secret (already encrypted values are returned unchanged)
+ * @param {string} value - Plaintext secret
+ * @returns {Promise<Object>} - Encrypted envelope
+ */
+export async function encryptSecret(value) {
+  if (!value || isEncrypted(value)) return value;
+
+  const { keyProvider, plaintextKey, wrappedKey } = await generateDataKey();
+  const { iv, authTag, ciphertext } = aesEncrypt(plaintextKey, Buffer.from(String(value), "utf8"));
+
+  return {
+    encrypted: ENVELOPE_VERSION,
+    keyProvider,
+    dataKey: wrappedKey,
+    iv: iv.toString("base64"),
+    authTag: authTag.toString("base64"),
+    ciphertext: ciphertext.toString("base64"),
+    masked: maskSecret(value)
+  };
+}
+
+/**
+ * Decrypt a secret. Plaintext values (records not migrated yet, or written by
+ * another service) are returned as they are.
+ * Only the sync/worker path should call this.
+ * @param {string|Object} value - Encrypted envelope or plaintext
+ * @returns {Promise<string>}
+ */
+export async function decryptSecret(value) {
+  if (!isEncrypted(value)) return value;
+
+  const dataKey = await unwrapDataKey(value.keyProvider, value.dataKey);
+  return aesDecrypt(dataKey, {
+    iv: Buffer.from(value.iv, "base64"),
+    authTag: Buffer.from(value.authTag, "base64"),
+    ciphertext: Buffer.from(value.ciphertext, "base64")
+  }).toString("utf8");
+}
+
+// ─── Records ───
+
+/**
+ * Encrypt the secret fields of a record (user root or store entry)
+ * @returns {Promise<Object>} - Copy of the record
+ */
+export async function encryptCredentials(record) {
+  const result = { ...record };
+  for (const field of SECRET_FIELDS) {
+    if (typeof result[field] === "string" && result[field]) {
+      result[field] = await encryptSecret(result[field]);
+    }
+  }
+  return result;
+}
+
+/**
+ * Decrypt every encrypted value of a flat credentials object
+ * @returns {Promise<Object>} - Copy with plaintext values
+ */
+export async function decryptCredentials(credentials) {
+  const result = { ...credentials };
+  for (const [key, value] of Object.entries(result)) {
+    result[key] = await decryptSecret(value);
+  }
+  return result;
+}
+
+/**
+ * Replace the secret fields of a record with their masked form (for API responses)
+ * @returns {Object} - Copy of the record
+ */
+export function maskCredentials(record) {
+  if (!record) return record;
+
+  const result = { ...record };
+  for (const field of SECRET_FIELDS) {
+    if (result[field]) result[field] = maskSecret(result[field]);
+  }
+  return result;
+}
+
+/**
+ * Encrypt all platform secrets of a user record (root fields and every store)
+ * @returns {Promise<Object>} - Copy of the user record
+ */
+export async function encryptUserSecrets(user) {
+  const result = await encryptCredentials(user);
+  if (Array.isArray(user.stores)) {
+    result.stores = [];
+    for (const store of user.stores) {
+      result.stores.push(await encryptCredentials(store));
+    }
+  }
+  return result;
+}
+
+/**
+ * Check whether a user record still holds plaintext secrets
+ */
+export function hasPlaintextSecrets(user) {
+  const plaintext = (record) => SECRET_FIELDS.some(field => typeof record?.[field] === "string" && record[field]);
+  return plaintext(user) || (user.stores || []).some(plaintext);
+}
+
+export default {
+  SECRET_FIELDS,
+  isEncrypted,
+  isMaskedSecret,
+  maskSecret,
+  encryptSecret,
+  decryptSecret,
+  encryptCredentials,
+  decryptCredentials,
+  maskCredentials,
+  encryptUserSecrets,
+  hasPlaintextSecrets
+};
@@ -20,7 +20,8 @@ async function processProduct(product, options = {}) {
     generateEmbeddings = true,
     classifyProducts = true,
     uploadImages = false,
-    costTracker
+    costTracker,
+    signal
   } = options;
 
   const enrichedProduct = { ...product };
@@ -36,12 +37,12 @@ async function processProduct(product, options = {}) {
       .filter(Boolean)
       .join(" ");
 
-    enrichedProduct.contentEmbedding = await embeddings.generateEmbedding(contentText);
+    enrichedProduct.contentEmbedding = await embeddings.generateEmbedding(contentText, { signal });
   }
 
   // Classify product
   if (classifyProducts) {
-    const classification = await classifier.classifyProduct(product);
+    const classification = await classifier.classifyProduct(product, undefined, { signal });
     enrichedProduct.aiCategories = classification.categories;
     enrichedProduct.primaryCategory = classification.primaryCategory;
     enrichedProduct.demographics = classification.demographics;
@@ -57,7 +58,8 @@ async function processProduct(product, options = {}) {
       enrichedProduct.characteristicsEmbedding =
         await embeddings.generateProductCharacteristicsEmbedding(
           product,
-          classification.characteristics
+          classification.characteristics,
+          { signal }
         );
     }
   }
@@ -90,6 +92,8 @@ export class SyncPipeline {
 
   /**
    * Sync a store using a platform adapter
+   * Pass `signal` to stop early: the products enriched so far are saved and a
+   * sync_cancelled log is written with partial counts and costs.
    * @param {Object} adapter - Platform adapter instance (ShopifyAdapter, etc.)
    * @param {Object} options - Sync options
    * @returns {Promise<Object>} - Sync result
@@ -100,7 +104,8 @@ export class SyncPipeline {
       classifyProducts = true,
       uploadImages = false,
       batchSize = config.sync.batchSize,
-      onProgress
+      onProgress,
+      signal
     } = options;
 
     const storeInfo = adapter.getStoreInfo();
@@ -110,6 +115,7 @@ export class SyncPipeline {
     const startTime = Date.now();
     let processedCount = 0;
     let errorCount = 0;
+    let cancelled = false;
     const errors = [];
 
     console.log(`\n=== Starting sync for ${storeId} ===`);
@@ -137,13 +143,19 @@ export class SyncPipeline {
       const batch = [];
 
       for await (const product of adapter.getAllProducts()) {
+        if (signal?.aborted) {
+          cancelled = true;
+          break;
+        }
+
         try {
           // Enrich product
           const enrichedProduct = await processProduct(product, {
             generateEmbeddings,
             classifyProducts,
             uploadImages,
-            costTracker: this.costTracker
+            costTracker: this.costTracker,
+            signal
           });
 
           // Prepare for Neo4j
@@ -166,6 +178,10 @@ export class SyncPipeline {
             }
           }
         } catch (error) {
+          if (signal?.aborted) {
+            cancelled = true;
+            break;
+          }
           console.error(`Error processing product ${product.id}:`, error.message);
           errorCount++;
           errors.push({ productId: product.id, error: error.message });
@@ -173,11 +189,21 @@ export class SyncPipeline {
         }
       }
 
-      // Save remaining batch
+      // Save remaining batch (on cancellation: the products already enriched)
       if (batch.length > 0) {
         await this.saveBatch(storeId, batch);
       }
 
+      if (cancelled) {
+        return this.finishCancelled(storeId, broadcaster, {
+          processedCount,
+          totalProducts,
+          errorCount,
+          errors,
+          duration: Date.now() - startTime
+        });
+      }
+
       // Process context (suggestions, etc.)
       console.log("Processing store context...");
       await this.processStoreContext(storeId, adapter);
@@ -231,6 +257,41 @@ export class SyncPipeline {
     }
   }
 
+  /**
+   * Record a cancelled sync and build its result
+   * @param {string} storeId - Store ID
+   * @param {SyncBroadcaster} broadcaster - Store broadcaster
+   * @param {Object} stats - { processedCount, totalProducts, errorCount, errors, duration }
+   * @returns {Promise<Object>} - Sync result
+   */
+  async finishCancelled(storeId, broadcaster, stats) {
+    const { processedCount, totalProducts, errorCount, errors, duration } = stats;
+    const costSummary = this.costTracker.getSummary();
+
+    console.log(`\n=== Sync cancelled after ${processedCount}/${totalProducts} products ===`);
+
+    await broadcaster.setStatus("cancelled", { totalProcessed: processedCount, costs: costSummary.costs });
+    await users.updateUserContextFetching(storeId, this.region, "done");
+    await logs.logSyncCancelled(storeId, {
+      processed: processedCount,
+      total: totalProducts,
+      errors: errorCount,
+      duration,
+      costs: costSummary.costs
+    });
+
+    return {
+      success: false,
+      cancelled: true,
+      storeId,
+      processedCount,
+      errorCount,
+      errors,
+      duration,
+      costs: costSummary
+    };
+  }
+
   /**
    * Prepare enriched product for Neo4j storage
    * @param {Object} product - Enriched product